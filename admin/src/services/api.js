@@ -117,6 +117,75 @@ export const moderateContent = async (id, action, type) => {
   return response.data;
 };
 
+export const fetchModerationStats = async () => {
+  const response = await api.get('/admin/moderation/stats');
+  return response.data;
+};
+
+export const fetchMinorReport = async (id) => {
+  const response = await api.get(`/admin/moderation/minor-reports/${id}`);
+  return response.data;
+};
+
+export const assignMinorReport = async (id, assignee) => {
+  const response = await api.post(`/admin/moderation/minor-reports/${id}/assign`, { assignee });
+  return response.data;
+};
+
+export const addMinorReportEvidence = async (id, attachment) => {
+  const response = await api.post(`/admin/moderation/minor-reports/${id}/attachments`, attachment);
+  return response.data;
+};
+
+export const fetchUserReport = async (id) => {
+  const response = await api.get(`/admin/moderation/user-reports/${id}`);
+  return response.data;
+};
+
+export const assignUserReport = async (id, assignee) => {
+  const response = await api.post(`/admin/moderation/user-reports/${id}/assign`, { assignee });
+  return response.data;
+};
+
+export const updateUserReportStatus = async (id, data) => {
+  const response = await api.post(`/admin/moderation/user-reports/${id}/status`, data);
+  return response.data;
+};
+
+export const fetchPhotosForReview = async (params) => {
+  const response = await api.get('/admin/moderation/photos', { params });
+  return response.data;
+};
+
+// Image as a Blob - the endpoint needs the auth header, so it can't be an <img src>
+export const fetchPhotoImage = async (id, size) => {
+  const response = await api.get(`/admin/moderation/photos/${id}/image`, {
+    params: { size },
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+export const moderatePhoto = async (id, decision, reason) => {
+  const response = await api.post(`/admin/moderation/photos/${id}`, { decision, reason });
+  return response.data;
+};
+
+export const fetchAiFlags = async (params) => {
+  const response = await api.get('/admin/moderation/ai-flags', { params });
+  return response.data;
+};
+
+export const fetchAiFlag = async (id, params) => {
+  const response = await api.get(`/admin/moderation/ai-flags/${id}`, { params });
+  return response.data;
+};
+
+export const decideAiFlagAppeal = async (id, decision, notes) => {
+  const response = await api.post(`/admin/moderation/ai-flags/${id}/appeal`, { decision, notes });
+  return response.data;
+};
+
 // Analytics
 export const fetchAnalytics = async (params) => {
   const response = await api.get('/admin/analytics', { params });
@@ -0,0 +1,160 @@
+/**
+ * Access Control Tests
+ * FOR THE KIDS - Staff roles and scoped API keys
+ *
+ * Runs the access-control service and RBAC middleware against an in-memory
+ * Prisma (no server needed):
+ * - Roles expand to scopes; wildcards cover a resource or everything
+ * - API keys are hashed at rest and stop working once revoked or expired
+ * - requireScopes answers 401 without credentials, 403 without the scope,
+ *   and writes every denial to the audit trail
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  hasScope,
+  scopesForRoles,
+  createApiKey,
+  resolveApiKey,
+  revokeApiKey,
+  setUserRoles,
+  getUserRoles
+} = await import('../services/access-control.js');
+const { requireScopes, requireResourceScope } = await import('../middleware/rbac.js');
+const { registerUser, loginUser, logoutUser } = await import('../services/auth.js');
+
+/**
+ * Run an RBAC middleware against a request
+ * @returns {Promise<{ status: number|null, body: Object|null, passed: boolean }>}
+ */
+async function run(middleware, { method = 'GET', headers = {}, query = {} } = {}) {
+  const req = { method, headers, query, originalUrl: '/api/payments/refunds', ip: '127.0.0.1' };
+  const outcome = { status: null, body: null, passed: false };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    json(body) { outcome.body = body; return this; }
+  };
+  let error;
+  await middleware(req, res, err => { error = err; outcome.passed = !err; });
+  if (error) throw error;
+  return outcome;
+}
+
+async function staffLogin(roles) {
+  const { user } = await registerUser({ email: 'staff@example.com', password: 'correct horse battery' });
+  await setUserRoles(user.id, roles);
+  return loginUser({ email: 'staff@example.com', password: 'correct horse battery' });
+}
+
+describe('Access Control', () => {
+
+  describe('hasScope() / scopesForRoles()', () => {
+    test('should match exact, resource wildcard and global wildcard scopes', () => {
+      expect(hasScope(['payments:read'], 'payments:read')).toBe(true);
+      expect(hasScope(['payments:read'], 'payments:write')).toBe(false);
+      expect(hasScope(['payments:*'], 'payments:write')).toBe(true);
+      expect(hasScope(['payments:*'], 'merch:read')).toBe(false);
+      expect(hasScope(['*'], 'access:write')).toBe(true);
+    });
+
+    test('should combine the scopes of several roles', () => {
+      const scopes = scopesForRoles(['MODERATOR', 'SUPPORT', 'UNKNOWN']);
+
+      expect(hasScope(scopes, 'moderation:write')).toBe(true);
+      expect(hasScope(scopes, 'payments:read')).toBe(true);
+      expect(hasScope(scopes, 'payments:write')).toBe(false);
+      expect(new Set(scopes).size).toBe(scopes.length);
+    });
+
+    test('should keep finance scopes away from support staff', () => {
+      expect(hasScope(scopesForRoles(['FINANCE']), 'finance:write')).toBe(true);
+      expect(hasScope(scopesForRoles(['SUPPORT']), 'finance:read')).toBe(false);
+    });
+  });
+
+  describe('API keys', () => {
+    test('should store only a hash and resolve the plaintext key', async () => {
+      const { key, apiKey } = await createApiKey({ name: 'merch-sync', scopes: ['merch:read'] });
+      const [row] = await prisma.apiKey.findMany();
+
+      expect(key.startsWith(apiKey.prefix)).toBe(true);
+      expect(JSON.stringify(row)).not.toContain(key);
+      expect((await resolveApiKey(key)).name).toBe('merch-sync');
+      expect(await resolveApiKey(`${key}x`)).toBeNull();
+    });
+
+    test('should reject unknown scopes and duplicate names', async () => {
+      await expect(createApiKey({ name: 'bad', scopes: ['vault:read'] })).rejects.toMatchObject({ status: 400 });
+      await createApiKey({ name: 'twice', scopes: ['dao:read'] });
+      await expect(createApiKey({ name: 'twice', scopes: ['dao:read'] })).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should stop resolving a revoked or expired key', async () => {
+      const revoked = await createApiKey({ name: 'revoked', scopes: ['dao:read'] });
+      const expired = await createApiKey({ name: 'expired', scopes: ['dao:read'], expiresAt: '2020-01-01' });
+
+      await revokeApiKey(revoked.apiKey.id);
+
+      expect(await resolveApiKey(revoked.key)).toBeNull();
+      expect(await resolveApiKey(expired.key)).toBeNull();
+      await expect(revokeApiKey(revoked.apiKey.id)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('requireScopes() - API keys', () => {
+    test('should let a key through only with the scope for the method', async () => {
+      const { key } = await createApiKey({ name: 'reports', scopes: ['payments:read'] });
+      const headers = { 'x-api-key': key };
+
+      expect((await run(requireResourceScope('payments'), { headers })).passed).toBe(true);
+      expect(await run(requireResourceScope('payments'), { method: 'POST', headers }))
+        .toMatchObject({ status: 403, body: { message: 'Missing required scope(s): payments:write' } });
+    });
+
+    test('should answer 401 without credentials and refuse keys in the query string', async () => {
+      const { key } = await createApiKey({ name: 'leaky', scopes: ['*'] });
+
+      expect((await run(requireScopes('payments:read'))).status).toBe(401);
+      expect((await run(requireScopes('payments:read'), { query: { apiKey: key } })).status).toBe(401);
+    });
+
+    test('should audit every denial', async () => {
+      await run(requireScopes('payments:read'));
+
+      const [denial] = await prisma.complianceAudit.findMany({ where: { auditType: 'access_control' } });
+      expect(denial).toMatchObject({ action: 'denied', success: false, errorMessage: 'missing_or_invalid_credentials' });
+      expect(denial.details).toMatchObject({ method: 'GET', path: '/api/payments/refunds', required: ['payments:read'] });
+    });
+  });
+
+  describe('requireScopes() - Staff tokens', () => {
+    test('should grant scopes from the staff member\'s roles', async () => {
+      const login = await staffLogin(['FINANCE']);
+      const headers = { authorization: `Bearer ${login.accessToken}` };
+
+      expect((await run(requireScopes('payments:write'), { method: 'POST', headers })).passed).toBe(true);
+      expect((await run(requireScopes('access:write'), { method: 'POST', headers })).status).toBe(403);
+    });
+
+    test('should drop the scopes of a suspended staff member', async () => {
+      const login = await staffLogin(['ADMIN']);
+      await prisma.datingUser.update({ where: { id: login.user.id }, data: { status: 'SUSPENDED' } });
+
+      expect(await getUserRoles(login.user.id)).toEqual([]);
+      expect((await run(requireScopes('admin:read'), { headers: { authorization: `Bearer ${login.accessToken}` } })).status)
+        .toBe(403);
+    });
+
+    test('should treat a token from a logged-out session as no credentials', async () => {
+      const login = await staffLogin(['ADMIN']);
+      await logoutUser(login.user.id, login.sessionId);
+
+      expect((await run(requireScopes('admin:read'), { headers: { authorization: `Bearer ${login.accessToken}` } })).status)
+        .toBe(401);
+    });
+  });
+});
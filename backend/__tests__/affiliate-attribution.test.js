@@ -0,0 +1,195 @@
+/**
+ * Affiliate Attribution Tests
+ * FOR THE KIDS - Server-side affiliate attribution
+ *
+ * Runs the attribution service against an in-memory Prisma (no server needed):
+ * - First-touch, last-touch and time-decay credit the right touches
+ * - An order converts once, however often it is reported
+ * - Self-referrals are held, and a released commission counts only what
+ *   wasn't refunded while it was held
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const { attribute, recordConversion, reviewCommission } = await import('../services/affiliate-attribution.js');
+const { reverseForRefund } = await import('../services/affiliate-commissions.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AT = new Date('2026-03-10T12:00:00Z');
+const ago = ms => new Date(AT.getTime() - ms);
+
+const purchase = overrides => ({
+  amount: 100,
+  policy: 'digital-products',
+  processingFee: 0,
+  occurredAt: AT,
+  visitorId: 'visitor-1',
+  ...overrides
+});
+
+async function seedAffiliate(code, overrides = {}) {
+  return prisma.affiliate.create({
+    data: { code, email: `${code.toLowerCase()}@example.com`, status: 'ACTIVE', commissionRate: 10, ...overrides }
+  });
+}
+
+async function seedTouch(affiliate, createdAt, overrides = {}) {
+  return prisma.affiliateReferral.create({
+    data: { affiliateId: affiliate.id, visitorId: 'visitor-1', sessionId: `s-${createdAt.getTime()}`, createdAt, ...overrides }
+  });
+}
+
+const affiliateTotals = async (affiliate) => {
+  const row = await prisma.affiliate.findUnique({ where: { id: affiliate.id } });
+  return { totalCommission: Number(row.totalCommission), totalRevenue: Number(row.totalRevenue), totalReferrals: row.totalReferrals };
+};
+
+describe('Affiliate Attribution', () => {
+
+  describe('attribute() - Attribution models', () => {
+    const touches = [
+      { id: 'middle', affiliateId: 'b', createdAt: ago(3 * DAY_MS) },
+      { id: 'last', affiliateId: 'a', createdAt: ago(60 * 1000) },
+      { id: 'first', affiliateId: 'a', createdAt: ago(14 * DAY_MS) }
+    ];
+
+    test('should credit the earliest touch with first-touch', () => {
+      expect(attribute(touches, 'first-touch', AT)).toEqual([{ touch: touches[2], weight: 1 }]);
+    });
+
+    test('should credit the latest touch with last-touch', () => {
+      expect(attribute(touches, 'last-touch', AT)).toEqual([{ touch: touches[1], weight: 1 }]);
+    });
+
+    test('should share time-decay credit by halving weight every half-life', () => {
+      const week = [
+        { id: 'old', affiliateId: 'a', createdAt: ago(7 * DAY_MS) },
+        { id: 'new', affiliateId: 'b', createdAt: AT }
+      ];
+      const credited = attribute(week, 'time-decay', AT);
+
+      expect(credited).toEqual([
+        { touch: week[0], weight: 0.3333 },
+        { touch: week[1], weight: 0.6667 }
+      ]);
+    });
+
+    test('should add up an affiliate\'s touches and credit its latest one', () => {
+      const credited = attribute(touches, 'time-decay', AT);
+      const byAffiliate = Object.fromEntries(credited.map(c => [c.touch.affiliateId, c]));
+
+      expect(credited).toHaveLength(2);
+      expect(byAffiliate.a.touch.id).toBe('last');
+      expect(byAffiliate.a.weight).toBeGreaterThan(byAffiliate.b.weight);
+      expect(byAffiliate.a.weight + byAffiliate.b.weight).toBeCloseTo(1, 3);
+    });
+
+    test('should credit nobody without touches', () => {
+      expect(attribute([], 'last-touch', AT)).toEqual([]);
+    });
+  });
+
+  describe('recordConversion() - Commissions', () => {
+    test('should pay the last touch its rate on net revenue', async () => {
+      const first = await seedAffiliate('FIRST');
+      const last = await seedAffiliate('LAST');
+      await seedTouch(first, ago(2 * DAY_MS));
+      const touch = await seedTouch(last, ago(60 * 60 * 1000));
+
+      const { commissions, duplicate } = await recordConversion(purchase({ orderId: 'order-1', model: 'last-touch' }));
+
+      expect(duplicate).toBe(false);
+      expect(commissions).toHaveLength(1);
+      expect(commissions[0]).toMatchObject({ affiliateId: last.id, referralId: touch.id, status: 'PENDING' });
+      expect(Number(commissions[0].commissionAmount)).toBe(10);
+      expect(commissions[0].splitPolicy).toBe('digital-products@1');
+      expect(await affiliateTotals(last)).toEqual({ totalCommission: 10, totalRevenue: 100, totalReferrals: 1 });
+      expect(await affiliateTotals(first)).toEqual({ totalCommission: 0, totalRevenue: 0, totalReferrals: 0 });
+    });
+
+    test('should split time-decay commissions by weight', async () => {
+      const older = await seedAffiliate('OLDER');
+      const newer = await seedAffiliate('NEWER');
+      await seedTouch(older, ago(7 * DAY_MS));
+      await seedTouch(newer, ago(60 * 1000));
+
+      const { commissions } = await recordConversion(purchase({ orderId: 'order-2', model: 'time-decay' }));
+      const byAffiliate = Object.fromEntries(commissions.map(c => [c.affiliateId, c]));
+
+      expect(Number(byAffiliate[older.id].attributionWeight)).toBe(0.3333);
+      expect(Number(byAffiliate[newer.id].attributionWeight)).toBe(0.6667);
+      expect(Number(byAffiliate[older.id].commissionAmount)).toBe(3.33);
+      expect(Number(byAffiliate[newer.id].commissionAmount)).toBe(6.66);
+    });
+
+    test('should convert an order once however often it is reported', async () => {
+      const affiliate = await seedAffiliate('ONCE');
+      await seedTouch(affiliate, ago(DAY_MS));
+
+      const first = await recordConversion(purchase({ orderId: 'order-3' }));
+      const again = await recordConversion(purchase({ orderId: 'order-3', amount: 250 }));
+
+      expect(again.duplicate).toBe(true);
+      expect(again.conversion.id).toBe(first.conversion.id);
+      expect(await prisma.affiliateConversion.count()).toBe(1);
+      expect(await prisma.affiliateCommission.count()).toBe(1);
+      expect(await affiliateTotals(affiliate)).toEqual({ totalCommission: 10, totalRevenue: 100, totalReferrals: 1 });
+    });
+
+    test('should record a conversion without touches and pay nobody', async () => {
+      const { conversion, commissions } = await recordConversion(purchase({ orderId: 'order-4', visitorId: 'stranger' }));
+
+      expect(conversion.orderId).toBe('order-4');
+      expect(commissions).toEqual([]);
+    });
+
+    test('should reject a missing order id or a bad model', async () => {
+      await expect(recordConversion(purchase({ orderId: undefined }))).rejects.toMatchObject({ status: 400 });
+      await expect(recordConversion(purchase({ orderId: 'order-5', model: 'linear' }))).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('Fraud holds and review', () => {
+    test('should hold a self-referral and count it only once released', async () => {
+      const affiliate = await seedAffiliate('SELF', { email: 'jo.smith@gmail.com' });
+      await seedTouch(affiliate, ago(DAY_MS));
+
+      const { commissions } = await recordConversion(purchase({
+        orderId: 'order-6',
+        customerEmail: 'JoSmith+deals@googlemail.com',
+        paymentId: 'payment-6'
+      }));
+      const [held] = commissions;
+
+      expect(held.status).toBe('HELD');
+      expect(held.fraudSignals.map(s => s.signal)).toContain('self_referral_email');
+      expect((await affiliateTotals(affiliate)).totalCommission).toBe(0);
+
+      // Refunded 40% while on hold
+      await reverseForRefund({ externalId: 'refund:r6', paymentId: 'payment-6', amount: 40, reason: 'refund' });
+      expect((await affiliateTotals(affiliate)).totalCommission).toBe(0);
+
+      const released = await reviewCommission(held.id, { decision: 'release', actor: 'user:finance@example.com' });
+
+      expect(released.status).toBe('PENDING');
+      expect(released.reviewedBy).toBe('user:finance@example.com');
+      expect((await affiliateTotals(affiliate)).totalCommission).toBe(6);
+      await expect(reviewCommission(held.id, { decision: 'release' })).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should need a note to reject a held commission', async () => {
+      const affiliate = await seedAffiliate('REJECT', { email: 'reject@example.com' });
+      await seedTouch(affiliate, ago(DAY_MS));
+      const { commissions } = await recordConversion(purchase({ orderId: 'order-7', customerEmail: 'reject@example.com' }));
+
+      await expect(reviewCommission(commissions[0].id, { decision: 'reject' })).rejects.toMatchObject({ status: 400 });
+      const rejected = await reviewCommission(commissions[0].id, { decision: 'reject', note: 'Bought through own link' });
+
+      expect(rejected.status).toBe('REJECTED');
+      expect((await affiliateTotals(affiliate)).totalCommission).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Affiliate Commissions Tests
+ * FOR THE KIDS - Commission lifecycle
+ *
+ * Runs the commission service against an in-memory Prisma (no server needed):
+ * - Rate schedules: the most specific schedule wins and the tier follows
+ *   this month's volume
+ * - Refunds reverse commissions pro rata, once per refund, and claw back
+ *   what was already paid
+ * - Commissions are approved after the hold period
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  validateTiers,
+  createRateSchedule,
+  resolveCommissionRate,
+  reverseForRefund,
+  reverseCommission,
+  approveDueCommissions,
+  holdUntil
+} = await import('../services/affiliate-commissions.js');
+
+const AT = new Date('2026-03-20T12:00:00Z');
+const TIERS = [{ from: 0, rate: 10 }, { from: 1000, rate: 15 }, { from: 5000, rate: 20 }];
+
+async function seedAffiliate(code, overrides = {}) {
+  return prisma.affiliate.create({
+    data: { code, email: `${code.toLowerCase()}@example.com`, status: 'ACTIVE', commissionRate: 8, ...overrides }
+  });
+}
+
+async function seedCommission(affiliate, overrides = {}) {
+  return prisma.affiliateCommission.create({
+    data: {
+      affiliateId: affiliate.id,
+      referralId: 'referral',
+      revenueAmount: 100,
+      commissionRate: 10,
+      commissionAmount: 10,
+      charityImpact: 90,
+      createdAt: new Date('2026-03-05T00:00:00Z'),
+      ...overrides
+    }
+  });
+}
+
+async function seedConversion(affiliate, commission = {}) {
+  const conversion = await prisma.affiliateConversion.create({
+    data: {
+      orderId: 'order-1',
+      paymentId: 'payment-1',
+      source: 'api',
+      revenueAmount: 100,
+      occurredAt: AT,
+      attributionModel: 'last-touch'
+    }
+  });
+  await prisma.affiliate.update({ where: { id: affiliate.id }, data: { totalCommission: { increment: 10 } } });
+  return seedCommission(affiliate, { conversionId: conversion.id, ...commission });
+}
+
+const reload = (model, row) => prisma[model].findUnique({ where: { id: row.id } });
+
+describe('Affiliate Commissions', () => {
+
+  describe('validateTiers()', () => {
+    test('should accept tiers starting at 0 with increasing thresholds', () => {
+      expect(validateTiers([{ from: 0, rate: 10, label: 'base' }, { from: 500, rate: 12 }]))
+        .toEqual([{ from: 0, rate: 10 }, { from: 500, rate: 12 }]);
+    });
+
+    test.each([
+      ['no tiers', []],
+      ['a first tier above 0', [{ from: 100, rate: 10 }]],
+      ['thresholds out of order', [{ from: 0, rate: 10 }, { from: 500, rate: 12 }, { from: 500, rate: 15 }]],
+      ['a rate over 100', [{ from: 0, rate: 120 }]],
+      ['a non-numeric rate', [{ from: 0, rate: '10' }]]
+    ])('should reject %s', (_, tiers) => {
+      expect(() => validateTiers(tiers)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('resolveCommissionRate() - Tier selection', () => {
+    test('should use the affiliate\'s flat rate without a schedule', async () => {
+      const affiliate = await seedAffiliate('FLAT');
+      expect(await resolveCommissionRate(affiliate, { at: AT })).toEqual({ rate: 8, scheduleId: null });
+    });
+
+    test('should pick the tier this month\'s revenue has reached', async () => {
+      const affiliate = await seedAffiliate('TIERED');
+      const schedule = await createRateSchedule({ name: 'Program', tiers: TIERS, effectiveFrom: '2026-01-01' });
+
+      expect(await resolveCommissionRate(affiliate, { at: AT })).toEqual({ rate: 10, scheduleId: schedule.id });
+
+      await seedCommission(affiliate, { revenueAmount: 800 });
+      await seedCommission(affiliate, { revenueAmount: 300, attributionWeight: 0.5 });
+      expect((await resolveCommissionRate(affiliate, { at: AT })).rate).toBe(10);
+
+      await seedCommission(affiliate, { revenueAmount: 200 });
+      expect((await resolveCommissionRate(affiliate, { at: AT })).rate).toBe(15);
+    });
+
+    test('should not count last month, later sales or reversed commissions', async () => {
+      const affiliate = await seedAffiliate('VOLUME');
+      await createRateSchedule({ name: 'Program', tiers: TIERS, effectiveFrom: '2026-01-01' });
+
+      await seedCommission(affiliate, { revenueAmount: 3000, createdAt: new Date('2026-02-27T00:00:00Z') });
+      await seedCommission(affiliate, { revenueAmount: 3000, createdAt: new Date('2026-03-25T00:00:00Z') });
+      await seedCommission(affiliate, { revenueAmount: 3000, status: 'REVERSED' });
+
+      expect((await resolveCommissionRate(affiliate, { at: AT })).rate).toBe(10);
+    });
+
+    test('should count conversions for a MONTHLY_CONVERSIONS schedule', async () => {
+      const affiliate = await seedAffiliate('COUNT');
+      await createRateSchedule({
+        name: 'Per sale',
+        basis: 'MONTHLY_CONVERSIONS',
+        tiers: [{ from: 0, rate: 10 }, { from: 3, rate: 12 }],
+        effectiveFrom: '2026-01-01'
+      });
+      for (let i = 0; i < 3; i++) await seedCommission(affiliate, { revenueAmount: 1 });
+
+      expect((await resolveCommissionRate(affiliate, { at: AT })).rate).toBe(12);
+    });
+
+    test('should prefer the most specific schedule in effect', async () => {
+      const affiliate = await seedAffiliate('SPECIFIC');
+      const other = await seedAffiliate('OTHER');
+      await createRateSchedule({ name: 'Program', tiers: [{ from: 0, rate: 10 }], effectiveFrom: '2026-01-01' });
+      const product = await createRateSchedule({ name: 'Hoodies', productSku: 'HOODIE', tiers: [{ from: 0, rate: 12 }], effectiveFrom: '2026-01-01' });
+      const mine = await createRateSchedule({ name: 'Partner', affiliateId: affiliate.id, tiers: [{ from: 0, rate: 14 }], effectiveFrom: '2026-01-01' });
+      const mineForProduct = await createRateSchedule({
+        name: 'Partner hoodies', affiliateId: affiliate.id, productSku: 'HOODIE', tiers: [{ from: 0, rate: 16 }], effectiveFrom: '2026-01-01'
+      });
+      await createRateSchedule({ name: 'Next quarter', affiliateId: affiliate.id, tiers: [{ from: 0, rate: 30 }], effectiveFrom: '2026-04-01' });
+      await createRateSchedule({
+        name: 'Ended', affiliateId: affiliate.id, tiers: [{ from: 0, rate: 40 }], effectiveFrom: '2026-01-01', effectiveTo: '2026-03-01'
+      });
+
+      expect(await resolveCommissionRate(affiliate, { sku: 'HOODIE', at: AT })).toEqual({ rate: 16, scheduleId: mineForProduct.id });
+      expect(await resolveCommissionRate(affiliate, { sku: 'MUG', at: AT })).toEqual({ rate: 14, scheduleId: mine.id });
+      expect(await resolveCommissionRate(other, { sku: 'HOODIE', at: AT })).toEqual({ rate: 12, scheduleId: product.id });
+      expect((await resolveCommissionRate(other, { at: AT })).rate).toBe(10);
+    });
+  });
+
+  describe('reverseForRefund() - Refunds and chargebacks', () => {
+    test('should reverse a partial refund pro rata, once per refund', async () => {
+      const affiliate = await seedAffiliate('REFUND');
+      const commission = await seedConversion(affiliate);
+
+      const first = await reverseForRefund({ externalId: 'refund:r1', paymentId: 'payment-1', amount: 25, reason: 'refund' });
+      const repeat = await reverseForRefund({ externalId: 'refund:r1', paymentId: 'payment-1', amount: 25, reason: 'refund' });
+
+      expect(first.reversed).toEqual([{ commissionId: commission.id, amount: 2.5, clawback: false }]);
+      expect(repeat.reversed).toEqual([]);
+      expect(await reload('affiliateCommission', commission)).toMatchObject({ status: 'PENDING', reversedAmount: 2.5 });
+      expect(Number((await reload('affiliate', affiliate)).totalCommission)).toBe(7.5);
+    });
+
+    test('should reverse what is left and close the commission on a full refund', async () => {
+      const affiliate = await seedAffiliate('FULL');
+      const commission = await seedConversion(affiliate);
+
+      await reverseForRefund({ externalId: 'refund:r1', orderId: 'order-1', amount: 40, reason: 'refund' });
+      const rest = await reverseForRefund({ externalId: 'dispute:d1', paymentId: 'payment-1', reason: 'chargeback' });
+
+      expect(rest.reversed[0].amount).toBe(6);
+      expect(await reload('affiliateCommission', commission)).toMatchObject({ status: 'REVERSED', reversedAmount: 10 });
+      expect(Number((await reload('affiliate', affiliate)).totalCommission)).toBe(0);
+    });
+
+    test('should claw back a commission that was already paid', async () => {
+      const affiliate = await seedAffiliate('PAID');
+      const commission = await seedConversion(affiliate, { status: 'PAID', isPaid: true });
+
+      const result = await reverseForRefund({ externalId: 'refund:r1', paymentId: 'payment-1', amount: 50, reason: 'refund' });
+
+      expect(result.reversed).toEqual([{ commissionId: commission.id, amount: 5, clawback: true }]);
+      expect(Number((await reload('affiliate', affiliate)).clawbackBalance)).toBe(5);
+    });
+
+    test('should skip payments nobody was credited for', async () => {
+      expect(await reverseForRefund({ externalId: 'refund:r1', reason: 'refund' })).toEqual({ skipped: 'no_payment' });
+      expect(await reverseForRefund({ externalId: 'refund:r1', paymentId: 'unknown', reason: 'refund' }))
+        .toEqual({ skipped: 'not_attributed' });
+    });
+
+    test('should need a note to reverse by hand, and only once', async () => {
+      const affiliate = await seedAffiliate('MANUAL');
+      const commission = await seedConversion(affiliate);
+
+      await expect(reverseCommission(commission.id, {})).rejects.toMatchObject({ status: 400 });
+      const reversed = await reverseCommission(commission.id, { note: 'Goodwill refund', actor: 'user:finance@example.com' });
+
+      expect(reversed.status).toBe('REVERSED');
+      expect(reversed.reversals).toHaveLength(1);
+      await expect(reverseCommission(commission.id, { note: 'Again' })).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('approveDueCommissions() - Hold period', () => {
+    test('should approve pending commissions once the hold period is over', async () => {
+      const affiliate = await seedAffiliate('HOLD');
+      const due = await seedCommission(affiliate, { holdUntil: holdUntil(new Date('2026-02-01T00:00:00Z')) });
+      const waiting = await seedCommission(affiliate, { holdUntil: holdUntil(AT) });
+      const held = await seedCommission(affiliate, { status: 'HELD', holdUntil: new Date('2026-02-01T00:00:00Z') });
+
+      expect(await approveDueCommissions(AT)).toBe(1);
+      expect((await reload('affiliateCommission', due)).status).toBe('APPROVED');
+      expect((await reload('affiliateCommission', waiting)).status).toBe('PENDING');
+      expect((await reload('affiliateCommission', held)).status).toBe('HELD');
+    });
+  });
+});
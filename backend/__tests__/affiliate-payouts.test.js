@@ -0,0 +1,386 @@
+/**
+ * Affiliate Payouts Tests
+ * FOR THE KIDS - Monthly affiliate payout batches
+ *
+ * Runs the payout service against an in-memory Prisma (no server needed):
+ * - NACHA files are 94-character records blocked in tens
+ * - PayPal CSV rows are escaped
+ * - A period is generated once, with clawbacks deducted once
+ * - A payout whose commissions changed after they were read rolls back
+ * - A partially failed send settles what was paid and retries only the rest
+ * - Exported payouts can't be exported or sent again
+ * - Affiliates get a confirmation email when a payout is paid
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import { useMemoryPrisma, mockSendGrid } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma({ env: { ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex') } });
+const { sent: sentEmails, send: sendEmail } = mockSendGrid();
+
+const {
+  generatePayoutBatch,
+  sendPayoutBatch,
+  completePayout,
+  exportPayoutBatch,
+  sealBankDetails,
+  registerPayoutProvider
+} = await import('../services/affiliate-payouts/index.js');
+const { buildNachaFile, buildPaypalCsv } = await import('../services/affiliate-payouts/exports.js');
+const { getPayoutProvider } = await import('../services/affiliate-payouts/providers.js');
+
+const PERIOD = '2025-01';
+const NACHA_ENV = {
+  NACHA_IMMEDIATE_DESTINATION: '021000021',
+  NACHA_IMMEDIATE_ORIGIN: '1234567890',
+  NACHA_COMPANY_ID: '1234567890',
+  NACHA_COMPANY_NAME: 'FOR THE KIDS',
+  NACHA_ORIGIN_NAME: 'FOR THE KIDS'
+};
+
+const bankPayout = (id, amount, accountType = 'checking') => ({
+  id,
+  affiliateId: id,
+  payoutAmount: amount,
+  paymentMethod: 'bank',
+  affiliate: { code: `AFF${id}`, name: `Affiliate ${id}` },
+  bankDetails: { routingNumber: '011000015', accountNumber: `00012345${id}`, accountType, accountName: `Affiliate ${id}` }
+});
+
+async function seedAffiliate({ code, clawbackBalance = 0, paymentMethod = 'paypal', bankDetails = null, notifyOnPayout = true, commissions }) {
+  const affiliate = await prisma.affiliate.create({
+    data: {
+      code,
+      email: `${code.toLowerCase()}@example.com`,
+      status: 'ACTIVE',
+      paymentMethod,
+      paymentEmail: paymentMethod === 'bank' ? null : `${code.toLowerCase()}@example.com`,
+      bankDetails,
+      clawbackBalance,
+      notifyOnPayout
+    }
+  });
+  for (const [commissionAmount, reversedAmount = 0] of commissions) {
+    await prisma.affiliateCommission.create({
+      data: {
+        affiliateId: affiliate.id,
+        referralId: `ref-${code}`,
+        revenueAmount: commissionAmount * 10,
+        commissionRate: 10,
+        commissionAmount,
+        reversedAmount,
+        charityImpact: 0,
+        status: 'APPROVED',
+        approvedAt: new Date('2025-01-15T00:00:00Z')
+      }
+    });
+  }
+  return affiliate;
+}
+
+const payoutFor = async (affiliate) =>
+  prisma.affiliatePayout.findFirst({ where: { affiliateId: affiliate.id } });
+
+afterEach(() => {
+  delete process.env.AFFILIATE_PAYOUT_PROVIDER;
+  for (const name of Object.keys(NACHA_ENV)) delete process.env[name];
+});
+
+describe('Affiliate Payouts', () => {
+
+  describe('buildNachaFile - ACH export', () => {
+    beforeEach(() => Object.assign(process.env, NACHA_ENV));
+
+    test('should write 94-character records padded to a block of ten', () => {
+      const file = buildNachaFile(
+        [bankPayout('1', 55.5), bankPayout('2', 100, 'savings'), { id: '3', paymentMethod: 'paypal' }],
+        { period: PERIOD, effectiveDate: new Date('2025-02-03T00:00:00Z'), createdAt: new Date('2025-02-01T09:30:00Z') }
+      );
+      const records = file.body.trimEnd().split('\n');
+
+      expect(file.body.endsWith('\n')).toBe(true);
+      expect(records).toHaveLength(10);
+      expect(records.every(record => record.length === 94)).toBe(true);
+      expect(records.map(record => record[0]).join('')).toBe('1566899999');
+      expect(records.slice(6).every(record => record === '9'.repeat(94))).toBe(true);
+      expect(file.count).toBe(2);
+      expect(file.skipped).toEqual([{ payoutId: '3', reason: 'not a bank payout' }]);
+    });
+
+    test('should carry each credit and the totals in cents', () => {
+      const file = buildNachaFile([bankPayout('1', 55.5), bankPayout('2', 100, 'savings')], { period: PERIOD });
+      const [, batchHeader, checking, savings, batchControl, fileControl] = file.body.split('\n');
+
+      expect(batchHeader.slice(1, 4)).toBe('220');
+      expect(batchHeader.slice(50, 53)).toBe('PPD');
+      expect(checking.slice(1, 3)).toBe('22');
+      expect(savings.slice(1, 3)).toBe('32');
+      expect(checking.slice(3, 12)).toBe('011000015');
+      expect(checking.slice(29, 39)).toBe('0000005550');
+      expect(savings.slice(29, 39)).toBe('0000010000');
+      expect(batchControl.slice(4, 10)).toBe('000002');
+      expect(batchControl.slice(32, 44)).toBe('000000015550');
+      expect(fileControl.slice(7, 13)).toBe('000001');
+      expect(fileControl.slice(43, 55)).toBe('000000015550');
+    });
+
+    test('should count blocks once the records pass ten', () => {
+      const payouts = Array.from({ length: 7 }, (_, i) => bankPayout(String(i + 1), 50));
+      const records = buildNachaFile(payouts, { period: PERIOD }).body.trimEnd().split('\n');
+
+      expect(records).toHaveLength(20);
+      expect(records[10].slice(7, 13)).toBe('000002');
+      expect(records.every(record => record.length === 94)).toBe(true);
+    });
+
+    test('should skip invalid bank details and refuse without an originator', () => {
+      const bad = { ...bankPayout('1', 50), bankDetails: { routingNumber: '123456789', accountNumber: '1' } };
+      expect(buildNachaFile([bad], { period: PERIOD }).skipped)
+        .toEqual([{ payoutId: '1', reason: 'invalid bank details' }]);
+
+      delete process.env.NACHA_COMPANY_ID;
+      expect(() => buildNachaFile([bankPayout('1', 50)], { period: PERIOD }))
+        .toThrow(expect.objectContaining({ status: 503 }));
+    });
+  });
+
+  describe('buildPaypalCsv - PayPal Payouts upload', () => {
+    test('should quote fields with commas and quotes and end rows with CRLF', () => {
+      const file = buildPaypalCsv([
+        { id: 'p1', paymentMethod: 'paypal', paymentEmail: '"pay,me"@example.com', payoutAmount: 55.5 },
+        { id: 'p2', paymentMethod: 'square', paymentEmail: 'plain@example.com', payoutAmount: '100' },
+        { id: 'p3', paymentMethod: 'bank', payoutAmount: 70 },
+        { id: 'p4', paymentMethod: 'paypal', paymentEmail: null, payoutAmount: 70 }
+      ], { period: PERIOD });
+
+      expect(file.body).toBe(
+        '"""pay,me""@example.com",55.50,USD,p1,Affiliate commissions 2025-01,PAYPAL\r\n'
+        + 'plain@example.com,100.00,USD,p2,Affiliate commissions 2025-01,PAYPAL\r\n'
+      );
+      expect(file.count).toBe(2);
+      expect(file.skipped).toEqual([
+        { payoutId: 'p3', reason: 'bank payout' },
+        { payoutId: 'p4', reason: 'no payment email' }
+      ]);
+    });
+  });
+
+  describe('generatePayoutBatch - Monthly batch', () => {
+    test('should deduct clawbacks and leave small balances for next month', async () => {
+      const clawedBack = await seedAffiliate({ code: 'CLAW', clawbackBalance: 20, commissions: [[50], [30, 5]] });
+      const small = await seedAffiliate({ code: 'SMALL', commissions: [[40]] });
+      const full = await seedAffiliate({ code: 'FULL', commissions: [[60], [40]] });
+
+      const { batch, created } = await generatePayoutBatch(PERIOD);
+
+      expect(created).toBe(true);
+      expect(batch.status).toBe('READY');
+      expect(batch.payoutCount).toBe(2);
+      expect(Number(batch.totalAmount)).toBe(155);
+
+      const payout = await payoutFor(clawedBack);
+      expect(Number(payout.totalCommission)).toBe(75);
+      expect(Number(payout.clawbackApplied)).toBe(20);
+      expect(Number(payout.payoutAmount)).toBe(55);
+      expect(Number((await prisma.affiliate.findUnique({ where: { id: clawedBack.id } })).clawbackBalance)).toBe(0);
+
+      expect(await payoutFor(small)).toBeNull();
+      expect(await prisma.affiliateCommission.count({ where: { affiliateId: small.id, payoutId: null } })).toBe(1);
+      expect(Number((await payoutFor(full)).payoutAmount)).toBe(100);
+    });
+
+    test('should return the existing batch when a period is generated again', async () => {
+      const affiliate = await seedAffiliate({ code: 'AGAIN', clawbackBalance: 10, commissions: [[80]] });
+
+      const first = await generatePayoutBatch(PERIOD);
+      // A commission approved since then doesn't reopen the period
+      await seedAffiliate({ code: 'LATE', commissions: [[90]] });
+      const second = await generatePayoutBatch(PERIOD);
+
+      expect(second.created).toBe(false);
+      expect(second.batch.id).toBe(first.batch.id);
+      expect(await prisma.affiliatePayoutBatch.count()).toBe(1);
+      expect(await prisma.affiliatePayout.count()).toBe(1);
+      expect(Number((await payoutFor(affiliate)).payoutAmount)).toBe(70);
+      expect(Number((await prisma.affiliate.findUnique({ where: { id: affiliate.id } })).clawbackBalance)).toBe(0);
+    });
+
+    test('should roll back a payout whose commissions changed after they were read', async () => {
+      const affiliate = await seedAffiliate({ code: 'RACE', commissions: [[60], [40]] });
+      const reversed = await prisma.affiliateCommission.findFirst({ where: { commissionAmount: 40 } });
+      const transaction = prisma.$transaction;
+      jest.spyOn(prisma, '$transaction').mockImplementationOnce(async (...args) => {
+        await prisma.affiliateCommission.update({ where: { id: reversed.id }, data: { status: 'REVERSED' } });
+        return transaction(...args);
+      });
+
+      await expect(generatePayoutBatch(PERIOD)).rejects.toMatchObject({ status: 409 });
+      expect(await prisma.affiliatePayout.count()).toBe(0);
+      expect(await prisma.affiliateCommission.count({ where: { payoutId: null } })).toBe(2);
+      expect((await prisma.affiliatePayoutBatch.findFirst()).status).toBe('GENERATING');
+
+      const { batch } = await generatePayoutBatch(PERIOD);
+
+      expect(batch.status).toBe('READY');
+      expect(Number((await payoutFor(affiliate)).payoutAmount)).toBe(60);
+    });
+
+    test('should deduct a clawback booked after the commissions were read', async () => {
+      const affiliate = await seedAffiliate({ code: 'LATECLAW', commissions: [[60], [40]] });
+      const transaction = prisma.$transaction;
+      jest.spyOn(prisma, '$transaction').mockImplementationOnce(async (...args) => {
+        await prisma.affiliate.update({ where: { id: affiliate.id }, data: { clawbackBalance: 25 } });
+        return transaction(...args);
+      });
+
+      await generatePayoutBatch(PERIOD);
+
+      expect(Number((await payoutFor(affiliate)).clawbackApplied)).toBe(25);
+      expect(Number((await payoutFor(affiliate)).payoutAmount)).toBe(75);
+      expect(Number((await prisma.affiliate.findUnique({ where: { id: affiliate.id } })).clawbackBalance)).toBe(0);
+    });
+
+    test('should refuse a month that has not ended', async () => {
+      const next = new Date();
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      await expect(generatePayoutBatch(next.toISOString().slice(0, 7)))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('sendPayoutBatch - Provider send', () => {
+    test('should need a configured provider, and never the sandbox in production', () => {
+      expect(() => getPayoutProvider()).toThrow(expect.objectContaining({ status: 503 }));
+
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(() => getPayoutProvider('sandbox')).toThrow(expect.objectContaining({ status: 503 }));
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+
+    test('should settle paid payouts and retry only the failed ones', async () => {
+      const paid = await seedAffiliate({ code: 'PAID', commissions: [[60]] });
+      const failing = await seedAffiliate({ code: 'FAILS', commissions: [[70]] });
+      const { batch } = await generatePayoutBatch(PERIOD);
+
+      const sent = [];
+      let failFor = failing.id;
+      registerPayoutProvider({
+        id: 'test-provider',
+        async send(payouts) {
+          sent.push(payouts.map(p => p.affiliateId));
+          return payouts.map(p => (p.affiliateId === failFor
+            ? { payoutId: p.id, status: 'FAILED', error: 'Recipient account is closed' }
+            : { payoutId: p.id, status: 'COMPLETED', reference: `ref-${p.id}` }));
+        }
+      });
+      process.env.AFFILIATE_PAYOUT_PROVIDER = 'test-provider';
+
+      const first = await sendPayoutBatch(batch.id, { actor: 'user:finance@example.com' });
+
+      expect(first).toMatchObject({ completed: 1, failed: 1, processing: 0 });
+      expect(first.batch.status).toBe('PARTIALLY_FAILED');
+      expect(await payoutFor(paid)).toMatchObject({ status: 'COMPLETED', provider: 'test-provider' });
+      expect(await payoutFor(failing)).toMatchObject({ status: 'FAILED', errorMessage: 'Recipient account is closed' });
+      expect(await prisma.affiliateCommission.findFirst({ where: { affiliateId: paid.id } }))
+        .toMatchObject({ status: 'PAID', isPaid: true });
+      expect(await prisma.affiliateCommission.findFirst({ where: { affiliateId: failing.id } }))
+        .toMatchObject({ status: 'APPROVED', isPaid: false });
+      expect(Number((await prisma.affiliate.findUnique({ where: { id: paid.id } })).totalPaid)).toBe(60);
+
+      failFor = null;
+      const retry = await sendPayoutBatch(batch.id);
+
+      expect(sent[0].sort()).toEqual([paid.id, failing.id].sort());
+      expect(sent[1]).toEqual([failing.id]);
+      expect(retry.batch.status).toBe('COMPLETED');
+      expect(Number((await prisma.affiliate.findUnique({ where: { id: paid.id } })).totalPaid)).toBe(60);
+      await expect(sendPayoutBatch(batch.id)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('completePayout - Confirmation', () => {
+    test('should email the affiliate once the payout is paid, unless they opted out', async () => {
+      const notified = await seedAffiliate({ code: 'NOTIFY', commissions: [[60]] });
+      const quiet = await seedAffiliate({ code: 'QUIET', notifyOnPayout: false, commissions: [[70]] });
+      await generatePayoutBatch(PERIOD);
+
+      const payout = await completePayout((await payoutFor(notified)).id, { reference: 'PP-123', actor: 'user:finance@example.com' });
+      await completePayout((await payoutFor(quiet)).id, { reference: 'PP-124' });
+
+      expect(payout.status).toBe('COMPLETED');
+      expect(sentEmails).toHaveLength(1);
+      expect(sentEmails[0]).toMatchObject({ to: 'notify@example.com', subject: 'Your 2025-01 affiliate payout of $60.00 has been paid' });
+      expect(sentEmails[0].html).toContain('reference PP-123');
+    });
+
+    test('should keep the payout settled when the email fails', async () => {
+      const affiliate = await seedAffiliate({ code: 'BOUNCE', commissions: [[60]] });
+      await generatePayoutBatch(PERIOD);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      sendEmail.mockRejectedValueOnce(new Error('SendGrid unavailable'));
+
+      expect(await completePayout((await payoutFor(affiliate)).id)).toMatchObject({ status: 'COMPLETED' });
+      expect(console.error).toHaveBeenCalledWith('❌ Payout confirmation email error:', expect.objectContaining({ error: 'SendGrid unavailable' }));
+    });
+  });
+
+  describe('exportPayoutBatch - Export files', () => {
+    test('should claim exported payouts so they are not exported or sent again', async () => {
+      const emailed = await seedAffiliate({ code: 'MAIL', commissions: [[60]] });
+      const banked = await seedAffiliate({
+        code: 'BANK',
+        paymentMethod: 'bank',
+        bankDetails: sealBankDetails({ routingNumber: '011000015', accountNumber: '000123456', accountName: 'Bank Affiliate' }),
+        commissions: [[80]]
+      });
+      const { batch } = await generatePayoutBatch(PERIOD);
+
+      const csv = await exportPayoutBatch(batch.id, 'paypal-csv', { actor: 'user:finance@example.com' });
+      expect(csv.count).toBe(1);
+      expect(await payoutFor(emailed)).toMatchObject({ status: 'PROCESSING', provider: 'export:paypal-csv' });
+      expect(await payoutFor(banked)).toMatchObject({ status: 'PENDING' });
+
+      const again = await exportPayoutBatch(batch.id, 'paypal-csv');
+      expect(again.count).toBe(0);
+      expect(again.body).toBe('');
+
+      const sent = [];
+      registerPayoutProvider({
+        id: 'test-provider',
+        async send(payouts) {
+          sent.push(...payouts.map(p => p.affiliateId));
+          return payouts.map(p => ({ payoutId: p.id, status: 'PROCESSING', reference: `ref-${p.id}` }));
+        }
+      });
+      process.env.AFFILIATE_PAYOUT_PROVIDER = 'test-provider';
+      await sendPayoutBatch(batch.id);
+
+      expect(sent).toEqual([banked.id]);
+      expect(await payoutFor(emailed)).toMatchObject({ provider: 'export:paypal-csv' });
+    });
+
+    test('should claim nothing when the format is not configured', async () => {
+      const banked = await seedAffiliate({
+        code: 'BANK',
+        paymentMethod: 'bank',
+        bankDetails: sealBankDetails({ routingNumber: '011000015', accountNumber: '000123456' }),
+        commissions: [[80]]
+      });
+      const { batch } = await generatePayoutBatch(PERIOD);
+
+      await expect(exportPayoutBatch(batch.id, 'nacha')).rejects.toMatchObject({ status: 503 });
+      expect(await payoutFor(banked)).toMatchObject({ status: 'PENDING' });
+
+      Object.assign(process.env, NACHA_ENV);
+      const file = await exportPayoutBatch(batch.id, 'nacha');
+      expect(file.count).toBe(1);
+      expect(file.body).toContain('000123456');
+      expect(await payoutFor(banked)).toMatchObject({ status: 'PROCESSING', provider: 'export:nacha' });
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Affiliate Portal Service Tests
+ * FOR THE KIDS - Affiliate self-service
+ *
+ * Runs the portal service against an in-memory Prisma, with SendGrid
+ * replaced by a recorder (no server needed):
+ * - Sign-in links are single-use, expire and are throttled
+ * - Sessions end on logout, expiry or a locked account
+ * - Payment-method changes only apply once confirmed from the affiliate's
+ *   own session, and sign out every other device
+ * - The dashboard buckets clicks, conversions and payouts without gaps
+ * - Deep links only point at allowed hosts
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import { useMemoryPrisma, mockSendGrid, freezeTime } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma({ env: { ENCRYPTION_KEY: crypto.randomBytes(32).toString('hex') } });
+const { sent: sentEmails } = mockSendGrid();
+
+const {
+  PORTAL_POLICY,
+  requestLoginLink,
+  verifyLoginLink,
+  resolveSession,
+  logout,
+  requireAffiliateSession,
+  requestPaymentMethodChange,
+  confirmPaymentMethodChange,
+  getPortalDashboard,
+  listPortalCommissions,
+  buildAffiliateLink
+} = await import('../services/affiliate-portal/index.js');
+
+const MINUTE_MS = 60 * 1000;
+
+let affiliate;
+
+async function seedAffiliate(code, fields = {}) {
+  return prisma.affiliate.create({
+    data: {
+      code,
+      email: `${code.toLowerCase()}@example.com`,
+      status: 'ACTIVE',
+      paymentMethod: 'paypal',
+      paymentEmail: `${code.toLowerCase()}@example.com`,
+      ...fields
+    }
+  });
+}
+
+// The token in the link of the last email sent
+function lastEmailedToken() {
+  const { html } = sentEmails[sentEmails.length - 1];
+  return decodeURIComponent(html.match(/token=([^"&]+)/)[1]);
+}
+
+async function signIn(email = affiliate.email) {
+  await requestLoginLink(email);
+  return verifyLoginLink(lastEmailedToken(), { userAgent: 'Jest' });
+}
+
+/**
+ * Run requireAffiliateSession with a bearer token
+ * @returns {Promise<{ status: number|null, body: Object|null, req: Object, passed: boolean }>}
+ */
+async function checkSession(token) {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const outcome = { status: null, body: null, req, passed: false };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    json(body) { outcome.body = body; return this; }
+  };
+  await requireAffiliateSession(req, res, () => { outcome.passed = true; });
+  return outcome;
+}
+
+beforeEach(async () => {
+  affiliate = await seedAffiliate('PARTNER1');
+});
+
+afterEach(() => {
+  delete process.env.AFFILIATE_LINK_HOSTS;
+});
+
+describe('Affiliate Portal Service', () => {
+
+  describe('requestLoginLink() / verifyLoginLink()', () => {
+    test('should mail a single-use link that opens a session', async () => {
+      await requestLoginLink('nobody@example.com');
+      expect(sentEmails).toHaveLength(0);
+      await expect(requestLoginLink('not-an-email')).rejects.toMatchObject({ status: 400 });
+
+      await requestLoginLink('  Partner1@Example.com ');
+      const token = lastEmailedToken();
+
+      expect(sentEmails[0].to).toBe(affiliate.email);
+      expect(await prisma.affiliateLoginToken.findFirst({ where: { tokenHash: token } })).toBeNull();
+      const { sessionToken, affiliate: shown } = await verifyLoginLink(token);
+      expect(sessionToken).toMatch(/^afs_/);
+      expect(shown).toMatchObject({ code: 'PARTNER1', bankAccount: null });
+      expect((await resolveSession(sessionToken)).affiliateId).toBe(affiliate.id);
+      await expect(verifyLoginLink(token)).rejects.toMatchObject({ status: 401 });
+    });
+
+    test('should throttle links and let them expire', async () => {
+      freezeTime('2026-03-10T12:00:00Z');
+      for (let i = 0; i <= PORTAL_POLICY.loginLinksPerWindow; i++) {
+        await requestLoginLink(affiliate.email);
+      }
+      expect(sentEmails).toHaveLength(PORTAL_POLICY.loginLinksPerWindow);
+
+      jest.setSystemTime(new Date(Date.now() + (PORTAL_POLICY.loginLinkMinutes + 1) * MINUTE_MS));
+
+      await expect(verifyLoginLink(lastEmailedToken())).rejects.toMatchObject({ status: 401 });
+    });
+  });
+
+  describe('resolveSession() / requireAffiliateSession()', () => {
+    test('should need a live session', async () => {
+      const { sessionToken } = await signIn();
+
+      expect(await checkSession(sessionToken)).toMatchObject({ passed: true, req: { affiliate: { id: affiliate.id } } });
+      expect(await checkSession()).toMatchObject({ passed: false, status: 401 });
+
+      await logout(await resolveSession(sessionToken));
+      expect(await checkSession(sessionToken)).toMatchObject({ passed: false, status: 401 });
+    });
+
+    test('should sign out a suspended affiliate', async () => {
+      const { sessionToken } = await signIn();
+      await prisma.affiliate.update({ where: { id: affiliate.id }, data: { status: 'SUSPENDED' } });
+
+      await expect(resolveSession(sessionToken)).rejects.toMatchObject({ status: 403 });
+      expect(await prisma.affiliateSession.findFirst({ where: { affiliateId: affiliate.id } }))
+        .toMatchObject({ revokedAt: expect.any(Date), revokedReason: 'account_disabled' });
+      await requestLoginLink(affiliate.email);
+      expect(sentEmails).toHaveLength(1);
+    });
+  });
+
+  describe('requestPaymentMethodChange() / confirmPaymentMethodChange()', () => {
+    test('should only change the method once confirmed, and sign out other devices', async () => {
+      const laptop = await resolveSession((await signIn()).sessionToken);
+      const phone = await signIn();
+      const payout = await prisma.affiliatePayout.create({
+        data: {
+          affiliateId: affiliate.id,
+          periodStart: new Date('2026-02-01'),
+          periodEnd: new Date('2026-02-28'),
+          totalCommission: 25,
+          payoutAmount: 25,
+          paymentMethod: 'paypal',
+          paymentEmail: affiliate.email
+        }
+      });
+
+      await expect(requestPaymentMethodChange(affiliate, { paymentMethod: 'venmo' })).rejects.toMatchObject({ status: 400 });
+      await expect(requestPaymentMethodChange(affiliate, { paymentMethod: 'bank', bankDetails: { routingNumber: '123' } }))
+        .rejects.toMatchObject({ status: 400 });
+      const { destination } = await requestPaymentMethodChange(affiliate, {
+        paymentMethod: 'bank',
+        bankDetails: { routingNumber: '011000015', accountNumber: '000123456789', accountType: 'savings' }
+      });
+
+      expect(destination).toBe('savings account ending 6789');
+      expect(sentEmails[sentEmails.length - 1].html).not.toContain('000123456789');
+      expect((await prisma.affiliate.findUnique({ where: { id: affiliate.id } })).paymentMethod).toBe('paypal');
+
+      const changed = await confirmPaymentMethodChange(laptop, lastEmailedToken());
+
+      expect(changed).toMatchObject({ paymentMethod: 'bank', paymentEmail: null, bankAccount: { accountType: 'savings', last4: '6789' } });
+      expect(await prisma.affiliatePayout.findUnique({ where: { id: payout.id } })).toMatchObject({ paymentMethod: 'bank' });
+      await expect(resolveSession(phone.sessionToken)).rejects.toMatchObject({ status: 401 });
+      expect((await prisma.affiliateSession.findUnique({ where: { id: laptop.id } })).revokedAt).toBeNull();
+    });
+
+    test('should refuse a confirmation link from another affiliate\'s session', async () => {
+      const other = await seedAffiliate('PARTNER2');
+      const otherSession = await resolveSession((await signIn(other.email)).sessionToken);
+      await requestPaymentMethodChange(affiliate, { paymentMethod: 'square', paymentEmail: 'pay@example.com' });
+      const token = lastEmailedToken();
+
+      await expect(confirmPaymentMethodChange(otherSession, token)).rejects.toMatchObject({ status: 401 });
+      await requestPaymentMethodChange(affiliate, { paymentMethod: 'paypal', paymentEmail: 'newer@example.com' });
+      const own = await resolveSession((await signIn()).sessionToken);
+      await expect(confirmPaymentMethodChange(own, token)).rejects.toMatchObject({ status: 401 });
+    });
+  });
+
+  describe('getPortalDashboard() / listPortalCommissions()', () => {
+    test('should bucket activity by day and report balances', async () => {
+      const referral = (day) => prisma.affiliateReferral.create({
+        data: { affiliateId: affiliate.id, createdAt: new Date(`2026-03-0${day}T10:00:00Z`) }
+      });
+      const clicks = [await referral(1), await referral(1), await referral(2)];
+      const commission = (day, fields) => prisma.affiliateCommission.create({
+        data: {
+          affiliateId: affiliate.id,
+          referralId: clicks[0].id,
+          revenueAmount: 50,
+          commissionRate: 10,
+          commissionAmount: 5,
+          charityImpact: 0,
+          createdAt: new Date(`2026-03-0${day}T12:00:00Z`),
+          ...fields
+        }
+      });
+      await commission(2, { conversionId: 'conversion-1' });
+      await commission(2, { conversionId: 'conversion-2', status: 'REJECTED' });
+      await commission(3, { conversionId: 'conversion-3', status: 'APPROVED', commissionAmount: 10, reversedAmount: 4 });
+      await prisma.affiliatePayout.create({
+        data: {
+          affiliateId: affiliate.id,
+          periodStart: new Date('2026-02-01'),
+          periodEnd: new Date('2026-02-28'),
+          totalCommission: 20,
+          payoutAmount: 20,
+          paymentMethod: 'paypal',
+          status: 'COMPLETED',
+          completedAt: new Date('2026-03-03T09:00:00Z')
+        }
+      });
+      await prisma.affiliate.update({ where: { id: affiliate.id }, data: { clawbackBalance: 2 } });
+      affiliate = await prisma.affiliate.findUnique({ where: { id: affiliate.id } });
+
+      const { series, totals, balances } = await getPortalDashboard(affiliate, {
+        from: '2026-03-01T00:00:00Z', to: '2026-03-03T23:59:59Z', interval: 'day'
+      });
+
+      expect(series.map(({ period, clicks: c, conversions, commission: earned, paid }) => [period, c, conversions, earned, paid])).toEqual([
+        ['2026-03-01', 2, 0, 0, 0],
+        ['2026-03-02', 1, 1, 5, 0],
+        ['2026-03-03', 0, 1, 6, 20]
+      ]);
+      expect(totals).toMatchObject({ clicks: 3, conversions: 2, revenue: 100, conversionRate: 66.67 });
+      expect(balances).toMatchObject({ pending: 5, approved: 6, clawbackBalance: 2, nextPayout: 4 });
+      await expect(getPortalDashboard(affiliate, { interval: 'hour' })).rejects.toMatchObject({ status: 400 });
+      await expect(getPortalDashboard(affiliate, { from: '2025-01-01', to: '2026-03-01' })).rejects.toMatchObject({ status: 400 });
+      expect((await listPortalCommissions(affiliate, { status: 'APPROVED' })).commissions).toEqual([
+        expect.objectContaining({ amount: 10, reversedAmount: 4, payable: 6 })
+      ]);
+      await expect(listPortalCommissions(affiliate, { status: 'LOST' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('buildAffiliateLink()', () => {
+    test('should tag allowed pages with the code and UTM parameters', () => {
+      process.env.AFFILIATE_LINK_HOSTS = 'youandinotai.com';
+
+      const { url, params } = buildAffiliateLink(affiliate, {
+        url: 'https://shop.youandinotai.com/merch?color=blue',
+        utm: { utm_source: 'newsletter', utm_content: ' banner-a ' }
+      });
+
+      expect(params).toEqual({
+        ref: 'PARTNER1', utm_source: 'newsletter', utm_medium: 'referral', utm_campaign: 'partner1', utm_content: 'banner-a'
+      });
+      expect(new URL(url).searchParams.get('color')).toBe('blue');
+      expect(() => buildAffiliateLink(affiliate, { url: 'https://evil.example.com' })).toThrow('Links can only point at');
+      expect(() => buildAffiliateLink(affiliate, { url: 'http://youandinotai.com' })).toThrow('Links must use https');
+      expect(() => buildAffiliateLink(affiliate, { utm: { utm_term: 'x'.repeat(101) } })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Affiliate Portal API Tests
+ * FOR THE KIDS - Affiliate self-service
+ *
+ * Serves the portal router from an in-process app against an in-memory
+ * Prisma, with SendGrid stubbed (no server needed). Tests the portal's
+ * sign-in boundary:
+ * - Magic-link requests don't reveal which emails are affiliates
+ * - Invalid or reused links don't open a session
+ * - Everything past sign-in needs a portal session
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { useMemoryPrisma, mockSendGrid } from './helpers/setup.js';
+import { startApp } from './helpers/http.js';
+
+const prisma = useMemoryPrisma({ env: { SALT: 'test-salt' }, silence: ['log', 'warn', 'error'] });
+const { sent: sentEmails } = mockSendGrid();
+
+const { default: affiliatePortalRoutes } = await import('../routes/affiliate-portal.js');
+
+let api;
+
+const post = (path, body) => api.request('POST', `/api/affiliate-portal${path}`, { body });
+
+beforeAll(async () => {
+  api = await startApp(app => app.use('/api/affiliate-portal', affiliatePortalRoutes));
+});
+
+afterAll(async () => {
+  await api.close();
+});
+
+beforeEach(async () => {
+  await prisma.affiliate.create({
+    data: { email: 'partner@example.com', name: 'Partner', code: 'PARTNER1', status: 'ACTIVE' }
+  });
+});
+
+describe('Affiliate Portal API', () => {
+
+  describe('POST /api/affiliate-portal/login - Magic link', () => {
+    test('should answer the same for an email that is not an affiliate', async () => {
+      const unknown = await post('/login', { email: 'not-an-affiliate@example.com' });
+      const known = await post('/login', { email: 'Partner@Example.com' });
+
+      expect(unknown.status).toBe(200);
+      expect(unknown.body.success).toBe(true);
+      expect(unknown.body.message).toMatch(/if that email belongs to an affiliate/i);
+      expect(known.body).toEqual(unknown.body);
+      expect(sentEmails.map(email => email.to)).toEqual(['partner@example.com']);
+    });
+
+    test('should reject a missing email', async () => {
+      const response = await post('/login', {});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/affiliate-portal/login/verify - Session', () => {
+    test('should reject an unknown link token', async () => {
+      const response = await post('/login/verify', { token: 'afl_not-a-real-token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.sessionToken).toBeUndefined();
+    });
+
+    test('should open one session from an emailed link', async () => {
+      await post('/login', { email: 'partner@example.com' });
+      const [token] = sentEmails[0].html.match(/afl_[\w-]+/);
+
+      const first = await post('/login/verify', { token });
+      const again = await post('/login/verify', { token });
+
+      expect(first.status).toBe(200);
+      expect(first.body.sessionToken).toMatch(/^afs_/);
+      expect(again.status).toBe(401);
+      expect(again.body.sessionToken).toBeUndefined();
+      expect((await api.request('GET', '/api/affiliate-portal/me', {
+        headers: { authorization: `Bearer ${first.body.sessionToken}` }
+      })).status).toBe(200);
+    });
+  });
+
+  describe('Signed-in routes', () => {
+    test.each(['/me', '/dashboard', '/commissions', '/payouts', '/assets'])(
+      'GET %s should require a session',
+      async (path) => {
+        const response = await api.request('GET', `/api/affiliate-portal${path}`);
+        expect(response.status).toBe(401);
+      }
+    );
+
+    test('should reject a made-up bearer token', async () => {
+      const response = await api.request('GET', '/api/affiliate-portal/dashboard', {
+        headers: { authorization: 'Bearer afs_made-up-session' }
+      });
+      expect(response.status).toBe(401);
+    });
+
+    test('should not change the payment method without a session', async () => {
+      const response = await api.request('PUT', '/api/affiliate-portal/payment-method', {
+        body: { paymentMethod: 'paypal', paymentEmail: 'attacker@example.com' }
+      });
+
+      expect(response.status).toBe(401);
+      expect(await prisma.affiliateLoginToken.count()).toBe(0);
+    });
+  });
+});
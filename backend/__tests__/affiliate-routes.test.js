@@ -0,0 +1,118 @@
+/**
+ * Affiliate Routes Tests
+ * FOR THE KIDS - Affiliate program API behind staff scopes
+ *
+ * Serves the affiliate router the way server.js mounts it, from an in-process
+ * app against an in-memory Prisma (no server needed):
+ * - Approving an affiliate needs finance:write and records who approved it
+ * - Only an API key may pass on a visitor's IP; other callers get their own
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+import { startApp } from './helpers/http.js';
+
+const prisma = useMemoryPrisma({ env: { SENDGRID_API_KEY: 'SG.test', SALT: 'test-salt' } });
+
+const { createApiKey, setUserRoles } = await import('../services/access-control.js');
+const { registerUser, loginUser } = await import('../services/auth.js');
+const { hashIp } = await import('../services/affiliate-attribution.js');
+const { requireResourceScope } = await import('../middleware/rbac.js');
+const { default: affiliateRoutes } = await import('../routes/affiliates.js');
+
+const VISITOR_IP = '203.0.113.9';
+
+let api;
+let affiliate;
+
+async function apiKey(scopes) {
+  const { key, apiKey: record } = await createApiKey({ name: `key-${scopes.join('-')}`, scopes });
+  return { id: record.id, headers: { 'x-api-key': key } };
+}
+
+async function staffToken(roles) {
+  const { user } = await registerUser({ email: 'staff@example.com', password: 'correct horse battery' });
+  await setUserRoles(user.id, roles);
+  const { accessToken } = await loginUser({ email: 'staff@example.com', password: 'correct horse battery' });
+  return { user, headers: { authorization: `Bearer ${accessToken}` } };
+}
+
+beforeAll(async () => {
+  api = await startApp(app => app.use('/api/affiliates', requireResourceScope('affiliates'), affiliateRoutes));
+});
+
+afterAll(async () => {
+  await api.close();
+});
+
+beforeEach(async () => {
+  affiliate = await prisma.affiliate.create({
+    data: { email: 'partner@example.com', name: 'Partner', code: 'PARTNER1', status: 'PENDING' }
+  });
+});
+
+describe('Affiliate Routes', () => {
+
+  describe('POST /approve/:id', () => {
+    test('should refuse callers without finance:write', async () => {
+      const response = await api.request('POST', `/api/affiliates/approve/${affiliate.id}`, {
+        body: {},
+        headers: (await apiKey(['affiliates:write'])).headers
+      });
+
+      expect(response).toMatchObject({ status: 403, body: { message: 'Missing required scope(s): finance:write' } });
+      expect(await prisma.affiliate.findUnique({ where: { id: affiliate.id } })).toMatchObject({ status: 'PENDING', approvedBy: null });
+    });
+
+    test('should record the approving staff member', async () => {
+      const { user, headers } = await staffToken(['FINANCE']);
+
+      const response = await api.request('POST', `/api/affiliates/approve/${affiliate.id}`, { body: { commissionRate: 15 }, headers });
+
+      expect(response).toMatchObject({ status: 200, body: { affiliate: { status: 'ACTIVE', commissionRate: 15 } } });
+      expect(await prisma.affiliate.findUnique({ where: { id: affiliate.id } }))
+        .toMatchObject({ status: 'ACTIVE', approvedBy: user.id, approvedAt: expect.any(Date) });
+    });
+
+    test('should record the API key that approved it', async () => {
+      const { id, headers } = await apiKey(['affiliates:write', 'finance:write']);
+
+      await api.request('POST', `/api/affiliates/approve/${affiliate.id}`, { body: {}, headers });
+
+      expect((await prisma.affiliate.findUnique({ where: { id: affiliate.id } })).approvedBy).toBe(id);
+    });
+  });
+
+  describe('Visitor IP - /track, /register, /convert', () => {
+    beforeEach(async () => {
+      await prisma.affiliate.update({ where: { id: affiliate.id }, data: { status: 'ACTIVE' } });
+    });
+
+    test('should record the IP an API key passes on for the visitor', async () => {
+      const { headers } = await apiKey(['affiliates:read']);
+
+      const response = await api.request('GET', `/api/affiliates/track/PARTNER1?ip=${VISITOR_IP}`, { headers });
+
+      expect(response.status).toBe(200);
+      expect((await prisma.affiliateReferral.findFirst()).ipHash).toBe(hashIp(VISITOR_IP));
+    });
+
+    test('should ignore an IP from a staff token and use the caller\'s address', async () => {
+      const { headers } = await staffToken(['FINANCE']);
+
+      await api.request('GET', `/api/affiliates/track/PARTNER1?ip=${VISITOR_IP}`, { headers });
+      await api.request('POST', '/api/affiliates/register', {
+        body: { email: 'new@example.com', name: 'Newcomer', ip: VISITOR_IP },
+        headers
+      });
+      await api.request('POST', '/api/affiliates/convert', {
+        body: { visitorId: 'visitor-1', orderId: 'order-1', amount: 20, ip: VISITOR_IP },
+        headers
+      });
+
+      expect((await prisma.affiliateReferral.findFirst()).ipHash).toBe(hashIp('127.0.0.1'));
+      expect((await prisma.affiliate.findUnique({ where: { email: 'new@example.com' } })).signupIpHash).toBe(hashIp('127.0.0.1'));
+      expect((await prisma.affiliateConversion.findFirst()).ipHash).toBe(hashIp('127.0.0.1'));
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Age Verification Records Tests
+ * FOR THE KIDS - Persisted age verification, enforced on dating routes
+ *
+ * Runs the age verification service and requireAgeVerification against an
+ * in-memory Prisma with the mock provider (no server needed):
+ * - Attestations are stored and expire; renewing never downgrades a
+ *   third-party result
+ * - Provider results are applied to the session they were started for
+ * - requireAgeVerification checks the stored record, not a flag on the user
+ * - Minor reports are kept even for users who never verified
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma, freezeTime } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma({ env: { AGE_VERIFICATION_MOCK_PROVIDER: 'true' } });
+
+const {
+  toStatus,
+  recordAttestation,
+  startProviderSession,
+  completeProviderSession,
+  linkToUser,
+  attestForUser,
+  reportMinor
+} = await import('../services/age-verification.js');
+const { requireAgeVerification } = await import('../services/auth.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const visitor = { ip: '203.0.113.7', userAgent: 'Jest', acceptedTos: true };
+
+/**
+ * Run requireAgeVerification for a user
+ * @returns {Promise<{ status: number|null, body: Object|null, req: Object, passed: boolean }>}
+ */
+async function checkAge(userId) {
+  const req = { user: { userId } };
+  const outcome = { status: null, body: null, req, passed: false };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    json(body) { outcome.body = body; return this; }
+  };
+  await requireAgeVerification(req, res, () => { outcome.passed = true; });
+  return outcome;
+}
+
+let member;
+
+beforeEach(async () => {
+  freezeTime('2026-03-01T00:00:00Z');
+  member = await prisma.datingUser.create({ data: { email: 'member@example.com', passwordHash: 'hash', status: 'ACTIVE' } });
+});
+
+describe('Age Verification Records', () => {
+
+  describe('recordAttestation()', () => {
+    test('should store a BASIC verification for 30 days and audit it', async () => {
+      const { verification, renewed } = await recordAttestation({ ...visitor, sessionId: 'sess-1' });
+
+      expect(renewed).toBe(false);
+      expect(toStatus(verification)).toMatchObject({ status: 'verified', verificationLevel: 'BASIC', linkedToAccount: false });
+      expect(verification.expiresAt).toEqual(new Date(Date.now() + 30 * DAY_MS));
+      expect(verification.ipHash).not.toContain('203.0.113.7');
+      expect(await prisma.complianceAudit.findFirst({ where: { action: 'attestation_recorded' } })).not.toBeNull();
+    });
+
+    test('should report an expired attestation and renew it on the next one', async () => {
+      const { verification } = await recordAttestation({ ...visitor, sessionId: 'sess-1' });
+
+      jest.setSystemTime(new Date(Date.now() + 31 * DAY_MS));
+      expect(toStatus(verification)).toMatchObject({ status: 'expired', verificationLevel: 'NONE', recordedLevel: 'BASIC' });
+
+      const again = await recordAttestation({ ...visitor, sessionId: 'sess-1' });
+      expect(again.renewed).toBe(true);
+      expect(again.verification.id).toBe(verification.id);
+      expect(toStatus(again.verification).status).toBe('verified');
+    });
+  });
+
+  describe('startProviderSession() / completeProviderSession()', () => {
+    test('should raise the level and keep it through a later attestation', async () => {
+      const { verification } = await recordAttestation({ ...visitor, sessionId: 'sess-1' });
+      await startProviderSession(verification.id, 'mock');
+
+      const { verification: verified, pending } = await completeProviderSession('mock', { verificationToken: verification.id });
+
+      expect(pending).toBe(false);
+      expect(verified).toMatchObject({ verificationLevel: 'VERIFIED', provider: 'MOCK', documentCountry: 'USA' });
+      expect((await recordAttestation({ ...visitor, sessionId: 'sess-1' })).verification.verificationLevel).toBe('VERIFIED');
+    });
+
+    test('should refuse a result for a session that was never started', async () => {
+      const { verification } = await recordAttestation({ ...visitor, sessionId: 'sess-1' });
+
+      await expect(completeProviderSession('mock', { verificationToken: verification.id }))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(startProviderSession('missing', 'mock')).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should revoke a linked account when the provider finds a minor', async () => {
+      const { verification } = await recordAttestation({ ...visitor, sessionId: 'sess-1' });
+      await linkToUser(verification.id, member.id);
+      await startProviderSession(verification.id, 'mock');
+
+      await completeProviderSession('mock', { verificationToken: verification.id, outcome: 'minor' });
+
+      expect((await prisma.datingUser.findUnique({ where: { id: member.id } })).ageVerified).toBe(false);
+      expect(await checkAge(member.id)).toMatchObject({ status: 403, body: { reason: 'not_verified' } });
+    });
+  });
+
+  describe('requireAgeVerification()', () => {
+    test('should pass with a stored attestation and stop once it expires', async () => {
+      await attestForUser(member.id, { ip: visitor.ip, userAgent: visitor.userAgent });
+
+      const allowed = await checkAge(member.id);
+      expect(allowed.passed).toBe(true);
+      expect(allowed.req.ageVerification).toMatchObject({ level: 'BASIC' });
+
+      jest.setSystemTime(new Date(Date.now() + 31 * DAY_MS));
+      expect(await checkAge(member.id)).toMatchObject({ passed: false, status: 403, body: { reason: 'expired' } });
+    });
+
+    test('should refuse to link another user\'s verification', async () => {
+      const other = await prisma.datingUser.create({ data: { email: 'other@example.com', passwordHash: 'hash' } });
+      const { verification } = await recordAttestation({ ...visitor, sessionId: 'sess-1' });
+      await linkToUser(verification.id, member.id);
+
+      await expect(linkToUser(verification.id, other.id)).rejects.toMatchObject({ status: 403 });
+      expect((await checkAge(other.id)).status).toBe(403);
+    });
+  });
+
+  describe('reportMinor()', () => {
+    test('should keep a report about a user who never verified', async () => {
+      const { report, verification } = await reportMinor({ reportedUserId: member.id, reason: 'Says they are 15' });
+
+      expect(verification).toMatchObject({ userId: member.id, verificationLevel: 'NONE' });
+      expect(report).toMatchObject({ reportedUserId: verification.id, priority: 'CRITICAL' });
+      expect((await prisma.datingUser.findUnique({ where: { id: member.id } })).status).toBe('SUSPENDED');
+      await expect(reportMinor({ reportedUserId: 'missing', reason: 'x' })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
@@ -4,32 +4,50 @@
  * 
  * Tests multi-layer age verification system:
  * - Self-attestation (BASIC)
- * - Enhanced verification (Yoti/AWS)
+ * - Enhanced verification (Yoti/AWS/Plaid adapters)
+ * - Full provider flow via the mock provider
  * - COPPA minor reporting
  * - Health checks
+ *
+ * Serves the router from an in-process app against an in-memory Prisma,
+ * with the mock provider enabled (no server needed).
  */
 
 import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+import { startApp } from './helpers/http.js';
 
-const API_BASE = 'http://localhost:3000/api/age-verification';
+useMemoryPrisma({ env: { SALT: 'test-salt', AGE_VERIFICATION_MOCK_PROVIDER: 'true' } });
+
+const { default: ageVerificationRoutes } = await import('../routes/age-verification.js');
+
+const API_BASE = '/api/age-verification';
+
+let api;
+
+beforeAll(async () => {
+  api = await startApp(app => app.use('/api/age-verification', ageVerificationRoutes));
+});
+
+afterAll(async () => {
+  await api.close();
+});
 
 describe('Age Verification API - FOR THE KIDS', () => {
   
   describe('POST /api/age-verification/attest - Self Attestation', () => {
     test('should accept valid self-attestation', async () => {
-      const response = await fetch(`${API_BASE}/attest`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/attest`, {
+        body: {
           sessionId: 'test-session-001',
           dateOfBirth: '1990-01-01',
           agreedToTerms: true,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(201);
       expect(data.success).toBe(true);
@@ -39,19 +57,17 @@ describe('Age Verification API - FOR THE KIDS', () => {
     });
 
     test('should reject attestation without ToS agreement', async () => {
-      const response = await fetch(`${API_BASE}/attest`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/attest`, {
+        body: {
           sessionId: 'test-session-002',
           dateOfBirth: '1990-01-01',
           agreedToTerms: false,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
@@ -62,19 +78,17 @@ describe('Age Verification API - FOR THE KIDS', () => {
       const today = new Date();
       const recentDate = new Date(today.getFullYear() - 17, today.getMonth(), today.getDate());
       
-      const response = await fetch(`${API_BASE}/attest`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/attest`, {
+        body: {
           sessionId: 'test-session-003',
           dateOfBirth: recentDate.toISOString().split('T')[0],
           agreedToTerms: true,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(403);
       expect(data.success).toBe(false);
@@ -82,16 +96,14 @@ describe('Age Verification API - FOR THE KIDS', () => {
     });
 
     test('should reject missing required fields', async () => {
-      const response = await fetch(`${API_BASE}/attest`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/attest`, {
+        body: {
           sessionId: 'test-session-004'
           // Missing dateOfBirth and agreedToTerms
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
@@ -100,38 +112,34 @@ describe('Age Verification API - FOR THE KIDS', () => {
   });
 
   describe('POST /api/age-verification/enhanced - Third-Party Verification', () => {
-    test('should accept valid enhanced verification request', async () => {
-      const response = await fetch(`${API_BASE}/enhanced`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+    test('should point at setup docs for an unconfigured provider', async () => {
+      const response = await api.request('POST', `${API_BASE}/enhanced`, {
+        body: {
           verificationToken: 'test-token-001',
           provider: 'yoti',
           sessionId: 'test-session-005'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
-      // Enhanced verification returns redirect URL for Yoti
-      expect(response.status).toBe(200);
-      expect(data.success).toBe(true);
-      expect(data.provider).toBe('yoti');
-      expect(data.redirectUrl || data.message).toBeDefined();
+      // No Yoti credentials in the test environment
+      expect(response.status).toBe(503);
+      expect(data.success).toBe(false);
+      expect(data.message).toContain('YOTI_CLIENT_SDK_ID');
+      expect(data.documentation).toBeDefined();
     });
 
     test('should reject invalid provider', async () => {
-      const response = await fetch(`${API_BASE}/enhanced`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/enhanced`, {
+        body: {
           verificationToken: 'test-token-002',
           provider: 'invalid-provider',
           sessionId: 'test-session-006'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
@@ -141,8 +149,8 @@ describe('Age Verification API - FOR THE KIDS', () => {
 
   describe('GET /api/age-verification/status/:token - Verification Status', () => {
     test('should return 404 for non-existent token', async () => {
-      const response = await fetch(`${API_BASE}/status/invalid-token-999`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/status/invalid-token-999`);
+      const data = response.body;
 
       expect(response.status).toBe(404);
       expect(data.success).toBe(false);
@@ -152,37 +160,36 @@ describe('Age Verification API - FOR THE KIDS', () => {
 
   describe('POST /api/age-verification/report-minor - COPPA Compliance', () => {
     test('should accept valid minor report', async () => {
-      const response = await fetch(`${API_BASE}/report-minor`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId: 'test-session-minor-001',
-          reportedBy: 'system',
-          evidenceDescription: 'User profile indicates age under 13',
-          reporterContact: 'compliance@aidoesitall.website'
-        })
+      await api.request('POST', `${API_BASE}/attest`, {
+        body: { sessionId: 'test-session-minor-001', dateOfBirth: '1990-01-01', agreedToTerms: true }
       });
 
-      const data = await response.json();
+      const response = await api.request('POST', `${API_BASE}/report-minor`, {
+        body: {
+          reportedUserId: 'test-session-minor-001',
+          reason: 'User profile indicates age under 13',
+          evidence: 'Profile bio mentions middle school'
+        }
+      });
 
-      expect(response.status).toBe(201);
+      const data = response.body;
+
+      expect(response.status).toBe(200);
       expect(data.success).toBe(true);
       expect(data.reportId).toBeDefined();
-      expect(data.message).toContain('COPPA report filed');
-      expect(data.sla).toContain('24 hours');
+      expect(data.message).toContain('Report received');
+      expect(data.responseTime).toContain('24 hours');
     });
 
     test('should reject report without required fields', async () => {
-      const response = await fetch(`${API_BASE}/report-minor`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId: 'test-session-minor-002'
-          // Missing reportedBy and evidenceDescription
-        })
+      const response = await api.request('POST', `${API_BASE}/report-minor`, {
+        body: {
+          reportedUserId: 'test-session-minor-002'
+          // Missing reason
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
@@ -190,10 +197,83 @@ describe('Age Verification API - FOR THE KIDS', () => {
     });
   });
 
+  describe('GET /api/age-verification/providers - Provider List', () => {
+    test('should list available providers', async () => {
+      const response = await api.request('GET', `${API_BASE}/providers`);
+      const data = response.body;
+
+      expect(response.status).toBe(200);
+      expect(data.providers.map(p => p.id)).toEqual(expect.arrayContaining(['yoti', 'aws', 'plaid']));
+    });
+  });
+
+  describe('Mock provider - Offline Verification Flow', () => {
+    beforeAll(async () => {
+      const response = await api.request('GET', `${API_BASE}/providers`);
+      const data = response.body;
+      expect(data.providers).toContainEqual(expect.objectContaining({ id: 'mock', configured: true }));
+    });
+
+    async function startMockSession(sessionId) {
+      const attest = (await api.request('POST', `${API_BASE}/attest`, { body: { acceptedAge: true, acceptedTos: true, sessionId } })).body;
+
+      const response = await api.request('POST', `${API_BASE}/enhanced`, {
+        body: { verificationToken: attest.verificationToken, provider: 'mock' }
+      });
+      expect(response.status).toBe(200);
+      return attest.verificationToken;
+    }
+
+    async function mockCallback(verificationToken, outcome) {
+      return api.request('POST', `${API_BASE}/providers/mock/callback`, { body: { verificationToken, outcome } });
+    }
+
+    test('should raise an adult to VERIFIED', async () => {
+      const token = await startMockSession(`test-mock-adult-${Date.now()}`);
+
+      const response = await mockCallback(token, 'adult');
+      const data = response.body;
+
+      expect(response.status).toBe(200);
+      expect(data.pending).toBe(false);
+      expect(data.verificationLevel).toBe('VERIFIED');
+      expect(data.provider).toBe('MOCK');
+    });
+
+    test('should revoke verification for a minor', async () => {
+      const token = await startMockSession(`test-mock-minor-${Date.now()}`);
+
+      await mockCallback(token, 'minor');
+      const data = (await api.request('GET', `${API_BASE}/status/${token}`)).body;
+
+      expect(data.verificationLevel).toBe('NONE');
+      expect(data.failureReason).toBe('underage');
+    });
+
+    test('should keep BASIC level when the result is inconclusive', async () => {
+      const token = await startMockSession(`test-mock-inconclusive-${Date.now()}`);
+
+      const data = (await mockCallback(token, 'inconclusive')).body;
+
+      expect(data.verificationLevel).toBe('BASIC');
+      expect(data.failureReason).toBe('inconclusive');
+    });
+
+    test('should reject a callback without a started session', async () => {
+      const { body: attest } = await api.request('POST', `${API_BASE}/attest`, {
+        body: { acceptedAge: true, acceptedTos: true, sessionId: `test-mock-nosession-${Date.now()}` }
+      });
+
+      const response = await mockCallback(attest.verificationToken, 'adult');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
   describe('GET /api/age-verification/health - Health Check', () => {
     test('should return operational status', async () => {
-      const response = await fetch(`${API_BASE}/health`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/health`);
+      const data = response.body;
 
       expect(response.status).toBe(200);
       expect(data.status).toBe('operational');
@@ -203,8 +283,8 @@ describe('Age Verification API - FOR THE KIDS', () => {
     });
 
     test('should include provider status', async () => {
-      const response = await fetch(`${API_BASE}/health`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/health`);
+      const data = response.body;
 
       expect(data.providers).toHaveProperty('yoti');
       expect(data.providers).toHaveProperty('aws_rekognition');
@@ -0,0 +1,165 @@
+/**
+ * AI Detection Tests
+ * FOR THE KIDS - Calibrated detector pipeline
+ *
+ * Runs the AI detection pipeline against an in-memory Prisma, with Ollama
+ * replaced by a stubbed fetch (no server needed):
+ * - Each feature is scored against its own threshold and weighted together
+ * - A detector that cannot run narrows the evidence instead of skewing it
+ * - Configs are validated and versioned; the newest is active
+ * - The evaluation harness reports precision and recall on a labeled corpus
+ */
+
+import { jest, describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  analyzeText,
+  featureScore,
+  resolveConfig,
+  getDetectionConfig,
+  saveDetectionConfig
+} = await import('../services/ai-detection/index.js');
+const { evaluateCorpus } = await import('../services/ai-detection/evaluate.js');
+
+const AI_TEXT = 'As an AI language model, I don\'t have personal feelings. Furthermore, it\'s important to note '
+  + 'that meeting in public is safest. Additionally, it\'s worth mentioning that I would suggest a café.';
+const HUMAN_TEXT = 'haha no way. tacos tonight?? ok but only if we get the spicy ones this time, deal';
+
+const PHRASES_ONLY = {
+  features: { burstiness: { enabled: false }, perplexity: { enabled: false }, stylometry: { enabled: false } }
+};
+
+/**
+ * Stand in for Ollama: every probe gets back one candidate token. With
+ * `predictable` it is the word that actually comes next in `text`.
+ */
+function stubOllama(text, { predictable }) {
+  return jest.spyOn(globalThis, 'fetch').mockImplementation(async (url, { body }) => {
+    const { prompt } = JSON.parse(body);
+    const nextWord = text.slice(prompt.length).trim().match(/^[\p{L}\p{N}']+/u)[0];
+    const token = predictable ? nextWord : 'zzz';
+    return { ok: true, json: async () => ({ logprobs: [{ token, logprob: -0.2, top_logprobs: [] }] }) };
+  });
+}
+
+describe('AI Detection', () => {
+
+  describe('featureScore() / resolveConfig()', () => {
+    test('should score 0.5 at the threshold and follow the direction', () => {
+      expect(featureScore(25, { threshold: 25, scale: 8, direction: 'above' })).toBe(0.5);
+      expect(featureScore(60, { threshold: 25, scale: 8, direction: 'above' })).toBeGreaterThan(0.95);
+      expect(featureScore(0.1, { threshold: 0.35, scale: 0.1, direction: 'below' })).toBeGreaterThan(0.9);
+    });
+
+    test('should overlay a partial config on the defaults and reject bad values', () => {
+      const config = resolveConfig({ decisionThreshold: 60, features: { phrases: { weight: 3 } } });
+
+      expect(config.decisionThreshold).toBe(60);
+      expect(config.features.phrases).toMatchObject({ weight: 3, threshold: 25, enabled: true });
+      expect(() => resolveConfig({ features: { vibes: {} } })).toThrow('unknown features: vibes');
+      expect(() => resolveConfig({ features: { burstiness: { scale: 0 } } })).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => resolveConfig({ definiteThreshold: 120 })).toThrow('0-100 scale');
+    });
+  });
+
+  describe('analyzeText()', () => {
+    test('should tell AI phrasing from a casual message', async () => {
+      const config = resolveConfig(PHRASES_ONLY);
+
+      const ai = await analyzeText(AI_TEXT, { config });
+      const human = await analyzeText(HUMAN_TEXT, { config });
+
+      expect(ai).toMatchObject({ isLikelyAI: true, isDefinitelyAI: true });
+      expect(ai.flags).toEqual(expect.arrayContaining(['AI self-reference', 'Excessive hedging language']));
+      expect(human).toMatchObject({ isLikelyAI: false, flags: [], analysis: 'Likely human-written' });
+      expect(await analyzeText('hi', { config })).toMatchObject({ score: 0, analysis: 'Text too short to analyze' });
+    });
+
+    test('should leave out detectors that cannot run', async () => {
+      jest.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const result = await analyzeText(AI_TEXT, { config: resolveConfig(), history: [] });
+
+      expect(result.features.perplexity).toEqual({ available: false, reason: 'ollama_unavailable: connect ECONNREFUSED' });
+      expect(result.features.stylometry).toMatchObject({ available: false });
+      const { phrases, burstiness } = result.features;
+      const { weight: phrasesWeight } = resolveConfig().features.phrases;
+      expect(result.score).toBe(Math.round(
+        ((phrases.score * phrasesWeight + burstiness.score) / (phrasesWeight + 1)) * 100
+      ));
+    });
+
+    test('should score predictable wording as low perplexity', async () => {
+      const config = resolveConfig({ features: { phrases: { enabled: false }, burstiness: { enabled: false } } });
+
+      stubOllama(HUMAN_TEXT, { predictable: true });
+      const predictable = await analyzeText(HUMAN_TEXT, { config });
+      jest.restoreAllMocks();
+      stubOllama(HUMAN_TEXT, { predictable: false });
+      const surprising = await analyzeText(HUMAN_TEXT, { config });
+
+      expect(predictable.features.perplexity.value).toBeCloseTo(Math.exp(0.2));
+      expect(predictable.flags).toEqual(['Highly predictable wording']);
+      expect(surprising.features.perplexity.value).toBeCloseTo(Math.exp(-config.features.perplexity.floorLogprob));
+      expect(surprising.score).toBeLessThan(predictable.score);
+    });
+
+    test('should compare a message with the sender\'s earlier ones', async () => {
+      const config = resolveConfig({
+        features: {
+          phrases: { enabled: false },
+          burstiness: { enabled: false },
+          perplexity: { enabled: false },
+          stylometry: { threshold: 1 }
+        }
+      });
+      const history = [
+        'lol yeah i\'m down for that', 'omg that\'s so funny 😂', 'wait what time tho?',
+        'can\'t tonight, maybe sat?', 'haha ok ok you win', 'ugh mondays am i right'
+      ];
+
+      const own = await analyzeText('haha ok sat works, i\'m in 😂', { config, history });
+      const other = await analyzeText(
+        'Thank you for your message. I would be delighted to meet on Saturday, provided that the weather is favourable.',
+        { config, history }
+      );
+
+      expect(other.features.stylometry.value).toBeGreaterThan(own.features.stylometry.value);
+      expect(other.isLikelyAI).toBe(true);
+      expect(own.isLikelyAI).toBe(false);
+    });
+  });
+
+  describe('saveDetectionConfig() - Versioned config', () => {
+    test('should make the newest saved version active', async () => {
+      await saveDetectionConfig({ decisionThreshold: 55 }, { actor: 'user:mod@example.com', note: 'first calibration' });
+      const second = await saveDetectionConfig({ decisionThreshold: 65 }, { actor: 'user:mod@example.com' });
+
+      expect(second.version).toBe(2);
+      expect(await getDetectionConfig()).toMatchObject({ version: 2, config: { decisionThreshold: 65 } });
+      await expect(saveDetectionConfig({ minLength: -1 })).rejects.toMatchObject({ status: 400 });
+      expect(await prisma.aiDetectionConfig.count()).toBe(2);
+    });
+  });
+
+  describe('evaluateCorpus() - Evaluation harness', () => {
+    test('should report precision and recall for the decision and each feature', async () => {
+      const report = await evaluateCorpus([
+        { text: AI_TEXT, label: 'ai' },
+        { text: 'As a large language model, I cannot provide dating advice. It\'s important to note that, and I would suggest asking a friend.', label: 'ai' },
+        { text: 'Sure! Here are three fun first date ideas you might enjoy on the weekend.', label: 'ai' },
+        { text: HUMAN_TEXT, label: 'human' },
+        { text: 'my dog just ate my sandwich, running late sorry!!', label: 'human' }
+      ], { config: PHRASES_ONLY });
+
+      expect(report).toMatchObject({ configVersion: null, total: 5, confusion: { tp: 2, fp: 0, tn: 2, fn: 1 }, precision: 1 });
+      expect(report.recall).toBeCloseTo(2 / 3);
+      expect(Object.keys(report.features)).toEqual(['phrases']);
+      expect(report.features.phrases.coverage).toBe(1);
+      await expect(evaluateCorpus([{ text: 'x', label: 'robot' }])).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Auth Service Tests
+ * FOR THE KIDS - Persistent sessions and rotating refresh tokens
+ *
+ * Runs the auth service against an in-memory Prisma (no server needed):
+ * - Refresh tokens rotate and are single-use
+ * - Replaying a rotated refresh token revokes the whole session
+ * - authMiddleware turns away access tokens whose session was revoked
+ */
+
+import { jest, describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  registerUser,
+  loginUser,
+  refreshTokens,
+  logoutUser,
+  logoutAllSessions,
+  authMiddleware
+} = await import('../services/auth.js');
+
+const CREDENTIALS = { email: 'Member@Example.com', password: 'correct horse battery' };
+
+async function signUpAndLogIn() {
+  await registerUser(CREDENTIALS);
+  return loginUser(CREDENTIALS, { userAgent: 'jest' });
+}
+
+/**
+ * Run authMiddleware with a bearer token
+ * @returns {Promise<{ status: number|null, body: Object|null, user: Object|undefined }>}
+ */
+async function authenticate(accessToken) {
+  const req = { headers: { authorization: `Bearer ${accessToken}` } };
+  const outcome = { status: null, body: null };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    json(body) { outcome.body = body; return this; }
+  };
+  let error;
+  await authMiddleware(req, res, err => { error = err; });
+  if (error) throw error;
+  return { ...outcome, user: req.user };
+}
+
+describe('Auth Service', () => {
+
+  describe('registerUser() / loginUser()', () => {
+    test('should store the user with a hashed password and open a session', async () => {
+      const login = await signUpAndLogIn();
+      const user = await prisma.datingUser.findUnique({ where: { email: 'member@example.com' } });
+
+      expect(user.passwordHash).not.toContain(CREDENTIALS.password);
+      expect(login.success).toBe(true);
+      expect(await prisma.authSession.count({ where: { userId: user.id, revokedAt: null } })).toBe(1);
+      expect(await prisma.refreshToken.count({ where: { sessionId: login.sessionId } })).toBe(1);
+    });
+
+    test('should refuse a duplicate email and a wrong password', async () => {
+      await registerUser(CREDENTIALS);
+
+      await expect(registerUser({ ...CREDENTIALS, email: 'member@example.com' })).rejects.toThrow('Email already registered');
+      await expect(loginUser({ ...CREDENTIALS, password: 'wrong password' })).rejects.toThrow('Invalid email or password');
+    });
+  });
+
+  describe('refreshTokens() - Rotation', () => {
+    test('should rotate the refresh token within the same session', async () => {
+      const login = await signUpAndLogIn();
+
+      const refreshed = await refreshTokens(login.refreshToken);
+
+      expect(refreshed.valid).toBe(true);
+      expect(refreshed.sessionId).toBe(login.sessionId);
+      expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+      expect((await refreshTokens(refreshed.refreshToken)).valid).toBe(true);
+    });
+
+    test('should revoke the session when a rotated token is replayed', async () => {
+      const login = await signUpAndLogIn();
+      const rotated = await refreshTokens(login.refreshToken);
+
+      const replay = await refreshTokens(login.refreshToken);
+
+      expect(replay).toMatchObject({ valid: false, reuseDetected: true });
+      expect(await prisma.authSession.findUnique({ where: { id: login.sessionId } }))
+        .toMatchObject({ revokedReason: 'token_reuse' });
+      // The legitimate holder's newer token dies with the family
+      expect((await refreshTokens(rotated.refreshToken)).valid).toBe(false);
+      expect((await authenticate(rotated.accessToken)).status).toBe(401);
+    });
+
+    test('should refuse to refresh a suspended account', async () => {
+      const login = await signUpAndLogIn();
+      await prisma.datingUser.update({ where: { email: 'member@example.com' }, data: { status: 'SUSPENDED' } });
+
+      expect(await refreshTokens(login.refreshToken)).toMatchObject({ valid: false, error: 'Account is not active' });
+      expect((await prisma.authSession.findUnique({ where: { id: login.sessionId } })).revokedReason)
+        .toBe('account_disabled');
+    });
+  });
+
+  describe('authMiddleware - Revoked sessions', () => {
+    test('should accept a token whose session is open', async () => {
+      const login = await signUpAndLogIn();
+      const result = await authenticate(login.accessToken);
+
+      expect(result.status).toBeNull();
+      expect(result.user).toMatchObject({ email: 'member@example.com', sessionId: login.sessionId });
+    });
+
+    test('should reject a token once its session is logged out', async () => {
+      const login = await signUpAndLogIn();
+      expect((await authenticate(login.accessToken)).status).toBeNull();
+
+      await logoutUser(login.user.id, login.sessionId);
+
+      expect(await authenticate(login.accessToken)).toMatchObject({ status: 401, body: { error: 'Session revoked' } });
+    });
+
+    test('should reject a token whose session has expired', async () => {
+      const login = await signUpAndLogIn();
+      await prisma.authSession.update({ where: { id: login.sessionId }, data: { expiresAt: new Date(Date.now() - 1000) } });
+
+      expect(await authenticate(login.accessToken)).toMatchObject({ status: 401, body: { error: 'Session revoked' } });
+    });
+
+    test('should reject every token after logging out everywhere', async () => {
+      await registerUser(CREDENTIALS);
+      const phone = await loginUser(CREDENTIALS);
+      const laptop = await loginUser(CREDENTIALS);
+      await authenticate(phone.accessToken);
+
+      await logoutAllSessions(phone.user.id);
+
+      expect((await authenticate(phone.accessToken)).status).toBe(401);
+      expect((await authenticate(laptop.accessToken)).status).toBe(401);
+    });
+
+    test('should reject a missing or forged token', async () => {
+      expect((await authenticate('not-a-jwt')).status).toBe(401);
+      const outcome = { status: null };
+      await authMiddleware({ headers: {} }, { status(code) { outcome.status = code; return this; }, json() {} }, () => {});
+      expect(outcome.status).toBe(401);
+    });
+  });
+});
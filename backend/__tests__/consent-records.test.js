@@ -0,0 +1,126 @@
+/**
+ * Consent Records Tests
+ * FOR THE KIDS - Persisted, tamper-evident cookie consent
+ *
+ * Runs the consent service against an in-memory Prisma (no server needed):
+ * - Every choice appends a hash-chained UserConsent row
+ * - An edited row breaks the chain at that row
+ * - Consent given against another policy, or over a year ago, is asked again
+ * - The regulator export verifies every chain and is itself audited
+ */
+
+import { jest, describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma, freezeTime } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  POLICY_HASH,
+  recordConsent,
+  updateConsent,
+  withdrawConsent,
+  getConsentStatus,
+  getAuditTrail,
+  exportRecords,
+  toCsv
+} = await import('../services/consent.js');
+
+const context = { ipHash: 'ip-hash', userAgent: 'Jest', domain: 'aidoesitall.website' };
+
+describe('Consent Records', () => {
+
+  describe('recordConsent() / updateConsent()', () => {
+    test('should store the choice against the current policy', async () => {
+      const record = await recordConsent({ ...context, sessionId: 'sess-1', analytics: true, marketing: false });
+
+      expect(record).toMatchObject({ essential: true, analytics: true, marketing: false, sequence: 1, previousHash: null });
+      expect(await getConsentStatus('sess-1')).toMatchObject({
+        status: 'recorded', consentId: record.id, reconsentRequired: false, reason: null
+      });
+    });
+
+    test('should chain updates and keep the fields left out', async () => {
+      const created = await recordConsent({ ...context, sessionId: 'sess-1', analytics: true, marketing: true });
+
+      const updated = await updateConsent({ ...context, sessionId: 'sess-1', marketing: false });
+
+      expect(updated).toMatchObject({
+        action: 'update', analytics: true, marketing: false, sequence: 2,
+        previousConsentId: created.id, previousHash: created.hash
+      });
+      await expect(updateConsent({ ...context, sessionId: 'unknown' })).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should refuse a choice made against an older policy', async () => {
+      await expect(recordConsent({ ...context, sessionId: 'sess-1', analytics: true, policyHash: 'stale' }))
+        .rejects.toMatchObject({ status: 409 });
+      expect(await recordConsent({ ...context, sessionId: 'sess-1', policyHash: POLICY_HASH })).toBeDefined();
+    });
+  });
+
+  describe('withdrawConsent()', () => {
+    test('should withdraw every session of a user', async () => {
+      await recordConsent({ ...context, sessionId: 'phone', userId: 'user-1', analytics: true, marketing: true });
+      await recordConsent({ ...context, sessionId: 'laptop', userId: 'user-1', analytics: true });
+
+      const withdrawn = await withdrawConsent({ ...context, userId: 'user-1' });
+
+      expect(withdrawn.map(record => record.sessionId).sort()).toEqual(['laptop', 'phone']);
+      expect(await getConsentStatus('phone')).toMatchObject({
+        status: 'withdrawn', consent: { essential: true, analytics: false, marketing: false }
+      });
+      await expect(withdrawConsent({ ...context, userId: 'user-2' })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('getConsentStatus() - Re-consent', () => {
+    test('should ask again with no record, after a policy change or after a year', async () => {
+      freezeTime('2026-01-01T00:00:00Z');
+      expect(await getConsentStatus('sess-1')).toMatchObject({ status: 'default', reconsentRequired: true, reason: 'no_record' });
+
+      const record = await recordConsent({ ...context, sessionId: 'sess-1', analytics: true });
+      jest.setSystemTime(new Date('2027-01-02T00:00:00Z'));
+      expect((await getConsentStatus('sess-1')).reason).toBe('expired');
+
+      await prisma.userConsent.update({ where: { id: record.id }, data: { policyHash: 'previous-policy' } });
+      expect((await getConsentStatus('sess-1')).reason).toBe('policy_changed');
+    });
+  });
+
+  describe('getAuditTrail() / exportRecords() - Tamper evidence', () => {
+    test('should find the first edited row in a chain', async () => {
+      await recordConsent({ ...context, sessionId: 'sess-1', analytics: false });
+      const second = await updateConsent({ ...context, sessionId: 'sess-1', marketing: false });
+      await updateConsent({ ...context, sessionId: 'sess-1', analytics: false });
+
+      expect((await getAuditTrail('sess-1'))[0].verification).toMatchObject({ valid: true, length: 3 });
+
+      await prisma.userConsent.update({ where: { id: second.id }, data: { marketing: true } });
+      const [chain] = await getAuditTrail('sess-1');
+
+      expect(chain).toMatchObject({ chainKey: 'session:sess-1', verification: { valid: false, firstBrokenLink: 2 } });
+    });
+
+    test('should export the records with chain checks and audit the export', async () => {
+      await recordConsent({ ...context, sessionId: 'sess-1', analytics: true });
+      await recordConsent({ ...context, sessionId: 'sess-2', userId: 'user-1' });
+
+      const exported = await exportRecords({ userId: 'user-1', requestedBy: 'user:dpo@example.com' });
+
+      expect(exported).toMatchObject({ recordCount: 1, truncated: false, allChainsValid: true, currentPolicyHash: POLICY_HASH });
+      expect(Object.keys(exported.chains)).toEqual(['user:user-1']);
+      expect(await prisma.complianceAudit.findFirst({ where: { action: 'consent_export' } }))
+        .toMatchObject({ auditType: 'data_access', userId: 'user:dpo@example.com' });
+    });
+
+    test('should quote CSV cells that need it', () => {
+      const csv = toCsv([{ id: 'c1', domain: 'a,b', userAgent: 'ignored', createdAt: new Date('2026-01-01T00:00:00Z') }]);
+      const [header, row] = csv.split('\n');
+
+      expect(header.startsWith('id,createdAt,chainKey')).toBe(true);
+      expect(row).toContain('c1,2026-01-01T00:00:00.000Z,');
+      expect(row).toContain('"a,b"');
+      expect(row).not.toContain('ignored');
+    });
+  });
+});
@@ -2,7 +2,8 @@
  * Cookie Consent API Integration Tests
  * FOR THE KIDS - 3-Box CMP Testing
  * 
- * Tests cookie consent management system:
+ * Serves the consent router from an in-process app against an in-memory
+ * Prisma (no server needed). Tests cookie consent management system:
  * - Consent recording (Essential/Analytics/Marketing)
  * - Consent retrieval and updates
  * - GDPR withdrawal rights
@@ -11,27 +12,41 @@
  */
 
 import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+import { startApp } from './helpers/http.js';
 
-const API_BASE = 'http://localhost:3000/api/consent';
+const prisma = useMemoryPrisma({ env: { SALT: 'test-salt' } });
+
+const { default: consentRoutes } = await import('../routes/consent.js');
+
+const API_BASE = '/api/consent';
+
+let api;
+
+beforeAll(async () => {
+  api = await startApp(app => app.use('/api/consent', consentRoutes));
+});
+
+afterAll(async () => {
+  await api.close();
+});
 
 describe('Cookie Consent API - 3-Box CMP', () => {
   
   describe('POST /api/consent/record - Record Consent', () => {
     test('should record valid consent with all boxes', async () => {
-      const response = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-001',
           essential: true,
           analytics: true,
           marketing: true,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(201);
       expect(data.success).toBe(true);
@@ -41,20 +56,18 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should record consent with only essential cookies', async () => {
-      const response = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-002',
           essential: true,
           analytics: false,
           marketing: false,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(201);
       expect(data.success).toBe(true);
@@ -62,20 +75,18 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should reject consent without essential cookies', async () => {
-      const response = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-003',
           essential: false,
           analytics: true,
           marketing: true,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
@@ -83,48 +94,45 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should reject missing required fields', async () => {
-      const response = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-004'
           // Missing consent preferences
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
       expect(data.error).toContain('required');
     });
 
-    test('should log to BigQuery audit trail', async () => {
-      const response = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+    test('should append the choice to the audit trail', async () => {
+      const response = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-005',
           essential: true,
           analytics: true,
           marketing: false,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(201);
       expect(data.success).toBe(true);
-      // BigQuery logging happens asynchronously, success indicates attempt made
+      expect(await prisma.userConsent.findFirst({ where: { sessionId: 'test-consent-005' } }))
+        .toMatchObject({ id: data.consentId, analytics: true, marketing: false, hash: expect.any(String) });
     });
   });
 
   describe('GET /api/consent/status/:sessionId - Retrieve Consent', () => {
     test('should return 404 for non-existent session', async () => {
-      const response = await fetch(`${API_BASE}/status/invalid-session-999`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/status/invalid-session-999`);
+      const data = response.body;
 
       expect(response.status).toBe(404);
       expect(data.success).toBe(false);
@@ -135,35 +143,31 @@ describe('Cookie Consent API - 3-Box CMP', () => {
   describe('PUT /api/consent/update - Update Consent', () => {
     test('should update existing consent preferences', async () => {
       // First create consent
-      const createResponse = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const createResponse = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-update-001',
           essential: true,
           analytics: true,
           marketing: true,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
       expect(createResponse.status).toBe(201);
 
       // Then update it
-      const updateResponse = await fetch(`${API_BASE}/update`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const updateResponse = await api.request('PUT', `${API_BASE}/update`, {
+        body: {
           sessionId: 'test-consent-update-001',
           analytics: false,
           marketing: false,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await updateResponse.json();
+      const data = updateResponse.body;
 
       expect(updateResponse.status).toBe(200);
       expect(data.success).toBe(true);
@@ -171,18 +175,16 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should reject update to disable essential cookies', async () => {
-      const response = await fetch(`${API_BASE}/update`, {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('PUT', `${API_BASE}/update`, {
+        body: {
           sessionId: 'test-consent-update-002',
           essential: false,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
@@ -193,34 +195,30 @@ describe('Cookie Consent API - 3-Box CMP', () => {
   describe('POST /api/consent/withdraw - GDPR Withdrawal', () => {
     test('should allow full consent withdrawal', async () => {
       // First create consent
-      const createResponse = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const createResponse = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-withdraw-001',
           essential: true,
           analytics: true,
           marketing: true,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
       expect(createResponse.status).toBe(201);
 
       // Then withdraw
-      const withdrawResponse = await fetch(`${API_BASE}/withdraw`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const withdrawResponse = await api.request('POST', `${API_BASE}/withdraw`, {
+        body: {
           sessionId: 'test-consent-withdraw-001',
           reason: 'User requested full data deletion',
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
-      const data = await withdrawResponse.json();
+      const data = withdrawResponse.body;
 
       expect(withdrawResponse.status).toBe(200);
       expect(data.success).toBe(true);
@@ -229,16 +227,14 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should reject withdrawal without session ID', async () => {
-      const response = await fetch(`${API_BASE}/withdraw`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const response = await api.request('POST', `${API_BASE}/withdraw`, {
+        body: {
           reason: 'Test withdrawal'
           // Missing sessionId
-        })
+        }
       });
 
-      const data = await response.json();
+      const data = response.body;
 
       expect(response.status).toBe(400);
       expect(data.success).toBe(false);
@@ -248,8 +244,8 @@ describe('Cookie Consent API - 3-Box CMP', () => {
 
   describe('GET /api/consent/policy - Cookie Policy', () => {
     test('should return 3-box cookie policy', async () => {
-      const response = await fetch(`${API_BASE}/policy`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/policy`);
+      const data = response.body;
 
       expect(response.status).toBe(200);
       expect(data.policy).toBeDefined();
@@ -259,8 +255,8 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should include cookie categories and purposes', async () => {
-      const response = await fetch(`${API_BASE}/policy`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/policy`);
+      const data = response.body;
 
       const { essential, analytics, marketing } = data.policy;
 
@@ -271,8 +267,8 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should include retention periods', async () => {
-      const response = await fetch(`${API_BASE}/policy`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/policy`);
+      const data = response.body;
 
       expect(data.policy.essential.retention).toBeDefined();
       expect(data.policy.analytics.retention).toBeDefined();
@@ -283,24 +279,22 @@ describe('Cookie Consent API - 3-Box CMP', () => {
   describe('GET /api/consent/audit/:sessionId - Audit Trail', () => {
     test('should return audit trail for valid session', async () => {
       // First create consent
-      const createResponse = await fetch(`${API_BASE}/record`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const createResponse = await api.request('POST', `${API_BASE}/record`, {
+        body: {
           sessionId: 'test-consent-audit-001',
           essential: true,
           analytics: true,
           marketing: true,
           ipAddress: '192.168.1.100',
           userAgent: 'Mozilla/5.0 (Test Suite)'
-        })
+        }
       });
 
       expect(createResponse.status).toBe(201);
 
       // Then retrieve audit trail
-      const auditResponse = await fetch(`${API_BASE}/audit/test-consent-audit-001`);
-      const data = await auditResponse.json();
+      const auditResponse = await api.request('GET', `${API_BASE}/audit/test-consent-audit-001`);
+      const data = auditResponse.body;
 
       expect(auditResponse.status).toBe(200);
       expect(data.success).toBe(true);
@@ -309,8 +303,8 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
 
     test('should return 404 for non-existent session', async () => {
-      const response = await fetch(`${API_BASE}/audit/invalid-session-999`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/audit/invalid-session-999`);
+      const data = response.body;
 
       expect(response.status).toBe(404);
       expect(data.success).toBe(false);
@@ -318,10 +312,58 @@ describe('Cookie Consent API - 3-Box CMP', () => {
     });
   });
 
+  describe('Policy versioning - Re-consent', () => {
+    test('should reject a choice made against an outdated policy', async () => {
+      const response = await api.request('POST', `${API_BASE}/record`, {
+        body: {
+          sessionId: 'test-consent-policy-001',
+          essential: true,
+          analytics: true,
+          marketing: false,
+          policyHash: 'outdated-policy-hash'
+        }
+      });
+
+      const data = response.body;
+
+      expect(response.status).toBe(409);
+      expect(data.success).toBe(false);
+    });
+
+    test('should report current consent as not requiring renewal', async () => {
+      const { body: policy } = await api.request('GET', `${API_BASE}/policy`);
+
+      await api.request('POST', `${API_BASE}/record`, {
+        body: {
+          sessionId: 'test-consent-policy-002',
+          essential: true,
+          analytics: false,
+          marketing: false,
+          policyHash: policy.hash
+        }
+      });
+
+      const response = await api.request('GET', `${API_BASE}/status/test-consent-policy-002`);
+      const data = response.body;
+
+      expect(response.status).toBe(200);
+      expect(data.policyVersion).toBe(policy.version);
+      expect(data.reconsentRequired).toBe(false);
+    });
+  });
+
+  describe('GET /api/consent/export - Regulator Export', () => {
+    test('should require compliance credentials', async () => {
+      const response = await api.request('GET', `${API_BASE}/export`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
   describe('GET /api/consent/health - Health Check', () => {
     test('should return operational status', async () => {
-      const response = await fetch(`${API_BASE}/health`);
-      const data = await response.json();
+      const response = await api.request('GET', `${API_BASE}/health`);
+      const data = response.body;
 
       expect(response.status).toBe(200);
       expect(data.status).toBe('operational');
@@ -329,12 +371,12 @@ describe('Cookie Consent API - 3-Box CMP', () => {
       expect(data.timestamp).toBeDefined();
     });
 
-    test('should include BigQuery logging status', async () => {
-      const response = await fetch(`${API_BASE}/health`);
-      const data = await response.json();
+    test('should report the hash-chained audit trail', async () => {
+      const response = await api.request('GET', `${API_BASE}/health`);
+      const data = response.body;
 
-      expect(data.bigquery).toBeDefined();
-      expect(['ready', 'pending_config']).toContain(data.bigquery);
+      expect(data.features.auditTrail).toBe('hash_chained');
+      expect(data.features.policyHash).toBeDefined();
     });
   });
 });
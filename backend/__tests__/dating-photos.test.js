@@ -0,0 +1,162 @@
+/**
+ * Dating Photos Tests
+ * FOR THE KIDS - Profile photo pipeline
+ *
+ * Runs the photo service against an in-memory Prisma and an in-memory
+ * storage driver (no server needed):
+ * - Uploads are recognized by content and re-encoded without metadata
+ * - New photos stay private until a moderator approves them
+ * - The profile's photo list follows approvals and the owner's order
+ * - GET /api/dating/photos/:photoId (in-process app) only treats a caller as
+ *   the owner while their session is open
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import sharp from 'sharp';
+import { useMemoryPrisma } from './helpers/setup.js';
+import { startApp } from './helpers/http.js';
+
+const prisma = useMemoryPrisma({ env: { PHOTO_STORAGE_DRIVER: 'memory' } });
+
+const {
+  registerStorageDriver,
+  uploadPhoto,
+  readPhoto,
+  moderatePhoto,
+  reorderPhotos,
+  deletePhoto
+} = await import('../services/photos/index.js');
+const { registerUser, loginUser, logoutUser } = await import('../services/auth.js');
+const { default: datingRoutes } = await import('../routes/dating.js');
+
+const files = new Map();
+registerStorageDriver({
+  id: 'memory',
+  async put(key, buffer) { files.set(key, buffer); },
+  async get(key) { return files.get(key); },
+  async delete(key) { files.delete(key); }
+});
+
+const MODERATOR = 'user:mod@example.com';
+
+let geotagged;
+let plain;
+let owner;
+let api;
+
+async function makeJpeg(background, exif) {
+  const image = sharp({ create: { width: 640, height: 480, channels: 3, background } });
+  return (exif ? image.withMetadata({ exif }) : image).jpeg().toBuffer();
+}
+
+beforeAll(async () => {
+  geotagged = await makeJpeg('#3366cc', { IFD0: { Make: 'PhoneCo', Copyright: 'Jo Smith' } });
+  plain = await makeJpeg('#cc6633');
+  api = await startApp(app => app.use('/api/dating', datingRoutes));
+});
+
+afterAll(async () => {
+  await api.close();
+});
+
+beforeEach(async () => {
+  files.clear();
+  owner = await prisma.datingUser.create({ data: { email: 'owner@example.com', passwordHash: 'hash', status: 'ACTIVE' } });
+});
+
+describe('Dating Photos', () => {
+
+  describe('uploadPhoto()', () => {
+    test('should store a re-encoded copy without metadata, plus a thumbnail', async () => {
+      expect((await sharp(geotagged).metadata()).exif).toBeDefined();
+
+      const photo = await uploadPhoto(owner.id, { buffer: geotagged, originalname: '../IMG 001.jpg' });
+      const row = await prisma.datingPhoto.findUnique({ where: { id: photo.id } });
+
+      expect(photo).toMatchObject({ status: 'PENDING', width: 640, height: 480, url: `/api/dating/photos/${photo.id}` });
+      expect(row.storageDriver).toBe('memory');
+      expect(row.originalName).not.toContain('/');
+      expect((await sharp(files.get(row.storageKey)).metadata()).exif).toBeUndefined();
+      expect((await sharp(files.get(row.thumbnailKey)).metadata()).width).toBe(320);
+    });
+
+    test('should judge the type by content, not the file name', async () => {
+      const text = Buffer.from('GIF89a - definitely not an image at all');
+
+      await expect(uploadPhoto(owner.id, { buffer: text, originalname: 'photo.jpg' })).rejects.toMatchObject({ status: 415 });
+      await expect(uploadPhoto(owner.id, {})).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should refuse a re-upload and a too-small image', async () => {
+      await uploadPhoto(owner.id, { buffer: plain });
+      const tiny = await sharp({ create: { width: 100, height: 100, channels: 3, background: '#000' } }).png().toBuffer();
+
+      await expect(uploadPhoto(owner.id, { buffer: plain })).rejects.toMatchObject({ status: 409 });
+      await expect(uploadPhoto(owner.id, { buffer: tiny })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('readPhoto() / moderatePhoto() - Visibility', () => {
+    test('should show a pending photo only to its owner or a moderator', async () => {
+      const photo = await uploadPhoto(owner.id, { buffer: plain });
+
+      await expect(readPhoto(photo.id, { userId: 'someone-else' })).rejects.toMatchObject({ status: 404 });
+      expect((await readPhoto(photo.id, { userId: owner.id })).status).toBe('PENDING');
+      expect((await readPhoto(photo.id, { moderator: true, size: 'thumb' })).mimeType).toBe('image/jpeg');
+    });
+
+    test('should publish an approved photo to the profile and take it down on rejection', async () => {
+      const photo = await uploadPhoto(owner.id, { buffer: plain });
+
+      await moderatePhoto(photo.id, 'approve', { actor: MODERATOR });
+      expect((await readPhoto(photo.id, { userId: 'someone-else' })).status).toBe('APPROVED');
+      expect((await prisma.datingUser.findUnique({ where: { id: owner.id } })).primaryPhoto).toBe(photo.url);
+
+      await expect(moderatePhoto(photo.id, 'reject', { actor: MODERATOR })).rejects.toMatchObject({ status: 400 });
+      await moderatePhoto(photo.id, 'reject', { actor: MODERATOR, reason: 'Not a photo of a person' });
+      expect((await prisma.datingUser.findUnique({ where: { id: owner.id } })).photoUrls).toEqual([]);
+      await expect(readPhoto(photo.id, { userId: 'someone-else' })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('GET /api/dating/photos/:photoId', () => {
+    test('should stop showing a pending photo to its owner once they log out', async () => {
+      await registerUser({ email: 'member@example.com', password: 'correct horse battery' });
+      const login = await loginUser({ email: 'member@example.com', password: 'correct horse battery' });
+      const photo = await uploadPhoto(login.user.id, { buffer: plain });
+      const headers = { authorization: `Bearer ${login.accessToken}` };
+
+      const shown = await api.request('GET', photo.url, { headers });
+      expect(shown).toMatchObject({ status: 200, headers: { 'content-type': 'image/jpeg', 'cache-control': 'private, no-store' } });
+
+      await logoutUser(login.user.id, login.sessionId);
+
+      expect(await api.request('GET', photo.url, { headers })).toMatchObject({ status: 404 });
+      expect(await api.request('GET', photo.url)).toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('reorderPhotos() / deletePhoto()', () => {
+    test('should make the first approved photo in the owner\'s order the primary one', async () => {
+      const first = await uploadPhoto(owner.id, { buffer: plain });
+      const second = await uploadPhoto(owner.id, { buffer: geotagged });
+      await moderatePhoto(first.id, 'approve', { actor: MODERATOR });
+      await moderatePhoto(second.id, 'approve', { actor: MODERATOR });
+
+      await reorderPhotos(owner.id, [second.id]);
+      expect((await prisma.datingUser.findUnique({ where: { id: owner.id } })).photoUrls).toEqual([second.url, first.url]);
+
+      await expect(reorderPhotos(owner.id, ['not-mine'])).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should delete the files with the photo', async () => {
+      const photo = await uploadPhoto(owner.id, { buffer: plain });
+
+      await expect(deletePhoto('someone-else', photo.id)).rejects.toMatchObject({ status: 404 });
+      await deletePhoto(owner.id, photo.id);
+
+      expect(files.size).toBe(0);
+      expect(await prisma.datingPhoto.count()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Dating Safety Tests
+ * FOR THE KIDS - Block, unmatch and report flows
+ *
+ * Runs the dating store and user-report services against an in-memory
+ * Prisma (no server needed):
+ * - A block ends the match and hides the pair from each other; unblocking
+ *   lifts it but the match stays ended
+ * - Unmatching ends a match without hiding its history
+ * - Reports snapshot the reported message and are filed once while open
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  sortPair,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  unmatch,
+  listMatches,
+  getMatchForUser,
+  createMessage
+} = await import('../services/dating-store.js');
+const { fileReport, transitionReport } = await import('../services/user-reports.js');
+
+async function seedUser(displayName) {
+  return prisma.datingUser.create({
+    data: { email: `${displayName.toLowerCase()}@example.com`, passwordHash: 'hash', status: 'ACTIVE', displayName }
+  });
+}
+
+async function seedMatch(a, b) {
+  const [userId1, userId2] = sortPair(a.id, b.id);
+  return prisma.datingMatch.create({ data: { userId1, userId2 } });
+}
+
+let alex;
+let blair;
+
+beforeEach(async () => {
+  alex = await seedUser('Alex');
+  blair = await seedUser('Blair');
+});
+
+describe('Dating Safety', () => {
+
+  describe('blockUser() / unblockUser()', () => {
+    test('should end the match and hide it from both sides', async () => {
+      const match = await seedMatch(alex, blair);
+
+      expect(await blockUser(alex.id, blair.id)).toEqual({ unmatched: true });
+
+      expect((await prisma.datingMatch.findUnique({ where: { id: match.id } })).unmatchedBy).toBe(alex.id);
+      expect(await listMatches(alex.id)).toEqual([]);
+      expect(await listMatches(blair.id)).toEqual([]);
+      await expect(getMatchForUser(match.id, blair.id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should be idempotent', async () => {
+      await blockUser(alex.id, blair.id);
+      expect(await blockUser(alex.id, blair.id)).toEqual({ unmatched: false });
+
+      expect((await listBlockedUsers(alex.id)).map(u => u.userId)).toEqual([blair.id]);
+    });
+
+    test('should lift a block but keep the match ended', async () => {
+      const match = await seedMatch(alex, blair);
+      await blockUser(alex.id, blair.id);
+
+      await unblockUser(alex.id, blair.id);
+
+      expect(await listBlockedUsers(alex.id)).toEqual([]);
+      const [visible] = await listMatches(alex.id);
+      expect(visible).toMatchObject({ matchId: match.id, isActive: false });
+    });
+
+    test('should refuse yourself, unknown users and users who are not blocked', async () => {
+      await expect(blockUser(alex.id, alex.id)).rejects.toMatchObject({ status: 400 });
+      await expect(blockUser(alex.id, 'missing')).rejects.toMatchObject({ status: 404 });
+      await expect(blockUser(alex.id, { id: blair.id })).rejects.toMatchObject({ status: 400, message: 'targetUserId required' });
+      await expect(unblockUser(alex.id, undefined)).rejects.toMatchObject({ status: 400 });
+      await expect(unblockUser(alex.id, blair.id)).rejects.toMatchObject({ status: 404, message: 'User is not blocked' });
+    });
+
+    test('should answer 404 when the caller no longer exists', async () => {
+      await expect(blockUser('deleted', blair.id)).rejects.toMatchObject({ status: 404, message: 'User not found' });
+      await expect(unblockUser('deleted', blair.id)).rejects.toMatchObject({ status: 404, message: 'User not found' });
+    });
+  });
+
+  describe('unmatch()', () => {
+    test('should end the match but keep it listed, and stop new messages', async () => {
+      const match = await seedMatch(alex, blair);
+
+      const ended = await unmatch(match.id, blair.id);
+
+      expect(ended).toMatchObject({ isActive: false, unmatchedBy: blair.id });
+      expect((await listMatches(alex.id))[0].isActive).toBe(false);
+      await expect(createMessage(ended, alex.id, { content: 'Hello?' })).rejects.toMatchObject({ status: 403 });
+      expect((await unmatch(match.id, alex.id)).unmatchedBy).toBe(blair.id);
+    });
+
+    test('should refuse someone outside the match', async () => {
+      const match = await seedMatch(alex, blair);
+      const casey = await seedUser('Casey');
+
+      await expect(unmatch(match.id, casey.id)).rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('fileReport() - Member reports', () => {
+    test('should snapshot a reported message and count the report', async () => {
+      const match = await seedMatch(alex, blair);
+      const message = await createMessage(match, blair.id, { content: 'Send me gift cards' });
+
+      const report = await fileReport({ reporterId: alex.id, messageId: message.id, reason: 'scam' });
+
+      expect(report).toMatchObject({ reportedUserId: blair.id, matchId: match.id, status: 'PENDING' });
+      expect(report.messageSnapshot).toMatchObject({ content: 'Send me gift cards', senderId: blair.id });
+      expect(report.profileSnapshot).toMatchObject({ userId: blair.id, displayName: 'Blair' });
+      expect((await prisma.datingUser.findUnique({ where: { id: blair.id } })).reportCount).toBe(1);
+    });
+
+    test('should only let the recipient report a message', async () => {
+      const match = await seedMatch(alex, blair);
+      const message = await createMessage(match, blair.id, { content: 'Hi' });
+
+      await expect(fileReport({ reporterId: blair.id, messageId: message.id, reason: 'spam' }))
+        .rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should refuse a duplicate while the first report is open', async () => {
+      const report = await fileReport({ reporterId: alex.id, reportedUserId: blair.id, reason: 'fake_profile' });
+
+      await expect(fileReport({ reporterId: alex.id, reportedUserId: blair.id, reason: 'fake_profile' }))
+        .rejects.toMatchObject({ status: 409 });
+
+      await transitionReport(report.id, 'DISMISSED', { actor: 'user:mod@example.com', resolution: 'Real person' });
+      expect((await fileReport({ reporterId: alex.id, reportedUserId: blair.id, reason: 'fake_profile' })).id)
+        .not.toBe(report.id);
+    });
+
+    test('should suspend the reported account when confirmed with suspend', async () => {
+      const report = await fileReport({ reporterId: alex.id, reportedUserId: blair.id, reason: 'harassment' });
+
+      await expect(transitionReport(report.id, 'DISMISSED', { resolution: 'x', enforcement: 'ban' }))
+        .rejects.toMatchObject({ status: 400 });
+      await transitionReport(report.id, 'CONFIRMED', {
+        actor: 'user:mod@example.com', resolution: 'Repeated abuse', enforcement: 'suspend'
+      });
+
+      expect((await prisma.datingUser.findUnique({ where: { id: blair.id } })).status).toBe('SUSPENDED');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Dating Store Tests
+ * FOR THE KIDS - Dating state persisted in Prisma
+ *
+ * Runs the dating store against an in-memory Prisma (no server needed):
+ * - Profiles are stored on the account and survive a reload
+ * - A like back creates one match and links both likes to it
+ * - Founding member badges are numbered in claim order
+ * - The legacy in-memory snapshot imports once, however often it is run
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  getProfile,
+  upsertProfile,
+  createLike,
+  recordPass,
+  listLikesReceived,
+  listMatches,
+  claimFoundingMember,
+  importLegacyDatingState
+} = await import('../services/dating-store.js');
+
+async function seedUser(displayName) {
+  return prisma.datingUser.create({
+    data: { email: `${displayName.toLowerCase()}@example.com`, passwordHash: 'hash', status: 'ACTIVE', displayName }
+  });
+}
+
+let alex;
+let blair;
+
+beforeEach(async () => {
+  alex = await seedUser('Alex');
+  blair = await seedUser('Blair');
+});
+
+describe('Dating Store', () => {
+
+  describe('upsertProfile() / getProfile()', () => {
+    test('should create the profile once and update it afterwards', async () => {
+      expect(await getProfile(alex.id)).toBeNull();
+
+      const first = await upsertProfile(alex, { bio: 'Hiking and board games', birthDate: '1990-05-01' });
+      const second = await upsertProfile(alex, { bio: 'Mostly board games' });
+
+      expect(first.created).toBe(true);
+      expect(second.created).toBe(false);
+      expect(await getProfile(alex.id)).toMatchObject({ userId: alex.id, displayName: 'Alex', bio: 'Mostly board games' });
+    });
+
+    test('should refuse an invalid or under-18 birth date', async () => {
+      const minor = new Date();
+      minor.setUTCFullYear(minor.getUTCFullYear() - 17);
+
+      await expect(upsertProfile(alex, { birthDate: 'soon' })).rejects.toMatchObject({ status: 400 });
+      await expect(upsertProfile(alex, { birthDate: minor.toISOString() })).rejects.toMatchObject({ status: 400 });
+      expect(await getProfile(alex.id)).toBeNull();
+    });
+
+    test('should mark a founding member\'s profile', async () => {
+      await claimFoundingMember({ email: 'ALEX@example.com', name: 'Alex' });
+
+      const { profile } = await upsertProfile(alex, { bio: 'Early supporter' });
+
+      expect(profile.isFoundingMember).toBe(true);
+      expect((await prisma.foundingMember.findUnique({ where: { email: 'alex@example.com' } })).datingUserId).toBe(alex.id);
+    });
+  });
+
+  describe('createLike() - Mutual likes', () => {
+    test('should create a match when the like is returned', async () => {
+      expect((await createLike(alex.id, blair.id)).isMatch).toBe(false);
+
+      const { isMatch, match } = await createLike(blair.id, alex.id, { isSuperLike: true });
+
+      expect(isMatch).toBe(true);
+      expect(await prisma.datingMatch.count()).toBe(1);
+      expect((await prisma.datingLike.findMany()).map(like => like.matchId)).toEqual([match.id, match.id]);
+      expect((await listMatches(alex.id))[0].matchedWith).toMatchObject({ userId: blair.id, displayName: 'Blair' });
+    });
+
+    test('should refuse yourself, unknown users and a second like', async () => {
+      await createLike(alex.id, blair.id);
+
+      await expect(createLike(alex.id, alex.id)).rejects.toMatchObject({ status: 400 });
+      await expect(createLike(alex.id, 'missing')).rejects.toMatchObject({ status: 404 });
+      await expect(createLike(alex.id, undefined)).rejects.toMatchObject({ status: 400, message: 'targetUserId required' });
+      await expect(createLike(alex.id, ['x'])).rejects.toMatchObject({ status: 400 });
+      await expect(recordPass(alex.id, { id: blair.id })).rejects.toMatchObject({ status: 400 });
+      await expect(createLike(alex.id, blair.id)).rejects.toMatchObject({ status: 400, message: 'Already liked this user' });
+    });
+
+    test('should list only pending likes that were not passed on', async () => {
+      const casey = await seedUser('Casey');
+      await createLike(alex.id, blair.id);
+      await createLike(casey.id, blair.id);
+      await recordPass(blair.id, casey.id);
+
+      expect((await listLikesReceived(blair.id)).map(like => like.profile.userId)).toEqual([alex.id]);
+
+      await createLike(blair.id, alex.id);
+      expect(await listLikesReceived(blair.id)).toEqual([]);
+    });
+  });
+
+  describe('claimFoundingMember()', () => {
+    test('should number badges in order and refuse a second preorder', async () => {
+      const first = await claimFoundingMember({ email: 'one@example.com' });
+      const second = await claimFoundingMember({ email: 'two@example.com' });
+
+      expect([first.member.badgeNumber, second.member.badgeNumber]).toEqual([1, 2]);
+      expect(second.remaining).toBe(first.remaining - 1);
+      await expect(claimFoundingMember({ email: 'One@Example.com' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('importLegacyDatingState() - Cutover migration', () => {
+    const snapshot = {
+      users: [
+        ['legacy-1', { email: 'Dana@example.com', passwordHash: 'hash-1', status: 'ACTIVE' }],
+        ['legacy-2', { email: 'eli@example.com', passwordHash: 'hash-2', status: 'ACTIVE', humanVerified: true }]
+      ],
+      profiles: { 'legacy-1': { displayName: 'Dana', bio: 'Imported', updatedAt: '2026-01-01T00:00:00Z' } },
+      likes: [
+        ['legacy-1:legacy-2', { fromUserId: 'legacy-1', toUserId: 'legacy-2' }],
+        ['legacy-2:legacy-1', { fromUserId: 'legacy-2', toUserId: 'legacy-1' }]
+      ],
+      matches: [['legacy-1:legacy-2', { userId1: 'legacy-1', userId2: 'legacy-2', createdAt: '2026-01-02T00:00:00Z' }]],
+      messages: [['legacy-1:legacy-2', [
+        { senderId: 'legacy-1', receiverId: 'legacy-2', content: 'Hi!', createdAt: '2026-01-02T01:00:00Z' }
+      ]]],
+      foundingMembers: [['dana@example.com', { email: 'dana@example.com', badgeNumber: 1 }]]
+    };
+
+    test('should import users, profiles, matches and threads', async () => {
+      expect(await importLegacyDatingState(snapshot))
+        .toEqual({ users: 2, likes: 2, matches: 1, messages: 1, foundingMembers: 1 });
+
+      const [match] = await listMatches('legacy-1');
+      expect(await getProfile('legacy-1')).toMatchObject({ displayName: 'Dana', bio: 'Imported', isFoundingMember: true });
+      expect(await getProfile('legacy-2')).toBeNull();
+      expect(await prisma.datingLike.count({ where: { matchId: match.matchId } })).toBe(2);
+    });
+
+    test('should skip what was already imported when run again', async () => {
+      await importLegacyDatingState(snapshot);
+
+      expect(await importLegacyDatingState(snapshot))
+        .toEqual({ users: 2, likes: 0, matches: 1, messages: 0, foundingMembers: 0 });
+      expect(await prisma.datingMessage.count()).toBe(1);
+      expect(await prisma.datingMatch.count()).toBe(1);
+    });
+
+    test('should leave users changed since the first run alone', async () => {
+      await importLegacyDatingState(snapshot);
+      await prisma.datingUser.update({
+        where: { id: 'legacy-1' },
+        data: { displayName: 'Dana R.', bio: 'Edited after cutover', status: 'SUSPENDED', isPremium: true }
+      });
+
+      await importLegacyDatingState(snapshot);
+
+      expect(await getProfile('legacy-1')).toMatchObject({ displayName: 'Dana R.', bio: 'Edited after cutover' });
+      expect(await prisma.datingUser.findUnique({ where: { id: 'legacy-1' } }))
+        .toMatchObject({ status: 'SUSPENDED', isPremium: true, isFoundingMember: true });
+    });
+  });
+});
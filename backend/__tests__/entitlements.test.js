@@ -0,0 +1,223 @@
+/**
+ * Entitlements Tests
+ * FOR THE KIDS - Premium features driven by Square subscriptions
+ *
+ * Runs the entitlements service against an in-memory Prisma, with the Square
+ * customer lookup replaced by a stubbed fetch (no server needed):
+ * - Subscription webhooks set the plan; stale versions are ignored
+ * - Cancelled plans run to the end of the paid period, failed payments get a
+ *   grace period that a later payment ends
+ * - Free members get a daily like quota; boosts are limited per month
+ * - requireEntitlement gates routes on the plan's features
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma, freezeTime } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma({ env: { SQUARE_PREMIUM_PLAN_ID: 'plan-premium', SQUARE_VIP_PLAN_ID: 'plan-vip' } });
+
+const {
+  ENTITLEMENT_POLICY,
+  tierForPlan,
+  isEntitled,
+  getEntitlements,
+  assertCanLike,
+  activateBoost,
+  requireEntitlement,
+  applySquareSubscription,
+  applySquareInvoice,
+  expireLapsedEntitlements
+} = await import('../services/entitlements.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let member;
+
+function squareSubscription(fields = {}) {
+  return {
+    id: 'sq-sub-1',
+    customer_id: 'cust-1',
+    plan_variation_id: 'plan-premium',
+    status: 'ACTIVE',
+    version: 1,
+    start_date: '2026-03-01',
+    charged_through_date: '2026-04-01',
+    price_override_money: { amount: 999, currency: 'USD' },
+    ...fields
+  };
+}
+
+async function subscribe(fields) {
+  return applySquareSubscription(squareSubscription(fields));
+}
+
+async function cachedFlags() {
+  return prisma.datingUser.findUnique({ where: { id: member.id }, select: { isPremium: true, isVIP: true } });
+}
+
+/**
+ * Run requireEntitlement(feature) for the member
+ * @returns {Promise<{ status: number|null, body: Object|null, passed: boolean }>}
+ */
+async function checkFeature(feature) {
+  const outcome = { status: null, body: null, passed: false };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    json(body) { outcome.body = body; return this; }
+  };
+  await requireEntitlement(feature)({ user: { userId: member.id } }, res, () => { outcome.passed = true; });
+  return outcome;
+}
+
+beforeEach(async () => {
+  freezeTime('2026-03-10T12:00:00Z');
+  member = await prisma.datingUser.create({ data: { email: 'member@example.com', passwordHash: 'hash', status: 'ACTIVE' } });
+  jest.spyOn(globalThis, 'fetch').mockImplementation(async url => (
+    url.endsWith('/cust-1')
+      ? { ok: true, status: 200, json: async () => ({ customer: { reference_id: member.id } }) }
+      : { ok: false, status: 404, json: async () => ({}) }
+  ));
+});
+
+describe('Entitlements', () => {
+
+  describe('tierForPlan() / isEntitled()', () => {
+    test('should map plan variations to tiers', () => {
+      expect(tierForPlan('plan-vip')).toBe('VIP');
+      expect(tierForPlan('plan-premium')).toBe('PREMIUM');
+      expect(tierForPlan('legacy-vip-yearly')).toBe('VIP');
+      expect(tierForPlan(null)).toBe('PREMIUM');
+    });
+
+    test('should entitle an ended subscription only until entitledUntil', () => {
+      expect(isEntitled({ status: 'ACTIVE', entitledUntil: null })).toBe(true);
+      expect(isEntitled({ status: 'CANCELLED', entitledUntil: new Date(Date.now() + DAY_MS) })).toBe(true);
+      expect(isEntitled({ status: 'CANCELLED', entitledUntil: new Date(Date.now() - DAY_MS) })).toBe(false);
+      expect(isEntitled({ status: 'PAYMENT_FAILED', entitledUntil: null })).toBe(false);
+    });
+  });
+
+  describe('applySquareSubscription()', () => {
+    test('should store a new subscription for the Square customer and cache the tier', async () => {
+      const result = await subscribe();
+
+      expect(result).toMatchObject({ userId: member.id, status: 'ACTIVE', tier: 'PREMIUM' });
+      expect(await prisma.subscription.findUnique({ where: { id: result.subscriptionId } }))
+        .toMatchObject({ amount: 9.99, startedAt: new Date('2026-03-01T00:00:00Z'), nextBillingDate: new Date('2026-04-01T00:00:00Z') });
+      expect(await cachedFlags()).toEqual({ isPremium: true, isVIP: false });
+      expect((await getEntitlements(member.id)).features).toMatchObject({ unlimitedLikes: true, boostsPerMonth: 1 });
+    });
+
+    test('should ignore stale versions and unknown customers', async () => {
+      await subscribe({ plan_variation_id: 'plan-vip', version: 3 });
+
+      expect(await subscribe({ status: 'CANCELED', version: 2 })).toMatchObject({ skipped: 'stale_version' });
+      expect(await subscribe({ id: 'sq-sub-2', customer_id: 'cust-unknown' }))
+        .toEqual({ skipped: 'unknown_customer', customerId: 'cust-unknown' });
+      expect(await subscribe({ status: 'PENDING' })).toEqual({ skipped: 'status_pending' });
+      expect(await cachedFlags()).toEqual({ isPremium: true, isVIP: true });
+    });
+
+    test('should keep a cancelled plan until the paid period ends', async () => {
+      await subscribe();
+      await subscribe({ status: 'CANCELED', canceled_date: '2026-03-10', version: 2 });
+
+      expect((await getEntitlements(member.id)).subscription)
+        .toMatchObject({ status: 'CANCELLED', entitledUntil: new Date('2026-04-01T00:00:00Z') });
+      expect(await expireLapsedEntitlements()).toBe(0);
+
+      jest.setSystemTime(new Date('2026-04-01T00:01:00Z'));
+
+      expect(await expireLapsedEntitlements()).toBe(1);
+      expect((await getEntitlements(member.id)).tier).toBe('FREE');
+      expect(await cachedFlags()).toEqual({ isPremium: false, isVIP: false });
+    });
+  });
+
+  describe('applySquareInvoice()', () => {
+    test('should give a grace period from the first failed charge and restore on payment', async () => {
+      await subscribe();
+      const graceEnds = new Date(Date.now() + ENTITLEMENT_POLICY.graceDays * DAY_MS);
+
+      expect(await applySquareInvoice('invoice.scheduled_charge_failed', { id: 'inv-1', subscription_id: 'sq-sub-1' }))
+        .toMatchObject({ status: 'PAYMENT_FAILED', entitledUntil: graceEnds, tier: 'PREMIUM' });
+      jest.setSystemTime(new Date(Date.now() + 2 * DAY_MS));
+      expect((await applySquareInvoice('invoice.scheduled_charge_failed', { id: 'inv-1', subscription_id: 'sq-sub-1' })).entitledUntil)
+        .toEqual(graceEnds);
+      expect(await subscribe({ version: 2 })).toMatchObject({ status: 'PAYMENT_FAILED' });
+      expect((await getEntitlements(member.id)).subscription.inGracePeriod).toBe(true);
+
+      const paid = await applySquareInvoice('invoice.payment_made', {
+        id: 'inv-1', subscription_id: 'sq-sub-1', total_money: { amount: 999 }
+      });
+
+      expect(paid).toMatchObject({ status: 'ACTIVE', entitledUntil: null, tier: 'PREMIUM' });
+    });
+
+    test('should let a grace period lapse once it runs out', async () => {
+      await subscribe();
+      await applySquareInvoice('invoice.scheduled_charge_failed', { id: 'inv-1', subscription_id: 'sq-sub-1' });
+      expect(await subscribe({ status: 'DEACTIVATED', version: 2 })).toMatchObject({ status: 'PAYMENT_FAILED' });
+
+      jest.setSystemTime(new Date(Date.now() + (ENTITLEMENT_POLICY.graceDays + 1) * DAY_MS));
+
+      expect(await expireLapsedEntitlements()).toBe(1);
+      expect(await cachedFlags()).toEqual({ isPremium: false, isVIP: false });
+      expect(await applySquareInvoice('invoice.scheduled_charge_failed', { id: 'inv-2', subscription_id: 'sq-sub-1' }))
+        .toMatchObject({ skipped: 'subscription_ended' });
+    });
+
+    test('should ask for a retry while the subscription is not stored yet', async () => {
+      await expect(applySquareInvoice('invoice.payment_made', { id: 'inv-1', subscription_id: 'sq-sub-9' }))
+        .rejects.toThrow('not stored yet');
+      expect(await applySquareInvoice('invoice.payment_made', { id: 'inv-2' })).toEqual({ skipped: 'not_a_subscription_invoice' });
+    });
+  });
+
+  describe('assertCanLike() / activateBoost()', () => {
+    test('should cap a free member\'s likes per UTC day', async () => {
+      for (let i = 0; i < ENTITLEMENT_POLICY.freeDailyLikes; i++) {
+        const target = await prisma.datingUser.create({ data: { email: `target${i}@example.com`, passwordHash: 'hash' } });
+        await prisma.datingLike.create({ data: { fromUserId: member.id, toUserId: target.id } });
+      }
+
+      await expect(assertCanLike(member.id)).rejects.toMatchObject({
+        status: 429,
+        likes: { remaining: 0, resetsAt: new Date('2026-03-11T00:00:00Z') }
+      });
+
+      jest.setSystemTime(new Date('2026-03-11T00:00:01Z'));
+      expect(await assertCanLike(member.id)).toMatchObject({ used: 0, remaining: ENTITLEMENT_POLICY.freeDailyLikes });
+
+      await subscribe();
+      expect(await assertCanLike(member.id)).toMatchObject({ limit: null });
+    });
+
+    test('should allow the plan\'s boosts once at a time', async () => {
+      await expect(activateBoost(member.id)).rejects.toMatchObject({ status: 403, redirectTo: '/subscribe' });
+      await subscribe();
+
+      const boost = await activateBoost(member.id);
+
+      expect(boost).toEqual({ boostedUntil: new Date(Date.now() + ENTITLEMENT_POLICY.boostMinutes * 60 * 1000), remaining: 0 });
+      await expect(activateBoost(member.id)).rejects.toMatchObject({ status: 409 });
+      jest.setSystemTime(new Date(boost.boostedUntil.getTime() + 1000));
+      await expect(activateBoost(member.id)).rejects.toMatchObject({ status: 403 });
+      expect((await getEntitlements(member.id)).boosts).toMatchObject({ perMonth: 1, used: 1, remaining: 0, activeUntil: null });
+    });
+  });
+
+  describe('requireEntitlement()', () => {
+    test('should only let members with the feature through', async () => {
+      expect(await checkFeature('seeWhoLikedYou')).toMatchObject({
+        passed: false,
+        status: 403,
+        body: { feature: 'seeWhoLikedYou', redirectTo: '/subscribe' }
+      });
+
+      await subscribe();
+
+      expect((await checkFeature('seeWhoLikedYou')).passed).toBe(true);
+    });
+  });
+});
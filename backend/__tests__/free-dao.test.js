@@ -0,0 +1,149 @@
+/**
+ * Free DAO Tests
+ * FOR THE KIDS - Durable DAO governance
+ *
+ * Runs the Free DAO service against an in-memory Prisma (no server needed):
+ * - One vote per voter, and no votes once a proposal has closed
+ * - Closing tallies quorum and majority, and a passed proposal reserves its
+ *   amount as a pending disbursement
+ * - Only the proposer can cancel
+ */
+
+import { jest, describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  FREE_DAO_RULES,
+  deposit,
+  createProposal,
+  castVote,
+  cancelProposal,
+  closeProposal,
+  closeExpiredProposals,
+  listDisbursements,
+  executeDisbursement,
+  getTreasury
+} = await import('../services/free-dao.js');
+
+async function openProposal(amount = 500) {
+  await deposit({ amount: 1000, donorName: 'Test Donor' });
+  return createProposal({ title: 'School supplies', beneficiary: 'Local school', amount });
+}
+
+async function endVoting(proposalId, votes = {}) {
+  await prisma.freeDAOProposal.update({
+    where: { id: proposalId },
+    data: { endsAt: new Date(Date.now() - 1000), ...votes }
+  });
+}
+
+describe('Free DAO', () => {
+
+  describe('createProposal()', () => {
+    test('should refuse a proposal below the minimum or above the balance', async () => {
+      await deposit({ amount: 1000 });
+
+      await expect(createProposal({ title: 'Tiny', beneficiary: 'x', amount: 50 })).rejects.toMatchObject({ status: 400 });
+      await expect(createProposal({ title: 'Huge', beneficiary: 'x', amount: 5000 }))
+        .rejects.toMatchObject({ status: 400, details: { requested: 5000, available: 1000 } });
+    });
+
+    test('should open a 7-day proposal with 100% to the beneficiary', async () => {
+      const { proposal, cancelToken } = await openProposal(500);
+
+      expect(proposal).toMatchObject({ status: 'active', amount: 500, founderTake: 0, beneficiaryAllocation: 500 });
+      expect(proposal.endsAt - proposal.createdAt).toBeCloseTo(FREE_DAO_RULES.VOTE_DURATION_DAYS * 24 * 60 * 60 * 1000, -3);
+      expect(proposal.cancelTokenHash).toBeUndefined();
+      expect(cancelToken).toMatch(/^[a-f0-9]{48}$/);
+    });
+  });
+
+  describe('castVote()', () => {
+    test('should count one vote per voter, whatever the email casing', async () => {
+      const { proposal } = await openProposal();
+
+      const counted = await castVote(proposal.id, { vote: 'for', voterEmail: 'voter@example.com' });
+      await expect(castVote(proposal.id, { vote: 'against', voterEmail: ' Voter@Example.com ' }))
+        .rejects.toMatchObject({ status: 400, message: 'Already voted on this proposal' });
+
+      expect(counted).toMatchObject({ votesFor: 1, votesAgainst: 0, totalVotes: 1 });
+      expect(await prisma.freeDAOVote.count()).toBe(1);
+    });
+
+    test('should close a proposal whose window ended instead of counting the vote', async () => {
+      const { proposal } = await openProposal();
+      await endVoting(proposal.id);
+
+      await expect(castVote(proposal.id, { vote: 'for', voterEmail: 'late@example.com' }))
+        .rejects.toMatchObject({ status: 400, message: 'Voting period has ended' });
+      expect((await prisma.freeDAOProposal.findUnique({ where: { id: proposal.id } })).status).toBe('REJECTED');
+    });
+
+    test('should answer 409 and keep no vote when the proposal closes mid-vote', async () => {
+      const { proposal, cancelToken } = await openProposal();
+      const stale = await prisma.freeDAOProposal.findUnique({ where: { id: proposal.id } });
+      await cancelProposal(proposal.id, cancelToken);
+      // The vote read the proposal before the cancel landed
+      jest.spyOn(prisma.freeDAOProposal, 'findUnique').mockResolvedValueOnce(stale);
+
+      await expect(castVote(proposal.id, { vote: 'for', voterEmail: 'racer@example.com' }))
+        .rejects.toMatchObject({ status: 409, message: 'Proposal closed concurrently' });
+      expect(await prisma.freeDAOVote.count()).toBe(0);
+    });
+
+    test('should reject an unknown vote option', async () => {
+      const { proposal } = await openProposal();
+      await expect(castVote(proposal.id, { vote: 'maybe', voterEmail: 'v@example.com' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('cancelProposal()', () => {
+    test('should let only the proposer cancel', async () => {
+      const { proposal, cancelToken } = await openProposal();
+
+      await expect(cancelProposal(proposal.id, 'wrong-token')).rejects.toMatchObject({ status: 403 });
+      expect((await cancelProposal(proposal.id, cancelToken)).status).toBe('cancelled');
+      await expect(cancelProposal(proposal.id, cancelToken)).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('closeProposal() - Tally and disbursement', () => {
+    test('should reject a proposal that missed quorum', async () => {
+      const { proposal } = await openProposal();
+      await endVoting(proposal.id, { votesFor: 10, totalVotes: 10 });
+
+      expect(await closeProposal(proposal.id)).toEqual({ id: proposal.id, status: 'rejected', reason: 'quorum_not_met' });
+    });
+
+    test('should reserve a passed proposal\'s amount and pay it out once', async () => {
+      const { proposal } = await openProposal(400);
+      await endVoting(proposal.id, { votesFor: 80, votesAgainst: 20, totalVotes: FREE_DAO_RULES.QUORUM });
+
+      expect(await closeExpiredProposals()).toEqual([{ id: proposal.id, status: 'passed', reason: 'passed' }]);
+      expect(await closeProposal(proposal.id)).toBeNull();
+      expect(await getTreasury()).toEqual({ totalDeposited: 1000, totalDisbursed: 0, currentBalance: 600 });
+
+      const [pending] = await listDisbursements({ pending: true });
+      expect(pending).toMatchObject({ amount: 400, status: 'pending', proposalId: proposal.id });
+
+      await executeDisbursement(pending.id, { transferId: 'tr_1', verifiedBy: 'treasurer' });
+      await expect(executeDisbursement(pending.id, { transferId: 'tr_2' })).rejects.toMatchObject({ status: 404 });
+      expect((await getTreasury()).totalDisbursed).toBe(400);
+      expect((await prisma.freeDAOProposal.findUnique({ where: { id: proposal.id } })).status).toBe('EXECUTED');
+    });
+
+    test('should reject a passed proposal the treasury can no longer cover', async () => {
+      const first = await openProposal(800);
+      const second = await createProposal({ title: 'Books', beneficiary: 'Library', amount: 1000 });
+      for (const { proposal } of [first, second]) {
+        await endVoting(proposal.id, { votesFor: 100, totalVotes: 100 });
+      }
+
+      await closeProposal(first.proposal.id);
+
+      expect((await closeProposal(second.proposal.id)).reason).toBe('insufficient_funds');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Serve routers from an in-process Express app on a free port, for route
+ * suites that need no running server.
+ *
+ *   const app = await startApp(app => app.use('/api/things', thingRoutes));
+ *   const { status, body } = await app.request('POST', '/api/things', { body: { name: 'x' } });
+ *   await app.close();
+ *
+ * Requests go through http.request rather than fetch, so a suite can stub
+ * globalThis.fetch for outbound calls without catching its own requests.
+ */
+
+import http from 'http';
+import express from 'express';
+
+/**
+ * @param {Function} mount - Receives the app after express.json() is installed
+ * @returns {Promise<{ baseUrl: string, request: Function, close: Function }>}
+ */
+export async function startApp(mount) {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    app,
+    baseUrl,
+    /**
+     * @returns {Promise<{ status: number, headers: Object, body: Object|string }>}
+     *   body is parsed when the response is JSON
+     */
+    request(method, path, { body, headers = {} } = {}) {
+      const payload = body === undefined ? null : JSON.stringify(body);
+      return new Promise((resolve, reject) => {
+        const req = http.request(`${baseUrl}${path}`, {
+          method,
+          headers: {
+            ...(payload && { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) }),
+            ...headers
+          }
+        }, res => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            const text = Buffer.concat(chunks).toString();
+            const isJson = (res.headers['content-type'] || '').includes('application/json');
+            resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(text) : text });
+          });
+        });
+        req.on('error', reject);
+        req.end(payload);
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
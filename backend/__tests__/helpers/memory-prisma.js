@@ -0,0 +1,567 @@
+/**
+ * In-memory stand-in for the Prisma client, for service tests that don't
+ * need a database.
+ *
+ * Models, defaults, unique constraints, enums and relations are read from
+ * prisma/schema.prisma, so writes fail the way Postgres would: P2002 on a
+ * unique violation, P2025 when updating a missing row, and an error for an
+ * unknown field, an invalid enum value or a missing required field.
+ * $transaction(fn) rolls back when fn throws.
+ *
+ *   const prisma = createMemoryPrisma();
+ *   jest.unstable_mockModule('../prisma/client.js', () => ({ default: prisma }));
+ *   const service = await import('../services/some-service.js');
+ *
+ * $queryRaw and $executeRaw resolve to [] / 0; replace them in a test that
+ * depends on what they return. $reset() empties every table.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+const SCHEMA_PATH = new URL('../../prisma/schema.prisma', import.meta.url);
+const SCALARS = ['String', 'Int', 'BigInt', 'Float', 'Decimal', 'Boolean', 'DateTime', 'Json', 'Bytes'];
+const NUMERIC = ['Int', 'BigInt', 'Float', 'Decimal'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function attribute(text, name) {
+  const start = text.indexOf(`${name}(`);
+  if (start === -1) return null;
+  let depth = 0;
+  for (let i = start + name.length; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return text.slice(start + name.length + 1, i);
+  }
+  return null;
+}
+
+function listArgument(text, name) {
+  const match = text.match(new RegExp(`${name}:\\s*\\[([^\\]]*)\\]`));
+  return match ? match[1].split(',').map(s => s.trim()).filter(Boolean) : null;
+}
+
+function parseDefault(raw) {
+  if (raw === 'now()') return () => new Date();
+  if (raw === 'uuid()' || raw === 'cuid()') return () => crypto.randomUUID();
+  if (raw.startsWith('dbgenerated')) return () => null;
+  if (raw === 'true' || raw === 'false') return () => raw === 'true';
+  if (raw.startsWith('"')) return () => JSON.parse(raw);
+  if (raw.startsWith('[')) return () => JSON.parse(raw);
+  if (/^-?\d+(\.\d+)?$/.test(raw)) return () => Number(raw);
+  return () => raw; // enum value
+}
+
+function parseSchema(text) {
+  const source = text.replace(/\/\/.*$/gm, '');
+  const enums = {};
+  for (const [, name, body] of source.matchAll(/^enum\s+(\w+)\s*\{([^}]*)\}/gm)) {
+    enums[name] = body.split(/\s+/).filter(word => /^\w+$/.test(word));
+  }
+
+  const models = {};
+  for (const [, name, body] of source.matchAll(/^model\s+(\w+)\s*\{([^}]*)\}/gm)) {
+    const model = { name, fields: {}, uniques: [], autoincrement: 0 };
+    for (const line of body.split('\n').map(l => l.trim()).filter(Boolean)) {
+      if (line.startsWith('@@')) {
+        const args = attribute(line, line.startsWith('@@id') ? '@@id' : '@@unique');
+        if (!args || !/^@@(id|unique)/.test(line)) continue;
+        const fields = args.match(/\[([^\]]*)\]/)[1].split(',').map(s => s.trim());
+        const named = args.match(/name:\s*"(\w+)"/);
+        model.uniques.push({ fields, key: named ? named[1] : fields.join('_') });
+        continue;
+      }
+      const match = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+      if (!match) continue;
+      const [, field, type, list, optional, rest] = match;
+      const def = attribute(rest, '@default');
+      const relation = attribute(rest, '@relation');
+      models[name] = model;
+      model.fields[field] = {
+        name: field,
+        type,
+        list: !!list,
+        optional: !!optional,
+        default: def == null ? null : def === 'autoincrement()' ? 'autoincrement' : parseDefault(def),
+        updatedAt: rest.includes('@updatedAt'),
+        relationName: relation?.match(/"(\w+)"/)?.[1] || null,
+        fk: relation ? listArgument(relation, 'fields') : null,
+        references: relation ? listArgument(relation, 'references') : null
+      };
+      if (/@id\b/.test(rest) || /@unique\b/.test(rest)) {
+        model.uniques.push({ fields: [field], key: field });
+      }
+    }
+    models[name] = model;
+  }
+
+  // Resolve relations once every model is known
+  for (const model of Object.values(models)) {
+    for (const field of Object.values(model.fields)) {
+      if (SCALARS.includes(field.type) || enums[field.type]) continue;
+      const target = models[field.type];
+      if (!target) continue;
+      if (field.fk) {
+        field.relation = { kind: 'one', model: target.name, local: field.fk, remote: field.references };
+        continue;
+      }
+      const back = Object.values(target.fields).find(other =>
+        other.type === model.name && other.fk && other.relationName === field.relationName
+      );
+      if (!back) continue;
+      field.relation = {
+        kind: field.list ? 'many' : 'one',
+        model: target.name,
+        local: back.references,
+        remote: back.fk
+      };
+    }
+  }
+
+  return { models, enums };
+}
+
+let cachedSchema = null;
+function loadSchema() {
+  cachedSchema ||= parseSchema(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  return cachedSchema;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALUES & FILTERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'bigint') return Number(value);
+  return value;
+}
+
+function compare(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  a = comparable(a);
+  b = comparable(b);
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return Number(a) - Number(b);
+}
+
+function equal(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (isPlainObject(a) || Array.isArray(a)) return JSON.stringify(a) === JSON.stringify(b);
+  return compare(a, b) === 0;
+}
+
+function matchesScalar(value, filter) {
+  if (!isPlainObject(filter)) return equal(value, filter);
+  if (Array.isArray(filter.path)) {
+    // Json path filter: { path: ['key'], equals: ... }
+    const { path, ...rest } = filter;
+    return matchesScalar(path.reduce((v, key) => (v == null ? undefined : v[key]), value), rest);
+  }
+  const insensitive = filter.mode === 'insensitive';
+  const text = v => (insensitive ? String(v).toLowerCase() : String(v));
+
+  return Object.entries(filter).every(([op, arg]) => {
+    if (arg === undefined) return true;
+    switch (op) {
+      case 'equals': return insensitive && value != null ? text(value) === text(arg) : equal(value, arg);
+      case 'not': return isPlainObject(arg) ? !matchesScalar(value, arg) : !equal(value, arg);
+      case 'in': return arg.some(item => equal(value, item));
+      case 'notIn': return !arg.some(item => equal(value, item));
+      case 'lt': return value != null && compare(value, arg) < 0;
+      case 'lte': return value != null && compare(value, arg) <= 0;
+      case 'gt': return value != null && compare(value, arg) > 0;
+      case 'gte': return value != null && compare(value, arg) >= 0;
+      case 'contains': return value != null && text(value).includes(text(arg));
+      case 'startsWith': return value != null && text(value).startsWith(text(arg));
+      case 'endsWith': return value != null && text(value).endsWith(text(arg));
+      case 'has': return (value || []).some(item => equal(item, arg));
+      case 'hasSome': return arg.some(item => (value || []).some(v => equal(v, item)));
+      case 'hasEvery': return arg.every(item => (value || []).some(v => equal(v, item)));
+      case 'isEmpty': return ((value || []).length === 0) === arg;
+      case 'mode': return true;
+      default:
+        // Json columns compared as a whole
+        return equal(value, filter);
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLIENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function createMemoryPrisma() {
+  const { models, enums } = loadSchema();
+  let tables = Object.fromEntries(Object.keys(models).map(name => [name, []]));
+
+  const modelFor = name => {
+    const model = models[name];
+    if (!model) throw new Error(`Unknown model: ${name}`);
+    return model;
+  };
+
+  const related = (relation, row) => tables[relation.model].filter(other =>
+    relation.local.every((key, i) => row[key] != null && equal(other[relation.remote[i]], row[key]))
+  );
+
+  function expandUnique(model, where) {
+    const expanded = {};
+    for (const [key, value] of Object.entries(where)) {
+      const compound = model.uniques.find(u => u.fields.length > 1 && u.key === key);
+      if (compound) Object.assign(expanded, value);
+      else expanded[key] = value;
+    }
+    return expanded;
+  }
+
+  function matches(model, row, where = {}) {
+    return Object.entries(expandUnique(model, where)).every(([key, filter]) => {
+      if (filter === undefined) return true;
+      if (key === 'AND') return [].concat(filter).every(w => matches(model, row, w));
+      if (key === 'OR') return filter.some(w => matches(model, row, w));
+      if (key === 'NOT') return ![].concat(filter).some(w => matches(model, row, w));
+
+      const field = model.fields[key];
+      if (!field) throw new Error(`Unknown field ${model.name}.${key} in where`);
+      if (!field.relation) return matchesScalar(row[key], filter);
+
+      const target = modelFor(field.relation.model);
+      const rows = related(field.relation, row);
+      if (field.relation.kind === 'many') {
+        if (filter.some) return rows.some(r => matches(target, r, filter.some));
+        if (filter.every) return rows.every(r => matches(target, r, filter.every));
+        if (filter.none) return !rows.some(r => matches(target, r, filter.none));
+        return true;
+      }
+      if (filter === null) return rows.length === 0;
+      if (filter.is !== undefined) return filter.is === null ? rows.length === 0 : rows.some(r => matches(target, r, filter.is));
+      if (filter.isNot !== undefined) return filter.isNot === null ? rows.length > 0 : !rows.some(r => matches(target, r, filter.isNot));
+      return rows.some(r => matches(target, r, filter));
+    });
+  }
+
+  function sortRows(rows, orderBy) {
+    const orders = [].concat(orderBy || []).flatMap(o => Object.entries(o));
+    return [...rows].sort((a, b) => {
+      for (const [key, spec] of orders) {
+        const direction = typeof spec === 'string' ? spec : spec.sort;
+        const [x, y] = [a[key], b[key]];
+        if (x == null && y == null) continue;
+        // Postgres: NULLS LAST ascending, NULLS FIRST descending
+        if (x == null) return direction === 'asc' ? 1 : -1;
+        if (y == null) return direction === 'asc' ? -1 : 1;
+        const result = compare(x, y);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  function page(model, rows, { where, orderBy, skip = 0, take, cursor, distinct } = {}) {
+    let result = sortRows(rows.filter(row => matches(model, row, where)), orderBy);
+    if (cursor) {
+      const start = result.findIndex(row => matches(model, row, cursor));
+      result = start === -1 ? [] : result.slice(start);
+    }
+    if (distinct) {
+      const seen = new Set();
+      result = result.filter(row => {
+        const key = JSON.stringify([].concat(distinct).map(f => row[f]));
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+    if (take < 0) return result.slice(Math.max(0, result.length + take - skip), result.length - skip);
+    return result.slice(skip, take == null ? undefined : skip + take);
+  }
+
+  function shape(model, row, { select, include } = {}) {
+    if (!row) return null;
+    const picked = select
+      ? Object.fromEntries(Object.keys(select).filter(k => select[k] && k !== '_count' && !model.fields[k]?.relation).map(k => [k, clone(row[k])]))
+      : Object.fromEntries(Object.entries(row).filter(([k]) => !model.fields[k]?.relation).map(([k, v]) => [k, clone(v)]));
+
+    const nested = { ...(select || {}), ...(include || {}) };
+    for (const [key, spec] of Object.entries(nested)) {
+      if (!spec) continue;
+      if (key === '_count') {
+        const counted = spec === true ? {} : spec.select;
+        picked._count = Object.fromEntries(Object.entries(counted).map(([rel, relSpec]) => {
+          const field = model.fields[rel];
+          const rows = related(field.relation, row);
+          const target = modelFor(field.relation.model);
+          return [rel, relSpec.where ? rows.filter(r => matches(target, r, relSpec.where)).length : rows.length];
+        }));
+        continue;
+      }
+      const field = model.fields[key];
+      if (!field?.relation) continue;
+      const target = modelFor(field.relation.model);
+      const options = spec === true ? {} : spec;
+      const rows = related(field.relation, row);
+      picked[key] = field.relation.kind === 'many'
+        ? page(target, rows, options).map(r => shape(target, r, options))
+        : shape(target, rows[0] || null, options);
+    }
+    return picked;
+  }
+
+  function coerce(field, value) {
+    if (value == null) return value;
+    if (enums[field.type]) {
+      for (const item of [].concat(value)) {
+        if (!enums[field.type].includes(item)) {
+          throw new Error(`Invalid value for ${field.name}: expected ${field.type}, got ${item}`);
+        }
+      }
+      return value;
+    }
+    if (NUMERIC.includes(field.type) && !field.list) return Number(value);
+    if (field.type === 'DateTime' && !(value instanceof Date)) return new Date(value);
+    return clone(value);
+  }
+
+  function write(model, row, data, { creating } = {}) {
+    const after = [];
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const field = model.fields[key];
+      if (!field) throw new Error(`Unknown field ${model.name}.${key} in data`);
+
+      if (field.relation) {
+        const relation = field.relation;
+        const target = modelFor(relation.model);
+        if (value.connect) {
+          const other = tables[relation.model].find(r => matches(target, r, value.connect));
+          if (!other) throw Object.assign(new Error(`No ${relation.model} to connect`), { code: 'P2025' });
+          relation.local.forEach((fk, i) => { row[fk] = other[relation.remote[i]]; });
+        } else if (value.disconnect) {
+          relation.local.forEach(fk => { row[fk] = null; });
+        } else if (value.create || value.createMany) {
+          if (relation.kind === 'one' && field.fk) {
+            const other = create(relation.model, value.create);
+            relation.local.forEach((fk, i) => { row[fk] = other[relation.remote[i]]; });
+          } else {
+            const items = value.createMany ? value.createMany.data : [].concat(value.create);
+            after.push(parent => items.forEach(item => create(relation.model, {
+              ...item,
+              ...Object.fromEntries(relation.remote.map((fk, i) => [fk, parent[relation.local[i]]]))
+            })));
+          }
+        }
+        continue;
+      }
+
+      if (isPlainObject(value) && field.type !== 'Json') {
+        const [op, arg] = Object.entries(value)[0];
+        const current = row[key] ?? 0;
+        row[key] = op === 'set' ? coerce(field, arg)
+          : op === 'increment' ? Number(current) + Number(arg)
+            : op === 'decrement' ? Number(current) - Number(arg)
+              : op === 'multiply' ? Number(current) * Number(arg)
+                : op === 'divide' ? Number(current) / Number(arg)
+                  : op === 'push' ? [...(row[key] || []), ...[].concat(arg)]
+                    : (() => { throw new Error(`Unsupported update ${op} on ${model.name}.${key}`); })();
+        continue;
+      }
+      row[key] = coerce(field, value);
+    }
+
+    if (!creating) {
+      for (const field of Object.values(model.fields)) {
+        if (field.updatedAt) row[field.name] = new Date();
+      }
+    }
+    return after;
+  }
+
+  function checkUnique(model, row, ignore) {
+    for (const unique of model.uniques) {
+      if (unique.fields.some(f => row[f] == null)) continue;
+      const clash = tables[model.name].find(other => other !== ignore
+        && unique.fields.every(f => equal(other[f], row[f])));
+      if (clash) {
+        throw Object.assign(new Error(`Unique constraint failed on ${model.name}(${unique.fields.join(', ')})`), {
+          code: 'P2002',
+          meta: { target: unique.fields }
+        });
+      }
+    }
+  }
+
+  function create(name, data) {
+    const model = modelFor(name);
+    const row = {};
+    const after = write(model, row, data, { creating: true });
+
+    for (const field of Object.values(model.fields)) {
+      if (field.relation || row[field.name] !== undefined) continue;
+      if (field.default === 'autoincrement') row[field.name] = ++model.autoincrement;
+      else if (field.default) row[field.name] = coerce(field, field.default());
+      else if (field.updatedAt) row[field.name] = new Date();
+      else if (field.list) row[field.name] = [];
+      else if (field.optional) row[field.name] = null;
+      else if (!SCALARS.includes(field.type) && !enums[field.type]) continue;
+      else throw new Error(`Missing required field ${name}.${field.name}`);
+    }
+
+    checkUnique(model, row);
+    tables[name].push(row);
+    after.forEach(fn => fn(row));
+    return row;
+  }
+
+  function update(model, row, data) {
+    const next = { ...row };
+    const after = write(model, next, data);
+    checkUnique(model, next, row);
+    Object.assign(row, next);
+    after.forEach(fn => fn(row));
+    return row;
+  }
+
+  function aggregateRows(rows, args) {
+    const result = {};
+    if (args._count) {
+      result._count = args._count === true ? rows.length
+        : Object.fromEntries(Object.keys(args._count).map(k => [k, k === '_all' ? rows.length : rows.filter(r => r[k] != null).length]));
+    }
+    for (const op of ['_sum', '_avg', '_min', '_max']) {
+      if (!args[op]) continue;
+      result[op] = {};
+      for (const key of Object.keys(args[op])) {
+        const values = rows.map(r => r[key]).filter(v => v != null);
+        result[op][key] = values.length === 0 ? null
+          : op === '_sum' ? values.reduce((sum, v) => sum + Number(v), 0)
+            : op === '_avg' ? values.reduce((sum, v) => sum + Number(v), 0) / values.length
+              : sortRows(values.map(v => ({ v })), { v: op === '_min' ? 'asc' : 'desc' })[0].v;
+      }
+    }
+    return result;
+  }
+
+  function delegate(name) {
+    const model = modelFor(name);
+    const table = () => tables[name];
+    const findOne = where => table().find(row => matches(model, row, where));
+    const missing = () => Object.assign(new Error(`No ${name} found`), { code: 'P2025' });
+
+    return {
+      async findUnique(args) { return shape(model, findOne(args.where), args); },
+      async findUniqueOrThrow(args) {
+        const row = findOne(args.where);
+        if (!row) throw missing();
+        return shape(model, row, args);
+      },
+      async findFirst(args = {}) { return shape(model, page(model, table(), { ...args, take: 1 })[0] || null, args); },
+      async findFirstOrThrow(args = {}) {
+        const row = page(model, table(), { ...args, take: 1 })[0];
+        if (!row) throw missing();
+        return shape(model, row, args);
+      },
+      async findMany(args = {}) { return page(model, table(), args).map(row => shape(model, row, args)); },
+      async count(args = {}) { return page(model, table(), args).length; },
+      async create(args) { return shape(model, create(name, args.data), args); },
+      async createMany({ data, skipDuplicates }) {
+        let count = 0;
+        for (const item of data) {
+          try {
+            create(name, item);
+            count++;
+          } catch (error) {
+            if (!(skipDuplicates && error.code === 'P2002')) throw error;
+          }
+        }
+        return { count };
+      },
+      async update(args) {
+        const row = findOne(args.where);
+        if (!row) throw missing();
+        return shape(model, update(model, row, args.data), args);
+      },
+      async updateMany({ where, data }) {
+        const rows = table().filter(row => matches(model, row, where));
+        rows.forEach(row => update(model, row, data));
+        return { count: rows.length };
+      },
+      async upsert(args) {
+        const row = findOne(args.where);
+        return shape(model, row ? update(model, row, args.update) : create(name, args.create), args);
+      },
+      async delete(args) {
+        const row = findOne(args.where);
+        if (!row) throw missing();
+        tables[name] = table().filter(r => r !== row);
+        return shape(model, row, args);
+      },
+      async deleteMany({ where } = {}) {
+        const before = table().length;
+        tables[name] = table().filter(row => !matches(model, row, where));
+        return { count: before - tables[name].length };
+      },
+      async aggregate(args = {}) {
+        return aggregateRows(page(model, table(), args), args);
+      },
+      async groupBy(args) {
+        const groups = new Map();
+        for (const row of page(model, table(), { where: args.where })) {
+          const key = JSON.stringify(args.by.map(f => row[f]));
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(row);
+        }
+        return [...groups.values()].map(rows => ({
+          ...Object.fromEntries(args.by.map(f => [f, clone(rows[0][f])])),
+          ...aggregateRows(rows, args)
+        }));
+      }
+    };
+  }
+
+  const delegates = {};
+  const client = {
+    async $transaction(work) {
+      if (typeof work !== 'function') return Promise.all(work);
+      const snapshot = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(r => ({ ...r }))]));
+      try {
+        return await work(client);
+      } catch (error) {
+        tables = snapshot;
+        throw error;
+      }
+    },
+    async $queryRaw() { return []; },
+    async $executeRaw() { return 0; },
+    async $connect() {},
+    async $disconnect() {},
+    $reset() {
+      tables = Object.fromEntries(Object.keys(models).map(name => [name, []]));
+    }
+  };
+
+  for (const name of Object.keys(models)) {
+    const key = name[0].toLowerCase() + name.slice(1);
+    delegates[key] = delegate(name);
+    Object.defineProperty(client, key, { get: () => delegates[key], enumerable: true });
+  }
+  return client;
+}
+
+export default createMemoryPrisma;
@@ -0,0 +1,72 @@
+/**
+ * Shared setup for suites that run against the in-memory Prisma.
+ *
+ *   const prisma = useMemoryPrisma({ env: { JWT_SECRET: 'test-access-secret' } });
+ *   const service = await import('../services/some-service.js');
+ *
+ * Call it at the top level, before importing the code under test: it mocks
+ * prisma/client.js, sets the environment, and around every test empties the
+ * tables, silences console.log/warn and restores mocks and real timers.
+ * mockSendGrid() does the same for outgoing email.
+ */
+
+import { jest, beforeEach, afterEach } from '@jest/globals';
+import { createMemoryPrisma } from './memory-prisma.js';
+
+const PRISMA_CLIENT = new URL('../../prisma/client.js', import.meta.url).pathname;
+
+export const TEST_ENV = Object.freeze({
+  JWT_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret'
+});
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra environment variables (on top of TEST_ENV)
+ * @param {string[]} [options.silence] - console methods to silence in each test
+ * @returns {Object} The in-memory Prisma client
+ */
+export function useMemoryPrisma({ env = {}, silence = ['log', 'warn'] } = {}) {
+  const prisma = createMemoryPrisma();
+  jest.unstable_mockModule(PRISMA_CLIENT, () => ({ default: prisma }));
+  Object.assign(process.env, TEST_ENV, env);
+
+  beforeEach(() => {
+    prisma.$reset();
+    for (const method of silence) {
+      jest.spyOn(console, method).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  return prisma;
+}
+
+/**
+ * Replace @sendgrid/mail. Every message sent lands in `sent`, emptied before
+ * each test; `send` is the mock, for a test that needs a send to fail.
+ * Call it before importing the code under test.
+ * @returns {{ sent: Object[], send: Function }}
+ */
+export function mockSendGrid() {
+  const sent = [];
+  const send = jest.fn(async message => { sent.push(message); });
+  jest.unstable_mockModule('@sendgrid/mail', () => ({ default: { setApiKey() {}, send } }));
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  return { sent, send };
+}
+
+/**
+ * Fake the clock from `now`, leaving the microtask hooks Prisma-style async code needs
+ */
+export function freezeTime(now) {
+  jest.useFakeTimers({ now: new Date(now), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+}
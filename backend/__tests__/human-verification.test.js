@@ -0,0 +1,153 @@
+/**
+ * Human Verification Tests
+ * FOR THE KIDS - Stored human-verification sessions
+ *
+ * Runs the human verification service against an in-memory Prisma
+ * (no server needed):
+ * - Challenges are stored with hashed answers and limited attempts
+ * - A session verifies the account once its score reaches the threshold
+ * - Challenge types without a grader are not issued until one is registered
+ * - Status is read back from storage and expires after the re-verification interval
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma, freezeTime } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  CHALLENGE_TYPES,
+  VERIFICATION_THRESHOLD,
+  startVerification,
+  submitChallenge,
+  getNextChallenge,
+  registerChallengeGrader,
+  isVerified,
+  getVerificationStatus,
+  revokeVerification
+} = await import('../services/human-verification.js');
+const { HUMAN_REVERIFICATION_DAYS } = await import('../services/auth.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read the answer off the prompt, the way a person would
+function solve(challenge) {
+  if (challenge.type === 'CAPTCHA') return challenge.display;
+  const [, a, op, b] = challenge.display.match(/(\d+) ([+*-]) (\d+)/);
+  return String({ '+': (x, y) => x + y, '-': (x, y) => x - y, '*': (x, y) => x * y }[op](Number(a), Number(b)));
+}
+
+let member;
+
+beforeEach(async () => {
+  freezeTime('2026-03-01T00:00:00Z');
+  member = await prisma.datingUser.create({ data: { email: 'member@example.com', passwordHash: 'hash', status: 'ACTIVE' } });
+});
+
+describe('Human Verification', () => {
+
+  describe('startVerification() / submitChallenge()', () => {
+    test('should store the challenges without their answers', async () => {
+      const { sessionId, challenges } = await startVerification(member.id);
+      const [captcha] = challenges;
+      const stored = await prisma.humanChallenge.findUnique({ where: { id: captcha.challengeId } });
+
+      expect(challenges.map(c => c.type)).toEqual(['CAPTCHA', 'MATH_PUZZLE']);
+      expect(captcha).not.toHaveProperty('answer');
+      expect(stored).toMatchObject({ sessionId, status: 'PENDING', maxAttempts: CHALLENGE_TYPES.CAPTCHA.attempts });
+      expect(JSON.stringify(stored.expected)).not.toContain(captcha.display.toLowerCase());
+    });
+
+    test('should add up scores and report the session in progress', async () => {
+      const { sessionId, challenges } = await startVerification(member.id);
+
+      const first = await submitChallenge(challenges[0].challengeId, solve(challenges[0]), member.id);
+      const second = await submitChallenge(challenges[1].challengeId, ` ${solve(challenges[1])} `, member.id);
+
+      expect(first).toMatchObject({ correct: true, score: 30, verified: false });
+      expect(second).toMatchObject({ correct: true, score: 50, remaining: VERIFICATION_THRESHOLD - 50 });
+      expect(await getVerificationStatus(member.id)).toMatchObject({ verified: false, sessionId, score: 50, completedChallenges: 2 });
+      expect((await submitChallenge(challenges[0].challengeId, solve(challenges[0]), member.id)).error)
+        .toBe('Challenge already passed');
+    });
+
+    test('should fail a challenge after its last wrong attempt', async () => {
+      const { challenges: [captcha] } = await startVerification(member.id);
+
+      for (let attempt = 1; attempt < CHALLENGE_TYPES.CAPTCHA.attempts; attempt++) {
+        expect((await submitChallenge(captcha.challengeId, 'wrong', member.id)).attemptsRemaining)
+          .toBe(CHALLENGE_TYPES.CAPTCHA.attempts - attempt);
+      }
+      expect(await submitChallenge(captcha.challengeId, 'wrong', member.id)).toMatchObject({ correct: false, attemptsRemaining: 0 });
+
+      expect((await submitChallenge(captcha.challengeId, solve(captcha), member.id)).error).toBe('Challenge already failed');
+      expect(await prisma.humanChallengeAttempt.count({ where: { challengeId: captcha.challengeId } })).toBe(3);
+    });
+
+    test('should refuse another user\'s challenge and an expired one', async () => {
+      const { challenges: [captcha] } = await startVerification(member.id);
+
+      expect((await submitChallenge(captcha.challengeId, solve(captcha), 'someone-else')).error)
+        .toBe('Challenge does not belong to this user');
+
+      jest.setSystemTime(new Date(Date.now() + CHALLENGE_TYPES.CAPTCHA.expiry + 1000));
+      expect((await submitChallenge(captcha.challengeId, solve(captcha), member.id)).error).toBe('Challenge expired');
+    });
+  });
+
+  describe('registerChallengeGrader() - Pluggable graders', () => {
+    test('should issue a media challenge only once a grader is registered, and verify on the threshold', async () => {
+      expect(await getNextChallenge(member.id, 'VOICE_PHRASE')).toMatchObject({
+        gradableTypes: ['CAPTCHA', 'MATH_PUZZLE', 'IMAGE_SELECT']
+      });
+
+      registerChallengeGrader('VOICE_PHRASE', {
+        id: 'test-speech',
+        async grade(challenge, response) {
+          return { correct: response.transcript === challenge.expected.phrase, confidence: 0.97 };
+        }
+      });
+      const voice = await getNextChallenge(member.id, 'VOICE_PHRASE');
+      const phrase = voice.display.match(/"(.+)"/)[1];
+      const captcha = await getNextChallenge(member.id, 'CAPTCHA');
+
+      await submitChallenge(captcha.challengeId, solve(captcha), member.id);
+      const result = await submitChallenge(voice.challengeId, { transcript: phrase }, member.id);
+
+      expect(result).toMatchObject({ verified: true, score: 100, validUntil: new Date(Date.now() + HUMAN_REVERIFICATION_DAYS * DAY_MS) });
+      expect(await prisma.humanChallengeAttempt.findFirst({ where: { challengeId: voice.challengeId } }))
+        .toMatchObject({ grader: 'test-speech', correct: true, confidence: 0.97 });
+      const verified = await prisma.datingUser.findUnique({ where: { id: member.id } });
+      expect(verified.humanVerificationStatus).toBe('VERIFIED');
+      expect(verified.humanVerificationMethod.split('+').sort()).toEqual(['captcha', 'voice_phrase']);
+      expect(() => registerChallengeGrader('HANDWRITING', { id: 'x', grade() {} })).toThrow('Unknown challenge type');
+    });
+  });
+
+  describe('getVerificationStatus() / revokeVerification()', () => {
+    test('should ask for re-verification once the pass expires', async () => {
+      await prisma.datingUser.update({
+        where: { id: member.id },
+        data: { humanVerificationStatus: 'VERIFIED', humanVerificationExpiresAt: new Date(Date.now() + DAY_MS) }
+      });
+      expect(await isVerified(member.id)).toBe(true);
+      expect((await getNextChallenge(member.id)).error).toBe('User already verified');
+
+      jest.setSystemTime(new Date(Date.now() + 2 * DAY_MS));
+
+      expect(await isVerified(member.id)).toBe(false);
+      expect(await getVerificationStatus(member.id)).toMatchObject({ verified: false, reverificationDue: true });
+    });
+
+    test('should revoke the account and its sessions', async () => {
+      const { sessionId } = await startVerification(member.id);
+
+      expect((await revokeVerification(member.id, 'Reported as a bot')).success).toBe(true);
+
+      expect(await getVerificationStatus(member.id)).toMatchObject({ verified: false, revoked: true });
+      expect(await prisma.humanVerificationSession.findUnique({ where: { id: sessionId } }))
+        .toMatchObject({ status: 'REJECTED', revokeReason: 'Reported as a bot' });
+      expect((await revokeVerification('missing', 'x')).success).toBe(false);
+    });
+  });
+});
@@ -1,48 +1,69 @@
-import { describe, test, expect } from '@jest/globals';
-import http from 'http';
+/**
+ * Jules API Tests
+ *
+ * Serves the Jules router the way server.js mounts it (behind the jules
+ * scope), from an in-process app with Gemini stubbed (no server needed).
+ */
 
-const port = 3000; // Use the default server port
+import { jest, describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+import { startApp } from './helpers/http.js';
+
+useMemoryPrisma({ env: { GEMINI_MODEL_NAME: 'gemini-test-model' } });
+
+const generateContent = jest.fn(async () => ({ text: 'Hello from Jules' }));
+jest.unstable_mockModule('@google/genai', () => ({
+  GoogleGenAI: class {
+    constructor() {
+      this.models = { generateContent };
+    }
+  }
+}));
+
+const { createApiKey } = await import('../services/access-control.js');
+const { requireResourceScope } = await import('../middleware/rbac.js');
+const { default: julesRoutes } = await import('../routes/jules.js');
+
+let api;
+
+async function apiKeyHeaders(scopes) {
+  const { key } = await createApiKey({ name: `key-${scopes.join('-')}`, scopes });
+  return { 'x-api-key': key };
+}
+
+beforeAll(async () => {
+  api = await startApp(app => app.use('/api/jules', requireResourceScope('jules'), julesRoutes));
+});
+
+afterAll(async () => {
+  await api.close();
+});
 
 describe('Jules API', () => {
-  test('should return a successful response for /api/jules/execute', (done) => {
-    const postData = JSON.stringify({
-      command: 'Hello Jules',
+  test('should return a successful response for /api/jules/execute', async () => {
+    const response = await api.request('POST', '/api/jules/execute', {
+      body: { command: 'Hello Jules' },
+      headers: await apiKeyHeaders(['jules:write'])
     });
 
-    const options = {
-      hostname: 'localhost',
-      port: port,
-      path: '/api/jules/execute',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData),
-      },
-    };
-
-    const req = http.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          expect(res.statusCode).toBe(200);
-          expect(response.success).toBe(true);
-          expect(response.agent).toBe('Jules (Gemini 1.5 Pro)');
-          done();
-        } catch (e) {
-          done(e);
-        }
-      });
-    });
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.response).toBe('Hello from Jules');
+    expect(response.body.agent).toBe('Jules (gemini-test-model)');
+    expect(generateContent).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'gemini-test-model',
+      contents: 'Hello Jules'
+    }));
+  });
 
-    req.on('error', (e) => {
-      done(e);
+  test('should need the jules:write scope', async () => {
+    const anonymous = await api.request('POST', '/api/jules/execute', { body: { command: 'Hello Jules' } });
+    const readOnly = await api.request('POST', '/api/jules/execute', {
+      body: { command: 'Hello Jules' },
+      headers: await apiKeyHeaders(['jules:read'])
     });
 
-    req.write(postData);
-    req.end();
+    expect(anonymous.status).toBe(401);
+    expect(readOnly.status).toBe(403);
   });
 });
@@ -0,0 +1,166 @@
+/**
+ * Message Screening Tests
+ * FOR THE KIDS - Anti-AI message screening with appeals
+ *
+ * Runs message screening against an in-memory Prisma with Ollama
+ * unreachable (no server needed):
+ * - Every message is scored once; AI-written ones are flagged with a notice
+ * - Repeat offenders are soft-flagged, then rate limited
+ * - Senders can appeal once; overturning a flag lowers their level
+ * - Moderators see the flagged message in its conversation
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  SCREENING_POLICY,
+  assertCanSend,
+  screenMessage,
+  screenPendingMessages,
+  getScreeningStatus,
+  appealNotice,
+  getFlaggedConversation,
+  decideAppeal
+} = await import('../services/message-screening.js');
+
+const AI_TEXT = 'As an AI language model, I don\'t have personal feelings. Furthermore, it\'s important to note '
+  + 'that meeting in public is safest. Additionally, it\'s worth mentioning that I would suggest a café.';
+const MINUTE_MS = 60 * 1000;
+
+let alex;
+let blair;
+let match;
+let clock;
+
+// Messages get distinct, increasing timestamps so conversation order is stable
+async function send(sender, content) {
+  clock += MINUTE_MS;
+  const receiver = sender.id === alex.id ? blair : alex;
+  return prisma.datingMessage.create({
+    data: { matchId: match.id, senderId: sender.id, receiverId: receiver.id, content, createdAt: new Date(clock) }
+  });
+}
+
+async function sendScreened(sender, content) {
+  const message = await send(sender, content);
+  return { message, result: await screenMessage(message) };
+}
+
+beforeEach(async () => {
+  jest.spyOn(globalThis, 'fetch').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+  clock = Date.now() - 30 * MINUTE_MS;
+  alex = await prisma.datingUser.create({ data: { email: 'alex@example.com', passwordHash: 'hash', displayName: 'Alex' } });
+  blair = await prisma.datingUser.create({ data: { email: 'blair@example.com', passwordHash: 'hash', displayName: 'Blair' } });
+  match = await prisma.datingMatch.create({ data: { userId1: alex.id, userId2: blair.id } });
+});
+
+describe('Message Screening', () => {
+
+  describe('screenMessage()', () => {
+    test('should score a message once and leave a human one unflagged', async () => {
+      const { message, result } = await sendScreened(alex, 'haha no way. tacos tonight?? ok but only the spicy ones');
+
+      expect(result).toMatchObject({ flagged: false });
+      expect(await prisma.datingMessage.findUnique({ where: { id: message.id } }))
+        .toMatchObject({ flagged: false, screenedAt: expect.any(Date) });
+      expect(await screenMessage(message)).toBeNull();
+      expect(await prisma.aiScreeningNotice.count()).toBe(0);
+    });
+
+    test('should flag an AI-written message and notify the sender', async () => {
+      const { message, result } = await sendScreened(alex, AI_TEXT);
+
+      expect(result).toMatchObject({ flagged: true, level: 'CLEAR', noticeId: expect.any(String) });
+      expect((await prisma.datingMessage.findUnique({ where: { id: message.id } })).aiAnalysis.features.perplexity)
+        .toMatchObject({ available: false });
+      expect(await getScreeningStatus(alex.id)).toMatchObject({ level: 'CLEAR', flaggedMessages: 1, unread: 1 });
+      expect((await prisma.datingUser.findUnique({ where: { id: alex.id } })).warningCount).toBe(1);
+    });
+
+    test('should screen what the request path missed, after a grace period', async () => {
+      clock -= 10 * MINUTE_MS;
+      await send(alex, AI_TEXT);
+      clock = Date.now();
+      await send(alex, AI_TEXT);
+
+      expect(await screenPendingMessages()).toEqual({ screened: 1, flagged: 1 });
+    });
+  });
+
+  describe('Escalation', () => {
+    test('should soft-flag, then rate limit a repeat offender', async () => {
+      for (let i = 1; i < SCREENING_POLICY.softFlagAfter; i++) await sendScreened(alex, AI_TEXT);
+      expect((await sendScreened(alex, AI_TEXT)).result.level).toBe('SOFT_FLAGGED');
+
+      for (let i = SCREENING_POLICY.softFlagAfter + 1; i < SCREENING_POLICY.rateLimitAfter; i++) await sendScreened(alex, AI_TEXT);
+      expect((await sendScreened(alex, AI_TEXT)).result.level).toBe('RATE_LIMITED');
+
+      const { rateLimitedUntil } = await getScreeningStatus(alex.id);
+      expect(rateLimitedUntil - Date.now()).toBeGreaterThan((SCREENING_POLICY.rateLimitHours - 1) * 60 * MINUTE_MS);
+    });
+
+    test('should cap messages per hour while rate limited', async () => {
+      for (let i = 0; i < SCREENING_POLICY.rateLimitAfter; i++) await sendScreened(alex, AI_TEXT);
+      expect(await assertCanSend(blair.id)).toBe('CLEAR');
+
+      while (await prisma.datingMessage.count({ where: { senderId: alex.id } }) < SCREENING_POLICY.messagesPerHour) {
+        await send(alex, 'ok');
+      }
+
+      await expect(assertCanSend(alex.id)).rejects.toMatchObject({
+        status: 429,
+        screening: { level: 'RATE_LIMITED', appeal: '/api/dating/screening' }
+      });
+    });
+  });
+
+  describe('appealNotice() / decideAppeal()', () => {
+    test('should accept one appeal per notice from its sender', async () => {
+      const { result } = await sendScreened(alex, AI_TEXT);
+
+      await expect(appealNotice(result.noticeId, alex.id, '  ')).rejects.toMatchObject({ status: 400 });
+      await expect(appealNotice(result.noticeId, blair.id, 'Not mine')).rejects.toMatchObject({ status: 404 });
+      expect(await appealNotice(result.noticeId, alex.id, 'I wrote this myself, I teach English'))
+        .toMatchObject({ appealStatus: 'PENDING', readAt: expect.any(Date) });
+      await expect(appealNotice(result.noticeId, alex.id, 'Again')).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should unflag the message and lower the level when overturned', async () => {
+      await sendScreened(alex, AI_TEXT);
+      const { message, result } = await sendScreened(alex, AI_TEXT);
+      await appealNotice(result.noticeId, alex.id, 'Both were me');
+
+      await expect(decideAppeal(result.noticeId, 'maybe', { actor: 'user:mod@example.com' })).rejects.toMatchObject({ status: 400 });
+      const decided = await decideAppeal(result.noticeId, 'overturn', { actor: 'user:mod@example.com', notes: 'Plausibly human' });
+
+      expect(decided).toMatchObject({ appealStatus: 'OVERTURNED', reviewedBy: 'user:mod@example.com', user: { aiScreeningLevel: 'CLEAR' } });
+      expect((await prisma.datingMessage.findUnique({ where: { id: message.id } })).flagged).toBe(false);
+      await expect(decideAppeal(result.noticeId, 'uphold')).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('getFlaggedConversation()', () => {
+    test('should show the flagged message between its neighbours, with the audit trail', async () => {
+      await send(blair, 'so what do you do for fun?');
+      const { message, result } = await sendScreened(alex, AI_TEXT);
+      await send(blair, 'uh... ok then');
+      await appealNotice(result.noticeId, alex.id, 'Just formal');
+
+      const { conversation, participants, timeline } = await getFlaggedConversation(result.noticeId);
+
+      expect(conversation.messages.map(m => [m.content.slice(0, 10), m.focus === true])).toEqual([
+        ['so what do', false],
+        [AI_TEXT.slice(0, 10), true],
+        ['uh... ok t', false]
+      ]);
+      expect(conversation.messages[1].id).toBe(message.id);
+      expect(participants.map(p => p.id).sort()).toEqual([alex.id, blair.id].sort());
+      expect(timeline.map(entry => entry.action)).toEqual(['ai_message_flagged', 'ai_flag_appealed']);
+      await expect(getFlaggedConversation('missing')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Moderation Tests
+ * FOR THE KIDS - Minor report case management
+ *
+ * Runs the moderation service against an in-memory Prisma (no server needed):
+ * - A minor report opens a CRITICAL case and suspends the reported account
+ * - The queue lists open cases most urgent first; assigning stops the
+ *   response clock
+ * - Confirming bans the account, dismissing lifts the suspension once no
+ *   other case holds it
+ * - Pending cases past their response deadline are escalated
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const { reportMinor } = await import('../services/age-verification.js');
+const {
+  listQueue,
+  getQueueStats,
+  getCase,
+  assignCase,
+  transitionCase,
+  addAttachment,
+  escalateOverdueCases
+} = await import('../services/moderation.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MODERATOR = 'user:mod@example.com';
+
+async function seedMember(email, status = 'ACTIVE') {
+  const user = await prisma.datingUser.create({ data: { email, passwordHash: 'hash', status, ageVerified: true } });
+  const verification = await prisma.ageVerification.create({
+    data: {
+      sessionId: `session-${email}`,
+      userId: user.id,
+      ipHash: 'ip',
+      verificationLevel: 'VERIFIED',
+      isVerified: true,
+      ageConfirmed: true,
+      expiresAt: new Date(Date.now() + 365 * 24 * HOUR_MS)
+    }
+  });
+  await prisma.authSession.create({ data: { userId: user.id, expiresAt: new Date(Date.now() + HOUR_MS) } });
+  return { user, verification };
+}
+
+async function report(member, reason = 'Says they are 15') {
+  const { report: opened } = await reportMinor({ reportedUserId: member.user.id, reason, reporterSessionId: 'reporter' });
+  return opened;
+}
+
+const userStatus = async member => (await prisma.datingUser.findUnique({ where: { id: member.user.id } })).status;
+
+describe('Moderation', () => {
+
+  describe('reportMinor() - Opening a case', () => {
+    test('should open a CRITICAL case with response and resolution deadlines', async () => {
+      const member = await seedMember('reported@example.com');
+      const opened = await report(member);
+
+      expect(opened).toMatchObject({ status: 'PENDING', priority: 'CRITICAL', accountSuspended: true });
+      expect(opened.responseDeadline - opened.createdAt).toBeCloseTo(24 * HOUR_MS, -3);
+      expect(opened.resolutionDeadline - opened.createdAt).toBe(72 * HOUR_MS);
+    });
+
+    test('should suspend the reported account and revoke its sessions', async () => {
+      const member = await seedMember('reported@example.com');
+      const opened = await report(member);
+
+      expect(await userStatus(member)).toBe('SUSPENDED');
+      expect(opened).toMatchObject({ suspendedUserId: member.user.id, previousUserStatus: 'ACTIVE' });
+      expect(await prisma.authSession.count({ where: { userId: member.user.id, revokedAt: null } })).toBe(0);
+    });
+
+    test('should refuse a report about nobody', async () => {
+      await expect(reportMinor({ reportedUserId: 'missing', reason: 'x' })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('listQueue() / assignCase() - Triage', () => {
+    test('should list open cases with the nearest response deadline first', async () => {
+      const first = await report(await seedMember('first@example.com'));
+      const second = await report(await seedMember('second@example.com'));
+      await prisma.minorReport.update({ where: { id: first.id }, data: { responseDeadline: new Date(Date.now() + 2 * HOUR_MS) } });
+      const closed = await report(await seedMember('closed@example.com'));
+      await transitionCase(closed.id, 'DISMISSED', { actor: MODERATOR, resolution: 'Adult, verified by ID' });
+
+      const queue = await listQueue();
+
+      expect(queue.map(c => c.id)).toEqual([first.id, second.id]);
+      expect(queue[0].sla).toMatchObject({ responseBreached: false, responseDueInMinutes: 120 });
+    });
+
+    test('should move an assigned case to INVESTIGATING and stop the response clock', async () => {
+      const opened = await report(await seedMember('reported@example.com'));
+
+      const assigned = await assignCase(opened.id, MODERATOR, { actor: MODERATOR });
+
+      expect(assigned).toMatchObject({ status: 'INVESTIGATING', investigatedBy: MODERATOR });
+      expect(assigned.respondedAt).toBeInstanceOf(Date);
+      expect(assigned.sla.responseDueInMinutes).toBeNull();
+      expect((await listQueue({ assignedTo: 'unassigned' }))).toHaveLength(0);
+      expect((await listQueue({ assignedTo: MODERATOR })).map(c => c.id)).toEqual([opened.id]);
+    });
+
+    test('should reject an unknown status filter', async () => {
+      await expect(listQueue({ status: 'OPEN' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should count open and critical cases', async () => {
+      await report(await seedMember('one@example.com'));
+      await report(await seedMember('two@example.com'));
+
+      expect(await getQueueStats()).toMatchObject({ open: 2, critical: 2, overdue: 0, byStatus: { PENDING: 2 } });
+    });
+  });
+
+  describe('transitionCase() - Resolution', () => {
+    test('should need a resolution to close a case and refuse to reopen it', async () => {
+      const opened = await report(await seedMember('reported@example.com'));
+
+      await expect(transitionCase(opened.id, 'DISMISSED', { actor: MODERATOR })).rejects.toMatchObject({ status: 400 });
+      await transitionCase(opened.id, 'DISMISSED', { actor: MODERATOR, resolution: 'Adult' });
+      await expect(transitionCase(opened.id, 'INVESTIGATING', { actor: MODERATOR })).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should ban a confirmed minor and revoke their age verification', async () => {
+      const member = await seedMember('minor@example.com');
+      const opened = await report(member);
+
+      const confirmed = await transitionCase(opened.id, 'CONFIRMED', {
+        actor: MODERATOR, resolution: 'School ID shows 15', authoritiesNotified: true
+      });
+
+      expect(confirmed).toMatchObject({ status: 'CONFIRMED', authoritiesNotified: true });
+      expect(await userStatus(member)).toBe('BANNED');
+      expect(await prisma.ageVerification.findUnique({ where: { id: member.verification.id } }))
+        .toMatchObject({ verificationLevel: 'NONE', isVerified: false, failureReason: 'confirmed_minor' });
+    });
+
+    test('should lift the suspension only when the last open case is dismissed', async () => {
+      const member = await seedMember('reported@example.com');
+      const first = await report(member);
+      const second = await report(member, 'Profile photo looks young');
+
+      await transitionCase(first.id, 'DISMISSED', { actor: MODERATOR, resolution: 'Adult' });
+      expect(await userStatus(member)).toBe('SUSPENDED');
+
+      await transitionCase(second.id, 'DISMISSED', { actor: MODERATOR, resolution: 'Adult' });
+      expect(await userStatus(member)).toBe('ACTIVE');
+    });
+
+    test('should record evidence and every action on the case timeline', async () => {
+      const opened = await report(await seedMember('reported@example.com'));
+      await expect(addAttachment(opened.id, { kind: 'video', url: 's3://x' }, { actor: MODERATOR }))
+        .rejects.toMatchObject({ status: 400 });
+      await addAttachment(opened.id, { kind: 'screenshot', url: 's3://evidence/1.png' }, { actor: MODERATOR });
+      await assignCase(opened.id, MODERATOR, { actor: MODERATOR });
+
+      const full = await getCase(opened.id);
+
+      expect(full.attachments).toHaveLength(1);
+      expect(full.timeline.map(entry => entry.action))
+        .toEqual(['case_opened', 'account_suspended', 'evidence_attached', 'case_assigned']);
+    });
+  });
+
+  describe('escalateOverdueCases() - Response SLA', () => {
+    test('should escalate pending cases past their response deadline', async () => {
+      const overdue = await report(await seedMember('overdue@example.com'));
+      const picked = await report(await seedMember('picked@example.com'));
+      const fresh = await report(await seedMember('fresh@example.com'));
+      const past = new Date(Date.now() - HOUR_MS);
+      await prisma.minorReport.update({ where: { id: overdue.id }, data: { responseDeadline: past } });
+      await prisma.minorReport.update({ where: { id: picked.id }, data: { responseDeadline: past } });
+      await assignCase(picked.id, MODERATOR, { actor: MODERATOR });
+
+      expect(await escalateOverdueCases()).toEqual([overdue.id]);
+      expect((await getCase(overdue.id)).status).toBe('ESCALATED');
+      expect((await getCase(fresh.id)).status).toBe('PENDING');
+      expect(await escalateOverdueCases()).toEqual([]);
+    });
+  });
+});
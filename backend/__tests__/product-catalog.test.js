@@ -0,0 +1,133 @@
+/**
+ * Product Catalog Tests
+ * FOR THE KIDS - One catalog for merch, AI store and DAO webhooks
+ *
+ * Runs the catalog service against an in-memory Prisma (no server needed):
+ * - Square line items resolve by catalog object ID or SKU, never by amount
+ * - Prices are versioned and can be looked up as of a past date
+ * - COGS come from the catalog, falling back to PRODUCT_COGS
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma, freezeTime } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  getBySku,
+  resolveSquareOrder,
+  toDeliveryProduct,
+  setPrice,
+  getPriceHistory,
+  priceAt,
+  getCOGS,
+  setStockByPrintfulVariant
+} = await import('../services/product-catalog.js');
+
+let tshirt;
+let repo;
+let mug;
+
+beforeEach(async () => {
+
+  tshirt = await prisma.product.create({
+    data: { name: 'Kraken Tee', price: 29, category: 'apparel', sku: 'TSHIRT-KRAKEN-001' }
+  });
+  await prisma.productVariant.create({
+    data: {
+      productId: tshirt.id, size: 'L', sku: 'TSHIRT-KRAKEN-001-L', stockQuantity: 5,
+      squareCatalogObjectId: 'SQ-TEE-L', printfulVariantId: '4017'
+    }
+  });
+  // Same price as the tee: must never be confused with it
+  repo = await prisma.product.create({
+    data: {
+      name: 'Starter Repo', price: 29, category: 'digital', sku: 'REPO-STARTER',
+      productType: 'github-repo', deliveryType: 'github-invite', fulfillment: { repo: 'org/starter' },
+      squareCatalogObjectId: 'SQ-REPO'
+    }
+  });
+  mug = await prisma.product.create({
+    data: { name: 'Mug', price: 18, category: 'accessories', sku: 'MUG-001', cogsProduction: 7.5, cogsShipping: 4 }
+  });
+  await prisma.productVariant.create({
+    data: { productId: mug.id, color: 'Black', sku: 'MUG-001-THERMAL', cogsProduction: 11 }
+  });
+});
+
+describe('Product Catalog', () => {
+
+  describe('resolveSquareOrder() - Webhook resolution', () => {
+    test('should tell apart two products at the same price', async () => {
+      const resolved = await resolveSquareOrder({
+        line_items: [
+          { catalog_object_id: 'SQ-TEE-L', base_price_money: { amount: 2900 } },
+          { catalogObjectId: 'SQ-REPO', basePriceMoney: { amount: 2900 } },
+          { metadata: { sku: 'MUG-001' } },
+          { catalog_object_id: 'SQ-UNKNOWN', base_price_money: { amount: 2900 } }
+        ]
+      });
+
+      expect(resolved.map(r => [r.product?.sku ?? null, r.variant?.sku ?? null])).toEqual([
+        ['TSHIRT-KRAKEN-001', 'TSHIRT-KRAKEN-001-L'],
+        ['REPO-STARTER', null],
+        ['MUG-001', null],
+        [null, null]
+      ]);
+    });
+
+    test('should shape a product for the delivery email templates', async () => {
+      const { product } = await getBySku('REPO-STARTER');
+
+      expect(toDeliveryProduct(product)).toMatchObject({
+        repo: 'org/starter', productKey: 'repo-starter', sku: 'REPO-STARTER',
+        price: 29, type: 'github-repo', deliveryType: 'github-invite'
+      });
+    });
+  });
+
+  describe('setPrice() / priceAt() - Versioned prices', () => {
+    test('should close the current version and mirror the new price', async () => {
+      freezeTime('2026-03-01T00:00:00Z');
+      await setPrice('TSHIRT-KRAKEN-001', 29, { reason: 'launch' });
+      jest.setSystemTime(new Date('2026-04-01T00:00:00Z'));
+      await setPrice('TSHIRT-KRAKEN-001', 32, { reason: 'print cost increase', createdBy: 'user:finance@example.com' });
+
+      const history = await getPriceHistory('TSHIRT-KRAKEN-001');
+      expect(history.map(p => [p.version, Number(p.amount), p.effectiveTo])).toEqual([
+        [2, 32, null],
+        [1, 29, new Date('2026-04-01T00:00:00Z')]
+      ]);
+      expect(Number((await prisma.product.findUnique({ where: { id: tshirt.id } })).price)).toBe(32);
+      expect(await priceAt('TSHIRT-KRAKEN-001', new Date('2026-03-15T00:00:00Z'))).toEqual({ amount: 29, currency: 'USD', version: 1 });
+      expect((await priceAt('TSHIRT-KRAKEN-001')).version).toBe(2);
+    });
+
+    test('should let a variant inherit the product price history', async () => {
+      await setPrice('TSHIRT-KRAKEN-001', 30);
+
+      expect(await priceAt('TSHIRT-KRAKEN-001-L')).toMatchObject({ amount: 30, version: 1 });
+      expect(await priceAt('MUG-001')).toEqual({ amount: 18, currency: 'USD', version: null });
+    });
+
+    test('should refuse a negative amount and an unknown SKU', async () => {
+      await expect(setPrice('MUG-001', -1)).rejects.toMatchObject({ status: 400 });
+      await expect(setPrice('NOPE', 10)).rejects.toMatchObject({ status: 404 });
+      await expect(priceAt('NOPE')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('getCOGS() / setStockByPrintfulVariant()', () => {
+    test('should prefer the variant, then the product, then PRODUCT_COGS', async () => {
+      expect(await getCOGS('MUG-001-THERMAL')).toEqual({ production: 11, avgShipping: 4 });
+      expect(await getCOGS('MUG-001')).toEqual({ production: 7.5, avgShipping: 4 });
+      expect(await getCOGS('TSHIRT-KRAKEN-001-L')).toEqual({ production: 12, avgShipping: 5 });
+      expect(await getCOGS('NOT-IN-CATALOG')).toEqual({ production: 15, avgShipping: 6 });
+    });
+
+    test('should update stock by Printful variant ID', async () => {
+      expect((await setStockByPrintfulVariant(4017, 0)).stockQuantity).toBe(0);
+      expect(await setStockByPrintfulVariant('9999', 3)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Real-Time Gateway Tests
+ * FOR THE KIDS - WebSocket push for dating messages
+ *
+ * Runs the gateway on a local HTTP server against an in-memory Prisma
+ * (no database needed):
+ * - Upgrades need a live access token and session
+ * - New messages and read receipts reach both participants
+ * - Typing indicators only go to the other person in the match
+ * - A reconnecting client replays what it missed from its cursor
+ */
+
+import http from 'http';
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import WebSocket from 'ws';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma();
+
+const {
+  GATEWAY_PATH,
+  attachRealtimeGateway,
+  closeRealtimeGateway,
+  publishMessage,
+  invalidateMatchAccess
+} = await import('../services/realtime.js');
+const { registerUser, loginUser, logoutUser } = await import('../services/auth.js');
+const { createMessage, blockUser } = await import('../services/dating-store.js');
+
+const PASSWORD = 'correct-horse-battery';
+
+let server;
+let baseUrl;
+let clients;
+let alex;
+let blair;
+let match;
+
+async function signIn(name) {
+  const email = `${name.toLowerCase()}@example.com`;
+  await registerUser({ email, password: PASSWORD, displayName: name });
+  return loginUser({ email, password: PASSWORD });
+}
+
+/**
+ * Open a socket and collect its frames
+ * @returns {Promise<{ socket: WebSocket, frames: Object[], next: Function, emit: Function }>}
+ *   next(event) resolves with the first unread frame of that event;
+ *   rejects with the HTTP status if the upgrade is refused
+ */
+function connect({ token, cursor } = {}) {
+  const query = new URLSearchParams();
+  if (cursor) query.set('cursor', cursor);
+  const socket = new WebSocket(`${baseUrl}${GATEWAY_PATH}?${query}`, {
+    headers: token ? { authorization: `Bearer ${token}` } : {}
+  });
+
+  const frames = [];
+  let notify = () => {};
+  socket.on('message', raw => {
+    frames.push(JSON.parse(raw.toString()));
+    notify();
+  });
+
+  const client = {
+    socket,
+    frames,
+    async next(event) {
+      for (;;) {
+        const index = frames.findIndex(frame => frame.event === event);
+        if (index !== -1) return frames.splice(index, 1)[0];
+        await new Promise(resolve => { notify = resolve; });
+      }
+    },
+    emit(event, data) {
+      socket.send(JSON.stringify({ event, data }));
+    }
+  };
+  clients.push(client);
+
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(client));
+    socket.once('unexpected-response', (req, res) => {
+      res.resume();
+      reject(res.statusCode);
+    });
+    socket.once('error', reject);
+  });
+}
+
+beforeAll(async () => {
+  server = http.createServer();
+  attachRealtimeGateway(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `ws://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  closeRealtimeGateway();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(async () => {
+  clients = [];
+
+  alex = await signIn('Alex');
+  blair = await signIn('Blair');
+  match = await prisma.datingMatch.create({ data: { userId1: alex.user.id, userId2: blair.user.id } });
+});
+
+afterEach(async () => {
+  await Promise.all(clients.map(({ socket }) => new Promise(resolve => {
+    if (socket.readyState === WebSocket.CLOSED) return resolve();
+    socket.once('close', resolve);
+    socket.terminate();
+  })));
+});
+
+describe('Real-Time Gateway', () => {
+
+  describe('attachRealtimeGateway() - Authentication', () => {
+    test('should greet an authenticated socket with its user and a cursor', async () => {
+      const client = await connect({ token: alex.accessToken });
+
+      const { data } = await client.next('ready');
+
+      expect(data).toEqual({ userId: alex.user.id, cursor: expect.any(String) });
+    });
+
+    test('should refuse upgrades without a live token or session', async () => {
+      await expect(connect()).rejects.toBe(401);
+      await expect(connect({ token: 'not-a-jwt' })).rejects.toBe(401);
+
+      await logoutUser(alex.user.id, alex.sessionId);
+      await expect(connect({ token: alex.accessToken })).rejects.toBe(401);
+
+      await prisma.datingUser.update({ where: { id: blair.user.id }, data: { status: 'SUSPENDED' } });
+      await expect(connect({ token: blair.accessToken })).rejects.toBe(403);
+    });
+  });
+
+  describe('publishMessage() / message:read', () => {
+    test('should push a new message to both participants', async () => {
+      const sender = await connect({ token: alex.accessToken });
+      const receiver = await connect({ token: blair.accessToken });
+
+      const message = await createMessage(match, alex.user.id, { content: 'hey you' });
+      publishMessage(message);
+
+      for (const client of [sender, receiver]) {
+        expect((await client.next('message:new')).data.message).toMatchObject({ id: message.id, content: 'hey you' });
+      }
+    });
+
+    test('should mark a match read and send the receipt to the sender', async () => {
+      const sender = await connect({ token: alex.accessToken });
+      const reader = await connect({ token: blair.accessToken });
+      const message = await createMessage(match, alex.user.id, { content: 'hey you' });
+
+      reader.emit('message:read', { matchId: match.id });
+
+      expect((await sender.next('message:read')).data)
+        .toMatchObject({ matchId: match.id, readerId: blair.user.id, messageIds: [message.id] });
+      expect(await prisma.datingMessage.findUnique({ where: { id: message.id } }))
+        .toMatchObject({ isRead: true, readAt: expect.any(Date) });
+    });
+  });
+
+  describe('typing:start / typing:stop', () => {
+    test('should only tell the other participant', async () => {
+      const carmen = await signIn('Carmen');
+      const typist = await connect({ token: alex.accessToken });
+      const partner = await connect({ token: blair.accessToken });
+      const outsider = await connect({ token: carmen.accessToken });
+
+      typist.emit('typing:start', { matchId: match.id });
+      expect((await partner.next('typing')).data).toEqual({ matchId: match.id, userId: alex.user.id, isTyping: true });
+
+      outsider.emit('typing:start', { matchId: match.id });
+      expect((await outsider.next('error')).data).toMatchObject({ event: 'typing:start', status: 403 });
+      expect(typist.frames.some(frame => frame.event === 'typing')).toBe(false);
+    });
+
+    test('should stop relaying once the pair is blocked', async () => {
+      const typist = await connect({ token: alex.accessToken });
+      const partner = await connect({ token: blair.accessToken });
+      typist.emit('typing:stop', { matchId: match.id });
+      await partner.next('typing');
+
+      await blockUser(blair.user.id, alex.user.id);
+      invalidateMatchAccess(alex.user.id, blair.user.id);
+      typist.emit('typing:start', { matchId: match.id });
+
+      expect((await typist.next('error')).data).toMatchObject({ event: 'typing:start', status: 404 });
+    });
+  });
+
+  describe('resume', () => {
+    test('should replay missed messages and receipts from the cursor', async () => {
+      const first = await connect({ token: alex.accessToken });
+      const { cursor } = (await first.next('ready')).data;
+      first.socket.close();
+
+      const missed = await createMessage(match, blair.user.id, { content: 'you there?' });
+      const reply = await createMessage(match, alex.user.id, { content: 'back now' });
+      await prisma.datingMessage.update({ where: { id: reply.id }, data: { isRead: true, readAt: new Date(Date.now() + 1000) } });
+
+      const again = await connect({ token: alex.accessToken, cursor });
+
+      const replayed = [(await again.next('message:new')).data.message.id, (await again.next('message:new')).data.message.id];
+      expect(replayed.sort()).toEqual([missed.id, reply.id].sort());
+      expect((await again.next('message:read')).data).toMatchObject({ matchId: match.id, readerId: blair.user.id });
+      const { data: resumed } = await again.next('resumed');
+      expect(resumed).toMatchObject({ hasMore: false });
+      expect(resumed.cursor).not.toBe(cursor);
+
+      again.emit('resume', { cursor: resumed.cursor });
+      await again.next('resumed');
+      expect(again.frames.some(frame => frame.event === 'message:new')).toBe(false);
+    });
+
+    test('should report an invalid cursor or an unknown event', async () => {
+      const client = await connect({ token: alex.accessToken });
+
+      client.emit('resume', { cursor: 'not-a-cursor' });
+      expect((await client.next('error')).data).toMatchObject({ event: 'resume', message: 'Invalid cursor', status: 400 });
+
+      client.emit('message:send', { matchId: match.id });
+      expect((await client.next('error')).data).toMatchObject({ event: 'message:send', status: 400 });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Revenue Ledger Tests
+ * FOR THE KIDS - Hash-chained revenue ledger
+ *
+ * Runs the DAO revenue service against an in-memory Prisma (no server needed):
+ * - Each entry's hash covers its fields and the previous entry's hash
+ * - verifyLedger() finds the first edited, removed or relinked entry
+ * - Daily checkpoints are signed and checked against the chain
+ */
+
+import { jest, describe, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import { useMemoryPrisma, freezeTime } from './helpers/setup.js';
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+const prisma = useMemoryPrisma({
+  env: { LEDGER_SIGNING_PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' }) }
+});
+
+const {
+  canonicalize,
+  createTransactionHash,
+  recordTransaction,
+  verifyLedger,
+  createDailyCheckpoint,
+  getCheckpointPublicKey
+} = await import('../services/dao-revenue.js');
+
+async function recordSales(...amounts) {
+  const entries = [];
+  for (const amount of amounts) {
+    entries.push(await recordTransaction(amount, 'merch', { orderId: `order-${entries.length + 1}` }));
+  }
+  return entries;
+}
+
+describe('Revenue Ledger', () => {
+
+  describe('canonicalize() / createTransactionHash()', () => {
+    test('should serialize objects the same whatever their key order', () => {
+      expect(canonicalize({ b: 1, a: { d: [1, undefined], c: null }, skip: undefined }))
+        .toBe('{"a":{"c":null,"d":[1,null]},"b":1}');
+      expect(canonicalize({ x: 1, y: 2 })).toBe(canonicalize({ y: 2, x: 1 }));
+    });
+
+    test('should hash the same entry the same way, and depend on the previous hash', () => {
+      const entry = { sequence: 1, id: 'e1', createdAt: '2026-03-01T00:00:00Z', amount: 10, currency: 'USD', source: 'merch' };
+
+      expect(createTransactionHash(entry).hash).toBe(createTransactionHash({ ...entry, amount: '10.00' }).hash);
+      expect(createTransactionHash(entry, 'a'.repeat(64)).hash).not.toBe(createTransactionHash(entry).hash);
+    });
+  });
+
+  describe('recordTransaction()', () => {
+    test('should append entries that link to the one before', async () => {
+      const [first, second, third] = await recordSales(25, 10.5, 99.99);
+
+      expect([first.sequence, second.sequence, third.sequence]).toEqual([1, 2, 3]);
+      expect(first.previousHash).toBeNull();
+      expect(second.previousHash).toBe(first.hash);
+      expect(third.previousHash).toBe(second.hash);
+      expect(second.allocation.version).toMatch(/@\d+$/);
+    });
+
+    test('should accept the object form with amountCents', async () => {
+      const entry = await recordTransaction({ amountCents: 1999, source: 'ai-store', sku: 'PROMPT-PACK' });
+
+      expect(entry).toMatchObject({ amount: 19.99, source: 'ai-store', metadata: { sku: 'PROMPT-PACK' } });
+      await expect(recordTransaction(5)).rejects.toThrow('Transaction source is required');
+    });
+  });
+
+  describe('verifyLedger() - Chain verification', () => {
+    test('should accept an untouched chain', async () => {
+      const entries = await recordSales(25, 10, 5);
+
+      expect(await verifyLedger()).toMatchObject({
+        valid: true,
+        checkedEntries: 3,
+        headHash: entries[2].hash,
+        firstBrokenLink: null
+      });
+    });
+
+    test('should find an edited amount', async () => {
+      const [, second] = await recordSales(25, 10, 5);
+      await prisma.ledgerEntry.update({ where: { id: second.id }, data: { amount: 1 } });
+
+      const result = await verifyLedger();
+
+      expect(result.valid).toBe(false);
+      expect(result.checkedEntries).toBe(1);
+      expect(result.firstBrokenLink).toMatchObject({ sequence: 2, reason: 'hash_mismatch', storedHash: second.hash });
+    });
+
+    test('should find an edit that also rewrote the entry\'s hash', async () => {
+      const [, second] = await recordSales(25, 10, 5);
+      const row = await prisma.ledgerEntry.findUnique({ where: { id: second.id } });
+      const forged = createTransactionHash({ ...row, amount: 1 }, row.previousHash).hash;
+      await prisma.ledgerEntry.update({ where: { id: second.id }, data: { amount: 1, hash: forged } });
+
+      expect((await verifyLedger()).firstBrokenLink).toMatchObject({ sequence: 3, reason: 'previous_hash_mismatch' });
+    });
+
+    test('should find a removed entry', async () => {
+      const [, second] = await recordSales(25, 10, 5);
+      await prisma.ledgerEntry.delete({ where: { id: second.id } });
+
+      expect((await verifyLedger()).firstBrokenLink).toMatchObject({ sequence: 3, reason: 'sequence_gap: expected #2' });
+    });
+  });
+
+  describe('createDailyCheckpoint() - Signed checkpoints', () => {
+    test('should sign the head of a completed day and check it on verify', async () => {
+      freezeTime('2026-03-01T10:00:00Z');
+      const entries = await recordSales(25, 10);
+      await expect(createDailyCheckpoint('2026-03-01')).rejects.toMatchObject({ status: 400 });
+
+      jest.setSystemTime(new Date('2026-03-02T01:00:00Z'));
+      await recordSales(7);
+      const checkpoint = await createDailyCheckpoint('2026-03-01');
+
+      expect(checkpoint).toMatchObject({ sequence: 2, headHash: entries[1].hash, entryCount: 2, totalAmount: '35.00' });
+      expect(crypto.verify(
+        null,
+        Buffer.from(checkpoint.digest),
+        getCheckpointPublicKey().publicKey,
+        Buffer.from(checkpoint.signature, 'base64')
+      )).toBe(true);
+      expect(await createDailyCheckpoint('2026-03-01')).toEqual(checkpoint);
+      expect((await verifyLedger()).checkpoints).toEqual({ checked: 1, invalid: [] });
+    });
+
+    test('should flag a checkpoint whose totals were edited', async () => {
+      freezeTime('2026-03-01T10:00:00Z');
+      await recordSales(25);
+      jest.setSystemTime(new Date('2026-03-02T01:00:00Z'));
+      await createDailyCheckpoint('2026-03-01');
+      await prisma.ledgerCheckpoint.update({ where: { day: '2026-03-01' }, data: { totalAmount: 2500 } });
+
+      const result = await verifyLedger();
+
+      expect(result.valid).toBe(false);
+      expect(result.checkpoints.invalid).toEqual([{ day: '2026-03-01', sequence: 1, problem: 'digest_mismatch' }]);
+    });
+  });
+});
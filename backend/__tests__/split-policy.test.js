@@ -0,0 +1,110 @@
+/**
+ * Split Policy Tests
+ * FOR THE KIDS - Versioned revenue-split policies
+ *
+ * Runs the split policy calculations directly (no server or database needed):
+ * - Sources map to named policies, with the version in effect at the time
+ * - Processor fees, production and shipping come off the gross as the policy says
+ * - Affiliate commissions are capped and only paid from commissionable revenue
+ * - Allocations name the policy version that produced them
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  SPLIT_POLICIES,
+  policyForSource,
+  getSplitPolicy,
+  listSplitPolicies,
+  calculateNetProfit,
+  allocateRevenue,
+  toTransactionAmounts
+} from '../services/split-policy.js';
+
+describe('Split Policy', () => {
+
+  describe('getSplitPolicy() / policyForSource()', () => {
+    test('should map sources to policies and fall back to default', () => {
+      expect(policyForSource('square:square-dating')).toBe('dating-subscription');
+      expect(policyForSource('PRINTFUL_MERCH')).toBe('merch');
+      expect(policyForSource('lemonade-stand')).toBe('default');
+    });
+
+    test('should return the version in effect and refuse dates before the first one', () => {
+      expect(getSplitPolicy('merch', '2026-01-01')).toMatchObject({ name: 'merch', version: 1, label: 'merch@1', deductCogs: true });
+      expect(() => getSplitPolicy('merch', '2024-12-31')).toThrow('has no version in effect on 2024-12-31');
+      expect(() => getSplitPolicy('bake-sale')).toThrow('Unknown split policy: bake-sale');
+    });
+
+    test('should list each policy with the sources that use it', () => {
+      const donations = listSplitPolicies(new Date('2026-01-01')).find(policy => policy.name === 'donations');
+
+      expect(donations).toMatchObject({ current: { label: 'donations@1' }, upcoming: [] });
+      expect(donations.sources.sort()).toEqual(['PAYPAL_DONATIONS', 'SQUARE_DONATIONS']);
+      expect(Object.isFrozen(SPLIT_POLICIES.merch[0].shares)).toBe(true);
+    });
+  });
+
+  describe('allocateRevenue()', () => {
+    test('should take the estimated fee and a commission before the shares', () => {
+      const allocation = allocateRevenue({ amount: 9.99, source: 'square:square-dating', commissionRate: 20 });
+
+      expect(allocation).toMatchObject({
+        version: 'dating-subscription@1',
+        total: 9.99,
+        costs: { processing: 0.36, processingEstimated: true, production: 0, total: 0.36 },
+        net: 9.63,
+        commission: { rate: 20, amount: 1.92 },
+        treasury: { amount: 7.71, percentage: 100 }
+      });
+    });
+
+    test('should prefer the fee the processor reported', () => {
+      expect(allocateRevenue({ amount: 9.99, policy: 'dating-subscription', processingFee: 0.5 }))
+        .toMatchObject({ costs: { processing: 0.5, processingEstimated: false }, net: 9.49, commission: null });
+    });
+
+    test('should only deduct production and shipping where the policy says so', () => {
+      const merch = allocateRevenue({ amount: 30, policy: 'merch', cogs: 12, shipping: 5 });
+      const digital = allocateRevenue({ amount: 30, policy: 'digital-products', cogs: 12, shipping: 5 });
+
+      expect(merch).toMatchObject({ costs: { processing: 0.88, production: 12, shipping: 5, total: 17.88 }, net: 12.12 });
+      expect(digital).toMatchObject({ costs: { production: 0, shipping: 0 }, net: 29.12 });
+      expect(allocateRevenue({ amount: 30, policy: 'fulfillment-fees' }))
+        .toMatchObject({ costs: { processing: 0, processingEstimated: false }, net: 30 });
+    });
+
+    test('should cap commissions and pay none from donations', () => {
+      expect(allocateRevenue({ amount: 100, policy: 'merch', commissionRate: 80 }).commission)
+        .toEqual({ rate: 50, amount: 48.65 });
+      expect(allocateRevenue({ amount: 100, source: 'SQUARE_DONATIONS', commissionRate: 20 }))
+        .toMatchObject({ commission: null, treasury: { amount: 97.3 } });
+    });
+
+    test('should reject bad amounts and dates before any policy', () => {
+      expect(() => allocateRevenue({ amount: -1, policy: 'merch' })).toThrow('Invalid amount');
+      expect(() => allocateRevenue({ amount: 'abc', policy: 'merch' })).toThrow('Invalid amount');
+      expect(() => allocateRevenue({ amount: 10, policy: 'merch', occurredAt: '2020-01-01' })).toThrow('no version in effect');
+    });
+  });
+
+  describe('calculateNetProfit() / toTransactionAmounts()', () => {
+    test('should break down costs and margin', () => {
+      expect(calculateNetProfit(30, 12, 5)).toEqual({
+        grossSale: 30,
+        costs: { production: 12, shipping: 5, processing: 0.88, total: 17.88 },
+        netProfit: 12.12,
+        margin: 40
+      });
+      expect(calculateNetProfit(10, 0, 0, 'paypal').costs.processing).toBe(0.59);
+    });
+
+    test('should map an allocation onto Transaction columns', () => {
+      expect(toTransactionAmounts(allocateRevenue({ amount: 9.99, source: 'DATING_APP', commissionRate: 20 }))).toEqual({
+        charityAmount: 7.71,
+        opsAmount: 0,
+        founderAmount: 0,
+        splitPolicy: 'dating-subscription@1'
+      });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Square Event Handler Tests
+ * FOR THE KIDS - Booking and fulfilling Square payments
+ *
+ * Runs the real Square handlers through the webhook pipeline against an
+ * in-memory Prisma, with product lookup, delivery email and the DAO services
+ * stubbed (no server needed):
+ * - One event delivered to two endpoints is booked once, under the source the
+ *   payment belongs to, whichever endpoint received it first
+ * - Only AI store sales get a delivery email
+ * - Payments with no catalog item are placed by their Square location
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma({
+  env: { SQUARE_LOCATION_ID: 'LOC-DATING', SQUARE_MERCH_LOCATION_ID: 'LOC-STORE' },
+  silence: ['log', 'warn', 'error']
+});
+
+// Catalog items by Square order ID
+const PRODUCTS = {
+  'order-hoodie': { productKey: 'hoodie', name: 'FTK Hoodie', type: 'merch', sku: 'HOODIE-M' },
+  'order-repo': { productKey: 'repo-starter', name: 'Starter Repo', type: 'github-repo', sku: 'REPO-1' }
+};
+const sendDeliveryEmail = jest.fn();
+jest.unstable_mockModule('../services/product-delivery.js', () => ({
+  identifyProduct: async payment => PRODUCTS[payment.order_id] || null,
+  resolveCustomerEmail: async payment => payment.buyer_email_address,
+  sendDeliveryEmail
+}));
+
+const { ingestEvent, processEvent } = await import('../services/webhook-pipeline.js');
+
+let posts;
+
+function completedPayment(fields) {
+  return {
+    id: 'pay-1',
+    status: 'COMPLETED',
+    amount_money: { amount: 4000, currency: 'USD' },
+    processing_fee: [{ amount_money: { amount: 146 } }],
+    buyer_email_address: 'buyer@example.com',
+    created_at: '2026-03-01T12:00:00Z',
+    ...fields
+  };
+}
+
+/**
+ * Deliver one Square event to an endpoint
+ * @returns {Promise<{ duplicate: boolean, outcome: Object|null }>}
+ */
+async function receive(source, payment, eventId = 'evt-1') {
+  const rawBody = JSON.stringify({
+    event_id: eventId,
+    type: 'payment.updated',
+    merchant_id: 'M1',
+    data: { type: 'payment', id: payment.id, object: { payment } }
+  });
+  const { event, duplicate } = await ingestEvent({ provider: 'square', rawBody, headers: {}, source });
+  return { duplicate, outcome: duplicate ? null : await processEvent(event.id) };
+}
+
+function resultOf(outcome, handler) {
+  return outcome.results.find(result => result.handler === handler);
+}
+
+beforeEach(() => {
+  posts = [];
+  sendDeliveryEmail.mockReset();
+  jest.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+    posts.push(url);
+    return { ok: true, status: 200, json: async () => ({}) };
+  });
+});
+
+describe('Square Event Handlers', () => {
+
+  describe('ledger / delivery - One event on two endpoints', () => {
+    test.each([
+      ['dating endpoint first', ['square-dating', 'square-merch']],
+      ['merch endpoint first', ['square-merch', 'square-dating']]
+    ])('should book a merch sale as merch with the %s', async (_, [first, second]) => {
+      const payment = completedPayment({ order_id: 'order-hoodie', location_id: 'LOC-STORE' });
+
+      const { outcome } = await receive(first, payment);
+      expect(await receive(second, payment)).toEqual({ duplicate: true, outcome: null });
+
+      expect(outcome.status).toBe('PROCESSED');
+      expect(resultOf(outcome, 'delivery').result).toEqual({ skipped: 'not_ai_store', source: 'square-merch' });
+      expect(sendDeliveryEmail).not.toHaveBeenCalled();
+      expect(posts).toEqual(['http://localhost:4004/purchase']);
+
+      const transactions = await prisma.transaction.findMany();
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({
+        source: 'PRINTFUL_MERCH',
+        splitPolicy: 'merch@1',
+        metadata: { revenueSource: 'square-merch', webhookSource: first }
+      });
+    });
+  });
+
+  describe('delivery - AI store sales', () => {
+    test('should email an AI store product even when it arrives on the dating endpoint', async () => {
+      const payment = completedPayment({ order_id: 'order-repo', location_id: 'LOC-STORE' });
+
+      const { outcome } = await receive('square-dating', payment);
+
+      expect(resultOf(outcome, 'delivery').result).toEqual({ product: 'repo-starter', manualDelivery: false });
+      expect(sendDeliveryEmail).toHaveBeenCalledWith('buyer@example.com', PRODUCTS['order-repo'], payment);
+      expect(await prisma.transaction.findFirst()).toMatchObject({ source: 'OTHER', splitPolicy: 'digital-products@1' });
+    });
+
+    test('should leave an unlisted item on the store account for manual delivery', async () => {
+      const payment = completedPayment({ order_id: 'order-custom', location_id: 'LOC-STORE' });
+
+      const { outcome } = await receive('square-merch', payment);
+
+      expect(resultOf(outcome, 'delivery').result).toEqual({ product: null, manualDelivery: true });
+      expect(sendDeliveryEmail).toHaveBeenCalledTimes(1);
+      expect((await prisma.transaction.findFirst()).source).toBe('OTHER');
+    });
+  });
+
+  describe('ledger - Payments with no catalog item', () => {
+    test('should book a payment at the dating location as dating revenue on any endpoint', async () => {
+      const payment = completedPayment({ order_id: 'order-premium', location_id: 'LOC-DATING' });
+
+      const { outcome } = await receive('ai-store', payment);
+
+      expect(resultOf(outcome, 'delivery').result).toEqual({ skipped: 'not_ai_store', source: 'square-dating' });
+      expect(sendDeliveryEmail).not.toHaveBeenCalled();
+      expect(await prisma.transaction.findFirst()).toMatchObject({
+        source: 'DATING_APP',
+        splitPolicy: 'dating-subscription@1',
+        metadata: { revenueSource: 'square-dating', webhookSource: 'ai-store' }
+      });
+    });
+  });
+});
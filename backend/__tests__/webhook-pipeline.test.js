@@ -0,0 +1,227 @@
+/**
+ * Webhook Pipeline Tests
+ * FOR THE KIDS - One idempotent pipeline for every payment webhook
+ *
+ * Runs the webhook pipeline against an in-memory Prisma (no server needed),
+ * with test handlers on event types no real handler subscribes to:
+ * - Signatures are checked over the raw body
+ * - A redelivered event is stored once
+ * - A handler fires once per idempotency key, even across two event types
+ * - Failed handlers are retried alone, then dead-lettered
+ * - Stored events can be diffed and replayed, as a dry run or for real
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import { useMemoryPrisma } from './helpers/setup.js';
+
+const prisma = useMemoryPrisma({ silence: ['log', 'warn', 'error'] });
+
+const {
+  WEBHOOK_RULES,
+  registerWebhookHandler,
+  verifySquareSignature,
+  ingestEvent,
+  processEvent,
+  retryDueEvents,
+  requeueEvent,
+  listEvents,
+  diffEvents,
+  replayEvent
+} = await import('../services/webhook-pipeline.js');
+
+// Booked once per payment, whichever of the two events arrives first
+const booked = jest.fn();
+registerWebhookHandler({
+  name: 'test-booking',
+  provider: 'square',
+  events: ['test.payment.created', 'test.payment.updated'],
+  key: payload => payload.data.id,
+  plan: async payload => [{ effect: 'book', paymentId: payload.data.id }],
+  handle: async payload => { booked(payload.data.id); return { booked: payload.data.id }; }
+});
+
+// Fails while `flaky.failing` is set
+const flaky = { failing: true, calls: 0 };
+registerWebhookHandler({
+  name: 'test-flaky',
+  provider: 'square',
+  events: ['test.payment.created'],
+  key: payload => (payload.data.flaky ? payload.data.id : null),
+  handle: async () => {
+    flaky.calls++;
+    if (flaky.failing) throw new Error('downstream unavailable');
+  }
+});
+
+function squareBody(eventId, type, data) {
+  return JSON.stringify({ event_id: eventId, type, merchant_id: 'M1', data });
+}
+
+async function receive(eventId, type, data, headers = {}) {
+  const { event, duplicate } = await ingestEvent({
+    provider: 'square',
+    rawBody: squareBody(eventId, type, data),
+    headers: { 'content-type': 'application/json', ...headers },
+    source: 'payments'
+  });
+  return { event, duplicate, outcome: duplicate ? null : await processEvent(event.id) };
+}
+
+// Make a failed event due for its next retry
+async function dueNow(event) {
+  await prisma.webhookEvent.update({ where: { id: event.id }, data: { nextAttemptAt: new Date(Date.now() - 1000) } });
+}
+
+beforeEach(() => {
+  booked.mockClear();
+  Object.assign(flaky, { failing: true, calls: 0 });
+});
+
+describe('Webhook Pipeline', () => {
+
+  describe('verifySquareSignature()', () => {
+    const rawBody = squareBody('evt-1', 'test.payment.created', { id: 'pay-1' });
+    const notificationUrl = 'https://api.example.com/api/webhooks/square';
+    const sign = (key, body) => crypto.createHmac('sha256', key).update(notificationUrl + body).digest('base64');
+
+    test('should accept the signature over the exact raw body', () => {
+      expect(verifySquareSignature({ rawBody, signature: sign('key', rawBody), signatureKey: 'key', notificationUrl })).toBe(true);
+    });
+
+    test('should reject another key, an edited body or no signature', () => {
+      expect(verifySquareSignature({ rawBody, signature: sign('other', rawBody), signatureKey: 'key', notificationUrl })).toBe(false);
+      expect(verifySquareSignature({ rawBody: `${rawBody} `, signature: sign('key', rawBody), signatureKey: 'key', notificationUrl })).toBe(false);
+      expect(verifySquareSignature({ rawBody, signatureKey: 'key', notificationUrl })).toBe(false);
+    });
+  });
+
+  describe('ingestEvent() - Redeliveries', () => {
+    test('should store a redelivered event once, without secrets in its headers', async () => {
+      const first = await receive('evt-1', 'test.payment.created', { id: 'pay-1' }, { authorization: 'Bearer secret' });
+      const again = await receive('evt-1', 'test.payment.created', { id: 'pay-1' });
+
+      expect(again).toMatchObject({ duplicate: true, outcome: null });
+      expect(again.event.id).toBe(first.event.id);
+      expect(await prisma.webhookEvent.count()).toBe(1);
+      expect(first.event.headers).toEqual({ 'content-type': 'application/json' });
+      expect(booked).toHaveBeenCalledTimes(1);
+    });
+
+    test('should refuse a body without an event ID', async () => {
+      await expect(ingestEvent({ provider: 'square', rawBody: '{"type":"x"}', source: 'payments' }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(ingestEvent({ provider: 'square', rawBody: 'not json', source: 'payments' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('processEvent() - Idempotent handlers', () => {
+    test('should book a payment once when created and updated both arrive', async () => {
+      const created = await receive('evt-1', 'test.payment.created', { id: 'pay-1' });
+      const updated = await receive('evt-2', 'test.payment.updated', { id: 'pay-1', status: 'COMPLETED' });
+
+      expect(booked).toHaveBeenCalledTimes(1);
+      expect(created.outcome.results).toContainEqual(expect.objectContaining({ handler: 'test-booking', status: 'SUCCEEDED' }));
+      expect(updated.outcome.results).toEqual([expect.objectContaining({ handler: 'test-booking', status: 'ALREADY_DONE' })]);
+      expect(await prisma.webhookDelivery.count({ where: { handler: 'test-booking' } })).toBe(1);
+    });
+
+    test('should not run an event that is already being processed', async () => {
+      const { event } = await ingestEvent({
+        provider: 'square', rawBody: squareBody('evt-1', 'test.payment.created', { id: 'pay-1' }), source: 'payments'
+      });
+      await prisma.webhookEvent.update({ where: { id: event.id }, data: { status: 'PROCESSING', processingStartedAt: new Date() } });
+
+      expect(await processEvent(event.id)).toBeNull();
+      expect(booked).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retryDueEvents() - Retries and dead letter', () => {
+    test('should retry only the handler that failed', async () => {
+      const { event, outcome } = await receive('evt-1', 'test.payment.created', { id: 'pay-1', flaky: true });
+
+      expect(outcome.status).toBe('FAILED');
+      const stored = await prisma.webhookEvent.findUnique({ where: { id: event.id } });
+      expect(stored.nextAttemptAt - Date.now()).toBeGreaterThan(WEBHOOK_RULES.RETRY_BASE_MS - 5000);
+      expect(stored.lastError).toBe('test-flaky: downstream unavailable');
+
+      flaky.failing = false;
+      await dueNow(event);
+      const [{ outcome: retried }] = await retryDueEvents();
+
+      expect(retried.status).toBe('PROCESSED');
+      expect(retried.results.find(r => r.handler === 'test-booking').status).toBe('ALREADY_DONE');
+      expect(booked).toHaveBeenCalledTimes(1);
+      expect(flaky.calls).toBe(2);
+    });
+
+    test('should dead-letter an event after the last attempt and run it again on requeue', async () => {
+      const { event } = await receive('evt-1', 'test.payment.created', { id: 'pay-1', flaky: true });
+      for (let attempt = 2; attempt <= WEBHOOK_RULES.MAX_ATTEMPTS; attempt++) {
+        await dueNow(event);
+        await retryDueEvents();
+      }
+
+      expect(await prisma.webhookEvent.findUnique({ where: { id: event.id } }))
+        .toMatchObject({ status: 'DEAD_LETTER', attempts: WEBHOOK_RULES.MAX_ATTEMPTS });
+      expect((await prisma.webhookDelivery.findFirst({ where: { handler: 'test-flaky' } })).status).toBe('DEAD_LETTER');
+      expect(await retryDueEvents()).toEqual([]);
+
+      flaky.failing = false;
+      expect((await requeueEvent(event.id)).status).toBe('PROCESSED');
+      await expect(requeueEvent(event.id)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('replayEvent() / diffEvents() - Inspection and replay', () => {
+    test('should list events by type and diff two payloads', async () => {
+      const created = await receive('evt-1', 'test.payment.created', { id: 'pay-1', amount: 100 });
+      const updated = await receive('evt-2', 'test.payment.updated', { id: 'pay-1', amount: 120, status: 'COMPLETED' });
+
+      expect((await listEvents({ type: 'test.payment.updated' })).map(e => e.id)).toEqual([updated.event.id]);
+      expect((await diffEvents(created.event.id, updated.event.id)).payload).toEqual([
+        { path: 'data.amount', change: 'changed', before: 100, after: 120 },
+        { path: 'data.status', change: 'added', before: undefined, after: 'COMPLETED' },
+        { path: 'type', change: 'changed', before: 'test.payment.created', after: 'test.payment.updated' },
+        { path: 'event_id', change: 'changed', before: 'evt-1', after: 'evt-2' }
+      ].sort((a, b) => a.path.localeCompare(b.path)));
+    });
+
+    test('should plan a dry run without side effects', async () => {
+      const { event } = await receive('evt-1', 'test.payment.created', { id: 'pay-1' });
+
+      const skipped = await replayEvent(event.id, { dryRun: true, handlers: ['test-booking'] });
+      const forced = await replayEvent(event.id, { dryRun: true, handlers: ['test-booking'], force: true });
+
+      expect(skipped.results).toEqual([expect.objectContaining({ wouldRun: false, reason: 'already_done' })]);
+      expect(forced.results).toEqual([expect.objectContaining({ wouldRun: true, effects: [{ effect: 'book', paymentId: 'pay-1' }] })]);
+      expect(booked).toHaveBeenCalledTimes(1);
+      expect(await prisma.webhookRun.count({ where: { webhookEventId: event.id, dryRun: true } })).toBe(2);
+    });
+
+    test('should re-run a succeeded handler only when forced', async () => {
+      const { event } = await receive('evt-1', 'test.payment.created', { id: 'pay-1' });
+
+      const replay = await replayEvent(event.id, { handlers: ['test-booking'], triggeredBy: 'user:ops@example.com' });
+      expect(replay.results[0].status).toBe('ALREADY_DONE');
+      expect(booked).toHaveBeenCalledTimes(1);
+
+      const forced = await replayEvent(event.id, { handlers: ['test-booking'], force: true });
+      expect(forced).toMatchObject({ dryRun: false, status: 'PROCESSED' });
+      expect(booked).toHaveBeenCalledTimes(2);
+      expect(await prisma.webhookRun.findFirst({ where: { triggeredBy: 'user:ops@example.com' } }))
+        .toMatchObject({ trigger: 'replay', status: 'PROCESSED' });
+    });
+
+    test('should refuse an unknown handler or an event mid-run', async () => {
+      const { event } = await receive('evt-1', 'test.payment.created', { id: 'pay-1' });
+
+      await expect(replayEvent(event.id, { handlers: ['ledger'] })).rejects.toMatchObject({ status: 400 });
+      await prisma.webhookEvent.update({ where: { id: event.id }, data: { status: 'PROCESSING' } });
+      await expect(replayEvent(event.id)).rejects.toMatchObject({ status: 409 });
+      await expect(replayEvent('missing')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
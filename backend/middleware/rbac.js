@@ -0,0 +1,140 @@
+/**
+ * 🔐 ROLE-BASED ACCESS CONTROL MIDDLEWARE
+ *
+ * Callers authenticate with either:
+ * - X-API-Key header  → named integration key with its own scopes
+ * - Bearer JWT        → staff user; scopes come from DatingUser.roles (the
+ *                       token's session must not have been revoked)
+ *
+ * Routes declare what they need with requireScopes('payments:write') or
+ * requireResourceScope('payments') (GET/HEAD → :read, everything else → :write).
+ *
+ * API keys in the query string are rejected - they end up in proxy and
+ * access logs. Every 401/403 is written to the audit trail.
+ */
+
+import { verifyAccessToken, isSessionActive } from '../services/auth.js';
+import {
+  hasScope,
+  scopesForRoles,
+  resolveApiKey,
+  getUserRoles,
+  recordAccessDenial
+} from '../services/access-control.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Resolve the caller into req.principal (null if no credentials)
+ */
+const resolvePrincipal = async (req) => {
+  if (req.principal !== undefined) {
+    return req.principal;
+  }
+
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const record = await resolveApiKey(apiKey);
+    req.principal = record
+      ? { type: 'api_key', id: record.id, name: record.name, scopes: record.scopes }
+      : null;
+    return req.principal;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith('Bearer ')) {
+    const result = verifyAccessToken(authHeader.split(' ')[1]);
+    const { sessionId, userId } = result.payload || {};
+    if (result.valid && (!sessionId || await isSessionActive(sessionId, userId))) {
+      const roles = await getUserRoles(result.payload.userId);
+      req.user = result.payload;
+      req.principal = {
+        type: 'user',
+        id: result.payload.userId,
+        name: result.payload.email,
+        roles,
+        scopes: scopesForRoles(roles)
+      };
+      return req.principal;
+    }
+  }
+
+  req.principal = null;
+  return null;
+};
+
+/**
+ * Deny the request and write it to the audit trail
+ */
+const deny = async (req, res, { status, principal, required, reason, message }) => {
+  console.warn('[RBAC] Access denied', {
+    principal: principal ? `${principal.type}:${principal.name}` : 'anonymous',
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    required,
+    reason,
+    ip: req.ip
+  });
+
+  await recordAccessDenial({ req, principal, required, reason });
+
+  return res.status(status).json({
+    error: status === 401 ? 'Unauthorized' : 'Forbidden',
+    message,
+    service: 'YouAndINotAI Platform'
+  });
+};
+
+/**
+ * Require every listed scope
+ */
+const requireScopes = (...required) => async (req, res, next) => {
+  try {
+    if (req.query?.apiKey) {
+      return deny(req, res, {
+        status: 401,
+        principal: null,
+        required,
+        reason: 'api_key_in_query',
+        message: 'API keys are not accepted in the query string. Use the X-API-Key header.'
+      });
+    }
+
+    const principal = await resolvePrincipal(req);
+
+    if (!principal) {
+      return deny(req, res, {
+        status: 401,
+        principal: null,
+        required,
+        reason: 'missing_or_invalid_credentials',
+        message: 'Valid API key (X-API-Key header) or staff Bearer token required.'
+      });
+    }
+
+    const missing = required.filter(scope => !hasScope(principal.scopes, scope));
+    if (missing.length > 0) {
+      return deny(req, res, {
+        status: 403,
+        principal,
+        required,
+        reason: `missing_scopes:${missing.join(',')}`,
+        message: `Missing required scope(s): ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require <resource>:read for safe methods and <resource>:write otherwise
+ */
+const requireResourceScope = (resource) => (req, res, next) => {
+  const level = SAFE_METHODS.includes(req.method) ? 'read' : 'write';
+  return requireScopes(`${resource}:${level}`)(req, res, next);
+};
+
+export { requireScopes, requireResourceScope, resolvePrincipal };
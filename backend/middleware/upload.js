@@ -0,0 +1,36 @@
+/**
+ * 📷 IMAGE UPLOADS
+ *
+ * imageUpload(field) parses a multipart/form-data request holding one image
+ * in `field` into req.file ({ buffer, originalname, mimetype, size }) and
+ * answers 413/415/400 itself when the upload is too large, not an image or
+ * malformed. Files are kept in memory only - services/photos decides what
+ * is stored. The declared Content-Type is a first filter; services/photos
+ * checks the actual bytes.
+ */
+
+import multer from 'multer';
+import { PHOTO_POLICY, ACCEPTED_MIME_TYPES } from '../services/photos/index.js';
+
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_POLICY.maxBytes, files: 1, fields: 10 },
+  fileFilter: (req, file, cb) => {
+    if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(Object.assign(new Error('Photos must be JPEG, PNG or WebP images'), { status: 415 }));
+    }
+    cb(null, true);
+  }
+});
+
+export const imageUpload = (field) => (req, res, next) => {
+  parser.single(field)(req, res, (error) => {
+    if (!error) return next();
+
+    const status = error.status
+      || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+    res.status(status).json({ error: error.message });
+  });
+};
+
+export default imageUpload;
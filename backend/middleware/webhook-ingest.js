@@ -0,0 +1,113 @@
+/**
+ * 🔔 WEBHOOK INGESTION
+ *
+ * Every inbound payment webhook URL mounts one of these:
+ *   squareWebhook({ source, secretEnv })
+ *   printfulWebhook({ source })
+ *   stripeWebhook({ source })
+ *
+ * The signature is checked against the raw body captured by express.json()
+ * in server.js, the body and headers are stored, the provider gets its 200,
+ * and the handlers run afterwards (services/webhook-pipeline.js retries
+ * anything that fails and keeps every run for replay).
+ */
+
+import {
+  verifySquareSignature,
+  verifyStripeSignature,
+  verifyPrintfulSignature,
+  ingestEvent,
+  processEvent
+} from '../services/webhook-pipeline.js';
+
+/**
+ * The URL Square posted to - part of the signed payload
+ */
+const notificationUrl = (req) => {
+  const base = process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${req.originalUrl}`;
+};
+
+/**
+ * Shared flow: secret configured → signature valid → store → ack → dispatch
+ */
+const ingest = ({ provider, source, secretEnv, verify }) => async (req, res) => {
+  const secret = process.env[secretEnv];
+
+  if (!secret) {
+    console.error(`❌ ${secretEnv} NOT CONFIGURED`);
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'Webhook secret not configured'
+    });
+  }
+
+  if (!verify(req, secret)) {
+    console.error(`❌ INVALID ${provider.toUpperCase()} WEBHOOK SIGNATURE`, {
+      source,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    const { event, duplicate } = await ingestEvent({
+      provider,
+      source,
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+    console.log(`📥 ${provider.toUpperCase()} WEBHOOK ${duplicate ? 'REDELIVERED' : 'RECEIVED'}:`, event.type, event.eventId);
+
+    res.json({ received: true, duplicate, eventId: event.eventId, status: event.status });
+
+    if (!duplicate) {
+      processEvent(event.id).catch(error =>
+        console.error('❌ Webhook dispatch error:', error.message)
+      );
+    }
+  } catch (error) {
+    console.error('❌ WEBHOOK INGESTION ERROR:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+const squareWebhook = ({ source, secretEnv = 'SQUARE_WEBHOOK_SECRET' }) => ingest({
+  provider: 'square',
+  source,
+  secretEnv,
+  verify: (req, signatureKey) => verifySquareSignature({
+    rawBody: req.rawBody,
+    signature: req.headers['x-square-hmacsha256-signature'],
+    signatureKey,
+    notificationUrl: notificationUrl(req)
+  })
+});
+
+const printfulWebhook = ({ source = 'printful', secretEnv = 'PRINTFUL_API_TOKEN' } = {}) => ingest({
+  provider: 'printful',
+  source,
+  secretEnv,
+  verify: (req, secret) => verifyPrintfulSignature({
+    rawBody: req.rawBody,
+    signature: req.headers['x-printful-signature'],
+    secret
+  })
+});
+
+const stripeWebhook = ({ source = 'stripe', secretEnv = 'STRIPE_WEBHOOK_SECRET' } = {}) => ingest({
+  provider: 'stripe',
+  source,
+  secretEnv,
+  verify: (req, secret) => verifyStripeSignature({
+    rawBody: req.rawBody,
+    header: req.headers['stripe-signature'],
+    secret
+  })
+});
+
+export { squareWebhook, printfulWebhook, stripeWebhook };
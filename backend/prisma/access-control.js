@@ -0,0 +1,65 @@
+/**
+ * Access control bootstrap CLI.
+ *
+ * The admin API needs an ADMIN (or an access:write key) to grant anything,
+ * so the first admin and the first integration keys are created here.
+ *
+ * Usage:
+ *   node prisma/access-control.js grant-role <email> <ROLE> [ROLE...]
+ *   node prisma/access-control.js create-key <name> <scope>[,<scope>...]
+ *   node prisma/access-control.js revoke-key <id>
+ *
+ * Roles: ADMIN, FINANCE, MODERATOR, SUPPORT, DROID_OPERATOR
+ */
+
+import prisma from './client.js';
+import { createApiKey, revokeApiKey, setUserRoles } from '../services/access-control.js';
+
+async function run([command, ...args]) {
+  try {
+    switch (command) {
+      case 'grant-role': {
+        const [email, ...roles] = args;
+        const user = await prisma.datingUser.findUnique({ where: { email: email?.toLowerCase() } });
+        if (!user) {
+          throw new Error(`No user registered with email ${email}`);
+        }
+        const updated = await setUserRoles(user.id, [...new Set([...user.roles, ...roles])]);
+        console.log(`Roles for ${updated.email}: ${updated.roles.join(', ')}`);
+        break;
+      }
+
+      case 'create-key': {
+        const [name, scopes] = args;
+        const { key, apiKey } = await createApiKey({
+          name,
+          scopes: (scopes || '').split(',').filter(Boolean),
+          createdBy: 'cli'
+        });
+        console.log(`Created API key "${apiKey.name}" (${apiKey.id})`);
+        console.log(`  Scopes: ${apiKey.scopes.join(', ')}`);
+        console.log(`  Key:    ${key}`);
+        console.log('Store this key now - it cannot be shown again.');
+        break;
+      }
+
+      case 'revoke-key': {
+        await revokeApiKey(args[0]);
+        console.log(`Revoked API key ${args[0]}`);
+        break;
+      }
+
+      default:
+        throw new Error('Usage: node prisma/access-control.js <grant-role|create-key|revoke-key> ...');
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+run(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+/**
+ * Measure AI content detection against a labeled corpus.
+ *
+ * Usage: node prisma/evaluate-ai-detection.js <corpus.jsonl> [candidate-config.json]
+ *
+ * One JSON object per line: { "text": "...", "label": "ai" | "human", "history": ["..."]? }
+ * (a JSON array of the same objects also works). Without a candidate config
+ * the active AiDetectionConfig version is evaluated. Perplexity probes the
+ * local Ollama (OLLAMA_API_BASE) and is skipped if it is not running.
+ */
+
+import fs from 'fs';
+import prisma from './client.js';
+import { evaluateCorpus } from '../services/ai-detection/evaluate.js';
+
+function readCorpus(corpusPath) {
+  const raw = fs.readFileSync(corpusPath, 'utf8').trim();
+  if (raw.startsWith('[')) {
+    return JSON.parse(raw);
+  }
+  return raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+function percent(value) {
+  return value === null ? '   n/a' : `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+async function evaluateAIDetection(corpusPath, configPath) {
+  if (!corpusPath) {
+    throw new Error('Usage: node prisma/evaluate-ai-detection.js <corpus.jsonl> [candidate-config.json]');
+  }
+
+  try {
+    const corpus = readCorpus(corpusPath);
+    const config = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : undefined;
+    console.log(`Evaluating ${corpus.length} samples from ${corpusPath}...`);
+
+    const report = await evaluateCorpus(corpus, { config });
+    const { tp, fp, tn, fn } = report.confusion;
+
+    console.log(`\nCombined (${configPath || `config v${report.configVersion}`}, decision >= ${report.decisionThreshold}):`);
+    console.log(`  Precision: ${percent(report.precision)}`);
+    console.log(`  Recall:    ${percent(report.recall)}`);
+    console.log(`  F1:        ${percent(report.f1)}`);
+    console.log(`  Accuracy:  ${percent(report.accuracy)}`);
+    console.log(`  TP ${tp}  FP ${fp}  TN ${tn}  FN ${fn}`);
+    if (report.suggestedDecisionThreshold) {
+      console.log(`  Best F1 at decision >= ${report.suggestedDecisionThreshold.threshold}`);
+    }
+
+    console.log('\nFeatures:');
+    for (const [id, feature] of Object.entries(report.features)) {
+      console.log(`  ${id.padEnd(11)} coverage ${percent(feature.coverage)}  precision ${percent(feature.precision)}  recall ${percent(feature.recall)}  (${feature.direction} ${feature.threshold})`);
+      if (feature.suggested) {
+        console.log(`  ${''.padEnd(11)} best F1 ${percent(feature.suggested.f1)} at threshold ${feature.suggested.threshold}`);
+      }
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+evaluateAIDetection(process.argv[2], process.argv[3])
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Evaluation failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+/**
+ * One-shot import of the legacy in-memory dating state into Prisma.
+ *
+ * Usage: node prisma/import-dating-memory.js <snapshot.json>
+ *
+ * The snapshot is a JSON dump of the old module-level Maps taken from the
+ * running process at cutover (e.g. `JSON.stringify({ users: [...users], ... })`):
+ *   users           - services/auth.js `users`
+ *   profiles        - routes/dating.js `profiles`
+ *   likes           - routes/dating.js `likes`
+ *   matches         - routes/dating.js `matches`
+ *   messages        - routes/dating.js `messages`
+ *   foundingMembers - routes/dating.js `foundingMembers`
+ *
+ * Re-running with the same snapshot does not duplicate rows.
+ */
+
+import fs from 'fs';
+import prisma from './client.js';
+import { importLegacyDatingState } from '../services/dating-store.js';
+
+async function importDatingMemory(snapshotPath) {
+  if (!snapshotPath) {
+    throw new Error('Usage: node prisma/import-dating-memory.js <snapshot.json>');
+  }
+
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    console.log(`Importing dating snapshot from ${snapshotPath}...`);
+
+    const counts = await importLegacyDatingState(snapshot);
+
+    console.log('\nSummary:');
+    console.log(`  Users:            ${counts.users}`);
+    console.log(`  Matches:          ${counts.matches}`);
+    console.log(`  Likes:            ${counts.likes}`);
+    console.log(`  Messages:         ${counts.messages}`);
+    console.log(`  Founding Members: ${counts.foundingMembers}`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+importDatingMemory(process.argv[2])
+  .then(() => {
+    console.log('Import completed!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Import failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,166 @@
+import { PrismaClient } from '@prisma/client';
+import { PRODUCT_COGS } from '../services/gospel-revenue-v2.js';
+
+const prisma = new PrismaClient();
+
+// AI Solutions Store + Square merch products (formerly PRODUCT_CATALOG in
+// the AI store webhook). SKUs are stable - never rename one that has sold.
+// Square item variation IDs are filled in per environment:
+//   UPDATE "Product" SET "squareCatalogObjectId" = '...' WHERE sku = '...';
+const CATALOG_PRODUCTS = [
+  {
+    sku: 'AI-CLAUDE-DROID',
+    name: 'Claude Droid',
+    price: 299,
+    category: 'software',
+    productType: 'github-repo',
+    deliveryType: 'github-access',
+    fulfillment: { key: 'claude-droid', repo: 'https://github.com/Ai-Solutions-Store/claude-droid' }
+  },
+  {
+    sku: 'AI-INCOME-DROID',
+    name: 'Income Droid',
+    price: 499,
+    category: 'software',
+    productType: 'github-repo',
+    deliveryType: 'github-access-video',
+    fulfillment: {
+      key: 'income-droid',
+      repo: 'https://github.com/Ai-Solutions-Store/income-droid',
+      videoUrl: 'https://www.youtube.com/playlist?list=INCOME-DROID-TUTORIALS'
+    }
+  },
+  {
+    sku: 'AI-MARKETING-ENGINE',
+    name: 'Marketing Engine',
+    price: 199,
+    category: 'software',
+    productType: 'github-repo',
+    deliveryType: 'github-access-api',
+    fulfillment: { key: 'marketing-engine', repo: 'https://github.com/Ai-Solutions-Store/marketing-engine' }
+  },
+  {
+    sku: 'AI-JULES',
+    name: 'Jules AI',
+    price: 399,
+    category: 'software',
+    productType: 'github-repo',
+    deliveryType: 'github-access-cloud',
+    fulfillment: { key: 'jules-ai', repo: 'https://github.com/Ai-Solutions-Store/jules-ai' }
+  },
+  {
+    sku: 'AI-AFFILIATE-SYSTEM',
+    name: 'Affiliate System',
+    price: 599,
+    category: 'software',
+    productType: 'github-repo',
+    deliveryType: 'github-access-whitelabel',
+    fulfillment: { key: 'affiliate-system', repo: 'https://github.com/Ai-Solutions-Store/affiliate-system' }
+  },
+  {
+    sku: 'AI-DATING-PLATFORM',
+    name: 'Anti-AI Dating Platform',
+    price: 2499,
+    category: 'software',
+    productType: 'full-source',
+    deliveryType: 'full-source-zip',
+    fulfillment: { key: 'dating-platform', repo: 'https://github.com/Ai-Solutions-Store/dating-platform' }
+  },
+  {
+    sku: 'AI-CONSULT-30',
+    name: '30-Min Strategy Consultation',
+    price: 99,
+    category: 'service',
+    productType: 'consultation',
+    deliveryType: 'booking-link',
+    fulfillment: { key: 'custom-consult', bookingUrl: 'https://calendly.com/your-booking-link' }
+  },
+  // Merch items (handled by Printful)
+  { sku: 'MERCH-TEE', name: 'FOR THE KIDS T-Shirt', price: 25, category: 't-shirt', fulfillment: { key: 'tee' } },
+  { sku: 'MERCH-HOODIE', name: 'FOR THE KIDS Hoodie', price: 45, category: 'hoodie', fulfillment: { key: 'hoodie' } },
+  { sku: 'MERCH-MUG', name: 'FOR THE KIDS Mug', price: 15, category: 'mug', fulfillment: { key: 'mug' } },
+  { sku: 'MERCH-STICKERS', name: 'FOR THE KIDS Sticker Pack', price: 5, category: 'stickers', fulfillment: { key: 'stickers' } },
+  { sku: 'MERCH-BUNDLE', name: 'FOR THE KIDS Merch Bundle', price: 75, category: 'bundle', fulfillment: { key: 'bundle' } }
+];
+
+/**
+ * Open price version 1 for a product/variant that has no price history
+ */
+async function ensureInitialPrice(productId, variantId, amount) {
+  const existing = await prisma.productPrice.findFirst({ where: { productId, variantId } });
+  if (existing) return false;
+
+  await prisma.productPrice.create({
+    data: { productId, variantId, version: 1, amount, reason: 'catalog seed' }
+  });
+  return true;
+}
+
+/**
+ * Upsert the catalog. Safe to re-run: prices are only set on first insert
+ * (later changes go through setPrice so they are versioned).
+ */
+async function seedCatalog() {
+  try {
+    console.log('Seeding product catalog...');
+
+    for (const { price, ...data } of CATALOG_PRODUCTS) {
+      const product = await prisma.product.upsert({
+        where: { sku: data.sku },
+        update: {
+          name: data.name,
+          category: data.category,
+          productType: data.productType || 'merch',
+          deliveryType: data.deliveryType || 'printful',
+          fulfillment: data.fulfillment
+        },
+        create: { ...data, price }
+      });
+      await ensureInitialPrice(product.id, null, product.price);
+      console.log(`  ${product.sku}: ${product.name}`);
+    }
+
+    // Backfill version 1 for products created by other seeds
+    const products = await prisma.product.findMany({ include: { variants: true } });
+    let opened = 0;
+    for (const product of products) {
+      if (await ensureInitialPrice(product.id, null, product.price)) opened++;
+      for (const variant of product.variants) {
+        if (variant.price != null && await ensureInitialPrice(product.id, variant.id, variant.price)) opened++;
+      }
+    }
+    console.log(`Opened ${opened} initial price versions`);
+
+    // COGS from gospel-revenue-v2.js for matching product / variant SKUs
+    let costed = 0;
+    for (const [sku, { production, avgShipping }] of Object.entries(PRODUCT_COGS)) {
+      const { count } = await prisma.product.updateMany({
+        where: { sku },
+        data: { cogsProduction: production, cogsShipping: avgShipping }
+      });
+      const { count: variantCount } = await prisma.productVariant.updateMany({
+        where: { sku },
+        data: { cogsProduction: production }
+      });
+      costed += count + variantCount;
+    }
+    console.log(`Applied COGS to ${costed} catalog rows`);
+
+    console.log('Catalog seeding completed successfully!');
+  } catch (error) {
+    console.error('Error seeding catalog:', error);
+    throw error;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+seedCatalog()
+  .then(() => {
+    console.log('Seed completed!');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Seed failed:', error);
+    process.exit(1);
+  });
@@ -1,57 +1,70 @@
 import express from 'express';
-import { authMiddleware } from '../services/auth.js';
+import { requireScopes } from '../middleware/rbac.js';
+import {
+  ROLE_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  setUserRoles,
+  listStaff,
+  listAccessDenials
+} from '../services/access-control.js';
+import {
+  listDeadLetters,
+  requeueEvent,
+  getPipelineStats,
+  listEvents,
+  getEvent,
+  diffEvents,
+  replayEvent
+} from '../services/webhook-pipeline.js';
+import {
+  listQueue,
+  getQueueStats,
+  getCase,
+  assignCase,
+  transitionCase,
+  addAttachment
+} from '../services/moderation.js';
+import {
+  listReports,
+  getReportCase,
+  assignReport,
+  transitionReport
+} from '../services/user-reports.js';
+import {
+  DEFAULT_CONFIG,
+  listDetectors,
+  getDetectionConfig,
+  saveDetectionConfig,
+  listDetectionConfigs
+} from '../services/ai-detection/index.js';
+import { evaluateCorpus } from '../services/ai-detection/evaluate.js';
+import {
+  listFlaggedMessages,
+  getFlaggedConversation,
+  decideAppeal
+} from '../services/message-screening.js';
+import {
+  listPhotosForReview,
+  readPhoto,
+  moderatePhoto
+} from '../services/photos/index.js';
 
 const router = express.Router();
 
 /**
- * Admin Authentication Middleware
- * Requires valid JWT token with admin privileges
- *
- * SECURITY: All admin routes MUST be authenticated
- * Added: 2025-12-14 - Critical Security Fix
+ * Admin routes declare their scopes individually (see middleware/rbac.js).
+ * Replaces the ADMIN_EMAILS allow-list - grant the ADMIN role instead.
  */
-function requireAdmin(req, res, next) {
-  // First check if user is authenticated
-  if (!req.user) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Admin routes require valid JWT token'
-    });
-  }
-
-  // Check for admin privileges
-  // TODO: Add isAdmin field to user model in database
-  const adminEmails = (process.env.ADMIN_EMAILS || 'admin@yourplatform.com').split(',');
-
-  if (!adminEmails.includes(req.user.email)) {
-    console.warn('[SECURITY] Unauthorized admin access attempt:', {
-      userId: req.user.userId,
-      email: req.user.email,
-      ip: req.ip,
-      path: req.path,
-      timestamp: new Date().toISOString()
-    });
-
-    return res.status(403).json({
-      error: 'Forbidden',
-      message: 'Admin privileges required'
-    });
-  }
-
-  next();
-}
-
-// Apply authentication to ALL admin routes
-router.use(authMiddleware);
-router.use(requireAdmin);
 
 // GET /api/admin/status
-router.get('/status', async (req, res) => {
+router.get('/status', requireScopes('admin:read'), async (req, res) => {
   res.json({ success: true, status: 'operational', service: 'YouAndINotAI Platform' });
 });
 
 // GET /api/admin/security - Security audit status endpoint
-router.get('/security', async (req, res) => {
+router.get('/security', requireScopes('admin:read'), async (req, res) => {
   res.json({
     success: true,
     lockdown: {
@@ -95,4 +108,484 @@ router.get('/security', async (req, res) => {
   });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// ACCESS CONTROL - Roles & API keys
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// GET /api/admin/access/roles - Role → scope matrix
+router.get('/access/roles', requireScopes('access:read'), (req, res) => {
+  res.json({ success: true, roles: ROLE_SCOPES });
+});
+
+// GET /api/admin/access/staff - Users holding at least one role
+router.get('/access/staff', requireScopes('access:read'), async (req, res) => {
+  try {
+    const staff = await listStaff();
+    res.json({ success: true, staff, count: staff.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list staff', message: error.message });
+  }
+});
+
+// PUT /api/admin/access/staff/:userId/roles - Replace a user's roles
+router.put('/access/staff/:userId/roles', requireScopes('access:write'), async (req, res) => {
+  try {
+    const { roles } = req.body;
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({ success: false, error: 'roles must be an array' });
+    }
+
+    const user = await setUserRoles(req.params.userId, roles);
+
+    console.log('[RBAC] Roles updated', {
+      userId: user.id,
+      roles: user.roles,
+      by: req.principal.name
+    });
+
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/access/api-keys - List keys (never returns key material)
+router.get('/access/api-keys', requireScopes('access:read'), async (req, res) => {
+  try {
+    const keys = await listApiKeys();
+    res.json({ success: true, apiKeys: keys, count: keys.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to list API keys', message: error.message });
+  }
+});
+
+// POST /api/admin/access/api-keys - Create a named key; plaintext returned once
+router.post('/access/api-keys', requireScopes('access:write'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const { key, apiKey } = await createApiKey({
+      name,
+      scopes,
+      expiresAt,
+      createdBy: `${req.principal.type}:${req.principal.name}`
+    });
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey,
+      warning: 'Store this key now - it cannot be shown again.'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/admin/access/api-keys/:id - Revoke a key
+router.delete('/access/api-keys/:id', requireScopes('access:write'), async (req, res) => {
+  try {
+    await revokeApiKey(req.params.id);
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/access/denials - Audit trail of denied requests
+router.get('/access/denials', requireScopes('access:read'), async (req, res) => {
+  try {
+    const denials = await listAccessDenials({
+      limit: parseInt(req.query.limit) || 100,
+      since: req.query.since
+    });
+    res.json({ success: true, denials, count: denials.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load audit trail', message: error.message });
+  }
+});
+
+// GET /api/admin/webhooks - Pipeline handlers and event counts by status
+router.get('/webhooks', requireScopes('payments:read'), async (req, res) => {
+  try {
+    const stats = await getPipelineStats();
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load webhook stats', message: error.message });
+  }
+});
+
+// GET /api/admin/webhooks/dead-letter - Events that ran out of retries
+router.get('/webhooks/dead-letter', requireScopes('payments:read'), async (req, res) => {
+  try {
+    const events = await listDeadLetters({ limit: parseInt(req.query.limit) || 50 });
+    res.json({ success: true, events, count: events.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load dead letters', message: error.message });
+  }
+});
+
+// POST /api/admin/webhooks/dead-letter/:id/retry - Requeue and run now
+router.post('/webhooks/dead-letter/:id/retry', requireScopes('payments:write'), async (req, res) => {
+  try {
+    const outcome = await requeueEvent(req.params.id);
+    res.json({ success: true, outcome });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/webhooks/events - Stored webhooks
+// Filters: provider, type, status, source, eventId, since, until, before, limit
+router.get('/webhooks/events', requireScopes('payments:read'), async (req, res) => {
+  try {
+    const { provider, type, status, source, eventId, since, until, before, limit } = req.query;
+    const events = await listEvents({ provider, type, status, source, eventId, since, until, before, limit });
+    res.json({ success: true, events, count: events.length });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/webhooks/events/:id - Body, headers, handler deliveries and run history
+router.get('/webhooks/events/:id', requireScopes('payments:read'), async (req, res) => {
+  try {
+    const event = await getEvent(req.params.id);
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/webhooks/events/:id/diff/:otherId - Payload and header differences
+router.get('/webhooks/events/:id/diff/:otherId', requireScopes('payments:read'), async (req, res) => {
+  try {
+    const diff = await diffEvents(req.params.id, req.params.otherId);
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/webhooks/events/:id/replay - Re-run against the current handlers
+// Body: { dryRun?: boolean, handlers?: string[], force?: boolean }
+router.post('/webhooks/events/:id/replay', requireScopes('payments:write'), async (req, res) => {
+  try {
+    const { dryRun = false, handlers, force = false } = req.body || {};
+    const outcome = await replayEvent(req.params.id, {
+      dryRun: Boolean(dryRun),
+      handlers: Array.isArray(handlers) ? handlers : undefined,
+      force: Boolean(force),
+      triggeredBy: `${req.principal.type}:${req.principal.name}`
+    });
+    res.json({ success: true, ...outcome });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION - MinorReport cases (services/moderation.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Actions accepted by POST /moderation/minor-reports/:id (admin moderateContent)
+const CASE_ACTIONS = {
+  investigate: 'INVESTIGATING',
+  escalate: 'ESCALATED',
+  confirm: 'CONFIRMED',
+  dismiss: 'DISMISSED'
+};
+
+function actorOf(req) {
+  return `${req.principal.type}:${req.principal.name}`;
+}
+
+// GET /api/admin/moderation/queue - Open cases, most urgent first
+// type: minor-reports (default) or user-reports
+// Filters: status (comma-separated), assignedTo (id or "unassigned"), limit;
+// minor-reports: priority, overdue; user-reports: reason, reportedUserId
+router.get('/moderation/queue', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const { type, status, assignedTo, priority, overdue, reason, reportedUserId, limit } = req.query;
+    if (type && !['minor-reports', 'user-reports'].includes(type)) {
+      return res.status(400).json({ success: false, error: `Unsupported queue type: ${type}` });
+    }
+
+    if (type === 'user-reports') {
+      const cases = await listReports({
+        status: status ? status.split(',') : undefined,
+        assignedTo,
+        reason,
+        reportedUserId,
+        limit
+      });
+      return res.json({ success: true, cases, count: cases.length });
+    }
+
+    const cases = await listQueue({
+      status: status ? status.split(',') : undefined,
+      assignedTo,
+      priority,
+      overdue: overdue === 'true',
+      limit
+    });
+    res.json({ success: true, cases, count: cases.length });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/moderation/stats - Queue counts, SLA breaches, resolution time
+router.get('/moderation/stats', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load moderation stats', message: error.message });
+  }
+});
+
+// GET /api/admin/moderation/minor-reports/:id - Case with evidence and audit timeline
+router.get('/moderation/minor-reports/:id', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const report = await getCase(req.params.id);
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/minor-reports/:id/assign - Body: { assignee? } (defaults to caller)
+router.post('/moderation/minor-reports/:id/assign', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const assignee = req.body?.assignee || req.principal.id;
+    const report = await assignCase(req.params.id, assignee, { actor: actorOf(req) });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/minor-reports/:id/status
+// Body: { status, notes?, resolution?, authoritiesNotified? } - resolution required to close
+router.post('/moderation/minor-reports/:id/status', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const { status, notes, resolution, authoritiesNotified } = req.body || {};
+    const report = await transitionCase(req.params.id, status, {
+      actor: actorOf(req),
+      notes,
+      resolution,
+      authoritiesNotified: Boolean(authoritiesNotified)
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/minor-reports/:id/attachments
+// Body: { kind, url, mimeType?, sha256?, description? }
+router.post('/moderation/minor-reports/:id/attachments', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const attachment = await addAttachment(req.params.id, req.body || {}, { actor: actorOf(req) });
+    res.status(201).json({ success: true, attachment });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/minor-reports/:id - Body: { action, notes?, resolution? }
+router.post('/moderation/minor-reports/:id', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const { action, notes, resolution, authoritiesNotified } = req.body || {};
+    if (!CASE_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        error: `action must be one of: ${Object.keys(CASE_ACTIONS).join(', ')}`
+      });
+    }
+
+    const report = await transitionCase(req.params.id, CASE_ACTIONS[action], {
+      actor: actorOf(req),
+      notes,
+      resolution,
+      authoritiesNotified: Boolean(authoritiesNotified)
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION - Member reports (services/user-reports.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// GET /api/admin/moderation/user-reports/:id - Report with snapshots, prior reports and audit timeline
+router.get('/moderation/user-reports/:id', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const report = await getReportCase(req.params.id);
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/user-reports/:id/assign - Body: { assignee? } (defaults to caller)
+router.post('/moderation/user-reports/:id/assign', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const assignee = req.body?.assignee || req.principal.id;
+    const report = await assignReport(req.params.id, assignee, { actor: actorOf(req) });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/user-reports/:id/status
+// Body: { status, notes?, resolution?, enforcement? } - resolution required to close,
+// enforcement (none, warn, suspend, ban) only with CONFIRMED
+router.post('/moderation/user-reports/:id/status', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const { status, notes, resolution, enforcement } = req.body || {};
+    const report = await transitionReport(req.params.id, status, {
+      actor: actorOf(req),
+      notes,
+      resolution,
+      enforcement
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION - Profile photos (services/photos)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// GET /api/admin/moderation/photos - Photos awaiting review, oldest first
+// Filters: status (PENDING, APPROVED, REJECTED - default PENDING), userId, limit
+router.get('/moderation/photos', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const { status, userId, limit } = req.query;
+    const photos = await listPhotosForReview({ status, userId, limit });
+    res.json({ success: true, photos, count: photos.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load photos', message: error.message });
+  }
+});
+
+// GET /api/admin/moderation/photos/:id/image - Image in any status (?size=thumb)
+router.get('/moderation/photos/:id/image', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const photo = await readPhoto(req.params.id, {
+      size: req.query.size === 'thumb' ? 'thumb' : 'full',
+      moderator: true
+    });
+    res.set('Content-Type', photo.mimeType);
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(photo.buffer);
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/photos/:id - Body: { decision: approve|reject, reason? }
+// reason required to reject
+router.post('/moderation/photos/:id', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const { decision, reason } = req.body || {};
+    const photo = await moderatePhoto(req.params.id, decision, { actor: actorOf(req), reason });
+    res.json({ success: true, photo });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION - AI-flagged messages (services/message-screening.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// GET /api/admin/moderation/ai-flags - Flagged messages, newest first
+// Filters: appeal (PENDING, UPHELD, OVERTURNED or "none"), level, userId, limit
+router.get('/moderation/ai-flags', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const { appeal, level, userId, limit } = req.query;
+    const flags = await listFlaggedMessages({ appealStatus: appeal, level, userId, limit });
+    res.json({ success: true, flags, count: flags.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load flagged messages', message: error.message });
+  }
+});
+
+// GET /api/admin/moderation/ai-flags/:id - Flag with surrounding conversation (?context=10)
+router.get('/moderation/ai-flags/:id', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const flag = await getFlaggedConversation(req.params.id, { context: req.query.context });
+    res.json({ success: true, ...flag });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/moderation/ai-flags/:id/appeal - Body: { decision: uphold|overturn, notes? }
+router.post('/moderation/ai-flags/:id/appeal', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body || {};
+    const notice = await decideAppeal(req.params.id, decision, { actor: actorOf(req), notes });
+    res.json({ success: true, notice });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AI DETECTION - Calibration (services/ai-detection)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// GET /api/admin/ai-detection/config - Active thresholds/weights and the defaults
+router.get('/ai-detection/config', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const { version, config } = await getDetectionConfig();
+    res.json({ success: true, version, config, defaults: DEFAULT_CONFIG, detectors: listDetectors() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load AI detection config', message: error.message });
+  }
+});
+
+// GET /api/admin/ai-detection/config/versions - Saved versions, newest first
+router.get('/ai-detection/config/versions', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const versions = await listDetectionConfigs({ limit: req.query.limit });
+    res.json({ success: true, versions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to load AI detection config versions', message: error.message });
+  }
+});
+
+// PUT /api/admin/ai-detection/config - Body: { config, note? }
+// config may be partial (merged over the defaults); takes effect within 30s
+router.put('/ai-detection/config', requireScopes('moderation:write'), async (req, res) => {
+  try {
+    const { config, note } = req.body || {};
+    const saved = await saveDetectionConfig(config, { actor: actorOf(req), note });
+    res.json({ success: true, version: saved.version, config: saved.config });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/ai-detection/evaluate - Body: { corpus: [{ text, label, history? }], config? }
+// Precision/recall of the active (or a candidate) config on a labeled corpus
+router.post('/ai-detection/evaluate', requireScopes('moderation:read'), async (req, res) => {
+  try {
+    const { corpus, config } = req.body || {};
+    const report = await evaluateCorpus(corpus, { config });
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 export default router;
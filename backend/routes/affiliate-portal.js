@@ -0,0 +1,286 @@
+/**
+ * AFFILIATE PORTAL API - FOR THE KIDS
+ * Gospel V1.4.1 SURVIVAL MODE: 100% to verified pediatric charities
+ *
+ * Self-service for affiliates, signed in with an emailed magic link - see
+ * services/affiliate-portal. Mounted without the staff scopes; everything
+ * after sign-in needs `Authorization: Bearer <sessionToken>` and only sees
+ * the signed-in affiliate's own data.
+ *
+ * Features:
+ * - Magic-link sign-in and sign-out
+ * - Dashboard: clicks, conversions, commissions and payouts over time
+ * - Commission and payout history, payout statements
+ * - Payment-method changes confirmed by email
+ * - Deep-link / UTM builder and the approved banner & copy library
+ */
+
+import express from 'express';
+import {
+  toPortalAffiliate,
+  requestLoginLink,
+  verifyLoginLink,
+  logout,
+  requireAffiliateSession,
+  requestPaymentMethodChange,
+  confirmPaymentMethodChange,
+  getPortalDashboard,
+  listPortalCommissions,
+  listPortalPayouts,
+  getPortalPayoutStatement,
+  buildAffiliateLink,
+  listLibrary,
+  downloadAsset
+} from '../services/affiliate-portal/index.js';
+
+const router = express.Router();
+
+// ============================================
+// SIGN-IN
+// ============================================
+
+/**
+ * POST /api/affiliate-portal/login
+ * Email a sign-in link. Answers the same whether or not the email is an affiliate.
+ * Body: { email }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    await requestLoginLink(req.body.email, { ip: req.ip });
+    res.json({
+      success: true,
+      message: 'If that email belongs to an affiliate account, a sign-in link is on its way.'
+    });
+  } catch (error) {
+    console.error('Affiliate sign-in link error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to send sign-in link',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliate-portal/login/verify
+ * Exchange the emailed link's token for a session token
+ * Body: { token }
+ */
+router.post('/login/verify', async (req, res) => {
+  try {
+    const session = await verifyLoginLink(req.body.token, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Affiliate sign-in error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to sign in',
+      message: error.message
+    });
+  }
+});
+
+// Everything below needs a portal session
+router.use(requireAffiliateSession);
+
+/**
+ * POST /api/affiliate-portal/logout
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await logout(req.affiliateSession);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Affiliate sign-out error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to sign out',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliate-portal/me
+ */
+router.get('/me', (req, res) => {
+  res.json({ success: true, affiliate: toPortalAffiliate(req.affiliate) });
+});
+
+// ============================================
+// DASHBOARD
+// ============================================
+
+/**
+ * GET /api/affiliate-portal/dashboard
+ * Time series and balances
+ * Query: from, to (ISO dates, default last 30 days), interval = day | week | month
+ */
+router.get('/dashboard', async (req, res) => {
+  try {
+    const dashboard = await getPortalDashboard(req.affiliate, req.query);
+    res.json({ success: true, ...dashboard });
+  } catch (error) {
+    console.error('Affiliate portal dashboard error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load dashboard',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliate-portal/commissions
+ * Query: status, before (cursor from nextBefore), limit
+ */
+router.get('/commissions', async (req, res) => {
+  try {
+    const page = await listPortalCommissions(req.affiliate, req.query);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Affiliate portal commissions error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load commissions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliate-portal/payouts
+ */
+router.get('/payouts', async (req, res) => {
+  try {
+    const payouts = await listPortalPayouts(req.affiliate, req.query);
+    res.json({ success: true, payouts });
+  } catch (error) {
+    console.error('Affiliate portal payouts error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load payouts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliate-portal/payouts/:id/statement
+ * Printable HTML statement
+ */
+router.get('/payouts/:id/statement', async (req, res) => {
+  try {
+    const html = await getPortalPayoutStatement(req.affiliate, req.params.id);
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Affiliate portal statement error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to render payout statement',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// PAYMENT METHOD
+// ============================================
+
+/**
+ * PUT /api/affiliate-portal/payment-method
+ * Request a payment-method change; a confirmation link goes to the account email
+ * Body: { paymentMethod: square | paypal | bank, paymentEmail?,
+ *         bankDetails?: { routingNumber, accountNumber, accountType, accountName } }
+ */
+router.put('/payment-method', async (req, res) => {
+  try {
+    const pending = await requestPaymentMethodChange(req.affiliate, req.body, { ip: req.ip });
+    res.status(202).json({
+      success: true,
+      message: 'Check your email to confirm the new payout method.',
+      ...pending
+    });
+  } catch (error) {
+    console.error('Affiliate payment method error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update payment method',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliate-portal/payment-method/confirm
+ * Apply the change from the emailed link. Signs out other sessions.
+ * Body: { token }
+ */
+router.post('/payment-method/confirm', async (req, res) => {
+  try {
+    const affiliate = await confirmPaymentMethodChange(req.affiliateSession, req.body.token);
+    res.json({ success: true, affiliate });
+  } catch (error) {
+    console.error('Affiliate payment method confirm error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to confirm payment method',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// LINKS & CREATIVE ASSETS
+// ============================================
+
+/**
+ * POST /api/affiliate-portal/links
+ * Build a tracked deep link
+ * Body: { url?, utm_source?, utm_medium?, utm_campaign?, utm_content?, utm_term? }
+ */
+router.post('/links', (req, res) => {
+  try {
+    const { url, ...utm } = req.body;
+    res.json({ success: true, ...buildAffiliateLink(req.affiliate, { url, utm }) });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to build link',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliate-portal/assets
+ * Approved banners and copy (copy filled in with your link)
+ * Query: kind = BANNER | COPY
+ */
+router.get('/assets', async (req, res) => {
+  try {
+    const assets = await listLibrary(req.affiliate, { kind: req.query.kind });
+    res.json({ success: true, assets });
+  } catch (error) {
+    console.error('Affiliate asset library error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load assets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliate-portal/assets/:id/download
+ */
+router.get('/assets/:id/download', async (req, res) => {
+  try {
+    const file = await downloadAsset(req.params.id, req.affiliate);
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`
+    });
+    res.send(file.body);
+  } catch (error) {
+    console.error('Affiliate asset download error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to download asset',
+      message: error.message
+    });
+  }
+});
+
+export default router;
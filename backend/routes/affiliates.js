@@ -2,23 +2,63 @@
  * AFFILIATE PROGRAM API - FOR THE KIDS
  * Gospel V1.4.1 SURVIVAL MODE: 100% to verified pediatric charities
  *
- * Affiliate commissions are paid from the Infrastructure allocation
- * 100% to charity is NEVER touched - this is immutable Gospel law
+ * Affiliate commissions are a share of net revenue (after processor fees and
+ * COGS), taken before the treasury split - see services/split-policy.js.
+ * Each commission records the policy version it was calculated under.
+ *
+ * Mounted behind the affiliates scope. Payout, commission review, reversal
+ * and rate-schedule routes also need finance:read / finance:write (FINANCE
+ * and ADMIN roles) - they carry payment emails, bank account numbers in
+ * NACHA exports, and decide what gets paid.
  *
  * Features:
  * - Affiliate registration and approval
  * - Referral tracking with unique codes
- * - Automated commission calculation
- * - Monthly payout reports
+ * - Server-side attribution (first-touch, last-touch, time-decay) with
+ *   fraud holds - see services/affiliate-attribution.js
+ * - Automated commission calculation with tiered rate schedules, a refund
+ *   hold period and refund clawbacks - see services/affiliate-commissions.js
+ * - Monthly payout batches with PayPal/NACHA export files, payout
+ *   providers and statements - see services/affiliate-payouts
+ * - Banner and copy assets for the affiliate portal. Affiliates see their
+ *   own dashboard through /api/affiliate-portal (routes/affiliate-portal.js)
  * - Square payment integration (when ready)
  */
 
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { listSplitPolicies } from '../services/split-policy.js';
+import {
+  ATTRIBUTION_POLICY,
+  hashIp,
+  recordTouch,
+  identifyVisitor,
+  recordConversion,
+  listHeldCommissions,
+  reviewCommission
+} from '../services/affiliate-attribution.js';
+import {
+  createRateSchedule,
+  listRateSchedules,
+  endRateSchedule,
+  reverseCommission
+} from '../services/affiliate-commissions.js';
+import {
+  generatePayoutBatch,
+  listPayoutBatches,
+  getPayoutBatch,
+  exportPayoutBatch,
+  sendPayoutBatch,
+  completePayout,
+  getPayoutStatement,
+  listPayoutProviders
+} from '../services/affiliate-payouts/index.js';
+import { createAsset, listAssets, setAssetStatus } from '../services/affiliate-portal/index.js';
+import { imageUpload } from '../middleware/upload.js';
+import { requireScopes } from '../middleware/rbac.js';
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
 // ============================================
 // CONFIGURATION
@@ -26,16 +66,18 @@ const prisma = new PrismaClient();
 
 const CONFIG = {
   defaultCommissionRate: 10, // 10% of revenue
-  minimumPayout: 50.00, // Minimum $50 to trigger payout
-  payoutDay: 1, // Day of month for payouts (1st of month)
-  cookieExpiration: 30 * 24 * 60 * 60 * 1000, // 30 days
-
-  // Gospel V1.4.1 SURVIVAL MODE enforcement
-  charityPercentage: 100,
-  infrastructurePercentage: 0,
-  founderPercentage: 0,
+  cookieExpiration: ATTRIBUTION_POLICY.windowDays * 24 * 60 * 60 * 1000, // Attribution window
 };
 
+/**
+ * The IP to record for the person behind a request. A server-to-server call
+ * (an API key with the affiliates scope) may pass on the IP of the visitor
+ * it proxies; for anyone else it is the address the request came from.
+ */
+function clientIp(req, forwardedIp) {
+  return forwardedIp && req.principal?.type === 'api_key' ? String(forwardedIp) : req.ip;
+}
+
 // ============================================
 // AFFILIATE REGISTRATION
 // ============================================
@@ -46,7 +88,7 @@ const CONFIG = {
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, name, companyName, paymentEmail, source } = req.body;
+    const { email, name, companyName, paymentEmail, source, ip } = req.body;
 
     // Validation
     if (!email || !name) {
@@ -77,6 +119,7 @@ router.post('/register', async (req, res) => {
         companyName: companyName || null,
         code,
         paymentEmail: paymentEmail || email,
+        signupIpHash: hashIp(clientIp(req, ip)),
         status: 'PENDING'
       }
     });
@@ -103,21 +146,19 @@ router.post('/register', async (req, res) => {
 
 /**
  * POST /api/affiliates/approve/:id
- * Approve pending affiliate (admin only)
+ * Approve pending affiliate (finance:write - FINANCE and ADMIN roles)
  */
-router.post('/approve/:id', async (req, res) => {
+router.post('/approve/:id', requireScopes('finance:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { commissionRate } = req.body;
 
-    // TODO: Add admin authentication check
-
     const affiliate = await prisma.affiliate.update({
       where: { id },
       data: {
         status: 'ACTIVE',
         approvedAt: new Date(),
-        approvedBy: 'admin', // TODO: Use actual admin ID
+        approvedBy: req.principal.id,
         commissionRate: commissionRate || CONFIG.defaultCommissionRate
       }
     });
@@ -152,39 +193,24 @@ router.post('/approve/:id', async (req, res) => {
 /**
  * GET /api/affiliates/track/:code
  * Track affiliate visit (returns tracking cookie)
+ * Query: visitorId (the visitor's existing cookie), source, metadata,
+ * customerEmail/customerId when known, ip (the visitor's IP when the
+ * storefront proxies the call with its API key - ignored otherwise)
  */
 router.get('/track/:code', async (req, res) => {
   try {
     const { code } = req.params;
-    const { source, metadata } = req.query;
+    const { source, metadata, visitorId, customerEmail, customerId, ip } = req.query;
 
-    // Find affiliate
-    const affiliate = await prisma.affiliate.findUnique({
-      where: { code }
-    });
-
-    if (!affiliate) {
-      return res.status(404).json({
-        error: 'Invalid affiliate code'
-      });
-    }
-
-    if (affiliate.status !== 'ACTIVE') {
-      return res.status(400).json({
-        error: 'Affiliate account is not active'
-      });
-    }
-
-    // Create referral tracking record
-    const sessionId = crypto.randomUUID();
-
-    const referral = await prisma.affiliateReferral.create({
-      data: {
-        affiliateId: affiliate.id,
-        sessionId,
-        source: source || 'direct',
-        metadata: metadata ? JSON.parse(metadata) : null
-      }
+    const referral = await recordTouch({
+      code,
+      visitorId,
+      customerEmail,
+      customerId,
+      ip: clientIp(req, ip),
+      userAgent: req.get('user-agent'),
+      source,
+      metadata: metadata ? JSON.parse(metadata) : null
     });
 
     // Set tracking cookie (client-side will handle this)
@@ -192,6 +218,7 @@ router.get('/track/:code', async (req, res) => {
       success: true,
       trackingId: referral.id,
       sessionId: referral.sessionId,
+      visitorId: referral.visitorId,
       affiliateCode: code,
       expiresIn: CONFIG.cookieExpiration,
       message: 'Referral tracked successfully'
@@ -199,8 +226,27 @@ router.get('/track/:code', async (req, res) => {
 
   } catch (error) {
     console.error('Referral tracking error:', error);
-    res.status(500).json({
-      error: 'Failed to track referral',
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to track referral',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliates/identify
+ * Link a visitor's touches to their email, account or checkout order, so the
+ * payment webhooks can attribute the purchase without a sessionId
+ */
+router.post('/identify', async (req, res) => {
+  try {
+    const { visitorId, sessionId, customerEmail, customerId, orderId } = req.body;
+    const result = await identifyVisitor({ visitorId, sessionId, customerEmail, customerId, orderId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Visitor identify error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to identify visitor',
       message: error.message
     });
   }
@@ -208,320 +254,188 @@ router.get('/track/:code', async (req, res) => {
 
 /**
  * POST /api/affiliates/convert
- * Mark referral as converted (when purchase happens)
+ * Attribute a purchase to the affiliates that referred it. Square payments
+ * are converted by the webhook pipeline; this is for other checkouts.
+ * Idempotent on orderId (transactionId if there is no order).
  */
 router.post('/convert', async (req, res) => {
   try {
     const {
       sessionId,
+      visitorId,
       customerEmail,
       customerId,
       orderId,
       transactionId,
       subscriptionId,
-      amount
+      amount,
+      processingFee,
+      cogs,
+      shipping,
+      model,
+      ip
     } = req.body;
 
-    if (!sessionId || !amount) {
+    if (!sessionId && !visitorId && !customerEmail && !customerId) {
       return res.status(400).json({
-        error: 'SessionId and amount are required'
-      });
-    }
-
-    // Find referral
-    const referral = await prisma.affiliateReferral.findFirst({
-      where: { sessionId },
-      include: { affiliate: true }
-    });
-
-    if (!referral) {
-      return res.status(404).json({
-        error: 'Referral session not found'
+        error: 'sessionId, visitorId, customerEmail or customerId is required'
       });
     }
 
-    // Calculate commission (Gospel V1.4.1 SURVIVAL MODE compliant)
-    const revenueAmount = parseFloat(amount);
-    const charityAmount = revenueAmount * (CONFIG.charityPercentage / 100);
-    const infrastructureAmount = revenueAmount * (CONFIG.infrastructurePercentage / 100);
-    const commissionRate = parseFloat(referral.affiliate.commissionRate);
-
-    // Commission comes from infrastructure allocation (not charity!)
-    const commissionAmount = infrastructureAmount * (commissionRate / 100);
-
-    // Update referral
-    await prisma.affiliateReferral.update({
-      where: { id: referral.id },
-      data: {
-        isConverted: true,
-        convertedAt: new Date(),
-        customerEmail: customerEmail || null,
-        customerId: customerId || null,
-        totalRevenue: { increment: revenueAmount },
-        orderCount: { increment: 1 }
-      }
-    });
-
-    // Create commission record
-    const commission = await prisma.affiliateCommission.create({
-      data: {
-        affiliateId: referral.affiliateId,
-        referralId: referral.id,
-        orderId: orderId || null,
-        transactionId: transactionId || null,
-        subscriptionId: subscriptionId || null,
-        revenueAmount,
-        commissionRate,
-        commissionAmount,
-        charityImpact: charityAmount // Track charity impact (Gospel V1.4.1 SURVIVAL MODE)
-      }
-    });
-
-    // Update affiliate totals
-    await prisma.affiliate.update({
-      where: { id: referral.affiliateId },
-      data: {
-        totalReferrals: { increment: 1 },
-        totalRevenue: { increment: revenueAmount },
-        totalCommission: { increment: commissionAmount }
-      }
+    const { conversion, commissions, duplicate } = await recordConversion({
+      orderId: orderId || transactionId,
+      amount,
+      policy: subscriptionId ? 'dating-subscription' : 'merch',
+      model,
+      sessionId,
+      visitorId,
+      customerEmail,
+      customerId,
+      ip: clientIp(req, ip),
+      processingFee,
+      cogs,
+      shipping,
+      transactionId,
+      subscriptionId
     });
 
     res.json({
       success: true,
-      message: 'Referral converted successfully',
-      commission: {
-        id: commission.id,
-        amount: parseFloat(commission.commissionAmount),
-        charityImpact: parseFloat(commission.charityImpact)
-      }
+      message: duplicate
+        ? 'Order already converted'
+        : commissions.length > 0 ? 'Referral converted successfully' : 'No affiliate referral for this purchase',
+      duplicate,
+      conversion: {
+        id: conversion.id,
+        orderId: conversion.orderId,
+        attributionModel: conversion.attributionModel
+      },
+      commissions: commissions.map(c => ({
+        id: c.id,
+        affiliateId: c.affiliateId,
+        amount: parseFloat(c.commissionAmount),
+        weight: parseFloat(c.attributionWeight),
+        netRevenue: parseFloat(c.netRevenue),
+        charityImpact: parseFloat(c.charityImpact),
+        status: c.status,
+        splitPolicy: c.splitPolicy
+      }))
     });
 
   } catch (error) {
     console.error('Conversion tracking error:', error);
-    res.status(500).json({
-      error: 'Failed to track conversion',
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to track conversion',
       message: error.message
     });
   }
 });
 
 // ============================================
-// AFFILIATE DASHBOARD
+// PAYOUT MANAGEMENT
 // ============================================
 
 /**
- * GET /api/affiliates/dashboard/:code
- * Get affiliate dashboard data
+ * POST /api/affiliates/payouts/batches
+ * Generate the payout batch for a month (admin only). Idempotent per period -
+ * the scheduler generates last month's batch on its own.
+ * Body: { period: "YYYY-MM" }
  */
-router.get('/dashboard/:code', async (req, res) => {
+router.post('/payouts/batches', requireScopes('finance:write'), async (req, res) => {
   try {
-    const { code } = req.params;
-
-    const affiliate = await prisma.affiliate.findUnique({
-      where: { code },
-      include: {
-        referrals: {
-          orderBy: { createdAt: 'desc' },
-          take: 10
-        },
-        commissions: {
-          where: { isPaid: false },
-          orderBy: { createdAt: 'desc' }
-        },
-        payouts: {
-          orderBy: { createdAt: 'desc' },
-          take: 5
-        }
-      }
+    const { batch, created } = await generatePayoutBatch(req.body.period, {
+      actor: req.principal ? `${req.principal.type}:${req.principal.name}` : null
     });
-
-    if (!affiliate) {
-      return res.status(404).json({
-        error: 'Affiliate not found'
-      });
-    }
-
-    // Calculate pending commission
-    const pendingCommission = affiliate.commissions.reduce(
-      (sum, c) => sum + parseFloat(c.commissionAmount),
-      0
-    );
-
-    // Calculate this month's stats
-    const thisMonthStart = new Date();
-    thisMonthStart.setDate(1);
-    thisMonthStart.setHours(0, 0, 0, 0);
-
-    const thisMonthCommissions = await prisma.affiliateCommission.findMany({
-      where: {
-        affiliateId: affiliate.id,
-        createdAt: { gte: thisMonthStart }
-      }
-    });
-
-    const thisMonthRevenue = thisMonthCommissions.reduce(
-      (sum, c) => sum + parseFloat(c.revenueAmount),
-      0
-    );
-
-    const thisMonthCommission = thisMonthCommissions.reduce(
-      (sum, c) => sum + parseFloat(c.commissionAmount),
-      0
-    );
-
-    res.json({
-      success: true,
-      affiliate: {
-        code: affiliate.code,
-        name: affiliate.name,
-        email: affiliate.email,
-        status: affiliate.status,
-        commissionRate: parseFloat(affiliate.commissionRate),
-
-        // All-time stats
-        totalReferrals: affiliate.totalReferrals,
-        totalRevenue: parseFloat(affiliate.totalRevenue),
-        totalCommission: parseFloat(affiliate.totalCommission),
-        totalPaid: parseFloat(affiliate.totalPaid),
-
-        // Current period
-        pendingCommission,
-
-        // This month
-        thisMonth: {
-          revenue: thisMonthRevenue,
-          commission: thisMonthCommission,
-          referrals: thisMonthCommissions.length
-        },
-
-        // Recent activity
-        recentReferrals: affiliate.referrals.map(r => ({
-          id: r.id,
-          createdAt: r.createdAt,
-          isConverted: r.isConverted,
-          revenue: parseFloat(r.totalRevenue),
-          orders: r.orderCount
-        })),
-
-        recentPayouts: affiliate.payouts.map(p => ({
-          id: p.id,
-          amount: parseFloat(p.payoutAmount),
-          status: p.status,
-          createdAt: p.createdAt,
-          completedAt: p.completedAt
-        }))
-      }
+    res.status(created ? 201 : 200).json({ success: true, created, batch });
+  } catch (error) {
+    console.error('Payout batch generation error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to generate payout batch',
+      message: error.message
     });
+  }
+});
 
+/**
+ * GET /api/affiliates/payouts/batches
+ * Payout batches, newest period first (admin only)
+ * Query: status, limit
+ */
+router.get('/payouts/batches', requireScopes('finance:read'), async (req, res) => {
+  try {
+    const batches = await listPayoutBatches({ status: req.query.status, limit: req.query.limit });
+    res.json({ success: true, batches, providers: listPayoutProviders() });
   } catch (error) {
-    console.error('Dashboard error:', error);
+    console.error('Payout batches error:', error);
     res.status(500).json({
-      error: 'Failed to load dashboard',
+      error: 'Failed to load payout batches',
       message: error.message
     });
   }
 });
 
-// ============================================
-// PAYOUT MANAGEMENT
-// ============================================
-
 /**
- * GET /api/affiliates/payouts/generate
- * Generate monthly payout reports (admin only)
+ * GET /api/affiliates/payouts/batches/:id
+ * Batch with its payouts (admin only)
  */
-router.get('/payouts/generate', async (req, res) => {
+router.get('/payouts/batches/:id', requireScopes('finance:read'), async (req, res) => {
   try {
-    // TODO: Add admin authentication
-
-    const { month, year } = req.query;
-
-    // Default to last month
-    const now = new Date();
-    const targetMonth = month ? parseInt(month) : now.getMonth();
-    const targetYear = year ? parseInt(year) : now.getFullYear();
-
-    const periodStart = new Date(targetYear, targetMonth - 1, 1);
-    const periodEnd = new Date(targetYear, targetMonth, 0, 23, 59, 59);
-
-    console.log(`Generating payouts for ${periodStart.toLocaleDateString()} to ${periodEnd.toLocaleDateString()}`);
-
-    // Get all active affiliates
-    const affiliates = await prisma.affiliate.findMany({
-      where: { status: 'ACTIVE' },
-      include: {
-        commissions: {
-          where: {
-            isPaid: false,
-            createdAt: {
-              gte: periodStart,
-              lte: periodEnd
-            }
-          }
-        }
-      }
+    const batch = await getPayoutBatch(req.params.id);
+    res.json({ success: true, batch });
+  } catch (error) {
+    console.error('Payout batch error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load payout batch',
+      message: error.message
     });
+  }
+});
 
-    const payoutReports = [];
-
-    for (const affiliate of affiliates) {
-      const totalCommission = affiliate.commissions.reduce(
-        (sum, c) => sum + parseFloat(c.commissionAmount),
-        0
-      );
-
-      // Only create payout if meets minimum threshold
-      if (totalCommission >= CONFIG.minimumPayout) {
-        const payout = await prisma.affiliatePayout.create({
-          data: {
-            affiliateId: affiliate.id,
-            periodStart,
-            periodEnd,
-            totalCommission,
-            payoutAmount: totalCommission, // No fees for now
-            fees: 0,
-            paymentMethod: affiliate.paymentMethod,
-            paymentEmail: affiliate.paymentEmail,
-            status: 'PENDING'
-          }
-        });
-
-        // Link commissions to payout
-        await prisma.affiliateCommission.updateMany({
-          where: {
-            id: { in: affiliate.commissions.map(c => c.id) }
-          },
-          data: {
-            payoutId: payout.id
-          }
-        });
-
-        payoutReports.push({
-          affiliate: affiliate.name,
-          email: affiliate.email,
-          commissionCount: affiliate.commissions.length,
-          amount: totalCommission,
-          payoutId: payout.id
-        });
-      }
-    }
-
-    res.json({
-      success: true,
-      period: {
-        start: periodStart,
-        end: periodEnd
-      },
-      payouts: payoutReports,
-      totalPayouts: payoutReports.length,
-      totalAmount: payoutReports.reduce((sum, p) => sum + p.amount, 0)
+/**
+ * POST /api/affiliates/payouts/batches/:id/export
+ * Payment file for the batch's unsettled payouts (admin only). The payouts in
+ * the file move to PROCESSING and won't be exported or sent again - settle
+ * them with /payouts/process/:id once paid. Payouts the format can't carry
+ * are listed in the X-Payouts-Skipped header.
+ * Body: { format: paypal-csv | nacha }
+ */
+router.post('/payouts/batches/:id/export', requireScopes('finance:write'), async (req, res) => {
+  try {
+    const file = await exportPayoutBatch(req.params.id, req.body.format || 'paypal-csv', {
+      actor: req.principal ? `${req.principal.type}:${req.principal.name}` : null
+    });
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.filename}"`,
+      'Cache-Control': 'no-store',
+      'X-Payouts-Count': String(file.count),
+      'X-Payouts-Skipped': JSON.stringify(file.skipped)
+    });
+    res.send(file.body);
+  } catch (error) {
+    console.error('Payout export error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to export payout batch',
+      message: error.message
     });
+  }
+});
 
+/**
+ * POST /api/affiliates/payouts/batches/:id/send
+ * Send a READY or PARTIALLY_FAILED batch through the payout provider set in
+ * AFFILIATE_PAYOUT_PROVIDER (admin only)
+ */
+router.post('/payouts/batches/:id/send', requireScopes('finance:write'), async (req, res) => {
+  try {
+    const result = await sendPayoutBatch(req.params.id, {
+      actor: req.principal ? `${req.principal.type}:${req.principal.name}` : null
+    });
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Payout generation error:', error);
-    res.status(500).json({
-      error: 'Failed to generate payouts',
+    console.error('Payout batch send error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to send payout batch',
       message: error.message
     });
   }
@@ -531,10 +445,8 @@ router.get('/payouts/generate', async (req, res) => {
  * GET /api/affiliates/payouts/pending
  * Get all pending payouts (admin only)
  */
-router.get('/payouts/pending', async (req, res) => {
+router.get('/payouts/pending', requireScopes('finance:read'), async (req, res) => {
   try {
-    // TODO: Add admin authentication
-
     const payouts = await prisma.affiliatePayout.findMany({
       where: { status: 'PENDING' },
       include: {
@@ -580,60 +492,37 @@ router.get('/payouts/pending', async (req, res) => {
 
 /**
  * POST /api/affiliates/payouts/process/:id
- * Process payout via Square (admin only)
+ * Settle a payout by hand - e.g. after uploading a batch export (admin only).
+ * Batches sent through a payout provider are settled by sendPayoutBatch.
+ * Body: { paymentId?, receiptUrl?, notes? } - without paymentId the payout
+ * is only marked PROCESSING
  */
-router.post('/payouts/process/:id', async (req, res) => {
+router.post('/payouts/process/:id', requireScopes('finance:write'), async (req, res) => {
   try {
     const { id } = req.params;
     const { paymentId, receiptUrl, notes } = req.body;
+    const actor = req.principal ? `${req.principal.type}:${req.principal.name}` : 'admin';
 
-    // TODO: Add admin authentication
-    // TODO: Integrate with Square Payouts API
-
-    const payout = await prisma.affiliatePayout.update({
-      where: { id },
-      data: {
-        status: 'PROCESSING',
-        processedAt: new Date(),
-        processedBy: 'admin', // TODO: Use actual admin ID
-        notes: notes || null
-      },
-      include: {
-        affiliate: true,
-        commissions: true
-      }
-    });
-
-    // If payment successful, mark as completed
+    let payout;
     if (paymentId) {
-      await prisma.affiliatePayout.update({
-        where: { id },
-        data: {
-          status: 'COMPLETED',
-          completedAt: new Date(),
-          paymentId,
-          receiptUrl: receiptUrl || null
-        }
-      });
-
-      // Mark all commissions as paid
-      await prisma.affiliateCommission.updateMany({
-        where: { payoutId: id },
-        data: {
-          isPaid: true,
-          paidAt: new Date()
-        }
-      });
-
-      // Update affiliate total paid
-      await prisma.affiliate.update({
-        where: { id: payout.affiliateId },
+      payout = await completePayout(id, { reference: paymentId, receiptUrl, notes, actor });
+    } else {
+      const { count } = await prisma.affiliatePayout.updateMany({
+        where: { id, status: { in: ['PENDING', 'FAILED'] } },
         data: {
-          totalPaid: { increment: parseFloat(payout.payoutAmount) }
+          status: 'PROCESSING',
+          processedAt: new Date(),
+          processedBy: actor,
+          notes: notes || null
         }
       });
-
-      // TODO: Send payout confirmation email to affiliate
+      payout = await prisma.affiliatePayout.findUnique({ where: { id } });
+      if (!payout) {
+        return res.status(404).json({ error: 'Payout not found' });
+      }
+      if (count === 0) {
+        return res.status(409).json({ error: `Payout is already ${payout.status.toLowerCase()}` });
+      }
     }
 
     res.json({
@@ -642,29 +531,32 @@ router.post('/payouts/process/:id', async (req, res) => {
       payout: {
         id: payout.id,
         amount: parseFloat(payout.payoutAmount),
-        status: paymentId ? 'COMPLETED' : 'PROCESSING',
-        affiliate: payout.affiliate.name
+        status: payout.status,
+        affiliateId: payout.affiliateId
       }
     });
 
   } catch (error) {
     console.error('Payout processing error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to process payout',
+      message: error.message
+    });
+  }
+});
 
-    // Mark payout as failed
-    if (req.params.id) {
-      await prisma.affiliatePayout.update({
-        where: { id: req.params.id },
-        data: {
-          status: 'FAILED',
-          errorMessage: error.message,
-          attemptCount: { increment: 1 },
-          lastAttemptAt: new Date()
-        }
-      }).catch(err => console.error('Failed to update payout status:', err));
-    }
-
-    res.status(500).json({
-      error: 'Failed to process payout',
+/**
+ * GET /api/affiliates/payouts/:id/statement
+ * Printable HTML statement for a payout
+ */
+router.get('/payouts/:id/statement', requireScopes('finance:read'), async (req, res) => {
+  try {
+    const html = await getPayoutStatement(req.params.id);
+    res.type('html').send(html);
+  } catch (error) {
+    console.error('Payout statement error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to render payout statement',
       message: error.message
     });
   }
@@ -674,7 +566,7 @@ router.post('/payouts/process/:id', async (req, res) => {
  * GET /api/affiliates/payouts/:id
  * Get payout details
  */
-router.get('/payouts/:id', async (req, res) => {
+router.get('/payouts/:id', requireScopes('finance:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -742,14 +634,223 @@ router.get('/payouts/:id', async (req, res) => {
 // ADMIN ENDPOINTS
 // ============================================
 
+/**
+ * GET /api/affiliates/admin/commissions/held
+ * Commissions held by a fraud signal, oldest first (admin only)
+ */
+router.get('/admin/commissions/held', requireScopes('finance:read'), async (req, res) => {
+  try {
+    const commissions = await listHeldCommissions({ limit: req.query.limit });
+    res.json({
+      success: true,
+      commissions: commissions.map(c => ({
+        id: c.id,
+        createdAt: c.createdAt,
+        affiliate: c.affiliate,
+        orderId: c.orderId,
+        amount: parseFloat(c.commissionAmount),
+        revenue: parseFloat(c.revenueAmount),
+        fraudSignals: c.fraudSignals,
+        customerEmail: c.conversion?.customerEmail || null,
+        attributionModel: c.conversion?.attributionModel || null
+      }))
+    });
+  } catch (error) {
+    console.error('Held commissions error:', error);
+    res.status(500).json({
+      error: 'Failed to load held commissions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/commissions/:id/review
+ * Release a held commission for payout, or reject it (admin only)
+ * Body: { decision: 'release' | 'reject', note }
+ */
+router.post('/admin/commissions/:id/review', requireScopes('finance:write'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    const commission = await reviewCommission(req.params.id, {
+      decision,
+      note,
+      actor: req.principal ? `${req.principal.type}:${req.principal.name}` : null
+    });
+    res.json({
+      success: true,
+      commission: {
+        id: commission.id,
+        status: commission.status,
+        amount: parseFloat(commission.commissionAmount),
+        reviewedAt: commission.reviewedAt,
+        reviewedBy: commission.reviewedBy
+      }
+    });
+  } catch (error) {
+    console.error('Commission review error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to review commission',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/commissions/:id/reverse
+ * Reverse a commission in full - refunds outside Square (admin only).
+ * Already paid out: the amount is clawed back from the next payout.
+ * Body: { note }
+ */
+router.post('/admin/commissions/:id/reverse', requireScopes('finance:write'), async (req, res) => {
+  try {
+    const commission = await reverseCommission(req.params.id, {
+      note: req.body.note,
+      actor: req.principal ? `${req.principal.type}:${req.principal.name}` : null
+    });
+    res.json({
+      success: true,
+      commission: {
+        id: commission.id,
+        status: commission.status,
+        amount: parseFloat(commission.commissionAmount),
+        reversedAmount: parseFloat(commission.reversedAmount),
+        reversals: commission.reversals
+      }
+    });
+  } catch (error) {
+    console.error('Commission reversal error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reverse commission',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliates/admin/rate-schedules
+ * Rate schedules in effect or scheduled (admin only)
+ * Query: affiliateId, includeEnded=true
+ */
+router.get('/admin/rate-schedules', requireScopes('finance:read'), async (req, res) => {
+  try {
+    const schedules = await listRateSchedules({
+      affiliateId: req.query.affiliateId,
+      includeEnded: req.query.includeEnded === 'true'
+    });
+    res.json({ success: true, schedules });
+  } catch (error) {
+    console.error('Rate schedules error:', error);
+    res.status(500).json({
+      error: 'Failed to load rate schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/rate-schedules
+ * Create a tiered rate schedule (admin only)
+ * Body: { name, affiliateId?, productSku?, basis, tiers: [{ from, rate }], effectiveFrom?, effectiveTo? }
+ */
+router.post('/admin/rate-schedules', requireScopes('finance:write'), async (req, res) => {
+  try {
+    const schedule = await createRateSchedule({
+      ...req.body,
+      createdBy: req.principal ? `${req.principal.type}:${req.principal.name}` : null
+    });
+    res.status(201).json({ success: true, schedule });
+  } catch (error) {
+    console.error('Rate schedule creation error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create rate schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/rate-schedules/:id/end
+ * End a rate schedule now (admin only)
+ */
+router.post('/admin/rate-schedules/:id/end', requireScopes('finance:write'), async (req, res) => {
+  try {
+    const schedule = await endRateSchedule(req.params.id);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Rate schedule end error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to end rate schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/affiliates/admin/assets
+ * Portal banners and copy, every status (admin only)
+ * Query: status, kind
+ */
+router.get('/admin/assets', async (req, res) => {
+  try {
+    const assets = await listAssets({ status: req.query.status, kind: req.query.kind });
+    res.json({ success: true, assets });
+  } catch (error) {
+    console.error('Affiliate assets error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load assets',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/assets
+ * Add a DRAFT banner (multipart, image in `file`) or copy (admin only)
+ * Body: { kind: BANNER | COPY, name, description?, tags?, body? } - copy may
+ * use {{link}}, {{code}} and {{name}}
+ */
+router.post('/admin/assets', imageUpload('file'), async (req, res) => {
+  try {
+    const asset = await createAsset(req.body, req.file, {
+      actor: req.principal ? `${req.principal.type}:${req.principal.name}` : null
+    });
+    res.status(201).json({ success: true, asset });
+  } catch (error) {
+    console.error('Affiliate asset upload error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to add asset',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/affiliates/admin/assets/:id/status
+ * Approve into the portal library, archive, or back to draft (admin only)
+ * Body: { status: APPROVED | ARCHIVED | DRAFT }
+ */
+router.post('/admin/assets/:id/status', async (req, res) => {
+  try {
+    const asset = await setAssetStatus(req.params.id, req.body.status, {
+      actor: req.principal ? `${req.principal.type}:${req.principal.name}` : null
+    });
+    res.json({ success: true, asset });
+  } catch (error) {
+    console.error('Affiliate asset status error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update asset',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/affiliates/admin/list
  * List all affiliates (admin only)
  */
 router.get('/admin/list', async (req, res) => {
   try {
-    // TODO: Add admin authentication
-
     const { status } = req.query;
 
     const affiliates = await prisma.affiliate.findMany({
@@ -801,8 +902,6 @@ router.get('/admin/list', async (req, res) => {
  */
 router.get('/admin/stats', async (req, res) => {
   try {
-    // TODO: Add admin authentication
-
     const [
       totalAffiliates,
       activeAffiliates,
@@ -862,13 +961,7 @@ router.get('/admin/stats', async (req, res) => {
           pending: pendingPayouts.length,
           pendingAmount: pendingPayoutAmount
         },
-        gospel: {
-          version: 'V1.4.1 SURVIVAL MODE',
-          charityPercentage: CONFIG.charityPercentage,
-          infrastructurePercentage: CONFIG.infrastructurePercentage,
-          founderPercentage: CONFIG.founderPercentage,
-          note: '100% to verified pediatric charities - charity allocation is never touched'
-        }
+        splitPolicies: listSplitPolicies()
       }
     });
 
@@ -1,6 +1,7 @@
 import express from 'express';
-import crypto from 'crypto';
 import winston from 'winston';
+import ageVerification from '../services/age-verification.js';
+import { listProviders } from '../services/age-providers/index.js';
 
 const router = express.Router();
 
@@ -12,6 +13,7 @@ const logger = winston.createLogger({
 
 // Age Verification System - Multi-Layer Implementation
 // Per Jules' Directive: Self-attestation + Third-party verification
+// Sessions are stored in AgeVerification (services/age-verification.js)
 
 /**
  * LAYER 1: Self-Attestation (Basic)
@@ -22,9 +24,18 @@ const logger = winston.createLogger({
  */
 router.post('/attest', async (req, res) => {
   try {
-    const { acceptedAge, acceptedTos, sessionId } = req.body;
+    const { acceptedAge, dateOfBirth, sessionId } = req.body;
+    const acceptedTos = req.body.acceptedTos ?? req.body.agreedToTerms;
 
-    if (!acceptedAge || !acceptedTos) {
+    if (acceptedTos === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'You must agree to Terms of Service',
+        message: 'Both age verification and ToS must be accepted'
+      });
+    }
+
+    if (!(acceptedAge || dateOfBirth) || !acceptedTos) {
       return res.status(400).json({
         success: false,
         error: 'Age and Terms of Service acceptance required',
@@ -32,40 +43,43 @@ router.post('/attest', async (req, res) => {
       });
     }
 
-    // Generate verification session token
-    const verificationToken = crypto.randomUUID();
-    const ipHash = crypto
-      .createHash('sha256')
-      .update(req.ip + process.env.SALT || 'default-salt')
-      .digest('hex');
+    // Date of birth is checked, never stored
+    if (dateOfBirth) {
+      const birth = new Date(dateOfBirth);
+      const adultFrom = new Date(birth.getFullYear() + 18, birth.getMonth(), birth.getDate());
+      if (isNaN(birth.getTime()) || adultFrom > new Date()) {
+        logger.warn('Underage attestation rejected', { mission: 'FOR THE KIDS' });
+        return res.status(403).json({
+          success: false,
+          error: 'You must be at least 18 years old',
+          message: 'This platform is for adults only'
+        });
+      }
+    }
 
-    // Log attestation (NO PII - only hashes and timestamps)
-    const attestationRecord = {
-      id: verificationToken,
-      type: 'self_attestation',
-      timestamp: new Date().toISOString(),
-      ipHash: ipHash.substring(0, 16), // Truncated for privacy
-      verified: true,
-      verificationLevel: 'basic',
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-    };
+    const { verification, renewed } = await ageVerification.recordAttestation({
+      sessionId,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      acceptedTos
+    });
 
+    // Log attestation (NO PII - only hashes and timestamps)
     logger.info('Age attestation recorded', {
-      verificationId: verificationToken,
-      level: 'basic',
+      verificationId: verification.id,
+      level: verification.verificationLevel,
+      renewed,
       mission: 'FOR THE KIDS'
     });
 
-    // TODO: Store in database (Prisma integration)
-    // await prisma.ageVerification.create({ data: attestationRecord });
-
-    res.json({
+    res.status(renewed ? 200 : 201).json({
       success: true,
-      verificationToken,
-      verificationLevel: 'basic',
+      verificationToken: verification.id,
+      sessionId: verification.sessionId,
+      verificationLevel: verification.verificationLevel,
       message: 'Age attestation recorded. Enhanced verification recommended.',
-      requiresEnhancedVerification: true, // Dating platform requires Layer 2
-      expiresAt: attestationRecord.expiresAt
+      requiresEnhancedVerification: verification.verificationLevel === 'BASIC', // Dating platform requires Layer 2
+      expiresAt: verification.expiresAt
     });
 
   } catch (error) {
@@ -86,7 +100,8 @@ router.post('/attest', async (req, res) => {
  * LAYER 2: Enhanced Verification (Third-Party)
  * POST /api/age-verification/enhanced
  * 
- * Integrates with Yoti or AWS Rekognition for ID verification
+ * Starts a session with a provider adapter (services/age-providers):
+ * yoti, aws, plaid - or mock for offline tests
  * Required for dating platform per Jules' directive
  */
 router.post('/enhanced', async (req, res) => {
@@ -101,38 +116,25 @@ router.post('/enhanced', async (req, res) => {
       });
     }
 
-    // Check if Yoti is configured
-    const yotiEnabled = process.env.YOTI_CLIENT_SDK_ID && process.env.YOTI_KEY_FILE_PATH;
-    // Check if AWS is configured
-    const awsEnabled = process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY;
-
-    if (!yotiEnabled && !awsEnabled) {
-      return res.status(503).json({
-        success: false,
-        error: 'Enhanced verification not configured',
-        message: 'Please configure YOTI_CLIENT_SDK_ID or AWS credentials',
-        documentation: 'See AGE-VERIFICATION-LEGAL-PLAN.md for setup instructions'
-      });
-    }
-
-    // Provider selection
-    const selectedProvider = provider || (yotiEnabled ? 'yoti' : 'aws');
+    const { adapter, session } = await ageVerification.startProviderSession(verificationToken, provider, {
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
 
     logger.info('Enhanced verification initiated', {
       verificationToken,
-      provider: selectedProvider,
+      provider: adapter.id,
       mission: 'FOR THE KIDS'
     });
 
-    // Return session URL for third-party verification
-    // Actual implementation depends on provider SDK
     res.json({
       success: true,
       verificationToken,
-      provider: selectedProvider,
-      verificationUrl: `/verify/${selectedProvider}/${verificationToken}`,
+      provider: adapter.id,
+      verificationUrl: session.redirectUrl || null,
+      linkToken: session.linkToken || undefined,
+      callbackUrl: `/api/age-verification/providers/${adapter.id}/callback`,
       message: 'Redirecting to secure age verification',
-      instructions: 'You will be asked to provide government-issued ID',
+      instructions: session.instructions,
       dataRetention: 'ID data is encrypted and deleted after verification',
       status: 'pending'
     });
@@ -143,98 +145,72 @@ router.post('/enhanced', async (req, res) => {
       stack: error.stack
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Enhanced verification failed',
-      message: error.message
+      error: error.status ? error.message : 'Enhanced verification failed',
+      message: error.status === 503
+        ? 'Please configure YOTI_CLIENT_SDK_ID, AWS credentials or PLAID_IDV_TEMPLATE_ID'
+        : error.message,
+      ...(error.status === 503 && { documentation: 'See AGE-VERIFICATION-LEGAL-PLAN.md for setup instructions' })
     });
   }
 });
 
 /**
- * Yoti Verification Callback
- * POST /api/age-verification/yoti/callback
- * 
- * Receives verification result from Yoti
+ * Available Providers
+ * GET /api/age-verification/providers
  */
-router.post('/yoti/callback', async (req, res) => {
-  try {
-    // TODO: Implement Yoti SDK integration
-    // const { YotiClient } = require('yoti');
-    // const yotiClient = new YotiClient(process.env.YOTI_CLIENT_SDK_ID, process.env.YOTI_KEY_FILE_PATH);
-    // const activityDetails = await yotiClient.getActivityDetails(req.body.token);
-
-    logger.info('Yoti verification callback received', {
-      mission: 'FOR THE KIDS'
-    });
-
-    res.json({
-      success: true,
-      message: 'Yoti verification processed',
-      status: 'implementation_pending'
-    });
-
-  } catch (error) {
-    logger.error('Yoti callback processing failed', {
-      error: error.message
-    });
-
-    res.status(500).json({
-      success: false,
-      error: 'Yoti verification processing failed'
-    });
-  }
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listProviders()
+  });
 });
 
 /**
- * AWS Rekognition Verification
- * POST /api/age-verification/aws/verify
+ * Provider Callback
+ * POST /api/age-verification/providers/:provider/callback
  * 
- * Uses AWS Rekognition for face comparison and ID document analysis
+ * Yoti notifications, AWS image submissions, Plaid Link completion and
+ * mock results all land here; the adapter normalizes the outcome
  */
-router.post('/aws/verify', async (req, res) => {
+async function handleProviderCallback(providerId, req, res) {
   try {
-    const { verificationToken, idImageBase64, selfieBase64 } = req.body;
-
-    if (!idImageBase64 || !selfieBase64) {
-      return res.status(400).json({
-        success: false,
-        error: 'ID image and selfie required',
-        message: 'Both government ID and live selfie must be provided'
-      });
-    }
-
-    // TODO: Implement AWS Rekognition integration
-    // const AWS = require('aws-sdk');
-    // const rekognition = new AWS.Rekognition();
-    // const result = await rekognition.compareFaces({
-    //   SourceImage: { Bytes: Buffer.from(idImageBase64, 'base64') },
-    //   TargetImage: { Bytes: Buffer.from(selfieBase64, 'base64') }
-    // }).promise();
-
-    logger.info('AWS Rekognition verification initiated', {
-      verificationToken,
+    const { verification, pending } = await ageVerification.completeProviderSession(providerId, req.body);
+    const status = ageVerification.toStatus(verification);
+
+    logger.info('Provider verification callback processed', {
+      provider: providerId,
+      verificationId: verification.id,
+      pending,
+      level: status.verificationLevel,
       mission: 'FOR THE KIDS'
     });
 
     res.json({
       success: true,
-      message: 'AWS verification processed',
-      status: 'implementation_pending',
-      securityNote: 'Images encrypted and deleted after verification'
+      pending,
+      ...status
     });
 
   } catch (error) {
-    logger.error('AWS verification failed', {
+    logger.error('Provider callback processing failed', {
+      provider: providerId,
       error: error.message
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'AWS verification processing failed'
+      error: error.status ? error.message : 'Verification processing failed'
     });
   }
-});
+}
+
+router.post('/providers/:provider/callback', (req, res) => handleProviderCallback(req.params.provider, req, res));
+
+// Original provider endpoints, kept for existing integrations
+router.post('/yoti/callback', (req, res) => handleProviderCallback('yoti', req, res));
+router.post('/aws/verify', (req, res) => handleProviderCallback('aws', req, res));
 
 /**
  * Check Verification Status
@@ -246,21 +222,18 @@ router.get('/status/:token', async (req, res) => {
   try {
     const { token } = req.params;
 
-    // TODO: Query database for verification status
-    // const verification = await prisma.ageVerification.findUnique({
-    //   where: { id: token }
-    // });
+    const verification = await ageVerification.getVerification(token);
+    const status = ageVerification.toStatus(verification);
 
     logger.info('Verification status checked', {
       token: token.substring(0, 8) + '...',
+      status: status.status,
       mission: 'FOR THE KIDS'
     });
 
     res.json({
       success: true,
-      verificationToken: token,
-      status: 'pending_implementation',
-      message: 'Verification system implementation in progress'
+      ...status
     });
 
   } catch (error) {
@@ -268,9 +241,9 @@ router.get('/status/:token', async (req, res) => {
       error: error.message
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Status check failed'
+      error: error.status === 404 ? error.message : 'Status check failed'
     });
   }
 });
@@ -284,7 +257,7 @@ router.get('/status/:token', async (req, res) => {
  */
 router.post('/report-minor', async (req, res) => {
   try {
-    const { reportedUserId, reason, evidence } = req.body;
+    const { reportedUserId, reason, evidence, reporterUserId, reporterSessionId } = req.body;
 
     if (!reportedUserId || !reason) {
       return res.status(400).json({
@@ -294,26 +267,32 @@ router.post('/report-minor', async (req, res) => {
       });
     }
 
-    const reportId = crypto.randomUUID();
+    const { report } = await ageVerification.reportMinor({
+      reportedUserId,
+      reason,
+      evidence,
+      reporterUserId,
+      reporterSessionId
+    });
+    const reportId = report.id;
 
     logger.warn('COPPA ALERT: Minor suspected', {
       reportId,
       reportedUserId: reportedUserId.substring(0, 8) + '...',
       reason,
       timestamp: new Date().toISOString(),
-      priority: 'CRITICAL',
+      priority: report.priority,
+      responseDeadline: report.responseDeadline,
       mission: 'FOR THE KIDS - CHILD PROTECTION'
     });
 
-    // TODO: Store report and trigger immediate investigation
-    // TODO: Implement account suspension pending review
-    // TODO: Alert compliance team
-
     res.json({
       success: true,
       reportId,
       message: 'Report received. Account under immediate review.',
-      action: 'User account will be suspended pending investigation',
+      action: report.accountSuspended
+        ? 'User account suspended pending investigation'
+        : 'Report queued for moderator review',
       contactEmail: 'support@aidoesitall.website',
       responseTime: 'Within 24 hours'
     });
@@ -323,7 +302,7 @@ router.post('/report-minor', async (req, res) => {
       error: error.message
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Report submission failed',
       message: 'Please contact support@aidoesitall.website directly'
@@ -336,24 +315,31 @@ router.post('/report-minor', async (req, res) => {
  * GET /api/age-verification/health
  */
 router.get('/health', (req, res) => {
-  const yotiConfigured = !!(process.env.YOTI_CLIENT_SDK_ID && process.env.YOTI_KEY_FILE_PATH);
-  const awsConfigured = !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+  const providers = listProviders();
+  const configured = (id) => providers.find(provider => provider.id === id)?.configured;
 
   res.json({
     status: 'operational',
+    service: 'age-verification',
     mission: 'FOR THE KIDS',
     layers: {
       selfAttestation: 'active',
-      yotiVerification: yotiConfigured ? 'configured' : 'not_configured',
-      awsVerification: awsConfigured ? 'configured' : 'not_configured'
+      yotiVerification: configured('yoti') ? 'configured' : 'not_configured',
+      awsVerification: configured('aws') ? 'configured' : 'not_configured',
+      plaidVerification: configured('plaid') ? 'configured' : 'not_configured'
     },
+    providers: Object.fromEntries(providers.map(({ provider, configured: ready }) => [
+      provider.toLowerCase(),
+      ready ? 'ready' : 'pending_config'
+    ])),
     compliance: {
       coppaReporting: 'active',
       dataRetention: 'minimal',
       encryption: 'enabled'
     },
     reviewedBy: 'Jules (Gemini 3 Pro)',
-    architect: 'Claude.ai'
+    architect: 'Claude.ai',
+    timestamp: new Date().toISOString()
   });
 });
 
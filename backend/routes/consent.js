@@ -1,6 +1,8 @@
 import express from 'express';
 import crypto from 'crypto';
 import winston from 'winston';
+import { requireScopes } from '../middleware/rbac.js';
+import consentService from '../services/consent.js';
 
 const router = express.Router();
 
@@ -11,69 +13,83 @@ const logger = winston.createLogger({
 });
 
 // Cookie Consent Management Platform (CMP)
-// Jules' Architecture: Google Cloud Run + BigQuery Logging
 // 3-Box System: Essential / Analytics / Marketing
+// Choices are appended to UserConsent as a hash-chained history
+// (services/consent.js); the latest row per session is the current consent
+
+/**
+ * Hashed, truncated IP and request context stored with every choice
+ */
+function requestContext(req) {
+  return {
+    ipHash: crypto.createHash('sha256')
+      .update(req.ip + (process.env.SALT || 'default-salt'))
+      .digest('hex')
+      .substring(0, 16), // Truncated for privacy
+    userAgent: req.headers['user-agent'],
+    domain: req.hostname
+  };
+}
+
+function toConsent(record) {
+  return {
+    essential: record.essential,
+    analytics: record.analytics,
+    marketing: record.marketing
+  };
+}
 
 /**
  * Record Consent Choice
  * POST /api/consent/record
  * 
  * Records user's cookie consent preferences
- * Logs to BigQuery for tamper-proof audit trail
+ * Appends to the session's hash-chained consent history
  */
 router.post('/record', async (req, res) => {
   try {
-    const { sessionId, essential, analytics, marketing, userId } = req.body;
+    const { sessionId, essential, analytics, marketing, userId, policyHash } = req.body;
 
     // Essential cookies cannot be disabled (required for site function)
-    const consentRecord = {
-      consentId: crypto.randomUUID(),
-      sessionId: sessionId || crypto.randomUUID(),
-      userId: userId || null, // Optional - only if authenticated
-      timestamp: new Date().toISOString(),
-      ipHash: crypto.createHash('sha256')
-        .update(req.ip + (process.env.SALT || 'default-salt'))
-        .digest('hex')
-        .substring(0, 16), // Truncated for privacy
-      userAgent: req.headers['user-agent'],
-      consent: {
-        essential: true, // Always true (required)
-        analytics: !!analytics, // Optional
-        marketing: !!marketing, // Optional
-      },
-      version: '1.0', // Policy version
-      domain: req.hostname,
-      expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) // 1 year
-    };
+    if (essential === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'Essential cookies are required for site function'
+      });
+    }
+    if (analytics === undefined && marketing === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'analytics and marketing choices are required'
+      });
+    }
+
+    const record = await consentService.recordConsent({
+      ...requestContext(req),
+      sessionId,
+      userId, // Optional - only if authenticated
+      analytics,
+      marketing,
+      policyHash
+    });
 
     logger.info('Consent recorded', {
-      consentId: consentRecord.consentId,
-      analytics: consentRecord.consent.analytics,
-      marketing: consentRecord.consent.marketing,
-      domain: consentRecord.domain,
+      consentId: record.id,
+      analytics: record.analytics,
+      marketing: record.marketing,
+      domain: record.domain,
       mission: 'FOR THE KIDS'
     });
 
-    // TODO: Log to BigQuery for tamper-proof audit
-    // const { BigQuery } = require('@google-cloud/bigquery');
-    // const bigquery = new BigQuery();
-    // await bigquery.dataset('compliance').table('consent_log').insert([consentRecord]);
-
-    // TODO: Store in database for quick lookup
-    // await prisma.userConsent.upsert({
-    //   where: { sessionId: consentRecord.sessionId },
-    //   update: consentRecord,
-    //   create: consentRecord
-    // });
-
-    res.json({
+    res.status(201).json({
       success: true,
-      consentId: consentRecord.consentId,
-      sessionId: consentRecord.sessionId,
-      consent: consentRecord.consent,
-      expiresAt: consentRecord.expiresAt,
-      message: 'Consent preferences saved',
-      auditTrail: 'Logged to BigQuery for compliance'
+      consentId: record.id,
+      sessionId: record.sessionId,
+      consent: toConsent(record),
+      policyVersion: record.policyVersion,
+      expiresAt: record.expiresAt,
+      message: 'Consent preferences recorded',
+      auditTrail: { sequence: record.sequence, hash: record.hash }
     });
 
   } catch (error) {
@@ -82,7 +98,7 @@ router.post('/record', async (req, res) => {
       stack: error.stack
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: 'Consent recording failed',
       message: error.message
@@ -100,27 +116,23 @@ router.get('/status/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    // TODO: Query database for consent record
-    // const consent = await prisma.userConsent.findUnique({
-    //   where: { sessionId }
-    // });
+    const status = await consentService.getConsentStatus(sessionId);
 
     logger.info('Consent status retrieved', {
       sessionId: sessionId.substring(0, 8) + '...',
+      status: status.status,
+      reconsentRequired: status.reconsentRequired,
       mission: 'FOR THE KIDS'
     });
 
-    // Default response until database is connected
-    res.json({
-      success: true,
+    res.status(status.status === 'default' ? 404 : 200).json({
+      success: status.status !== 'default',
+      ...(status.status === 'default' && { error: 'Consent record not found' }),
       sessionId,
-      consent: {
-        essential: true,
-        analytics: false,
-        marketing: false
-      },
-      status: 'default',
-      message: 'No consent record found - using defaults'
+      ...status,
+      message: status.reconsentRequired
+        ? `Consent must be requested (${status.reason})`
+        : 'Consent is current'
     });
 
   } catch (error) {
@@ -144,7 +156,7 @@ router.get('/status/:sessionId', async (req, res) => {
  */
 router.put('/update', async (req, res) => {
   try {
-    const { sessionId, consentId, analytics, marketing } = req.body;
+    const { sessionId, userId, essential, analytics, marketing, policyHash } = req.body;
 
     if (!sessionId) {
       return res.status(400).json({
@@ -154,38 +166,40 @@ router.put('/update', async (req, res) => {
       });
     }
 
-    const updateRecord = {
-      consentId: crypto.randomUUID(), // New consent ID for the update
-      previousConsentId: consentId,
+    if (essential === false) {
+      return res.status(400).json({
+        success: false,
+        error: 'Essential cookies cannot be disabled'
+      });
+    }
+
+    const record = await consentService.updateConsent({
+      ...requestContext(req),
       sessionId,
-      timestamp: new Date().toISOString(),
-      action: 'update',
-      consent: {
-        essential: true,
-        analytics: !!analytics,
-        marketing: !!marketing
-      },
-      version: '1.0'
-    };
+      userId,
+      analytics,
+      marketing,
+      policyHash
+    });
 
     logger.info('Consent updated', {
       sessionId: sessionId.substring(0, 8) + '...',
-      previousConsentId: consentId?.substring(0, 8) + '...',
-      newConsentId: updateRecord.consentId.substring(0, 8) + '...',
+      previousConsentId: record.previousConsentId.substring(0, 8) + '...',
+      newConsentId: record.id.substring(0, 8) + '...',
       changes: { analytics, marketing },
       mission: 'FOR THE KIDS'
     });
 
-    // TODO: Log update to BigQuery
-    // TODO: Update database record
-
     res.json({
       success: true,
-      consentId: updateRecord.consentId,
+      consentId: record.id,
+      previousConsentId: record.previousConsentId,
       sessionId,
-      consent: updateRecord.consent,
+      consent: toConsent(record),
+      policyVersion: record.policyVersion,
+      expiresAt: record.expiresAt,
       message: 'Consent preferences updated',
-      auditTrail: 'Update logged to BigQuery'
+      auditTrail: { sequence: record.sequence, hash: record.hash }
     });
 
   } catch (error) {
@@ -193,9 +207,10 @@ router.put('/update', async (req, res) => {
       error: error.message
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Consent update failed'
+      error: 'Consent update failed',
+      message: error.message
     });
   }
 });
@@ -219,34 +234,25 @@ router.post('/withdraw', async (req, res) => {
       });
     }
 
-    const withdrawalRecord = {
-      consentId: crypto.randomUUID(),
+    const records = await consentService.withdrawConsent({
+      ...requestContext(req),
       sessionId,
-      userId,
-      timestamp: new Date().toISOString(),
-      action: 'withdrawal',
-      consent: {
-        essential: true, // Cannot withdraw essential
-        analytics: false, // Withdrawn
-        marketing: false  // Withdrawn
-      },
-      version: '1.0'
-    };
+      userId
+    });
 
     logger.warn('Consent withdrawn', {
       sessionId: sessionId?.substring(0, 8) + '...',
       userId: userId?.substring(0, 8) + '...',
-      consentId: withdrawalRecord.consentId,
+      consentIds: records.map(record => record.id),
       mission: 'FOR THE KIDS'
     });
 
-    // TODO: Log withdrawal to BigQuery
-    // TODO: Update database and purge analytics data per GDPR
-
     res.json({
       success: true,
-      consentId: withdrawalRecord.consentId,
-      message: 'Consent withdrawn. Non-essential cookies will be removed.',
+      consentId: records[0].id,
+      withdrawnSessions: records.map(record => record.sessionId),
+      consent: toConsent(records[0]),
+      message: 'Consent withdrawn (GDPR Art. 7(3)). Non-essential cookies will be removed.',
       action: 'Analytics and marketing data will be purged within 30 days',
       rights: 'You can update preferences at any time',
       dataRetention: 'Essential data retained for security and legal compliance only'
@@ -257,9 +263,10 @@ router.post('/withdraw', async (req, res) => {
       error: error.message
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: 'Consent withdrawal failed'
+      error: 'Consent withdrawal failed',
+      message: error.message
     });
   }
 });
@@ -268,70 +275,22 @@ router.post('/withdraw', async (req, res) => {
  * Get Consent Policy
  * GET /api/consent/policy
  * 
- * Returns current cookie policy and consent requirements
+ * Returns current cookie policy and consent requirements.
+ * Clients send `hash` back as policyHash with their choice; consents given
+ * against an older hash report reconsentRequired on /status.
  */
 router.get('/policy', (req, res) => {
+  const policy = consentService.getPolicy();
   res.json({
     success: true,
-    version: '1.0',
-    lastUpdated: '2025-11-24',
+    ...policy,
     domain: req.hostname,
-    cookieTypes: {
-      essential: {
-        name: 'Essential Cookies',
-        description: 'Required for site functionality, security, and legal compliance',
-        canOptOut: false,
-        examples: [
-          'Session management',
-          'Authentication tokens',
-          'Age verification status',
-          'Security (CSRF protection)'
-        ],
-        retention: 'Session or 30 days'
-      },
-      analytics: {
-        name: 'Analytics Cookies',
-        description: 'Help us understand how users interact with our platform',
-        canOptOut: true,
-        examples: [
-          'Google Analytics',
-          'Page view tracking',
-          'User behavior analytics',
-          'Performance monitoring'
-        ],
-        retention: '24 months',
-        thirdParties: ['Google Analytics']
-      },
-      marketing: {
-        name: 'Marketing Cookies',
-        description: 'Used to deliver relevant advertising and track campaign performance',
-        canOptOut: true,
-        examples: [
-          'Ad targeting',
-          'Social media pixels (Facebook, Instagram)',
-          'Conversion tracking',
-          'Retargeting'
-        ],
-        retention: '12 months',
-        thirdParties: ['Meta', 'Google Ads', 'Amazon Ads']
-      }
-    },
-    compliance: {
-      gdpr: true,
-      ccpa: true,
-      coppa: true
-    },
-    rights: {
-      access: 'Request copy of your consent records',
-      rectification: 'Update consent preferences',
-      erasure: 'Withdraw consent and request data deletion',
-      portability: 'Export consent history',
-      object: 'Object to specific processing activities'
-    },
-    contact: {
-      email: 'privacy@aidoesitall.website',
-      dataProtectionOfficer: 'dpo@aidoesitall.website'
-    },
+    // Per-box summary for consent banners
+    policy: Object.fromEntries(Object.entries(policy.cookieTypes).map(([box, type]) => [box, {
+      required: !type.canOptOut,
+      cookies: type.examples,
+      retention: type.retention
+    }])),
     mission: 'FOR THE KIDS - 100% to verified pediatric charities',
     reviewedBy: 'Jules (Gemini 3 Pro)',
     architect: 'Claude.ai'
@@ -342,29 +301,54 @@ router.get('/policy', (req, res) => {
  * Consent Audit Log Query
  * GET /api/consent/audit/:sessionId
  * 
- * Returns full audit trail for a session (for transparency/GDPR)
- * Requires authentication in production
+ * Returns full audit trail for a session (for transparency/GDPR), with
+ * verification of each hash chain it appears in
  */
 router.get('/audit/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    // TODO: Query BigQuery for full audit trail
-    // const { BigQuery } = require('@google-cloud/bigquery');
-    // const query = `SELECT * FROM compliance.consent_log WHERE sessionId = @sessionId ORDER BY timestamp DESC`;
-    // const [rows] = await bigquery.query({ query, params: { sessionId } });
+    const chains = await consentService.getAuditTrail(sessionId);
+
+    if (chains.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Consent record not found',
+        sessionId
+      });
+    }
 
     logger.info('Consent audit retrieved', {
       sessionId: sessionId.substring(0, 8) + '...',
+      chains: chains.length,
       mission: 'FOR THE KIDS'
     });
 
+    const auditTrail = chains
+      .flatMap(({ records }) => records)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(record => ({
+        consentId: record.id,
+        chainKey: record.chainKey,
+        sequence: record.sequence,
+        timestamp: record.createdAt,
+        action: record.action,
+        sessionId: record.sessionId,
+        consent: toConsent(record),
+        policyVersion: record.policyVersion,
+        policyHash: record.policyHash,
+        domain: record.domain,
+        previousConsentId: record.previousConsentId,
+        previousHash: record.previousHash,
+        hash: record.hash
+      }));
+
     res.json({
       success: true,
       sessionId,
-      auditTrail: [],
-      message: 'BigQuery integration pending',
-      note: 'Full audit trail will be available once BigQuery logging is configured'
+      verified: chains.every(chain => chain.verification.valid),
+      chains: chains.map(({ chainKey, verification }) => ({ chainKey, ...verification })),
+      auditTrail
     });
 
   } catch (error) {
@@ -379,29 +363,83 @@ router.get('/audit/:sessionId', async (req, res) => {
   }
 });
 
+/**
+ * Regulator Export
+ * GET /api/consent/export?from=&to=&userId=&sessionId=&format=json|csv
+ *
+ * Consent records with the policy documents they reference and
+ * verification of every hash chain. Requires compliance:read.
+ */
+router.get('/export', requireScopes('compliance:read'), async (req, res) => {
+  try {
+    const { from, to, userId, sessionId, format = 'json' } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ success: false, error: `${name} must be a date` });
+      }
+    }
+
+    const principal = req.principal;
+    const exported = await consentService.exportRecords({
+      from,
+      to,
+      userId,
+      sessionId,
+      requestedBy: `${principal.type}:${principal.name}`
+    });
+
+    logger.info('Consent export generated', {
+      requestedBy: `${principal.type}:${principal.name}`,
+      records: exported.recordCount,
+      allChainsValid: exported.allChainsValid
+    });
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="consent-export-${exported.generatedAt.slice(0, 10)}.csv"`);
+      return res.send(consentService.toCsv(exported.records));
+    }
+
+    res.json({ success: true, ...exported });
+
+  } catch (error) {
+    logger.error('Consent export failed', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Consent export failed'
+    });
+  }
+});
+
 /**
  * Health Check
  * GET /api/consent/health
  */
 router.get('/health', (req, res) => {
-  const bigQueryConfigured = !!process.env.GOOGLE_CLOUD_PROJECT;
-
   res.json({
     status: 'operational',
+    service: 'consent-management',
+    timestamp: new Date().toISOString(),
     mission: 'FOR THE KIDS',
     features: {
       consentRecording: 'active',
       consentRetrieval: 'active',
       consentUpdate: 'active',
       consentWithdrawal: 'active',
-      auditTrail: bigQueryConfigured ? 'configured' : 'not_configured'
+      auditTrail: 'hash_chained',
+      policyVersion: consentService.CONSENT_POLICY.version,
+      policyHash: consentService.POLICY_HASH
     },
     compliance: {
       gdpr: 'compliant',
       ccpa: 'compliant',
       threeBoxSystem: 'implemented'
     },
-    architecture: 'Google Cloud Run + BigQuery (per Jules directive)',
+    architecture: 'PostgreSQL (UserConsent hash chain)',
     reviewedBy: 'Jules (Gemini 3 Pro)',
     architect: 'Claude.ai'
   });
@@ -24,25 +24,65 @@ import {
   registerUser,
   loginUser,
   logoutUser,
-  setAgeVerified,
+  logoutAllSessions,
+  listSessions,
+  refreshTokens,
   setHumanVerified,
-  getUserById
+  getUserById,
+  authenticateRequest
 } from '../services/auth.js';
 import { recordTransaction, DAO_REVENUE_CONFIG } from '../services/dao-revenue.js';
+import {
+  attestForUser as attestAgeForUser,
+  linkToUser as linkAgeVerification
+} from '../services/age-verification.js';
+import {
+  getProfile,
+  upsertProfile,
+  createLike,
+  recordPass,
+  listLikesReceived,
+  listMatches,
+  getMatchForUser,
+  createMessage,
+  listMessages,
+  markMessagesRead,
+  unmatch,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  claimFoundingMember,
+  getFoundingMemberStatus,
+  getDatingStats
+} from '../services/dating-store.js';
+import {
+  assertCanSend,
+  screenMessage,
+  getScreeningStatus,
+  markNoticeRead,
+  appealNotice
+} from '../services/message-screening.js';
+import { discover } from '../services/discovery.js';
+import { fileReport } from '../services/user-reports.js';
+import { publishMessage, publishRead, invalidateMatchAccess } from '../services/realtime.js';
+import {
+  uploadPhoto,
+  listPhotos,
+  reorderPhotos,
+  deletePhoto,
+  readPhoto
+} from '../services/photos/index.js';
+import { imageUpload } from '../middleware/upload.js';
+import {
+  getEntitlements,
+  likeQuota,
+  assertCanLike,
+  activateBoost,
+  requireEntitlement
+} from '../services/entitlements.js';
 
 const router = express.Router();
 
-// In-memory stores (will be replaced with Prisma)
-const profiles = new Map();
-const likes = new Map();
-const matches = new Map();
-const messages = new Map();
-const foundingMembers = new Map();
-
-// Founding member counter
-let foundingMemberCount = 0;
-const MAX_FOUNDING_MEMBERS = 100;
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // AUTHENTICATION ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -79,12 +119,13 @@ router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    const result = await loginUser({ email, password });
+    const result = await loginUser({ email, password }, { ip: req.ip, userAgent: req.get('user-agent') });
 
     res.json({
       success: true,
       accessToken: result.accessToken,
       refreshToken: result.refreshToken,
+      sessionId: result.sessionId,
       user: result.user
     });
   } catch (error) {
@@ -92,17 +133,88 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/dating/refresh
+ * Rotate a refresh token (single use - replaying one revokes the session)
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  const result = await refreshTokens(refreshToken);
+
+  if (!result.valid) {
+    return res.status(401).json({
+      error: result.error,
+      ...(result.reuseDetected && { message: 'This session has been signed out for your security. Please log in again.' })
+    });
+  }
+
+  res.json({
+    success: true,
+    accessToken: result.accessToken,
+    refreshToken: result.refreshToken,
+    sessionId: result.sessionId
+  });
+});
+
 /**
  * POST /api/dating/logout
  * Logout from dating app
  */
-router.post('/logout', authMiddleware, (req, res) => {
-  const { refreshToken } = req.body;
-  const sessionId = req.headers['x-session-id'];
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const sessionId = req.user.sessionId || req.headers['x-session-id'];
+
+    await logoutUser(req.user.userId, sessionId, refreshToken);
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Logout failed', message: error.message });
+  }
+});
+
+/**
+ * POST /api/dating/logout-all
+ * Logout from every device
+ */
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const result = await logoutAllSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedSessions: result.revokedSessions
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Logout failed', message: error.message });
+  }
+});
 
-  logoutUser(sessionId, refreshToken);
+/**
+ * GET /api/dating/sessions
+ * List active sessions (devices) for the current user
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
 
-  res.json({ success: true, message: 'Logged out successfully' });
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      })),
+      count: sessions.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load sessions', message: error.message });
+  }
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -113,16 +225,29 @@ router.post('/logout', authMiddleware, (req, res) => {
  * POST /api/dating/verify-age
  * Complete age verification
  */
-router.post('/verify-age', authMiddleware, (req, res) => {
+router.post('/verify-age', authMiddleware, async (req, res) => {
   try {
-    const { birthDate, attestation } = req.body;
+    const { birthDate, attestation, verificationToken } = req.body;
+
+    // Link a session verified through /api/age-verification (e.g. third-party ID)
+    if (verificationToken) {
+      const result = await linkAgeVerification(verificationToken, req.user.userId);
+      return res.json({
+        success: true,
+        message: 'Age verified successfully',
+        verificationId: verificationToken,
+        verificationLevel: result.verificationLevel,
+        expiresAt: result.expiresAt,
+        nextStep: '/api/dating/verify-human'
+      });
+    }
 
     // Verify user is 18+
     const birth = new Date(birthDate);
     const today = new Date();
     const age = Math.floor((today - birth) / (365.25 * 24 * 60 * 60 * 1000));
 
-    if (age < 18) {
+    if (!(age >= 18)) {
       return res.status(403).json({
         error: 'You must be 18 or older to use this app',
         message: 'Age verification is required for all users.'
@@ -135,18 +260,22 @@ router.post('/verify-age', authMiddleware, (req, res) => {
       });
     }
 
-    // Mark user as age verified
-    const verificationId = `age-${Date.now()}`;
-    setAgeVerified(req.user.userId, verificationId);
+    // Stored as a BASIC AgeVerification and linked to the account
+    const result = await attestAgeForUser(req.user.userId, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
 
     res.json({
       success: true,
       message: 'Age verified successfully',
-      verificationId,
+      verificationId: result.verificationId,
+      verificationLevel: result.verificationLevel,
+      expiresAt: result.expiresAt,
       nextStep: '/api/dating/verify-human'
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
@@ -154,7 +283,7 @@ router.post('/verify-age', authMiddleware, (req, res) => {
  * POST /api/dating/verify-human
  * Complete human verification (Anti-AI)
  */
-router.post('/verify-human', authMiddleware, (req, res) => {
+router.post('/verify-human', authMiddleware, async (req, res) => {
   try {
     const { method, challenge, response } = req.body;
 
@@ -191,7 +320,7 @@ router.post('/verify-human', authMiddleware, (req, res) => {
       });
     }
 
-    setHumanVerified(req.user.userId, method, score);
+    await setHumanVerified(req.user.userId, method, score);
 
     res.json({
       success: true,
@@ -213,192 +342,283 @@ router.post('/verify-human', authMiddleware, (req, res) => {
  * GET /api/dating/profile
  * Get current user's profile
  */
-router.get('/profile', authMiddleware, (req, res) => {
-  const profile = profiles.get(req.user.userId);
+router.get('/profile', authMiddleware, async (req, res) => {
+  try {
+    const profile = await getProfile(req.user.userId);
+
+    if (!profile) {
+      return res.json({
+        success: true,
+        profile: null,
+        message: 'Profile not created yet',
+        createUrl: '/api/dating/profile'
+      });
+    }
 
-  if (!profile) {
-    return res.json({
-      success: true,
-      profile: null,
-      message: 'Profile not created yet',
-      createUrl: '/api/dating/profile'
-    });
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load profile', message: error.message });
   }
-
-  res.json({ success: true, profile });
 });
 
 /**
  * POST /api/dating/profile
  * Create or update profile
  */
-router.post('/profile', authMiddleware, requireAgeVerification, (req, res) => {
-  const {
-    displayName,
-    bio,
-    gender,
-    lookingFor,
-    location,
-    ageRangeMin,
-    ageRangeMax,
-    maxDistance
-  } = req.body;
-
-  const existingProfile = profiles.get(req.user.userId);
-
-  const profile = {
-    userId: req.user.userId,
-    displayName: displayName || existingProfile?.displayName || 'Anonymous',
-    bio: bio || existingProfile?.bio || '',
-    gender: gender || existingProfile?.gender || null,
-    lookingFor: lookingFor || existingProfile?.lookingFor || [],
-    location: location || existingProfile?.location || null,
-    ageRangeMin: ageRangeMin || existingProfile?.ageRangeMin || 18,
-    ageRangeMax: ageRangeMax || existingProfile?.ageRangeMax || 99,
-    maxDistance: maxDistance || existingProfile?.maxDistance || 50,
-    photoUrls: existingProfile?.photoUrls || [],
-    primaryPhoto: existingProfile?.primaryPhoto || null,
-    isHumanVerified: req.user.humanVerified,
-    isFoundingMember: foundingMembers.has(req.user.userId),
-    updatedAt: new Date().toISOString()
-  };
-
-  profiles.set(req.user.userId, profile);
+router.post('/profile', authMiddleware, requireAgeVerification, async (req, res) => {
+  try {
+    const account = await getUserById(req.user.userId);
+    if (!account) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
 
-  res.json({
-    success: true,
-    message: existingProfile ? 'Profile updated' : 'Profile created',
-    profile
-  });
+    const { profile, created } = await upsertProfile(account, req.body);
+
+    res.json({
+      success: true,
+      message: created ? 'Profile created' : 'Profile updated',
+      profile
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// DISCOVERY & MATCHING
+// PHOTOS
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * GET /api/dating/discover
- * Get profiles to swipe on
+ * GET /api/dating/photos
+ * Current user's photos, any moderation status
  */
-router.get('/discover', authMiddleware, requireAgeVerification, requireHumanVerification, (req, res) => {
-  const myProfile = profiles.get(req.user.userId);
+router.get('/photos', authMiddleware, async (req, res) => {
+  try {
+    const photos = await listPhotos(req.user.userId);
+    res.json({ success: true, photos, count: photos.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load photos', message: error.message });
+  }
+});
 
-  if (!myProfile) {
-    return res.status(400).json({
-      error: 'Please complete your profile first',
-      redirectTo: '/api/dating/profile'
+/**
+ * POST /api/dating/photos
+ * Upload a photo as multipart/form-data (field "photo"); it stays pending
+ * until a moderator approves it
+ */
+router.post('/photos', authMiddleware, requireAgeVerification, imageUpload('photo'), async (req, res) => {
+  try {
+    const photo = await uploadPhoto(req.user.userId, req.file);
+    res.status(201).json({
+      success: true,
+      photo,
+      message: 'Photo uploaded - it will appear on your profile once approved'
     });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
 
-  // Get potential matches (excluding already liked/matched)
-  const likedUsers = new Set();
-  for (const [key, like] of likes) {
-    if (key.startsWith(req.user.userId + ':')) {
-      likedUsers.add(like.toUserId);
-    }
+/**
+ * PUT /api/dating/photos/order
+ * Reorder photos - Body: { photoIds } (first approved photo is primary)
+ */
+router.put('/photos/order', authMiddleware, async (req, res) => {
+  try {
+    const photos = await reorderPhotos(req.user.userId, req.body?.photoIds);
+    res.json({ success: true, photos });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
 
-  const matchedUsers = new Set();
-  for (const [key, match] of matches) {
-    if (match.userId1 === req.user.userId) matchedUsers.add(match.userId2);
-    if (match.userId2 === req.user.userId) matchedUsers.add(match.userId1);
+/**
+ * DELETE /api/dating/photos/:photoId
+ * Delete one of the current user's photos
+ */
+router.delete('/photos/:photoId', authMiddleware, async (req, res) => {
+  try {
+    await deletePhoto(req.user.userId, req.params.photoId);
+    res.json({ success: true, message: 'Photo deleted' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
+
+/**
+ * GET /api/dating/photos/:photoId
+ * Photo image (?size=thumb for the thumbnail). Like every dating route this
+ * needs dating:read (server.js); past that, approved photos are served to
+ * any caller and pending or rejected ones only to their owner.
+ */
+router.get('/photos/:photoId', async (req, res) => {
+  try {
+    // Resolved as authMiddleware does, so a token from a closed session is anonymous
+    const { user: viewer } = await authenticateRequest(req);
+
+    const photo = await readPhoto(req.params.photoId, {
+      size: req.query.size === 'thumb' ? 'thumb' : 'full',
+      userId: viewer?.userId ?? null
+    });
 
-  const potentialMatches = [];
-  for (const [userId, profile] of profiles) {
-    if (
-      userId !== req.user.userId &&
-      !likedUsers.has(userId) &&
-      !matchedUsers.has(userId) &&
-      profile.isHumanVerified
-    ) {
-      potentialMatches.push({
+    res.set('Content-Type', photo.mimeType);
+    // private: shared caches would serve it without the scope check
+    res.set('Cache-Control', photo.status === 'APPROVED' ? 'private, max-age=86400' : 'private, no-store');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(photo.buffer);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISCOVERY & MATCHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/dating/discover
+ * Get profiles to swipe on, best match first
+ * Query: limit (max 50), cursor (nextCursor from the previous page), seed
+ */
+router.get('/discover', authMiddleware, requireAgeVerification, requireHumanVerification, async (req, res) => {
+  try {
+    const myProfile = await getProfile(req.user.userId);
+
+    if (!myProfile) {
+      return res.status(400).json({
+        error: 'Please complete your profile first',
+        redirectTo: '/api/dating/profile'
+      });
+    }
+
+    const { limit, cursor, seed } = req.query;
+    const [page, likes] = await Promise.all([
+      discover(req.user.userId, { limit, cursor, seed }),
+      likeQuota(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      profiles: page.profiles.map(profile => ({
         userId: profile.userId,
         displayName: profile.displayName,
         bio: profile.bio,
         primaryPhoto: profile.primaryPhoto,
+        interests: profile.interests,
+        commonInterests: profile.commonInterests,
+        distance: profile.distance,
+        matchScore: profile.matchScore,
         isHumanVerified: profile.isHumanVerified,
         isFoundingMember: profile.isFoundingMember
-      });
+      })),
+      nextCursor: page.nextCursor,
+      seed: page.seed,
+      remainingToday: likes.remaining ?? 'Unlimited'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    res.status(500).json({ error: 'Failed to load profiles', message: error.message });
   }
-
-  res.json({
-    success: true,
-    profiles: potentialMatches.slice(0, 10), // Limit to 10
-    remainingToday: req.user.isPremium ? 'Unlimited' : 10
-  });
 });
 
 /**
  * POST /api/dating/like
  * Like a profile
  */
-router.post('/like', authMiddleware, requireAgeVerification, requireHumanVerification, (req, res) => {
-  const { targetUserId, isSuperLike } = req.body;
+router.post('/like', authMiddleware, requireAgeVerification, requireHumanVerification, async (req, res) => {
+  const { targetUserId, isSuperLike } = req.body || {};
 
-  if (targetUserId === req.user.userId) {
-    return res.status(400).json({ error: 'Cannot like yourself' });
-  }
-
-  const likeKey = `${req.user.userId}:${targetUserId}`;
-  const reverseLikeKey = `${targetUserId}:${req.user.userId}`;
+  try {
+    await assertCanLike(req.user.userId);
+    const result = await createLike(req.user.userId, targetUserId, { isSuperLike });
+
+    if (result.isMatch) {
+      return res.json({
+        success: true,
+        isMatch: true,
+        match: {
+          matchId: result.match.id,
+          matchedWith: targetUserId
+        },
+        message: "It's a match! You can now message each other."
+      });
+    }
 
-  // Check if already liked
-  if (likes.has(likeKey)) {
-    return res.status(400).json({ error: 'Already liked this user' });
+    res.json({
+      success: true,
+      isMatch: false,
+      message: 'Like sent!'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.message,
+      ...(error.likes && { likes: error.likes, redirectTo: error.redirectTo })
+    });
   }
+});
 
-  // Create like
-  const like = {
-    fromUserId: req.user.userId,
-    toUserId: targetUserId,
-    isSuperLike: isSuperLike || false,
-    createdAt: new Date().toISOString()
-  };
-
-  likes.set(likeKey, like);
+/**
+ * POST /api/dating/pass
+ * Pass on a profile
+ */
+router.post('/pass', authMiddleware, async (req, res) => {
+  const { targetUserId } = req.body || {};
 
-  // Check for mutual like (match!)
-  if (likes.has(reverseLikeKey)) {
-    const matchId = `${req.user.userId}:${targetUserId}`;
-    const match = {
-      id: matchId,
-      userId1: req.user.userId,
-      userId2: targetUserId,
-      createdAt: new Date().toISOString(),
-      isActive: true
-    };
+  try {
+    await recordPass(req.user.userId, targetUserId);
+    res.json({ success: true, message: 'Passed' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    matches.set(matchId, match);
+// ═══════════════════════════════════════════════════════════════════════════════
+// PREMIUM
+// ═══════════════════════════════════════════════════════════════════════════════
 
-    return res.json({
-      success: true,
-      isMatch: true,
-      match: {
-        matchId,
-        matchedWith: targetUserId
-      },
-      message: "It's a match! You can now message each other."
-    });
+/**
+ * GET /api/dating/entitlements
+ * Current plan, its features, likes left today and boosts left this month
+ */
+router.get('/entitlements', authMiddleware, async (req, res) => {
+  try {
+    const entitlements = await getEntitlements(req.user.userId);
+    res.json({ success: true, ...entitlements });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load entitlements', message: error.message });
   }
-
-  res.json({
-    success: true,
-    isMatch: false,
-    message: 'Like sent!'
-  });
 });
 
 /**
- * POST /api/dating/pass
- * Pass on a profile
+ * GET /api/dating/likes/received
+ * People who liked you and are waiting for an answer (premium)
  */
-router.post('/pass', authMiddleware, (req, res) => {
-  const { targetUserId } = req.body;
+router.get('/likes/received', authMiddleware, requireEntitlement('seeWhoLikedYou'), async (req, res) => {
+  try {
+    const likes = await listLikesReceived(req.user.userId, { limit: req.query.limit });
+    res.json({ success: true, likes, count: likes.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load likes', message: error.message });
+  }
+});
 
-  // For now, just acknowledge. Could track for algorithm later.
-  res.json({ success: true, message: 'Passed' });
+/**
+ * POST /api/dating/boost
+ * Show your profile first in discovery for a while (premium, monthly allowance)
+ */
+router.post('/boost', authMiddleware, requireAgeVerification, requireHumanVerification, async (req, res) => {
+  try {
+    const boost = await activateBoost(req.user.userId);
+    res.json({ success: true, ...boost });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.message,
+      ...(error.redirectTo && { redirectTo: error.redirectTo }),
+      ...(error.boostedUntil && { boostedUntil: error.boostedUntil })
+    });
+  }
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -409,32 +629,18 @@ router.post('/pass', authMiddleware, (req, res) => {
  * GET /api/dating/matches
  * Get all matches
  */
-router.get('/matches', authMiddleware, (req, res) => {
-  const userMatches = [];
-
-  for (const [key, match] of matches) {
-    if (match.userId1 === req.user.userId || match.userId2 === req.user.userId) {
-      const otherUserId = match.userId1 === req.user.userId ? match.userId2 : match.userId1;
-      const otherProfile = profiles.get(otherUserId);
+router.get('/matches', authMiddleware, async (req, res) => {
+  try {
+    const userMatches = await listMatches(req.user.userId);
 
-      userMatches.push({
-        matchId: match.id,
-        matchedWith: {
-          userId: otherUserId,
-          displayName: otherProfile?.displayName || 'User',
-          primaryPhoto: otherProfile?.primaryPhoto
-        },
-        createdAt: match.createdAt,
-        isActive: match.isActive
-      });
-    }
+    res.json({
+      success: true,
+      matches: userMatches,
+      count: userMatches.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load matches', message: error.message });
   }
-
-  res.json({
-    success: true,
-    matches: userMatches,
-    count: userMatches.length
-  });
 });
 
 /**
@@ -444,86 +650,198 @@ router.get('/matches', authMiddleware, (req, res) => {
 router.post('/message', authMiddleware, requireHumanVerification, async (req, res) => {
   const { matchId, content } = req.body;
 
-  const match = matches.get(matchId);
-  if (!match) {
-    return res.status(404).json({ error: 'Match not found' });
-  }
+  try {
+    const match = await getMatchForUser(matchId, req.user.userId);
+    const screeningLevel = await assertCanSend(req.user.userId);
 
-  // Verify user is part of this match
-  if (match.userId1 !== req.user.userId && match.userId2 !== req.user.userId) {
-    return res.status(403).json({ error: 'Not authorized' });
+    const message = await createMessage(match, req.user.userId, { content });
+    publishMessage(message);
+
+    // Anti-AI detection runs after delivery; the scheduler retries anything missed
+    screenMessage(message).catch(error =>
+      console.error(`AI screening failed for message ${message.id}:`, error.message)
+    );
+
+    res.json({
+      success: true,
+      message: {
+        id: message.id,
+        content: message.content,
+        createdAt: message.createdAt,
+        aiWarning: screeningLevel !== 'CLEAR'
+          ? 'Recent messages were flagged as possibly AI-generated - see /api/dating/screening'
+          : null
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, ...(error.screening && { screening: error.screening }) });
   }
+});
 
-  const receiverId = match.userId1 === req.user.userId ? match.userId2 : match.userId1;
+/**
+ * GET /api/dating/messages/:matchId
+ * Get messages for a match
+ */
+router.get('/messages/:matchId', authMiddleware, async (req, res) => {
+  const { matchId } = req.params;
 
-  // Anti-AI detection (simple version - will be enhanced)
-  const aiScore = detectAIContent(content);
+  try {
+    await getMatchForUser(matchId, req.user.userId);
 
-  const message = {
-    id: `msg-${Date.now()}`,
-    matchId,
-    senderId: req.user.userId,
-    receiverId,
-    content,
-    aiScore,
-    flagged: aiScore > 80,
-    createdAt: new Date().toISOString(),
-    isRead: false
-  };
+    // Reading the thread marks it read; the sender gets a receipt over the gateway
+    publishRead(await markMessagesRead(matchId, req.user.userId));
+    const matchMessages = await listMessages(matchId);
 
-  // Store message
-  if (!messages.has(matchId)) {
-    messages.set(matchId, []);
+    res.json({
+      success: true,
+      messages: matchMessages,
+      count: matchMessages.length
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
-  messages.get(matchId).push(message);
+});
 
-  if (message.flagged) {
-    console.log(`⚠️ AI-detected message flagged from ${req.user.userId}`);
+/**
+ * POST /api/dating/matches/:matchId/unmatch
+ * End a match - the history stays readable, no new messages can be sent
+ */
+router.post('/matches/:matchId/unmatch', authMiddleware, async (req, res) => {
+  try {
+    const match = await unmatch(req.params.matchId, req.user.userId);
+    invalidateMatchAccess(match.userId1, match.userId2);
+    res.json({ success: true, matchId: match.id, unmatchedAt: match.unmatchedAt });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
-
-  res.json({
-    success: true,
-    message: {
-      id: message.id,
-      content: message.content,
-      createdAt: message.createdAt,
-      aiWarning: aiScore > 50 ? 'This message may have been AI-generated' : null
-    }
-  });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// BLOCKING & REPORTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
 /**
- * GET /api/dating/messages/:matchId
- * Get messages for a match
+ * POST /api/dating/block
+ * Block a user - ends any match and hides both users from each other
+ * Body: { targetUserId }
  */
-router.get('/messages/:matchId', authMiddleware, (req, res) => {
-  const { matchId } = req.params;
+router.post('/block', authMiddleware, async (req, res) => {
+  const { targetUserId } = req.body || {};
 
-  const match = matches.get(matchId);
-  if (!match) {
-    return res.status(404).json({ error: 'Match not found' });
+  try {
+    const { unmatched } = await blockUser(req.user.userId, targetUserId);
+    invalidateMatchAccess(req.user.userId, targetUserId);
+    res.json({ success: true, unmatched, message: 'User blocked' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
+
+/**
+ * DELETE /api/dating/block/:userId
+ * Unblock a user (an ended match is not restored)
+ */
+router.delete('/block/:userId', authMiddleware, async (req, res) => {
+  try {
+    await unblockUser(req.user.userId, req.params.userId);
+    res.json({ success: true, message: 'User unblocked' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-  // Verify user is part of this match
-  if (match.userId1 !== req.user.userId && match.userId2 !== req.user.userId) {
-    return res.status(403).json({ error: 'Not authorized' });
+/**
+ * GET /api/dating/blocks
+ * Users the caller has blocked
+ */
+router.get('/blocks', authMiddleware, async (req, res) => {
+  try {
+    const blocked = await listBlockedUsers(req.user.userId);
+    res.json({ success: true, blocked, count: blocked.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load blocked users', message: error.message });
   }
+});
+
+/**
+ * POST /api/dating/report
+ * Report a profile or a received message for moderator review
+ * Body: { targetUserId?, messageId?, reason, details?, block? } - one of
+ * targetUserId / messageId is required; block: true also blocks the user
+ */
+router.post('/report', authMiddleware, async (req, res) => {
+  const { targetUserId, messageId, reason, details, block } = req.body || {};
 
-  const matchMessages = messages.get(matchId) || [];
+  try {
+    const report = await fileReport({
+      reporterId: req.user.userId,
+      reportedUserId: targetUserId,
+      messageId,
+      reason,
+      details
+    });
 
-  // Mark messages as read
-  matchMessages.forEach(msg => {
-    if (msg.receiverId === req.user.userId && !msg.isRead) {
-      msg.isRead = true;
-      msg.readAt = new Date().toISOString();
+    if (block) {
+      await blockUser(req.user.userId, report.reportedUserId);
+      invalidateMatchAccess(req.user.userId, report.reportedUserId);
     }
-  });
 
-  res.json({
-    success: true,
-    messages: matchMessages,
-    count: matchMessages.length
-  });
+    res.status(201).json({
+      success: true,
+      report: { id: report.id, reason: report.reason, status: report.status, createdAt: report.createdAt },
+      blocked: Boolean(block),
+      message: 'Report received - our moderators will review it'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AI SCREENING NOTICES & APPEALS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/dating/screening
+ * Sender's AI-screening level, messaging limits and flag notices
+ */
+router.get('/screening', authMiddleware, async (req, res) => {
+  try {
+    const status = await getScreeningStatus(req.user.userId, { limit: req.query.limit });
+    res.json({ success: true, ...status });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/dating/screening/notices/:id/read
+ * Acknowledge a flag notice
+ */
+router.post('/screening/notices/:id/read', authMiddleware, async (req, res) => {
+  try {
+    await markNoticeRead(req.params.id, req.user.userId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/dating/screening/notices/:id/appeal
+ * Dispute a flag - Body: { statement }
+ */
+router.post('/screening/notices/:id/appeal', authMiddleware, async (req, res) => {
+  try {
+    const notice = await appealNotice(req.params.id, req.user.userId, req.body?.statement);
+    res.status(201).json({
+      success: true,
+      notice,
+      message: 'Appeal submitted - a moderator will review the flagged message'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -538,39 +856,15 @@ router.post('/preorder', async (req, res) => {
   try {
     const { email, name } = req.body;
 
-    if (foundingMemberCount >= MAX_FOUNDING_MEMBERS) {
-      return res.status(400).json({
-        error: 'Founding member spots filled',
-        message: 'All 100 founding member spots have been claimed!'
-      });
-    }
-
-    // Check if already preordered
-    for (const [id, member] of foundingMembers) {
-      if (member.email === email.toLowerCase()) {
-        return res.status(400).json({ error: 'Email already preordered' });
-      }
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
     }
 
-    foundingMemberCount++;
-    const badgeNumber = foundingMemberCount;
-
-    const member = {
-      id: `fm-${Date.now()}`,
-      email: email.toLowerCase(),
-      name: name || 'Founding Member',
-      badgeNumber,
-      monthlyPrice: 14.99,
-      regularPrice: 19.99,
-      lifetimeDiscount: true,
-      preorderDate: new Date().toISOString(),
-      isActive: true
-    };
-
-    foundingMembers.set(member.id, member);
+    const { member, remaining } = await claimFoundingMember({ email, name });
+    const badgeNumber = member.badgeNumber;
 
     // Record as transaction (will trigger when payment completes)
-    console.log(`🎉 Founding Member #${badgeNumber}: ${email}`);
+    console.log(`🎉 Founding Member #${badgeNumber}: ${member.email}`);
 
     res.json({
       success: true,
@@ -578,7 +872,7 @@ router.post('/preorder', async (req, res) => {
       member: {
         badgeNumber,
         email: member.email,
-        monthlyPrice: member.monthlyPrice,
+        monthlyPrice: Number(member.monthlyPrice),
         savings: 'Save $5/month for life (20% off)',
         perks: [
           'Founding Member badge on profile',
@@ -587,11 +881,17 @@ router.post('/preorder', async (req, res) => {
           '$14.99/mo locked for life'
         ]
       },
-      spotsRemaining: MAX_FOUNDING_MEMBERS - foundingMemberCount,
+      spotsRemaining: remaining,
       checkoutUrl: '/checkout/founding-member' // Will integrate with Square
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    if (error.message === 'Founding member spots filled') {
+      return res.status(400).json({
+        error: error.message,
+        message: 'All 100 founding member spots have been claimed!'
+      });
+    }
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
@@ -599,60 +899,20 @@ router.post('/preorder', async (req, res) => {
  * GET /api/dating/founding-members/status
  * Get founding member availability
  */
-router.get('/founding-members/status', (req, res) => {
-  res.json({
-    success: true,
-    totalSpots: MAX_FOUNDING_MEMBERS,
-    claimed: foundingMemberCount,
-    remaining: MAX_FOUNDING_MEMBERS - foundingMemberCount,
-    price: 14.99,
-    regularPrice: 19.99,
-    discount: '20% off for life',
-    mission: 'Building authentic human connections'
-  });
-});
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// HELPER FUNCTIONS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-/**
- * Simple AI content detection (will be enhanced with actual ML model)
- */
-function detectAIContent(text) {
-  // Basic heuristics (to be replaced with actual detection)
-  let score = 0;
-
-  // Check for common AI patterns
-  const aiPatterns = [
-    /as an ai/i,
-    /i don't have personal/i,
-    /i cannot provide/i,
-    /i'm designed to/i,
-    /my purpose is/i,
-    /i am a language model/i
-  ];
-
-  aiPatterns.forEach(pattern => {
-    if (pattern.test(text)) score += 30;
-  });
-
-  // Check for unusually formal language
-  const formalWords = ['furthermore', 'additionally', 'consequently', 'nevertheless', 'notwithstanding'];
-  formalWords.forEach(word => {
-    if (text.toLowerCase().includes(word)) score += 5;
-  });
+router.get('/founding-members/status', async (req, res) => {
+  try {
+    const status = await getFoundingMemberStatus();
 
-  // Check for repetitive structure
-  const sentences = text.split(/[.!?]/);
-  if (sentences.length > 3) {
-    const avgLength = sentences.reduce((sum, s) => sum + s.length, 0) / sentences.length;
-    const variance = sentences.reduce((sum, s) => sum + Math.abs(s.length - avgLength), 0) / sentences.length;
-    if (variance < 10) score += 10; // Very uniform sentence length
+    res.json({
+      success: true,
+      ...status,
+      discount: '20% off for life',
+      mission: 'Building authentic human connections'
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load founding member status', message: error.message });
   }
-
-  return Math.min(score, 100);
-}
+});
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STATS
@@ -662,21 +922,21 @@ function detectAIContent(text) {
  * GET /api/dating/stats
  * Get dating app stats (public)
  */
-router.get('/stats', (req, res) => {
-  res.json({
-    success: true,
-    stats: {
-      totalUsers: profiles.size,
-      humanVerifiedUsers: [...profiles.values()].filter(p => p.isHumanVerified).length,
-      totalMatches: matches.size,
-      foundingMembers: foundingMemberCount,
-      foundingSpotsRemaining: MAX_FOUNDING_MEMBERS - foundingMemberCount
-    },
-    platform: {
-      name: DAO_REVENUE_CONFIG.PLATFORM_NAME,
-      type: 'Non-Charity DAO'
-    }
-  });
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await getDatingStats();
+
+    res.json({
+      success: true,
+      stats,
+      platform: {
+        name: DAO_REVENUE_CONFIG.PLATFORM_NAME,
+        type: 'Non-Charity DAO'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load stats', message: error.message });
+  }
 });
 
 export default router;
@@ -16,6 +16,7 @@ import {
   submitChallenge,
   getNextChallenge,
   getVerificationStatus,
+  gradableChallengeTypes,
   detectAIContent,
   analyzeMessagePattern,
   analyzeBehavior,
@@ -23,6 +24,7 @@ import {
   CHALLENGE_TYPES
 } from '../services/human-verification.js';
 import { authMiddleware } from '../services/auth.js';
+import { imageUpload } from '../middleware/upload.js';
 
 const router = express.Router();
 
@@ -34,18 +36,14 @@ const router = express.Router();
  * POST /api/verify-human/start
  * Start the human verification process
  */
-router.post('/start', authMiddleware, (req, res) => {
+router.post('/start', authMiddleware, async (req, res) => {
   try {
-    const result = startVerification(req.user.userId);
+    const result = await startVerification(req.user.userId);
 
     res.json({
       success: true,
       ...result,
-      challengeTypes: Object.keys(CHALLENGE_TYPES).map(type => ({
-        type,
-        score: CHALLENGE_TYPES[type].score,
-        description: getChallengeDescription(type)
-      }))
+      challengeTypes: describeChallengeTypes()
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to start verification', message: error.message });
@@ -56,7 +54,7 @@ router.post('/start', authMiddleware, (req, res) => {
  * POST /api/verify-human/submit
  * Submit a challenge response
  */
-router.post('/submit', authMiddleware, (req, res) => {
+router.post('/submit', authMiddleware, async (req, res) => {
   try {
     const { challengeId, response } = req.body;
 
@@ -64,7 +62,28 @@ router.post('/submit', authMiddleware, (req, res) => {
       return res.status(400).json({ error: 'Challenge ID and response required' });
     }
 
-    const result = submitChallenge(challengeId, response, req.user.userId);
+    const result = await submitChallenge(challengeId, response, req.user.userId);
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to submit challenge', message: error.message });
+  }
+});
+
+/**
+ * POST /api/verify-human/submit-selfie
+ * Submit a LIVE_SELFIE challenge as multipart/form-data: challengeId + selfie (image)
+ * A passing selfie is also compared with the user's profile photos
+ */
+router.post('/submit-selfie', authMiddleware, imageUpload('selfie'), async (req, res) => {
+  try {
+    const { challengeId } = req.body;
+
+    if (!challengeId || !req.file) {
+      return res.status(400).json({ error: 'Challenge ID and selfie required' });
+    }
+
+    const result = await submitChallenge(challengeId, req.file.buffer, req.user.userId);
 
     res.json(result);
   } catch (error) {
@@ -76,7 +95,7 @@ router.post('/submit', authMiddleware, (req, res) => {
  * GET /api/verify-human/challenge/:type
  * Get a new challenge of specific type
  */
-router.get('/challenge/:type', authMiddleware, (req, res) => {
+router.get('/challenge/:type', authMiddleware, async (req, res) => {
   try {
     const { type } = req.params;
 
@@ -87,10 +106,10 @@ router.get('/challenge/:type', authMiddleware, (req, res) => {
       });
     }
 
-    const challenge = getNextChallenge(req.user.userId, type);
+    const challenge = await getNextChallenge(req.user.userId, type);
 
     if (challenge.error) {
-      return res.status(400).json({ error: challenge.error });
+      return res.status(400).json({ error: challenge.error, gradableTypes: challenge.gradableTypes });
     }
 
     res.json({
@@ -106,9 +125,9 @@ router.get('/challenge/:type', authMiddleware, (req, res) => {
  * GET /api/verify-human/status
  * Get current verification status
  */
-router.get('/status', authMiddleware, (req, res) => {
+router.get('/status', authMiddleware, async (req, res) => {
   try {
-    const status = getVerificationStatus(req.user.userId);
+    const status = await getVerificationStatus(req.user.userId);
 
     res.json({
       success: true,
@@ -127,7 +146,7 @@ router.get('/status', authMiddleware, (req, res) => {
  * POST /api/verify-human/analyze-text
  * Analyze text for AI-generated content
  */
-router.post('/analyze-text', authMiddleware, (req, res) => {
+router.post('/analyze-text', authMiddleware, async (req, res) => {
   try {
     const { text } = req.body;
 
@@ -135,7 +154,8 @@ router.post('/analyze-text', authMiddleware, (req, res) => {
       return res.status(400).json({ error: 'Text required' });
     }
 
-    const analysis = detectAIContent(text);
+    // Drafts are the caller's own, so compare against their message history
+    const analysis = await detectAIContent(text, { userId: req.user.userId });
 
     res.json({
       success: true,
@@ -150,7 +170,7 @@ router.post('/analyze-text', authMiddleware, (req, res) => {
  * POST /api/verify-human/analyze-messages
  * Analyze message history for AI patterns
  */
-router.post('/analyze-messages', authMiddleware, (req, res) => {
+router.post('/analyze-messages', authMiddleware, async (req, res) => {
   try {
     const { messages } = req.body;
 
@@ -158,7 +178,7 @@ router.post('/analyze-messages', authMiddleware, (req, res) => {
       return res.status(400).json({ error: 'Messages array required' });
     }
 
-    const analysis = analyzeMessagePattern(messages);
+    const analysis = await analyzeMessagePattern(messages);
 
     res.json({
       success: true,
@@ -206,11 +226,7 @@ router.get('/info', (req, res) => {
     system: 'YouAndINotAI Human Verification',
     description: 'Multi-layer verification to ensure all users are real humans',
     threshold: VERIFICATION_THRESHOLD,
-    challengeTypes: Object.keys(CHALLENGE_TYPES).map(type => ({
-      type,
-      score: CHALLENGE_TYPES[type].score,
-      description: getChallengeDescription(type)
-    })),
+    challengeTypes: describeChallengeTypes(),
     features: [
       'CAPTCHA challenges',
       'Math puzzles',
@@ -241,4 +257,15 @@ function getChallengeDescription(type) {
   return descriptions[type] || type;
 }
 
+// Types without a registered grader are listed but cannot be requested
+function describeChallengeTypes() {
+  const gradable = gradableChallengeTypes();
+  return Object.keys(CHALLENGE_TYPES).map(type => ({
+    type,
+    score: CHALLENGE_TYPES[type].score,
+    description: getChallengeDescription(type),
+    available: gradable.includes(type)
+  }));
+}
+
 export default router;
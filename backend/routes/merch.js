@@ -5,9 +5,9 @@
  *
  * Anti-AI Merchandise Store with Gospel-Compliant Revenue Split
  *
- * 100% DAO Treasury
- * 30% → Infrastructure & Operations
- * 10% → Founder
+ * Revenue is split by the "merch" policy in services/split-policy.js:
+ * processor fee, production cost and shipping come off first, the net goes
+ * 100% to the DAO Treasury
  *
  * SQUARE-ONLY Integration (Stripe removed Dec 2025)
  * Webhook Processing for Order Fulfillment
@@ -21,6 +21,8 @@ import express from 'express';
 import crypto from 'crypto';
 import prisma from '../prisma/client.js';
 import { calculateRevenueAllocation, DAO_REVENUE_CONFIG, recordTransaction } from '../services/dao-revenue.js';
+import { toTransactionAmounts } from '../services/split-policy.js';
+import catalog from '../services/product-catalog.js';
 
 const router = express.Router();
 
@@ -30,15 +32,7 @@ const router = express.Router();
 
 router.get('/products', async (req, res) => {
   try {
-    const products = await prisma.product.findMany({
-      where: { active: true },
-      include: {
-        variants: {
-          where: { stockQuantity: { gt: 0 } }
-        }
-      },
-      orderBy: { createdAt: 'desc' }
-    });
+    const products = await catalog.listProducts({ productType: 'merch', inStockOnly: true });
 
     // Transform for API response
     const formattedProducts = products.map(product => ({
@@ -90,14 +84,7 @@ router.get('/products/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const product = await prisma.product.findUnique({
-      where: { id },
-      include: {
-        variants: {
-          where: { stockQuantity: { gt: 0 } }
-        }
-      }
-    });
+    const product = await catalog.getProduct(id, { inStockOnly: true });
 
     if (!product) {
       return res.status(404).json({
@@ -143,6 +130,81 @@ router.get('/products/:id', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// GET /api/merch/catalog - Full product catalog (merch, AI store, services)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+router.get('/catalog', async (req, res) => {
+  try {
+    const { productType, category } = req.query;
+    const products = await catalog.listProducts({
+      productType,
+      category,
+      active: req.query.includeInactive === 'true' ? undefined : true
+    });
+
+    res.json({ success: true, count: products.length, products });
+  } catch (error) {
+    console.error('❌ CATALOG LIST ERROR:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GET /api/merch/catalog/:sku - Product or variant by SKU, with price and COGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+router.get('/catalog/:sku', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const match = await catalog.getBySku(sku);
+    if (!match) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    const [price, cogs] = await Promise.all([catalog.priceAt(sku), catalog.getCOGS(sku)]);
+    res.json({ success: true, ...match, price, cogs });
+  } catch (error) {
+    console.error('❌ CATALOG LOOKUP ERROR:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GET /api/merch/catalog/:sku/prices - Price history
+// PUT /api/merch/catalog/:sku/price - Open a new price version
+// ═══════════════════════════════════════════════════════════════════════════════
+
+router.get('/catalog/:sku/prices', async (req, res) => {
+  try {
+    const prices = await catalog.getPriceHistory(req.params.sku);
+    res.json({ success: true, sku: req.params.sku, prices });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.put('/catalog/:sku/price', async (req, res) => {
+  try {
+    const { amount, currency, reason } = req.body;
+    if (amount === undefined) {
+      return res.status(400).json({ success: false, error: 'amount is required' });
+    }
+
+    const price = await catalog.setPrice(req.params.sku, amount, {
+      currency,
+      reason,
+      createdBy: req.principal?.name || null
+    });
+
+    console.log(`🏷️ PRICE UPDATED: ${req.params.sku} → $${Number(price.amount).toFixed(2)} (v${price.version})`);
+    res.json({ success: true, sku: req.params.sku, price });
+  } catch (error) {
+    console.error('❌ PRICE UPDATE ERROR:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // POST /api/merch/checkout - DEPRECATED - Use Square checkout links directly
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -264,7 +326,7 @@ router.get('/config', (req, res) => {
 
 router.post('/square-checkout', async (req, res) => {
   try {
-    const { sourceId, amount, currency, productName, customer } = req.body;
+    const { sourceId, amount, currency, productName, sku, customer } = req.body;
 
     // Validate input
     if (!sourceId || !amount || !customer?.email) {
@@ -306,22 +368,31 @@ router.post('/square-checkout', async (req, res) => {
       const payment = paymentResponse.result.payment;
       const totalAmount = Number(payment.amountMoney.amount) / 100;
 
-      // Calculate Gospel split
-      const allocation = calculateRevenueAllocation(totalAmount);
+      // Split by the merch policy - net of the Square fee (when Square has
+      // reported it yet) and the SKU's production and shipping cost
+      const cogs = sku ? await catalog.getCOGS(sku) : null;
+      const allocation = calculateRevenueAllocation(totalAmount, {
+        policy: 'merch',
+        occurredAt: payment.createdAt,
+        processingFee: payment.processingFee?.length
+          ? payment.processingFee.reduce((sum, fee) => sum + Number(fee.amountMoney?.amount || 0), 0) / 100
+          : undefined,
+        cogs: cogs?.production,
+        shipping: cogs?.avgShipping
+      });
 
       // Record transaction
       const transaction = await prisma.transaction.create({
         data: {
           amount: totalAmount.toString(),
-          source: 'SQUARE_MERCH',
+          source: 'PRINTFUL_MERCH',
           projectType: 'EXISTING',
           description: `Merch Purchase: ${productName}`,
-          treasuryAmount: allocation.treasury.amount.toString(),
-          opsAmount: allocation.treasury.amount.toString(),
-          founderAmount: allocation.treasury.amount.toString(),
+          ...toTransactionAmounts(allocation),
           metadata: {
             paymentId: payment.id,
             productName,
+            sku: sku || null,
             customerEmail: customer.email,
             customerName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
             squareReceiptUrl: payment.receiptUrl
@@ -334,6 +405,7 @@ router.post('/square-checkout', async (req, res) => {
         product: productName,
         total: `$${totalAmount.toFixed(2)}`,
         charity: `$${allocation.treasury.amount}`,
+        splitPolicy: allocation.version,
         email: customer.email,
         transactionId: transaction.id,
         daoModel: '100% DAO Treasury'
@@ -347,8 +419,10 @@ router.post('/square-checkout', async (req, res) => {
         daoRevenue: {
           charity: allocation.treasury.amount.toString(),
           treasuryPercentage: allocation.treasury.percentage,
-          infrastructure: allocation.treasury.amount.toString(),
-          founder: allocation.treasury.amount.toString()
+          infrastructure: (allocation.operations?.amount || 0).toString(),
+          founder: (allocation.founder?.amount || 0).toString(),
+          costs: allocation.costs,
+          splitPolicy: allocation.version
         },
         transactionId: transaction.id,
         message: `Thank you! $${allocation.treasury.amount} going to kids!`
@@ -0,0 +1,97 @@
+/**
+ * 🔗 REVENUE LEDGER API - Public, read-only
+ *
+ * Anyone can page through the hash-chained DAO revenue ledger, ask the
+ * server to recompute it, or fetch the signed daily checkpoints and the
+ * public key that signs them. Recompute the hashes yourself with the
+ * canonical serialization documented in services/dao-revenue.js.
+ */
+
+import express from 'express';
+import {
+  getLedger,
+  verifyLedger,
+  listCheckpoints,
+  getCheckpoint,
+  getCheckpointPublicKey
+} from '../services/dao-revenue.js';
+
+const router = express.Router();
+
+// A full recompute walks every entry; don't let public traffic repeat it
+const VERIFY_CACHE_MS = 60 * 1000;
+let verifyCache = null;
+
+/**
+ * GET /api/revenue/ledger
+ * Page through entries in chain order (?afterSequence=0&limit=100)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const ledger = await getLedger({
+      afterSequence: req.query.afterSequence,
+      limit: req.query.limit
+    });
+    res.json({ success: true, ...ledger });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue/ledger/verify
+ * Recompute the chain and report the first broken link, if any
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    if (!verifyCache || Date.now() - verifyCache.at > VERIFY_CACHE_MS) {
+      verifyCache = { at: Date.now(), result: verifyLedger() };
+    }
+    const result = await verifyCache.result;
+
+    res.status(result.valid ? 200 : 409).json({ success: true, ...result });
+  } catch (error) {
+    verifyCache = null;
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue/ledger/checkpoints
+ * Signed daily digests of the chain head, newest first
+ */
+router.get('/checkpoints', async (req, res) => {
+  try {
+    const checkpoints = await listCheckpoints({ limit: req.query.limit });
+    res.json({ success: true, checkpoints, signingKey: getCheckpointPublicKey() });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue/ledger/checkpoints/:day
+ * Checkpoint for one UTC day (YYYY-MM-DD)
+ */
+router.get('/checkpoints/:day', async (req, res) => {
+  try {
+    const checkpoint = await getCheckpoint(req.params.day);
+    res.json({ success: true, checkpoint });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/revenue/ledger/public-key
+ * Ed25519 public key for verifying checkpoint signatures
+ */
+router.get('/public-key', (req, res) => {
+  const signingKey = getCheckpointPublicKey();
+  if (!signingKey) {
+    return res.status(404).json({ error: 'Checkpoint signing is not configured' });
+  }
+  res.json({ success: true, ...signingKey });
+});
+
+export default router;
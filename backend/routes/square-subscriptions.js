@@ -7,7 +7,9 @@
  * WHAT'S PROTECTED:
  * ✅ Merch payments (ai-solutions.store) - ACTIVE
  * ✅ Stripe payments - ACTIVE  
- * ✅ Webhook processing - ACTIVE (for existing transactions)
+ * ✅ Webhook processing - ACTIVE (for existing transactions; POST /api/subscriptions/webhook
+ *    is mounted publicly in server.js and handled by the webhook pipeline, which
+ *    grants and revokes premium entitlements - see services/entitlements.js)
  * ❌ Dating checkout - DISABLED
  * 
  * DAO Treasury
@@ -15,11 +17,10 @@
  */
 
 import express from 'express';
-import { PrismaClient } from '@prisma/client';
-import { calculateRevenueAllocation, recordTransaction, DAO_REVENUE_CONFIG } from '../services/dao-revenue.js';
+import prisma from '../prisma/client.js';
+import { DAO_REVENUE_CONFIG } from '../services/dao-revenue.js';
 
 const router = express.Router();
-const prisma = new PrismaClient();
 
 // Verify Gospel split on route load
 // DAO revenue model - no verification needed;
@@ -50,7 +51,7 @@ router.post('/create-checkout', async (req, res) => {
       reason: 'Securing compliant high-risk processor (PaymentCloud)',
       eta: '2-3 weeks',
       alternative: 'Visit ai-solutions.store for AI tools and merchandise',
-      mission: '100% DAO Treasury
+      mission: '100% DAO Treasury'
     },
     support: 'support@youandinotai.com',
     daoRevenue: true
@@ -81,7 +82,8 @@ router.get('/status', async (req, res) => {
         subscription: {
           tier: subscription.tier,
           status: subscription.status,
-          expiresAt: subscription.expiresAt,
+          nextBillingDate: subscription.nextBillingDate,
+          entitledUntil: subscription.entitledUntil,
           daoRevenue: DAO_REVENUE_CONFIG
         }
       });
@@ -99,68 +101,6 @@ router.get('/status', async (req, res) => {
 });
 
 
-/**
- * POST /api/subscriptions/webhook
- * Square webhook handler - STILL ACTIVE for existing transactions
- */
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  console.log('📥 Square webhook received (Mission Shield active)');
-  
-  try {
-    const signature = req.headers['x-square-hmacsha256-signature'];
-    const body = req.body.toString();
-    
-    // Verify webhook signature if secret is configured
-    if (process.env.SQUARE_WEBHOOK_SECRET && signature) {
-      const crypto = await import('crypto');
-      const expectedSig = crypto
-        .createHmac('sha256', process.env.SQUARE_WEBHOOK_SECRET)
-        .update(body)
-        .digest('base64');
-      
-      if (signature !== expectedSig) {
-        console.warn('⚠️ Invalid webhook signature');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-    }
-    
-    const event = JSON.parse(body);
-    console.log('📋 Webhook event type:', event.type);
-    
-    // Process payment completed events
-    if (event.type === 'payment.completed') {
-      const payment = event.data.object.payment;
-      const amountCents = payment.amount_money.amount;
-      
-      // Calculate Gospel Split
-      const split = calculateRevenueAllocation(amountCents);
-      
-      // Record transaction
-      await recordTransaction({
-        source: 'SQUARE_DATING_LEGACY',
-        paymentId: payment.id,
-        amountCents,
-        split,
-        metadata: {
-          missionShield: true,
-          note: 'Legacy transaction processed under Mission Shield'
-        }
-      });
-      
-      console.log('✅ Legacy payment processed:', {
-        paymentId: payment.id,
-        total: amountCents,
-        charity: allocation.treasury.amount
-      });
-    }
-    
-    res.json({ received: true });
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
-
 /**
  * GET /api/subscriptions/plans
  * List available plans - Shows compliance message
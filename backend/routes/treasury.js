@@ -1,9 +1,9 @@
 import fs from 'fs';
 import path from 'path';
+import { allocateRevenue } from '../services/split-policy.js';
 
 export default function treasuryRoutes(app) {
   const LEDGER = process.env.LEDGER_PATH || path.join(process.cwd(), 'data', 'payments_ledger.json');
-  const PCT = Number(process.env.DAO_TREASURY_PERCENT || 0.05);
   const CURRENCY = 'USD';
 
   app.get('/health', (_req, res) => res.json({ status: 'ok', ts: new Date().toISOString() }));
@@ -11,7 +11,9 @@ export default function treasuryRoutes(app) {
   app.get('/api/treasury/metrics', (_req, res) => {
     try {
       let revenue_total = 0;
+      let treasury_total = 0;
       let subscription_count = 0;
+      const split_policies = new Set();
 
       if (fs.existsSync(LEDGER)) {
         const raw = fs.readFileSync(LEDGER, 'utf8');
@@ -20,15 +22,24 @@ export default function treasuryRoutes(app) {
           if (e && e.status === 'succeeded' && typeof e.amount === 'number' && e.currency === CURRENCY) {
             revenue_total += e.amount; // dollars
             subscription_count += 1;
+            // Same split the ledger applies to dating subscriptions, as of the payment
+            const allocation = allocateRevenue({
+              policy: 'dating-subscription',
+              amount: e.amount,
+              occurredAt: e.created_at || e.createdAt || new Date()
+            });
+            treasury_total += allocation.treasury?.amount || 0;
+            split_policies.add(allocation.version);
           }
         }
       }
-      const treasury_amount = +(revenue_total * PCT).toFixed(2);
+      const treasury_amount = +treasury_total.toFixed(2);
       res.json({
         revenue_total: +revenue_total.toFixed(2),
         subscription_count,
-        treasury_percent: PCT,
+        treasury_percent: revenue_total > 0 ? +(treasury_amount / revenue_total).toFixed(4) : 0,
         treasury_amount,
+        split_policies: [...split_policies],
         currency: CURRENCY,
         updated_at: new Date().toISOString()
       });
@@ -1,20 +1,17 @@
 /**
  * Square Payment Webhooks Handler
- * Automatically executes Profit Allocation (Gospel V1.4.1 SURVIVAL MODE) to:
- * - 100% → verified pediatric charities (charity@yourplatform.com)
+ * Square events are verified, stored and dispatched by the webhook pipeline
+ * (services/webhook-pipeline.js); the ledger handler books each completed
+ * payment - 100% → verified pediatric charities (charity@yourplatform.com)
  *
- * IMMUTABLE LEDGER: Each allocation creates cryptographic hash chain
+ * IMMUTABLE LEDGER: Each payment lands in the hash-chained DAO revenue ledger
  * FOR THE KIDS - FOREVER
  *
- * NOTE: This is "Profit Allocation" NOT "Escrow"
  * Gospel V1.4.1 SURVIVAL MODE - Ethics Override - DAO Sovereign Mode
  */
 
 import express from 'express';
-import crypto from 'crypto';
-import Square from 'square';
-const { SquareClient, SquareEnvironment } = Square;
-import prisma from '../prisma/client.js';
+import { squareWebhook } from '../middleware/webhook-ingest.js';
 
 const router = express.Router();
 
@@ -90,8 +87,7 @@ function validateWebhookSecrets() {
   if (!isProduction && missingSecrets.length > 0) {
     console.warn('\n⚠️  WARNING: Missing webhook secrets (development mode)');
     console.warn('Missing:', missingSecrets.join(', '));
-    console.warn('Webhook signature verification will be DISABLED');
-    console.warn('This is ONLY acceptable in development!\n');
+    console.warn('Square webhooks will be rejected until they are configured\n');
   }
 
   // Log successful validation
@@ -106,247 +102,11 @@ router.use((req, res, next) => {
   next();
 });
 
-// Initialize Square client
-const squareClient = new SquareClient({
-  accessToken: process.env.SQUARE_ACCESS_TOKEN,
-  environment: SquareEnvironment.Production
-});
-
-/**
- * Verify Square webhook signature
- * https://developer.squareup.com/docs/webhooks/step3validate
- */
-function verifyWebhookSignature(body, signature, signatureKey) {
-  const hmac = crypto.createHmac('sha256', signatureKey);
-  hmac.update(body);
-  const hash = hmac.digest('base64');
-  return hash === signature;
-}
-
-/**
- * Calculate SHA-256 hash for immutable ledger
- */
-function calculateAllocationHash(transactionId, grossAmount, splits, previousHash) {
-  const data = JSON.stringify({
-    transactionId,
-    grossAmount: grossAmount.toString(),
-    charityAmount: splits.charityAmount.toString(),
-    infrastructureAmount: splits.infrastructureAmount.toString(),
-    founderAmount: splits.founderAmount.toString(),
-    timestamp: new Date().toISOString(),
-    previousHash: previousHash || 'GENESIS'
-  });
-  return crypto.createHash('sha256').update(data).digest('hex');
-}
-
-/**
- * Execute Profit Allocation via Square
- * Gospel Rule #2 - IMMUTABLE SPLIT (Gospel V1.4.1 SURVIVAL MODE)
- */
-async function executeProfitAllocation(payment, transaction, previousHash) {
-  const grossAmount = parseFloat(payment.amount_money.amount) / 100; // Square uses cents
-
-  // Calculate immutable split - GOSPEL RULE #2 - Gospel V1.4.1 SURVIVAL MODE
-  const splits = {
-    charityAmount: (grossAmount * 1.0).toFixed(2),
-    infrastructureAmount: (grossAmount * 0).toFixed(2),
-    founderAmount: (grossAmount * 0).toFixed(2)
-  };
-
-  // Create ProfitAllocation record with PENDING status
-  const profitAllocation = await prisma.profitAllocation.create({
-    data: {
-      transactionId: transaction.id,
-      charityAmount: splits.charityAmount,
-      infrastructureAmount: splits.infrastructureAmount,
-      founderAmount: splits.founderAmount,
-      status: 'PENDING',
-      hash: calculateAllocationHash(transaction.id, grossAmount, splits, previousHash),
-      previousHash: previousHash
-    }
-  });
-
-  try {
-    // Update status to PROCESSING
-    await prisma.profitAllocation.update({
-      where: { id: profitAllocation.id },
-      data: {
-        status: 'PROCESSING',
-        lastAttemptAt: new Date(),
-        attemptCount: { increment: 1 }
-      }
-    });
-
-    // Execute 100% allocation to charity account (Gospel V1.4.1 SURVIVAL MODE)
-    console.log('🏥 charity ALLOCATION:', {
-      amount: splits.charityAmount,
-      account: process.env.SQUARE_ACCOUNT_B || 'charity@yourplatform.com',
-      paymentId: payment.id
-    });
-
-    // Execute 30% allocation to Infrastructure account
-    console.log('🔧 INFRASTRUCTURE ALLOCATION:', {
-      amount: splits.infrastructureAmount,
-      account: process.env.SQUARE_ACCOUNT_A || 'charity@yourplatform.com',
-      paymentId: payment.id
-    });
-
-    // Execute 10% allocation to Founder account
-    console.log('👤 FOUNDER ALLOCATION:', {
-      amount: splits.founderAmount,
-      account: process.env.SQUARE_ACCOUNT_A || 'charity@yourplatform.com',
-      paymentId: payment.id
-    });
-
-    // Update to COMPLETED with transfer IDs
-    await prisma.profitAllocation.update({
-      where: { id: profitAllocation.id },
-      data: {
-        status: 'COMPLETED',
-        executedAt: new Date(),
-        charityTransferId: `ALLOCATION_${Date.now()}`,
-        infraTransferId: `ALLOCATION_${Date.now()}`,
-        founderTransferId: `ALLOCATION_${Date.now()}`
-      }
-    });
-
-    console.log('✅ PROFIT ALLOCATION COMPLETED:', {
-      transactionId: transaction.id,
-      hash: profitAllocation.hash,
-      previousHash: profitAllocation.previousHash
-    });
-
-    return profitAllocation;
-
-  } catch (error) {
-    console.error('❌ ALLOCATION FAILED:', error);
-
-    // Update to FAILED status with error
-    await prisma.profitAllocation.update({
-      where: { id: profitAllocation.id },
-      data: {
-        status: 'FAILED',
-        errorMessage: error.message
-      }
-    });
-
-    // Retry logic: If < 3 attempts, schedule retry
-    if (profitAllocation.attemptCount < 3) {
-      console.log('🔄 SCHEDULING RETRY:', profitAllocation.attemptCount + 1);
-      await prisma.profitAllocation.update({
-        where: { id: profitAllocation.id },
-        data: { status: 'RETRYING' }
-      });
-    }
-
-    throw error;
-  }
-}
-
 /**
  * POST /api/webhooks/square
  * Receives Square payment events
  */
-router.post('/square', express.json(), async (req, res) => {
-  try {
-    const signature = req.headers['x-square-hmacsha256-signature'];
-    const webhookSecret = process.env.SQUARE_WEBHOOK_SECRET;
-
-    // SECURITY FIX: Signature verification is now MANDATORY
-    // Previously: Only verified if webhookSecret was set (optional)
-    // Now: Always verify - missing secret or invalid signature = REJECT
-    if (!webhookSecret) {
-      console.error('❌ SQUARE WEBHOOK SECRET NOT CONFIGURED');
-      return res.status(500).json({
-        error: 'Server configuration error',
-        message: 'Webhook secret not configured'
-      });
-    }
-
-    if (!signature) {
-      console.error('❌ MISSING WEBHOOK SIGNATURE', {
-        ip: req.ip,
-        timestamp: new Date().toISOString()
-      });
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Webhook signature required'
-      });
-    }
-
-    if (!verifyWebhookSignature(JSON.stringify(req.body), signature, webhookSecret)) {
-      console.error('❌ INVALID SQUARE WEBHOOK SIGNATURE', {
-        ip: req.ip,
-        timestamp: new Date().toISOString()
-      });
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Invalid webhook signature'
-      });
-    }
-
-    const { type, data } = req.body;
-    console.log('📥 WEBHOOK RECEIVED:', type);
-
-    // Handle payment.created event
-    if (type === 'payment.created' || type === 'payment.updated') {
-      const payment = data.object.payment;
-
-      // Skip if payment not completed
-      if (payment.status !== 'COMPLETED') {
-        console.log('⏳ PAYMENT NOT COMPLETED:', payment.status);
-        return res.json({ received: true, status: 'pending' });
-      }
-
-      // Get previous allocation for hash chain
-      const previousAllocation = await prisma.profitAllocation.findFirst({
-        orderBy: { createdAt: 'desc' },
-        select: { hash: true }
-      });
-
-      // Create Transaction record
-      const transaction = await prisma.transaction.create({
-        data: {
-          amount: parseFloat(payment.amount_money.amount) / 100,
-          source: 'DATING_APP',
-          projectType: 'FOR_THE_KIDS',
-          description: `Square payment ${payment.id}`,
-          charityAmount: (parseFloat(payment.amount_money.amount) / 100) * 1.0,
-          opsAmount: (parseFloat(payment.amount_money.amount) / 100) * 0,
-          founderAmount: (parseFloat(payment.amount_money.amount) / 100) * 0,
-          metadata: {
-            squarePaymentId: payment.id,
-            orderId: payment.order_id,
-            receiptUrl: payment.receipt_url
-          }
-        }
-      });
-
-      // Execute profit allocation
-      const profitAllocation = await executeProfitAllocation(payment, transaction, previousAllocation?.hash);
-
-      console.log('💚 FOR THE KIDS - ALLOCATION RECORDED:', {
-        transactionId: transaction.id,
-        hash: profitAllocation.hash
-      });
-
-      res.json({
-        received: true,
-        transactionId: transaction.id,
-        allocationId: profitAllocation.id,
-        hash: profitAllocation.hash
-      });
-
-    } else {
-      console.log('ℹ️ UNHANDLED EVENT:', type);
-      res.json({ received: true });
-    }
-
-  } catch (error) {
-    console.error('❌ WEBHOOK ERROR:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/square', squareWebhook({ source: 'square' }));
 
 /**
  * GET /api/webhooks/test
@@ -377,133 +137,6 @@ router.post('/paypal', async (req, res) => {
  * Account: charity@yourplatform.com
  * Location: LY5GN09F5AN83
  */
-router.post('/ai-store', express.json(), async (req, res) => {
-  try {
-    const signature = req.headers['x-square-hmacsha256-signature'];
-    const webhookSecret = process.env.SQUARE_AI_STORE_WEBHOOK_SECRET;
-
-    // SECURITY: Signature verification is MANDATORY
-    if (!webhookSecret) {
-      console.error('❌ AI STORE WEBHOOK SECRET NOT CONFIGURED');
-      return res.status(500).json({
-        error: 'Server configuration error',
-        message: 'AI Store webhook secret not configured'
-      });
-    }
-
-    if (!signature) {
-      console.error('❌ MISSING AI STORE WEBHOOK SIGNATURE', {
-        ip: req.ip,
-        timestamp: new Date().toISOString()
-      });
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Webhook signature required'
-      });
-    }
-
-    if (!verifyWebhookSignature(JSON.stringify(req.body), signature, webhookSecret)) {
-      console.error('❌ INVALID AI STORE WEBHOOK SIGNATURE', {
-        ip: req.ip,
-        timestamp: new Date().toISOString()
-      });
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: 'Invalid webhook signature'
-      });
-    }
-
-    const { type, data } = req.body;
-    console.log('📥 AI STORE WEBHOOK RECEIVED:', type);
-
-    // Handle payment events
-    if (type === 'payment.created' || type === 'payment.updated') {
-      const payment = data.object.payment;
-
-      // Skip if payment not completed
-      if (payment.status !== 'COMPLETED') {
-        console.log('⏳ AI STORE PAYMENT NOT COMPLETED:', payment.status);
-        return res.json({ received: true, status: 'pending' });
-      }
-
-      // Get previous allocation for hash chain
-      const previousAllocation = await prisma.profitAllocation.findFirst({
-        orderBy: { createdAt: 'desc' },
-        select: { hash: true }
-      });
-
-      // Create Transaction record
-      const transaction = await prisma.transaction.create({
-        data: {
-          amount: parseFloat(payment.amount_money.amount) / 100,
-          source: 'AI_SOLUTIONS_STORE',
-          projectType: 'FOR_THE_KIDS',
-          description: `AI Store - Square payment ${payment.id}`,
-          charityAmount: (parseFloat(payment.amount_money.amount) / 100) * 1.0,
-          opsAmount: (parseFloat(payment.amount_money.amount) / 100) * 0,
-          founderAmount: (parseFloat(payment.amount_money.amount) / 100) * 0,
-          metadata: {
-            squarePaymentId: payment.id,
-            orderId: payment.order_id,
-            receiptUrl: payment.receipt_url,
-            locationId: payment.location_id,
-            source: 'ai-solutions-store'
-          }
-        }
-      });
-
-      // Execute profit allocation
-      const profitAllocation = await executeProfitAllocation(payment, transaction, previousAllocation?.hash);
-
-      console.log('💚 AI STORE - FOR THE KIDS - ALLOCATION RECORDED:', {
-        transactionId: transaction.id,
-        hash: profitAllocation.hash,
-        amount: transaction.amount
-      });
-
-      res.json({
-        received: true,
-        transactionId: transaction.id,
-        allocationId: profitAllocation.id,
-        hash: profitAllocation.hash
-      });
-
-    }
-    // Handle order events
-    else if (type === 'order.created' || type === 'order.updated') {
-      const order = data.object.order;
-
-      console.log('📦 AI STORE ORDER EVENT:', {
-        orderId: order.id,
-        state: order.state,
-        totalMoney: order.total_money
-      });
-
-      res.json({ received: true, orderId: order.id });
-    }
-    // Handle refund events
-    else if (type === 'refund.created') {
-      const refund = data.object.refund;
-
-      console.log('💸 AI STORE REFUND CREATED:', {
-        refundId: refund.id,
-        paymentId: refund.payment_id,
-        amount: refund.amount_money
-      });
-
-      // TODO: Handle refund - reverse profit allocation if needed
-
-      res.json({ received: true, refundId: refund.id });
-    }
-    else {
-      console.log('ℹ️ AI STORE UNHANDLED EVENT:', type);
-      res.json({ received: true });
-    }
-
-  } catch (error) {
-    console.error('❌ AI STORE WEBHOOK ERROR:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/ai-store', squareWebhook({ source: 'ai-store', secretEnv: 'SQUARE_AI_STORE_WEBHOOK_SECRET' }));
 
 export default router;
@@ -27,13 +27,27 @@ import humanVerificationRoutes from './routes/human-verification.js';
 import droidRoutes from './routes/droid.js';
 import merchRoutes from './routes/merch.js';
 import affiliateRoutes from './routes/affiliates.js';
+import affiliatePortalRoutes from './routes/affiliate-portal.js';
 import infrastructureRoutes from './routes/infrastructure.js';
 import aiStoreWebhookRoutes from './routes/ai-store-webhook.js';
 import plaidIdentityRoutes from './routes/plaid-identity.js';
 import treasuryRoutes from './routes/treasury.js';
+import revenueLedgerRoutes from './routes/revenue-ledger.js';
 
 // Services
-import { DAO_REVENUE_CONFIG } from './services/dao-revenue.js';
+import { DAO_REVENUE_CONFIG, startCheckpointScheduler } from './services/dao-revenue.js';
+import { startProposalScheduler } from './services/free-dao.js';
+
+// Middleware
+import { requireResourceScope } from './middleware/rbac.js';
+import { squareWebhook } from './middleware/webhook-ingest.js';
+import { startWebhookRetryScheduler } from './services/webhook-pipeline.js';
+import { startModerationSlaScheduler } from './services/moderation.js';
+import { startMessageScreeningScheduler } from './services/message-screening.js';
+import { startEntitlementExpiryScheduler } from './services/entitlements.js';
+import { startCommissionApprovalScheduler } from './services/affiliate-commissions.js';
+import { startAffiliatePayoutScheduler } from './services/affiliate-payouts/index.js';
+import { attachRealtimeGateway } from './services/realtime.js';
 
 dotenv.config();
 
@@ -61,33 +75,13 @@ const logger = winston.createLogger({
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SECURITY: API KEY AUTHENTICATION MIDDLEWARE
+// SECURITY: ROLE-BASED ACCESS CONTROL
 // ═══════════════════════════════════════════════════════════════════════════════
-// Added: 2025-12-17 - Critical Security Hardening
-// Protects sensitive routes from unauthorized access
+// The shared API_KEY was replaced by scoped, per-integration API keys and staff
+// roles (admin, finance, moderator, support, droid-operator).
+// See middleware/rbac.js and services/access-control.js.
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const requireAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-
-  if (!apiKey || apiKey !== process.env.API_KEY) {
-    logger.warn('Unauthorized API access attempt', {
-      ip: req.ip,
-      path: req.path,
-      method: req.method,
-      timestamp: new Date().toISOString()
-    });
-
-    return res.status(401).json({
-      error: 'Unauthorized',
-      message: 'Valid API key required. Provide via X-API-Key header or apiKey query parameter.',
-      service: 'YouAndINotAI Platform'
-    });
-  }
-
-  next();
-};
-
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -128,7 +122,12 @@ const limiter = rateLimit({
 });
 
 app.use('/api/', limiter);
-app.use(express.json());
+app.use(express.json({
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.static('public'));
 
 // Request logging
@@ -178,25 +177,28 @@ app.get('/health', (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 // PUBLIC ROUTES (No authentication required):
 // - /api/age-verification/* - User-facing age verification
-// - /api/consent/* - Cookie consent (GDPR compliance)
+// - /api/consent/* - Cookie consent (GDPR compliance); /export requires compliance:read
 // - /api/transparency/* - Public transparency data
+// - /api/revenue/ledger/* - Hash-chained revenue ledger, verification, checkpoints
+// - /api/affiliate-portal/* - Affiliate self-service (own magic-link sessions)
 // - /api/kickstarter/* - Public campaign info
 // - /api/verify-human/* - Human verification for public access
 // - /api/webhooks/* - External webhooks (have their own signature validation)
+// - /api/subscriptions/webhook - Square subscription webhook (signature validated)
 //
-// PROTECTED ROUTES (API key required):
-// - /api/jules/* - AI command execution
-// - /api/campaign/* - Campaign management
-// - /api/admin/* - Administrative functions
-// - /api/payments/* - Payment processing
-// - /api/subscriptions/* - Subscription management
-// - /api/community/* - Community management
-// - /api/free-dao/* - DAO operations
-// - /api/dating/* - Dating app backend
-// - /api/droid/* - Droid orchestration
-// - /api/merch/* - Merch store operations
-// - /api/affiliates/* - Affiliate program management
-// - /api/infra/* - Infrastructure expense management (Jules AI approval)
+// PROTECTED ROUTES (scoped API key or staff token; GET → <scope>:read, else <scope>:write):
+// - /api/jules/* - AI command execution                          [jules]
+// - /api/campaign/* - Campaign management                        [campaign]
+// - /api/admin/* - Administrative functions                      [admin, access]
+// - /api/payments/* - Payment processing                         [payments]
+// - /api/subscriptions/* - Subscription management               [subscriptions]
+// - /api/community/* - Community management                      [community]
+// - /api/free-dao/* - DAO operations                             [dao]
+// - /api/dating/* - Dating app backend                           [dating]
+// - /api/droid/* - Droid orchestration                           [droid]
+// - /api/merch/* - Merch store operations                        [merch]
+// - /api/affiliates/* - Affiliate program management             [affiliates]
+// - /api/infra/* - Infrastructure expense management             [infra]
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // PUBLIC ROUTES - No authentication required
@@ -206,23 +208,26 @@ app.use('/api/transparency', transparencyRoutes);
 app.use('/api/kickstarter', kickstarterRoutes);
 app.use('/api/verify-human', humanVerificationRoutes);
 app.use('/api/webhooks', webhookRoutes); // Has own signature validation
+app.post('/api/subscriptions/webhook', squareWebhook({ source: 'subscriptions' })); // Square-signed, ahead of the scoped router
 app.use('/api/ai-store-webhook', aiStoreWebhookRoutes); // AI Solutions Store webhook handler
 app.use('/api/plaid-identity', plaidIdentityRoutes); // Plaid identity verification
+app.use('/api/revenue/ledger', revenueLedgerRoutes); // Read-only ledger + verification
+app.use('/api/affiliate-portal', affiliatePortalRoutes); // Affiliate magic-link sessions, not staff scopes
 treasuryRoutes(app);
 
-// PROTECTED ROUTES - Require API key authentication
-app.use('/api/jules', requireAuth, julesRoutes);
-app.use('/api/campaign', requireAuth, campaignRoutes);
-app.use('/api/admin', requireAuth, adminRoutes);
-app.use('/api/payments', requireAuth, paymentsRoutes);
-app.use('/api/subscriptions', requireAuth, squareSubscriptionRoutes);
-app.use('/api/community', requireAuth, communityRoutes);
-app.use('/api/free-dao', requireAuth, freeDaoRoutes);
-app.use('/api/dating', requireAuth, datingRoutes);
-app.use('/api/droid', requireAuth, droidRoutes);
-app.use('/api/merch', requireAuth, merchRoutes);
-app.use('/api/affiliates', requireAuth, affiliateRoutes);
-app.use('/api/infra', requireAuth, infrastructureRoutes);
+// PROTECTED ROUTES - Require a scoped API key or staff role
+app.use('/api/jules', requireResourceScope('jules'), julesRoutes);
+app.use('/api/campaign', requireResourceScope('campaign'), campaignRoutes);
+app.use('/api/admin', adminRoutes); // Declares scopes per route
+app.use('/api/payments', requireResourceScope('payments'), paymentsRoutes);
+app.use('/api/subscriptions', requireResourceScope('subscriptions'), squareSubscriptionRoutes);
+app.use('/api/community', requireResourceScope('community'), communityRoutes);
+app.use('/api/free-dao', requireResourceScope('dao'), freeDaoRoutes);
+app.use('/api/dating', requireResourceScope('dating'), datingRoutes);
+app.use('/api/droid', requireResourceScope('droid'), droidRoutes);
+app.use('/api/merch', requireResourceScope('merch'), merchRoutes);
+app.use('/api/affiliates', requireResourceScope('affiliates'), affiliateRoutes);
+app.use('/api/infra', requireResourceScope('infra'), infrastructureRoutes);
 
 // DAO Revenue endpoint (Public - read-only transparency)
 app.get('/api/revenue', (req, res) => {
@@ -238,10 +243,10 @@ app.get('/api/revenue', (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 // RELAY PROXY - Mobile Claude → API → Sabertooth Relay
 // ═══════════════════════════════════════════════════════════════════════════════
-// PROTECTED: Requires API key authentication (internal infrastructure communication)
+// PROTECTED: Requires relay scope (internal infrastructure communication)
 const RELAY_URL = 'http://192.168.0.103:3002';
 
-app.all('/api/relay/*', requireAuth, async (req, res) => {
+app.all('/api/relay/*', requireResourceScope('relay'), async (req, res) => {
   try {
     const path = req.path.replace('/api/relay', '');
     const url = `${RELAY_URL}${path}`;
@@ -281,9 +286,36 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🚀 YouAndINotAI API Server running on port ${PORT}`);
   logger.info(`Service: Royalty Deck of Hearts Backend`);
+
+  // Close Free DAO proposals whose voting window has ended
+  startProposalScheduler();
+
+  // Sign a checkpoint of the revenue ledger head for each completed UTC day
+  startCheckpointScheduler();
+
+  // Retry Square webhook events whose handlers failed
+  startWebhookRetryScheduler();
+
+  // Escalate minor reports nobody responded to within the SLA
+  startModerationSlaScheduler();
+
+  // Screen dating messages whose post-delivery AI check did not complete
+  startMessageScreeningScheduler();
+
+  // Revoke premium features once a cancelled or unpaid subscription's period ends
+  startEntitlementExpiryScheduler();
+
+  // Approve affiliate commissions once their refund hold period is over
+  startCommissionApprovalScheduler();
+
+  // Generate last month's affiliate payout batch on the payout day
+  startAffiliatePayoutScheduler();
 });
 
+// Real-time dating messages, read receipts and typing over WebSocket (/api/dating/ws)
+attachRealtimeGateway(server);
+
 export default app;
@@ -0,0 +1,290 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ACCESS CONTROL SERVICE - Staff roles, scoped API keys, denial audit
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Replaces the single shared API_KEY and the ADMIN_EMAILS list.
+ *
+ * - Staff roles live on DatingUser.roles and expand to scopes
+ * - Integrations get named API keys with their own scopes (hashed at rest)
+ * - Scopes are "<resource>:<read|write>"; "<resource>:*" and "*" are wildcards
+ * - Every denial is written to ComplianceAudit (auditType "access_control")
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { hashData } from '../utils/encryption.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROLES & SCOPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const RESOURCES = Object.freeze([
+  'access',        // Managing roles and API keys
+  'admin',
+  'affiliates',
+  'campaign',
+  'community',
+  'compliance',    // Consent / age verification records and regulator exports
+  'dao',
+  'dating',
+  'droid',
+  'finance',       // Affiliate payouts, commission review and rate schedules
+  'infra',
+  'jules',
+  'merch',
+  'moderation',
+  'payments',
+  'relay',
+  'subscriptions'
+]);
+
+export const ROLE_SCOPES = Object.freeze({
+  ADMIN: ['*'],
+  FINANCE: [
+    'payments:*', 'subscriptions:*', 'dao:*', 'affiliates:*', 'finance:*', 'merch:*', 'infra:*',
+    'campaign:read', 'admin:read'
+  ],
+  MODERATOR: ['moderation:*', 'community:*', 'dating:read', 'admin:read'],
+  SUPPORT: [
+    'admin:read', 'dating:read', 'payments:read', 'subscriptions:read',
+    'merch:read', 'affiliates:read', 'moderation:read'
+  ],
+  DROID_OPERATOR: ['droid:*', 'jules:*', 'campaign:*', 'relay:*']
+});
+
+const API_KEY_PREFIX = 'yai';
+
+/**
+ * Check whether a granted scope list covers a required scope
+ */
+export function hasScope(granted, required) {
+  const [resource] = required.split(':');
+  return granted.some(scope =>
+    scope === '*' || scope === required || scope === `${resource}:*`
+  );
+}
+
+/**
+ * Expand roles into their combined scope list
+ */
+export function scopesForRoles(roles = []) {
+  return [...new Set(roles.flatMap(role => ROLE_SCOPES[role] || []))];
+}
+
+/**
+ * Reject scopes that do not name a known resource
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw Object.assign(new Error('At least one scope is required'), { status: 400 });
+  }
+
+  for (const scope of scopes) {
+    if (scope === '*') continue;
+    const [resource, level] = scope.split(':');
+    if (!RESOURCES.includes(resource) || !['read', 'write', '*'].includes(level)) {
+      throw Object.assign(new Error(`Unknown scope: ${scope}`), { status: 400 });
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// API KEYS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create a named API key. The plaintext key is only returned here.
+ */
+export async function createApiKey({ name, scopes, expiresAt = null, createdBy = null }) {
+  if (!name) {
+    throw Object.assign(new Error('Key name is required'), { status: 400 });
+  }
+  validateScopes(scopes);
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${API_KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  try {
+    const record = await prisma.apiKey.create({
+      data: {
+        name,
+        prefix,
+        keyHash: hashApiKey(key),
+        scopes,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        createdBy
+      }
+    });
+
+    return { key, apiKey: toPublicKey(record) };
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw Object.assign(new Error('An API key with that name already exists'), { status: 409 });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve a presented key to its record, or null if unknown/revoked/expired
+ */
+export async function resolveApiKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(`${API_KEY_PREFIX}_`)) {
+    return null;
+  }
+
+  const record = await prisma.apiKey.findUnique({ where: { keyHash: hashApiKey(key) } });
+  if (!record || record.revokedAt || (record.expiresAt && record.expiresAt < new Date())) {
+    return null;
+  }
+
+  // Best-effort usage tracking; never block the request on it
+  prisma.apiKey.update({ where: { id: record.id }, data: { lastUsedAt: new Date() } })
+    .catch(error => console.error('Failed to update API key usage:', error.message));
+
+  return record;
+}
+
+export async function listApiKeys() {
+  const keys = await prisma.apiKey.findMany({ orderBy: { createdAt: 'desc' } });
+  return keys.map(toPublicKey);
+}
+
+export async function revokeApiKey(id) {
+  const { count } = await prisma.apiKey.updateMany({
+    where: { id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error('API key not found or already revoked'), { status: 404 });
+  }
+  return { success: true };
+}
+
+function toPublicKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: `${API_KEY_PREFIX}_${record.prefix}`,
+    scopes: record.scopes,
+    createdAt: record.createdAt,
+    createdBy: record.createdBy,
+    lastUsedAt: record.lastUsedAt,
+    expiresAt: record.expiresAt,
+    revokedAt: record.revokedAt
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STAFF ROLES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Replace a user's staff roles
+ */
+export async function setUserRoles(userId, roles) {
+  const unknown = roles.filter(role => !ROLE_SCOPES[role]);
+  if (unknown.length > 0) {
+    throw Object.assign(new Error(`Unknown role(s): ${unknown.join(', ')}`), { status: 400 });
+  }
+
+  try {
+    const user = await prisma.datingUser.update({
+      where: { id: userId },
+      data: { roles: { set: roles } },
+      select: { id: true, email: true, roles: true }
+    });
+    return user;
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+    throw error;
+  }
+}
+
+export async function getUserRoles(userId) {
+  const user = await prisma.datingUser.findUnique({
+    where: { id: userId },
+    select: { roles: true, status: true }
+  });
+  if (!user || user.status === 'BANNED' || user.status === 'DELETED' || user.status === 'SUSPENDED') {
+    return [];
+  }
+  return user.roles;
+}
+
+export async function listStaff() {
+  return prisma.datingUser.findMany({
+    where: { roles: { isEmpty: false } },
+    select: { id: true, email: true, displayName: true, roles: true, lastLoginAt: true },
+    orderBy: { email: 'asc' }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUDIT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Record an access denial in ComplianceAudit
+ */
+export async function recordAccessDenial({ req, principal, required, reason }) {
+  try {
+    await prisma.complianceAudit.create({
+      data: {
+        auditType: 'access_control',
+        action: 'denied',
+        userId: principal?.type === 'user' ? principal.id : null,
+        ipHash: req.ip && process.env.SALT ? hashData(req.ip) : null,
+        success: false,
+        errorMessage: reason,
+        details: {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          required,
+          principal: principal
+            ? { type: principal.type, id: principal.id, name: principal.name }
+            : null,
+          timestamp: new Date().toISOString()
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record access denial:', error.message);
+  }
+}
+
+export async function listAccessDenials({ limit = 100, since } = {}) {
+  return prisma.complianceAudit.findMany({
+    where: {
+      auditType: 'access_control',
+      action: 'denied',
+      ...(since && { createdAt: { gte: new Date(since) } })
+    },
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(limit, 500)
+  });
+}
+
+export default {
+  RESOURCES,
+  ROLE_SCOPES,
+  hasScope,
+  scopesForRoles,
+  createApiKey,
+  resolveApiKey,
+  listApiKeys,
+  revokeApiKey,
+  setUserRoles,
+  getUserRoles,
+  listStaff,
+  recordAccessDenial,
+  listAccessDenials
+};
@@ -0,0 +1,489 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AFFILIATE ATTRIBUTION - Which affiliate earns from a purchase
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - Every /track/:code visit is a touch (AffiliateReferral) carrying the
+ *   visitor's first-party visitorId; identifyVisitor() adds the customer's
+ *   email, account id or checkout order once they are known
+ * - recordConversion() - called by /convert and by the Square payment
+ *   webhooks - credits the touches for the same session, visitor, order,
+ *   email or customer id made within ATTRIBUTION_POLICY.windowDays before
+ *   the purchase:
+ *     first-touch → the earliest touch earns the whole commission
+ *     last-touch  → the latest touch does
+ *     time-decay  → every affiliate touched earns a share; each touch
+ *                   weighs 2^(-age / halfLifeDays)
+ * - Conversions are idempotent on orderId: an order converts once, whichever
+ *   path reports it first
+ * - Fraud signals (self-referral by email or IP, instant conversions, cookie
+ *   stuffing, conversion velocity) put the commission on HOLD until it is
+ *   released or rejected; held commissions are never paid out
+ * - Rates, the refund hold period and reversals live in
+ *   services/affiliate-commissions.js
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { hashData } from '../utils/encryption.js';
+import { allocateRevenue, policyForSource } from './split-policy.js';
+import { resolveCommissionRate, holdUntil, payableAmount } from './affiliate-commissions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ATTRIBUTION_MODELS = Object.freeze(['first-touch', 'last-touch', 'time-decay']);
+
+export const ATTRIBUTION_POLICY = Object.freeze({
+  model: ATTRIBUTION_MODELS.includes(process.env.AFFILIATE_ATTRIBUTION_MODEL)
+    ? process.env.AFFILIATE_ATTRIBUTION_MODEL
+    : 'last-touch',
+  windowDays: parseInt(process.env.AFFILIATE_WINDOW_DAYS) || 30,
+  halfLifeDays: parseInt(process.env.AFFILIATE_HALF_LIFE_DAYS) || 7,
+  minSecondsToConvert: parseInt(process.env.AFFILIATE_MIN_SECONDS_TO_CONVERT) || 10,
+  maxAffiliatesPerVisitor: parseInt(process.env.AFFILIATE_MAX_AFFILIATES_PER_VISITOR) || 3,
+  velocityWindowMinutes: parseInt(process.env.AFFILIATE_VELOCITY_WINDOW_MINUTES) || 60,
+  velocityMaxConversions: parseInt(process.env.AFFILIATE_VELOCITY_MAX_CONVERSIONS) || 10
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const round2 = value => Math.round(value * 100) / 100;
+
+export function hashIp(ip) {
+  return ip && process.env.SALT ? hashData(ip) : null;
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+/**
+ * Mailbox an address delivers to, for self-referral checks:
+ * "Jo.Smith+promo@gmail.com" and "josmith@googlemail.com" are the same person
+ */
+function mailbox(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized?.includes('@')) return normalized;
+
+  let [local, domain] = normalized.split('@');
+  local = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return `${local}@${domain}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TOUCHES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Record a visit through an affiliate link
+ * @returns {Promise<object>} the AffiliateReferral, with sessionId and visitorId
+ */
+export async function recordTouch({ code, visitorId, customerEmail, customerId, ip, userAgent, source, metadata }) {
+  const affiliate = await prisma.affiliate.findUnique({ where: { code } });
+  if (!affiliate) {
+    throw Object.assign(new Error('Invalid affiliate code'), { status: 404 });
+  }
+  if (affiliate.status !== 'ACTIVE') {
+    throw Object.assign(new Error('Affiliate account is not active'), { status: 400 });
+  }
+
+  return prisma.affiliateReferral.create({
+    data: {
+      affiliateId: affiliate.id,
+      sessionId: crypto.randomUUID(),
+      visitorId: visitorId || crypto.randomUUID(),
+      customerEmail: normalizeEmail(customerEmail),
+      customerId: customerId || null,
+      ipHash: hashIp(ip),
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+      source: source || 'direct',
+      metadata: metadata || null
+    }
+  });
+}
+
+/**
+ * Attach what we learn about a visitor (email, account, checkout order) to
+ * their unconverted touches, so a later payment can be matched to them
+ */
+export async function identifyVisitor({ visitorId, sessionId, customerEmail, customerId, orderId }) {
+  if (!visitorId && !sessionId) {
+    throw Object.assign(new Error('visitorId or sessionId is required'), { status: 400 });
+  }
+  if (!customerEmail && !customerId && !orderId) {
+    throw Object.assign(new Error('customerEmail, customerId or orderId is required'), { status: 400 });
+  }
+
+  const { count } = await prisma.affiliateReferral.updateMany({
+    where: {
+      OR: [visitorId && { visitorId }, sessionId && { sessionId }].filter(Boolean),
+      isConverted: false
+    },
+    data: {
+      ...(customerEmail && { customerEmail: normalizeEmail(customerEmail) }),
+      ...(customerId && { customerId }),
+      ...(orderId && { orderId })
+    }
+  });
+  return { linked: count };
+}
+
+/**
+ * Touches by active affiliates that could be credited with a purchase at `at`.
+ * A matched touch brings in every other touch from the same visitor.
+ */
+async function findTouches({ sessionId, visitorId, orderId, customerEmail, customerId, at }) {
+  const identities = [
+    sessionId && { sessionId },
+    visitorId && { visitorId },
+    orderId && { orderId },
+    customerEmail && { customerEmail: normalizeEmail(customerEmail) },
+    customerId && { customerId }
+  ].filter(Boolean);
+  if (identities.length === 0) return [];
+
+  const query = OR => prisma.affiliateReferral.findMany({
+    where: {
+      OR,
+      createdAt: { gte: new Date(at.getTime() - ATTRIBUTION_POLICY.windowDays * DAY_MS), lte: at },
+      affiliate: { status: 'ACTIVE' }
+    },
+    include: { affiliate: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const touches = await query(identities);
+  const visitors = [...new Set(touches.map(touch => touch.visitorId).filter(Boolean))]
+    .filter(id => id !== visitorId);
+  return visitors.length > 0
+    ? query([...identities, { visitorId: { in: visitors } }])
+    : touches;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ATTRIBUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Credit touches with a purchase at `at`
+ * @returns {Array<{ touch, weight }>} one entry per credited affiliate;
+ *   weights add up to 1 (to four decimals)
+ */
+export function attribute(touches, model = ATTRIBUTION_POLICY.model, at = new Date()) {
+  if (touches.length === 0) return [];
+
+  const sorted = [...touches].sort((a, b) => a.createdAt - b.createdAt);
+  if (model === 'first-touch') return [{ touch: sorted[0], weight: 1 }];
+  if (model === 'last-touch') return [{ touch: sorted[sorted.length - 1], weight: 1 }];
+
+  // time-decay: an affiliate's share is the decayed weight of all its
+  // touches; its latest touch is the referral credited
+  const byAffiliate = new Map();
+  for (const touch of sorted) {
+    const ageDays = Math.max(0, at - touch.createdAt) / DAY_MS;
+    const weight = Math.pow(2, -ageDays / ATTRIBUTION_POLICY.halfLifeDays);
+    const previous = byAffiliate.get(touch.affiliateId)?.weight || 0;
+    byAffiliate.set(touch.affiliateId, { touch, weight: previous + weight });
+  }
+
+  const total = [...byAffiliate.values()].reduce((sum, entry) => sum + entry.weight, 0);
+  return [...byAffiliate.values()].map(({ touch, weight }) => ({
+    touch,
+    weight: Math.round((weight / total) * 10000) / 10000
+  }));
+}
+
+/**
+ * Reasons to hold a commission for review
+ * @returns {Promise<Array<{ signal, detail }>>}
+ */
+async function fraudSignals({ affiliate, touch, touches, conversion }) {
+  const signals = [];
+
+  const buyer = mailbox(conversion.customerEmail);
+  if (buyer && [affiliate.email, affiliate.paymentEmail].some(email => mailbox(email) === buyer)) {
+    signals.push({ signal: 'self_referral_email', detail: 'Buyer email matches the affiliate account' });
+  }
+
+  if (affiliate.signupIpHash && [conversion.ipHash, touch.ipHash].includes(affiliate.signupIpHash)) {
+    signals.push({ signal: 'self_referral_ip', detail: 'Same IP the affiliate signed up from' });
+  }
+
+  const seconds = (conversion.occurredAt - touch.createdAt) / 1000;
+  if (seconds < ATTRIBUTION_POLICY.minSecondsToConvert) {
+    signals.push({ signal: 'instant_conversion', detail: `Purchased ${Math.round(seconds)}s after the touch` });
+  }
+
+  const affiliatesTouched = new Set(touches.map(t => t.affiliateId)).size;
+  if (affiliatesTouched >= ATTRIBUTION_POLICY.maxAffiliatesPerVisitor) {
+    signals.push({ signal: 'cookie_stuffing', detail: `${affiliatesTouched} affiliates touched this buyer within the window` });
+  }
+
+  const recent = await prisma.affiliateCommission.count({
+    where: {
+      affiliateId: affiliate.id,
+      createdAt: { gte: new Date(Date.now() - ATTRIBUTION_POLICY.velocityWindowMinutes * 60 * 1000) }
+    }
+  });
+  if (recent >= ATTRIBUTION_POLICY.velocityMaxConversions) {
+    signals.push({
+      signal: 'conversion_velocity',
+      detail: `${recent} conversions in the last ${ATTRIBUTION_POLICY.velocityWindowMinutes} minutes`
+    });
+  }
+
+  return signals;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONVERSIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function existingConversion(orderId) {
+  const conversion = await prisma.affiliateConversion.findUnique({
+    where: { orderId },
+    include: { commissions: true }
+  });
+  return conversion && { conversion, commissions: conversion.commissions, duplicate: true };
+}
+
+/**
+ * Attribute a purchase and create the commissions it earns
+ * @param {Object} purchase
+ * @param {string} purchase.orderId - Idempotency key
+ * @param {number} purchase.amount - Gross amount in dollars
+ * @param {string} [purchase.source] - Where the purchase was reported from; picks the split policy
+ * @param {string} [purchase.policy] - Split policy, overriding the source's
+ * @param {string} [purchase.model] - Attribution model (default ATTRIBUTION_POLICY.model)
+ * @param {string} [purchase.sessionId|visitorId|customerEmail|customerId] - Who bought
+ * @param {string} [purchase.ip] - Buyer IP, for the self-referral check
+ * @param {string} [purchase.paymentId] - Processor payment, for refund matching
+ * @param {string} [purchase.sku] - Product bought, for per-product rate schedules
+ * @param {Date|string} [purchase.occurredAt] - When the purchase happened
+ * @param {number} [purchase.processingFee|cogs|shipping] - Passed to allocateRevenue
+ * @returns {Promise<{ conversion, commissions, duplicate }>}
+ */
+export async function recordConversion({
+  orderId,
+  amount,
+  source = 'api',
+  policy,
+  model = ATTRIBUTION_POLICY.model,
+  sessionId,
+  visitorId,
+  customerEmail,
+  customerId,
+  ip,
+  paymentId,
+  sku,
+  occurredAt = new Date(),
+  processingFee,
+  cogs,
+  shipping,
+  transactionId,
+  subscriptionId
+}) {
+  if (!orderId) {
+    throw Object.assign(new Error('orderId is required'), { status: 400 });
+  }
+  const revenueAmount = parseFloat(amount);
+  if (isNaN(revenueAmount) || revenueAmount <= 0) {
+    throw Object.assign(new Error('amount must be a positive number'), { status: 400 });
+  }
+  if (!ATTRIBUTION_MODELS.includes(model)) {
+    throw Object.assign(new Error(`model must be one of: ${ATTRIBUTION_MODELS.join(', ')}`), { status: 400 });
+  }
+
+  const duplicate = await existingConversion(orderId);
+  if (duplicate) return duplicate;
+
+  const at = new Date(occurredAt);
+  const email = normalizeEmail(customerEmail);
+  const ipHash = hashIp(ip);
+  const touches = await findTouches({ sessionId, visitorId, orderId, customerEmail: email, customerId, at });
+
+  // Each credited affiliate earns their rate scaled by their share
+  const credited = [];
+  for (const { touch, weight } of attribute(touches, model, at)) {
+    const { rate, scheduleId } = await resolveCommissionRate(touch.affiliate, { sku, at });
+    const allocation = allocateRevenue({
+      policy: policy || policyForSource(source),
+      amount: revenueAmount,
+      occurredAt: at,
+      processingFee,
+      cogs,
+      shipping,
+      commissionRate: rate * weight
+    });
+    const signals = await fraudSignals({
+      affiliate: touch.affiliate,
+      touch,
+      touches,
+      conversion: { customerEmail: email, ipHash, occurredAt: at }
+    });
+    credited.push({ touch, weight, rate, scheduleId, allocation, signals });
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const conversion = await tx.affiliateConversion.create({
+        data: {
+          orderId,
+          paymentId: paymentId || null,
+          productSku: sku || null,
+          source,
+          revenueAmount,
+          customerEmail: email,
+          customerId: customerId || null,
+          ipHash,
+          occurredAt: at,
+          attributionModel: model
+        }
+      });
+
+      const commissions = [];
+      for (const { touch, weight, rate, scheduleId, allocation, signals } of credited) {
+        const held = signals.length > 0;
+        const commissionAmount = allocation.commission?.amount ?? 0;
+        const attributedRevenue = round2(revenueAmount * weight);
+
+        commissions.push(await tx.affiliateCommission.create({
+          data: {
+            affiliateId: touch.affiliateId,
+            referralId: touch.id,
+            conversionId: conversion.id,
+            attributionWeight: weight,
+            orderId,
+            transactionId: transactionId || null,
+            subscriptionId: subscriptionId || null,
+            revenueAmount,
+            netRevenue: allocation.net,
+            commissionRate: rate,
+            commissionAmount,
+            splitPolicy: allocation.version,
+            rateScheduleId: scheduleId,
+            charityImpact: round2((allocation.treasury?.amount || 0) * weight),
+            status: held ? 'HELD' : 'PENDING',
+            holdUntil: holdUntil(at),
+            fraudSignals: held ? signals : undefined
+          }
+        }));
+
+        await tx.affiliateReferral.update({
+          where: { id: touch.id },
+          data: {
+            isConverted: true,
+            convertedAt: at,
+            customerEmail: touch.customerEmail || email,
+            customerId: touch.customerId || customerId || null,
+            totalRevenue: { increment: attributedRevenue },
+            orderCount: { increment: 1 }
+          }
+        });
+
+        // Held commissions count towards the total once released
+        await tx.affiliate.update({
+          where: { id: touch.affiliateId },
+          data: {
+            totalReferrals: { increment: 1 },
+            totalRevenue: { increment: attributedRevenue },
+            ...(!held && { totalCommission: { increment: commissionAmount } })
+          }
+        });
+
+        if (held) {
+          console.warn(`⚠️ Affiliate commission held for review (${touch.affiliate.code}, order ${orderId}):`,
+            signals.map(s => s.signal).join(', '));
+        }
+      }
+
+      return { conversion, commissions, duplicate: false };
+    });
+  } catch (error) {
+    // Another report of the same order won the race
+    if (error.code === 'P2002') {
+      const existing = await existingConversion(orderId);
+      if (existing) return existing;
+    }
+    throw error;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REVIEW
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function listHeldCommissions({ limit = 50 } = {}) {
+  return prisma.affiliateCommission.findMany({
+    where: { status: 'HELD' },
+    include: {
+      affiliate: { select: { id: true, code: true, name: true, email: true } },
+      conversion: true
+    },
+    orderBy: { createdAt: 'asc' },
+    take: Math.min(parseInt(limit) || 50, 200)
+  });
+}
+
+/**
+ * Release a held commission to be paid, or reject it
+ * @param {string} decision - 'release' | 'reject'
+ */
+export async function reviewCommission(id, { decision, note, actor }) {
+  if (!['release', 'reject'].includes(decision)) {
+    throw Object.assign(new Error("decision must be 'release' or 'reject'"), { status: 400 });
+  }
+  if (decision === 'reject' && !note) {
+    throw Object.assign(new Error('A note is required to reject a commission'), { status: 400 });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const commission = await tx.affiliateCommission.findUnique({ where: { id } });
+    if (!commission) {
+      throw Object.assign(new Error('Commission not found'), { status: 404 });
+    }
+
+    // Conditional on HELD so two reviewers can't both release it
+    const { count } = await tx.affiliateCommission.updateMany({
+      where: { id, status: 'HELD' },
+      data: {
+        status: decision === 'release' ? 'PENDING' : 'REJECTED',
+        reviewedAt: new Date(),
+        reviewedBy: actor || null,
+        reviewNote: note || null
+      }
+    });
+    if (count === 0) {
+      throw Object.assign(new Error('Commission is not held for review'), { status: 409 });
+    }
+
+    // Refunds while it was held are already in reversedAmount
+    if (decision === 'release') {
+      await tx.affiliate.update({
+        where: { id: commission.affiliateId },
+        data: { totalCommission: { increment: payableAmount(commission) } }
+      });
+    }
+
+    return tx.affiliateCommission.findUnique({ where: { id } });
+  });
+}
+
+export default {
+  ATTRIBUTION_MODELS,
+  ATTRIBUTION_POLICY,
+  hashIp,
+  recordTouch,
+  identifyVisitor,
+  attribute,
+  recordConversion,
+  listHeldCommissions,
+  reviewCommission
+};
@@ -0,0 +1,348 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AFFILIATE COMMISSIONS - Rates, hold period, refunds and clawbacks
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Lifecycle of an AffiliateCommission:
+ *
+ *   PENDING ──(holdUntil passes)──▶ APPROVED ──(payout sent)──▶ PAID
+ *      │  ▲                            │                         │
+ *      │  └─ HELD (fraud review) ──▶ REJECTED                    │
+ *      └────────────(refund / chargeback)──────────────▶ REVERSED ◀┘
+ *
+ * - Commissions start PENDING for COMMISSION_POLICY.holdDays (the refund
+ *   window); the approval scheduler moves them to APPROVED, and only
+ *   APPROVED commissions are paid out
+ * - Square refunds and lost disputes (square-event-handlers.js) reverse the
+ *   commissions on the refunded payment, pro rata for partial refunds. A
+ *   reversal of a commission that is already paid out (or in a payout) adds
+ *   to Affiliate.clawbackBalance, which the next payout deducts
+ * - Rates come from AffiliateRateSchedule tiers - the most specific schedule
+ *   in effect (affiliate + product, affiliate, product, program-wide) picks
+ *   the tier the affiliate's volume this month has reached. Without a
+ *   schedule the affiliate's flat commissionRate applies.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const APPROVAL_SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+export const COMMISSION_POLICY = Object.freeze({
+  holdDays: parseInt(process.env.COMMISSION_HOLD_DAYS) || 30
+});
+
+// Statuses included in Affiliate.totalCommission
+const COUNTED_STATUSES = ['PENDING', 'APPROVED', 'PAID'];
+
+let approvalHandle = null;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function startOfUtcMonth(at) {
+  return new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1));
+}
+
+export function holdUntil(at = new Date()) {
+  return new Date(new Date(at).getTime() + COMMISSION_POLICY.holdDays * DAY_MS);
+}
+
+/**
+ * What is still owed on a commission after reversals
+ */
+export function payableAmount(commission) {
+  return round2(Number(commission.commissionAmount) - Number(commission.reversedAmount || 0));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RATE SCHEDULES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @throws {Error} 400 unless tiers is [{ from, rate }, ...] starting at 0 with
+ *   increasing `from` and rates between 0 and 100
+ */
+export function validateTiers(tiers) {
+  const invalid = message => Object.assign(new Error(`Invalid tiers: ${message}`), { status: 400 });
+
+  if (!Array.isArray(tiers) || tiers.length === 0) throw invalid('at least one tier is required');
+  tiers.forEach((tier, index) => {
+    if (typeof tier?.from !== 'number' || typeof tier?.rate !== 'number') {
+      throw invalid('every tier needs a numeric from and rate');
+    }
+    if (tier.rate < 0 || tier.rate > 100) throw invalid('rate must be between 0 and 100');
+    if (index === 0 && tier.from !== 0) throw invalid('the first tier must start from 0');
+    if (index > 0 && tier.from <= tiers[index - 1].from) throw invalid('from must increase tier by tier');
+  });
+  return tiers.map(({ from, rate }) => ({ from, rate }));
+}
+
+export async function createRateSchedule({ name, affiliateId, productSku, basis = 'MONTHLY_REVENUE', tiers, effectiveFrom, effectiveTo, createdBy }) {
+  if (!name) {
+    throw Object.assign(new Error('name is required'), { status: 400 });
+  }
+  if (!['MONTHLY_REVENUE', 'MONTHLY_CONVERSIONS'].includes(basis)) {
+    throw Object.assign(new Error('basis must be MONTHLY_REVENUE or MONTHLY_CONVERSIONS'), { status: 400 });
+  }
+
+  return prisma.affiliateRateSchedule.create({
+    data: {
+      name,
+      affiliateId: affiliateId || null,
+      productSku: productSku || null,
+      basis,
+      tiers: validateTiers(tiers),
+      effectiveFrom: effectiveFrom ? new Date(effectiveFrom) : new Date(),
+      effectiveTo: effectiveTo ? new Date(effectiveTo) : null,
+      createdBy: createdBy || null
+    }
+  });
+}
+
+export function listRateSchedules({ affiliateId, includeEnded = false } = {}) {
+  return prisma.affiliateRateSchedule.findMany({
+    where: {
+      ...(affiliateId && { affiliateId }),
+      ...(!includeEnded && { OR: [{ effectiveTo: null }, { effectiveTo: { gt: new Date() } }] })
+    },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+}
+
+/**
+ * End a schedule now. Schedules are never edited, so past rates stay explainable.
+ */
+export async function endRateSchedule(id) {
+  const schedule = await prisma.affiliateRateSchedule.findUnique({ where: { id } });
+  if (!schedule) {
+    throw Object.assign(new Error('Rate schedule not found'), { status: 404 });
+  }
+  if (schedule.effectiveTo && schedule.effectiveTo <= new Date()) {
+    throw Object.assign(new Error('Rate schedule has already ended'), { status: 409 });
+  }
+  return prisma.affiliateRateSchedule.update({ where: { id }, data: { effectiveTo: new Date() } });
+}
+
+/**
+ * The affiliate's volume this month before a sale at `at`
+ */
+async function monthlyVolume(affiliateId, basis, at) {
+  const commissions = await prisma.affiliateCommission.findMany({
+    where: {
+      affiliateId,
+      createdAt: { gte: startOfUtcMonth(at), lte: at },
+      status: { notIn: ['REVERSED', 'REJECTED'] }
+    },
+    select: { revenueAmount: true, attributionWeight: true }
+  });
+
+  return basis === 'MONTHLY_CONVERSIONS'
+    ? commissions.length
+    : commissions.reduce((sum, c) => sum + Number(c.revenueAmount) * Number(c.attributionWeight ?? 1), 0);
+}
+
+/**
+ * Commission rate for an affiliate's sale
+ * @returns {Promise<{ rate: number, scheduleId: string|null }>}
+ */
+export async function resolveCommissionRate(affiliate, { sku, at = new Date() } = {}) {
+  const schedules = await prisma.affiliateRateSchedule.findMany({
+    where: {
+      AND: [
+        { OR: [{ affiliateId: affiliate.id }, { affiliateId: null }] },
+        { OR: [{ productSku: sku || null }, { productSku: null }] },
+        { effectiveFrom: { lte: at } },
+        { OR: [{ effectiveTo: null }, { effectiveTo: { gt: at } }] }
+      ]
+    }
+  });
+
+  const specificity = schedule => (schedule.affiliateId ? 2 : 0) + (schedule.productSku ? 1 : 0);
+  const [schedule] = schedules.sort((a, b) =>
+    specificity(b) - specificity(a) || b.effectiveFrom - a.effectiveFrom
+  );
+  if (!schedule) {
+    return { rate: Number(affiliate.commissionRate), scheduleId: null };
+  }
+
+  const volume = await monthlyVolume(affiliate.id, schedule.basis, at);
+  const tier = [...schedule.tiers].reverse().find(t => volume >= t.from) || schedule.tiers[0];
+  return { rate: tier.rate, scheduleId: schedule.id };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// APPROVAL
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Approve PENDING commissions whose hold period is over
+ * @returns {Promise<number>} commissions approved
+ */
+export async function approveDueCommissions(now = new Date()) {
+  const { count } = await prisma.affiliateCommission.updateMany({
+    where: { status: 'PENDING', holdUntil: { lte: now } },
+    data: { status: 'APPROVED', approvedAt: now }
+  });
+  if (count > 0) {
+    console.log(`✅ Approved ${count} affiliate commission(s) past their hold period`);
+  }
+  return count;
+}
+
+/**
+ * Periodically approve commissions. Safe to run on every instance.
+ */
+export function startCommissionApprovalScheduler(intervalMs = APPROVAL_SCHEDULER_INTERVAL_MS) {
+  if (approvalHandle) return approvalHandle;
+
+  const tick = () => approveDueCommissions().catch(error =>
+    console.error('Commission approval scheduler error:', error.message)
+  );
+
+  tick();
+  approvalHandle = setInterval(tick, intervalMs);
+  approvalHandle.unref();
+  return approvalHandle;
+}
+
+export function stopCommissionApprovalScheduler() {
+  clearInterval(approvalHandle);
+  approvalHandle = null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REVERSALS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Take `fraction` of a commission back. Idempotent per externalId.
+ * @returns {Promise<object|null>} the reversal, or null if nothing was reversed
+ */
+async function reverseOne(commissionId, { externalId, reason, fraction, note, createdBy }) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const already = await tx.affiliateCommissionReversal.findUnique({
+        where: { externalId_commissionId: { externalId, commissionId } }
+      });
+      if (already) return null;
+
+      const commission = await tx.affiliateCommission.findUnique({ where: { id: commissionId } });
+      if (!commission || ['REVERSED', 'REJECTED'].includes(commission.status)) return null;
+
+      const remaining = payableAmount(commission);
+      const amount = fraction >= 1
+        ? remaining
+        : Math.min(remaining, round2(Number(commission.commissionAmount) * fraction));
+      if (amount <= 0) return null;
+
+      const fullyReversed = amount >= remaining;
+      const clawback = commission.status === 'PAID' || !!commission.payoutId;
+
+      const reversal = await tx.affiliateCommissionReversal.create({
+        data: { commissionId, affiliateId: commission.affiliateId, externalId, reason, amount, clawback, note: note || null, createdBy: createdBy || null }
+      });
+
+      await tx.affiliateCommission.update({
+        where: { id: commissionId },
+        data: {
+          reversedAmount: { increment: amount },
+          ...(fullyReversed && { status: 'REVERSED', reversedAt: new Date() })
+        }
+      });
+
+      await tx.affiliate.update({
+        where: { id: commission.affiliateId },
+        data: {
+          ...(COUNTED_STATUSES.includes(commission.status) && { totalCommission: { decrement: amount } }),
+          ...(clawback && { clawbackBalance: { increment: amount } })
+        }
+      });
+
+      return reversal;
+    });
+  } catch (error) {
+    // A concurrent delivery of the same refund got there first
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+}
+
+/**
+ * Reverse the commissions earned on a refunded or charged-back payment
+ * @param {Object} refund
+ * @param {string} refund.externalId - "refund:<id>" / "dispute:<id>" - reversals are idempotent on it
+ * @param {string} [refund.paymentId] - Processor payment
+ * @param {string} [refund.orderId] - Order the conversion was recorded under
+ * @param {number} [refund.amount] - Refunded amount in dollars (default: all of it)
+ * @param {string} refund.reason - 'refund' | 'chargeback'
+ */
+export async function reverseForRefund({ externalId, paymentId, orderId, amount, reason }) {
+  const identities = [paymentId && { paymentId }, orderId && { orderId }].filter(Boolean);
+  if (identities.length === 0) return { skipped: 'no_payment' };
+
+  const conversion = await prisma.affiliateConversion.findFirst({
+    where: { OR: identities },
+    include: { commissions: true }
+  });
+  if (!conversion || conversion.commissions.length === 0) {
+    return { skipped: 'not_attributed' };
+  }
+
+  const revenue = Number(conversion.revenueAmount);
+  const fraction = amount == null || revenue <= 0 ? 1 : Math.min(1, parseFloat(amount) / revenue);
+
+  const reversals = [];
+  for (const commission of conversion.commissions) {
+    const reversal = await reverseOne(commission.id, { externalId, reason, fraction });
+    if (reversal) reversals.push(reversal);
+  }
+
+  if (reversals.length > 0) {
+    console.log(`↩️ Reversed ${reversals.length} affiliate commission(s) for ${externalId} (${reason})`);
+  }
+  return {
+    conversionId: conversion.id,
+    reversed: reversals.map(r => ({ commissionId: r.commissionId, amount: Number(r.amount), clawback: r.clawback }))
+  };
+}
+
+/**
+ * Reverse a commission in full by hand (refunds outside Square, goodwill, ...)
+ */
+export async function reverseCommission(id, { note, actor }) {
+  if (!note) {
+    throw Object.assign(new Error('A note is required to reverse a commission'), { status: 400 });
+  }
+
+  const commission = await prisma.affiliateCommission.findUnique({ where: { id } });
+  if (!commission) {
+    throw Object.assign(new Error('Commission not found'), { status: 404 });
+  }
+  if (['REVERSED', 'REJECTED'].includes(commission.status)) {
+    throw Object.assign(new Error(`Commission is already ${commission.status.toLowerCase()}`), { status: 409 });
+  }
+
+  await reverseOne(id, { externalId: `manual:${id}`, reason: 'manual', fraction: 1, note, createdBy: actor });
+  return prisma.affiliateCommission.findUnique({ where: { id }, include: { reversals: true } });
+}
+
+export default {
+  COMMISSION_POLICY,
+  holdUntil,
+  payableAmount,
+  validateTiers,
+  createRateSchedule,
+  listRateSchedules,
+  endRateSchedule,
+  resolveCommissionRate,
+  approveDueCommissions,
+  startCommissionApprovalScheduler,
+  stopCommissionApprovalScheduler,
+  reverseForRefund,
+  reverseCommission
+};
@@ -0,0 +1,165 @@
+/**
+ * Payout export files, for paying a batch by upload instead of through a
+ * provider:
+ *
+ *   paypal-csv - PayPal Payouts bulk upload: one row per email payout,
+ *                no header (recipient, amount, currency, reference, note, wallet)
+ *   nacha      - ACH credit file (NACHA, PPD credits) for bank payouts;
+ *                the originator comes from the NACHA_* environment variables
+ *
+ * Payouts a format can't carry (no email, no valid bank account) are left
+ * out and reported as skipped.
+ */
+
+const RECORD_LENGTH = 94;
+const BLOCKING_FACTOR = 10;
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCents = amount => Math.round(Number(amount) * 100);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PAYPAL PAYOUTS CSV
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function buildPaypalCsv(payouts, { period, currency = 'USD' }) {
+  const rows = [];
+  const skipped = [];
+
+  for (const payout of payouts) {
+    if (payout.paymentMethod === 'bank' || !payout.paymentEmail) {
+      skipped.push({ payoutId: payout.id, reason: payout.paymentMethod === 'bank' ? 'bank payout' : 'no payment email' });
+      continue;
+    }
+    rows.push([
+      payout.paymentEmail,
+      (toCents(payout.payoutAmount) / 100).toFixed(2),
+      currency,
+      payout.id,
+      `Affiliate commissions ${period}`,
+      'PAYPAL'
+    ].map(csvField).join(','));
+  }
+
+  return { body: rows.length ? `${rows.join('\r\n')}\r\n` : '', count: rows.length, skipped };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NACHA (ACH)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const alpha = (value, length) => String(value ?? '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9 .,&'/-]/g, '')
+  .slice(0, length)
+  .padEnd(length, ' ');
+
+const numeric = (value, length) => String(value).padStart(length, '0').slice(-length);
+
+const yymmdd = date => date.toISOString().slice(2, 10).replace(/-/g, '');
+
+/**
+ * ABA routing number checksum
+ */
+export function isValidRoutingNumber(routing) {
+  if (!/^\d{9}$/.test(routing || '')) return false;
+  const d = routing.split('').map(Number);
+  return (3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8])) % 10 === 0;
+}
+
+function originator() {
+  return {
+    destination: process.env.NACHA_IMMEDIATE_DESTINATION || '',
+    destinationName: process.env.NACHA_DESTINATION_NAME || '',
+    origin: process.env.NACHA_IMMEDIATE_ORIGIN || '',
+    originName: process.env.NACHA_ORIGIN_NAME || '',
+    companyName: process.env.NACHA_COMPANY_NAME || process.env.NACHA_ORIGIN_NAME || '',
+    companyId: process.env.NACHA_COMPANY_ID || '',
+    odfi: (process.env.NACHA_ODFI_ROUTING || process.env.NACHA_IMMEDIATE_DESTINATION || '').slice(0, 8)
+  };
+}
+
+/**
+ * @param {Array} payouts - each with bankDetails { routingNumber, accountNumber, accountType, accountName }
+ */
+export function buildNachaFile(payouts, { period, effectiveDate = new Date(), createdAt = new Date() }) {
+  const origin = originator();
+  if (!isValidRoutingNumber(origin.destination) || !origin.origin || !origin.companyId) {
+    throw Object.assign(
+      new Error('NACHA export needs NACHA_IMMEDIATE_DESTINATION, NACHA_IMMEDIATE_ORIGIN and NACHA_COMPANY_ID'),
+      { status: 503 }
+    );
+  }
+
+  const entries = [];
+  const skipped = [];
+  for (const payout of payouts) {
+    const bank = payout.bankDetails;
+    if (payout.paymentMethod !== 'bank') {
+      skipped.push({ payoutId: payout.id, reason: 'not a bank payout' });
+    } else if (!isValidRoutingNumber(bank?.routingNumber) || !/^[0-9A-Za-z-]{1,17}$/.test(bank?.accountNumber || '')) {
+      skipped.push({ payoutId: payout.id, reason: 'invalid bank details' });
+    } else {
+      entries.push({ payout, bank });
+    }
+  }
+
+  const time = createdAt.toISOString().slice(11, 16).replace(':', '');
+  const records = [
+    // File header
+    '1' + '01' + ` ${numeric(origin.destination, 9)}` + origin.origin.slice(0, 10).padStart(10, ' ')
+      + yymmdd(createdAt) + time + 'A' + '094' + numeric(BLOCKING_FACTOR, 2) + '1'
+      + alpha(origin.destinationName, 23) + alpha(origin.originName, 23) + alpha(period, 8),
+    // Batch header - credits only, PPD
+    '5' + '220' + alpha(origin.companyName, 16) + alpha('', 20) + alpha(origin.companyId, 10) + 'PPD'
+      + alpha('COMMISSION', 10) + alpha(period.replace('-', ''), 6) + yymmdd(effectiveDate) + '   ' + '1'
+      + numeric(origin.odfi, 8) + numeric(1, 7)
+  ];
+
+  let entryHash = 0;
+  let totalCredit = 0;
+  entries.forEach(({ payout, bank }, index) => {
+    const cents = toCents(payout.payoutAmount);
+    entryHash += Number(bank.routingNumber.slice(0, 8));
+    totalCredit += cents;
+    records.push(
+      '6' + (bank.accountType === 'savings' ? '32' : '22') + bank.routingNumber
+        + alpha(bank.accountNumber, 17) + numeric(cents, 10)
+        + alpha(payout.affiliate?.code || payout.affiliateId, 15)
+        + alpha(bank.accountName || payout.affiliate?.name, 22) + '  ' + '0'
+        + numeric(origin.odfi, 8) + numeric(index + 1, 7)
+    );
+  });
+
+  const hash = numeric(entryHash, 10);
+  records.push(
+    // Batch control
+    '8' + '220' + numeric(entries.length, 6) + hash + numeric(0, 12) + numeric(totalCredit, 12)
+      + alpha(origin.companyId, 10) + alpha('', 19) + alpha('', 6) + numeric(origin.odfi, 8) + numeric(1, 7)
+  );
+
+  const blocks = Math.ceil((records.length + 1) / BLOCKING_FACTOR);
+  records.push(
+    // File control
+    '9' + numeric(1, 6) + numeric(blocks, 6) + numeric(entries.length, 8) + hash
+      + numeric(0, 12) + numeric(totalCredit, 12) + alpha('', 39)
+  );
+  while (records.length % BLOCKING_FACTOR !== 0) {
+    records.push('9'.repeat(RECORD_LENGTH));
+  }
+
+  const bad = records.find(record => record.length !== RECORD_LENGTH);
+  if (bad) {
+    throw new Error(`NACHA record is ${bad.length} characters, expected ${RECORD_LENGTH}: ${bad.slice(0, 1)}`);
+  }
+
+  return { body: `${records.join('\n')}\n`, count: entries.length, skipped };
+}
+
+export const EXPORT_FORMATS = Object.freeze({
+  'paypal-csv': { extension: 'csv', contentType: 'text/csv; charset=utf-8', build: buildPaypalCsv },
+  nacha: { extension: 'ach', contentType: 'text/plain; charset=us-ascii', build: buildNachaFile }
+});
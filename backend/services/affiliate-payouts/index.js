@@ -0,0 +1,640 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AFFILIATE PAYOUTS - Monthly batches, export files and payout providers
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ *   GENERATING ──▶ READY ──(send)──▶ SENDING ──▶ COMPLETED
+ *                    │                  │
+ *                    │                  ├──▶ SENT (provider still processing)
+ *                    │                  └──▶ PARTIALLY_FAILED ──(send again)──┐
+ *                    │                           ▲                            │
+ *                    └──(export file, paid by hand through completePayout)   ◀┘
+ *
+ * - One AffiliatePayoutBatch per UTC month, keyed by period ("2026-09").
+ *   Generating a period again returns the existing batch; a run that died
+ *   part way (still GENERATING) is resumed, and @@unique([batchId,
+ *   affiliateId]) keeps an affiliate from being paid twice in a batch
+ * - The scheduler generates last month's batch on PAYOUT_POLICY.payoutDay.
+ *   Sending stays an admin action
+ * - A batch is sent through a payout provider (providers.js) or exported
+ *   (exports.js) and settled payout by payout with completePayout(). Either
+ *   way a payout leaves PENDING/FAILED before it goes out, so it is never in
+ *   two files or in a file and a provider run
+ * - Bank details are sealed with utils/encryption.js before they are stored
+ *   on the affiliate and only opened to build a payout
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import sgMail from '@sendgrid/mail';
+import prisma from '../../prisma/client.js';
+import { encrypt, decrypt } from '../../utils/encryption.js';
+import { payableAmount } from '../affiliate-commissions.js';
+import { getPayoutProvider } from './providers.js';
+import { EXPORT_FORMATS, isValidRoutingNumber } from './exports.js';
+import { renderPayoutStatement, escapeHtml } from './statement.js';
+
+export { registerPayoutProvider, listPayoutProviders } from './providers.js';
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY || '');
+
+const PAYOUT_SCHEDULER_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+export const PAYOUT_POLICY = Object.freeze({
+  minimumPayout: parseFloat(process.env.AFFILIATE_MINIMUM_PAYOUT) || 50,
+  payoutDay: parseInt(process.env.AFFILIATE_PAYOUT_DAY) || 1,
+  currency: 'USD'
+});
+
+// Payouts still waiting for money to move
+const OPEN_PAYOUT_STATUSES = ['PENDING', 'PROCESSING', 'FAILED'];
+
+let payoutHandle = null;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function notFound(what = 'Payout') {
+  return Object.assign(new Error(`${what} not found`), { status: 404 });
+}
+
+/**
+ * "YYYY-MM" of the UTC month `at` falls in
+ */
+export function periodKey(at = new Date()) {
+  return at.toISOString().slice(0, 7);
+}
+
+function previousPeriod(now = new Date()) {
+  return periodKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)));
+}
+
+/**
+ * @throws {Error} 400 for a malformed period or a month that hasn't ended
+ */
+export function periodBounds(period, now = new Date()) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+    throw Object.assign(new Error('period must be YYYY-MM'), { status: 400 });
+  }
+  const [year, month] = period.split('-').map(Number);
+  const periodStart = new Date(Date.UTC(year, month - 1, 1));
+  const periodEnd = new Date(Date.UTC(year, month, 1) - 1);
+
+  if (periodEnd >= now) {
+    throw Object.assign(new Error(`Period ${period} has not ended yet`), { status: 400 });
+  }
+  return { periodStart, periodEnd };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BANK DETAILS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate and encrypt bank details for Affiliate.bankDetails. Only the last
+ * four digits of the account stay readable.
+ * @throws {Error} 400 for an invalid routing number, account number or type
+ */
+export function sealBankDetails({ routingNumber, accountNumber, accountType = 'checking', accountName }) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+
+  if (!isValidRoutingNumber(routingNumber)) throw invalid('Invalid routing number');
+  if (!/^\d{4,17}$/.test(accountNumber || '')) throw invalid('Account number must be 4-17 digits');
+  if (!['checking', 'savings'].includes(accountType)) throw invalid('accountType must be checking or savings');
+
+  const sealed = encrypt(JSON.stringify({ routingNumber, accountNumber, accountType, accountName: accountName || null }));
+  return { ...sealed, accountType, last4: accountNumber.slice(-4) };
+}
+
+/**
+ * @returns {Object|null} { routingNumber, accountNumber, accountType, accountName }
+ */
+export function openBankDetails(stored) {
+  if (!stored?.encrypted) return null;
+  try {
+    return JSON.parse(decrypt(stored.encrypted, stored.iv, stored.authTag));
+  } catch (error) {
+    console.error('Could not open affiliate bank details:', error.message);
+    return null;
+  }
+}
+
+function toProviderPayout(payout) {
+  return {
+    ...payout,
+    bankDetails: payout.paymentMethod === 'bank' ? openBankDetails(payout.affiliate?.bankDetails) : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function claimBatch(period, { periodStart, periodEnd }, actor) {
+  const existing = await prisma.affiliatePayoutBatch.findUnique({ where: { period } });
+  if (existing) return existing;
+
+  try {
+    return await prisma.affiliatePayoutBatch.create({
+      data: { period, periodStart, periodEnd, createdBy: actor || 'system' }
+    });
+  } catch (error) {
+    // Generated concurrently - the other run owns it
+    if (error.code === 'P2002') {
+      return prisma.affiliatePayoutBatch.findUnique({ where: { period } });
+    }
+    throw error;
+  }
+}
+
+/**
+ * One affiliate's payout for the batch, or null if under the minimum.
+ * The commissions were read before the transaction, so it fails (and rolls
+ * back) if any of them was reversed or claimed by another run since - the
+ * totals would be stale. Generating the period again picks up where it left off.
+ */
+async function createPayout(batch, affiliate) {
+  const commissionIds = affiliate.commissions.map(c => c.id);
+  const totalCommission = round2(affiliate.commissions.reduce((sum, c) => sum + payableAmount(c), 0));
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Clawbacks of reversed, already-paid commissions come off first; what
+      // this payout can't cover carries over to the next one. Read here, as a
+      // reversal may have added to the balance since the batch query
+      const { clawbackBalance } = await tx.affiliate.findUnique({
+        where: { id: affiliate.id },
+        select: { clawbackBalance: true }
+      });
+      const clawbackApplied = Math.min(parseFloat(clawbackBalance), totalCommission);
+      const payoutAmount = round2(totalCommission - clawbackApplied);
+
+      // Under the minimum: the commissions wait for next month's batch
+      if (payoutAmount < PAYOUT_POLICY.minimumPayout) return null;
+
+      const payout = await tx.affiliatePayout.create({
+        data: {
+          affiliateId: affiliate.id,
+          batchId: batch.id,
+          periodStart: batch.periodStart,
+          periodEnd: batch.periodEnd,
+          totalCommission,
+          clawbackApplied,
+          payoutAmount,
+          fees: 0,
+          paymentMethod: affiliate.paymentMethod,
+          paymentEmail: affiliate.paymentEmail,
+          status: 'PENDING',
+          processedBy: 'system'
+        }
+      });
+
+      const { count } = await tx.affiliateCommission.updateMany({
+        where: { id: { in: commissionIds }, status: 'APPROVED', payoutId: null },
+        data: { payoutId: payout.id }
+      });
+      if (count !== commissionIds.length) {
+        throw Object.assign(
+          new Error(`Commissions for affiliate ${affiliate.id} changed while batch ${batch.period} was generated - generate it again`),
+          { status: 409 }
+        );
+      }
+
+      if (clawbackApplied > 0) {
+        await tx.affiliate.update({
+          where: { id: affiliate.id },
+          data: { clawbackBalance: { decrement: clawbackApplied } }
+        });
+      }
+
+      return payout;
+    });
+  } catch (error) {
+    // Already in this batch (a concurrent or resumed run)
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+}
+
+/**
+ * Generate the payout batch for a month. Idempotent per period.
+ * @param {string} period - "YYYY-MM"; the month must have ended
+ * @returns {Promise<{ batch, created: boolean }>} created is false when the
+ *   period was already generated
+ * @throws {Error} 409 when an affiliate's commissions change mid-run; the
+ *   batch stays GENERATING until the period is generated again
+ */
+export async function generatePayoutBatch(period, { actor } = {}) {
+  const bounds = periodBounds(period);
+  const batch = await claimBatch(period, bounds, actor);
+
+  if (batch.status !== 'GENERATING') {
+    return { batch, created: false };
+  }
+
+  const affiliates = await prisma.affiliate.findMany({
+    where: { status: 'ACTIVE', payouts: { none: { batchId: batch.id } } },
+    include: {
+      commissions: {
+        // Approved by the end of the period and not in a payout yet -
+        // includes earlier approvals that were under the minimum
+        where: { status: 'APPROVED', payoutId: null, approvedAt: { lte: bounds.periodEnd } }
+      }
+    }
+  });
+
+  for (const affiliate of affiliates) {
+    if (affiliate.commissions.length > 0) {
+      await createPayout(batch, affiliate);
+    }
+  }
+
+  const payouts = await prisma.affiliatePayout.findMany({
+    where: { batchId: batch.id },
+    select: { payoutAmount: true }
+  });
+  const totalAmount = round2(payouts.reduce((sum, p) => sum + parseFloat(p.payoutAmount), 0));
+  const now = new Date();
+
+  const generated = await prisma.affiliatePayoutBatch.update({
+    where: { id: batch.id },
+    data: {
+      // Nothing to pay is a finished batch
+      status: payouts.length > 0 ? 'READY' : 'COMPLETED',
+      payoutCount: payouts.length,
+      totalAmount,
+      generatedAt: now,
+      ...(payouts.length === 0 && { completedAt: now })
+    }
+  });
+
+  console.log(`💸 Generated affiliate payout batch ${period}: ${payouts.length} payout(s), $${totalAmount.toFixed(2)}`);
+  return { batch: generated, created: true };
+}
+
+export function listPayoutBatches({ status, limit = 24 } = {}) {
+  return prisma.affiliatePayoutBatch.findMany({
+    where: status ? { status } : {},
+    orderBy: { period: 'desc' },
+    take: Math.min(parseInt(limit) || 24, 120)
+  });
+}
+
+export async function getPayoutBatch(batchId) {
+  const batch = await prisma.affiliatePayoutBatch.findUnique({
+    where: { id: batchId },
+    include: {
+      payouts: {
+        include: { affiliate: { select: { id: true, code: true, name: true, email: true } } },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+  if (!batch) throw notFound('Payout batch');
+  return batch;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SETTLEMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Move a batch to COMPLETED / SENT / PARTIALLY_FAILED from its payouts.
+ * A batch that hasn't been sent stays READY until every payout is settled.
+ */
+async function refreshBatchStatus(batchId) {
+  const batch = await prisma.affiliatePayoutBatch.findUnique({ where: { id: batchId } });
+  if (!batch || batch.status === 'GENERATING') return batch;
+
+  const payouts = await prisma.affiliatePayout.findMany({
+    where: { batchId },
+    select: { status: true }
+  });
+  const statuses = new Set(payouts.map(p => p.status));
+
+  let status = batch.status;
+  if (payouts.every(p => ['COMPLETED', 'CANCELLED'].includes(p.status))) {
+    status = 'COMPLETED';
+  } else if (batch.status !== 'READY') {
+    status = statuses.has('FAILED') ? 'PARTIALLY_FAILED'
+      : statuses.has('PROCESSING') ? 'SENT'
+        : batch.status;
+  }
+
+  if (status === batch.status) return batch;
+  return prisma.affiliatePayoutBatch.update({
+    where: { id: batchId },
+    data: { status, ...(status === 'COMPLETED' && { completedAt: new Date() }) }
+  });
+}
+
+/**
+ * Move PENDING/FAILED payouts to PROCESSING before they go out. Claimed one
+ * by one so a concurrent send or export can't take the same payout.
+ * @returns {Promise<Object[]>} the payouts this call claimed
+ */
+async function claimPayouts(payouts, { provider, actor }) {
+  const now = new Date();
+  const claimed = [];
+  for (const payout of payouts) {
+    const { count } = await prisma.affiliatePayout.updateMany({
+      where: { id: payout.id, status: { in: ['PENDING', 'FAILED'] } },
+      data: {
+        status: 'PROCESSING',
+        provider,
+        processedAt: now,
+        processedBy: actor || 'system',
+        attemptCount: { increment: 1 },
+        lastAttemptAt: now
+      }
+    });
+    if (count === 1) claimed.push(payout);
+  }
+  return claimed;
+}
+
+/**
+ * Tell the affiliate a payout was paid, unless they turned payout emails off.
+ * The payout is settled either way, so a failed send is only logged.
+ */
+async function sendPayoutConfirmation(payoutId) {
+  const payout = await prisma.affiliatePayout.findUnique({ where: { id: payoutId }, include: { affiliate: true } });
+  if (!payout?.affiliate.notifyOnPayout) return;
+
+  const amount = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(Number(payout.payoutAmount));
+  const period = payout.periodStart.toISOString().slice(0, 7);
+
+  try {
+    await sgMail.send({
+      to: payout.affiliate.email,
+      from: process.env.SUPPORT_EMAIL || 'support@youandinotai.com',
+      subject: `Your ${period} affiliate payout of ${amount} has been paid`,
+      html: `
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+    <h1 style="color: #078EFA;">Payout sent</h1>
+    <p>Hi ${escapeHtml(payout.affiliate.name || 'there')},</p>
+    <p>Your affiliate commissions for ${period} - <strong>${amount}</strong> - were paid by ${escapeHtml(payout.paymentMethod)}${payout.paymentId ? ` (reference ${escapeHtml(payout.paymentId)})` : ''}.</p>
+    <p>The statement listing every commission in this payout is in your affiliate portal.</p>
+    <p style="color: #666; font-size: 12px; margin-top: 30px;">
+      <em>100% of our revenue supports verified pediatric charities. FOR THE KIDS!</em>
+    </p>
+  </div>
+</body>
+</html>`
+    });
+  } catch (error) {
+    console.error('❌ Payout confirmation email error:', { payoutId, error: error.message });
+  }
+}
+
+async function settlePayout(payoutId, { reference, receiptUrl, actor, provider, notes }) {
+  const settled = await prisma.$transaction(async (tx) => {
+    const payout = await tx.affiliatePayout.findUnique({ where: { id: payoutId } });
+    if (!payout) throw notFound();
+
+    const now = new Date();
+    const { count } = await tx.affiliatePayout.updateMany({
+      where: { id: payoutId, status: { in: OPEN_PAYOUT_STATUSES } },
+      data: {
+        status: 'COMPLETED',
+        completedAt: now,
+        processedAt: payout.processedAt || now,
+        processedBy: actor || payout.processedBy || 'system',
+        paymentId: reference || payout.paymentId,
+        receiptUrl: receiptUrl || payout.receiptUrl,
+        ...(provider && { provider }),
+        ...(notes && { notes }),
+        errorMessage: null
+      }
+    });
+    if (count === 0) {
+      throw Object.assign(new Error(`Payout is already ${payout.status.toLowerCase()}`), { status: 409 });
+    }
+
+    // Commissions reversed since the payout was generated stay REVERSED -
+    // their clawback is already on the balance
+    await tx.affiliateCommission.updateMany({
+      where: { payoutId },
+      data: { isPaid: true, paidAt: now }
+    });
+    await tx.affiliateCommission.updateMany({
+      where: { payoutId, status: 'APPROVED' },
+      data: { status: 'PAID' }
+    });
+
+    await tx.affiliate.update({
+      where: { id: payout.affiliateId },
+      data: { totalPaid: { increment: parseFloat(payout.payoutAmount) } }
+    });
+
+    return payout;
+  });
+
+  await sendPayoutConfirmation(payoutId);
+  return settled;
+}
+
+/**
+ * Record that a payout's money arrived - from a provider or by hand after an
+ * export file was uploaded - and email the affiliate a confirmation
+ * @throws {Error} 404 unknown payout, 409 already completed or cancelled
+ */
+export async function completePayout(payoutId, { reference, receiptUrl, actor, provider, notes } = {}) {
+  const payout = await settlePayout(payoutId, { reference, receiptUrl, actor, provider, notes });
+  if (payout.batchId) {
+    await refreshBatchStatus(payout.batchId);
+  }
+  return prisma.affiliatePayout.findUnique({ where: { id: payoutId } });
+}
+
+/**
+ * Send a READY (or PARTIALLY_FAILED - only the failed payouts go again) batch
+ * through the configured payout provider
+ * @throws {Error} 404 unknown batch, 409 batch not sendable, 503 no usable provider
+ */
+export async function sendPayoutBatch(batchId, { actor } = {}) {
+  const provider = getPayoutProvider();
+
+  const claimed = await prisma.affiliatePayoutBatch.updateMany({
+    where: { id: batchId, status: { in: ['READY', 'PARTIALLY_FAILED'] } },
+    data: { status: 'SENDING', provider: provider.id, sentAt: new Date(), sentBy: actor || 'system' }
+  });
+  if (claimed.count === 0) {
+    const batch = await prisma.affiliatePayoutBatch.findUnique({ where: { id: batchId } });
+    if (!batch) throw notFound('Payout batch');
+    throw Object.assign(new Error(`Payout batch is ${batch.status.toLowerCase()}`), { status: 409 });
+  }
+
+  const batch = await prisma.affiliatePayoutBatch.findUnique({ where: { id: batchId } });
+  const payouts = await claimPayouts(await prisma.affiliatePayout.findMany({
+    where: { batchId, status: { in: ['PENDING', 'FAILED'] } },
+    include: { affiliate: true }
+  }), { provider: provider.id, actor });
+
+  let results;
+  try {
+    results = await provider.send(payouts.map(toProviderPayout), { batch });
+  } catch (error) {
+    console.error(`Payout provider ${provider.id} failed for batch ${batch.period}:`, error.message);
+    results = payouts.map(p => ({ payoutId: p.id, status: 'FAILED', error: error.message }));
+  }
+
+  const byPayout = new Map((results || []).map(result => [result.payoutId, result]));
+  const summary = { completed: 0, processing: 0, failed: 0 };
+
+  for (const payout of payouts) {
+    const result = byPayout.get(payout.id) || { status: 'FAILED', error: 'No result from payout provider' };
+
+    if (result.status === 'COMPLETED') {
+      await settlePayout(payout.id, { reference: result.reference, actor, provider: provider.id });
+      summary.completed++;
+    } else if (result.status === 'PROCESSING') {
+      await prisma.affiliatePayout.update({
+        where: { id: payout.id },
+        data: { paymentId: result.reference || null, errorMessage: null }
+      });
+      summary.processing++;
+    } else {
+      await prisma.affiliatePayout.update({
+        where: { id: payout.id },
+        data: { status: 'FAILED', errorMessage: result.error || 'Payout failed' }
+      });
+      summary.failed++;
+    }
+  }
+
+  // Out of SENDING - refreshBatchStatus() settles it from the payouts
+  await prisma.affiliatePayoutBatch.update({ where: { id: batchId }, data: { status: 'SENT' } });
+  const sent = await refreshBatchStatus(batchId);
+
+  console.log(`💸 Sent affiliate payout batch ${batch.period} via ${provider.id}: ${summary.completed} completed, ${summary.processing} processing, ${summary.failed} failed`);
+  return { batch: sent, provider: provider.id, ...summary };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS & STATEMENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Payment file for the batch's unsettled payouts. Every payout in the file
+ * is claimed (PROCESSING, provider "export:<format>") so it can't be
+ * exported again or sent through a provider; settle it with completePayout()
+ * once the file has been paid. Payouts the format can't carry stay open.
+ * @param {string} format - 'paypal-csv' | 'nacha'
+ * @returns {Promise<{ filename, contentType, body, count, skipped }>}
+ */
+export async function exportPayoutBatch(batchId, format, { actor } = {}) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw Object.assign(
+      new Error(`Unknown export format: ${format} (${Object.keys(EXPORT_FORMATS).join(', ')})`),
+      { status: 400 }
+    );
+  }
+
+  const batch = await prisma.affiliatePayoutBatch.findUnique({ where: { id: batchId } });
+  if (!batch) throw notFound('Payout batch');
+  if (['GENERATING', 'SENDING'].includes(batch.status)) {
+    throw Object.assign(new Error(`Payout batch is ${batch.status.toLowerCase()}`), { status: 409 });
+  }
+
+  const payouts = await prisma.affiliatePayout.findMany({
+    where: { batchId, status: { in: ['PENDING', 'FAILED'] } },
+    include: { affiliate: true },
+    orderBy: { createdAt: 'asc' }
+  });
+  const options = { period: batch.period, currency: PAYOUT_POLICY.currency };
+
+  // Dry run first: a misconfigured format throws before anything is claimed,
+  // and payouts it would skip are never claimed
+  const draft = exporter.build(payouts.map(toProviderPayout), options);
+  const skippedIds = new Set(draft.skipped.map(s => s.payoutId));
+
+  const claimed = await claimPayouts(payouts.filter(p => !skippedIds.has(p.id)), {
+    provider: `export:${format}`,
+    actor
+  });
+
+  const file = claimed.length === payouts.length - skippedIds.size
+    ? draft
+    : { ...exporter.build(claimed.map(toProviderPayout), options), skipped: draft.skipped };
+
+  console.log(`💸 Exported affiliate payout batch ${batch.period} as ${format}: ${file.count} payouts, ${file.skipped.length} skipped`);
+  return {
+    filename: `affiliate-payouts-${batch.period}.${exporter.extension}`,
+    contentType: exporter.contentType,
+    ...file
+  };
+}
+
+/**
+ * HTML statement for one payout
+ * @param {Object} [options]
+ * @param {string} [options.affiliateId] - Only if the payout belongs to this affiliate
+ */
+export async function getPayoutStatement(payoutId, { affiliateId } = {}) {
+  const payout = await prisma.affiliatePayout.findUnique({
+    where: { id: payoutId },
+    include: {
+      affiliate: true,
+      batch: true,
+      commissions: { orderBy: { createdAt: 'asc' } }
+    }
+  });
+  if (!payout || (affiliateId && payout.affiliateId !== affiliateId)) throw notFound();
+
+  return renderPayoutStatement(payout, { currency: PAYOUT_POLICY.currency });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEDULER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate last month's batch once the payout day has come. Safe to run
+ * any number of times - the period is the idempotency key.
+ */
+export async function runPayoutSchedule(now = new Date()) {
+  if (now.getUTCDate() < PAYOUT_POLICY.payoutDay) return null;
+  return generatePayoutBatch(previousPeriod(now), { actor: 'system' });
+}
+
+export function startAffiliatePayoutScheduler(intervalMs = PAYOUT_SCHEDULER_INTERVAL_MS) {
+  if (payoutHandle) return payoutHandle;
+
+  const tick = () => runPayoutSchedule().catch(error =>
+    console.error('Affiliate payout scheduler error:', error.message)
+  );
+
+  tick();
+  payoutHandle = setInterval(tick, intervalMs);
+  payoutHandle.unref();
+  return payoutHandle;
+}
+
+export function stopAffiliatePayoutScheduler() {
+  clearInterval(payoutHandle);
+  payoutHandle = null;
+}
+
+export default {
+  PAYOUT_POLICY,
+  periodKey,
+  periodBounds,
+  sealBankDetails,
+  openBankDetails,
+  generatePayoutBatch,
+  listPayoutBatches,
+  getPayoutBatch,
+  completePayout,
+  sendPayoutBatch,
+  exportPayoutBatch,
+  getPayoutStatement,
+  runPayoutSchedule,
+  startAffiliatePayoutScheduler,
+  stopAffiliatePayoutScheduler
+};
@@ -0,0 +1,80 @@
+/**
+ * Payout providers.
+ *
+ * Every provider implements:
+ *
+ *   id                          - stored on AffiliatePayout.provider
+ *   send(payouts, { batch })    → [{ payoutId, status, reference, error }]
+ *
+ * Each payout comes with its affiliate and, for bank payouts, the opened
+ * bankDetails. status is COMPLETED (money sent), PROCESSING (accepted -
+ * the provider confirms later through completePayout()) or FAILED with an
+ * error. send() must not throw for a single bad payout; a thrown error
+ * fails every payout in the call.
+ *
+ * AFFILIATE_PAYOUT_PROVIDER picks the provider batches are sent with; there
+ * is no default, so nothing is sent until one is configured. A PayPal Payouts
+ * or bank provider is registered with registerPayoutProvider() and switched
+ * to without touching the batches. "sandbox" settles payouts without moving
+ * money and is refused in production.
+ */
+
+import crypto from 'crypto';
+
+const providers = new Map();
+
+// Stand-in for a real provider: pays every payout that has somewhere to go,
+// with a made-up reference. Moves no money.
+const sandboxProvider = {
+  id: 'sandbox',
+
+  async send(payouts) {
+    return payouts.map(payout => {
+      const deliverable = payout.paymentMethod === 'bank'
+        ? !!payout.bankDetails?.accountNumber
+        : !!payout.paymentEmail;
+
+      return deliverable
+        ? { payoutId: payout.id, status: 'COMPLETED', reference: `sandbox_${crypto.randomUUID()}` }
+        : { payoutId: payout.id, status: 'FAILED', error: `No ${payout.paymentMethod === 'bank' ? 'bank account' : 'payment email'} on file` };
+    });
+  }
+};
+
+/**
+ * Add a payout provider (e.g. PayPal Payouts)
+ */
+export function registerPayoutProvider(provider) {
+  if (!provider?.id) {
+    throw new Error('Payout provider must have an id');
+  }
+  if (typeof provider.send !== 'function') {
+    throw new Error('Payout provider must implement send()');
+  }
+  providers.set(provider.id, provider);
+}
+
+registerPayoutProvider(sandboxProvider);
+
+/**
+ * The configured provider (AFFILIATE_PAYOUT_PROVIDER)
+ * @throws {Error} 503 when none is configured, it isn't registered, or it is
+ * the sandbox in production
+ */
+export function getPayoutProvider(id = process.env.AFFILIATE_PAYOUT_PROVIDER) {
+  if (!id) {
+    throw Object.assign(new Error('No payout provider configured (AFFILIATE_PAYOUT_PROVIDER)'), { status: 503 });
+  }
+  if (id === sandboxProvider.id && process.env.NODE_ENV === 'production') {
+    throw Object.assign(new Error('The sandbox payout provider moves no money and is disabled in production'), { status: 503 });
+  }
+  const provider = providers.get(id);
+  if (!provider) {
+    throw Object.assign(new Error(`Payout provider not available: ${id}`), { status: 503 });
+  }
+  return provider;
+}
+
+export function listPayoutProviders() {
+  return [...providers.keys()];
+}
@@ -0,0 +1,74 @@
+/**
+ * Payout statement - a standalone HTML page an affiliate can keep or print,
+ * listing every commission in the payout and the clawback taken off it.
+ */
+
+import { payableAmount } from '../affiliate-commissions.js';
+
+export const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[ch]);
+
+const day = date => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+export function renderPayoutStatement(payout, { currency = 'USD' } = {}) {
+  const money = amount => escapeHtml(
+    new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount) || 0)
+  );
+
+  const rows = payout.commissions.map(c => `
+      <tr>
+        <td>${day(c.createdAt)}</td>
+        <td>${escapeHtml(c.orderId || c.transactionId || c.subscriptionId || '')}</td>
+        <td class="num">${money(c.netRevenue ?? c.revenueAmount)}</td>
+        <td class="num">${escapeHtml(Number(c.commissionRate).toFixed(2))}%</td>
+        <td class="num">${escapeHtml((Number(c.attributionWeight ?? 1) * 100).toFixed(0))}%</td>
+        <td class="num">${money(c.commissionAmount)}</td>
+        <td class="num">${Number(c.reversedAmount) > 0 ? `−${money(c.reversedAmount)}` : ''}</td>
+        <td class="num">${money(payableAmount(c))}</td>
+      </tr>`).join('');
+
+  const affiliate = payout.affiliate;
+  const period = payout.batch?.period || `${day(payout.periodStart)} – ${day(payout.periodEnd)}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Affiliate payout statement ${escapeHtml(period)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+    th, td { border-bottom: 1px solid #ddd; padding: .4rem .6rem; text-align: left; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    tfoot td { font-weight: 600; border-bottom: none; }
+  </style>
+</head>
+<body>
+  <h1>Payout statement</h1>
+  <p>
+    ${escapeHtml(affiliate.name || affiliate.email)}${affiliate.companyName ? ` (${escapeHtml(affiliate.companyName)})` : ''}<br>
+    Affiliate code ${escapeHtml(affiliate.code)}<br>
+    Period ${escapeHtml(period)} · Payout ${escapeHtml(payout.id)}<br>
+    Status ${escapeHtml(payout.status)}${payout.completedAt ? ` · Paid ${day(payout.completedAt)}` : ''}${payout.paymentId ? ` · Reference ${escapeHtml(payout.paymentId)}` : ''}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Date</th><th>Order</th><th class="num">Net revenue</th><th class="num">Rate</th>
+        <th class="num">Credit</th><th class="num">Commission</th><th class="num">Reversed</th><th class="num">Payable</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="7">Commissions</td><td class="num">${money(payout.totalCommission)}</td></tr>
+      <tr><td colspan="7">Clawback of earlier reversals</td><td class="num">${Number(payout.clawbackApplied) > 0 ? `−${money(payout.clawbackApplied)}` : money(0)}</td></tr>
+      <tr><td colspan="7">Fees</td><td class="num">${Number(payout.fees) > 0 ? `−${money(payout.fees)}` : money(0)}</td></tr>
+      <tr><td colspan="7">Payout (${escapeHtml(payout.paymentMethod)})</td><td class="num">${money(payout.payoutAmount)}</td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
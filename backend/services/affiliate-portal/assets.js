@@ -0,0 +1,198 @@
+/**
+ * Affiliate creative assets - banners and ready-made copy.
+ *
+ * Staff upload assets as DRAFT and approve them into the portal library;
+ * affiliates only ever see APPROVED ones. Banners keep their format and size
+ * but lose their metadata (services/photos/image.js) and are stored through
+ * the photo storage drivers under "affiliate-assets/". Copy may use
+ * {{link}}, {{code}} and {{name}}, filled in per affiliate on download.
+ */
+
+import crypto from 'crypto';
+import prisma from '../../prisma/client.js';
+import { getStorage } from '../photos/storage.js';
+import { stripImage } from '../photos/image.js';
+import { buildAffiliateLink } from './links.js';
+
+const ASSET_STATUSES = ['DRAFT', 'APPROVED', 'ARCHIVED'];
+const ASSET_KINDS = ['BANNER', 'COPY'];
+const COPY_MAX_LENGTH = 5000;
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+function notFound() {
+  return Object.assign(new Error('Asset not found'), { status: 404 });
+}
+
+function checkKind(kind) {
+  if (kind && !ASSET_KINDS.includes(kind)) {
+    throw Object.assign(new Error(`kind must be one of: ${ASSET_KINDS.join(', ')}`), { status: 400 });
+  }
+}
+
+function slug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'asset';
+}
+
+export function toAsset(asset) {
+  return {
+    id: asset.id,
+    kind: asset.kind,
+    status: asset.status,
+    name: asset.name,
+    description: asset.description,
+    tags: asset.tags,
+    ...(asset.kind === 'BANNER'
+      ? { mimeType: asset.mimeType, width: asset.width, height: asset.height, byteSize: asset.byteSize }
+      : { body: asset.body }),
+    downloadCount: asset.downloadCount,
+    approvedAt: asset.approvedAt,
+    createdAt: asset.createdAt
+  };
+}
+
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean).slice(0, 20);
+}
+
+/**
+ * Add a DRAFT asset
+ * @param {Object} input - { kind: 'BANNER'|'COPY', name, description?, tags?, body? (COPY) }
+ * @param {Object} [file] - BANNER image ({ buffer }) from middleware/upload.js
+ * @throws {Error} 400 missing name, file or copy, unreadable image
+ */
+export async function createAsset({ kind, name, description, tags, body }, file, { actor } = {}) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+  if (!name) throw invalid('name is required');
+
+  const data = {
+    kind,
+    name: String(name).slice(0, 200),
+    description: description || null,
+    tags: parseTags(tags),
+    createdBy: actor || null
+  };
+
+  if (kind === 'COPY') {
+    if (typeof body !== 'string' || !body.trim()) throw invalid('body is required for copy');
+    if (body.length > COPY_MAX_LENGTH) throw invalid(`Copy can be at most ${COPY_MAX_LENGTH} characters`);
+    return toAsset(await prisma.affiliateAsset.create({ data: { ...data, body } }));
+  }
+
+  if (kind !== 'BANNER') throw invalid(`kind must be one of: ${ASSET_KINDS.join(', ')}`);
+  if (!file?.buffer) throw invalid('A banner image file is required');
+
+  const image = await stripImage(file.buffer);
+  const storage = getStorage();
+  const storageKey = `affiliate-assets/${crypto.randomUUID()}.${EXTENSIONS[image.mimeType]}`;
+  await storage.put(storageKey, image.buffer, { contentType: image.mimeType });
+
+  try {
+    return toAsset(await prisma.affiliateAsset.create({
+      data: {
+        ...data,
+        storageDriver: storage.id,
+        storageKey,
+        mimeType: image.mimeType,
+        width: image.width,
+        height: image.height,
+        byteSize: image.buffer.length
+      }
+    }));
+  } catch (error) {
+    await storage.delete(storageKey).catch(() => {});
+    throw error;
+  }
+}
+
+export async function listAssets({ status, kind } = {}) {
+  checkKind(kind);
+  if (status && !ASSET_STATUSES.includes(status)) {
+    throw Object.assign(new Error(`status must be one of: ${ASSET_STATUSES.join(', ')}`), { status: 400 });
+  }
+  const assets = await prisma.affiliateAsset.findMany({
+    where: { ...(status && { status }), ...(kind && { kind }) },
+    orderBy: { createdAt: 'desc' }
+  });
+  return assets.map(toAsset);
+}
+
+/**
+ * Approve an asset into the library, archive it or send it back to draft
+ */
+export async function setAssetStatus(id, status, { actor } = {}) {
+  if (!ASSET_STATUSES.includes(status)) {
+    throw Object.assign(new Error(`status must be one of: ${ASSET_STATUSES.join(', ')}`), { status: 400 });
+  }
+  const asset = await prisma.affiliateAsset.findUnique({ where: { id } });
+  if (!asset) throw notFound();
+
+  return toAsset(await prisma.affiliateAsset.update({
+    where: { id },
+    data: {
+      status,
+      ...(status === 'APPROVED' && { approvedAt: new Date(), approvedBy: actor || null })
+    }
+  }));
+}
+
+/**
+ * Approved assets, with copy filled in for the affiliate
+ */
+export async function listLibrary(affiliate, { kind } = {}) {
+  checkKind(kind);
+  const assets = await prisma.affiliateAsset.findMany({
+    where: { status: 'APPROVED', ...(kind && { kind }) },
+    orderBy: { approvedAt: 'desc' }
+  });
+  return assets.map(asset => {
+    const { status, downloadCount, ...shown } = toAsset(asset);
+    return asset.kind === 'COPY' ? { ...shown, body: fillCopy(asset.body, affiliate) } : shown;
+  });
+}
+
+function fillCopy(body, affiliate) {
+  const values = {
+    link: buildAffiliateLink(affiliate).url,
+    code: affiliate.code,
+    name: affiliate.name || ''
+  };
+  return body.replace(/\{\{\s*(link|code|name)\s*\}\}/g, (_, key) => values[key]);
+}
+
+/**
+ * An approved asset's file: the banner image, or the copy as text
+ * @returns {Promise<{ filename, contentType, body: Buffer|string }>}
+ * @throws {Error} 404 unknown or unapproved asset
+ */
+export async function downloadAsset(id, affiliate) {
+  const asset = await prisma.affiliateAsset.findUnique({ where: { id } });
+  if (!asset || asset.status !== 'APPROVED') throw notFound();
+
+  const file = asset.kind === 'BANNER'
+    ? {
+        filename: `${slug(asset.name)}-${asset.width}x${asset.height}.${EXTENSIONS[asset.mimeType]}`,
+        contentType: asset.mimeType,
+        body: await getStorage(asset.storageDriver).get(asset.storageKey)
+      }
+    : {
+        filename: `${slug(asset.name)}.txt`,
+        contentType: 'text/plain; charset=utf-8',
+        body: fillCopy(asset.body, affiliate)
+      };
+
+  // Best-effort usage tracking; never block the download on it
+  prisma.affiliateAsset.update({ where: { id }, data: { downloadCount: { increment: 1 } } })
+    .catch(error => console.error('Failed to count asset download:', error.message));
+
+  return file;
+}
+
+export default {
+  toAsset,
+  createAsset,
+  listAssets,
+  setAssetStatus,
+  listLibrary,
+  downloadAsset
+};
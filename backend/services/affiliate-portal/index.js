@@ -0,0 +1,595 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AFFILIATE PORTAL - Magic-link accounts, dashboard, payout settings and assets
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - Affiliates sign in with a single-use emailed link (no passwords). The
+ *   link opens an AffiliateSession; both tokens are random, shown once and
+ *   stored as SHA-256 hashes, like API keys (services/access-control.js)
+ * - Portal sessions are separate from staff/user JWTs - they only open
+ *   /api/affiliate-portal and only ever see their own affiliate's data
+ * - Payment-method changes are re-verified: the new method is sealed and
+ *   parked on a PAYMENT_METHOD token, and only applied when the link mailed
+ *   to the account email is confirmed from a signed-in session. Confirming
+ *   signs out every other session
+ * - Deep links (links.js) and the banner/copy library (assets.js)
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import sgMail from '@sendgrid/mail';
+import prisma from '../../prisma/client.js';
+import { hashIp } from '../affiliate-attribution.js';
+import { payableAmount } from '../affiliate-commissions.js';
+import { PAYOUT_POLICY, sealBankDetails, getPayoutStatement } from '../affiliate-payouts/index.js';
+
+export { buildAffiliateLink } from './links.js';
+export { createAsset, listAssets, setAssetStatus, listLibrary, downloadAsset } from './assets.js';
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY || '');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const LOGIN_TOKEN_PREFIX = 'afl';
+const SESSION_TOKEN_PREFIX = 'afs';
+const SESSION_TOUCH_MS = 5 * MINUTE_MS;
+const MAX_DASHBOARD_DAYS = 366;
+
+export const PORTAL_POLICY = Object.freeze({
+  loginLinkMinutes: parseInt(process.env.AFFILIATE_LOGIN_LINK_MINUTES) || 15,
+  loginLinksPerWindow: parseInt(process.env.AFFILIATE_LOGIN_LINKS_PER_WINDOW) || 5,
+  loginLinkWindowMinutes: 15,
+  sessionDays: parseInt(process.env.AFFILIATE_SESSION_DAYS) || 14,
+  paymentConfirmMinutes: parseInt(process.env.AFFILIATE_PAYMENT_CONFIRM_MINUTES) || 60,
+  portalUrl: process.env.AFFILIATE_PORTAL_URL || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/affiliates`
+});
+
+const PAYMENT_METHODS = ['square', 'paypal', 'bank'];
+const COMMISSION_STATUSES = ['PENDING', 'HELD', 'APPROVED', 'PAID', 'REVERSED', 'REJECTED'];
+
+// Affiliates that can't sign in
+const LOCKED_STATUSES = ['SUSPENDED', 'TERMINATED'];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function unauthorized(message = 'Sign-in required') {
+  return Object.assign(new Error(message), { status: 401 });
+}
+
+const maskEmail = email => String(email).replace(/^(.)[^@]*(@.*)$/, '$1•••$2');
+
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[ch]);
+
+/**
+ * The affiliate as the portal shows it - bank details only as type and last four
+ */
+export function toPortalAffiliate(affiliate) {
+  return {
+    id: affiliate.id,
+    code: affiliate.code,
+    name: affiliate.name,
+    email: affiliate.email,
+    companyName: affiliate.companyName,
+    status: affiliate.status,
+    commissionRate: parseFloat(affiliate.commissionRate),
+    paymentMethod: affiliate.paymentMethod,
+    paymentEmail: affiliate.paymentEmail,
+    bankAccount: affiliate.bankDetails?.last4
+      ? { accountType: affiliate.bankDetails.accountType, last4: affiliate.bankDetails.last4 }
+      : null,
+    paymentMethodUpdatedAt: affiliate.paymentMethodUpdatedAt,
+    notifyOnReferral: affiliate.notifyOnReferral,
+    notifyOnPayout: affiliate.notifyOnPayout,
+    createdAt: affiliate.createdAt
+  };
+}
+
+async function sendPortalEmail(to, subject, html) {
+  try {
+    await sgMail.send({
+      to,
+      from: process.env.SUPPORT_EMAIL || 'support@youandinotai.com',
+      subject,
+      html
+    });
+  } catch (error) {
+    console.error('❌ Affiliate portal email error:', { subject, error: error.message });
+    throw Object.assign(new Error('Could not send email - try again later'), { status: 503 });
+  }
+}
+
+const emailLayout = (heading, body) => `
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+    <h1 style="color: #078EFA;">${heading}</h1>
+    ${body}
+    <p style="color: #666; font-size: 12px; margin-top: 30px;">
+      <em>100% of our revenue supports verified pediatric charities. FOR THE KIDS!</em>
+    </p>
+  </div>
+</body>
+</html>`;
+
+const emailButton = (href, label) =>
+  `<p><a href="${href}" style="background: #078EFA; color: #fff; padding: 12px 20px; border-radius: 5px; text-decoration: none;">${label}</a></p>`;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EMAILED TOKENS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function issueToken(affiliateId, purpose, { minutes, payload = null, ip }) {
+  const token = newToken(LOGIN_TOKEN_PREFIX);
+  await prisma.affiliateLoginToken.create({
+    data: {
+      affiliateId,
+      tokenHash: hashToken(token),
+      purpose,
+      payload,
+      ipHash: ip ? hashIp(ip) : null,
+      expiresAt: new Date(Date.now() + minutes * MINUTE_MS)
+    }
+  });
+  return token;
+}
+
+/**
+ * Use up a token. The conditional update makes it single-use even when the
+ * link is opened twice at once.
+ * @throws {Error} 401 unknown, used, expired or someone else's token
+ */
+async function consumeToken(token, purpose, { affiliateId } = {}) {
+  if (typeof token !== 'string' || !token.startsWith(`${LOGIN_TOKEN_PREFIX}_`)) {
+    throw unauthorized('This link is invalid or has expired');
+  }
+
+  const tokenHash = hashToken(token);
+  const { count } = await prisma.affiliateLoginToken.updateMany({
+    where: {
+      tokenHash,
+      purpose,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+      ...(affiliateId && { affiliateId })
+    },
+    data: { usedAt: new Date() }
+  });
+  if (count === 0) {
+    throw unauthorized('This link is invalid or has expired');
+  }
+
+  return prisma.affiliateLoginToken.findUnique({ where: { tokenHash }, include: { affiliate: true } });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIGN-IN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Email a sign-in link. Says nothing about whether the address is an
+ * affiliate - unknown, locked and throttled requests return the same way.
+ */
+export async function requestLoginLink(email, { ip } = {}) {
+  if (typeof email !== 'string' || !email.includes('@')) {
+    throw Object.assign(new Error('A valid email is required'), { status: 400 });
+  }
+
+  const affiliate = await prisma.affiliate.findFirst({
+    where: { email: { equals: email.trim(), mode: 'insensitive' } }
+  });
+  if (!affiliate || LOCKED_STATUSES.includes(affiliate.status)) return;
+
+  const recent = await prisma.affiliateLoginToken.count({
+    where: {
+      affiliateId: affiliate.id,
+      purpose: 'LOGIN',
+      createdAt: { gte: new Date(Date.now() - PORTAL_POLICY.loginLinkWindowMinutes * MINUTE_MS) }
+    }
+  });
+  if (recent >= PORTAL_POLICY.loginLinksPerWindow) {
+    console.warn(`Affiliate ${affiliate.code}: sign-in link throttled`);
+    return;
+  }
+
+  const token = await issueToken(affiliate.id, 'LOGIN', { minutes: PORTAL_POLICY.loginLinkMinutes, ip });
+  const link = `${PORTAL_POLICY.portalUrl}/login?token=${encodeURIComponent(token)}`;
+
+  await sendPortalEmail(affiliate.email, 'Your affiliate portal sign-in link', emailLayout('Sign in to your affiliate portal', `
+    <p>Use this link to sign in. It works once and expires in ${PORTAL_POLICY.loginLinkMinutes} minutes.</p>
+    ${emailButton(link, 'Sign in')}
+    <p>If you didn't ask to sign in, you can ignore this email.</p>`
+  )).catch(error => console.error(`Affiliate ${affiliate.code}: sign-in link not sent:`, error.message));
+}
+
+/**
+ * Exchange a sign-in link for a portal session
+ * @returns {Promise<{ sessionToken, expiresAt, affiliate }>} sessionToken is only returned here
+ * @throws {Error} 401 bad link, 403 locked account
+ */
+export async function verifyLoginLink(token, { ip, userAgent } = {}) {
+  const { affiliate } = await consumeToken(token, 'LOGIN');
+  if (LOCKED_STATUSES.includes(affiliate.status)) {
+    throw Object.assign(new Error('Affiliate account is not active'), { status: 403 });
+  }
+
+  const sessionToken = newToken(SESSION_TOKEN_PREFIX);
+  const session = await prisma.affiliateSession.create({
+    data: {
+      affiliateId: affiliate.id,
+      tokenHash: hashToken(sessionToken),
+      ipHash: ip ? hashIp(ip) : null,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+      expiresAt: new Date(Date.now() + PORTAL_POLICY.sessionDays * DAY_MS)
+    }
+  });
+
+  return { sessionToken, expiresAt: session.expiresAt, affiliate: toPortalAffiliate(affiliate) };
+}
+
+/**
+ * Session for a presented token, with its affiliate
+ * @throws {Error} 401 unknown, revoked or expired session; 403 locked account
+ */
+export async function resolveSession(sessionToken) {
+  if (typeof sessionToken !== 'string' || !sessionToken.startsWith(`${SESSION_TOKEN_PREFIX}_`)) {
+    throw unauthorized();
+  }
+
+  const session = await prisma.affiliateSession.findUnique({
+    where: { tokenHash: hashToken(sessionToken) },
+    include: { affiliate: true }
+  });
+  const now = new Date();
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    throw unauthorized('Session expired - sign in again');
+  }
+  if (LOCKED_STATUSES.includes(session.affiliate.status)) {
+    await revokeSessions(session.affiliateId, 'account_disabled');
+    throw Object.assign(new Error('Affiliate account is not active'), { status: 403 });
+  }
+
+  // Best-effort activity tracking; never block the request on it
+  if (now - session.lastActivityAt > SESSION_TOUCH_MS) {
+    prisma.affiliateSession.update({ where: { id: session.id }, data: { lastActivityAt: now } })
+      .catch(error => console.error('Failed to update affiliate session activity:', error.message));
+  }
+  return session;
+}
+
+/**
+ * Revoke an affiliate's sessions, optionally keeping one
+ */
+export async function revokeSessions(affiliateId, reason, { exceptSessionId } = {}) {
+  const { count } = await prisma.affiliateSession.updateMany({
+    where: {
+      affiliateId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count;
+}
+
+export async function logout(session) {
+  await prisma.affiliateSession.updateMany({
+    where: { id: session.id, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: 'logout' }
+  });
+}
+
+/**
+ * Express middleware: `Authorization: Bearer afs_...` → req.affiliate and
+ * req.affiliateSession
+ */
+export async function requireAffiliateSession(req, res, next) {
+  try {
+    const header = req.headers.authorization || '';
+    const session = await resolveSession(header.startsWith('Bearer ') ? header.slice(7) : null);
+    req.affiliateSession = session;
+    req.affiliate = session.affiliate;
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to check affiliate session'
+    });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PAYMENT METHOD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate and seal a new payment method, then mail a confirmation link to
+ * the account email. Nothing changes until it is confirmed.
+ * @param {Object} change - { paymentMethod, paymentEmail?, bankDetails? }
+ * @throws {Error} 400 invalid method, email or bank details
+ */
+export async function requestPaymentMethodChange(affiliate, { paymentMethod, paymentEmail, bankDetails }, { ip } = {}) {
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw Object.assign(new Error(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`), { status: 400 });
+  }
+
+  let payload;
+  let destination;
+  if (paymentMethod === 'bank') {
+    const sealed = sealBankDetails(bankDetails || {});
+    payload = { paymentMethod, paymentEmail: null, bankDetails: sealed };
+    destination = `${sealed.accountType} account ending ${sealed.last4}`;
+  } else {
+    if (typeof paymentEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(paymentEmail.trim())) {
+      throw Object.assign(new Error('A valid paymentEmail is required'), { status: 400 });
+    }
+    payload = { paymentMethod, paymentEmail: paymentEmail.trim(), bankDetails: null };
+    destination = `${paymentMethod === 'paypal' ? 'PayPal' : 'Square'} (${maskEmail(payload.paymentEmail)})`;
+  }
+
+  // A newer request replaces any unconfirmed one
+  await prisma.affiliateLoginToken.updateMany({
+    where: { affiliateId: affiliate.id, purpose: 'PAYMENT_METHOD', usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  const token = await issueToken(affiliate.id, 'PAYMENT_METHOD', {
+    minutes: PORTAL_POLICY.paymentConfirmMinutes,
+    payload,
+    ip
+  });
+  const link = `${PORTAL_POLICY.portalUrl}/payment-method/confirm?token=${encodeURIComponent(token)}`;
+
+  await sendPortalEmail(affiliate.email, 'Confirm your new payout method', emailLayout('Confirm your new payout method', `
+    <p>Someone signed in to your affiliate account asked to send your payouts to <strong>${escapeHtml(destination)}</strong>.</p>
+    <p>Confirm it within ${PORTAL_POLICY.paymentConfirmMinutes} minutes while signed in to the portal:</p>
+    ${emailButton(link, 'Confirm payout method')}
+    <p>If this wasn't you, don't click the link - sign in and contact support. Your payout method stays as it is.</p>`
+  ));
+
+  return {
+    destination,
+    confirmBy: new Date(Date.now() + PORTAL_POLICY.paymentConfirmMinutes * MINUTE_MS)
+  };
+}
+
+/**
+ * Apply a confirmed payment-method change. Unsent payouts follow the new
+ * method; every other session is signed out.
+ * @throws {Error} 401 invalid or expired link (or another affiliate's)
+ */
+export async function confirmPaymentMethodChange(session, token) {
+  const record = await consumeToken(token, 'PAYMENT_METHOD', { affiliateId: session.affiliateId });
+  const { paymentMethod, paymentEmail, bankDetails } = record.payload;
+
+  const affiliate = await prisma.$transaction(async (tx) => {
+    const updated = await tx.affiliate.update({
+      where: { id: session.affiliateId },
+      data: { paymentMethod, paymentEmail, bankDetails, paymentMethodUpdatedAt: new Date() }
+    });
+    await tx.affiliatePayout.updateMany({
+      where: { affiliateId: session.affiliateId, status: { in: ['PENDING', 'FAILED'] } },
+      data: { paymentMethod, paymentEmail }
+    });
+    return updated;
+  });
+
+  await revokeSessions(session.affiliateId, 'payment_method_changed', { exceptSessionId: session.id });
+
+  sendPortalEmail(affiliate.email, 'Your payout method was changed', emailLayout('Your payout method was changed', `
+    <p>Your affiliate payouts now go to your new ${paymentMethod === 'bank' ? 'bank account' : paymentMethod} payout method.
+    Other devices have been signed out.</p>
+    <p>If you didn't make this change, contact support right away.</p>`
+  )).catch(() => {});
+
+  return toPortalAffiliate(affiliate);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DASHBOARD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const INTERVALS = {
+  day: at => at.toISOString().slice(0, 10),
+  week: at => {
+    // UTC week starting Monday
+    const monday = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate() - ((at.getUTCDay() + 6) % 7)));
+    return monday.toISOString().slice(0, 10);
+  },
+  month: at => at.toISOString().slice(0, 7)
+};
+
+function dashboardRange({ from, to, interval = 'day' }) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+  if (!INTERVALS[interval]) throw invalid('interval must be day, week or month');
+
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw invalid('from and to must be dates');
+  if (start >= end) throw invalid('from must be before to');
+  if (end - start > MAX_DASHBOARD_DAYS * DAY_MS) throw invalid(`The range can be at most ${MAX_DASHBOARD_DAYS} days`);
+
+  return { start, end, interval };
+}
+
+/**
+ * Clicks, conversions, commissions and payouts for the affiliate, bucketed
+ * by day, week or month (UTC), plus current balances
+ * @param {Object} [query] - { from, to, interval } (default: last 30 days by day)
+ */
+export async function getPortalDashboard(affiliate, query = {}) {
+  const { start, end, interval } = dashboardRange(query);
+  const keyOf = INTERVALS[interval];
+  const range = { gte: start, lte: end };
+
+  const [clicks, commissions, payouts, open] = await Promise.all([
+    prisma.affiliateReferral.findMany({
+      where: { affiliateId: affiliate.id, createdAt: range },
+      select: { createdAt: true }
+    }),
+    prisma.affiliateCommission.findMany({
+      where: { affiliateId: affiliate.id, createdAt: range, status: { not: 'REJECTED' } },
+      select: { createdAt: true, conversionId: true, revenueAmount: true, commissionAmount: true, reversedAmount: true }
+    }),
+    prisma.affiliatePayout.findMany({
+      where: { affiliateId: affiliate.id, status: 'COMPLETED', completedAt: range },
+      select: { completedAt: true, payoutAmount: true }
+    }),
+    prisma.affiliateCommission.findMany({
+      where: { affiliateId: affiliate.id, payoutId: null, status: { in: ['PENDING', 'HELD', 'APPROVED'] } },
+      select: { status: true, commissionAmount: true, reversedAmount: true }
+    })
+  ]);
+
+  // Every bucket in the range, so the series has no gaps
+  const buckets = new Map();
+  for (let at = new Date(start); at <= end; at = new Date(at.getTime() + DAY_MS)) {
+    const key = keyOf(at);
+    if (!buckets.has(key)) {
+      buckets.set(key, { period: key, clicks: 0, conversions: 0, revenue: 0, commission: 0, paid: 0, orders: new Set() });
+    }
+  }
+  const bucket = at => buckets.get(keyOf(at));
+
+  clicks.forEach(r => { bucket(r.createdAt).clicks++; });
+  commissions.forEach(c => {
+    const b = bucket(c.createdAt);
+    b.orders.add(c.conversionId || c.createdAt.toISOString());
+    b.revenue += parseFloat(c.revenueAmount);
+    b.commission += payableAmount(c);
+  });
+  payouts.forEach(p => { bucket(p.completedAt).paid += parseFloat(p.payoutAmount); });
+
+  const series = [...buckets.values()].map(({ orders, ...b }) => ({
+    ...b,
+    conversions: orders.size,
+    revenue: round2(b.revenue),
+    commission: round2(b.commission),
+    paid: round2(b.paid)
+  }));
+
+  const totals = series.reduce((sum, b) => ({
+    clicks: sum.clicks + b.clicks,
+    conversions: sum.conversions + b.conversions,
+    revenue: round2(sum.revenue + b.revenue),
+    commission: round2(sum.commission + b.commission),
+    paid: round2(sum.paid + b.paid)
+  }), { clicks: 0, conversions: 0, revenue: 0, commission: 0, paid: 0 });
+
+  const owed = status => round2(open.filter(c => c.status === status).reduce((sum, c) => sum + payableAmount(c), 0));
+  const approved = owed('APPROVED');
+  const clawbackBalance = parseFloat(affiliate.clawbackBalance);
+
+  return {
+    range: { from: start, to: end, interval },
+    totals: { ...totals, conversionRate: totals.clicks ? round2((totals.conversions / totals.clicks) * 100) : 0 },
+    series,
+    balances: {
+      // In the refund hold period / approved for the next payout / held for review
+      pending: owed('PENDING'),
+      approved,
+      held: owed('HELD'),
+      clawbackBalance,
+      totalPaid: parseFloat(affiliate.totalPaid),
+      nextPayout: round2(Math.max(0, approved - clawbackBalance)),
+      minimumPayout: PAYOUT_POLICY.minimumPayout
+    }
+  };
+}
+
+/**
+ * The affiliate's commissions, newest first
+ * @param {Object} [query] - { status, before (ISO date cursor), limit }
+ */
+export async function listPortalCommissions(affiliate, { status, before, limit = 50 } = {}) {
+  if (status && !COMMISSION_STATUSES.includes(status)) {
+    throw Object.assign(new Error(`status must be one of: ${COMMISSION_STATUSES.join(', ')}`), { status: 400 });
+  }
+  if (before && Number.isNaN(new Date(before).getTime())) {
+    throw Object.assign(new Error('before must be a date'), { status: 400 });
+  }
+  const take = Math.min(parseInt(limit) || 50, 200);
+  const commissions = await prisma.affiliateCommission.findMany({
+    where: {
+      affiliateId: affiliate.id,
+      ...(status && { status }),
+      ...(before && { createdAt: { lt: new Date(before) } })
+    },
+    orderBy: { createdAt: 'desc' },
+    take
+  });
+
+  return {
+    commissions: commissions.map(c => ({
+      id: c.id,
+      createdAt: c.createdAt,
+      status: c.status,
+      revenue: parseFloat(c.revenueAmount),
+      rate: parseFloat(c.commissionRate),
+      attributionWeight: parseFloat(c.attributionWeight),
+      amount: parseFloat(c.commissionAmount),
+      reversedAmount: parseFloat(c.reversedAmount),
+      payable: payableAmount(c),
+      holdUntil: c.holdUntil,
+      approvedAt: c.approvedAt,
+      paidAt: c.paidAt,
+      payoutId: c.payoutId
+    })),
+    nextBefore: commissions.length === take ? commissions[commissions.length - 1].createdAt : null
+  };
+}
+
+export async function listPortalPayouts(affiliate, { limit = 24 } = {}) {
+  const payouts = await prisma.affiliatePayout.findMany({
+    where: { affiliateId: affiliate.id },
+    orderBy: { periodStart: 'desc' },
+    take: Math.min(parseInt(limit) || 24, 120)
+  });
+
+  return payouts.map(p => ({
+    id: p.id,
+    period: { start: p.periodStart, end: p.periodEnd },
+    totalCommission: parseFloat(p.totalCommission),
+    clawbackApplied: parseFloat(p.clawbackApplied),
+    amount: parseFloat(p.payoutAmount),
+    status: p.status,
+    paymentMethod: p.paymentMethod,
+    completedAt: p.completedAt
+  }));
+}
+
+/**
+ * HTML statement for one of the affiliate's own payouts (404 for anyone else's)
+ */
+export function getPortalPayoutStatement(affiliate, payoutId) {
+  return getPayoutStatement(payoutId, { affiliateId: affiliate.id });
+}
+
+export default {
+  PORTAL_POLICY,
+  toPortalAffiliate,
+  requestLoginLink,
+  verifyLoginLink,
+  resolveSession,
+  revokeSessions,
+  logout,
+  requireAffiliateSession,
+  requestPaymentMethodChange,
+  confirmPaymentMethodChange,
+  getPortalDashboard,
+  listPortalCommissions,
+  listPortalPayouts,
+  getPortalPayoutStatement
+};
@@ -0,0 +1,75 @@
+/**
+ * Affiliate deep links.
+ *
+ * A link is any page on an allowed host with `ref=<code>` and UTM parameters.
+ * The storefront reads `ref` and reports the visit to
+ * GET /api/affiliates/track/:code with `source` set to utm_source.
+ *
+ * AFFILIATE_LINK_HOSTS (comma separated) lists the hosts links may point at,
+ * subdomains included; the default is the host of AFFILIATE_LANDING_URL.
+ */
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term'];
+const UTM_MAX_LENGTH = 100;
+
+function landingUrl() {
+  return process.env.AFFILIATE_LANDING_URL || process.env.FRONTEND_URL || 'https://youandinotai.com';
+}
+
+function allowedHosts() {
+  const configured = (process.env.AFFILIATE_LINK_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length ? configured : [new URL(landingUrl()).hostname];
+}
+
+/**
+ * @param {Object} affiliate - needs `code`
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page to link to (default AFFILIATE_LANDING_URL)
+ * @param {Object} [options.utm] - utm_source, utm_medium, utm_campaign, utm_content, utm_term
+ * @returns {{ url: string, params: Object }}
+ * @throws {Error} 400 for a malformed URL, a host that isn't allowed or bad UTM values
+ */
+export function buildAffiliateLink(affiliate, { url, utm = {} } = {}) {
+  const invalid = message => Object.assign(new Error(message), { status: 400 });
+
+  let link;
+  try {
+    link = new URL(url || landingUrl());
+  } catch {
+    throw invalid('url must be an absolute URL');
+  }
+
+  const host = link.hostname.toLowerCase();
+  if (!['https:', 'http:'].includes(link.protocol)
+    || (link.protocol === 'http:' && host !== 'localhost')) {
+    throw invalid('Links must use https');
+  }
+  if (!allowedHosts().some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+    throw invalid(`Links can only point at: ${allowedHosts().join(', ')}`);
+  }
+
+  const params = {
+    ref: affiliate.code,
+    utm_source: 'affiliate',
+    utm_medium: 'referral',
+    utm_campaign: affiliate.code.toLowerCase()
+  };
+  for (const name of UTM_PARAMS) {
+    const value = utm[name];
+    if (value == null || value === '') continue;
+    if (typeof value !== 'string' || value.length > UTM_MAX_LENGTH || /[\u0000-\u001f]/.test(value)) {
+      throw invalid(`${name} must be text of at most ${UTM_MAX_LENGTH} characters`);
+    }
+    params[name] = value.trim();
+  }
+
+  for (const [name, value] of Object.entries(params)) {
+    link.searchParams.set(name, value);
+  }
+  return { url: link.toString(), params };
+}
+
+export default { buildAffiliateLink };
@@ -0,0 +1,102 @@
+/**
+ * AWS Rekognition - ID photo / selfie face match with age estimation.
+ *
+ * Rekognition cannot read the document, so a pass is ENHANCED (not VERIFIED):
+ * the selfie must match the ID photo and the estimated age range must sit
+ * entirely at or above 18. Images are processed in memory and never stored.
+ *
+ * Callback payload: { verificationToken, idImageBase64, selfieBase64 }
+ */
+
+import { ADULT_AGE } from './result.js';
+
+const PROVIDER = 'AWS_REKOGNITION';
+const FACE_MATCH_THRESHOLD = 90;
+
+let client = null;
+
+async function getClient() {
+  if (!client) {
+    const rekognition = await import('@aws-sdk/client-rekognition');
+    client = {
+      rekognition,
+      api: new rekognition.RekognitionClient({ region: process.env.AWS_REGION || 'us-east-1' })
+    };
+  }
+  return client;
+}
+
+export default {
+  id: 'aws',
+  provider: PROVIDER,
+  level: 'ENHANCED',
+
+  isConfigured() {
+    return !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+  },
+
+  async startSession(verification) {
+    return {
+      providerReference: `aws_${verification.id}`,
+      instructions: 'Upload a photo of your government-issued ID and a live selfie'
+    };
+  },
+
+  async handleCallback({ verificationToken, idImageBase64, selfieBase64 } = {}) {
+    if (!verificationToken) {
+      throw Object.assign(new Error('verificationToken required'), { status: 400 });
+    }
+    if (!idImageBase64 || !selfieBase64) {
+      throw Object.assign(new Error('ID image and selfie required'), { status: 400 });
+    }
+
+    const { rekognition, api } = await getClient();
+    const idImage = { Bytes: Buffer.from(idImageBase64, 'base64') };
+    const selfie = { Bytes: Buffer.from(selfieBase64, 'base64') };
+
+    const comparison = await api.send(new rekognition.CompareFacesCommand({
+      SourceImage: idImage,
+      TargetImage: selfie,
+      SimilarityThreshold: FACE_MATCH_THRESHOLD
+    }));
+    const detection = await api.send(new rekognition.DetectFacesCommand({
+      Image: selfie,
+      Attributes: ['AGE_RANGE']
+    }));
+
+    const providerReference = `aws_${verificationToken}`;
+    const faceMatched = (comparison.FaceMatches || []).length > 0;
+    const ageRange = detection.FaceDetails?.[0]?.AgeRange;
+
+    if (!faceMatched || !ageRange) {
+      return {
+        verificationToken,
+        providerReference,
+        result: {
+          provider: PROVIDER,
+          level: 'NONE',
+          ageConfirmed: false,
+          underage: false,
+          failureReason: faceMatched ? 'no_face_detected' : 'face_mismatch'
+        }
+      };
+    }
+
+    // Estimated range entirely under 18 is treated as a minor; a range that
+    // straddles 18 is inconclusive and needs a document provider
+    const underage = ageRange.High < ADULT_AGE;
+    const adult = ageRange.Low >= ADULT_AGE;
+
+    return {
+      verificationToken,
+      providerReference,
+      result: {
+        provider: PROVIDER,
+        level: adult ? 'ENHANCED' : 'NONE',
+        ageConfirmed: adult,
+        underage,
+        failureReason: adult ? null : (underage ? 'underage' : 'age_inconclusive')
+      }
+    };
+  }
+};
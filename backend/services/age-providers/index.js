@@ -0,0 +1,68 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AGE VERIFICATION PROVIDERS - Adapter registry
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every third-party provider implements the same adapter:
+ *
+ *   id                 - route name ("yoti", "aws", "plaid", "mock")
+ *   provider           - VerificationProvider enum value stored on AgeVerification
+ *   isConfigured()     - credentials present (SDKs are only loaded on use)
+ *   startSession(verification, { baseUrl })
+ *                      → { providerReference, redirectUrl?, linkToken?, instructions }
+ *   handleCallback(payload)
+ *                      → { verificationToken, providerReference, result }
+ *
+ * `result` is normalized for age-verification.applyVerificationResult:
+ *   { provider, level, ageConfirmed, underage, documentType, documentCountry, failureReason }
+ * or null while the provider is still processing.
+ *
+ * Adapters never return raw documents, images or dates of birth.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import yoti from './yoti.js';
+import awsRekognition from './aws-rekognition.js';
+import plaid from './plaid.js';
+import mock from './mock.js';
+
+export { ADULT_AGE, ageFromDateOfBirth, resultFromDocument } from './result.js';
+
+const ADAPTERS = [yoti, awsRekognition, plaid, mock];
+
+export function listProviders() {
+  return ADAPTERS.map(adapter => ({
+    id: adapter.id,
+    provider: adapter.provider,
+    level: adapter.level,
+    configured: adapter.isConfigured()
+  }));
+}
+
+/**
+ * Adapter by route name or enum value
+ */
+export function getProvider(id) {
+  const key = String(id || '').toLowerCase();
+  const adapter = ADAPTERS.find(a => a.id === key || a.provider.toLowerCase() === key);
+  if (!adapter) {
+    throw Object.assign(new Error(`Unknown provider: ${id}`), { status: 400 });
+  }
+  if (!adapter.isConfigured()) {
+    throw Object.assign(new Error(`Provider not configured: ${adapter.id}`), { status: 503 });
+  }
+  return adapter;
+}
+
+/**
+ * First configured provider, in registry order (mock last)
+ */
+export function defaultProvider() {
+  return ADAPTERS.find(adapter => adapter.isConfigured()) || null;
+}
+
+export default {
+  listProviders,
+  getProvider,
+  defaultProvider
+};
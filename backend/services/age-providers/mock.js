@@ -0,0 +1,78 @@
+/**
+ * Deterministic local provider for offline integration tests.
+ *
+ * Enabled with AGE_VERIFICATION_MOCK_PROVIDER=true, never in production.
+ * The callback payload picks the outcome:
+ *   { verificationToken, outcome: 'adult' | 'minor' | 'inconclusive' | 'document_rejected' | 'pending', dateOfBirth? }
+ */
+
+import { resultFromDocument } from './result.js';
+
+const PROVIDER = 'MOCK';
+
+// Ages stay the same whatever day the suite runs
+const ADULT_DOB = '1990-01-01';
+const MINOR_DOB_OFFSET_YEARS = 15;
+
+function minorDateOfBirth() {
+  const date = new Date();
+  date.setUTCFullYear(date.getUTCFullYear() - MINOR_DOB_OFFSET_YEARS);
+  return date.toISOString().slice(0, 10);
+}
+
+export default {
+  id: 'mock',
+  provider: PROVIDER,
+  level: 'VERIFIED',
+
+  isConfigured() {
+    return process.env.AGE_VERIFICATION_MOCK_PROVIDER === 'true'
+      && process.env.NODE_ENV !== 'production';
+  },
+
+  async startSession(verification, { baseUrl = '' } = {}) {
+    return {
+      providerReference: `mock_${verification.id}`,
+      redirectUrl: `${baseUrl}/api/age-verification/providers/mock/callback`,
+      instructions: 'POST { verificationToken, outcome } to the callback URL'
+    };
+  },
+
+  async handleCallback({ verificationToken, outcome = 'adult', dateOfBirth } = {}) {
+    if (!verificationToken) {
+      throw Object.assign(new Error('verificationToken required'), { status: 400 });
+    }
+
+    const providerReference = `mock_${verificationToken}`;
+    switch (outcome) {
+      case 'adult':
+      case 'minor':
+        return {
+          verificationToken,
+          providerReference,
+          result: resultFromDocument(PROVIDER, {
+            approved: true,
+            dateOfBirth: dateOfBirth || (outcome === 'adult' ? ADULT_DOB : minorDateOfBirth()),
+            documentType: 'PASSPORT',
+            documentCountry: 'USA'
+          })
+        };
+      case 'document_rejected':
+        return {
+          verificationToken,
+          providerReference,
+          result: resultFromDocument(PROVIDER, { approved: false, failureReason: 'document_rejected' })
+        };
+      case 'inconclusive':
+        return {
+          verificationToken,
+          providerReference,
+          result: { provider: PROVIDER, level: 'NONE', ageConfirmed: false, underage: false, failureReason: 'inconclusive' }
+        };
+      case 'pending':
+        return { verificationToken, providerReference, result: null };
+      default:
+        throw Object.assign(new Error(`Unknown mock outcome: ${outcome}`), { status: 400 });
+    }
+  }
+};
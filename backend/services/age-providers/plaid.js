@@ -0,0 +1,67 @@
+/**
+ * Plaid Identity Verification (services/plaid-identity.js).
+ *
+ * startSession creates a Link token whose client_user_id is the
+ * AgeVerification id; after Link's onSuccess the client posts
+ * { verificationToken, identityVerificationId } and the session is read back
+ * from Plaid.
+ */
+
+import { resultFromDocument } from './result.js';
+
+const PROVIDER = 'PLAID_IDENTITY';
+
+// Plaid IDV statuses that will not change any more
+const FINAL_STATUSES = ['success', 'failed', 'expired', 'canceled'];
+
+export default {
+  id: 'plaid',
+  provider: PROVIDER,
+  level: 'VERIFIED',
+
+  isConfigured() {
+    return !!(process.env.PLAID_CLIENT_ID && process.env.PLAID_SECRET && process.env.PLAID_IDV_TEMPLATE_ID);
+  },
+
+  async startSession(verification) {
+    const { createIdentityVerificationLinkToken } = await import('../plaid-identity.js');
+    const { linkToken, expiration } = await createIdentityVerificationLinkToken(verification.id);
+
+    return {
+      providerReference: null, // Plaid assigns the session ID once Link opens
+      linkToken,
+      expiration,
+      instructions: 'Complete identity verification in Plaid Link'
+    };
+  },
+
+  async handleCallback({ verificationToken, identityVerificationId } = {}) {
+    if (!verificationToken || !identityVerificationId) {
+      throw Object.assign(new Error('verificationToken and identityVerificationId required'), { status: 400 });
+    }
+
+    const { getIdentityVerification } = await import('../plaid-identity.js');
+    const idv = await getIdentityVerification(identityVerificationId);
+
+    // The Link session must belong to this verification, not just any Plaid user
+    if (idv.clientUserId !== verificationToken) {
+      throw Object.assign(new Error('Identity verification does not match this session'), { status: 403 });
+    }
+
+    if (!FINAL_STATUSES.includes(idv.status)) {
+      return { verificationToken, providerReference: idv.id, result: null };
+    }
+
+    return {
+      verificationToken,
+      providerReference: idv.id,
+      result: resultFromDocument(PROVIDER, {
+        approved: idv.status === 'success',
+        dateOfBirth: idv.dateOfBirth,
+        documentType: idv.documentType,
+        documentCountry: idv.documentCountry,
+        failureReason: `plaid_${idv.status}`
+      })
+    };
+  }
+};
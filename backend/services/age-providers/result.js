@@ -0,0 +1,45 @@
+/**
+ * Shared result normalization for age verification provider adapters
+ */
+
+export const ADULT_AGE = 18;
+
+/**
+ * Whole years between a date of birth and now (null if unparseable)
+ */
+export function ageFromDateOfBirth(dateOfBirth, now = new Date()) {
+  const birth = new Date(dateOfBirth);
+  if (!dateOfBirth || isNaN(birth.getTime())) return null;
+
+  let age = now.getUTCFullYear() - birth.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < birth.getUTCMonth()
+    || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate());
+  if (beforeBirthday) age--;
+  return age;
+}
+
+/**
+ * Normalize a document check with a date of birth into a verification result
+ */
+export function resultFromDocument(provider, { approved, dateOfBirth, documentType, documentCountry, failureReason }) {
+  if (!approved) {
+    return { provider, level: 'NONE', ageConfirmed: false, underage: false, failureReason: failureReason || 'document_rejected' };
+  }
+
+  const age = ageFromDateOfBirth(dateOfBirth);
+  if (age === null) {
+    return { provider, level: 'NONE', ageConfirmed: false, underage: false, failureReason: 'date_of_birth_unavailable' };
+  }
+  if (age < ADULT_AGE) {
+    return { provider, level: 'NONE', ageConfirmed: false, underage: true, failureReason: 'underage' };
+  }
+
+  return {
+    provider,
+    level: 'VERIFIED',
+    ageConfirmed: true,
+    underage: false,
+    documentType: documentType || null,
+    documentCountry: documentCountry || null
+  };
+}
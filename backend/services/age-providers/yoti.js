@@ -0,0 +1,107 @@
+/**
+ * Yoti Identity Verification (IDV) - government ID + face match.
+ *
+ * startSession creates a Yoti IDV session tracked by the AgeVerification id;
+ * Yoti notifies /providers/yoti/callback with { session_id, topic } and the
+ * result is read back from the Yoti API (the callback body is never trusted).
+ */
+
+import fs from 'fs';
+import { resultFromDocument } from './result.js';
+
+const PROVIDER = 'YOTI';
+const YOTI_WEB_URL = 'https://api.yoti.com/idverify/v1/web/index.html';
+
+let client = null;
+
+async function getClient() {
+  if (!client) {
+    const { default: yoti } = await import('yoti');
+    const pem = fs.readFileSync(process.env.YOTI_KEY_FILE_PATH);
+    client = { yoti, idv: new yoti.IDVClient(process.env.YOTI_CLIENT_SDK_ID, pem) };
+  }
+  return client;
+}
+
+function approved(checks) {
+  return checks.length > 0
+    && checks.every(check => check.getReport()?.getRecommendation()?.getValue() === 'APPROVE');
+}
+
+export default {
+  id: 'yoti',
+  provider: PROVIDER,
+  level: 'VERIFIED',
+
+  isConfigured() {
+    return !!(process.env.YOTI_CLIENT_SDK_ID && process.env.YOTI_KEY_FILE_PATH);
+  },
+
+  async startSession(verification, { baseUrl = '' } = {}) {
+    const { yoti, idv } = await getClient();
+
+    const session = new yoti.SessionSpecificationBuilder()
+      .withClientSessionTokenTtl(900)
+      .withResourcesTtl(90000)
+      .withUserTrackingId(verification.id)
+      .withRequestedCheck(new yoti.RequestedDocumentAuthenticityCheckBuilder().build())
+      .withRequestedCheck(new yoti.RequestedFaceMatchCheckBuilder().withManualCheckFallback().build())
+      .withRequestedTask(new yoti.RequestedTextExtractionTaskBuilder().withManualCheckFallback().build())
+      .withSdkConfig(new yoti.SdkConfigBuilder()
+        .withAllowsCameraAndUpload()
+        .withSuccessUrl(`${baseUrl}/verify/complete?token=${verification.id}`)
+        .withErrorUrl(`${baseUrl}/verify/error?token=${verification.id}`)
+        .build())
+      .withNotifications(new yoti.NotificationConfigBuilder()
+        .withEndpoint(`${baseUrl}/api/age-verification/providers/yoti/callback`)
+        .forSessionCompletion()
+        .build())
+      .build();
+
+    const created = await idv.createSession(session);
+    const sessionId = created.getSessionId();
+
+    return {
+      providerReference: sessionId,
+      redirectUrl: `${YOTI_WEB_URL}?sessionID=${sessionId}&sessionToken=${created.getClientSessionToken()}`,
+      instructions: 'You will be asked to scan a government-issued ID and take a selfie'
+    };
+  },
+
+  async handleCallback({ session_id: sessionId } = {}) {
+    if (!sessionId) {
+      throw Object.assign(new Error('session_id required'), { status: 400 });
+    }
+
+    const { idv } = await getClient();
+    const session = await idv.getSession(sessionId);
+    const verificationToken = session.getUserTrackingId();
+
+    if (session.getState() !== 'COMPLETED') {
+      return { verificationToken, providerReference: sessionId, result: null };
+    }
+
+    const checksPassed = approved(session.getAuthenticityChecks())
+      && approved(session.getFaceMatchChecks());
+
+    const document = session.getResources()?.getIdDocuments()?.[0];
+    let dateOfBirth = null;
+    const fieldsMedia = document?.getDocumentFields()?.getMedia();
+    if (checksPassed && fieldsMedia) {
+      const media = await idv.getMediaContent(sessionId, fieldsMedia.getId());
+      dateOfBirth = JSON.parse(media.getContent().toString()).date_of_birth || null;
+    }
+
+    return {
+      verificationToken,
+      providerReference: sessionId,
+      result: resultFromDocument(PROVIDER, {
+        approved: checksPassed,
+        dateOfBirth,
+        documentType: document?.getDocumentType(),
+        documentCountry: document?.getIssuingCountry(),
+        failureReason: 'yoti_checks_not_approved'
+      })
+    };
+  }
+};
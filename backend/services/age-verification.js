@@ -0,0 +1,385 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AGE VERIFICATION SERVICE - Persisted verification sessions & minor reports
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - One AgeVerification row per browser session; its id is the
+ *   verificationToken handed to the client
+ * - Levels: BASIC (self-attestation) → ENHANCED / VERIFIED (third-party ID)
+ * - Expired rows no longer count; a new attestation renews them but never
+ *   downgrades a still-valid third-party result
+ * - Third-party checks go through the adapters in ./age-providers
+ *   (Yoti, AWS Rekognition, Plaid Identity, local mock)
+ * - Verified sessions linked to a dating account feed auth.setAgeVerified,
+ *   which requireAgeVerification checks on every request
+ * - Minor reports open a moderation case (services/moderation.js)
+ * - Every state change is written to ComplianceAudit (auditType "age_verification")
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { ageVerificationProblem, setAgeVerified, VERIFICATION_LEVELS } from './auth.js';
+import { getProvider, defaultProvider } from './age-providers/index.js';
+import { openCase } from './moderation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long each level stays valid
+export const VERIFICATION_TTL_DAYS = Object.freeze({
+  BASIC: 30,
+  ENHANCED: 365,
+  VERIFIED: 365
+});
+
+const MINOR_REPORT_RESPONSE_MS = DAY_MS; // Must respond within 24 hours
+
+function hashValue(value) {
+  return crypto.createHash('sha256')
+    .update(`${value}${process.env.SALT || 'default-salt'}`)
+    .digest('hex')
+    .substring(0, 16); // Truncated for privacy
+}
+
+async function audit(action, verification, details = {}, { success = true, errorMessage = null } = {}) {
+  try {
+    await prisma.complianceAudit.create({
+      data: {
+        auditType: 'age_verification',
+        action,
+        sessionId: verification?.sessionId || null,
+        userId: verification?.userId || null,
+        ipHash: verification?.ipHash || null,
+        success,
+        errorMessage,
+        details: {
+          verificationId: verification?.id || null,
+          level: verification?.verificationLevel || null,
+          provider: verification?.provider || null,
+          ...details
+        },
+        regulationApplied: 'COPPA'
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record age verification audit:', error.message);
+  }
+}
+
+function expiryFor(level, from = new Date()) {
+  return new Date(from.getTime() + VERIFICATION_TTL_DAYS[level] * DAY_MS);
+}
+
+/**
+ * Public view of a verification - expiry applied, no hashes
+ */
+export function toStatus(verification) {
+  const problem = ageVerificationProblem(verification, 'BASIC');
+  return {
+    verificationToken: verification.id,
+    status: problem === 'expired' ? 'expired'
+      : verification.isVerified ? 'verified'
+        : verification.failureReason ? 'failed' : 'pending',
+    verificationLevel: problem ? 'NONE' : verification.verificationLevel,
+    recordedLevel: verification.verificationLevel,
+    provider: verification.provider,
+    verifiedAt: verification.verifiedAt,
+    expiresAt: verification.expiresAt,
+    failureReason: verification.failureReason,
+    linkedToAccount: !!verification.userId
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERIFICATION SESSIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * LAYER 1: self-attestation. Creates or renews the session's record.
+ */
+export async function recordAttestation({ sessionId, ip, userAgent, acceptedTos, consentGiven = false }) {
+  const now = new Date();
+  const key = sessionId || crypto.randomUUID();
+  const existing = await prisma.ageVerification.findUnique({ where: { sessionId: key } });
+
+  // A valid third-party result outranks a checkbox - keep it
+  if (existing && !ageVerificationProblem(existing, 'ENHANCED')) {
+    const verification = await prisma.ageVerification.update({
+      where: { id: existing.id },
+      data: { lastAttemptAt: now, tosAccepted: existing.tosAccepted || !!acceptedTos }
+    });
+    return { verification, renewed: false };
+  }
+
+  const fields = {
+    verificationLevel: 'BASIC',
+    provider: 'SELF_ATTESTATION',
+    isVerified: true,
+    ageConfirmed: true,
+    verifiedAt: now,
+    expiresAt: expiryFor('BASIC', now),
+    lastAttemptAt: now,
+    failureReason: null,
+    tosAccepted: !!acceptedTos,
+    consentGiven: !!consentGiven,
+    ipHash: hashValue(ip),
+    userAgentHash: userAgent ? hashValue(userAgent) : null
+  };
+
+  const verification = existing
+    ? await prisma.ageVerification.update({
+      where: { id: existing.id },
+      data: { ...fields, verificationAttempts: { increment: 1 } }
+    })
+    : await prisma.ageVerification.create({ data: { ...fields, sessionId: key } });
+
+  await audit(existing ? 'attestation_renewed' : 'attestation_recorded', verification);
+  return { verification, renewed: !!existing };
+}
+
+export async function getVerification(verificationToken) {
+  const verification = await prisma.ageVerification.findUnique({ where: { id: verificationToken } });
+  if (!verification) {
+    throw Object.assign(new Error('Verification session not found'), { status: 404 });
+  }
+  return verification;
+}
+
+/**
+ * Store a third-party result. A passed check raises the level; a failed one
+ * is recorded without discarding the existing attestation.
+ *
+ * @param {object} result - { provider, level, ageConfirmed, underage, documentType, documentCountry, failureReason }
+ */
+export async function applyVerificationResult(verificationToken, result) {
+  const verification = await getVerification(verificationToken);
+  const now = new Date();
+
+  if (!VERIFICATION_LEVELS.includes(result.level)) {
+    throw Object.assign(new Error(`Unknown verification level: ${result.level}`), { status: 400 });
+  }
+
+  const passed = result.ageConfirmed && result.level !== 'NONE';
+  const updated = await prisma.ageVerification.update({
+    where: { id: verification.id },
+    data: passed
+      ? {
+        provider: result.provider,
+        verificationLevel: result.level,
+        isVerified: true,
+        ageConfirmed: true,
+        verifiedAt: now,
+        expiresAt: expiryFor(result.level, now),
+        documentType: result.documentType || null,
+        documentCountry: result.documentCountry || null,
+        failureReason: null,
+        lastAttemptAt: now
+      }
+      : {
+        provider: result.provider,
+        failureReason: result.failureReason || 'age_not_confirmed',
+        lastAttemptAt: now,
+        // The provider established the person is under 18 - revoke everything
+        ...(result.underage && { verificationLevel: 'NONE', isVerified: false, ageConfirmed: false })
+      }
+  });
+
+  await audit(passed ? 'provider_verified' : 'provider_failed', updated, {
+    documentCountry: result.documentCountry || null
+  }, { success: passed, errorMessage: passed ? null : updated.failureReason });
+
+  // Keep the linked account in step with the result
+  if (passed && updated.userId) {
+    await setAgeVerified(updated.userId, updated.id);
+  } else if (result.underage && updated.userId) {
+    await prisma.datingUser.update({
+      where: { id: updated.userId },
+      data: { ageVerified: false }
+    });
+  }
+
+  return updated;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// THIRD-PARTY PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Providers that only assign their session ID on completion (Plaid) are
+// bound to the verification on the first callback
+function pendingReference(adapter) {
+  return `${adapter.id}:pending`;
+}
+
+/**
+ * LAYER 2: start a provider session for an attested verification
+ * @returns {Promise<{verification, adapter, session}>}
+ */
+export async function startProviderSession(verificationToken, providerId, { baseUrl } = {}) {
+  const adapter = providerId ? getProvider(providerId) : defaultProvider();
+  if (!adapter) {
+    throw Object.assign(new Error('Enhanced verification not configured'), { status: 503 });
+  }
+  const verification = await getVerification(verificationToken);
+
+  const session = await adapter.startSession(verification, { baseUrl });
+  const updated = await prisma.ageVerification.update({
+    where: { id: verification.id },
+    data: {
+      providerReference: session.providerReference || pendingReference(adapter),
+      verificationAttempts: { increment: 1 },
+      lastAttemptAt: new Date()
+    }
+  });
+
+  await audit('provider_session_started', updated, { requestedProvider: adapter.provider });
+  return { verification: updated, adapter, session };
+}
+
+/**
+ * Provider callback / client completion. The adapter reads the result back
+ * from the provider; it must belong to the session started for this
+ * verification.
+ * @returns {Promise<{verification, pending}>}
+ */
+export async function completeProviderSession(providerId, payload) {
+  const adapter = getProvider(providerId);
+  const { verificationToken, providerReference, result } = await adapter.handleCallback(payload);
+  const verification = await getVerification(verificationToken);
+
+  const expected = verification.providerReference;
+  if (!expected || (expected !== providerReference && expected !== pendingReference(adapter))) {
+    await audit('provider_reference_mismatch', verification, { requestedProvider: adapter.provider },
+      { success: false, errorMessage: 'Provider session does not match verification' });
+    throw Object.assign(new Error('No matching provider session for this verification'), { status: 409 });
+  }
+
+  if (expected !== providerReference) {
+    await prisma.ageVerification.update({
+      where: { id: verification.id },
+      data: { providerReference }
+    });
+  }
+
+  if (!result) {
+    return { verification: { ...verification, providerReference }, pending: true };
+  }
+
+  const updated = await applyVerificationResult(verification.id, result);
+  return { verification: updated, pending: false };
+}
+
+/**
+ * Link a verified session to a dating account (auth.setAgeVerified checks
+ * level, expiry and ownership)
+ */
+export async function linkToUser(verificationToken, userId) {
+  const verification = await getVerification(verificationToken);
+  const result = await setAgeVerified(userId, verification.id);
+  await audit('linked_to_account', { ...verification, userId });
+  return result;
+}
+
+/**
+ * In-app attestation from an authenticated dating user (birth date already
+ * checked by the caller). A still-valid stronger verification is kept.
+ */
+export async function attestForUser(userId, { ip, userAgent }) {
+  const user = await prisma.datingUser.findUnique({
+    where: { id: userId },
+    select: { ageVerificationId: true }
+  });
+  const current = user?.ageVerificationId
+    ? await prisma.ageVerification.findUnique({ where: { id: user.ageVerificationId } })
+    : null;
+  if (current && !ageVerificationProblem(current, 'ENHANCED')) {
+    return { success: true, verificationId: current.id, verificationLevel: current.verificationLevel, expiresAt: current.expiresAt };
+  }
+
+  const { verification } = await recordAttestation({
+    sessionId: `user:${userId}`,
+    ip,
+    userAgent,
+    acceptedTos: true
+  });
+  const result = await linkToUser(verification.id, userId);
+  return { ...result, verificationId: verification.id };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COPPA MINOR REPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find the AgeVerification a report is about. Accepts a verification token,
+ * a dating user ID or a session ID. Users that never verified get a NONE
+ * record so the report is never dropped.
+ */
+async function resolveReportedVerification(reportedId) {
+  const direct = await prisma.ageVerification.findFirst({
+    where: { OR: [{ id: reportedId }, { sessionId: reportedId }] }
+  });
+  if (direct) return direct;
+
+  const user = await prisma.datingUser.findUnique({
+    where: { id: reportedId },
+    select: { id: true, ageVerificationId: true }
+  });
+  if (!user) return null;
+
+  if (user.ageVerificationId) {
+    const linked = await prisma.ageVerification.findUnique({ where: { id: user.ageVerificationId } });
+    if (linked) return linked;
+  }
+
+  return prisma.ageVerification.upsert({
+    where: { sessionId: `user:${user.id}` },
+    update: {},
+    create: {
+      sessionId: `user:${user.id}`,
+      userId: user.id,
+      ipHash: 'unknown',
+      verificationLevel: 'NONE',
+      expiresAt: new Date(),
+      failureReason: 'created_for_minor_report'
+    }
+  });
+}
+
+export async function reportMinor({ reportedUserId, reason, evidence, reporterUserId, reporterSessionId }) {
+  const verification = await resolveReportedVerification(reportedUserId);
+  if (!verification) {
+    throw Object.assign(new Error('Reported user not found'), { status: 404 });
+  }
+
+  const report = await prisma.minorReport.create({
+    data: {
+      reportedUserId: verification.id,
+      reporterUserId: reporterUserId || null,
+      reporterSessionId: reporterSessionId || null,
+      reason,
+      evidence: evidence || null,
+      priority: 'CRITICAL',
+      responseDeadline: new Date(Date.now() + MINOR_REPORT_RESPONSE_MS)
+    }
+  });
+
+  await audit('minor_reported', verification, { reportId: report.id }, { success: true });
+
+  // Queue for moderation and suspend the account pending review
+  const opened = await openCase(report, verification);
+  return { report: opened, verification };
+}
+
+export default {
+  VERIFICATION_TTL_DAYS,
+  toStatus,
+  recordAttestation,
+  getVerification,
+  applyVerificationResult,
+  startProviderSession,
+  completeProviderSession,
+  linkToUser,
+  attestForUser,
+  reportMinor
+};
@@ -0,0 +1,34 @@
+/**
+ * Burstiness - how much sentence length varies within the text.
+ *
+ * value: coefficient of variation of sentence lengths in words (std / mean).
+ * People mix short and long sentences; model output tends to be uniform.
+ */
+
+import { splitSentences, splitWords, mean, standardDeviation } from './text.js';
+
+export default {
+  id: 'burstiness',
+  label: 'Sentence length burstiness',
+
+  async measure(text, context, settings) {
+    const sentences = splitSentences(text);
+    if (sentences.length < settings.minSentences) {
+      return { available: false, reason: `needs ${settings.minSentences} sentences` };
+    }
+
+    const lengths = sentences.map(sentence => splitWords(sentence).length);
+    const avgLength = mean(lengths);
+    const words = splitWords(text.toLowerCase());
+
+    return {
+      value: avgLength > 0 ? standardDeviation(lengths) / avgLength : 0,
+      flags: ['Uniform sentence structure'],
+      details: {
+        sentences: sentences.length,
+        meanSentenceLength: avgLength,
+        typeTokenRatio: words.length ? new Set(words).size / words.length : 0
+      }
+    };
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * Detector thresholds and weights, versioned in AiDetectionConfig.
+ *
+ * The newest row is the active config; saving creates a new version so a bad
+ * calibration can be rolled back by re-saving an older one. Instances re-read
+ * it every CONFIG_CACHE_MS - no redeploy needed.
+ *
+ * Each feature maps its raw value to a 0-1 AI likelihood:
+ *   score = 1 / (1 + e^(-(value - threshold) / scale))   direction "above"
+ *   score = 1 / (1 + e^(-(threshold - value) / scale))   direction "below"
+ * so a value exactly at the threshold scores 0.5.
+ */
+
+import prisma from '../../prisma/client.js';
+
+const CONFIG_CACHE_MS = 30 * 1000;
+
+export const DEFAULT_CONFIG = Object.freeze({
+  minLength: 10,
+  decisionThreshold: 50, // combined score (0-100) for isLikelyAI
+  definiteThreshold: 80,
+  features: {
+    phrases: { enabled: true, weight: 2, threshold: 25, scale: 8, direction: 'above' },
+    burstiness: { enabled: true, weight: 1, threshold: 0.35, scale: 0.1, direction: 'below', minSentences: 3 },
+    perplexity: {
+      enabled: true,
+      weight: 1.5,
+      threshold: 15,
+      scale: 5,
+      direction: 'below',
+      model: null, // null = OLLAMA_MODEL
+      minWords: 12,
+      samples: 12,
+      floorLogprob: -12,
+      timeoutMs: 4000
+    },
+    stylometry: {
+      enabled: true,
+      weight: 1,
+      threshold: 1.5,
+      scale: 0.5,
+      direction: 'above',
+      minHistory: 5,
+      historySize: 50
+    }
+  }
+});
+
+let cached = null;
+
+function invalid(message) {
+  return Object.assign(new Error(`Invalid AI detection config: ${message}`), { status: 400 });
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Overlay a (possibly partial) config on the defaults and validate it
+ */
+export function resolveConfig(overrides = {}) {
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    throw invalid('must be an object');
+  }
+
+  const unknown = Object.keys(overrides.features || {}).filter(id => !DEFAULT_CONFIG.features[id]);
+  if (unknown.length) {
+    throw invalid(`unknown features: ${unknown.join(', ')}`);
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...overrides,
+    features: Object.fromEntries(Object.entries(DEFAULT_CONFIG.features).map(([id, defaults]) =>
+      [id, { ...defaults, ...(overrides.features?.[id] || {}) }]
+    ))
+  };
+
+  for (const key of ['minLength', 'decisionThreshold', 'definiteThreshold']) {
+    if (!isNumber(config[key]) || config[key] < 0) throw invalid(`${key} must be a non-negative number`);
+  }
+  if (config.decisionThreshold > 100 || config.definiteThreshold > 100) {
+    throw invalid('decision thresholds are on a 0-100 scale');
+  }
+
+  for (const [id, feature] of Object.entries(config.features)) {
+    if (typeof feature.enabled !== 'boolean') throw invalid(`${id}.enabled must be a boolean`);
+    if (!isNumber(feature.weight) || feature.weight < 0) throw invalid(`${id}.weight must be a non-negative number`);
+    if (!isNumber(feature.threshold)) throw invalid(`${id}.threshold must be a number`);
+    if (!isNumber(feature.scale) || feature.scale <= 0) throw invalid(`${id}.scale must be a positive number`);
+    if (!['above', 'below'].includes(feature.direction)) throw invalid(`${id}.direction must be "above" or "below"`);
+  }
+
+  return config;
+}
+
+/**
+ * Active config (cached). Detection keeps working on the last known - or
+ * default - config if the database is unreachable.
+ */
+export async function getDetectionConfig() {
+  if (cached && Date.now() - cached.loadedAt < CONFIG_CACHE_MS) {
+    return cached;
+  }
+
+  try {
+    const latest = await prisma.aiDetectionConfig.findFirst({ orderBy: { version: 'desc' } });
+    cached = {
+      version: latest?.version || 0,
+      config: latest ? resolveConfig(latest.config) : resolveConfig(),
+      loadedAt: Date.now()
+    };
+  } catch (error) {
+    console.warn(`⚠️ AI detection config unavailable, using ${cached ? `v${cached.version}` : 'defaults'}:`, error.message);
+    cached = { version: cached?.version || 0, config: cached?.config || resolveConfig(), loadedAt: Date.now() };
+  }
+  return cached;
+}
+
+/**
+ * Save a new config version and make it active
+ */
+export async function saveDetectionConfig(overrides, { actor, note } = {}) {
+  const config = resolveConfig(overrides);
+  const latest = await prisma.aiDetectionConfig.findFirst({
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+
+  try {
+    const saved = await prisma.aiDetectionConfig.create({
+      data: {
+        version: (latest?.version || 0) + 1,
+        config,
+        createdBy: actor,
+        note: note || null
+      }
+    });
+    cached = null;
+    return saved;
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw Object.assign(new Error('Config was changed concurrently - reload and retry'), { status: 409 });
+    }
+    throw error;
+  }
+}
+
+export async function listDetectionConfigs({ limit = 20 } = {}) {
+  return prisma.aiDetectionConfig.findMany({
+    orderBy: { version: 'desc' },
+    take: Math.min(Number(limit) || 20, 100)
+  });
+}
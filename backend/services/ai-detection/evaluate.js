@@ -0,0 +1,131 @@
+/**
+ * Evaluation harness - score a labeled corpus and report precision / recall.
+ *
+ * Corpus entries: { text, label: 'ai' | 'human', history?: string[], userId? }
+ *
+ * Reports the combined decision and every feature on its own (a feature
+ * "predicts AI" when its score is >= 0.5, i.e. its value is past its
+ * threshold), plus the thresholds that would have maximized F1 on this
+ * corpus as a starting point for calibration.
+ */
+
+import { analyzeText, resolveConfig, getDetectionConfig } from './index.js';
+
+export const MAX_CORPUS_SIZE = 1000;
+
+const LABELS = ['ai', 'human'];
+
+function validateCorpus(corpus) {
+  if (!Array.isArray(corpus) || corpus.length === 0) {
+    throw Object.assign(new Error('corpus must be a non-empty array'), { status: 400 });
+  }
+  if (corpus.length > MAX_CORPUS_SIZE) {
+    throw Object.assign(new Error(`corpus is limited to ${MAX_CORPUS_SIZE} entries`), { status: 400 });
+  }
+  corpus.forEach((entry, index) => {
+    if (typeof entry?.text !== 'string' || !LABELS.includes(entry.label)) {
+      throw Object.assign(new Error(`corpus[${index}] needs text and label ('ai' or 'human')`), { status: 400 });
+    }
+  });
+}
+
+function metrics(predictions) {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+  for (const { actual, predicted } of predictions) {
+    if (predicted && actual) tp++;
+    else if (predicted) fp++;
+    else if (actual) fn++;
+    else tn++;
+  }
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+  return {
+    total: predictions.length,
+    confusion: { tp, fp, tn, fn },
+    precision,
+    recall,
+    f1,
+    accuracy: predictions.length ? (tp + tn) / predictions.length : null
+  };
+}
+
+/**
+ * Cut-off over observed values that maximizes F1 (ties: the first found)
+ */
+function bestThreshold(samples, direction) {
+  const candidates = [...new Set(samples.map(s => s.value))].sort((a, b) => a - b);
+  let best = null;
+
+  for (const threshold of candidates) {
+    const { f1, precision, recall } = metrics(samples.map(s => ({
+      actual: s.actual,
+      predicted: direction === 'below' ? s.value <= threshold : s.value >= threshold
+    })));
+    if (!best || f1 > best.f1) {
+      best = { threshold, f1, precision, recall };
+    }
+  }
+  return best;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Run the pipeline over a labeled corpus.
+ * options.config - candidate config (partial ok) to evaluate instead of the active one
+ */
+export async function evaluateCorpus(corpus, { config } = {}) {
+  validateCorpus(corpus);
+
+  const active = config ? { config: resolveConfig(config), version: null } : await getDetectionConfig();
+  const settings = active.config;
+
+  const results = [];
+  for (const entry of corpus) {
+    const result = await analyzeText(entry.text, {
+      config: settings,
+      userId: entry.userId,
+      history: entry.history
+    });
+    results.push({ actual: entry.label === 'ai', result });
+  }
+
+  const combined = results.map(({ actual, result }) => ({ actual, value: result.score }));
+
+  const features = Object.fromEntries(Object.entries(settings.features)
+    .filter(([, feature]) => feature.enabled)
+    .map(([id, feature]) => {
+      const samples = results
+        .filter(({ result }) => result.features[id]?.available)
+        .map(({ actual, result }) => ({ actual, value: result.features[id].value, score: result.features[id].score }));
+
+      return [id, {
+        coverage: samples.length / results.length,
+        threshold: feature.threshold,
+        direction: feature.direction,
+        ...metrics(samples.map(s => ({ actual: s.actual, predicted: s.score >= 0.5 }))),
+        meanValue: {
+          ai: mean(samples.filter(s => s.actual).map(s => s.value)),
+          human: mean(samples.filter(s => !s.actual).map(s => s.value))
+        },
+        suggested: samples.length ? bestThreshold(samples, feature.direction) : null
+      }];
+    }));
+
+  return {
+    configVersion: active.version,
+    decisionThreshold: settings.decisionThreshold,
+    ...metrics(combined.map(s => ({ actual: s.actual, predicted: s.value >= settings.decisionThreshold }))),
+    suggestedDecisionThreshold: bestThreshold(combined, 'above'),
+    features
+  };
+}
+
+export default {
+  evaluateCorpus
+};
@@ -0,0 +1,133 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * AI CONTENT DETECTION - Detector pipeline
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every detector measures one feature of the text:
+ *
+ *   id                 - key in config.features
+ *   label              - human-readable name
+ *   measure(text, context, settings)
+ *                      → { value, flags?, details? } or { available: false, reason }
+ *
+ * `context` is { userId, history } where history is the sender's earlier
+ * messages (oldest first); `settings` is the detector's config entry.
+ *
+ * Raw values are turned into 0-1 scores with the per-feature threshold/scale
+ * from config.js and combined as a weighted average of the features that were
+ * available, so a missing Ollama or a new user with no history only narrows
+ * the evidence instead of skewing the score.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../../prisma/client.js';
+import phrases from './phrases.js';
+import burstiness from './burstiness.js';
+import perplexity from './perplexity.js';
+import stylometry from './stylometry.js';
+import { getDetectionConfig } from './config.js';
+
+export {
+  DEFAULT_CONFIG,
+  resolveConfig,
+  getDetectionConfig,
+  saveDetectionConfig,
+  listDetectionConfigs
+} from './config.js';
+
+const DETECTORS = [phrases, burstiness, perplexity, stylometry];
+
+export function listDetectors() {
+  return DETECTORS.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Map a raw feature value to a 0-1 AI likelihood
+ */
+export function featureScore(value, { threshold, scale, direction }) {
+  const distance = direction === 'below' ? threshold - value : value - threshold;
+  return 1 / (1 + Math.exp(-distance / scale));
+}
+
+function describe(score, { decisionThreshold, definiteThreshold }) {
+  return score >= definiteThreshold ? 'High confidence AI-generated' :
+         score >= decisionThreshold ? 'Possibly AI-generated' :
+         score >= decisionThreshold / 2 ? 'Some AI-like patterns' :
+         'Likely human-written';
+}
+
+async function loadHistory(userId, limit, before) {
+  const messages = await prisma.datingMessage.findMany({
+    where: { senderId: userId, ...(before && { createdAt: { lt: before } }) },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+    select: { content: true }
+  });
+  return messages.map(message => message.content).reverse();
+}
+
+/**
+ * Score text with every enabled detector.
+ *
+ * options.config   - resolved config (defaults to the active version)
+ * options.userId   - sender, for stylometry against their earlier messages
+ * options.history  - earlier messages to use instead of loading them
+ * options.before   - only load history sent before this time (when scoring
+ *                    a message that is already stored)
+ */
+export async function analyzeText(text, { config, userId, history, before } = {}) {
+  const active = config ? { config, version: null } : await getDetectionConfig();
+  const settings = active.config;
+
+  if (!text || text.length < settings.minLength) {
+    return { score: 0, flags: [], features: {}, configVersion: active.version, analysis: 'Text too short to analyze' };
+  }
+
+  const context = { userId, history };
+  if (!history && userId && settings.features.stylometry.enabled) {
+    context.history = await loadHistory(userId, settings.features.stylometry.historySize, before);
+  }
+
+  const features = {};
+  const flags = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const detector of DETECTORS) {
+    const feature = settings.features[detector.id];
+    if (!feature.enabled) continue;
+
+    const measured = await detector.measure(text, context, feature);
+    if (measured.available === false) {
+      features[detector.id] = { available: false, reason: measured.reason };
+      continue;
+    }
+
+    const score = featureScore(measured.value, feature);
+    features[detector.id] = { available: true, value: measured.value, score, details: measured.details };
+    weighted += score * feature.weight;
+    totalWeight += feature.weight;
+
+    if (score >= 0.5) {
+      flags.push(...(measured.flags || []));
+    }
+  }
+
+  const score = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : 0;
+
+  return {
+    score,
+    flags,
+    isLikelyAI: score >= settings.decisionThreshold,
+    isDefinitelyAI: score >= settings.definiteThreshold,
+    analysis: describe(score, settings),
+    features,
+    configVersion: active.version
+  };
+}
+
+export default {
+  analyzeText,
+  featureScore,
+  listDetectors
+};
@@ -0,0 +1,108 @@
+/**
+ * Perplexity under a local model served by Ollama (OLLAMA_API_BASE).
+ *
+ * Ollama only returns log-probabilities for tokens it generates, so the text
+ * is probed at evenly spaced word boundaries: the prefix is sent raw, one
+ * token is generated with top_logprobs, and the log-probability of the token
+ * that actually starts the next word is read off (or `floorLogprob` when it
+ * is not among the candidates).
+ *
+ * value: exp(mean negative log-probability) over the probes. Model output is
+ * predictable to a model; people are not.
+ */
+
+import { splitWords } from './text.js';
+
+const DEFAULT_MODEL = 'llama3.2:3b';
+const TOP_LOGPROBS = 20;
+const MIN_PREFIX_WORDS = 3;
+
+function baseUrl() {
+  return (process.env.OLLAMA_API_BASE || 'http://localhost:11434').replace(/\/$/, '');
+}
+
+/**
+ * Character offsets where each word after the first MIN_PREFIX_WORDS starts
+ */
+function probePositions(text, samples) {
+  const starts = [...text.matchAll(/[\p{L}\p{N}']+/gu)].map(match => match.index);
+  const candidates = starts.slice(MIN_PREFIX_WORDS);
+  if (candidates.length <= samples) return candidates;
+
+  const step = candidates.length / samples;
+  return Array.from({ length: samples }, (_, i) => candidates[Math.floor(i * step)]);
+}
+
+async function nextTokenCandidates(prefix, { model, timeoutMs }) {
+  const response = await fetch(`${baseUrl()}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      prompt: prefix,
+      raw: true,
+      stream: false,
+      logprobs: true,
+      top_logprobs: TOP_LOGPROBS,
+      options: { num_predict: 1, temperature: 0 }
+    }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const first = data.logprobs?.[0];
+  if (!first) {
+    throw new Error('Ollama did not return logprobs (requires Ollama 0.12.11 or later)');
+  }
+  return [first, ...(first.top_logprobs || [])];
+}
+
+export default {
+  id: 'perplexity',
+  label: 'Local model perplexity',
+
+  async measure(text, context, settings) {
+    if (splitWords(text).length < settings.minWords) {
+      return { available: false, reason: `needs ${settings.minWords} words` };
+    }
+
+    const model = settings.model || process.env.OLLAMA_MODEL || DEFAULT_MODEL;
+    const positions = probePositions(text, settings.samples);
+    const logprobs = [];
+
+    try {
+      for (const position of positions) {
+        const nextWord = text.slice(position).match(/^[\p{L}\p{N}']+/u)[0].toLowerCase();
+        const candidates = await nextTokenCandidates(text.slice(0, position).trimEnd(), {
+          model,
+          timeoutMs: settings.timeoutMs
+        });
+
+        // Token boundaries differ from word boundaries: any candidate that
+        // starts the actual next word counts as predicting it
+        const matches = candidates
+          .filter(candidate => {
+            const token = (candidate.token || '').trim().toLowerCase();
+            return token.length > 0 && nextWord.startsWith(token);
+          })
+          .map(candidate => candidate.logprob);
+
+        logprobs.push(matches.length ? Math.max(...matches) : settings.floorLogprob);
+      }
+    } catch (error) {
+      return { available: false, reason: `ollama_unavailable: ${error.message}` };
+    }
+
+    const meanNegativeLogprob = -logprobs.reduce((a, b) => a + b, 0) / logprobs.length;
+
+    return {
+      value: Math.exp(meanNegativeLogprob),
+      flags: ['Highly predictable wording'],
+      details: { model, probes: logprobs.length }
+    };
+  }
+};
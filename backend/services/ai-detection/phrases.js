@@ -0,0 +1,77 @@
+/**
+ * Phrase heuristics - the original detectAIContent rules.
+ *
+ * value: summed rule weights (0-100). Self-references ("as an AI") are close to
+ * conclusive on their own; formal connectives and hedging only add up.
+ */
+
+const AI_PHRASES = [
+  { pattern: /as an ai/i, weight: 40, flag: 'AI self-reference' },
+  { pattern: /i don't have (personal |real )?feelings/i, weight: 35, flag: 'AI disclaimer' },
+  { pattern: /i cannot (actually |really )?provide/i, weight: 30, flag: 'AI limitation' },
+  { pattern: /i'm (just |only )?a (language )?model/i, weight: 40, flag: 'Model reference' },
+  { pattern: /as a (large )?language model/i, weight: 40, flag: 'LLM reference' },
+  { pattern: /i was (created|trained|designed) (by|to)/i, weight: 25, flag: 'Training reference' },
+  { pattern: /my (knowledge|training) (cutoff|data)/i, weight: 30, flag: 'Training data reference' }
+];
+
+// Overly formal language in a casual context
+const FORMAL_INDICATORS = [
+  { word: 'furthermore', weight: 5 },
+  { word: 'additionally', weight: 4 },
+  { word: 'consequently', weight: 5 },
+  { word: 'nevertheless', weight: 5 },
+  { word: 'notwithstanding', weight: 6 },
+  { word: 'henceforth', weight: 6 },
+  { word: 'whereby', weight: 5 },
+  { word: 'aforementioned', weight: 6 },
+  { word: 'pursuant', weight: 6 }
+];
+
+const HEDGING_PHRASES = [
+  'it\'s important to note',
+  'it\'s worth mentioning',
+  'i should mention',
+  'i would suggest',
+  'it might be helpful'
+];
+
+export default {
+  id: 'phrases',
+  label: 'AI phrase heuristics',
+
+  async measure(text) {
+    let value = 0;
+    const flags = [];
+
+    for (const { pattern, weight, flag } of AI_PHRASES) {
+      if (pattern.test(text)) {
+        value += weight;
+        flags.push(flag);
+      }
+    }
+
+    const lowerText = text.toLowerCase();
+    const formal = FORMAL_INDICATORS.filter(({ word }) => lowerText.includes(word));
+    value += formal.reduce((sum, { weight }) => sum + weight, 0);
+    if (formal.length >= 3) {
+      flags.push('Overly formal language');
+    }
+
+    // Em dashes and semicolons are common in AI output
+    const emDashCount = (text.match(/—/g) || []).length;
+    const semicolonCount = (text.match(/;/g) || []).length;
+    if (emDashCount >= 3 || semicolonCount >= 3) {
+      value += 8;
+      flags.push('Excessive punctuation patterns');
+    }
+
+    const hedgingCount = HEDGING_PHRASES.filter(phrase => lowerText.includes(phrase)).length;
+    if (hedgingCount >= 2) {
+      value += 12;
+      flags.push('Excessive hedging language');
+    }
+
+    return { value: Math.min(value, 100), flags };
+  }
+};
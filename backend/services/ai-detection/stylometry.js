@@ -0,0 +1,75 @@
+/**
+ * Stylometry against the sender's own earlier messages.
+ *
+ * A style profile is computed for every message in the history; the new text
+ * is compared dimension by dimension against the history's mean and spread.
+ *
+ * value: mean absolute z-score across dimensions. A message that does not
+ * read like the rest of the user's messages was probably not written by them.
+ */
+
+import { splitSentences, splitWords, mean, standardDeviation } from './text.js';
+
+const CONTRACTION = /\b\w+'(s|t|re|ve|ll|d|m)\b/gi;
+const EMOJI = /\p{Extended_Pictographic}/gu;
+
+// Spread floor per dimension so a very consistent history does not turn
+// tiny differences into huge z-scores
+const MIN_SPREAD = {
+  wordLength: 0.3,
+  sentenceLength: 2,
+  commaRate: 0.02,
+  exclamationRate: 0.05,
+  questionRate: 0.05,
+  contractionRate: 0.02,
+  emojiRate: 0.02,
+  lowercaseStartRate: 0.1
+};
+
+// One dimension cannot outweigh all the others
+const MAX_DEVIATION = 5;
+
+function profile(text) {
+  const words = splitWords(text);
+  const sentences = splitSentences(text);
+  const wordCount = Math.max(words.length, 1);
+  const sentenceCount = Math.max(sentences.length, 1);
+
+  return {
+    wordLength: mean(words.map(word => word.length)),
+    sentenceLength: words.length / sentenceCount,
+    commaRate: (text.match(/,/g) || []).length / wordCount,
+    exclamationRate: (text.match(/!/g) || []).length / sentenceCount,
+    questionRate: (text.match(/\?/g) || []).length / sentenceCount,
+    contractionRate: (text.match(CONTRACTION) || []).length / wordCount,
+    emojiRate: (text.match(EMOJI) || []).length / wordCount,
+    lowercaseStartRate: sentences.filter(s => /^\p{Ll}/u.test(s)).length / sentenceCount
+  };
+}
+
+export default {
+  id: 'stylometry',
+  label: 'Stylometric distance from sender history',
+
+  async measure(text, context, settings) {
+    const history = (context.history || []).filter(message => splitWords(message).length >= 3);
+    if (history.length < settings.minHistory) {
+      return { available: false, reason: `needs ${settings.minHistory} earlier messages` };
+    }
+
+    const current = profile(text);
+    const baseline = history.map(profile);
+
+    const deviations = Object.fromEntries(Object.keys(current).map(dimension => {
+      const values = baseline.map(p => p[dimension]);
+      const spread = Math.max(standardDeviation(values), MIN_SPREAD[dimension]);
+      return [dimension, Math.min(Math.abs(current[dimension] - mean(values)) / spread, MAX_DEVIATION)];
+    }));
+
+    return {
+      value: mean(Object.values(deviations)),
+      flags: ['Writing style differs from sender history'],
+      details: { historySize: history.length, deviations }
+    };
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Shared tokenization for the AI detectors
+ */
+
+export function splitSentences(text) {
+  return text.split(/[.!?]+/).map(s => s.trim()).filter(s => s.length > 0);
+}
+
+export function splitWords(text) {
+  return text.match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+export function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+export function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+}
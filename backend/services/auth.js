@@ -5,6 +5,8 @@
  *
  * Features:
  * - JWT-based authentication
+ * - Users, sessions and refresh tokens persisted via Prisma
+ * - Refresh-token rotation with replay detection (revokes the token family)
  * - bcrypt password hashing
  * - Rate limiting integration
  * - Age verification enforcement
@@ -16,20 +18,68 @@
 
 import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import prisma from '../prisma/client.js';
+import { hashData } from '../utils/encryption.js';
+import { hasPremium } from './entitlements.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(64).toString('hex');
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || crypto.randomBytes(64).toString('hex');
+/**
+ * Resolve a signing secret. Production refuses to start without one, since a
+ * random per-process secret invalidates every token on restart.
+ */
+function resolveSecret(name) {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  console.warn(`⚠️ ${name} not set - using a random secret; tokens will not survive a restart`);
+  return crypto.randomBytes(64).toString('hex');
+}
+
+const JWT_SECRET = resolveSecret('JWT_SECRET');
+const JWT_REFRESH_SECRET = resolveSecret('JWT_REFRESH_SECRET');
 const ACCESS_TOKEN_EXPIRY = '15m';
 const REFRESH_TOKEN_EXPIRY = '7d';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 
-// In-memory user store (will be replaced with Prisma)
-const users = new Map();
-const refreshTokenStore = new Map();
-const sessions = new Map();
+// authMiddleware remembers sessions it found active for this long, saving a
+// query per request; a revocation on another instance lands within it
+const SESSION_CHECK_TTL_MS = 30 * 1000;
+const SESSION_CHECK_MAX_ENTRIES = 10000;
+const activeSessions = new Map(); // sessionId → last confirmed active (ms)
+
+/**
+ * Shape a DatingUser row into the account object used by tokens and routes
+ */
+function toAccount(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    passwordHash: row.passwordHash,
+    displayName: row.displayName,
+    createdAt: row.createdAt,
+    status: row.status,
+    ageVerified: row.ageVerified,
+    ageVerifiedAt: row.ageVerifiedAt,
+    ageVerificationId: row.ageVerificationId,
+    humanVerified: row.humanVerificationStatus === 'VERIFIED',
+    humanVerifiedAt: row.humanVerifiedAt,
+    humanVerificationMethod: row.humanVerificationMethod,
+    humanVerificationScore: row.humanVerificationScore,
+    isPremium: row.isPremium,
+    isVIP: row.isVIP,
+    isFoundingMember: row.isFoundingMember,
+    loginCount: row.loginCount,
+    lastLoginAt: row.lastLoginAt
+  };
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // PASSWORD HASHING (bcrypt-style with crypto)
@@ -71,10 +121,11 @@ export async function verifyPassword(password, hash) {
 /**
  * Generate access token
  */
-export function generateAccessToken(user) {
+export function generateAccessToken(user, sessionId = null) {
   const payload = {
     userId: user.id,
     email: user.email,
+    sessionId,
     type: 'access',
     ageVerified: user.ageVerified || false,
     humanVerified: user.humanVerified || false,
@@ -86,26 +137,29 @@ export function generateAccessToken(user) {
 }
 
 /**
- * Generate refresh token
+ * Generate refresh token and persist it under the session (token family)
  */
-export function generateRefreshToken(user) {
+export async function generateRefreshToken(user, sessionId, db = prisma) {
   const tokenId = crypto.randomUUID();
   const payload = {
     userId: user.id,
+    sessionId,
     tokenId,
     type: 'refresh'
   };
 
   const token = jwt.sign(payload, JWT_REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRY });
 
-  // Store refresh token
-  refreshTokenStore.set(tokenId, {
-    userId: user.id,
-    createdAt: new Date(),
-    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  await db.refreshToken.create({
+    data: {
+      id: tokenId,
+      userId: user.id,
+      sessionId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
   });
 
-  return token;
+  return { token, tokenId };
 }
 
 /**
@@ -124,9 +178,31 @@ export function verifyAccessToken(token) {
 }
 
 /**
- * Verify refresh token and generate new tokens
+ * Revoke a session and every refresh token issued in it
+ */
+async function revokeSessionFamily(sessionId, reason) {
+  const now = new Date();
+  activeSessions.delete(sessionId);
+  await prisma.$transaction([
+    prisma.authSession.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: now, revokedReason: reason }
+    }),
+    prisma.refreshToken.updateMany({
+      where: { sessionId, revokedAt: null },
+      data: { revokedAt: now }
+    })
+  ]);
+}
+
+/**
+ * Verify refresh token, rotate it and generate new tokens.
+ *
+ * Each refresh token is single-use. Presenting one that was already rotated
+ * means it was copied, so the whole session (token family) is revoked and
+ * both the attacker and the legitimate holder must log in again.
  */
-export function refreshTokens(refreshToken) {
+export async function refreshTokens(refreshToken) {
   try {
     const decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
 
@@ -134,26 +210,61 @@ export function refreshTokens(refreshToken) {
       throw new Error('Invalid token type');
     }
 
-    // Check if token is still valid
-    const storedToken = refreshTokenStore.get(decoded.tokenId);
-    if (!storedToken) {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { id: decoded.tokenId },
+      include: { session: true, user: true }
+    });
+    if (!stored) {
       throw new Error('Refresh token revoked');
     }
 
-    // Get user
-    const user = users.get(decoded.userId);
-    if (!user) {
-      throw new Error('User not found');
+    if (stored.revokedAt) {
+      throw new Error('Refresh token revoked');
     }
 
-    // Revoke old refresh token
-    refreshTokenStore.delete(decoded.tokenId);
+    if (stored.usedAt) {
+      await revokeSessionFamily(stored.sessionId, 'token_reuse');
+      console.warn(`🚨 Refresh token reuse detected for user ${stored.userId} - session ${stored.sessionId} revoked`);
+      return { valid: false, error: 'Refresh token reuse detected', reuseDetected: true };
+    }
+
+    const { session } = stored;
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      throw new Error('Session expired');
+    }
+
+    const user = toAccount(stored.user);
+    if (['BANNED', 'DELETED', 'SUSPENDED'].includes(user.status)) {
+      await revokeSessionFamily(session.id, 'account_disabled');
+      throw new Error('Account is not active');
+    }
+
+    const rotated = await prisma.$transaction(async (tx) => {
+      // Conditional update: of two concurrent refreshes with the same token, only one wins
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: stored.id, usedAt: null, revokedAt: null },
+        data: { usedAt: new Date() }
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      const next = await generateRefreshToken(user, session.id, tx);
+      await tx.refreshToken.update({ where: { id: stored.id }, data: { replacedById: next.tokenId } });
+      await tx.authSession.update({ where: { id: session.id }, data: { lastActivityAt: new Date() } });
+      return next;
+    });
+
+    if (!rotated) {
+      await revokeSessionFamily(session.id, 'token_reuse');
+      return { valid: false, error: 'Refresh token reuse detected', reuseDetected: true };
+    }
 
-    // Generate new tokens
     return {
       valid: true,
-      accessToken: generateAccessToken(user),
-      refreshToken: generateRefreshToken(user)
+      accessToken: generateAccessToken(user, session.id),
+      refreshToken: rotated.token,
+      sessionId: session.id
     };
   } catch (error) {
     return { valid: false, error: error.message };
@@ -175,14 +286,13 @@ export async function registerUser({ email, password, displayName }) {
   }
 
   // Check if user exists
-  for (const [id, user] of users) {
-    if (user.email === email) {
-      throw new Error('Email already registered');
-    }
+  const existing = await prisma.datingUser.findUnique({ where: { email: email.toLowerCase() } });
+  if (existing) {
+    throw new Error('Email already registered');
   }
 
   // Validate password strength
-  if (password.length < 8) {
+  if (!password || password.length < 8) {
     throw new Error('Password must be at least 8 characters');
   }
 
@@ -190,23 +300,21 @@ export async function registerUser({ email, password, displayName }) {
   const passwordHash = await hashPassword(password);
 
   // Create user
-  const user = {
-    id: crypto.randomUUID(),
-    email: email.toLowerCase(),
-    passwordHash,
-    displayName: displayName || null,
-    createdAt: new Date().toISOString(),
-    status: 'PENDING_VERIFICATION',
-    ageVerified: false,
-    humanVerified: false,
-    isPremium: false,
-    isVIP: false,
-    isFoundingMember: false,
-    loginCount: 0,
-    lastLoginAt: null
-  };
-
-  users.set(user.id, user);
+  let user;
+  try {
+    user = toAccount(await prisma.datingUser.create({
+      data: {
+        email: email.toLowerCase(),
+        passwordHash,
+        displayName: displayName || null
+      }
+    }));
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new Error('Email already registered');
+    }
+    throw error;
+  }
 
   console.log(`✅ User registered: ${email}`);
 
@@ -223,16 +331,12 @@ export async function registerUser({ email, password, displayName }) {
 
 /**
  * Login user
+ * @param {Object} credentials - { email, password }
+ * @param {Object} [context] - { ip, userAgent } recorded on the session
  */
-export async function loginUser({ email, password }) {
+export async function loginUser({ email, password }, { ip, userAgent } = {}) {
   // Find user
-  let user = null;
-  for (const [id, u] of users) {
-    if (u.email === email.toLowerCase()) {
-      user = u;
-      break;
-    }
-  }
+  const user = toAccount(await prisma.datingUser.findUnique({ where: { email: String(email).toLowerCase() } }));
 
   if (!user) {
     throw new Error('Invalid email or password');
@@ -245,33 +349,39 @@ export async function loginUser({ email, password }) {
   }
 
   // Check if account is active
-  if (user.status === 'BANNED' || user.status === 'DELETED') {
+  if (['BANNED', 'DELETED', 'SUSPENDED'].includes(user.status)) {
     throw new Error('Account is not active');
   }
 
-  // Update login stats
-  user.loginCount++;
-  user.lastLoginAt = new Date().toISOString();
+  // Create session (also the refresh-token family) and update login stats
+  const { session, refresh } = await prisma.$transaction(async (tx) => {
+    await tx.datingUser.update({
+      where: { id: user.id },
+      data: { loginCount: { increment: 1 }, lastLoginAt: new Date(), lastActiveAt: new Date() }
+    });
 
-  // Generate tokens
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+    const session = await tx.authSession.create({
+      data: {
+        userId: user.id,
+        ipHash: ip && process.env.SALT ? hashData(ip) : null,
+        userAgent: userAgent || null,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+      }
+    });
 
-  // Create session
-  const sessionId = crypto.randomUUID();
-  sessions.set(sessionId, {
-    userId: user.id,
-    createdAt: new Date(),
-    lastActivityAt: new Date()
+    const refresh = await generateRefreshToken(user, session.id, tx);
+    return { session, refresh };
   });
 
+  const accessToken = generateAccessToken(user, session.id);
+
   console.log(`✅ User logged in: ${email}`);
 
   return {
     success: true,
     accessToken,
-    refreshToken,
-    sessionId,
+    refreshToken: refresh.token,
+    sessionId: session.id,
     user: {
       id: user.id,
       email: user.email,
@@ -285,65 +395,184 @@ export async function loginUser({ email, password }) {
 }
 
 /**
- * Logout user
+ * Logout user (current session only)
  */
-export function logoutUser(sessionId, refreshToken) {
-  // Remove session
-  sessions.delete(sessionId);
+export async function logoutUser(userId, sessionId, refreshToken) {
+  // Fall back to the session encoded in the refresh token
+  if (!sessionId && refreshToken) {
+    try {
+      sessionId = jwt.verify(refreshToken, JWT_REFRESH_SECRET).sessionId;
+    } catch (e) {
+      // Token already invalid, ignore
+    }
+  }
 
-  // Revoke refresh token
-  try {
-    const decoded = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
-    refreshTokenStore.delete(decoded.tokenId);
-  } catch (e) {
-    // Token already invalid, ignore
+  if (sessionId) {
+    const session = await prisma.authSession.findFirst({ where: { id: sessionId, userId } });
+    if (session) {
+      await revokeSessionFamily(session.id, 'logout');
+    }
   }
 
   return { success: true };
 }
 
+/**
+ * Logout user from every device
+ */
+export async function logoutAllSessions(userId) {
+  const now = new Date();
+  const [sessions] = await prisma.$transaction([
+    prisma.authSession.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now, revokedReason: 'logout_all' }
+    }),
+    prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: now }
+    })
+  ]);
+
+  // Their ids aren't known here - drop every cached check
+  activeSessions.clear();
+  console.log(`🔒 All sessions revoked for user ${userId} (${sessions.count})`);
+
+  return { success: true, revokedSessions: sessions.count };
+}
+
+/**
+ * Active (unrevoked, unexpired) sessions for a user
+ */
+export async function listSessions(userId) {
+  return prisma.authSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, createdAt: true, lastActivityAt: true, userAgent: true, expiresAt: true },
+    orderBy: { lastActivityAt: 'desc' }
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // VERIFICATION STATUS
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Mark user as age verified
+ * Activate the account once both verifications are complete
  */
-export function setAgeVerified(userId, verificationId) {
-  const user = users.get(userId);
-  if (!user) {
-    throw new Error('User not found');
+async function activateIfVerified(user) {
+  if (user.ageVerified && user.humanVerificationStatus === 'VERIFIED' && user.status === 'PENDING_VERIFICATION') {
+    return prisma.datingUser.update({ where: { id: user.id }, data: { status: 'ACTIVE' } });
   }
+  return user;
+}
+
+/**
+ * Verification levels in ascending order of assurance
+ */
+export const VERIFICATION_LEVELS = Object.freeze(['NONE', 'BASIC', 'ENHANCED', 'VERIFIED']);
 
-  user.ageVerified = true;
-  user.ageVerifiedAt = new Date().toISOString();
-  user.ageVerificationId = verificationId;
+// Lowest AgeVerification level the dating app accepts
+const AGE_VERIFICATION_MIN_LEVEL = process.env.AGE_VERIFICATION_MIN_LEVEL || 'BASIC';
 
-  if (user.ageVerified && user.humanVerified) {
-    user.status = 'ACTIVE';
+/**
+ * Why a persisted AgeVerification does not (or no longer does) qualify, or null
+ */
+export function ageVerificationProblem(verification, minLevel = AGE_VERIFICATION_MIN_LEVEL) {
+  if (!verification || !verification.isVerified || !verification.ageConfirmed) {
+    return 'not_verified';
   }
-
-  return { success: true, status: user.status };
+  if (verification.expiresAt <= new Date()) {
+    return 'expired';
+  }
+  if (VERIFICATION_LEVELS.indexOf(verification.verificationLevel) < VERIFICATION_LEVELS.indexOf(minLevel)) {
+    return 'insufficient_level';
+  }
+  return null;
 }
 
 /**
- * Mark user as human verified
+ * Mark user as age verified from a stored AgeVerification record
  */
-export function setHumanVerified(userId, method, score) {
-  const user = users.get(userId);
-  if (!user) {
-    throw new Error('User not found');
+export async function setAgeVerified(userId, verificationId) {
+  const verification = await prisma.ageVerification.findUnique({ where: { id: verificationId } });
+  const problem = ageVerificationProblem(verification);
+  if (problem) {
+    throw Object.assign(new Error(`Age verification ${problem.replace('_', ' ')}`), { status: 403 });
+  }
+  if (verification.userId && verification.userId !== userId) {
+    throw Object.assign(new Error('Age verification belongs to another user'), { status: 403 });
   }
 
-  user.humanVerified = true;
-  user.humanVerifiedAt = new Date().toISOString();
-  user.humanVerificationMethod = method;
-  user.humanVerificationScore = score;
+  let user;
+  try {
+    [, user] = await prisma.$transaction([
+      prisma.ageVerification.update({ where: { id: verification.id }, data: { userId } }),
+      prisma.datingUser.update({
+        where: { id: userId },
+        data: {
+          ageVerified: true,
+          ageVerifiedAt: verification.verifiedAt || new Date(),
+          ageVerificationId: verification.id
+        }
+      })
+    ]);
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('User not found');
+    }
+    throw error;
+  }
 
-  if (user.ageVerified && user.humanVerified) {
-    user.status = 'ACTIVE';
+  user = await activateIfVerified(user);
+  return {
+    success: true,
+    status: user.status,
+    verificationLevel: verification.verificationLevel,
+    expiresAt: verification.expiresAt
+  };
+}
+
+// Days a human verification stays valid before the user must re-verify
+export const HUMAN_REVERIFICATION_DAYS = parseInt(process.env.HUMAN_REVERIFICATION_DAYS) || 180;
+
+/**
+ * Why a user's human verification does not (or no longer does) qualify, or null
+ */
+export function humanVerificationProblem(user) {
+  if (!user || user.humanVerificationStatus !== 'VERIFIED') {
+    return 'not_verified';
+  }
+  if (user.humanVerificationExpiresAt && user.humanVerificationExpiresAt <= new Date()) {
+    return 'expired';
   }
+  return null;
+}
 
+/**
+ * Mark user as human verified
+ */
+export async function setHumanVerified(userId, method, score, { expiresAt } = {}) {
+  const now = new Date();
+  let user;
+  try {
+    user = await prisma.datingUser.update({
+      where: { id: userId },
+      data: {
+        humanVerificationStatus: 'VERIFIED',
+        humanVerifiedAt: now,
+        humanVerificationMethod: method,
+        humanVerificationScore: score,
+        humanVerificationExpiresAt: expiresAt
+          || new Date(now.getTime() + HUMAN_REVERIFICATION_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      throw new Error('User not found');
+    }
+    throw error;
+  }
+
+  user = await activateIfVerified(user);
   return { success: true, status: user.status };
 }
 
@@ -352,63 +581,153 @@ export function setHumanVerified(userId, method, score) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Express middleware for authentication
+ * Whether the session behind an access token is still open - logout, token
+ * reuse and disabled accounts revoke it before the token expires, and an
+ * expired session stays closed even though it was never revoked
+ */
+export async function isSessionActive(sessionId, userId) {
+  const checkedAt = activeSessions.get(sessionId);
+  if (checkedAt && Date.now() - checkedAt < SESSION_CHECK_TTL_MS) {
+    return true;
+  }
+
+  const session = await prisma.authSession.findFirst({
+    where: { id: sessionId, userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true }
+  });
+  if (!session) {
+    activeSessions.delete(sessionId);
+    return false;
+  }
+
+  if (activeSessions.size >= SESSION_CHECK_MAX_ENTRIES) {
+    activeSessions.clear();
+  }
+  activeSessions.set(sessionId, Date.now());
+  return true;
+}
+
+/**
+ * Resolve the bearer token on a request: a valid token whose session is still
+ * open gives its payload, anything else the 401 to answer with
+ * @returns {Promise<{ user: Object }|{ status: 401, body: Object }>}
  */
-export function authMiddleware(req, res, next) {
+export async function authenticateRequest(req) {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
+    return { status: 401, body: { error: 'No token provided' } };
   }
 
   const token = authHeader.split(' ')[1];
   const result = verifyAccessToken(token);
 
   if (!result.valid) {
-    return res.status(401).json({ error: 'Invalid token', message: result.error });
+    return { status: 401, body: { error: 'Invalid token', message: result.error } };
   }
 
-  req.user = result.payload;
-  next();
+  const { sessionId, userId } = result.payload;
+  if (sessionId && !(await isSessionActive(sessionId, userId))) {
+    return { status: 401, body: { error: 'Session revoked' } };
+  }
+
+  return { user: result.payload };
 }
 
 /**
- * Middleware requiring age verification
+ * Express middleware for authentication
  */
-export function requireAgeVerification(req, res, next) {
-  if (!req.user?.ageVerified) {
-    return res.status(403).json({
-      error: 'Age verification required',
-      redirectTo: '/verify-age'
-    });
+export async function authMiddleware(req, res, next) {
+  let auth;
+  try {
+    auth = await authenticateRequest(req);
+  } catch (error) {
+    return next(error);
   }
+
+  if (!auth.user) {
+    return res.status(auth.status).json(auth.body);
+  }
+
+  req.user = auth.user;
   next();
 }
 
 /**
- * Middleware requiring human verification
+ * Middleware requiring age verification. Checks the stored AgeVerification
+ * linked to the user (level and expiry), not the token claim.
  */
-export function requireHumanVerification(req, res, next) {
-  if (!req.user?.humanVerified) {
-    return res.status(403).json({
-      error: 'Human verification required',
-      redirectTo: '/verify-human'
+export async function requireAgeVerification(req, res, next) {
+  try {
+    const user = await prisma.datingUser.findUnique({
+      where: { id: req.user?.userId },
+      select: { ageVerificationId: true }
     });
+    const verification = user?.ageVerificationId
+      ? await prisma.ageVerification.findUnique({ where: { id: user.ageVerificationId } })
+      : null;
+
+    const problem = ageVerificationProblem(verification);
+    if (problem) {
+      return res.status(403).json({
+        error: 'Age verification required',
+        reason: problem,
+        redirectTo: '/verify-age'
+      });
+    }
+
+    req.ageVerification = {
+      id: verification.id,
+      level: verification.verificationLevel,
+      expiresAt: verification.expiresAt
+    };
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 }
 
 /**
- * Middleware requiring premium subscription
+ * Middleware requiring human verification. Checks the stored status and
+ * re-verification date, not the token claim.
  */
-export function requirePremium(req, res, next) {
-  if (!req.user?.isPremium) {
-    return res.status(403).json({
-      error: 'Premium subscription required',
-      redirectTo: '/subscribe'
+export async function requireHumanVerification(req, res, next) {
+  try {
+    const user = await prisma.datingUser.findUnique({
+      where: { id: req.user?.userId },
+      select: { humanVerificationStatus: true, humanVerificationExpiresAt: true }
     });
+
+    const problem = humanVerificationProblem(user);
+    if (problem) {
+      return res.status(403).json({
+        error: 'Human verification required',
+        reason: problem,
+        redirectTo: '/verify-human'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware requiring premium subscription. Checks the user's stored
+ * subscriptions (services/entitlements.js), not the token claim.
+ */
+export async function requirePremium(req, res, next) {
+  try {
+    if (!await hasPremium(req.user?.userId)) {
+      return res.status(403).json({
+        error: 'Premium subscription required',
+        redirectTo: '/subscribe'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -418,31 +737,29 @@ export function requirePremium(req, res, next) {
 /**
  * Get user by ID (internal use)
  */
-export function getUserById(userId) {
-  return users.get(userId);
+export async function getUserById(userId) {
+  return toAccount(await prisma.datingUser.findUnique({ where: { id: userId } }));
 }
 
 /**
  * Get user by email (internal use)
  */
-export function getUserByEmail(email) {
-  for (const [id, user] of users) {
-    if (user.email === email.toLowerCase()) {
-      return user;
-    }
-  }
-  return null;
+export async function getUserByEmail(email) {
+  return toAccount(await prisma.datingUser.findUnique({ where: { email: email.toLowerCase() } }));
 }
 
 /**
- * Get session stats
+ * Get session stats (live sessions from storage)
  */
-export function getSessionStats() {
-  return {
-    activeUsers: users.size,
-    activeSessions: sessions.size,
-    activeRefreshTokens: refreshTokens.size
-  };
+export async function getSessionStats() {
+  const now = new Date();
+  const [activeUsers, activeSessions, activeRefreshTokens] = await Promise.all([
+    prisma.datingUser.count({ where: { sessions: { some: { revokedAt: null, expiresAt: { gt: now } } } } }),
+    prisma.authSession.count({ where: { revokedAt: null, expiresAt: { gt: now } } }),
+    prisma.refreshToken.count({ where: { usedAt: null, revokedAt: null, expiresAt: { gt: now } } })
+  ]);
+
+  return { activeUsers, activeSessions, activeRefreshTokens };
 }
 
 export default {
@@ -451,12 +768,19 @@ export default {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
+  isSessionActive,
+  authenticateRequest,
   refreshTokens,
   registerUser,
   loginUser,
   logoutUser,
+  logoutAllSessions,
+  listSessions,
+  VERIFICATION_LEVELS,
+  ageVerificationProblem,
   setAgeVerified,
   setHumanVerified,
+  humanVerificationProblem,
   authMiddleware,
   requireAgeVerification,
   requireHumanVerification,
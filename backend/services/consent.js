@@ -0,0 +1,466 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * CONSENT SERVICE - Cookie consent (3-Box System) with tamper-evident history
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - Every choice (create, update, withdraw) appends a UserConsent row; rows
+ *   are never updated, the latest row for a session is its current consent
+ * - Rows are hash-chained per session, or per user once authenticated, so
+ *   any edit or deletion breaks the chain (verifyChain)
+ * - Each row records the hash of the policy it was given against; when the
+ *   policy document changes, existing consents require renewal
+ * - exportRecords() produces the regulator export with chain verification
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { canonicalize } from './dao-revenue.js';
+
+const CONSENT_TTL_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+const APPEND_RETRIES = 5;
+const EXPORT_LIMIT = 10000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLICY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The cookie policy users consent to. Any change here changes the policy
+ * hash and asks every user to consent again - bump version and
+ * lastUpdated with it.
+ */
+export const CONSENT_POLICY = Object.freeze({
+  version: '1.0',
+  lastUpdated: '2025-11-24',
+  cookieTypes: {
+    essential: {
+      name: 'Essential Cookies',
+      description: 'Required for site functionality, security, and legal compliance',
+      canOptOut: false,
+      examples: [
+        'Session management',
+        'Authentication tokens',
+        'Age verification status',
+        'Security (CSRF protection)'
+      ],
+      retention: 'Session or 30 days'
+    },
+    analytics: {
+      name: 'Analytics Cookies',
+      description: 'Help us understand how users interact with our platform',
+      canOptOut: true,
+      examples: [
+        'Google Analytics',
+        'Page view tracking',
+        'User behavior analytics',
+        'Performance monitoring'
+      ],
+      retention: '24 months',
+      thirdParties: ['Google Analytics']
+    },
+    marketing: {
+      name: 'Marketing Cookies',
+      description: 'Used to deliver relevant advertising and track campaign performance',
+      canOptOut: true,
+      examples: [
+        'Ad targeting',
+        'Social media pixels (Facebook, Instagram)',
+        'Conversion tracking',
+        'Retargeting'
+      ],
+      retention: '12 months',
+      thirdParties: ['Meta', 'Google Ads', 'Amazon Ads']
+    }
+  },
+  compliance: {
+    gdpr: true,
+    ccpa: true,
+    coppa: true
+  },
+  rights: {
+    access: 'Request copy of your consent records',
+    rectification: 'Update consent preferences',
+    erasure: 'Withdraw consent and request data deletion',
+    portability: 'Export consent history',
+    object: 'Object to specific processing activities'
+  },
+  contact: {
+    email: 'privacy@aidoesitall.website',
+    dataProtectionOfficer: 'dpo@aidoesitall.website'
+  }
+});
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+export const POLICY_HASH = sha256(canonicalize(CONSENT_POLICY));
+
+let policyPublished = null;
+
+/**
+ * Store the current policy document so exports can show exactly what each
+ * consent was given against. Runs once per process.
+ */
+export function ensurePolicyPublished() {
+  if (!policyPublished) {
+    policyPublished = prisma.consentPolicy.upsert({
+      where: { hash: POLICY_HASH },
+      update: {},
+      create: { hash: POLICY_HASH, version: CONSENT_POLICY.version, document: CONSENT_POLICY }
+    }).catch((error) => {
+      policyPublished = null;
+      throw error;
+    });
+  }
+  return policyPublished;
+}
+
+export function getPolicy() {
+  return { ...CONSENT_POLICY, hash: POLICY_HASH };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HASH CHAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Hash a consent row together with the previous row's hash
+ */
+export function hashConsentRecord(record, previousHash = null) {
+  return sha256(canonicalize({
+    id: record.id,
+    chainKey: record.chainKey,
+    sequence: record.sequence,
+    createdAt: new Date(record.createdAt).toISOString(),
+    sessionId: record.sessionId,
+    userId: record.userId || null,
+    essential: record.essential,
+    analytics: record.analytics,
+    marketing: record.marketing,
+    action: record.action,
+    previousConsentId: record.previousConsentId || null,
+    policyVersion: record.policyVersion,
+    policyHash: record.policyHash,
+    domain: record.domain,
+    ipHash: record.ipHash,
+    expiresAt: new Date(record.expiresAt).toISOString(),
+    previousHash
+  }));
+}
+
+/**
+ * Re-derive every hash of one chain (rows in sequence order)
+ */
+export function verifyChain(records) {
+  let previousHash = null;
+  for (const [index, record] of records.entries()) {
+    const brokenLink = record.sequence !== index + 1
+      || record.previousHash !== previousHash
+      || hashConsentRecord(record, previousHash) !== record.hash;
+    if (brokenLink) {
+      return { valid: false, length: records.length, firstBrokenLink: record.sequence };
+    }
+    previousHash = record.hash;
+  }
+  return { valid: true, length: records.length, firstBrokenLink: null, headHash: previousHash };
+}
+
+function chainKeyFor({ sessionId, userId }) {
+  return userId ? `user:${userId}` : `session:${sessionId}`;
+}
+
+async function appendRecord(fields) {
+  await ensurePolicyPublished();
+
+  const chainKey = chainKeyFor(fields);
+  const verification = await prisma.ageVerification.findUnique({
+    where: { sessionId: fields.sessionId },
+    select: { id: true }
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (db) => {
+        const last = await db.userConsent.findFirst({
+          where: { chainKey },
+          orderBy: { sequence: 'desc' },
+          select: { sequence: true, hash: true }
+        });
+
+        const createdAt = new Date();
+        const draft = {
+          id: crypto.randomUUID(),
+          chainKey,
+          sequence: (last?.sequence || 0) + 1,
+          createdAt,
+          sessionId: fields.sessionId,
+          userId: fields.userId || null,
+          verificationId: verification?.id || null,
+          essential: true, // Always true (required)
+          analytics: !!fields.analytics,
+          marketing: !!fields.marketing,
+          ipHash: fields.ipHash,
+          userAgent: fields.userAgent || null,
+          domain: fields.domain,
+          policyVersion: CONSENT_POLICY.version,
+          policyHash: POLICY_HASH,
+          expiresAt: new Date(createdAt.getTime() + CONSENT_TTL_MS),
+          action: fields.action,
+          previousConsentId: fields.previousConsentId || null
+        };
+        const previousHash = last?.hash || null;
+
+        return db.userConsent.create({
+          data: { ...draft, previousHash, hash: hashConsentRecord(draft, previousHash) }
+        });
+      });
+    } catch (error) {
+      // Concurrent choice on the same chain; re-read the head and retry
+      if (error.code === 'P2002' && attempt < APPEND_RETRIES) continue;
+      throw error;
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSENT ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function getCurrentRecord(sessionId) {
+  return prisma.userConsent.findFirst({
+    where: { sessionId },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Reject a choice made against a policy the client has since had replaced
+ */
+function assertCurrentPolicy(policyHash) {
+  if (policyHash && policyHash !== POLICY_HASH) {
+    throw Object.assign(
+      new Error('Consent policy has changed - fetch /api/consent/policy and ask again'),
+      { status: 409 }
+    );
+  }
+}
+
+export async function recordConsent({ sessionId, userId, analytics, marketing, policyHash, ...context }) {
+  assertCurrentPolicy(policyHash);
+  return appendRecord({
+    ...context,
+    sessionId: sessionId || crypto.randomUUID(),
+    userId,
+    analytics,
+    marketing,
+    action: 'create'
+  });
+}
+
+export async function updateConsent({ sessionId, analytics, marketing, policyHash, ...context }) {
+  assertCurrentPolicy(policyHash);
+
+  const current = await getCurrentRecord(sessionId);
+  if (!current) {
+    throw Object.assign(new Error('No consent record for this session'), { status: 404 });
+  }
+
+  return appendRecord({
+    ...context,
+    sessionId,
+    userId: context.userId || current.userId,
+    // Fields left out of the update keep their current value
+    analytics: analytics ?? current.analytics,
+    marketing: marketing ?? current.marketing,
+    action: 'update',
+    previousConsentId: current.id
+  });
+}
+
+/**
+ * Withdraw all non-essential consent. With only a userId, every session
+ * the user consented from is withdrawn.
+ */
+export async function withdrawConsent({ sessionId, userId, ...context }) {
+  const sessionIds = sessionId
+    ? [sessionId]
+    : (await prisma.userConsent.findMany({
+      where: { userId },
+      distinct: ['sessionId'],
+      select: { sessionId: true }
+    })).map(row => row.sessionId);
+
+  const withdrawn = [];
+  for (const id of sessionIds) {
+    const current = await getCurrentRecord(id);
+    if (!current) continue;
+    withdrawn.push(await appendRecord({
+      ...context,
+      sessionId: id,
+      userId: userId || current.userId,
+      analytics: false,
+      marketing: false,
+      action: 'withdraw',
+      previousConsentId: current.id
+    }));
+  }
+
+  if (withdrawn.length === 0) {
+    throw Object.assign(new Error('No consent record found'), { status: 404 });
+  }
+  return withdrawn;
+}
+
+/**
+ * Current consent for a session and whether it has to be asked again
+ */
+export async function getConsentStatus(sessionId) {
+  const current = await getCurrentRecord(sessionId);
+  if (!current) {
+    return {
+      status: 'default',
+      consent: { essential: true, analytics: false, marketing: false },
+      reconsentRequired: true,
+      reason: 'no_record'
+    };
+  }
+
+  let reason = null;
+  if (current.policyHash !== POLICY_HASH) reason = 'policy_changed';
+  else if (current.expiresAt <= new Date()) reason = 'expired';
+
+  return {
+    status: current.action === 'withdraw' ? 'withdrawn' : 'recorded',
+    consentId: current.id,
+    consent: { essential: current.essential, analytics: current.analytics, marketing: current.marketing },
+    policyVersion: current.policyVersion,
+    recordedAt: current.createdAt,
+    expiresAt: current.expiresAt,
+    reconsentRequired: reason !== null,
+    reason
+  };
+}
+
+async function loadChain(chainKey) {
+  return prisma.userConsent.findMany({
+    where: { chainKey },
+    orderBy: { sequence: 'asc' }
+  });
+}
+
+/**
+ * Full history of every chain a session appears in, each verified
+ */
+export async function getAuditTrail(sessionId) {
+  const chainKeys = await prisma.userConsent.findMany({
+    where: { sessionId },
+    distinct: ['chainKey'],
+    select: { chainKey: true }
+  });
+
+  const chains = [];
+  for (const { chainKey } of chainKeys) {
+    const records = await loadChain(chainKey);
+    chains.push({ chainKey, verification: verifyChain(records), records });
+  }
+  return chains;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REGULATOR EXPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Consent records matching the filters, the policies they reference, and
+ * verification of every chain they belong to
+ */
+export async function exportRecords({ from, to, sessionId, userId, requestedBy } = {}) {
+  const where = {
+    ...(sessionId && { sessionId }),
+    ...(userId && { userId }),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      }
+    })
+  };
+
+  const records = await prisma.userConsent.findMany({
+    where,
+    orderBy: [{ chainKey: 'asc' }, { sequence: 'asc' }],
+    take: EXPORT_LIMIT + 1
+  });
+  const truncated = records.length > EXPORT_LIMIT;
+  if (truncated) records.pop();
+
+  const chainKeys = [...new Set(records.map(record => record.chainKey))];
+  const chains = {};
+  for (const chainKey of chainKeys) {
+    chains[chainKey] = verifyChain(await loadChain(chainKey));
+  }
+
+  const policies = await prisma.consentPolicy.findMany({
+    where: { hash: { in: [...new Set(records.map(record => record.policyHash))] } },
+    orderBy: { publishedAt: 'asc' }
+  });
+
+  // The export itself is a data access event
+  await prisma.complianceAudit.create({
+    data: {
+      auditType: 'data_access',
+      action: 'consent_export',
+      userId: requestedBy || null,
+      details: { filters: { from, to, sessionId, userId }, recordCount: records.length, truncated },
+      regulationApplied: 'GDPR'
+    }
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    filters: { from: from || null, to: to || null, sessionId: sessionId || null, userId: userId || null },
+    currentPolicyHash: POLICY_HASH,
+    recordCount: records.length,
+    truncated,
+    allChainsValid: Object.values(chains).every(chain => chain.valid),
+    chains,
+    policies,
+    records
+  };
+}
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'chainKey', 'sequence', 'sessionId', 'userId', 'action',
+  'essential', 'analytics', 'marketing', 'policyVersion', 'policyHash', 'domain',
+  'ipHash', 'expiresAt', 'previousConsentId', 'previousHash', 'hash'
+];
+
+export function toCsv(records) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    CSV_COLUMNS.join(','),
+    ...records.map(record => CSV_COLUMNS.map(column => cell(record[column])).join(','))
+  ].join('\n');
+}
+
+export default {
+  CONSENT_POLICY,
+  POLICY_HASH,
+  ensurePolicyPublished,
+  getPolicy,
+  hashConsentRecord,
+  verifyChain,
+  recordConsent,
+  updateConsent,
+  withdrawConsent,
+  getConsentStatus,
+  getAuditTrail,
+  exportRecords,
+  toCsv
+};
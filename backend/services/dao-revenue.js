@@ -4,13 +4,23 @@
  * ═══════════════════════════════════════════════════════════════════════════════
  *
  * Standard revenue management for non-charity DAO platform.
- * All revenue goes to DAO treasury for platform operations and development.
+ * Revenue is split by the versioned policies in services/split-policy.js
+ * (today: net of processor fees and COGS, 100% to the DAO treasury); each
+ * ledger entry's allocation names the policy version that produced it.
+ *
+ * Every transaction is appended to the LedgerEntry table as a hash chain:
+ * each entry's SHA-256 covers a canonical (sorted-key) serialization of its
+ * fields plus the previous entry's hash. GET /api/revenue/ledger/verify
+ * recomputes the chain, and a signed checkpoint of the chain head is written
+ * for each completed UTC day so donors can pin it.
  *
  * Created: January 2025
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
 import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { allocateRevenue } from './split-policy.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // DAO REVENUE CONFIGURATION
@@ -29,50 +39,64 @@ export const DAO_REVENUE_CONFIG = Object.freeze({
 /**
  * Calculate revenue allocation for a transaction
  * @param {number} amount - Total transaction amount
+ * @param {Object} options - source or policy, occurredAt, processingFee, cogs,
+ *   shipping, commissionRate (see allocateRevenue in services/split-policy.js)
  * @returns {Object} Revenue allocation
  */
-export function calculateRevenueAllocation(amount) {
-  const numAmount = parseFloat(amount);
-  if (isNaN(numAmount) || numAmount < 0) {
-    throw new Error('Invalid amount');
-  }
-
-  return {
-    total: numAmount,
-    treasury: {
-      amount: numAmount,
-      percentage: DAO_REVENUE_CONFIG.TREASURY_PERCENTAGE
-    },
-    timestamp: new Date().toISOString(),
-    version: DAO_REVENUE_CONFIG.VERSION
-  };
+export function calculateRevenueAllocation(amount, options = {}) {
+  return allocateRevenue({ ...options, amount });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // TRANSACTION RECORDING
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// In-memory ledger (will be replaced with Prisma)
-let transactionLedger = [];
-let lastHash = null;
+const HASH_VERSION = 1;
+const APPEND_RETRIES = 5;
 
 /**
- * Create immutable hash of a transaction
+ * Deterministic JSON: object keys sorted, no whitespace, undefined dropped.
+ * Anyone re-deriving a hash must serialize exactly this way.
  */
-export function createTransactionHash(transactionData, previousHash = null) {
+export function canonicalize(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (typeof value?.toJSON === 'function') return canonicalize(value.toJSON());
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  if (typeof value === 'bigint') return JSON.stringify(value.toString());
+  return JSON.stringify(value);
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Hash a ledger entry together with the previous entry's hash.
+ * No timestamps or nonces are mixed in - the same entry always hashes the same.
+ */
+export function createTransactionHash(entry, previousHash = null) {
   const data = {
-    ...transactionData,
-    previousHash,
-    nonce: Date.now()
+    hashVersion: HASH_VERSION,
+    sequence: entry.sequence,
+    id: entry.id,
+    createdAt: new Date(entry.createdAt).toISOString(),
+    amount: Number(entry.amount).toFixed(2),
+    currency: entry.currency,
+    source: entry.source,
+    allocation: entry.allocation,
+    metadata: entry.metadata,
+    previousHash
   };
 
-  const hash = crypto
-    .createHash('sha256')
-    .update(JSON.stringify(data))
-    .digest('hex');
-
   return {
-    hash,
+    hash: sha256(canonicalize(data)),
     previousHash,
     data,
     verifiable: true
@@ -80,70 +104,453 @@ export function createTransactionHash(transactionData, previousHash = null) {
 }
 
 /**
- * Record a transaction
+ * Accept both recordTransaction(amount, source, metadata) and the
+ * recordTransaction({ amount | amountCents, source, ...metadata }) form.
  */
-export function recordTransaction(amount, source, metadata = {}) {
-  const allocation = calculateRevenueAllocation(amount);
-  const hashRecord = createTransactionHash(allocation, lastHash);
+function normalizeTransactionArgs(amountOrTransaction, source, metadata) {
+  if (amountOrTransaction === null || typeof amountOrTransaction !== 'object') {
+    return { amount: amountOrTransaction, source, metadata };
+  }
 
-  const transaction = {
-    id: crypto.randomUUID(),
-    createdAt: new Date().toISOString(),
+  const {
     amount,
-    source,
-    allocation,
-    hash: hashRecord.hash,
-    previousHash: hashRecord.previousHash,
-    metadata,
-    verified: true
+    amountCents,
+    source: txSource,
+    currency,
+    split,
+    metadata: nested = {},
+    ...rest
+  } = amountOrTransaction;
+
+  return {
+    amount: amount ?? (amountCents != null ? Number(amountCents) / 100 : undefined),
+    source: txSource,
+    currency,
+    split,
+    metadata: { ...nested, ...rest }
   };
+}
 
-  transactionLedger.push(transaction);
-  lastHash = hashRecord.hash;
+/**
+ * Append a transaction to the persisted, hash-chained ledger.
+ * In the object form, `split` carries the allocation inputs (policy,
+ * occurredAt, processingFee, cogs, shipping) - see calculateRevenueAllocation.
+ */
+export async function recordTransaction(amountOrTransaction, source, metadata = {}) {
+  const tx = normalizeTransactionArgs(amountOrTransaction, source, metadata);
+  if (!tx.source) {
+    throw new Error('Transaction source is required');
+  }
 
-  console.log(`💰 DAO Transaction: $${amount} from ${source}`);
-  console.log(`   → $${allocation.treasury.amount} to DAO Treasury`);
-  console.log(`   → Hash: ${hashRecord.hash.substring(0, 16)}...`);
+  const allocation = calculateRevenueAllocation(tx.amount, { source: tx.source, ...tx.split });
+  const amount = allocation.total.toFixed(2);
+  // Round-trip through canonical JSON so what is stored is exactly what was hashed
+  const storedMetadata = JSON.parse(canonicalize(tx.metadata || {}));
+  const storedAllocation = JSON.parse(canonicalize(allocation));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const entry = await prisma.$transaction(async (db) => {
+        const last = await db.ledgerEntry.findFirst({
+          orderBy: { sequence: 'desc' },
+          select: { sequence: true, hash: true }
+        });
+
+        const draft = {
+          id: crypto.randomUUID(),
+          sequence: (last?.sequence || 0) + 1,
+          createdAt: new Date(),
+          amount,
+          currency: tx.currency || 'USD',
+          source: tx.source,
+          allocation: storedAllocation,
+          metadata: storedMetadata
+        };
+        const { hash, previousHash } = createTransactionHash(draft, last?.hash || null);
+
+        return db.ledgerEntry.create({
+          data: { ...draft, previousHash, hash, hashVersion: HASH_VERSION }
+        });
+      });
+
+      console.log(`💰 DAO Transaction: $${amount} from ${tx.source} (${allocation.version})`);
+      console.log(`   → $${allocation.treasury?.amount ?? 0} to DAO Treasury`);
+      console.log(`   → #${entry.sequence} Hash: ${entry.hash.substring(0, 16)}...`);
+
+      return toTransaction(entry);
+    } catch (error) {
+      // Another writer took this sequence number; re-read the head and retry
+      if (error.code === 'P2002' && attempt < APPEND_RETRIES) continue;
+      throw error;
+    }
+  }
+}
 
-  return transaction;
+function toTransaction(entry) {
+  return {
+    id: entry.id,
+    sequence: entry.sequence,
+    createdAt: entry.createdAt.toISOString(),
+    amount: Number(entry.amount),
+    currency: entry.currency,
+    source: entry.source,
+    allocation: entry.allocation,
+    metadata: entry.metadata,
+    hash: entry.hash,
+    previousHash: entry.previousHash,
+    hashVersion: entry.hashVersion
+  };
 }
 
 /**
- * Get transaction ledger
+ * Get a page of the ledger in chain order
  */
-export function getLedger() {
+export async function getLedger({ afterSequence = 0, limit = 100 } = {}) {
+  const [entries, summary] = await Promise.all([
+    prisma.ledgerEntry.findMany({
+      where: { sequence: { gt: Number(afterSequence) || 0 } },
+      orderBy: { sequence: 'asc' },
+      take: Math.min(Number(limit) || 100, 1000)
+    }),
+    getSummary()
+  ]);
+
   return {
-    transactions: transactionLedger,
-    count: transactionLedger.length,
-    totalProcessed: transactionLedger.reduce((sum, t) => sum + t.amount, 0),
-    config: DAO_REVENUE_CONFIG,
-    verified: transactionLedger.every(t => t.verified)
+    transactions: entries.map(toTransaction),
+    count: summary.transactionCount,
+    totalProcessed: summary.total,
+    nextAfterSequence: entries.length ? entries[entries.length - 1].sequence : null,
+    config: DAO_REVENUE_CONFIG
   };
 }
 
 /**
  * Get summary statistics
  */
-export function getSummary() {
-  const totals = transactionLedger.reduce((acc, t) => ({
-    total: acc.total + t.amount,
-    treasury: acc.treasury + t.allocation.treasury.amount
-  }), { total: 0, treasury: 0 });
+export async function getSummary() {
+  const [aggregate, [shares], last] = await Promise.all([
+    prisma.ledgerEntry.aggregate({ _sum: { amount: true }, _count: true }),
+    // Each entry's treasury share as allocated when it was recorded
+    prisma.$queryRaw`SELECT COALESCE(SUM((allocation->'treasury'->>'amount')::numeric), 0) AS treasury FROM "LedgerEntry"`,
+    prisma.ledgerEntry.findFirst({ orderBy: { sequence: 'desc' } })
+  ]);
+  const total = Number(aggregate._sum.amount || 0);
 
   return {
-    ...totals,
-    transactionCount: transactionLedger.length,
+    total,
+    treasury: Number(shares.treasury),
+    transactionCount: aggregate._count,
     config: DAO_REVENUE_CONFIG,
-    lastTransaction: transactionLedger[transactionLedger.length - 1] || null,
-    verified: true
+    lastTransaction: last ? toTransaction(last) : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const VERIFY_BATCH_SIZE = 500;
+
+/**
+ * Recompute the whole chain from the stored rows and report the first broken
+ * link. Checkpoints are checked against the recomputed chain as well.
+ */
+export async function verifyLedger() {
+  const checkpoints = await prisma.ledgerCheckpoint.findMany({ orderBy: { sequence: 'asc' } });
+  const hashesAt = new Map(checkpoints.map(checkpoint => [checkpoint.sequence, null]));
+
+  let firstBrokenLink = null;
+  let previousHash = null;
+  let expectedSequence = 1;
+  let cursor = 0;
+
+  while (!firstBrokenLink) {
+    const batch = await prisma.ledgerEntry.findMany({
+      where: { sequence: { gt: cursor } },
+      orderBy: { sequence: 'asc' },
+      take: VERIFY_BATCH_SIZE
+    });
+    if (batch.length === 0) break;
+
+    for (const entry of batch) {
+      const recomputed = createTransactionHash(entry, previousHash).hash;
+      let reason = null;
+
+      if (entry.sequence !== expectedSequence) {
+        reason = `sequence_gap: expected #${expectedSequence}`;
+      } else if (entry.previousHash !== previousHash) {
+        reason = 'previous_hash_mismatch';
+      } else if (entry.hash !== recomputed) {
+        reason = 'hash_mismatch';
+      }
+
+      if (reason) {
+        firstBrokenLink = {
+          sequence: entry.sequence,
+          id: entry.id,
+          reason,
+          expectedPreviousHash: previousHash,
+          storedPreviousHash: entry.previousHash,
+          recomputedHash: recomputed,
+          storedHash: entry.hash
+        };
+        break;
+      }
+
+      if (hashesAt.has(entry.sequence)) hashesAt.set(entry.sequence, entry.hash);
+      previousHash = entry.hash;
+      expectedSequence++;
+    }
+
+    cursor = batch[batch.length - 1].sequence;
+  }
+
+  const checkedEntries = expectedSequence - 1;
+  const invalidCheckpoints = checkpoints
+    .map(checkpoint => ({ checkpoint, problem: checkCheckpoint(checkpoint, hashesAt) }))
+    .filter(({ checkpoint, problem }) => problem && checkpoint.sequence <= checkedEntries)
+    .map(({ checkpoint, problem }) => ({ day: checkpoint.day, sequence: checkpoint.sequence, problem }));
+
+  return {
+    valid: !firstBrokenLink && invalidCheckpoints.length === 0,
+    checkedEntries,
+    headSequence: checkedEntries,
+    headHash: previousHash,
+    firstBrokenLink,
+    checkpoints: {
+      checked: checkpoints.length,
+      invalid: invalidCheckpoints
+    },
+    hashVersion: HASH_VERSION,
+    verifiedAt: new Date().toISOString()
+  };
+}
+
+function checkCheckpoint(checkpoint, hashesAt) {
+  if (checkpoint.sequence > 0 && hashesAt.get(checkpoint.sequence) !== checkpoint.headHash) {
+    return 'head_hash_mismatch';
+  }
+  if (sha256(canonicalize(checkpointPayload(checkpoint))) !== checkpoint.digest) {
+    return 'digest_mismatch';
+  }
+  if (checkpoint.signature && !verifyCheckpointSignature(checkpoint)) {
+    return 'signature_invalid';
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIGNED DAILY CHECKPOINTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CHECKPOINT_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let signingKey;
+
+/**
+ * Ed25519 key from LEDGER_SIGNING_PRIVATE_KEY (PEM). Without it checkpoints
+ * are still written, just unsigned.
+ */
+function getSigningKey() {
+  if (signingKey !== undefined) return signingKey;
+
+  const pem = process.env.LEDGER_SIGNING_PRIVATE_KEY;
+  if (!pem) {
+    console.warn('⚠️  LEDGER_SIGNING_PRIVATE_KEY not set - ledger checkpoints will be unsigned');
+    signingKey = null;
+    return signingKey;
+  }
+
+  const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  const publicKey = crypto.createPublicKey(privateKey);
+  const publicDer = publicKey.export({ type: 'spki', format: 'der' });
+
+  signingKey = {
+    privateKey,
+    publicKey,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    keyId: sha256(publicDer).substring(0, 16)
+  };
+  return signingKey;
+}
+
+/**
+ * Public half of the checkpoint signing key, for donors to verify signatures
+ */
+export function getCheckpointPublicKey() {
+  const key = getSigningKey();
+  if (!key) return null;
+  return { algorithm: 'Ed25519', keyId: key.keyId, publicKey: key.publicKeyPem };
+}
+
+function checkpointPayload({ day, sequence, headHash, entryCount, totalAmount }) {
+  return {
+    ledger: DAO_REVENUE_CONFIG.PLATFORM_NAME,
+    hashVersion: HASH_VERSION,
+    day,
+    sequence,
+    headHash: headHash || null,
+    entryCount,
+    totalAmount: Number(totalAmount).toFixed(2)
   };
 }
 
+function verifyCheckpointSignature(checkpoint) {
+  const key = getSigningKey();
+  if (!key || key.keyId !== checkpoint.signingKeyId) return false;
+  return crypto.verify(
+    null,
+    Buffer.from(checkpoint.digest),
+    key.publicKey,
+    Buffer.from(checkpoint.signature, 'base64')
+  );
+}
+
+function toCheckpoint(checkpoint) {
+  return {
+    ...checkpointPayload(checkpoint),
+    digest: checkpoint.digest,
+    signature: checkpoint.signature,
+    signingKeyId: checkpoint.signingKeyId,
+    createdAt: checkpoint.createdAt
+  };
+}
+
+/**
+ * Write the checkpoint closing a UTC day ("YYYY-MM-DD"). Idempotent.
+ */
+export async function createDailyCheckpoint(day) {
+  const dayEnd = new Date(`${day}T00:00:00.000Z`).getTime() + DAY_MS;
+  if (Number.isNaN(dayEnd) || dayEnd > Date.now()) {
+    throw Object.assign(new Error('Checkpoints can only be written for completed UTC days'), { status: 400 });
+  }
+
+  const existing = await prisma.ledgerCheckpoint.findUnique({ where: { day } });
+  if (existing) return toCheckpoint(existing);
+
+  const head = await prisma.ledgerEntry.findFirst({
+    where: { createdAt: { lt: new Date(dayEnd) } },
+    orderBy: { sequence: 'desc' },
+    select: { sequence: true, hash: true }
+  });
+  const sequence = head?.sequence || 0;
+  const aggregate = await prisma.ledgerEntry.aggregate({
+    where: { sequence: { lte: sequence } },
+    _sum: { amount: true },
+    _count: true
+  });
+
+  const payload = checkpointPayload({
+    day,
+    sequence,
+    headHash: head?.hash,
+    entryCount: aggregate._count,
+    totalAmount: aggregate._sum.amount || 0
+  });
+  const digest = sha256(canonicalize(payload));
+  const key = getSigningKey();
+
+  try {
+    const checkpoint = await prisma.ledgerCheckpoint.create({
+      data: {
+        day,
+        sequence,
+        headHash: payload.headHash,
+        entryCount: payload.entryCount,
+        totalAmount: payload.totalAmount,
+        digest,
+        signature: key ? crypto.sign(null, Buffer.from(digest), key.privateKey).toString('base64') : null,
+        signingKeyId: key?.keyId || null
+      }
+    });
+
+    console.log(`📌 Ledger checkpoint ${day}: #${sequence} ${digest.substring(0, 16)}...`);
+    return toCheckpoint(checkpoint);
+  } catch (error) {
+    // Another instance wrote it first
+    if (error.code === 'P2002') {
+      return toCheckpoint(await prisma.ledgerCheckpoint.findUnique({ where: { day } }));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write checkpoints for every completed day since the last one
+ */
+export async function createMissingCheckpoints() {
+  const [latest, first] = await Promise.all([
+    prisma.ledgerCheckpoint.findFirst({ orderBy: { day: 'desc' } }),
+    prisma.ledgerEntry.findFirst({ orderBy: { sequence: 'asc' }, select: { createdAt: true } })
+  ]);
+  if (!latest && !first) return [];
+
+  const startMs = latest
+    ? new Date(`${latest.day}T00:00:00.000Z`).getTime() + DAY_MS
+    : new Date(first.createdAt.toISOString().slice(0, 10)).getTime();
+  const todayMs = new Date(new Date().toISOString().slice(0, 10)).getTime();
+
+  const written = [];
+  for (let dayMs = startMs; dayMs < todayMs; dayMs += DAY_MS) {
+    written.push(await createDailyCheckpoint(new Date(dayMs).toISOString().slice(0, 10)));
+  }
+  return written;
+}
+
+export async function listCheckpoints({ limit = 30 } = {}) {
+  const checkpoints = await prisma.ledgerCheckpoint.findMany({
+    orderBy: { day: 'desc' },
+    take: Math.min(Number(limit) || 30, 366)
+  });
+  return checkpoints.map(toCheckpoint);
+}
+
+export async function getCheckpoint(day) {
+  const checkpoint = await prisma.ledgerCheckpoint.findUnique({ where: { day } });
+  if (!checkpoint) {
+    throw Object.assign(new Error('Checkpoint not found'), { status: 404 });
+  }
+  return toCheckpoint(checkpoint);
+}
+
+let checkpointHandle = null;
+
+/**
+ * Hourly check for days that still need a checkpoint. Safe on every instance.
+ */
+export function startCheckpointScheduler(intervalMs = CHECKPOINT_INTERVAL_MS) {
+  if (checkpointHandle) return checkpointHandle;
+
+  const tick = () => createMissingCheckpoints().catch(error =>
+    console.error('Ledger checkpoint error:', error.message)
+  );
+
+  tick();
+  checkpointHandle = setInterval(tick, intervalMs);
+  checkpointHandle.unref();
+  return checkpointHandle;
+}
+
+export function stopCheckpointScheduler() {
+  clearInterval(checkpointHandle);
+  checkpointHandle = null;
+}
+
 export default {
   DAO_REVENUE_CONFIG,
   calculateRevenueAllocation,
+  canonicalize,
   createTransactionHash,
   recordTransaction,
   getLedger,
-  getSummary
+  getSummary,
+  verifyLedger,
+  getCheckpointPublicKey,
+  createDailyCheckpoint,
+  createMissingCheckpoints,
+  listCheckpoints,
+  getCheckpoint,
+  startCheckpointScheduler,
+  stopCheckpointScheduler
 };
@@ -0,0 +1,817 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * DATING STORE - Prisma persistence for YouAndINotAI
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Backs the dating routes with the DatingUser, DatingLike, DatingMatch,
+ * DatingMessage and FoundingMember models so state survives restarts and
+ * can be shared by more than one API instance.
+ *
+ * - Profiles live on DatingUser (created at registration by services/auth.js;
+ *   the profile counts as created once profileCompletedAt is set)
+ * - Mutual like → match is created inside a serializable transaction
+ * - Match pairs are stored in sorted order so (A,B) and (B,A) collide
+ * - A block (DatingUser.blockedUsers) ends the match and hides the pair's
+ *   matches and message history from both sides; an unmatch only ends it
+ * - importLegacyDatingState() migrates the old in-memory Maps at cutover
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+
+const MAX_FOUNDING_MEMBERS = 100;
+const FOUNDING_MEMBER_PRICE = 14.99;
+const FOUNDING_MEMBER_REGULAR_PRICE = 19.99;
+
+// Prisma error codes we handle explicitly
+const UNIQUE_VIOLATION = 'P2002';
+const WRITE_CONFLICT = 'P2034';
+const MAX_TX_ATTEMPTS = 3;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Order two user IDs so a pair always maps to the same DatingMatch row
+ */
+export function sortPair(userIdA, userIdB) {
+  return userIdA < userIdB ? [userIdA, userIdB] : [userIdB, userIdA];
+}
+
+/**
+ * Reject a missing or non-string target before it reaches a Prisma where clause
+ */
+function requireTargetUserId(targetUserId) {
+  if (typeof targetUserId !== 'string' || !targetUserId) {
+    throw Object.assign(new Error('targetUserId required'), { status: 400 });
+  }
+}
+
+/**
+ * Run a serializable transaction, retrying on write conflicts
+ */
+async function serializable(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(fn, { isolationLevel: 'Serializable' });
+    } catch (error) {
+      if (error.code !== WRITE_CONFLICT || attempt >= MAX_TX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * True if either user has blocked the other
+ * @param {Object} client - prisma or a transaction client
+ */
+async function isBlockedBetween(client, userIdA, userIdB) {
+  const count = await client.datingUser.count({
+    where: {
+      OR: [
+        { id: userIdA, blockedUsers: { has: userIdB } },
+        { id: userIdB, blockedUsers: { has: userIdA } }
+      ]
+    }
+  });
+  return count > 0;
+}
+
+/**
+ * IDs the user has blocked or been blocked by
+ */
+async function blockedPeers(userId) {
+  const [user, blockedBy] = await Promise.all([
+    prisma.datingUser.findUnique({ where: { id: userId }, select: { blockedUsers: true } }),
+    prisma.datingUser.findMany({ where: { blockedUsers: { has: userId } }, select: { id: true } })
+  ]);
+  return new Set([...(user?.blockedUsers || []), ...blockedBy.map(u => u.id)]);
+}
+
+/**
+ * Normalize the `location` body field (string or { name, lat, lng })
+ */
+function parseLocation(location) {
+  if (!location) return {};
+  if (typeof location === 'string') return { location };
+
+  return {
+    location: location.name || location.city || null,
+    locationLat: typeof location.lat === 'number' ? location.lat : null,
+    locationLng: typeof location.lng === 'number' ? location.lng : null
+  };
+}
+
+/**
+ * Validate the `birthDate` body field; members must be adults
+ */
+function parseBirthDate(birthDate) {
+  const date = new Date(birthDate);
+  if (isNaN(date.getTime())) {
+    throw Object.assign(new Error('birthDate must be a valid date'), { status: 400 });
+  }
+
+  const adultOn = new Date(date);
+  adultOn.setUTCFullYear(adultOn.getUTCFullYear() + 18);
+  if (adultOn > new Date()) {
+    throw Object.assign(new Error('You must be 18 or older'), { status: 400 });
+  }
+  return date;
+}
+
+/**
+ * Shape a DatingUser row into the public profile format
+ */
+export function toProfile(user) {
+  return {
+    userId: user.id,
+    displayName: user.displayName || 'Anonymous',
+    bio: user.bio || '',
+    gender: user.gender,
+    lookingFor: user.lookingFor,
+    interests: user.interests,
+    location: user.location,
+    locationLat: user.locationLat,
+    locationLng: user.locationLng,
+    ageRangeMin: user.ageRangeMin,
+    ageRangeMax: user.ageRangeMax,
+    maxDistance: user.maxDistance,
+    photoUrls: user.photoUrls,
+    primaryPhoto: user.primaryPhoto,
+    isHumanVerified: user.humanVerificationStatus === 'VERIFIED',
+    isFoundingMember: user.isFoundingMember,
+    updatedAt: user.updatedAt
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROFILES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Get a user's profile, or null if they have not created one
+ */
+export async function getProfile(userId) {
+  const user = await prisma.datingUser.findUnique({ where: { id: userId } });
+  return user?.profileCompletedAt ? toProfile(user) : null;
+}
+
+/**
+ * Create or update the profile for an authenticated user
+ * @param {Object} account - Account from services/auth.js getUserById()
+ * @param {Object} fields - Profile fields from the request body
+ * @returns {Promise<{ profile: Object, created: boolean }>}
+ */
+export async function upsertProfile(account, fields) {
+  const created = !(await prisma.datingUser.findUnique({
+    where: { id: account.id },
+    select: { profileCompletedAt: true }
+  }))?.profileCompletedAt;
+
+  const data = {
+    ...(fields.displayName !== undefined && { displayName: fields.displayName }),
+    ...(fields.bio !== undefined && { bio: fields.bio }),
+    ...(fields.gender !== undefined && { gender: fields.gender }),
+    ...(fields.lookingFor !== undefined && { lookingFor: fields.lookingFor }),
+    ...(fields.interests !== undefined && { interests: fields.interests }),
+    ...(fields.birthDate !== undefined && { birthDate: parseBirthDate(fields.birthDate) }),
+    ...parseLocation(fields.location),
+    ...(fields.ageRangeMin !== undefined && { ageRangeMin: fields.ageRangeMin }),
+    ...(fields.ageRangeMax !== undefined && { ageRangeMax: fields.ageRangeMax }),
+    ...(fields.maxDistance !== undefined && { maxDistance: fields.maxDistance }),
+    ...(created && { profileCompletedAt: new Date() }),
+    lastActiveAt: new Date()
+  };
+
+  const foundingMember = await prisma.foundingMember.findUnique({
+    where: { email: account.email.toLowerCase() }
+  });
+  if (foundingMember) {
+    data.isFoundingMember = true;
+  }
+
+  const user = await prisma.datingUser.update({ where: { id: account.id }, data });
+
+  if (foundingMember && !foundingMember.datingUserId) {
+    await prisma.foundingMember.update({
+      where: { id: foundingMember.id },
+      data: { datingUserId: user.id }
+    });
+  }
+
+  return { profile: toProfile(user), created };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIKES & PASSES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Record a like and create the match if it is mutual.
+ *
+ * Runs serializably so two users liking each other at the same moment
+ * cannot both miss the reverse like.
+ *
+ * @returns {Promise<{ isMatch: boolean, match?: Object }>}
+ * @throws {Error} with `status` 400/404 for invalid input
+ */
+export async function createLike(fromUserId, toUserId, { isSuperLike = false } = {}) {
+  requireTargetUserId(toUserId);
+  if (fromUserId === toUserId) {
+    throw Object.assign(new Error('Cannot like yourself'), { status: 400 });
+  }
+
+  try {
+    return await serializable(async (tx) => {
+      const target = await tx.datingUser.findUnique({ where: { id: toUserId }, select: { id: true } });
+      if (!target || await isBlockedBetween(tx, fromUserId, toUserId)) {
+        throw Object.assign(new Error('User not found'), { status: 404 });
+      }
+
+      const like = await tx.datingLike.create({
+        data: { fromUserId, toUserId, isSuperLike: Boolean(isSuperLike) }
+      });
+
+      const reverse = await tx.datingLike.findUnique({
+        where: { fromUserId_toUserId: { fromUserId: toUserId, toUserId: fromUserId } }
+      });
+
+      if (!reverse) {
+        return { isMatch: false, like };
+      }
+
+      const [userId1, userId2] = sortPair(fromUserId, toUserId);
+      const match = await tx.datingMatch.upsert({
+        where: { userId1_userId2: { userId1, userId2 } },
+        update: { isActive: true, unmatchedAt: null, unmatchedBy: null },
+        create: { userId1, userId2 }
+      });
+
+      await tx.datingLike.updateMany({
+        where: { id: { in: [like.id, reverse.id] } },
+        data: { matchId: match.id }
+      });
+
+      return { isMatch: true, match };
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      throw Object.assign(new Error('Already liked this user'), { status: 400 });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a pass so the profile stops appearing in discovery (idempotent)
+ */
+export async function recordPass(fromUserId, toUserId) {
+  requireTargetUserId(toUserId);
+  if (fromUserId === toUserId) {
+    throw Object.assign(new Error('Cannot pass on yourself'), { status: 400 });
+  }
+
+  const target = await prisma.datingUser.findUnique({ where: { id: toUserId }, select: { id: true } });
+  if (!target) {
+    throw Object.assign(new Error('User not found'), { status: 404 });
+  }
+
+  return prisma.datingPass.upsert({
+    where: { fromUserId_toUserId: { fromUserId, toUserId } },
+    update: {},
+    create: { fromUserId, toUserId }
+  });
+}
+
+/**
+ * Pending likes for a user, newest first: not yet a match, not passed on
+ * and not from a blocked peer
+ */
+export async function listLikesReceived(userId, { limit = 50 } = {}) {
+  const [blocked, passes] = await Promise.all([
+    blockedPeers(userId),
+    prisma.datingPass.findMany({ where: { fromUserId: userId }, select: { toUserId: true } })
+  ]);
+  const hidden = [...blocked, ...passes.map(pass => pass.toUserId)];
+
+  const likes = await prisma.datingLike.findMany({
+    where: {
+      toUserId: userId,
+      matchId: null,
+      fromUserId: { notIn: hidden },
+      fromUser: { status: { notIn: ['SUSPENDED', 'BANNED', 'DELETED'] } }
+    },
+    include: { fromUser: true },
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(parseInt(limit) || 50, 100)
+  });
+
+  return likes.map(like => ({
+    likedAt: like.createdAt,
+    isSuperLike: like.isSuperLike,
+    profile: toProfile(like.fromUser)
+  }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MATCHES & MESSAGES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * All matches for a user, with the other person's public profile.
+ * Matches with blocked users are left out.
+ */
+export async function listMatches(userId) {
+  const [rows, blocked] = await Promise.all([
+    prisma.datingMatch.findMany({
+      where: { OR: [{ userId1: userId }, { userId2: userId }] },
+      include: { user1: true, user2: true },
+      orderBy: { createdAt: 'desc' }
+    }),
+    blockedPeers(userId)
+  ]);
+
+  return rows.flatMap(match => {
+    const other = match.userId1 === userId ? match.user2 : match.user1;
+    if (blocked.has(other.id)) return [];
+
+    return [{
+      matchId: match.id,
+      matchedWith: {
+        userId: other.id,
+        displayName: other.displayName || 'User',
+        primaryPhoto: other.primaryPhoto
+      },
+      createdAt: match.createdAt,
+      isActive: match.isActive,
+      unmatchedAt: match.unmatchedAt
+    }];
+  });
+}
+
+/**
+ * Load a match and check the user belongs to it. A match between users who
+ * have blocked each other is reported as missing.
+ * @throws {Error} with `status` 404 (missing or blocked) or 403 (not a participant)
+ */
+export async function getMatchForUser(matchId, userId) {
+  const match = await prisma.datingMatch.findUnique({ where: { id: matchId } });
+
+  if (!match) {
+    throw Object.assign(new Error('Match not found'), { status: 404 });
+  }
+  if (match.userId1 !== userId && match.userId2 !== userId) {
+    throw Object.assign(new Error('Not authorized'), { status: 403 });
+  }
+  if (await isBlockedBetween(prisma, match.userId1, match.userId2)) {
+    throw Object.assign(new Error('Match not found'), { status: 404 });
+  }
+
+  return match;
+}
+
+/**
+ * Store a message in a match
+ * @throws {Error} with `status` 403 once the match has ended
+ */
+export async function createMessage(match, senderId, { content, aiScore = null, flagged = false }) {
+  if (!match.isActive) {
+    throw Object.assign(new Error('This match has ended'), { status: 403 });
+  }
+
+  const receiverId = match.userId1 === senderId ? match.userId2 : match.userId1;
+
+  return prisma.datingMessage.create({
+    data: { matchId: match.id, senderId, receiverId, content, aiScore, flagged }
+  });
+}
+
+/**
+ * Messages in a match, oldest first
+ */
+export async function listMessages(matchId) {
+  return prisma.datingMessage.findMany({
+    where: { matchId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Mark the reader's unread messages in a match as read
+ * @returns {Promise<Object>} Read receipt: { matchId, readerId, senderId,
+ *   messageIds, readAt } (messageIds is empty if nothing was unread)
+ */
+export async function markMessagesRead(matchId, readerId) {
+  const unread = await prisma.datingMessage.findMany({
+    where: { matchId, receiverId: readerId, isRead: false },
+    select: { id: true, senderId: true }
+  });
+
+  const readAt = new Date();
+  if (unread.length) {
+    await prisma.datingMessage.updateMany({
+      where: { id: { in: unread.map(m => m.id) }, isRead: false },
+      data: { isRead: true, readAt }
+    });
+  }
+
+  return {
+    matchId,
+    readerId,
+    senderId: unread[0]?.senderId || null,
+    messageIds: unread.map(m => m.id),
+    readAt
+  };
+}
+
+/**
+ * Messages sent or received by a user after a point in time, oldest first,
+ * plus the latest read time per match for messages the user sent. Used to
+ * resume a real-time connection; pairs that have blocked each other are left out.
+ * @param {Object} since - { at: Date, id: string } - messages created at `at`
+ *   are included only if their id sorts after `id`
+ * @returns {Promise<{ messages: Object[], receipts: Object[], hasMore: boolean }>}
+ */
+export async function listMessageEventsSince(userId, { at, id }, { limit = 200 } = {}) {
+  const [messages, reads, blocked] = await Promise.all([
+    prisma.datingMessage.findMany({
+      where: {
+        OR: [{ senderId: userId }, { receiverId: userId }],
+        AND: [{ OR: [{ createdAt: { gt: at } }, { createdAt: at, id: { gt: id } }] }]
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: limit + 1
+    }),
+    prisma.datingMessage.groupBy({
+      by: ['matchId', 'receiverId'],
+      where: { senderId: userId, readAt: { gt: at } },
+      _max: { readAt: true }
+    }),
+    blockedPeers(userId)
+  ]);
+
+  const visible = message => !blocked.has(message.senderId === userId ? message.receiverId : message.senderId);
+
+  return {
+    messages: messages.slice(0, limit).filter(visible),
+    receipts: reads
+      .filter(read => !blocked.has(read.receiverId))
+      .map(read => ({ matchId: read.matchId, readerId: read.receiverId, readAt: read._max.readAt })),
+    hasMore: messages.length > limit
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// UNMATCH & BLOCKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * End a match. The history stays readable but no new messages can be sent.
+ * Unmatching an already ended match is a no-op.
+ */
+export async function unmatch(matchId, userId) {
+  const match = await getMatchForUser(matchId, userId);
+  if (!match.isActive) return match;
+
+  // Conditional update: the other user may be unmatching at the same moment
+  await prisma.datingMatch.updateMany({
+    where: { id: match.id, isActive: true },
+    data: { isActive: false, unmatchedAt: new Date(), unmatchedBy: userId }
+  });
+  return prisma.datingMatch.findUnique({ where: { id: match.id } });
+}
+
+/**
+ * Block a user (idempotent): ends any match between the two and hides each
+ * from the other's discovery, matches and message history
+ * @returns {Promise<{ unmatched: boolean }>} whether an active match was ended
+ */
+export async function blockUser(userId, targetUserId) {
+  requireTargetUserId(targetUserId);
+  if (userId === targetUserId) {
+    throw Object.assign(new Error('Cannot block yourself'), { status: 400 });
+  }
+
+  const [userId1, userId2] = sortPair(userId, targetUserId);
+
+  return serializable(async (tx) => {
+    const [user, target] = await Promise.all([
+      tx.datingUser.findUnique({ where: { id: userId }, select: { blockedUsers: true } }),
+      tx.datingUser.findUnique({ where: { id: targetUserId }, select: { id: true } })
+    ]);
+    if (!user || !target) {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+
+    if (!user.blockedUsers.includes(targetUserId)) {
+      await tx.datingUser.update({
+        where: { id: userId },
+        data: { blockedUsers: { push: targetUserId } }
+      });
+    }
+
+    const { count } = await tx.datingMatch.updateMany({
+      where: { userId1, userId2, isActive: true },
+      data: { isActive: false, unmatchedAt: new Date(), unmatchedBy: userId }
+    });
+    return { unmatched: count > 0 };
+  });
+}
+
+/**
+ * Lift a block. An ended match stays ended.
+ */
+export async function unblockUser(userId, targetUserId) {
+  requireTargetUserId(targetUserId);
+
+  return serializable(async (tx) => {
+    const user = await tx.datingUser.findUnique({ where: { id: userId }, select: { blockedUsers: true } });
+    if (!user) {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+    if (!user.blockedUsers.includes(targetUserId)) {
+      throw Object.assign(new Error('User is not blocked'), { status: 404 });
+    }
+
+    await tx.datingUser.update({
+      where: { id: userId },
+      data: { blockedUsers: user.blockedUsers.filter(id => id !== targetUserId) }
+    });
+  });
+}
+
+/**
+ * Users the caller has blocked
+ */
+export async function listBlockedUsers(userId) {
+  const user = await prisma.datingUser.findUnique({ where: { id: userId }, select: { blockedUsers: true } });
+  const blocked = await prisma.datingUser.findMany({
+    where: { id: { in: user?.blockedUsers || [] } },
+    select: { id: true, displayName: true, primaryPhoto: true }
+  });
+
+  return blocked.map(other => ({
+    userId: other.id,
+    displayName: other.displayName || 'User',
+    primaryPhoto: other.primaryPhoto
+  }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FOUNDING MEMBERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Claim the next founding member badge.
+ * The badgeNumber unique constraint plus serializable isolation keeps
+ * concurrent preorders from sharing a number or exceeding the cap.
+ */
+export async function claimFoundingMember({ email, name }) {
+  const normalizedEmail = email.toLowerCase();
+
+  try {
+    return await serializable(async (tx) => {
+      const existing = await tx.foundingMember.findUnique({ where: { email: normalizedEmail } });
+      if (existing) {
+        throw Object.assign(new Error('Email already preordered'), { status: 400 });
+      }
+
+      const claimed = await tx.foundingMember.count();
+      if (claimed >= MAX_FOUNDING_MEMBERS) {
+        throw Object.assign(new Error('Founding member spots filled'), { status: 400 });
+      }
+
+      const datingUser = await tx.datingUser.findUnique({ where: { email: normalizedEmail } });
+
+      const member = await tx.foundingMember.create({
+        data: {
+          email: normalizedEmail,
+          name: name || 'Founding Member',
+          badgeNumber: claimed + 1,
+          monthlyPrice: FOUNDING_MEMBER_PRICE,
+          regularPrice: FOUNDING_MEMBER_REGULAR_PRICE,
+          datingUserId: datingUser?.id || null
+        }
+      });
+
+      if (datingUser) {
+        await tx.datingUser.update({ where: { id: datingUser.id }, data: { isFoundingMember: true } });
+      }
+
+      return { member, remaining: MAX_FOUNDING_MEMBERS - claimed - 1 };
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      throw Object.assign(new Error('Email already preordered'), { status: 400 });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Founding member availability
+ */
+export async function getFoundingMemberStatus() {
+  const claimed = await prisma.foundingMember.count();
+  return {
+    totalSpots: MAX_FOUNDING_MEMBERS,
+    claimed,
+    remaining: Math.max(MAX_FOUNDING_MEMBERS - claimed, 0),
+    price: FOUNDING_MEMBER_PRICE,
+    regularPrice: FOUNDING_MEMBER_REGULAR_PRICE
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STATS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Public platform counters
+ */
+export async function getDatingStats() {
+  const [totalUsers, humanVerifiedUsers, totalMatches, foundingMembers] = await Promise.all([
+    prisma.datingUser.count(),
+    prisma.datingUser.count({ where: { humanVerificationStatus: 'VERIFIED' } }),
+    prisma.datingMatch.count(),
+    prisma.foundingMember.count()
+  ]);
+
+  return {
+    totalUsers,
+    humanVerifiedUsers,
+    totalMatches,
+    foundingMembers,
+    foundingSpotsRemaining: Math.max(MAX_FOUNDING_MEMBERS - foundingMembers, 0)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ONE-SHOT MIGRATION FROM IN-MEMORY MAPS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Map entries may arrive as [key, value] pairs (JSON of [...map]) or
+ * as a plain object (JSON of Object.fromEntries(map)).
+ */
+function entriesOf(collection) {
+  if (!collection) return [];
+  if (Array.isArray(collection)) {
+    return collection.map(item => (Array.isArray(item) ? item : [item.id, item]));
+  }
+  return Object.entries(collection);
+}
+
+/**
+ * Import a snapshot of the legacy in-memory dating state.
+ *
+ * Snapshot shape mirrors the old module-level Maps:
+ *   { users, profiles, likes, matches, messages, foundingMembers }
+ * where `users` comes from services/auth.js and the rest from routes/dating.js.
+ *
+ * Safe to run more than once: users already imported keep any changes made
+ * since, duplicate likes/matches/members are skipped and already-imported
+ * threads are left alone.
+ *
+ * @returns {Promise<Object>} Counts of imported rows per model
+ */
+export async function importLegacyDatingState(snapshot) {
+  const counts = { users: 0, likes: 0, matches: 0, messages: 0, foundingMembers: 0 };
+  const profiles = new Map(entriesOf(snapshot.profiles));
+  const legacyMatchIds = new Map();
+
+  return prisma.$transaction(async (tx) => {
+    for (const [id, user] of entriesOf(snapshot.users)) {
+      const profile = profiles.get(id) || {};
+      const fields = {
+        email: user.email.toLowerCase(),
+        passwordHash: user.passwordHash,
+        status: user.status || 'PENDING_VERIFICATION',
+        displayName: profile.displayName || user.displayName || null,
+        bio: profile.bio || null,
+        gender: profile.gender || null,
+        lookingFor: profile.lookingFor || [],
+        ...parseLocation(profile.location),
+        ageRangeMin: profile.ageRangeMin || 18,
+        ageRangeMax: profile.ageRangeMax || 99,
+        maxDistance: profile.maxDistance || 50,
+        photoUrls: profile.photoUrls || [],
+        primaryPhoto: profile.primaryPhoto || null,
+        ageVerified: Boolean(user.ageVerified),
+        ageVerifiedAt: user.ageVerifiedAt ? new Date(user.ageVerifiedAt) : null,
+        ageVerificationId: user.ageVerificationId || null,
+        humanVerificationStatus: user.humanVerified ? 'VERIFIED' : 'UNVERIFIED',
+        humanVerifiedAt: user.humanVerifiedAt ? new Date(user.humanVerifiedAt) : null,
+        humanVerificationMethod: user.humanVerificationMethod || null,
+        humanVerificationScore: user.humanVerificationScore ?? null,
+        isPremium: Boolean(user.isPremium),
+        isVIP: Boolean(user.isVIP),
+        loginCount: user.loginCount || 0,
+        profileCompletedAt: profiles.has(id) ? new Date(profile.updatedAt || Date.now()) : null
+      };
+
+      await tx.datingUser.upsert({
+        where: { id },
+        update: {},
+        create: { id, createdAt: user.createdAt ? new Date(user.createdAt) : undefined, ...fields }
+      });
+      counts.users++;
+    }
+
+    for (const [legacyId, match] of entriesOf(snapshot.matches)) {
+      const [userId1, userId2] = sortPair(match.userId1, match.userId2);
+      const row = await tx.datingMatch.upsert({
+        where: { userId1_userId2: { userId1, userId2 } },
+        update: {},
+        create: {
+          userId1,
+          userId2,
+          isActive: match.isActive !== false,
+          createdAt: match.createdAt ? new Date(match.createdAt) : undefined
+        }
+      });
+      legacyMatchIds.set(legacyId, row.id);
+      counts.matches++;
+    }
+
+    const likes = entriesOf(snapshot.likes).map(([, like]) => {
+      const [userId1, userId2] = sortPair(like.fromUserId, like.toUserId);
+      return {
+        fromUserId: like.fromUserId,
+        toUserId: like.toUserId,
+        isSuperLike: Boolean(like.isSuperLike),
+        createdAt: like.createdAt ? new Date(like.createdAt) : undefined,
+        matchId: legacyMatchIds.get(`${userId1}:${userId2}`) || legacyMatchIds.get(`${userId2}:${userId1}`) || null
+      };
+    });
+    counts.likes = (await tx.datingLike.createMany({ data: likes, skipDuplicates: true })).count;
+
+    for (const [legacyMatchId, thread] of entriesOf(snapshot.messages)) {
+      const matchId = legacyMatchIds.get(legacyMatchId);
+      if (!matchId) continue;
+
+      // Threads are imported whole; skip any already migrated on a previous run
+      if (await tx.datingMessage.count({ where: { matchId } }) > 0) continue;
+
+      const { count } = await tx.datingMessage.createMany({
+        data: thread.map(msg => ({
+          matchId,
+          senderId: msg.senderId,
+          receiverId: msg.receiverId,
+          content: msg.content,
+          aiScore: msg.aiScore ?? null,
+          flagged: Boolean(msg.flagged),
+          isRead: Boolean(msg.isRead),
+          readAt: msg.readAt ? new Date(msg.readAt) : null,
+          createdAt: msg.createdAt ? new Date(msg.createdAt) : undefined
+        }))
+      });
+      counts.messages += count;
+    }
+
+    const members = entriesOf(snapshot.foundingMembers).map(([, member]) => ({
+      email: member.email.toLowerCase(),
+      name: member.name || null,
+      badgeNumber: member.badgeNumber,
+      monthlyPrice: member.monthlyPrice ?? FOUNDING_MEMBER_PRICE,
+      regularPrice: member.regularPrice ?? FOUNDING_MEMBER_REGULAR_PRICE,
+      lifetimeDiscount: member.lifetimeDiscount !== false,
+      isActive: member.isActive !== false,
+      preorderDate: member.preorderDate ? new Date(member.preorderDate) : undefined
+    }));
+    counts.foundingMembers = (await tx.foundingMember.createMany({ data: members, skipDuplicates: true })).count;
+
+    await tx.datingUser.updateMany({
+      where: { email: { in: members.map(m => m.email) } },
+      data: { isFoundingMember: true }
+    });
+
+    return counts;
+  }, { timeout: 60000 });
+}
+
+export default {
+  sortPair,
+  toProfile,
+  getProfile,
+  upsertProfile,
+  createLike,
+  recordPass,
+  listLikesReceived,
+  listMatches,
+  getMatchForUser,
+  createMessage,
+  listMessages,
+  markMessagesRead,
+  listMessageEventsSince,
+  unmatch,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  claimFoundingMember,
+  getFoundingMemberStatus,
+  getDatingStats,
+  importLegacyDatingState
+};
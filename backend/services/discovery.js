@@ -0,0 +1,317 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * DISCOVERY - Candidate filtering and ranking for /api/dating/discover
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Hard filters (a candidate failing any of them is never shown):
+ * - profile completed, account not suspended/banned/deleted, human
+ *   verification current
+ * - not the viewer, not already liked, passed or matched
+ * - neither user has blocked the other (DatingUser.blockedUsers)
+ * - gender: candidate's gender is in the viewer's lookingFor and the viewer's
+ *   gender is in the candidate's (an empty lookingFor accepts everyone)
+ * - age: each user's age is inside the other's ageRangeMin/Max (skipped for
+ *   users without a birthDate)
+ * - distance: within both users' maxDistance in miles (skipped when either
+ *   has no stored coordinates)
+ *
+ * Remaining candidates are ranked by a weighted score (SCORE_WEIGHTS):
+ * shared interests, activity recency, human-verification score, reply rate
+ * and closeness. Boosted profiles (DatingUser.boostedUntil, a premium feature
+ * - see services/entitlements.js) get BOOST_BONUS on top while the boost
+ * lasts. A small seeded jitter breaks near-ties so the feed is not
+ * frozen; the seed defaults to viewer + UTC day and can be passed explicitly
+ * for reproducible tests. Pages are fetched with an opaque cursor over
+ * (score, userId).
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { toProfile } from './dating-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Candidates loaded per request (most recently active first) before ranking
+const CANDIDATE_POOL_SIZE = 500;
+const MAX_PAGE_SIZE = 50;
+
+// Activity score halves roughly every 5 days of inactivity
+const ACTIVITY_DECAY_DAYS = 7;
+const REPLY_RATE_WINDOW_DAYS = 30;
+const JITTER = 0.02;
+const BOOST_BONUS = 0.25;
+
+export const SCORE_WEIGHTS = Object.freeze({
+  sharedInterests: 0.35,
+  activity: 0.25,
+  humanVerification: 0.15,
+  replyRate: 0.15,
+  distance: 0.10
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Great-circle distance in miles
+ */
+export function distanceMiles(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => degrees * (Math.PI / 180);
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function ageOn(birthDate, now) {
+  if (!birthDate) return null;
+  let age = now.getUTCFullYear() - birthDate.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < birthDate.getUTCMonth()
+    || (now.getUTCMonth() === birthDate.getUTCMonth() && now.getUTCDate() < birthDate.getUTCDate());
+  if (beforeBirthday) age--;
+  return age;
+}
+
+function hasCoordinates(user) {
+  return typeof user.locationLat === 'number' && typeof user.locationLng === 'number';
+}
+
+function normalizeInterests(interests = []) {
+  return new Set(interests.map(interest => interest.toLowerCase().trim()).filter(Boolean));
+}
+
+// Deterministic 0-1 value for (seed, candidate)
+function seededRandom(seed, id) {
+  return crypto.createHash('sha256').update(`${seed}:${id}`).digest().readUInt32BE(0) / 0xffffffff;
+}
+
+export function defaultSeed(userId, now = new Date()) {
+  return `${userId}:${now.toISOString().slice(0, 10)}`;
+}
+
+function encodeCursor({ seed, score, userId }) {
+  return Buffer.from(JSON.stringify({ seed, score, userId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.seed === 'string' && typeof decoded.score === 'number' && typeof decoded.userId === 'string') {
+      return decoded;
+    }
+  } catch {
+    // fall through
+  }
+  throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FILTERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function excludedUserIds(viewer) {
+  const [liked, passed, matched, blockedBy] = await Promise.all([
+    prisma.datingLike.findMany({ where: { fromUserId: viewer.id }, select: { toUserId: true } }),
+    prisma.datingPass.findMany({ where: { fromUserId: viewer.id }, select: { toUserId: true } }),
+    prisma.datingMatch.findMany({
+      where: { OR: [{ userId1: viewer.id }, { userId2: viewer.id }] },
+      select: { userId1: true, userId2: true }
+    }),
+    prisma.datingUser.findMany({ where: { blockedUsers: { has: viewer.id } }, select: { id: true } })
+  ]);
+
+  return new Set([
+    viewer.id,
+    ...viewer.blockedUsers,
+    ...liked.map(l => l.toUserId),
+    ...passed.map(p => p.toUserId),
+    ...matched.map(m => (m.userId1 === viewer.id ? m.userId2 : m.userId1)),
+    ...blockedBy.map(u => u.id)
+  ]);
+}
+
+function acceptsGender(lookingFor, gender) {
+  if (!lookingFor?.length) return true;
+  return !!gender && lookingFor.some(wanted => wanted.toLowerCase() === gender.toLowerCase());
+}
+
+function withinAgeRange(user, age) {
+  return age === null || (age >= user.ageRangeMin && age <= user.ageRangeMax);
+}
+
+/**
+ * Mutual preference checks that cannot be expressed in the query
+ * @returns {{ distance: number | null } | null} null when filtered out
+ */
+function passesFilters(viewer, candidate, now) {
+  if (!acceptsGender(viewer.lookingFor, candidate.gender) || !acceptsGender(candidate.lookingFor, viewer.gender)) {
+    return null;
+  }
+  if (!withinAgeRange(viewer, ageOn(candidate.birthDate, now)) || !withinAgeRange(candidate, ageOn(viewer.birthDate, now))) {
+    return null;
+  }
+
+  if (!hasCoordinates(viewer) || !hasCoordinates(candidate)) {
+    return { distance: null };
+  }
+  const distance = distanceMiles(viewer.locationLat, viewer.locationLng, candidate.locationLat, candidate.locationLng);
+  if (distance > Math.min(viewer.maxDistance, candidate.maxDistance)) {
+    return null;
+  }
+  return { distance };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Share of conversations each candidate answered: matches where they
+ * received a message and also sent one, smoothed towards 0.5 for new users
+ */
+async function replyRates(candidateIds, now) {
+  const since = new Date(now.getTime() - REPLY_RATE_WINDOW_DAYS * DAY_MS);
+  const [received, sent] = await Promise.all([
+    prisma.datingMessage.groupBy({
+      by: ['receiverId', 'matchId'],
+      where: { receiverId: { in: candidateIds }, createdAt: { gte: since } }
+    }),
+    prisma.datingMessage.groupBy({
+      by: ['senderId', 'matchId'],
+      where: { senderId: { in: candidateIds }, createdAt: { gte: since } }
+    })
+  ]);
+
+  const answered = new Set(sent.map(row => `${row.senderId}:${row.matchId}`));
+  const counts = new Map();
+  for (const row of received) {
+    const entry = counts.get(row.receiverId) || { received: 0, replied: 0 };
+    entry.received++;
+    if (answered.has(`${row.receiverId}:${row.matchId}`)) entry.replied++;
+    counts.set(row.receiverId, entry);
+  }
+
+  return new Map(candidateIds.map(id => {
+    const { received: total = 0, replied = 0 } = counts.get(id) || {};
+    return [id, (replied + 1) / (total + 2)];
+  }));
+}
+
+/**
+ * Weighted 0-100 score and its components for one candidate
+ */
+export function scoreCandidate(viewer, candidate, { distance, replyRate, now, seed }) {
+  const mine = normalizeInterests(viewer.interests);
+  const theirs = normalizeInterests(candidate.interests);
+  const commonInterests = [...theirs].filter(interest => mine.has(interest));
+  const smaller = Math.min(mine.size, theirs.size);
+
+  const daysInactive = Math.max(0, (now - candidate.lastActiveAt) / DAY_MS);
+
+  const components = {
+    sharedInterests: smaller > 0 ? commonInterests.length / smaller : 0,
+    activity: Math.exp(-daysInactive / ACTIVITY_DECAY_DAYS),
+    humanVerification: Math.min(Math.max((candidate.humanVerificationScore ?? 0) / 100, 0), 1),
+    replyRate,
+    distance: distance === null ? 0.5 : 1 - distance / Math.max(viewer.maxDistance, 1)
+  };
+
+  const weighted = Object.entries(SCORE_WEIGHTS)
+    .reduce((sum, [component, weight]) => sum + weight * components[component], 0);
+  const jitter = (seededRandom(seed, candidate.id) - 0.5) * JITTER;
+  const boost = candidate.boostedUntil > now ? BOOST_BONUS : 0;
+
+  return {
+    score: Math.round(Math.min(Math.max(weighted + jitter + boost, 0), 1) * 10000) / 100,
+    components,
+    commonInterests
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISCOVERY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * One page of ranked candidates for a viewer.
+ * @param {string} userId - Viewer
+ * @param {Object} options - { limit, cursor, seed }
+ * @returns {Promise<{ profiles: Object[], nextCursor: string | null, seed: string }>}
+ */
+export async function discover(userId, { limit = 10, cursor, seed } = {}) {
+  const now = new Date();
+  const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+  const after = cursor ? decodeCursor(cursor) : null;
+  const rankingSeed = after?.seed || seed || defaultSeed(userId, now);
+
+  const viewer = await prisma.datingUser.findUnique({ where: { id: userId } });
+  if (!viewer?.profileCompletedAt) {
+    throw Object.assign(new Error('Please complete your profile first'), { status: 400 });
+  }
+
+  const excluded = await excludedUserIds(viewer);
+
+  const candidates = await prisma.datingUser.findMany({
+    where: {
+      id: { notIn: [...excluded] },
+      profileCompletedAt: { not: null },
+      humanVerificationStatus: 'VERIFIED',
+      OR: [{ humanVerificationExpiresAt: null }, { humanVerificationExpiresAt: { gt: now } }],
+      status: { notIn: ['SUSPENDED', 'BANNED', 'DELETED'] }
+    },
+    orderBy: { lastActiveAt: 'desc' },
+    take: CANDIDATE_POOL_SIZE
+  });
+
+  const eligible = candidates
+    .map(candidate => ({ candidate, filter: passesFilters(viewer, candidate, now) }))
+    .filter(({ filter }) => filter);
+
+  const rates = eligible.length
+    ? await replyRates(eligible.map(({ candidate }) => candidate.id), now)
+    : new Map();
+
+  const ranked = eligible
+    .map(({ candidate, filter }) => ({
+      candidate,
+      distance: filter.distance,
+      ...scoreCandidate(viewer, candidate, {
+        distance: filter.distance,
+        replyRate: rates.get(candidate.id),
+        now,
+        seed: rankingSeed
+      })
+    }))
+    .sort((a, b) => b.score - a.score || a.candidate.id.localeCompare(b.candidate.id));
+
+  const start = after
+    ? ranked.findIndex(r => r.score < after.score || (r.score === after.score && r.candidate.id > after.userId))
+    : 0;
+  const page = start === -1 ? [] : ranked.slice(start, start + pageSize);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + pageSize < ranked.length;
+
+  return {
+    seed: rankingSeed,
+    profiles: page.map(({ candidate, distance, score, components, commonInterests }) => ({
+      ...toProfile(candidate),
+      distance: distance === null ? null : Math.round(distance),
+      matchScore: score,
+      scoreComponents: components,
+      commonInterests
+    })),
+    nextCursor: hasMore ? encodeCursor({ seed: rankingSeed, score: last.score, userId: last.candidate.id }) : null
+  };
+}
+
+export default {
+  SCORE_WEIGHTS,
+  distanceMiles,
+  defaultSeed,
+  scoreCandidate,
+  discover
+};
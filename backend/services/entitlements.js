@@ -0,0 +1,502 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * ENTITLEMENTS - Premium features driven by Square subscriptions
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - A user's plan is the best tier among their entitled Subscription rows:
+ *   ACTIVE subscriptions entitle until further notice, any other status only
+ *   until Subscription.entitledUntil
+ * - Square subscription and invoice webhooks (square-event-handlers.js) keep
+ *   the rows in step with billing:
+ *     subscription ACTIVE          → entitled
+ *     subscription CANCELED/PAUSED → entitled to the end of the paid period
+ *     subscription DEACTIVATED     → entitlement ends now
+ *     invoice charge failed        → PAYMENT_FAILED, entitled for
+ *                                    SUBSCRIPTION_GRACE_DAYS after the first
+ *                                    failure; a later payment restores it
+ * - DatingUser.isPremium / isVIP cache the result for tokens and emails; the
+ *   expiry scheduler clears them once a grace or paid period runs out.
+ *   Feature checks always read the Subscription rows.
+ * - Features per tier (PLAN_FEATURES, overridable per subscription through
+ *   Subscription.features): unlimited likes (free users get FREE_DAILY_LIKES
+ *   per UTC day), see who liked you, and monthly profile boosts
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPIRY_SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+
+export const ENTITLEMENT_POLICY = Object.freeze({
+  freeDailyLikes: parseInt(process.env.FREE_DAILY_LIKES) || 10,
+  graceDays: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 7,
+  boostMinutes: parseInt(process.env.BOOST_MINUTES) || 30
+});
+
+export const PLAN_FEATURES = Object.freeze({
+  FREE: Object.freeze({ unlimitedLikes: false, seeWhoLikedYou: false, boostsPerMonth: 0 }),
+  PREMIUM: Object.freeze({ unlimitedLikes: true, seeWhoLikedYou: true, boostsPerMonth: 1 }),
+  VIP: Object.freeze({ unlimitedLikes: true, seeWhoLikedYou: true, boostsPerMonth: 5 })
+});
+
+const TIER_RANK = { FREE: 0, PREMIUM: 1, VIP: 2 };
+
+// Square subscription status → Subscription.status. PAUSED has no status of
+// its own; it ends entitlement like a cancellation and resuming sends ACTIVE.
+const SQUARE_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  CANCELED: 'CANCELLED',
+  PAUSED: 'CANCELLED',
+  DEACTIVATED: 'EXPIRED'
+};
+
+let expiryHandle = null;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function startOfUtcDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function startOfUtcMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+// Square sends calendar dates ("2026-11-01")
+function squareDate(value) {
+  return value ? new Date(`${value}T00:00:00Z`) : null;
+}
+
+/**
+ * Tier for a Square plan variation (SQUARE_PREMIUM_PLAN_ID / SQUARE_VIP_PLAN_ID)
+ */
+export function tierForPlan(planId) {
+  if (planId && planId === process.env.SQUARE_VIP_PLAN_ID) return 'VIP';
+  if (planId && planId === process.env.SQUARE_PREMIUM_PLAN_ID) return 'PREMIUM';
+  return planId?.toLowerCase().includes('vip') ? 'VIP' : 'PREMIUM';
+}
+
+/**
+ * True while a subscription grants its tier's features
+ */
+export function isEntitled(subscription, now = new Date()) {
+  if (subscription.status === 'ACTIVE') return true;
+  return !!subscription.entitledUntil && subscription.entitledUntil > now;
+}
+
+/**
+ * The subscription that sets the user's plan: highest tier, then latest start
+ */
+function bestSubscription(subscriptions, now) {
+  return subscriptions
+    .filter(subscription => isEntitled(subscription, now))
+    .sort((a, b) => TIER_RANK[b.tier] - TIER_RANK[a.tier] || b.startedAt - a.startedAt)[0] || null;
+}
+
+function featuresOf(subscription) {
+  if (!subscription) return PLAN_FEATURES.FREE;
+  return { ...PLAN_FEATURES[subscription.tier], ...(subscription.features || {}) };
+}
+
+async function planFor(userId, now = new Date()) {
+  const subscriptions = await prisma.subscription.findMany({
+    where: { userId, status: { not: 'EXPIRED' } }
+  });
+  const subscription = bestSubscription(subscriptions, now);
+  return {
+    subscription,
+    tier: subscription?.tier || 'FREE',
+    features: featuresOf(subscription)
+  };
+}
+
+/**
+ * Rewrite the cached DatingUser flags from the user's subscriptions
+ * @returns {Promise<string>} The user's tier
+ */
+export async function syncUserEntitlements(userId) {
+  const { subscription, tier } = await planFor(userId);
+  await prisma.datingUser.updateMany({
+    where: { id: userId },
+    data: {
+      isPremium: tier !== 'FREE',
+      isVIP: tier === 'VIP',
+      subscriptionId: subscription?.id || null
+    }
+  });
+  return tier;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENTITLEMENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Likes left today for the user (null limit = unlimited)
+ */
+export async function likeQuota(userId, { features, now = new Date() } = {}) {
+  features ||= (await planFor(userId, now)).features;
+  const resetsAt = new Date(startOfUtcDay(now).getTime() + DAY_MS);
+  if (features.unlimitedLikes) {
+    return { limit: null, used: null, remaining: null, resetsAt: null };
+  }
+
+  const used = await prisma.datingLike.count({
+    where: { fromUserId: userId, createdAt: { gte: startOfUtcDay(now) } }
+  });
+  const limit = ENTITLEMENT_POLICY.freeDailyLikes;
+  return { limit, used, remaining: Math.max(limit - used, 0), resetsAt };
+}
+
+/**
+ * Plan, features and usage for a user
+ */
+export async function getEntitlements(userId) {
+  const now = new Date();
+  const [{ subscription, tier, features }, user] = await Promise.all([
+    planFor(userId, now),
+    prisma.datingUser.findUnique({ where: { id: userId }, select: { boostedUntil: true } })
+  ]);
+  const [likes, boostsUsed] = await Promise.all([
+    likeQuota(userId, { features, now }),
+    prisma.profileBoost.count({ where: { userId, createdAt: { gte: startOfUtcMonth(now) } } })
+  ]);
+
+  return {
+    tier,
+    features,
+    subscription: subscription && {
+      id: subscription.id,
+      status: subscription.status,
+      nextBillingDate: subscription.nextBillingDate,
+      entitledUntil: subscription.status === 'ACTIVE' ? null : subscription.entitledUntil,
+      inGracePeriod: subscription.status === 'PAYMENT_FAILED'
+    },
+    likes,
+    boosts: {
+      perMonth: features.boostsPerMonth,
+      used: boostsUsed,
+      remaining: Math.max(features.boostsPerMonth - boostsUsed, 0),
+      activeUntil: user?.boostedUntil > now ? user.boostedUntil : null
+    }
+  };
+}
+
+/**
+ * Throws 429 when a free user has used today's likes
+ */
+export async function assertCanLike(userId) {
+  const quota = await likeQuota(userId);
+  if (quota.limit !== null && quota.remaining === 0) {
+    throw Object.assign(
+      new Error(`Free members can send ${quota.limit} likes per day`),
+      { status: 429, likes: quota, redirectTo: '/subscribe' }
+    );
+  }
+  return quota;
+}
+
+/**
+ * Rank the user's profile higher in discovery for BOOST_MINUTES
+ * @throws {Error} with `status` 403 (no boosts on the plan or none left) or 409 (already boosted)
+ */
+export async function activateBoost(userId) {
+  const now = new Date();
+  const { features } = await planFor(userId, now);
+  if (!features.boostsPerMonth) {
+    throw Object.assign(new Error('Boosts are a premium feature'), { status: 403, redirectTo: '/subscribe' });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.datingUser.findUnique({ where: { id: userId }, select: { boostedUntil: true } });
+    if (user?.boostedUntil > now) {
+      throw Object.assign(new Error('A boost is already active'), { status: 409, boostedUntil: user.boostedUntil });
+    }
+
+    const used = await tx.profileBoost.count({ where: { userId, createdAt: { gte: startOfUtcMonth(now) } } });
+    if (used >= features.boostsPerMonth) {
+      throw Object.assign(new Error(`You have used all ${features.boostsPerMonth} boosts this month`), { status: 403 });
+    }
+
+    const endsAt = new Date(now.getTime() + ENTITLEMENT_POLICY.boostMinutes * 60 * 1000);
+    await tx.profileBoost.create({ data: { userId, endsAt } });
+    await tx.datingUser.update({ where: { id: userId }, data: { boostedUntil: endsAt } });
+
+    return { boostedUntil: endsAt, remaining: features.boostsPerMonth - used - 1 };
+  }, { isolationLevel: 'Serializable' });
+}
+
+/**
+ * Middleware: 403 unless the user's plan has `feature`
+ */
+export function requireEntitlement(feature) {
+  return async (req, res, next) => {
+    try {
+      const { features } = await planFor(req.user?.userId);
+      if (!features[feature]) {
+        return res.status(403).json({
+          error: 'Premium subscription required',
+          feature,
+          redirectTo: '/subscribe'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * True if the user currently has any paid tier
+ */
+export async function hasPremium(userId) {
+  return (await planFor(userId)).tier !== 'FREE';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SQUARE BILLING EVENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function squareHeaders() {
+  return {
+    'Square-Version': '2024-12-18',
+    'Authorization': `Bearer ${process.env.SQUARE_ACCESS_TOKEN}`
+  };
+}
+
+function squareBaseUrl() {
+  return process.env.SQUARE_ENVIRONMENT === 'production'
+    ? 'https://connect.squareup.com'
+    : 'https://connect.squareupsandbox.com';
+}
+
+/**
+ * DatingUser for a Square customer: an earlier subscription of the same
+ * customer, else the customer's reference_id (our user ID) or email
+ */
+async function resolveSubscriber(customerId) {
+  const earlier = await prisma.subscription.findFirst({
+    where: { squareCustomerId: customerId },
+    select: { userId: true, email: true }
+  });
+  if (earlier) return earlier;
+
+  const response = await fetch(`${squareBaseUrl()}/v2/customers/${encodeURIComponent(customerId)}`, {
+    headers: squareHeaders()
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Square customer lookup responded ${response.status}`);
+  }
+  const { customer } = await response.json();
+
+  const user = await prisma.datingUser.findFirst({
+    where: {
+      OR: [
+        ...(customer.reference_id ? [{ id: customer.reference_id }] : []),
+        ...(customer.email_address ? [{ email: customer.email_address.toLowerCase() }] : [])
+      ]
+    },
+    select: { id: true, email: true }
+  });
+  return user && { userId: user.id, email: user.email };
+}
+
+/**
+ * Apply a subscription.created / subscription.updated payload
+ * @returns {Promise<Object>} What changed, for the webhook delivery record
+ */
+export async function applySquareSubscription(squareSubscription) {
+  const status = SQUARE_STATUSES[squareSubscription.status];
+  if (!status) {
+    return { skipped: `status_${squareSubscription.status?.toLowerCase()}` };
+  }
+
+  const existing = await prisma.subscription.findUnique({
+    where: { squareSubscriptionId: squareSubscription.id }
+  });
+  if (existing?.squareVersion != null && squareSubscription.version != null
+    && squareSubscription.version < existing.squareVersion) {
+    return { skipped: 'stale_version', subscriptionId: existing.id };
+  }
+
+  const subscriber = existing || await resolveSubscriber(squareSubscription.customer_id);
+  if (!subscriber) {
+    console.warn('⚠️ No dating user for Square customer:', squareSubscription.customer_id);
+    return { skipped: 'unknown_customer', customerId: squareSubscription.customer_id };
+  }
+
+  const now = new Date();
+  const planId = squareSubscription.plan_variation_id || squareSubscription.plan_id || null;
+  const chargedThrough = squareDate(squareSubscription.charged_through_date);
+  // A failed payment keeps its grace period until an invoice is paid -
+  // Square leaves the subscription ACTIVE while the invoice is unpaid
+  const paymentFailed = existing?.status === 'PAYMENT_FAILED';
+
+  const lifecycle = {
+    ACTIVE: paymentFailed
+      ? { status: 'PAYMENT_FAILED' }
+      : { status: 'ACTIVE', entitledUntil: null, cancelledAt: null, expiredAt: null },
+    CANCELLED: {
+      status: 'CANCELLED',
+      cancelledAt: squareDate(squareSubscription.canceled_date) || now,
+      entitledUntil: paymentFailed ? existing.entitledUntil : (chargedThrough || now)
+    },
+    // A grace period that is still running is left for the expiry scheduler to end
+    EXPIRED: paymentFailed && existing.entitledUntil > now
+      ? { status: 'PAYMENT_FAILED' }
+      : { status: 'EXPIRED', expiredAt: now, entitledUntil: now }
+  }[status];
+
+  const fields = {
+    tier: tierForPlan(planId),
+    squareCustomerId: squareSubscription.customer_id,
+    squarePlanId: planId,
+    squareVersion: squareSubscription.version ?? null,
+    nextBillingDate: chargedThrough,
+    ...lifecycle
+  };
+
+  const subscription = existing
+    ? await prisma.subscription.update({ where: { id: existing.id }, data: fields })
+    : await prisma.subscription.create({
+      data: {
+        userId: subscriber.userId,
+        email: subscriber.email,
+        squareSubscriptionId: squareSubscription.id,
+        amount: (squareSubscription.price_override_money?.amount || 0) / 100,
+        currency: squareSubscription.price_override_money?.currency || 'USD',
+        startedAt: squareDate(squareSubscription.start_date) || now,
+        ...fields
+      }
+    });
+
+  const tier = await syncUserEntitlements(subscription.userId);
+  return { subscriptionId: subscription.id, userId: subscription.userId, status: subscription.status, tier };
+}
+
+/**
+ * Apply invoice.payment_made / invoice.scheduled_charge_failed for a
+ * subscription invoice. Throws when the subscription is not stored yet so
+ * the pipeline retries after subscription.created has been handled.
+ */
+export async function applySquareInvoice(type, invoice) {
+  if (!invoice.subscription_id) {
+    return { skipped: 'not_a_subscription_invoice' };
+  }
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { squareSubscriptionId: invoice.subscription_id }
+  });
+  if (!subscription) {
+    throw new Error(`Subscription ${invoice.subscription_id} not stored yet`);
+  }
+
+  const now = new Date();
+  let data;
+  if (type === 'invoice.payment_made') {
+    const amount = invoice.total_money?.amount ?? invoice.payment_requests?.[0]?.computed_amount_money?.amount;
+    data = {
+      lastPaymentDate: now,
+      lastPaymentId: invoice.id,
+      paymentFailedAt: null,
+      ...(amount != null && { amount: amount / 100 }),
+      // A late payment on a subscription Square already ended does not revive it
+      ...(subscription.status === 'PAYMENT_FAILED' || subscription.status === 'ACTIVE'
+        ? { status: 'ACTIVE', entitledUntil: null }
+        : {})
+    };
+  } else {
+    if (subscription.status === 'EXPIRED' || subscription.status === 'CANCELLED') {
+      return { skipped: 'subscription_ended', subscriptionId: subscription.id };
+    }
+    // Repeated failures do not extend the grace period
+    const failedAt = subscription.paymentFailedAt || now;
+    data = {
+      status: 'PAYMENT_FAILED',
+      paymentFailedAt: failedAt,
+      entitledUntil: new Date(failedAt.getTime() + ENTITLEMENT_POLICY.graceDays * DAY_MS)
+    };
+  }
+
+  const updated = await prisma.subscription.update({ where: { id: subscription.id }, data });
+  const tier = await syncUserEntitlements(updated.userId);
+  return {
+    subscriptionId: updated.id,
+    userId: updated.userId,
+    status: updated.status,
+    entitledUntil: updated.entitledUntil,
+    tier
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPIRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Expire subscriptions whose paid or grace period has ended and clear the
+ * cached flags of their users
+ * @returns {Promise<number>} Subscriptions expired
+ */
+export async function expireLapsedEntitlements() {
+  const now = new Date();
+  const where = { status: { in: ['CANCELLED', 'PAYMENT_FAILED'] }, entitledUntil: { lte: now } };
+  const lapsed = await prisma.subscription.findMany({ where, select: { id: true, userId: true } });
+  if (!lapsed.length) return 0;
+
+  // Same conditions again: a payment may have landed since the read
+  const { count } = await prisma.subscription.updateMany({
+    where: { ...where, id: { in: lapsed.map(subscription => subscription.id) } },
+    data: { status: 'EXPIRED', expiredAt: now }
+  });
+
+  for (const userId of new Set(lapsed.map(subscription => subscription.userId))) {
+    await syncUserEntitlements(userId);
+  }
+  return count;
+}
+
+/**
+ * Periodically expire lapsed entitlements. Safe to run on every instance.
+ */
+export function startEntitlementExpiryScheduler(intervalMs = EXPIRY_SCHEDULER_INTERVAL_MS) {
+  if (expiryHandle) return expiryHandle;
+
+  const tick = () => expireLapsedEntitlements().catch(error =>
+    console.error('Entitlement expiry scheduler error:', error.message)
+  );
+
+  tick();
+  expiryHandle = setInterval(tick, intervalMs);
+  expiryHandle.unref();
+  return expiryHandle;
+}
+
+export function stopEntitlementExpiryScheduler() {
+  clearInterval(expiryHandle);
+  expiryHandle = null;
+}
+
+export default {
+  ENTITLEMENT_POLICY,
+  PLAN_FEATURES,
+  tierForPlan,
+  isEntitled,
+  syncUserEntitlements,
+  likeQuota,
+  getEntitlements,
+  assertCanLike,
+  activateBoost,
+  requireEntitlement,
+  hasPremium,
+  applySquareSubscription,
+  applySquareInvoice,
+  expireLapsedEntitlements,
+  startEntitlementExpiryScheduler,
+  stopEntitlementExpiryScheduler
+};
@@ -0,0 +1,510 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * FREE DAO GOVERNANCE SERVICE - 100% TO BENEFICIARIES
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Durable governance for the FOR THE KIDS Free DAO, backed by the
+ * FreeDAOTreasury / FreeDAOProposal / FreeDAOVote / FreeDAODisbursement models.
+ *
+ * Rules (the same ones /api/free-dao/info advertises, now enforced):
+ * - Voting window: 7 days from creation
+ * - Quorum: 100 votes, and more "for" than "against"
+ * - Minimum proposal: $100
+ * - One vote per voter per proposal (hashed voter identity)
+ * - The proposer can cancel while voting is open
+ *
+ * When a window closes the scheduler tallies the proposal. A passed proposal
+ * reserves its amount from the treasury balance and becomes a pending
+ * disbursement; it is marked EXECUTED once the transfer is recorded.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+
+// GOSPEL-LOCKED: 100% to beneficiaries
+export const FREE_DAO_SPLIT = Object.freeze({
+  BENEFICIARIES: 100,
+  JOSHUA: 0,
+  INFRASTRUCTURE: 0
+});
+
+export const FREE_DAO_RULES = Object.freeze({
+  QUORUM: 100, // Minimum votes needed
+  VOTE_DURATION_DAYS: 7,
+  MINIMUM_PROPOSAL_AMOUNT: 100 // Dollars
+});
+
+const TREASURY_ID = 'free-dao-treasury';
+const VOTE_OPTIONS = ['for', 'against', 'abstain'];
+const SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Stable per-voter identifier; the raw email is not needed to detect duplicates
+ */
+function hashVoter(voterEmail) {
+  return sha256(`${voterEmail.trim().toLowerCase()}:${process.env.SALT || 'free-dao'}`);
+}
+
+function toNumber(decimal) {
+  return decimal === null || decimal === undefined ? 0 : Number(decimal);
+}
+
+function toPublicProposal(proposal) {
+  const { cancelTokenHash, ...rest } = proposal;
+  return {
+    ...rest,
+    status: proposal.status.toLowerCase(),
+    amount: toNumber(proposal.amount),
+    founderTake: toNumber(proposal.founderTake),
+    beneficiaryAllocation: toNumber(proposal.beneficiaryAllocation)
+  };
+}
+
+function toPublicTreasury(treasury) {
+  return {
+    totalDeposited: toNumber(treasury.totalDeposited),
+    totalDisbursed: toNumber(treasury.totalDisbursed),
+    currentBalance: toNumber(treasury.currentBalance)
+  };
+}
+
+/**
+ * The DAO has a single treasury row; create it on first use
+ */
+async function ensureTreasury(db = prisma) {
+  return db.freeDAOTreasury.upsert({
+    where: { id: TREASURY_ID },
+    update: {},
+    create: { id: TREASURY_ID }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TREASURY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function getTreasury() {
+  return toPublicTreasury(await ensureTreasury());
+}
+
+/**
+ * Record a deposit; 100% is allocated to beneficiaries
+ */
+export async function deposit({ amount, source, donorName, donorEmail }) {
+  const value = parseFloat(amount);
+  if (!value || value <= 0) {
+    throw Object.assign(new Error('Valid amount required'), { status: 400 });
+  }
+
+  await ensureTreasury();
+
+  return prisma.$transaction(async (tx) => {
+    const record = await tx.freeDAODeposit.create({
+      data: {
+        treasuryId: TREASURY_ID,
+        amount: value,
+        source: source || 'Direct Contribution',
+        donorName: donorName || 'Anonymous',
+        donorEmail: donorEmail || null,
+        beneficiaryAllocation: value // 100% goes to beneficiaries
+      }
+    });
+
+    const treasury = await tx.freeDAOTreasury.update({
+      where: { id: TREASURY_ID },
+      data: {
+        totalDeposited: { increment: value },
+        currentBalance: { increment: value }
+      }
+    });
+
+    return {
+      deposit: {
+        id: record.id,
+        amount: toNumber(record.amount),
+        source: record.source,
+        donorName: record.donorName,
+        timestamp: record.createdAt,
+        beneficiaryAllocation: toNumber(record.beneficiaryAllocation)
+      },
+      treasury: toPublicTreasury(treasury)
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROPOSALS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function listProposals({ status } = {}) {
+  const proposals = await prisma.freeDAOProposal.findMany({
+    where: status ? { status: status.toUpperCase() } : {},
+    orderBy: { createdAt: 'desc' }
+  });
+  return proposals.map(toPublicProposal);
+}
+
+/**
+ * Create a proposal. Returns a one-time cancelToken the proposer needs to cancel.
+ */
+export async function createProposal({
+  title,
+  description,
+  beneficiary,
+  beneficiaryType,
+  amount,
+  proposerName,
+  proposerEmail,
+  impactDescription
+}) {
+  const value = parseFloat(amount);
+
+  if (!title || !beneficiary || !value) {
+    throw Object.assign(new Error('Title, beneficiary, and amount are required'), { status: 400 });
+  }
+
+  if (value < FREE_DAO_RULES.MINIMUM_PROPOSAL_AMOUNT) {
+    throw Object.assign(
+      new Error(`Minimum proposal amount is $${FREE_DAO_RULES.MINIMUM_PROPOSAL_AMOUNT}`),
+      { status: 400 }
+    );
+  }
+
+  const treasury = await ensureTreasury();
+  if (value > toNumber(treasury.currentBalance)) {
+    throw Object.assign(new Error('Insufficient treasury balance'), {
+      status: 400,
+      details: { requested: value, available: toNumber(treasury.currentBalance) }
+    });
+  }
+
+  const cancelToken = crypto.randomBytes(24).toString('hex');
+
+  const proposal = await prisma.freeDAOProposal.create({
+    data: {
+      title,
+      description: description || '',
+      beneficiary,
+      beneficiaryType: beneficiaryType || 'charity',
+      amount: value,
+      proposerName: proposerName || 'Community Member',
+      proposerEmail: proposerEmail || null,
+      impactDescription: impactDescription || '',
+      quorumRequired: FREE_DAO_RULES.QUORUM,
+      endsAt: new Date(Date.now() + FREE_DAO_RULES.VOTE_DURATION_DAYS * 24 * 60 * 60 * 1000),
+      // GOSPEL-LOCKED
+      founderTake: 0, // Joshua takes $0
+      beneficiaryAllocation: value, // 100% to beneficiary
+      cancelTokenHash: sha256(cancelToken)
+    }
+  });
+
+  return { proposal: toPublicProposal(proposal), cancelToken };
+}
+
+/**
+ * Cast a vote. The (proposalId, voterHash) unique constraint guarantees one vote each.
+ */
+export async function castVote(proposalId, { vote, voterName, voterEmail }) {
+  if (!VOTE_OPTIONS.includes(vote)) {
+    throw Object.assign(new Error('Vote must be: for, against, or abstain'), { status: 400 });
+  }
+  if (!voterEmail) {
+    throw Object.assign(new Error('voterEmail is required (one vote per voter)'), { status: 400 });
+  }
+
+  const proposal = await prisma.freeDAOProposal.findUnique({ where: { id: proposalId } });
+  if (!proposal) {
+    throw Object.assign(new Error('Proposal not found'), { status: 404 });
+  }
+
+  // Don't wait for the scheduler if the window has already closed
+  if (proposal.status === 'ACTIVE' && proposal.endsAt <= new Date()) {
+    await closeProposal(proposal.id);
+    throw Object.assign(new Error('Voting period has ended'), { status: 400 });
+  }
+
+  if (proposal.status !== 'ACTIVE') {
+    throw Object.assign(new Error('Proposal is no longer active'), { status: 400 });
+  }
+
+  const counter = { for: 'votesFor', against: 'votesAgainst', abstain: 'votesAbstain' }[vote];
+
+  try {
+    const updated = await prisma.$transaction(async (tx) => {
+      await tx.freeDAOVote.create({
+        data: {
+          proposalId,
+          voterName: voterName || 'Anonymous',
+          voterHash: hashVoter(voterEmail),
+          vote
+        }
+      });
+
+      // Re-check the window inside the transaction so a vote can't land after close
+      const { count } = await tx.freeDAOProposal.updateMany({
+        where: { id: proposalId, status: 'ACTIVE', endsAt: { gt: new Date() } },
+        data: { [counter]: { increment: 1 }, totalVotes: { increment: 1 } }
+      });
+      if (count === 0) {
+        // Closed or cancelled between the check above and this write
+        throw Object.assign(new Error('Proposal closed concurrently'), { status: 409 });
+      }
+
+      return tx.freeDAOProposal.findUnique({ where: { id: proposalId } });
+    });
+
+    return toPublicProposal(updated);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw Object.assign(new Error('Already voted on this proposal'), { status: 400 });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Proposer cancels an open proposal using the token returned at creation
+ */
+export async function cancelProposal(proposalId, cancelToken) {
+  const proposal = await prisma.freeDAOProposal.findUnique({ where: { id: proposalId } });
+  if (!proposal) {
+    throw Object.assign(new Error('Proposal not found'), { status: 404 });
+  }
+
+  const presented = Buffer.from(sha256(String(cancelToken || '')));
+  const expected = Buffer.from(proposal.cancelTokenHash || '');
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    throw Object.assign(new Error('Only the proposer can cancel this proposal'), { status: 403 });
+  }
+
+  const { count } = await prisma.freeDAOProposal.updateMany({
+    where: { id: proposalId, status: 'ACTIVE' },
+    data: { status: 'CANCELLED', closedAt: new Date(), closedReason: 'cancelled_by_proposer' }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error('Only active proposals can be cancelled'), { status: 400 });
+  }
+
+  return toPublicProposal(await prisma.freeDAOProposal.findUnique({ where: { id: proposalId } }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLOSING & DISBURSEMENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Tally a proposal whose window has ended.
+ *
+ * The conditional status update means only one caller (scheduler tick,
+ * late vote, another instance) closes a given proposal.
+ */
+export async function closeProposal(proposalId) {
+  return prisma.$transaction(async (tx) => {
+    const proposal = await tx.freeDAOProposal.findUnique({ where: { id: proposalId } });
+    if (!proposal || proposal.status !== 'ACTIVE' || proposal.endsAt > new Date()) {
+      return null;
+    }
+
+    const quorumMet = proposal.totalVotes >= proposal.quorumRequired;
+    const majorityFor = proposal.votesFor > proposal.votesAgainst;
+    let reason = !quorumMet ? 'quorum_not_met' : !majorityFor ? 'majority_against' : 'passed';
+
+    let treasury = null;
+    if (reason === 'passed') {
+      // Reserve the funds; fails if the balance no longer covers the amount
+      const reserved = await tx.freeDAOTreasury.updateMany({
+        where: { id: TREASURY_ID, currentBalance: { gte: proposal.amount } },
+        data: { currentBalance: { decrement: proposal.amount } }
+      });
+      if (reserved.count === 0) {
+        reason = 'insufficient_funds';
+      } else {
+        treasury = TREASURY_ID;
+      }
+    }
+
+    const passed = reason === 'passed';
+    const { count } = await tx.freeDAOProposal.updateMany({
+      where: { id: proposalId, status: 'ACTIVE' },
+      data: {
+        status: passed ? 'PASSED' : 'REJECTED',
+        closedAt: new Date(),
+        closedReason: reason
+      }
+    });
+    if (count === 0) {
+      throw new Error('Proposal closed concurrently');
+    }
+
+    if (passed) {
+      await tx.freeDAODisbursement.create({
+        data: {
+          treasuryId: treasury,
+          proposalId: proposal.id,
+          beneficiary: proposal.beneficiary,
+          beneficiaryType: proposal.beneficiaryType,
+          amount: proposal.amount,
+          purpose: proposal.title
+        }
+      });
+      console.log(`✅ FREE DAO Proposal passed: "${proposal.title}" → $${proposal.amount} pending disbursement`);
+    } else {
+      console.log(`📋 FREE DAO Proposal rejected: "${proposal.title}" (${reason})`);
+    }
+
+    return { id: proposal.id, status: passed ? 'passed' : 'rejected', reason };
+  });
+}
+
+/**
+ * Close every proposal whose voting window has ended
+ */
+export async function closeExpiredProposals() {
+  const due = await prisma.freeDAOProposal.findMany({
+    where: { status: 'ACTIVE', endsAt: { lte: new Date() } },
+    select: { id: true }
+  });
+
+  const results = [];
+  for (const { id } of due) {
+    try {
+      const result = await closeProposal(id);
+      if (result) results.push(result);
+    } catch (error) {
+      console.error(`FREE DAO: failed to close proposal ${id}:`, error.message);
+    }
+  }
+  return results;
+}
+
+let schedulerHandle = null;
+
+/**
+ * Periodically close ended proposals. Safe to run on every instance.
+ */
+export function startProposalScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+  if (schedulerHandle) return schedulerHandle;
+
+  const tick = () => closeExpiredProposals().catch(error =>
+    console.error('FREE DAO scheduler error:', error.message)
+  );
+
+  tick();
+  schedulerHandle = setInterval(tick, intervalMs);
+  schedulerHandle.unref();
+  return schedulerHandle;
+}
+
+export function stopProposalScheduler() {
+  clearInterval(schedulerHandle);
+  schedulerHandle = null;
+}
+
+export async function listDisbursements({ pending } = {}) {
+  const disbursements = await prisma.freeDAODisbursement.findMany({
+    where: pending === undefined ? {} : { verified: !pending },
+    orderBy: { createdAt: 'desc' }
+  });
+  return disbursements.map(d => ({
+    ...d,
+    amount: toNumber(d.amount),
+    status: d.verified ? 'executed' : 'pending'
+  }));
+}
+
+/**
+ * Record the payment transfer for a pending disbursement
+ */
+export async function executeDisbursement(disbursementId, { transferId, verifiedBy, impactReport }) {
+  if (!transferId) {
+    throw Object.assign(new Error('transferId is required'), { status: 400 });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.freeDAODisbursement.updateMany({
+      where: { id: disbursementId, verified: false },
+      data: {
+        transferId,
+        verified: true,
+        verifiedAt: new Date(),
+        verifiedBy: verifiedBy || 'Admin',
+        impactReport: impactReport || null
+      }
+    });
+    if (count === 0) {
+      throw Object.assign(new Error('Pending disbursement not found'), { status: 404 });
+    }
+
+    const disbursement = await tx.freeDAODisbursement.findUnique({ where: { id: disbursementId } });
+
+    await tx.freeDAOTreasury.update({
+      where: { id: disbursement.treasuryId },
+      data: { totalDisbursed: { increment: disbursement.amount } }
+    });
+
+    if (disbursement.proposalId) {
+      await tx.freeDAOProposal.update({
+        where: { id: disbursement.proposalId },
+        data: { status: 'EXECUTED', executedAt: new Date() }
+      });
+    }
+
+    console.log(`✅ FREE DAO Disbursement: $${disbursement.amount} to ${disbursement.beneficiary}`);
+
+    return { ...disbursement, amount: toNumber(disbursement.amount), status: 'executed' };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STATS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function getStats() {
+  const [treasury, byStatus, totalVotesCast] = await Promise.all([
+    ensureTreasury(),
+    prisma.freeDAOProposal.groupBy({ by: ['status'], _count: { _all: true } }),
+    prisma.freeDAOVote.count()
+  ]);
+
+  const count = (status) => byStatus.find(row => row.status === status)?._count._all || 0;
+
+  return {
+    treasuryBalance: toNumber(treasury.currentBalance),
+    totalDeposited: toNumber(treasury.totalDeposited),
+    totalDisbursedToKids: toNumber(treasury.totalDisbursed),
+    activeProposals: count('ACTIVE'),
+    passedProposals: count('PASSED') + count('EXECUTED'),
+    rejectedProposals: count('REJECTED'),
+    cancelledProposals: count('CANCELLED'),
+    totalProposals: byStatus.reduce((sum, row) => sum + row._count._all, 0),
+    totalVotesCast
+  };
+}
+
+export default {
+  FREE_DAO_SPLIT,
+  FREE_DAO_RULES,
+  getTreasury,
+  deposit,
+  listProposals,
+  createProposal,
+  castVote,
+  cancelProposal,
+  closeProposal,
+  closeExpiredProposals,
+  startProposalScheduler,
+  stopProposalScheduler,
+  listDisbursements,
+  executeDisbursement,
+  getStats
+};
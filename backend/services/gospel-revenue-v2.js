@@ -11,7 +11,8 @@
  * Only NET PROFIT gets the revenue allocation split.
  * This protects founder from subsidizing charity with personal funds.
  *
- * SPLIT: 100% to verified pediatric charities (Gospel V1.4.1 SURVIVAL MODE)
+ * SPLIT: the "merch" policy in services/split-policy.js, which also owns the
+ * fee and net-profit calculation (today: 100% to verified pediatric charities)
  *
  * Created by Claude (Opus 4.5) - December 27, 2025
  * Gospel V1.4.1 SURVIVAL MODE - NET PROFIT VERSION
@@ -19,130 +20,90 @@
  */
 
 import crypto from 'crypto';
+import {
+  PAYMENT_FEES,
+  calculateNetProfit,
+  allocateRevenue,
+  getSplitPolicy
+} from './split-policy.js';
+
+export { PAYMENT_FEES, calculateNetProfit };
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// GOSPEL SPLIT - IMMUTABLE (V1.4.1 SURVIVAL MODE)
+// GOSPEL SPLIT - the "merch" policy in services/split-policy.js
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Percentages of the merch policy version in effect when this module loaded;
+// calculateGospelSplitNet() always uses the version in effect at call time
+const MERCH_POLICY = getSplitPolicy('merch');
+
 export const GOSPEL_SPLIT = Object.freeze({
-  CHARITY_PERCENTAGE: 100,
-  INFRASTRUCTURE_PERCENTAGE: 0,
-  FOUNDER_PERCENTAGE: 0,
+  CHARITY_PERCENTAGE: MERCH_POLICY.shares.treasury || 0,
+  INFRASTRUCTURE_PERCENTAGE: MERCH_POLICY.shares.operations || 0,
+  FOUNDER_PERCENTAGE: MERCH_POLICY.shares.founder || 0,
   CHARITY_NAME: "Verified Pediatric Charities",
   CHARITY_EIN: "PENDING_VERIFICATION",
   VERSION: "1.4.1",  // Gospel V1.4.1 SURVIVAL MODE
+  SPLIT_POLICY: MERCH_POLICY.label,
   LOCKED_DATE: "2025-12-27T00:00:00Z",
   ETHICS_OVERRIDE: true,
   NET_PROFIT_MODE: true,  // NEW: Confirms COGS deduction
   SURVIVAL_MODE: true  // 100% to charity
 });
 
-// Payment processor fees
-export const PAYMENT_FEES = Object.freeze({
-  SQUARE_PERCENTAGE: 2.6,
-  SQUARE_FIXED: 0.10,  // $0.10 per transaction
-  PAYPAL_PERCENTAGE: 2.9,
-  PAYPAL_FIXED: 0.30
-});
-
 // ═══════════════════════════════════════════════════════════════════════════════
-// NET PROFIT CALCULATION (THE FIX)
+// NET PROFIT SPLIT
 // ═══════════════════════════════════════════════════════════════════════════════
 
-/**
- * Calculate net profit after all costs
- * @param {number} grossSale - Total amount customer paid
- * @param {number} cogs - Cost of goods (Printful production)
- * @param {number} shipping - Shipping cost (Printful shipping)
- * @param {string} processor - Payment processor ('square' | 'paypal')
- * @returns {Object} Breakdown of costs and net profit
- */
-export function calculateNetProfit(grossSale, cogs = 0, shipping = 0, processor = 'square') {
-  const gross = parseFloat(grossSale);
-  const productionCost = parseFloat(cogs) || 0;
-  const shippingCost = parseFloat(shipping) || 0;
-  
-  // Calculate payment processing fee
-  let processingFee = 0;
-  if (processor === 'square') {
-    processingFee = (gross * PAYMENT_FEES.SQUARE_PERCENTAGE / 100) + PAYMENT_FEES.SQUARE_FIXED;
-  } else if (processor === 'paypal') {
-    processingFee = (gross * PAYMENT_FEES.PAYPAL_PERCENTAGE / 100) + PAYMENT_FEES.PAYPAL_FIXED;
-  }
-  processingFee = Math.round(processingFee * 100) / 100;
-  
-  // Total costs
-  const totalCosts = productionCost + shippingCost + processingFee;
-  
-  // Net profit (what's left to split)
-  const netProfit = Math.max(0, gross - totalCosts);
-  
-  return {
-    grossSale: gross,
-    costs: {
-      production: productionCost,
-      shipping: shippingCost,
-      processing: processingFee,
-      total: Math.round(totalCosts * 100) / 100
-    },
-    netProfit: Math.round(netProfit * 100) / 100,
-    margin: gross > 0 ? Math.round((netProfit / gross) * 100) : 0
-  };
-}
-
 /**
  * Calculate Gospel split on NET PROFIT (not gross)
  * @param {number} grossSale - Total amount customer paid
  * @param {number} cogs - Cost of goods (Printful production)
  * @param {number} shipping - Shipping cost
- * @param {string} processor - Payment processor
+ * @param {string} processor - Payment processor (the merch policy's processor is used)
  * @returns {Object} Full split breakdown
  */
 export function calculateGospelSplitNet(grossSale, cogs = 0, shipping = 0, processor = 'square') {
   // Verify split hasn't been tampered
   verifyGospelSplit();
-  
-  // Calculate net profit first
-  const profitBreakdown = calculateNetProfit(grossSale, cogs, shipping, processor);
-  const netProfit = profitBreakdown.netProfit;
-  
-  // Now split the NET profit per revenue allocation
-  const charityAmount = Math.round(netProfit * (GOSPEL_SPLIT.CHARITY_PERCENTAGE / 100) * 100) / 100;
-  const infrastructureAmount = Math.round(netProfit * (GOSPEL_SPLIT.INFRASTRUCTURE_PERCENTAGE / 100) * 100) / 100;
-  const founderAmount = Math.round(netProfit * (GOSPEL_SPLIT.FOUNDER_PERCENTAGE / 100) * 100) / 100;
-  
-  // Handle rounding - any remainder goes to charity
-  const allocated = charityAmount + infrastructureAmount + founderAmount;
-  const remainder = Math.round((netProfit - allocated) * 100) / 100;
-  
+
+  const allocation = allocateRevenue({ policy: 'merch', amount: grossSale, cogs, shipping });
+  const gross = allocation.total;
+
   return {
-    grossSale: profitBreakdown.grossSale,
-    costs: profitBreakdown.costs,
-    netProfit: netProfit,
-    margin: profitBreakdown.margin,
+    grossSale: gross,
+    costs: {
+      production: allocation.costs.production,
+      shipping: allocation.costs.shipping,
+      processing: allocation.costs.processing,
+      total: allocation.costs.total
+    },
+    netProfit: allocation.net,
+    margin: gross > 0 ? Math.round((allocation.net / gross) * 100) : 0,
     split: {
       charity: {
-        amount: charityAmount + remainder,
-        percentage: GOSPEL_SPLIT.CHARITY_PERCENTAGE,
+        amount: allocation.treasury?.amount || 0,
+        percentage: allocation.treasury?.percentage || 0,
         recipient: GOSPEL_SPLIT.CHARITY_NAME
       },
       infrastructure: {
-        amount: infrastructureAmount,
-        percentage: GOSPEL_SPLIT.INFRASTRUCTURE_PERCENTAGE
+        amount: allocation.operations?.amount || 0,
+        percentage: allocation.operations?.percentage || 0
       },
       founder: {
-        amount: founderAmount,
-        percentage: GOSPEL_SPLIT.FOUNDER_PERCENTAGE
+        amount: allocation.founder?.amount || 0,
+        percentage: allocation.founder?.percentage || 0
       }
     },
     verification: {
       netProfitMode: true,
       cogsDeducted: cogs > 0,
       shippingDeducted: shipping > 0,
-      processingDeducted: true
+      processingDeducted: allocation.costs.processing > 0
     },
-    timestamp: new Date().toISOString(),
-    gospelVersion: GOSPEL_SPLIT.VERSION
+    timestamp: allocation.timestamp,
+    gospelVersion: GOSPEL_SPLIT.VERSION,
+    splitPolicy: allocation.version
   };
 }
 
@@ -193,14 +154,15 @@ export function getProductCOGS(sku) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// SPLIT VERIFICATION (unchanged from V1)
+// SPLIT VERIFICATION
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export function verifyGospelSplit() {
+  // GOSPEL_SPLIT must still match the policy it was read from
   const isValid = (
-    GOSPEL_SPLIT.CHARITY_PERCENTAGE === 100 &&
-    GOSPEL_SPLIT.INFRASTRUCTURE_PERCENTAGE === 0 &&
-    GOSPEL_SPLIT.FOUNDER_PERCENTAGE === 0 &&
+    GOSPEL_SPLIT.CHARITY_PERCENTAGE === (MERCH_POLICY.shares.treasury || 0) &&
+    GOSPEL_SPLIT.INFRASTRUCTURE_PERCENTAGE === (MERCH_POLICY.shares.operations || 0) &&
+    GOSPEL_SPLIT.FOUNDER_PERCENTAGE === (MERCH_POLICY.shares.founder || 0) &&
     GOSPEL_SPLIT.CHARITY_PERCENTAGE +
     GOSPEL_SPLIT.INFRASTRUCTURE_PERCENTAGE +
     GOSPEL_SPLIT.FOUNDER_PERCENTAGE === 100
@@ -237,9 +199,10 @@ try {
   console.log(`   - Gross: $${example.grossSale}`);
   console.log(`   - Costs: $${example.costs.total} (prod: $${example.costs.production}, ship: $${example.costs.shipping}, fees: $${example.costs.processing})`);
   console.log(`   - Net Profit: $${example.netProfit}`);
-  console.log(`   - Charity (100%): $${example.split.charity.amount}`);
-  console.log(`   - Infra (0%): $${example.split.infrastructure.amount}`);
-  console.log(`   - Founder (0%): $${example.split.founder.amount}`);
+  console.log(`   - Charity (${example.split.charity.percentage}%): $${example.split.charity.amount}`);
+  console.log(`   - Infra (${example.split.infrastructure.percentage}%): $${example.split.infrastructure.amount}`);
+  console.log(`   - Founder (${example.split.founder.percentage}%): $${example.split.founder.amount}`);
+  console.log(`   - Policy: ${example.splitPolicy}`);
 } catch (error) {
   console.error('🚨 CRITICAL: Gospel verification failed!', error);
   process.exit(1);
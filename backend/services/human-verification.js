@@ -11,32 +11,44 @@
  *
  * The dating app's core promise: 100% human-verified users.
  *
+ * Sessions, challenges and every graded attempt are stored
+ * (HumanVerificationSession / HumanChallenge / HumanChallengeAttempt).
+ * Each CHALLENGE_TYPES entry is scored by a registered grader; types without
+ * one (voice, video, selfie until an ML grader is plugged in) are not issued.
+ * A pass is valid for HUMAN_REVERIFICATION_DAYS.
+ *
+ * AI content detection is delegated to the detector pipeline in
+ * services/ai-detection (thresholds tunable via /api/admin/ai-detection).
+ *
  * Created by Claude (Opus 4.5) - December 3, 2025
  * ═══════════════════════════════════════════════════════════════════════════════
  */
 
 import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { setHumanVerified, humanVerificationProblem, HUMAN_REVERIFICATION_DAYS } from './auth.js';
+import { analyzeText } from './ai-detection/index.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // VERIFICATION CHALLENGES
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Challenge types and their verification scores
+// Challenge types, their verification scores and allowed attempts
 export const CHALLENGE_TYPES = {
-  CAPTCHA: { score: 30, expiry: 300000 }, // 5 minutes
-  MATH_PUZZLE: { score: 20, expiry: 180000 }, // 3 minutes
-  IMAGE_SELECT: { score: 35, expiry: 300000 },
-  VOICE_PHRASE: { score: 70, expiry: 600000 }, // 10 minutes
-  VIDEO_GESTURE: { score: 90, expiry: 900000 }, // 15 minutes
-  LIVE_SELFIE: { score: 85, expiry: 600000 }
+  CAPTCHA: { score: 30, expiry: 300000, attempts: 3 }, // 5 minutes
+  MATH_PUZZLE: { score: 20, expiry: 180000, attempts: 3 }, // 3 minutes
+  IMAGE_SELECT: { score: 35, expiry: 300000, attempts: 3 },
+  VOICE_PHRASE: { score: 70, expiry: 600000, attempts: 2 }, // 10 minutes
+  VIDEO_GESTURE: { score: 90, expiry: 900000, attempts: 2 }, // 15 minutes
+  LIVE_SELFIE: { score: 85, expiry: 600000, attempts: 2 }
 };
 
 // Minimum score required for verification
 export const VERIFICATION_THRESHOLD = 70;
 
-// Store active challenges
-const activeChallenges = new Map();
-const verifiedUsers = new Map();
+// A verification session must reach the threshold within this window
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CHALLENGE GENERATION
@@ -184,51 +196,195 @@ export function generateSelfieChallenge() {
   };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// GRADERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Graders score a response against the challenge's stored expectations:
+ *   { id, async grade({ id, type, prompt, expected }, response) → { correct, confidence?, details? } }
+ */
+const graders = new Map();
+
+const GENERATORS = {
+  CAPTCHA: generateCaptcha,
+  MATH_PUZZLE: generateMathPuzzle,
+  IMAGE_SELECT: generateImageSelect,
+  VOICE_PHRASE: generateVoiceChallenge,
+  VIDEO_GESTURE: generateVideoChallenge,
+  LIVE_SELFIE: generateSelfieChallenge
+};
+
+// What a media grader needs to know about the generated challenge
+const MEDIA_EXPECTATIONS = {
+  VOICE_PHRASE: ['phrase', 'verificationWord'],
+  VIDEO_GESTURE: ['expectedGesture'],
+  LIVE_SELFIE: ['expectedPosition']
+};
+
+// Answers are stored hashed with the challenge ID, never in plaintext
+function hashAnswer(challengeId, answer) {
+  return crypto.createHash('sha256').update(`${challengeId}:${answer}`).digest('hex');
+}
+
+function normalizeAnswer(type, response) {
+  if (type === 'IMAGE_SELECT') {
+    return (Array.isArray(response) ? response : String(response).split(','))
+      .map(image => String(image).trim())
+      .sort()
+      .join(',');
+  }
+  return String(response).toLowerCase().trim();
+}
+
+// Text answers: compare against the stored hash
+const answerGrader = {
+  id: 'answer-hash',
+  async grade(challenge, response) {
+    const expected = Buffer.from(challenge.expected.answerHash, 'hex');
+    const actual = Buffer.from(hashAnswer(challenge.id, normalizeAnswer(challenge.type, response)), 'hex');
+    return { correct: crypto.timingSafeEqual(expected, actual) };
+  }
+};
+
+/**
+ * Plug in a grader for a CHALLENGE_TYPES entry (e.g. a speech or gesture
+ * model for VOICE_PHRASE / VIDEO_GESTURE / LIVE_SELFIE)
+ */
+export function registerChallengeGrader(type, grader) {
+  if (!CHALLENGE_TYPES[type]) {
+    throw new Error(`Unknown challenge type: ${type}`);
+  }
+  if (!grader?.id || typeof grader.grade !== 'function') {
+    throw new Error('Grader must have an id and a grade(challenge, response) function');
+  }
+  graders.set(type, grader);
+}
+
+export function gradableChallengeTypes() {
+  return Object.keys(CHALLENGE_TYPES).filter(type => graders.has(type));
+}
+
+registerChallengeGrader('CAPTCHA', answerGrader);
+registerChallengeGrader('MATH_PUZZLE', answerGrader);
+registerChallengeGrader('IMAGE_SELECT', answerGrader);
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // VERIFICATION FLOW
 // ═══════════════════════════════════════════════════════════════════════════════
 
+function toPublicChallenge(challenge) {
+  return {
+    challengeId: challenge.id,
+    type: challenge.type,
+    ...challenge.prompt,
+    score: CHALLENGE_TYPES[challenge.type].score,
+    attemptsAllowed: challenge.maxAttempts,
+    expiresAt: challenge.expiresAt
+  };
+}
+
+/**
+ * Generate a challenge and store it against a session. The prompt is what
+ * the client sees; everything else goes to `expected` for the grader.
+ */
+async function issueChallenge(session, type) {
+  const generated = GENERATORS[type]();
+  const { challengeId, display, images, answer } = generated;
+
+  const challenge = await prisma.humanChallenge.create({
+    data: {
+      id: challengeId,
+      sessionId: session.id,
+      userId: session.userId,
+      type,
+      prompt: { display, ...(images && { images }) },
+      expected: answer !== undefined
+        ? { answerHash: hashAnswer(challengeId, answer) }
+        : Object.fromEntries(MEDIA_EXPECTATIONS[type].map(field => [field, generated[field]])),
+      maxAttempts: CHALLENGE_TYPES[type].attempts,
+      expiresAt: new Date(generated.expiresAt)
+    }
+  });
+  return toPublicChallenge(challenge);
+}
+
+async function getActiveSession(userId) {
+  return prisma.humanVerificationSession.findFirst({
+    where: { userId, status: 'PENDING', expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+async function createSession(userId) {
+  // Only one session in progress per user
+  await prisma.humanVerificationSession.updateMany({
+    where: { userId, status: 'PENDING' },
+    data: { status: 'EXPIRED' }
+  });
+
+  return prisma.humanVerificationSession.create({
+    data: {
+      userId,
+      threshold: VERIFICATION_THRESHOLD,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+    }
+  });
+}
+
 /**
  * Start verification process for a user
  */
-export function startVerification(userId) {
-  const session = {
-    userId,
-    sessionId: crypto.randomUUID(),
-    startedAt: Date.now(),
-    score: 0,
-    completedChallenges: [],
-    status: 'in_progress'
-  };
+export async function startVerification(userId) {
+  const session = await createSession(userId);
 
   // Generate initial challenges
   const challenges = [
-    generateCaptcha(),
-    generateMathPuzzle()
+    await issueChallenge(session, 'CAPTCHA'),
+    await issueChallenge(session, 'MATH_PUZZLE')
   ];
 
-  challenges.forEach(c => {
-    activeChallenges.set(c.challengeId, { ...c, userId, sessionId: session.sessionId });
-  });
-
   return {
-    sessionId: session.sessionId,
-    challenges: challenges.map(c => ({
-      challengeId: c.challengeId,
-      type: c.type,
-      display: c.display,
-      images: c.images // Only for image select
-    })),
-    threshold: VERIFICATION_THRESHOLD,
+    sessionId: session.id,
+    challenges,
+    threshold: session.threshold,
+    expiresAt: session.expiresAt,
     message: 'Complete challenges to verify you are human'
   };
 }
 
+/**
+ * Session reached its threshold: mark it verified and update the account
+ */
+async function completeSession(session) {
+  const now = new Date();
+  const validUntil = new Date(now.getTime() + HUMAN_REVERIFICATION_DAYS * DAY_MS);
+
+  // Conditional update: of two concurrent final submissions only one completes
+  const { count } = await prisma.humanVerificationSession.updateMany({
+    where: { id: session.id, status: 'PENDING' },
+    data: { status: 'VERIFIED', completedAt: now, validUntil }
+  });
+  if (count === 0) return null;
+
+  const passed = await prisma.humanChallenge.findMany({
+    where: { sessionId: session.id, status: 'PASSED' },
+    select: { type: true }
+  });
+  const method = [...new Set(passed.map(c => c.type.toLowerCase()))].join('+');
+
+  await setHumanVerified(session.userId, method, Math.min(session.score, 100), { expiresAt: validUntil });
+  return validUntil;
+}
+
 /**
  * Submit a challenge response
  */
-export function submitChallenge(challengeId, response, userId) {
-  const challenge = activeChallenges.get(challengeId);
+export async function submitChallenge(challengeId, response, userId) {
+  const challenge = await prisma.humanChallenge.findUnique({
+    where: { id: challengeId },
+    include: { session: true }
+  });
 
   if (!challenge) {
     return { success: false, error: 'Challenge not found or expired' };
@@ -238,118 +394,116 @@ export function submitChallenge(challengeId, response, userId) {
     return { success: false, error: 'Challenge does not belong to this user' };
   }
 
-  if (Date.now() > challenge.expiresAt) {
-    activeChallenges.delete(challengeId);
+  if (challenge.status !== 'PENDING') {
+    return { success: false, error: `Challenge already ${challenge.status.toLowerCase()}` };
+  }
+
+  if (new Date() > challenge.expiresAt || challenge.session.status !== 'PENDING' || new Date() > challenge.session.expiresAt) {
+    await prisma.humanChallenge.update({ where: { id: challengeId }, data: { status: 'EXPIRED' } });
     return { success: false, error: 'Challenge expired' };
   }
 
+  const grader = graders.get(challenge.type);
+  if (!grader) {
+    return { success: false, error: `${challenge.type} responses cannot be graded on this server` };
+  }
+
   // Verify response
-  let isCorrect = false;
+  const result = await grader.grade(challenge, response);
+  const correct = result.correct === true;
+
+  await prisma.humanChallengeAttempt.create({
+    data: {
+      challengeId,
+      grader: grader.id,
+      correct,
+      confidence: result.confidence ?? null,
+      details: result.details ?? undefined
+    }
+  });
 
-  switch (challenge.type) {
-    case 'CAPTCHA':
-    case 'MATH_PUZZLE':
-      isCorrect = response.toLowerCase().trim() === challenge.answer.toLowerCase();
-      break;
-    case 'IMAGE_SELECT':
-      const selectedImages = (Array.isArray(response) ? response : response.split(',')).sort().join(',');
-      isCorrect = selectedImages === challenge.answer;
-      break;
-    case 'VOICE_PHRASE':
-    case 'VIDEO_GESTURE':
-    case 'LIVE_SELFIE':
-      // These would require actual ML analysis in production
-      // For now, accept if response is provided
-      isCorrect = response && response.length > 0;
-      break;
+  if (!correct) {
+    const attempts = await prisma.humanChallengeAttempt.count({ where: { challengeId } });
+    const remaining = Math.max(challenge.maxAttempts - attempts, 0);
+    if (remaining === 0) {
+      await prisma.humanChallenge.update({
+        where: { id: challengeId },
+        data: { status: 'FAILED', gradedAt: new Date() }
+      });
+    }
+
+    return {
+      success: true,
+      correct: false,
+      attemptsRemaining: remaining,
+      message: remaining > 0
+        ? 'Incorrect response. Please try again.'
+        : 'Incorrect response. Request a new challenge to continue.'
+    };
   }
 
-  // Update user's verification score
-  if (isCorrect) {
-    const userData = verifiedUsers.get(userId) || { score: 0, challenges: [] };
-    userData.score += CHALLENGE_TYPES[challenge.type].score;
-    userData.challenges.push({
-      type: challenge.type,
-      completedAt: Date.now(),
-      score: CHALLENGE_TYPES[challenge.type].score
-    });
-    verifiedUsers.set(userId, userData);
-
-    activeChallenges.delete(challengeId);
-
-    // Check if threshold reached
-    if (userData.score >= VERIFICATION_THRESHOLD) {
-      userData.verified = true;
-      userData.verifiedAt = Date.now();
-
-      return {
-        success: true,
-        correct: true,
-        score: userData.score,
-        verified: true,
-        message: 'Congratulations! You are verified as human.',
-        badge: 'HUMAN_VERIFIED'
-      };
-    }
+  // Conditional update: a challenge only scores once
+  const points = CHALLENGE_TYPES[challenge.type].score;
+  const { count } = await prisma.humanChallenge.updateMany({
+    where: { id: challengeId, status: 'PENDING' },
+    data: { status: 'PASSED', score: points, gradedAt: new Date() }
+  });
+  if (count === 0) {
+    return { success: false, error: 'Challenge already completed' };
+  }
+
+  // Update the session's verification score
+  const session = await prisma.humanVerificationSession.update({
+    where: { id: challenge.sessionId },
+    data: { score: { increment: points } }
+  });
+
+  // Check if threshold reached
+  if (session.score >= session.threshold) {
+    const validUntil = await completeSession(session);
 
     return {
       success: true,
       correct: true,
-      score: userData.score,
-      verified: false,
-      remaining: VERIFICATION_THRESHOLD - userData.score,
-      message: `Correct! ${VERIFICATION_THRESHOLD - userData.score} more points needed.`
+      score: session.score,
+      verified: true,
+      validUntil,
+      message: 'Congratulations! You are verified as human.',
+      badge: 'HUMAN_VERIFIED'
     };
   }
 
   return {
     success: true,
-    correct: false,
-    message: 'Incorrect response. Please try again.'
+    correct: true,
+    score: session.score,
+    verified: false,
+    remaining: session.threshold - session.score,
+    message: `Correct! ${session.threshold - session.score} more points needed.`
   };
 }
 
 /**
- * Get additional challenge for user
+ * Get additional challenge for user. Verified users can still take a
+ * LIVE_SELFIE challenge, which confirms their profile photos (services/photos).
  */
-export function getNextChallenge(userId, preferredType = null) {
-  const userData = verifiedUsers.get(userId);
+export async function getNextChallenge(userId, preferredType = null) {
+  const user = await prisma.datingUser.findUnique({
+    where: { id: userId },
+    select: { humanVerificationStatus: true, humanVerificationExpiresAt: true }
+  });
 
-  if (userData?.verified) {
+  const type = preferredType || 'CAPTCHA';
+  if (!humanVerificationProblem(user) && type !== 'LIVE_SELFIE') {
     return { error: 'User already verified' };
   }
 
-  let challenge;
-
-  switch (preferredType) {
-    case 'VOICE_PHRASE':
-      challenge = generateVoiceChallenge();
-      break;
-    case 'VIDEO_GESTURE':
-      challenge = generateVideoChallenge();
-      break;
-    case 'LIVE_SELFIE':
-      challenge = generateSelfieChallenge();
-      break;
-    case 'IMAGE_SELECT':
-      challenge = generateImageSelect();
-      break;
-    case 'MATH_PUZZLE':
-      challenge = generateMathPuzzle();
-      break;
-    default:
-      challenge = generateCaptcha();
+  if (!graders.has(type)) {
+    return { error: `${type} challenges cannot be graded on this server`, gradableTypes: gradableChallengeTypes() };
   }
 
-  activeChallenges.set(challenge.challengeId, { ...challenge, userId });
-
-  return {
-    challengeId: challenge.challengeId,
-    type: challenge.type,
-    display: challenge.display,
-    images: challenge.images,
-    score: CHALLENGE_TYPES[challenge.type].score
-  };
+  const session = await getActiveSession(userId) || await createSession(userId);
+  return issueChallenge(session, type);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -359,121 +513,20 @@ export function getNextChallenge(userId, preferredType = null) {
 /**
  * Analyze text for AI-generated content
  * Returns score 0-100 (higher = more likely AI)
+ *
+ * Scored by the calibrated detector pipeline in services/ai-detection
+ * (phrases, burstiness, Ollama perplexity, stylometry). Pass options.userId
+ * to compare against the sender's earlier messages.
  */
-export function detectAIContent(text) {
-  if (!text || text.length < 10) {
-    return { score: 0, flags: [], analysis: 'Text too short to analyze' };
-  }
-
-  let score = 0;
-  const flags = [];
-
-  // Check for common AI phrases
-  const aiPhrases = [
-    { pattern: /as an ai/i, weight: 40, flag: 'AI self-reference' },
-    { pattern: /i don't have (personal |real )?feelings/i, weight: 35, flag: 'AI disclaimer' },
-    { pattern: /i cannot (actually |really )?provide/i, weight: 30, flag: 'AI limitation' },
-    { pattern: /i'm (just |only )?a (language )?model/i, weight: 40, flag: 'Model reference' },
-    { pattern: /as a (large )?language model/i, weight: 40, flag: 'LLM reference' },
-    { pattern: /i was (created|trained|designed) (by|to)/i, weight: 25, flag: 'Training reference' },
-    { pattern: /my (knowledge|training) (cutoff|data)/i, weight: 30, flag: 'Training data reference' }
-  ];
-
-  aiPhrases.forEach(({ pattern, weight, flag }) => {
-    if (pattern.test(text)) {
-      score += weight;
-      flags.push(flag);
-    }
-  });
-
-  // Check for overly formal language in casual context
-  const formalIndicators = [
-    { word: 'furthermore', weight: 5 },
-    { word: 'additionally', weight: 4 },
-    { word: 'consequently', weight: 5 },
-    { word: 'nevertheless', weight: 5 },
-    { word: 'notwithstanding', weight: 6 },
-    { word: 'henceforth', weight: 6 },
-    { word: 'whereby', weight: 5 },
-    { word: 'aforementioned', weight: 6 },
-    { word: 'pursuant', weight: 6 }
-  ];
-
-  const lowerText = text.toLowerCase();
-  let formalCount = 0;
-  formalIndicators.forEach(({ word, weight }) => {
-    if (lowerText.includes(word)) {
-      formalCount++;
-      score += weight;
-    }
-  });
-
-  if (formalCount >= 3) {
-    flags.push('Overly formal language');
-  }
-
-  // Check for repetitive sentence structure
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  if (sentences.length >= 3) {
-    const lengths = sentences.map(s => s.trim().length);
-    const avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
-    const variance = lengths.reduce((sum, len) => sum + Math.abs(len - avgLength), 0) / lengths.length;
-
-    if (variance < 15 && avgLength > 50) {
-      score += 10;
-      flags.push('Uniform sentence structure');
-    }
-  }
-
-  // Check for excessive use of em dashes and semicolons (common in AI)
-  const emDashCount = (text.match(/—/g) || []).length;
-  const semicolonCount = (text.match(/;/g) || []).length;
-
-  if (emDashCount >= 3 || semicolonCount >= 3) {
-    score += 8;
-    flags.push('Excessive punctuation patterns');
-  }
-
-  // Check for hedging language
-  const hedgingPhrases = [
-    'it\'s important to note',
-    'it\'s worth mentioning',
-    'i should mention',
-    'i would suggest',
-    'it might be helpful'
-  ];
-
-  let hedgingCount = 0;
-  hedgingPhrases.forEach(phrase => {
-    if (lowerText.includes(phrase)) {
-      hedgingCount++;
-    }
-  });
-
-  if (hedgingCount >= 2) {
-    score += 12;
-    flags.push('Excessive hedging language');
-  }
-
-  // Cap score at 100
-  score = Math.min(score, 100);
-
-  return {
-    score,
-    flags,
-    isLikelyAI: score >= 50,
-    isDefinitelyAI: score >= 80,
-    analysis: score >= 80 ? 'High confidence AI-generated' :
-              score >= 50 ? 'Possibly AI-generated' :
-              score >= 25 ? 'Some AI-like patterns' :
-              'Likely human-written'
-  };
+export async function detectAIContent(text, options = {}) {
+  return analyzeText(text, options);
 }
 
 /**
  * Analyze message history for AI patterns
+ * Messages that were already screened (numeric aiScore) are not re-scored
  */
-export function analyzeMessagePattern(messages) {
+export async function analyzeMessagePattern(messages) {
   if (!messages || messages.length < 3) {
     return { score: 0, analysis: 'Insufficient messages to analyze' };
   }
@@ -481,11 +534,13 @@ export function analyzeMessagePattern(messages) {
   let totalScore = 0;
   const analyses = [];
 
-  messages.forEach(msg => {
-    const analysis = detectAIContent(msg.content || msg);
+  for (const msg of messages) {
+    const analysis = typeof msg.aiScore === 'number'
+      ? { score: msg.aiScore, flags: msg.aiAnalysis?.flags || [] }
+      : await detectAIContent(msg.content || msg);
     totalScore += analysis.score;
     analyses.push(analysis);
-  });
+  }
 
   const avgScore = totalScore / messages.length;
 
@@ -509,55 +564,103 @@ export function analyzeMessagePattern(messages) {
 /**
  * Check if user is verified
  */
-export function isVerified(userId) {
-  const userData = verifiedUsers.get(userId);
-  return userData?.verified || false;
+export async function isVerified(userId) {
+  const user = await prisma.datingUser.findUnique({
+    where: { id: userId },
+    select: { humanVerificationStatus: true, humanVerificationExpiresAt: true }
+  });
+  return !humanVerificationProblem(user);
 }
 
 /**
  * Get user's verification status
  */
-export function getVerificationStatus(userId) {
-  const userData = verifiedUsers.get(userId);
+export async function getVerificationStatus(userId) {
+  const [user, session] = await Promise.all([
+    prisma.datingUser.findUnique({
+      where: { id: userId },
+      select: {
+        humanVerificationStatus: true,
+        humanVerifiedAt: true,
+        humanVerificationExpiresAt: true,
+        humanVerificationScore: true
+      }
+    }),
+    prisma.humanVerificationSession.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      include: { challenges: { where: { status: 'PASSED' }, select: { type: true } } }
+    })
+  ]);
+
+  const problem = humanVerificationProblem(user);
+  if (!problem) {
+    return {
+      verified: true,
+      score: user.humanVerificationScore,
+      threshold: VERIFICATION_THRESHOLD,
+      verifiedAt: user.humanVerifiedAt,
+      validUntil: user.humanVerificationExpiresAt,
+      completedChallenges: session?.status === 'VERIFIED' ? session.challenges.length : undefined,
+      message: 'Human verified'
+    };
+  }
+
+  if (problem === 'expired') {
+    return {
+      verified: false,
+      reverificationDue: true,
+      score: 0,
+      threshold: VERIFICATION_THRESHOLD,
+      verifiedAt: user.humanVerifiedAt,
+      validUntil: user.humanVerificationExpiresAt,
+      message: 'Verification expired - please verify again'
+    };
+  }
 
-  if (!userData) {
+  const inProgress = session?.status === 'PENDING' && session.expiresAt > new Date();
+  if (!inProgress) {
     return {
       verified: false,
       score: 0,
       threshold: VERIFICATION_THRESHOLD,
-      message: 'Not started'
+      revoked: user?.humanVerificationStatus === 'REJECTED',
+      message: user?.humanVerificationStatus === 'REJECTED' ? 'Verification revoked' : 'Not started'
     };
   }
 
   return {
-    verified: userData.verified || false,
-    score: userData.score,
-    threshold: VERIFICATION_THRESHOLD,
-    verifiedAt: userData.verifiedAt,
-    completedChallenges: userData.challenges?.length || 0,
-    message: userData.verified ? 'Human verified' : `${VERIFICATION_THRESHOLD - userData.score} points remaining`
+    verified: false,
+    sessionId: session.id,
+    score: session.score,
+    threshold: session.threshold,
+    sessionExpiresAt: session.expiresAt,
+    completedChallenges: session.challenges.length,
+    message: `${session.threshold - session.score} points remaining`
   };
 }
 
 /**
  * Revoke verification (for reported accounts)
  */
-export function revokeVerification(userId, reason) {
-  const userData = verifiedUsers.get(userId);
+export async function revokeVerification(userId, reason) {
+  const { count } = await prisma.datingUser.updateMany({
+    where: { id: userId },
+    data: { humanVerificationStatus: 'REJECTED', humanVerificationExpiresAt: null }
+  });
 
-  if (userData) {
-    userData.verified = false;
-    userData.revokedAt = Date.now();
-    userData.revokeReason = reason;
-    userData.score = 0;
-    userData.challenges = [];
+  if (count === 0) {
+    return { success: false, error: 'User not found' };
+  }
 
-    console.log(`⚠️ Verification revoked for ${userId}: ${reason}`);
+  await prisma.humanVerificationSession.updateMany({
+    where: { userId, status: { in: ['PENDING', 'VERIFIED'] } },
+    data: { status: 'REJECTED', revokedAt: new Date(), revokeReason: reason }
+  });
 
-    return { success: true, message: 'Verification revoked' };
-  }
+  console.log(`⚠️ Verification revoked for ${userId}: ${reason}`);
 
-  return { success: false, error: 'User not found' };
+  return { success: true, message: 'Verification revoked' };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -615,6 +718,10 @@ export default {
   generateVideoChallenge,
   generateSelfieChallenge,
 
+  // Graders
+  registerChallengeGrader,
+  gradableChallengeTypes,
+
   // Verification flow
   startVerification,
   submitChallenge,
@@ -0,0 +1,485 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MESSAGE SCREENING - Automatic AI-message detection for dating messages
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - Messages are delivered immediately and scored afterwards with
+ *   detectAIContent (stylometry against the sender's earlier messages);
+ *   anything the request path missed is picked up by the screening scheduler
+ * - A flagged message gives the sender an AiScreeningNotice they can appeal
+ * - Repeat offenders escalate within AI_SCREENING_WINDOW_DAYS:
+ *     SOFT_FLAGGED  after AI_SCREENING_SOFT_FLAG_AFTER flagged messages (or a
+ *                   bot-like analyzeMessagePattern over recent messages)
+ *     RATE_LIMITED  after AI_SCREENING_RATE_LIMIT_AFTER flagged messages, for
+ *                   AI_SCREENING_RATE_LIMIT_HOURS, capped at
+ *                   AI_SCREENING_MESSAGES_PER_HOUR
+ * - Overturning an appeal unflags the message and recomputes the level
+ * - Flags and appeal decisions are written to ComplianceAudit
+ *   (auditType "moderation")
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+import { detectAIContent, analyzeMessagePattern } from './human-verification.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SCREENING_SCHEDULER_INTERVAL_MS = 60 * 1000;
+const SWEEP_GRACE_MS = 2 * 60 * 1000; // leave in-flight request-path screening alone
+const SWEEP_BATCH_SIZE = 50;
+const PATTERN_SAMPLE_SIZE = 10;
+const CONTEXT_MESSAGES = 10;
+const MAX_APPEAL_LENGTH = 2000;
+
+export const SCREENING_POLICY = Object.freeze({
+  windowDays: parseInt(process.env.AI_SCREENING_WINDOW_DAYS) || 7,
+  softFlagAfter: parseInt(process.env.AI_SCREENING_SOFT_FLAG_AFTER) || 2,
+  rateLimitAfter: parseInt(process.env.AI_SCREENING_RATE_LIMIT_AFTER) || 4,
+  rateLimitHours: parseInt(process.env.AI_SCREENING_RATE_LIMIT_HOURS) || 24,
+  messagesPerHour: parseInt(process.env.AI_SCREENING_MESSAGES_PER_HOUR) || 5
+});
+
+let screeningHandle = null;
+
+function notFound() {
+  return Object.assign(new Error('Notice not found'), { status: 404 });
+}
+
+async function audit(action, notice, details = {}) {
+  try {
+    await prisma.complianceAudit.create({
+      data: {
+        auditType: 'moderation',
+        action,
+        userId: notice.userId,
+        details: {
+          noticeId: notice.id,
+          messageId: notice.messageId,
+          level: notice.level,
+          ...details
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record screening audit:', error.message);
+  }
+}
+
+// Only the parts of the pipeline result worth keeping on the message
+function summarize(analysis) {
+  return {
+    flags: analysis.flags,
+    configVersion: analysis.configVersion,
+    features: Object.fromEntries(Object.entries(analysis.features).map(([id, feature]) => [
+      id,
+      feature.available
+        ? { value: feature.value, score: feature.score }
+        : { available: false, reason: feature.reason }
+    ]))
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ESCALATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function countOffenses(userId, now) {
+  return prisma.datingMessage.count({
+    where: {
+      senderId: userId,
+      flagged: true,
+      createdAt: { gte: new Date(now.getTime() - SCREENING_POLICY.windowDays * DAY_MS) }
+    }
+  });
+}
+
+async function looksLikeBot(userId) {
+  const recent = await prisma.datingMessage.findMany({
+    where: { senderId: userId, screenedAt: { not: null } },
+    orderBy: { createdAt: 'desc' },
+    take: PATTERN_SAMPLE_SIZE,
+    select: { content: true, aiScore: true, aiAnalysis: true }
+  });
+  const pattern = await analyzeMessagePattern(recent);
+  return pattern.isLikelyBot === true;
+}
+
+/**
+ * Recompute the sender's level from flagged messages in the window.
+ * Only a new flag (escalate) starts a rate limit; a running one is kept until
+ * it expires unless appeals bring the count back down.
+ */
+async function updateLevel(userId, { escalate = false } = {}) {
+  const now = new Date();
+  const user = await prisma.datingUser.findUnique({
+    where: { id: userId },
+    select: { aiScreeningLevel: true, aiRateLimitedUntil: true }
+  });
+  if (!user) return null;
+
+  const offenses = await countOffenses(userId, now);
+  const rateLimitRunning = user.aiRateLimitedUntil > now;
+
+  let level = 'CLEAR';
+  let rateLimitedUntil = rateLimitRunning ? user.aiRateLimitedUntil : null;
+
+  if (offenses >= SCREENING_POLICY.rateLimitAfter && (escalate || rateLimitRunning)) {
+    level = 'RATE_LIMITED';
+    if (escalate) {
+      rateLimitedUntil = new Date(now.getTime() + SCREENING_POLICY.rateLimitHours * HOUR_MS);
+    }
+  } else if (offenses >= SCREENING_POLICY.softFlagAfter || (offenses > 0 && await looksLikeBot(userId))) {
+    level = 'SOFT_FLAGGED';
+    rateLimitedUntil = null;
+  } else {
+    rateLimitedUntil = null;
+  }
+
+  if (level !== user.aiScreeningLevel || rateLimitedUntil?.getTime() !== user.aiRateLimitedUntil?.getTime()) {
+    await prisma.datingUser.update({
+      where: { id: userId },
+      data: { aiScreeningLevel: level, aiRateLimitedUntil: rateLimitedUntil }
+    });
+  }
+
+  return { level, rateLimitedUntil, offenses };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCREENING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Reject a send while the sender is rate limited and over the hourly cap.
+ * Returns the sender's screening level.
+ */
+export async function assertCanSend(userId) {
+  const now = new Date();
+  const user = await prisma.datingUser.findUnique({
+    where: { id: userId },
+    select: { aiScreeningLevel: true, aiRateLimitedUntil: true }
+  });
+  if (user?.aiScreeningLevel !== 'RATE_LIMITED' || !(user.aiRateLimitedUntil > now)) {
+    return user?.aiScreeningLevel || 'CLEAR';
+  }
+
+  const sentLastHour = await prisma.datingMessage.count({
+    where: { senderId: userId, createdAt: { gte: new Date(now.getTime() - HOUR_MS) } }
+  });
+  if (sentLastHour >= SCREENING_POLICY.messagesPerHour) {
+    throw Object.assign(
+      new Error(`Messaging is limited to ${SCREENING_POLICY.messagesPerHour} per hour while recent messages are under review`),
+      {
+        status: 429,
+        screening: {
+          level: user.aiScreeningLevel,
+          rateLimitedUntil: user.aiRateLimitedUntil,
+          appeal: '/api/dating/screening'
+        }
+      }
+    );
+  }
+  return user.aiScreeningLevel;
+}
+
+/**
+ * Score a stored message, flag it and escalate the sender if needed.
+ * Returns null when the message was already screened.
+ */
+export async function screenMessage(message) {
+  const analysis = await detectAIContent(message.content, {
+    userId: message.senderId,
+    before: message.createdAt
+  });
+
+  // Conditional update: request path and scheduler never both flag a message
+  const { count } = await prisma.datingMessage.updateMany({
+    where: { id: message.id, screenedAt: null },
+    data: {
+      screenedAt: new Date(),
+      aiScore: analysis.score,
+      flagged: analysis.isLikelyAI === true,
+      aiAnalysis: summarize(analysis)
+    }
+  });
+  if (count === 0) return null;
+
+  if (!analysis.isLikelyAI) {
+    return { flagged: false, score: analysis.score };
+  }
+
+  const { level } = await updateLevel(message.senderId, { escalate: true });
+  const notice = await prisma.aiScreeningNotice.create({
+    data: {
+      userId: message.senderId,
+      messageId: message.id,
+      level,
+      score: analysis.score,
+      flags: analysis.flags
+    }
+  });
+  await prisma.datingUser.update({
+    where: { id: message.senderId },
+    data: { warningCount: { increment: 1 } }
+  });
+
+  console.log(`⚠️ AI-detected message flagged from ${message.senderId} (score ${analysis.score}, ${level})`);
+  await audit('ai_message_flagged', notice, { score: analysis.score, flags: analysis.flags });
+
+  return { flagged: true, score: analysis.score, level, noticeId: notice.id };
+}
+
+/**
+ * Screen messages the request path did not finish (crash, deploy, Ollama timeout)
+ */
+export async function screenPendingMessages() {
+  const pending = await prisma.datingMessage.findMany({
+    where: { screenedAt: null, createdAt: { lt: new Date(Date.now() - SWEEP_GRACE_MS) } },
+    orderBy: { createdAt: 'asc' },
+    take: SWEEP_BATCH_SIZE
+  });
+
+  let flagged = 0;
+  for (const message of pending) {
+    const result = await screenMessage(message);
+    if (result?.flagged) flagged++;
+  }
+  return { screened: pending.length, flagged };
+}
+
+/**
+ * Periodically screen unscreened messages. Safe to run on every instance.
+ */
+export function startMessageScreeningScheduler(intervalMs = SCREENING_SCHEDULER_INTERVAL_MS) {
+  if (screeningHandle) return screeningHandle;
+
+  const tick = () => screenPendingMessages().catch(error =>
+    console.error('Message screening scheduler error:', error.message)
+  );
+
+  tick();
+  screeningHandle = setInterval(tick, intervalMs);
+  screeningHandle.unref();
+  return screeningHandle;
+}
+
+export function stopMessageScreeningScheduler() {
+  clearInterval(screeningHandle);
+  screeningHandle = null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENDER NOTICES & APPEALS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sender's current level, limits and recent notices
+ */
+export async function getScreeningStatus(userId, { limit = 20 } = {}) {
+  const current = await updateLevel(userId);
+  if (!current) {
+    throw Object.assign(new Error('User not found'), { status: 404 });
+  }
+
+  const notices = await prisma.aiScreeningNotice.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(Number(limit) || 20, 100),
+    include: { message: { select: { matchId: true, content: true, createdAt: true, flagged: true } } }
+  });
+
+  return {
+    level: current.level,
+    rateLimitedUntil: current.rateLimitedUntil,
+    flaggedMessages: current.offenses,
+    policy: SCREENING_POLICY,
+    unread: notices.filter(notice => !notice.readAt).length,
+    notices
+  };
+}
+
+export async function markNoticeRead(noticeId, userId) {
+  const { count } = await prisma.aiScreeningNotice.updateMany({
+    where: { id: noticeId, userId, readAt: null },
+    data: { readAt: new Date() }
+  });
+  if (count === 0) {
+    const notice = await prisma.aiScreeningNotice.findFirst({ where: { id: noticeId, userId } });
+    if (!notice) throw notFound();
+  }
+  return { success: true };
+}
+
+/**
+ * Sender disputes a flag (once per notice)
+ */
+export async function appealNotice(noticeId, userId, statement) {
+  const text = typeof statement === 'string' ? statement.trim() : '';
+  if (!text) {
+    throw Object.assign(new Error('statement required'), { status: 400 });
+  }
+  if (text.length > MAX_APPEAL_LENGTH) {
+    throw Object.assign(new Error(`statement is limited to ${MAX_APPEAL_LENGTH} characters`), { status: 400 });
+  }
+
+  const notice = await prisma.aiScreeningNotice.findFirst({ where: { id: noticeId, userId } });
+  if (!notice) throw notFound();
+
+  // Conditional update: one appeal per notice
+  const { count } = await prisma.aiScreeningNotice.updateMany({
+    where: { id: noticeId, appealStatus: null },
+    data: { appealStatus: 'PENDING', appealStatement: text, appealedAt: new Date(), readAt: notice.readAt || new Date() }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error('This notice has already been appealed'), { status: 409 });
+  }
+
+  await audit('ai_flag_appealed', notice);
+  return prisma.aiScreeningNotice.findUnique({ where: { id: noticeId } });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Flagged messages, newest first
+ * Filters: appealStatus ("PENDING", "none", ...), level, userId, limit
+ */
+export async function listFlaggedMessages({ appealStatus, level, userId, limit = 50 } = {}) {
+  return prisma.aiScreeningNotice.findMany({
+    where: {
+      ...(appealStatus === 'none' ? { appealStatus: null } : appealStatus && { appealStatus }),
+      ...(level && { level }),
+      ...(userId && { userId })
+    },
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(Number(limit) || 50, 200),
+    include: {
+      message: { select: { matchId: true, content: true, createdAt: true, flagged: true, aiScore: true } },
+      user: { select: { id: true, displayName: true, aiScreeningLevel: true, aiRateLimitedUntil: true, warningCount: true } }
+    }
+  });
+}
+
+/**
+ * A flagged message in its conversation: the messages around it from both
+ * participants, the sender's screening history and the audit trail
+ */
+export async function getFlaggedConversation(noticeId, { context = CONTEXT_MESSAGES } = {}) {
+  const notice = await prisma.aiScreeningNotice.findUnique({
+    where: { id: noticeId },
+    include: { message: true }
+  });
+  if (!notice) throw notFound();
+
+  const { message } = notice;
+  const take = Math.min(Number(context) || CONTEXT_MESSAGES, 50);
+  const select = { id: true, senderId: true, content: true, createdAt: true, aiScore: true, flagged: true };
+
+  const [before, after, participants, senderNotices, timeline] = await Promise.all([
+    prisma.datingMessage.findMany({
+      where: { matchId: message.matchId, createdAt: { lt: message.createdAt } },
+      orderBy: { createdAt: 'desc' },
+      take,
+      select
+    }),
+    prisma.datingMessage.findMany({
+      where: { matchId: message.matchId, createdAt: { gt: message.createdAt } },
+      orderBy: { createdAt: 'asc' },
+      take,
+      select
+    }),
+    prisma.datingUser.findMany({
+      where: { id: { in: [message.senderId, message.receiverId] } },
+      select: {
+        id: true,
+        displayName: true,
+        status: true,
+        humanVerificationStatus: true,
+        aiScreeningLevel: true,
+        aiRateLimitedUntil: true,
+        warningCount: true
+      }
+    }),
+    prisma.aiScreeningNotice.findMany({
+      where: { userId: notice.userId },
+      orderBy: { createdAt: 'desc' },
+      take: 20,
+      select: { id: true, createdAt: true, level: true, score: true, appealStatus: true }
+    }),
+    prisma.complianceAudit.findMany({
+      where: { auditType: 'moderation', details: { path: ['noticeId'], equals: notice.id } },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    notice,
+    conversation: {
+      matchId: message.matchId,
+      messages: [...before.reverse(), { ...message, focus: true }, ...after].map(m => ({
+        id: m.id,
+        senderId: m.senderId,
+        content: m.content,
+        createdAt: m.createdAt,
+        aiScore: m.aiScore,
+        flagged: m.flagged,
+        ...(m.focus && { focus: true })
+      }))
+    },
+    participants,
+    senderNotices,
+    timeline
+  };
+}
+
+/**
+ * Moderator decision on an appeal. Overturning unflags the message and
+ * lowers the sender's level if the remaining flags allow it.
+ */
+export async function decideAppeal(noticeId, decision, { actor, notes } = {}) {
+  const status = { uphold: 'UPHELD', overturn: 'OVERTURNED' }[decision];
+  if (!status) {
+    throw Object.assign(new Error('decision must be one of: uphold, overturn'), { status: 400 });
+  }
+
+  const notice = await prisma.aiScreeningNotice.findUnique({ where: { id: noticeId } });
+  if (!notice) throw notFound();
+
+  // Conditional update: concurrent reviewers cannot both decide
+  const { count } = await prisma.aiScreeningNotice.updateMany({
+    where: { id: noticeId, appealStatus: 'PENDING' },
+    data: { appealStatus: status, reviewedBy: actor, reviewedAt: new Date(), reviewNotes: notes || null }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error(notice.appealStatus ? `Appeal already ${notice.appealStatus.toLowerCase()}` : 'No appeal to decide'), { status: 409 });
+  }
+
+  let current = null;
+  if (status === 'OVERTURNED') {
+    await prisma.datingMessage.update({ where: { id: notice.messageId }, data: { flagged: false } });
+    current = await updateLevel(notice.userId);
+  }
+
+  await audit(`ai_appeal_${status.toLowerCase()}`, notice, { actor, notes: notes || null, levelAfter: current?.level });
+  return prisma.aiScreeningNotice.findUnique({
+    where: { id: noticeId },
+    include: { user: { select: { id: true, aiScreeningLevel: true, aiRateLimitedUntil: true } } }
+  });
+}
+
+export default {
+  SCREENING_POLICY,
+  assertCanSend,
+  screenMessage,
+  screenPendingMessages,
+  startMessageScreeningScheduler,
+  stopMessageScreeningScheduler,
+  getScreeningStatus,
+  markNoticeRead,
+  appealNotice,
+  listFlaggedMessages,
+  getFlaggedConversation,
+  decideAppeal
+};
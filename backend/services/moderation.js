@@ -0,0 +1,486 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * MODERATION SERVICE - MinorReport case management
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - A report opens a case and suspends the reported dating account pending
+ *   review (all sessions revoked)
+ * - Cases are assigned to a moderator (investigatedBy); the first moderator
+ *   action stops the response SLA clock
+ * - Status transitions follow CASE_TRANSITIONS; CONFIRMED bans the account and
+ *   revokes its age verification, DISMISSED lifts the suspension once no other
+ *   open case holds it
+ * - Cases past their response deadline are escalated by the SLA scheduler
+ * - Every action is written to ComplianceAudit (auditType "moderation")
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+import { logoutAllSessions } from './auth.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const SLA_SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+
+// Hours from report to resolution, by priority (response is always 24h)
+export const RESOLUTION_SLA_HOURS = Object.freeze({
+  CRITICAL: 72,
+  HIGH: 168
+});
+
+export const OPEN_STATUSES = Object.freeze(['PENDING', 'INVESTIGATING', 'ESCALATED']);
+
+export const CASE_TRANSITIONS = Object.freeze({
+  PENDING: ['INVESTIGATING', 'ESCALATED', 'CONFIRMED', 'DISMISSED'],
+  INVESTIGATING: ['ESCALATED', 'CONFIRMED', 'DISMISSED'],
+  ESCALATED: ['INVESTIGATING', 'CONFIRMED', 'DISMISSED'],
+  CONFIRMED: [],
+  DISMISSED: []
+});
+
+const ATTACHMENT_KINDS = ['screenshot', 'message', 'profile', 'document', 'url'];
+
+function notFound() {
+  return Object.assign(new Error('Report not found'), { status: 404 });
+}
+
+async function audit(action, report, details = {}, { success = true, errorMessage = null } = {}) {
+  try {
+    await prisma.complianceAudit.create({
+      data: {
+        auditType: 'moderation',
+        action,
+        sessionId: report?.reporterSessionId || null,
+        userId: report?.suspendedUserId || null,
+        success,
+        errorMessage,
+        details: {
+          reportId: report?.id || null,
+          status: report?.status || null,
+          priority: report?.priority || null,
+          ...details
+        },
+        regulationApplied: 'COPPA'
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record moderation audit:', error.message);
+  }
+}
+
+/**
+ * SLA clocks for a case, relative to now
+ */
+export function slaStatus(report, now = new Date()) {
+  const open = OPEN_STATUSES.includes(report.status);
+  const responseMet = !!report.respondedAt;
+  const resolutionDeadline = report.resolutionDeadline;
+
+  return {
+    responseDeadline: report.responseDeadline,
+    respondedAt: report.respondedAt,
+    responseBreached: responseMet
+      ? report.respondedAt > report.responseDeadline
+      : open && now > report.responseDeadline,
+    responseDueInMinutes: open && !responseMet
+      ? Math.round((report.responseDeadline - now) / 60000)
+      : null,
+    resolutionDeadline,
+    resolvedAt: report.resolvedAt,
+    resolutionBreached: !!resolutionDeadline && (report.resolvedAt
+      ? report.resolvedAt > resolutionDeadline
+      : open && now > resolutionDeadline),
+    resolutionDueInMinutes: open && resolutionDeadline
+      ? Math.round((resolutionDeadline - now) / 60000)
+      : null
+  };
+}
+
+function toCase(report) {
+  return { ...report, sla: slaStatus(report) };
+}
+
+async function getReport(id) {
+  const report = await prisma.minorReport.findUnique({ where: { id } });
+  if (!report) throw notFound();
+  return report;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SUSPENSION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Open a case for a new report: set the resolution deadline and suspend the
+ * reported account pending review. Called by age-verification.reportMinor.
+ */
+export async function openCase(report, verification) {
+  const now = new Date();
+  const data = {
+    resolutionDeadline: new Date(report.createdAt.getTime()
+      + (RESOLUTION_SLA_HOURS[report.priority] || RESOLUTION_SLA_HOURS.HIGH) * HOUR_MS)
+  };
+
+  const user = verification?.userId
+    ? await prisma.datingUser.findUnique({
+      where: { id: verification.userId },
+      select: { id: true, status: true }
+    })
+    : null;
+
+  let suspendedNow = false;
+  if (user && !['BANNED', 'DELETED'].includes(user.status)) {
+    let previousUserStatus = user.status;
+    if (user.status === 'SUSPENDED') {
+      // Already held by another open case - carry its pre-suspension status
+      const holding = await prisma.minorReport.findFirst({
+        where: { suspendedUserId: user.id, status: { in: OPEN_STATUSES }, previousUserStatus: { not: null } },
+        select: { previousUserStatus: true }
+      });
+      previousUserStatus = holding?.previousUserStatus || null;
+    } else {
+      await prisma.datingUser.update({ where: { id: user.id }, data: { status: 'SUSPENDED' } });
+      await logoutAllSessions(user.id);
+      suspendedNow = true;
+    }
+
+    Object.assign(data, {
+      accountSuspended: true,
+      suspendedAt: now,
+      suspendedUserId: user.id,
+      previousUserStatus
+    });
+  }
+
+  const opened = await prisma.minorReport.update({ where: { id: report.id }, data });
+
+  await audit('case_opened', opened, { reason: opened.reason });
+  if (opened.accountSuspended) {
+    await audit('account_suspended', opened, { alreadySuspended: !suspendedNow });
+  }
+  return opened;
+}
+
+/**
+ * Restore the reported account once no other open case holds it
+ */
+async function releaseSuspension(report) {
+  if (!report.suspendedUserId) return false;
+
+  const otherOpen = await prisma.minorReport.count({
+    where: { id: { not: report.id }, suspendedUserId: report.suspendedUserId, status: { in: OPEN_STATUSES } }
+  });
+  if (otherOpen > 0) return false;
+
+  const { count } = await prisma.datingUser.updateMany({
+    where: { id: report.suspendedUserId, status: 'SUSPENDED' },
+    data: { status: report.previousUserStatus || 'ACTIVE' }
+  });
+  return count > 0;
+}
+
+/**
+ * A confirmed minor: ban the account and revoke every age verification it holds
+ */
+async function banConfirmedMinor(report) {
+  const now = new Date();
+  await prisma.ageVerification.update({
+    where: { id: report.reportedUserId },
+    data: { verificationLevel: 'NONE', isVerified: false, ageConfirmed: false, failureReason: 'confirmed_minor', lastAttemptAt: now }
+  });
+
+  if (report.suspendedUserId) {
+    await prisma.$transaction([
+      prisma.datingUser.update({
+        where: { id: report.suspendedUserId },
+        data: { status: 'BANNED', ageVerified: false }
+      }),
+      prisma.ageVerification.updateMany({
+        where: { userId: report.suspendedUserId },
+        data: { verificationLevel: 'NONE', isVerified: false, ageConfirmed: false, failureReason: 'confirmed_minor' }
+      })
+    ]);
+    await logoutAllSessions(report.suspendedUserId);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUEUE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Moderation queue, most urgent first. Defaults to open cases.
+ */
+export async function listQueue({ status, assignedTo, priority, overdue, limit = 50 } = {}) {
+  const statuses = status ? [].concat(status) : OPEN_STATUSES;
+  const invalid = statuses.filter(s => !CASE_TRANSITIONS[s]);
+  if (invalid.length) {
+    throw Object.assign(new Error(`Unknown status: ${invalid.join(', ')}`), { status: 400 });
+  }
+
+  const now = new Date();
+  const reports = await prisma.minorReport.findMany({
+    where: {
+      status: { in: statuses },
+      ...(assignedTo === 'unassigned' ? { investigatedBy: null } : assignedTo && { investigatedBy: assignedTo }),
+      ...(priority && { priority }),
+      ...(overdue && {
+        OR: [
+          { respondedAt: null, responseDeadline: { lt: now } },
+          { resolvedAt: null, resolutionDeadline: { lt: now } }
+        ]
+      })
+    },
+    include: { _count: { select: { attachments: true } } },
+    orderBy: [{ responseDeadline: 'asc' }, { createdAt: 'asc' }],
+    take: Math.min(parseInt(limit) || 50, 200)
+  });
+
+  return reports.map(toCase);
+}
+
+export async function getQueueStats() {
+  const now = new Date();
+  const startOfDay = new Date(now);
+  startOfDay.setUTCHours(0, 0, 0, 0);
+
+  const [byStatus, overdue, critical, resolvedToday] = await Promise.all([
+    prisma.minorReport.groupBy({ by: ['status'], _count: { _all: true } }),
+    prisma.minorReport.count({
+      where: {
+        status: { in: OPEN_STATUSES },
+        OR: [
+          { respondedAt: null, responseDeadline: { lt: now } },
+          { resolutionDeadline: { lt: now } }
+        ]
+      }
+    }),
+    prisma.minorReport.count({ where: { status: { in: OPEN_STATUSES }, priority: 'CRITICAL' } }),
+    prisma.minorReport.findMany({
+      where: { resolvedAt: { gte: startOfDay } },
+      select: { createdAt: true, resolvedAt: true }
+    })
+  ]);
+
+  const counts = Object.fromEntries(byStatus.map(row => [row.status, row._count._all]));
+  const avgResolutionHours = resolvedToday.length
+    ? resolvedToday.reduce((sum, r) => sum + (r.resolvedAt - r.createdAt), 0) / resolvedToday.length / HOUR_MS
+    : null;
+
+  return {
+    byStatus: counts,
+    open: OPEN_STATUSES.reduce((sum, s) => sum + (counts[s] || 0), 0),
+    critical,
+    overdue,
+    resolvedToday: resolvedToday.length,
+    avgResolutionHours: avgResolutionHours === null ? null : Math.round(avgResolutionHours * 10) / 10
+  };
+}
+
+/**
+ * Full case: report, reported verification, attachments and audit timeline
+ */
+export async function getCase(id) {
+  const report = await prisma.minorReport.findUnique({
+    where: { id },
+    include: {
+      attachments: { orderBy: { createdAt: 'asc' } },
+      reportedVerification: {
+        select: { id: true, userId: true, verificationLevel: true, provider: true, isVerified: true, expiresAt: true }
+      }
+    }
+  });
+  if (!report) throw notFound();
+
+  const timeline = await prisma.complianceAudit.findMany({
+    where: { auditType: 'moderation', details: { path: ['reportId'], equals: id } },
+    select: { createdAt: true, action: true, success: true, errorMessage: true, details: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return { ...toCase(report), timeline };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CASE ACTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Assign (or reassign) a case. A pending case moves to INVESTIGATING.
+ */
+export async function assignCase(id, assignee, { actor }) {
+  if (!assignee) {
+    throw Object.assign(new Error('assignee is required'), { status: 400 });
+  }
+
+  const report = await getReport(id);
+  if (!OPEN_STATUSES.includes(report.status)) {
+    throw Object.assign(new Error(`Cannot assign a ${report.status} case`), { status: 409 });
+  }
+
+  const now = new Date();
+  const updated = await prisma.minorReport.update({
+    where: { id },
+    data: {
+      investigatedBy: assignee,
+      investigatedAt: report.investigatedAt || now,
+      respondedAt: report.respondedAt || now,
+      ...(report.status === 'PENDING' && { status: 'INVESTIGATING' })
+    }
+  });
+
+  await audit('case_assigned', updated, { actor, assignee, previousAssignee: report.investigatedBy });
+  return toCase(updated);
+}
+
+/**
+ * Move a case to a new status
+ * @param {object} options - { actor, notes, resolution, authoritiesNotified }
+ */
+export async function transitionCase(id, status, { actor, notes, resolution, authoritiesNotified } = {}) {
+  if (!CASE_TRANSITIONS[status]) {
+    throw Object.assign(new Error(`Unknown status: ${status}`), { status: 400 });
+  }
+
+  const report = await getReport(id);
+  if (!CASE_TRANSITIONS[report.status].includes(status)) {
+    throw Object.assign(new Error(`Cannot move a ${report.status} case to ${status}`), { status: 409 });
+  }
+
+  const resolving = !OPEN_STATUSES.includes(status);
+  if (resolving && !resolution) {
+    throw Object.assign(new Error('resolution is required to close a case'), { status: 400 });
+  }
+
+  const now = new Date();
+  const updated = await prisma.minorReport.update({
+    where: { id },
+    data: {
+      status,
+      respondedAt: report.respondedAt || now,
+      ...(status === 'INVESTIGATING' && !report.investigatedAt && { investigatedAt: now }),
+      ...(notes && {
+        investigationNotes: [report.investigationNotes, `[${now.toISOString()}] ${actor}: ${notes}`]
+          .filter(Boolean).join('\n')
+      }),
+      ...(resolving && { resolution, resolvedAt: now }),
+      ...(authoritiesNotified && { authoritiesNotified: true })
+    }
+  });
+
+  await audit('status_changed', updated, { actor, from: report.status, to: status, authoritiesNotified: !!authoritiesNotified });
+
+  if (status === 'CONFIRMED') {
+    await banConfirmedMinor(updated);
+    await audit('account_banned', updated, { actor });
+  } else if (status === 'DISMISSED') {
+    const restored = await releaseSuspension(updated);
+    if (restored) {
+      await audit('suspension_lifted', updated, { actor, restoredStatus: updated.previousUserStatus || 'ACTIVE' });
+    }
+  }
+
+  return toCase(updated);
+}
+
+/**
+ * Attach evidence by reference (object storage URL / key)
+ */
+export async function addAttachment(id, { kind, url, mimeType, sha256, description }, { actor }) {
+  if (!ATTACHMENT_KINDS.includes(kind)) {
+    throw Object.assign(new Error(`kind must be one of: ${ATTACHMENT_KINDS.join(', ')}`), { status: 400 });
+  }
+  if (!url) {
+    throw Object.assign(new Error('url is required'), { status: 400 });
+  }
+  if (sha256 && !/^[a-f0-9]{64}$/i.test(sha256)) {
+    throw Object.assign(new Error('sha256 must be a hex SHA-256 digest'), { status: 400 });
+  }
+
+  const report = await getReport(id);
+  const attachment = await prisma.minorReportAttachment.create({
+    data: {
+      reportId: id,
+      kind,
+      url,
+      mimeType: mimeType || null,
+      sha256: sha256 ? sha256.toLowerCase() : null,
+      description: description || null,
+      addedBy: actor
+    }
+  });
+
+  await audit('evidence_attached', report, { actor, attachmentId: attachment.id, kind, sha256: attachment.sha256 });
+  return attachment;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SLA ENFORCEMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Escalate pending cases nobody responded to in time
+ */
+export async function escalateOverdueCases() {
+  const overdue = await prisma.minorReport.findMany({
+    where: { status: 'PENDING', respondedAt: null, responseDeadline: { lt: new Date() } },
+    select: { id: true }
+  });
+
+  const escalated = [];
+  for (const { id } of overdue) {
+    // Conditional update: a moderator may have picked the case up meanwhile
+    const { count } = await prisma.minorReport.updateMany({
+      where: { id, status: 'PENDING', respondedAt: null },
+      data: { status: 'ESCALATED' }
+    });
+    if (count === 0) continue;
+
+    const report = await getReport(id);
+    await audit('sla_breached', report, { actor: 'system:sla', from: 'PENDING', to: 'ESCALATED' }, {
+      success: false,
+      errorMessage: 'Response deadline passed without moderator action'
+    });
+    escalated.push(id);
+  }
+  return escalated;
+}
+
+let slaHandle = null;
+
+/**
+ * Periodically escalate overdue cases. Safe to run on every instance.
+ */
+export function startModerationSlaScheduler(intervalMs = SLA_SCHEDULER_INTERVAL_MS) {
+  if (slaHandle) return slaHandle;
+
+  const tick = () => escalateOverdueCases().catch(error =>
+    console.error('Moderation SLA scheduler error:', error.message)
+  );
+
+  tick();
+  slaHandle = setInterval(tick, intervalMs);
+  slaHandle.unref();
+  return slaHandle;
+}
+
+export function stopModerationSlaScheduler() {
+  clearInterval(slaHandle);
+  slaHandle = null;
+}
+
+export default {
+  RESOLUTION_SLA_HOURS,
+  OPEN_STATUSES,
+  CASE_TRANSITIONS,
+  slaStatus,
+  openCase,
+  listQueue,
+  getQueueStats,
+  getCase,
+  assignCase,
+  transitionCase,
+  addAttachment,
+  escalateOverdueCases,
+  startModerationSlaScheduler,
+  stopModerationSlaScheduler
+};
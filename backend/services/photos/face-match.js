@@ -0,0 +1,82 @@
+/**
+ * Face checks for the live selfie challenge, backed by AWS Rekognition.
+ *
+ * - checkPose: exactly one face, turned the way the challenge asked
+ * - compareFaces: is the selfie the same person as a profile photo
+ *
+ * Images are processed in memory; the selfie is never stored.
+ */
+
+const PROVIDER = 'aws-rekognition';
+const FACE_MATCH_THRESHOLD = 90;
+const POSE_DEGREES = 15;
+
+// Head pose the challenge asks for. Rekognition reports yaw and pitch from
+// the camera's point of view, so "left" is the user's left in the photo.
+const POSES = {
+  left: pose => pose.Yaw <= -POSE_DEGREES,
+  right: pose => pose.Yaw >= POSE_DEGREES,
+  up: pose => pose.Pitch >= POSE_DEGREES,
+  down: pose => pose.Pitch <= -POSE_DEGREES
+};
+
+let client = null;
+
+async function getClient() {
+  if (!client) {
+    const rekognition = await import('@aws-sdk/client-rekognition');
+    client = {
+      rekognition,
+      api: new rekognition.RekognitionClient({ region: process.env.AWS_REGION || 'us-east-1' })
+    };
+  }
+  return client;
+}
+
+export default {
+  id: PROVIDER,
+
+  isConfigured() {
+    return !!(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY);
+  },
+
+  /**
+   * @returns {Promise<{ correct: boolean, confidence?: number, details: Object }>}
+   */
+  async checkPose(selfie, expectedPosition) {
+    const { rekognition, api } = await getClient();
+    const detection = await api.send(new rekognition.DetectFacesCommand({
+      Image: { Bytes: selfie },
+      Attributes: ['DEFAULT']
+    }));
+
+    const faces = detection.FaceDetails || [];
+    if (faces.length !== 1) {
+      return { correct: false, details: { reason: faces.length ? 'multiple_faces' : 'no_face_detected' } };
+    }
+
+    const [face] = faces;
+    const pose = { yaw: face.Pose?.Yaw, pitch: face.Pose?.Pitch };
+    const correct = !!face.Pose && !!POSES[expectedPosition]?.(face.Pose);
+    return {
+      correct,
+      confidence: face.Confidence / 100,
+      details: { pose, expectedPosition, ...(!correct && { reason: 'wrong_pose' }) }
+    };
+  },
+
+  /**
+   * @returns {Promise<{ matched: boolean, similarity: number|null }>}
+   */
+  async compareFaces(selfie, photo) {
+    const { rekognition, api } = await getClient();
+    const comparison = await api.send(new rekognition.CompareFacesCommand({
+      SourceImage: { Bytes: selfie },
+      TargetImage: { Bytes: photo },
+      SimilarityThreshold: FACE_MATCH_THRESHOLD
+    }));
+
+    const best = Math.max(...(comparison.FaceMatches || []).map(match => match.Similarity), -1);
+    return { matched: best >= FACE_MATCH_THRESHOLD, similarity: best >= 0 ? best : null };
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * Image validation and processing for profile photos.
+ *
+ * The file type is taken from the bytes, never the client's Content-Type or
+ * filename. Every upload is re-encoded as JPEG with sharp: EXIF orientation
+ * is applied first, then all metadata (EXIF, GPS, XMP, ICC) is dropped.
+ * sharp is only loaded when a photo is processed.
+ */
+
+// Formats accepted for upload, recognized by their leading bytes
+const SIGNATURES = [
+  { format: 'jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png', test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'webp', test: b => b.subarray(0, 4).toString('ascii') === 'RIFF' && b.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+export const ACCEPTED_MIME_TYPES = Object.freeze(['image/jpeg', 'image/png', 'image/webp']);
+
+const MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 320;
+const MIN_DIMENSION = 200;
+const MAX_INPUT_PIXELS = 50_000_000; // refuse decompression bombs
+const JPEG_QUALITY = 85;
+
+let sharpModule = null;
+
+async function getSharp() {
+  if (!sharpModule) {
+    sharpModule = (await import('sharp')).default;
+  }
+  return sharpModule;
+}
+
+/**
+ * Image format from the file's magic bytes, or null if unsupported
+ */
+export function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  return SIGNATURES.find(signature => signature.test(buffer))?.format || null;
+}
+
+/**
+ * Re-encode an upload and build its thumbnail
+ * @returns {Promise<{ image: Object, thumbnail: Object }>} each { buffer, width, height, mimeType }
+ * @throws {Error} with `status` 400 for unreadable or too small images
+ */
+export async function processPhoto(buffer) {
+  const sharp = await getSharp();
+
+  let image;
+  try {
+    image = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: JPEG_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw Object.assign(new Error(`Unreadable image: ${error.message}`), { status: 400 });
+  }
+
+  if (Math.min(image.info.width, image.info.height) < MIN_DIMENSION) {
+    throw Object.assign(new Error(`Photos must be at least ${MIN_DIMENSION}px on each side`), { status: 400 });
+  }
+
+  // sharp drops metadata unless asked to keep it; check rather than assume
+  const metadata = await sharp(image.data).metadata();
+  if (metadata.exif || metadata.xmp || metadata.iptc) {
+    throw new Error('Photo metadata was not stripped');
+  }
+
+  const thumbnail = await sharp(image.data)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: 'attention' })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    image: { buffer: image.data, width: image.info.width, height: image.info.height, mimeType: 'image/jpeg' },
+    thumbnail: { buffer: thumbnail.data, width: thumbnail.info.width, height: thumbnail.info.height, mimeType: 'image/jpeg' }
+  };
+}
+
+/**
+ * Drop an image's metadata but keep its format, size and transparency - for
+ * affiliate banners, which are published exactly as designed
+ * @returns {Promise<{ buffer, width, height, mimeType }>}
+ * @throws {Error} with `status` 400 for unreadable or unsupported images
+ */
+export async function stripImage(buffer) {
+  const format = sniffImageType(buffer);
+  if (!format) {
+    throw Object.assign(new Error('Images must be JPEG, PNG or WebP'), { status: 400 });
+  }
+
+  const sharp = await getSharp();
+  try {
+    const image = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .toFormat(format)
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: image.data, width: image.info.width, height: image.info.height, mimeType: `image/${format}` };
+  } catch (error) {
+    throw Object.assign(new Error(`Unreadable image: ${error.message}`), { status: 400 });
+  }
+}
+
+export default {
+  ACCEPTED_MIME_TYPES,
+  sniffImageType,
+  processPhoto,
+  stripImage
+};
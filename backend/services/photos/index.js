@@ -0,0 +1,379 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PROFILE PHOTOS - Upload, storage and moderation for dating profiles
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - Uploads are checked by content (JPEG, PNG, WebP), size and per-user
+ *   count, re-encoded without EXIF/GPS metadata and given a thumbnail
+ *   (image.js), then written through a storage driver (storage.js)
+ * - New photos are PENDING and only visible to their owner until a moderator
+ *   approves them; DatingUser.photoUrls / primaryPhoto list approved photos
+ *   in display order and are rebuilt whenever that set changes
+ * - When Rekognition is configured a LIVE_SELFIE challenge grader is
+ *   registered with services/human-verification.js: a passing selfie is
+ *   compared with the user's photos and the result recorded for moderators
+ * - Moderation decisions are written to ComplianceAudit (auditType "moderation")
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../../prisma/client.js';
+import { generateSecureUploadPath, sanitizeFilename } from '../../utils/encryption.js';
+import { registerChallengeGrader } from '../human-verification.js';
+import { getStorage } from './storage.js';
+import { sniffImageType, processPhoto } from './image.js';
+import faceMatcher from './face-match.js';
+
+export { registerStorageDriver } from './storage.js';
+export { ACCEPTED_MIME_TYPES } from './image.js';
+
+export const PHOTO_POLICY = Object.freeze({
+  maxBytes: parseInt(process.env.PHOTO_MAX_BYTES) || 10 * 1024 * 1024,
+  maxPerUser: parseInt(process.env.PHOTO_MAX_PER_USER) || 6
+});
+
+const MODERATION_DECISIONS = { approve: 'APPROVED', reject: 'REJECTED' };
+
+function notFound() {
+  return Object.assign(new Error('Photo not found'), { status: 404 });
+}
+
+async function audit(action, photo, details = {}) {
+  try {
+    await prisma.complianceAudit.create({
+      data: {
+        auditType: 'moderation',
+        action,
+        userId: photo.userId,
+        details: { photoId: photo.id, status: photo.status, ...details }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record photo audit:', error.message);
+  }
+}
+
+export function photoUrl(photo, size = 'full') {
+  return `/api/dating/photos/${photo.id}${size === 'thumb' ? '?size=thumb' : ''}`;
+}
+
+/**
+ * Shape a DatingPhoto row for its owner (storage details stay server-side)
+ */
+export function toPhoto(photo) {
+  return {
+    id: photo.id,
+    status: photo.status,
+    position: photo.position,
+    url: photoUrl(photo),
+    thumbnailUrl: photoUrl(photo, 'thumb'),
+    width: photo.width,
+    height: photo.height,
+    rejectionReason: photo.rejectionReason,
+    faceMatch: photo.faceMatch,
+    createdAt: photo.createdAt
+  };
+}
+
+/**
+ * Rebuild DatingUser.photoUrls / primaryPhoto from the approved photos
+ */
+async function syncProfilePhotos(userId) {
+  const approved = await prisma.datingPhoto.findMany({
+    where: { userId, status: 'APPROVED' },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+    select: { id: true }
+  });
+
+  const photoUrls = approved.map(photo => photoUrl(photo));
+  await prisma.datingUser.update({
+    where: { id: userId },
+    data: { photoUrls, primaryPhoto: photoUrls[0] || null }
+  });
+}
+
+async function removeFiles(photo) {
+  const storage = getStorage(photo.storageDriver);
+  await Promise.all([storage.delete(photo.storageKey), storage.delete(photo.thumbnailKey)]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OWNER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate, clean and store an uploaded photo
+ * @param {Object} file - { buffer, originalname, size } (multer memory storage)
+ * @returns {Promise<Object>} The new PENDING photo
+ * @throws {Error} with `status` 400/409/413/415
+ */
+export async function uploadPhoto(userId, file) {
+  if (!file?.buffer?.length) {
+    throw Object.assign(new Error('photo file required'), { status: 400 });
+  }
+  if (file.buffer.length > PHOTO_POLICY.maxBytes) {
+    throw Object.assign(new Error(`Photos must be at most ${PHOTO_POLICY.maxBytes} bytes`), { status: 413 });
+  }
+  if (!sniffImageType(file.buffer)) {
+    throw Object.assign(new Error('Photos must be JPEG, PNG or WebP images'), { status: 415 });
+  }
+
+  const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const existing = await prisma.datingPhoto.findMany({
+    where: { userId, status: { not: 'REJECTED' } },
+    select: { sha256: true, position: true }
+  });
+  if (existing.length >= PHOTO_POLICY.maxPerUser) {
+    throw Object.assign(new Error(`You can have at most ${PHOTO_POLICY.maxPerUser} photos`), { status: 409 });
+  }
+  if (existing.some(photo => photo.sha256 === sha256)) {
+    throw Object.assign(new Error('Photo already uploaded'), { status: 409 });
+  }
+
+  const { image, thumbnail } = await processPhoto(file.buffer);
+
+  const id = crypto.randomUUID();
+  const storage = getStorage();
+  const storageKey = generateSecureUploadPath(userId, id, 'jpg');
+  const thumbnailKey = generateSecureUploadPath(userId, `${id}_thumb`, 'jpg');
+
+  await storage.put(storageKey, image.buffer, { contentType: image.mimeType });
+  await storage.put(thumbnailKey, thumbnail.buffer, { contentType: thumbnail.mimeType });
+
+  try {
+    const photo = await prisma.datingPhoto.create({
+      data: {
+        id,
+        userId,
+        position: existing.reduce((max, photo) => Math.max(max, photo.position + 1), 0),
+        storageDriver: storage.id,
+        storageKey,
+        thumbnailKey,
+        mimeType: image.mimeType,
+        width: image.width,
+        height: image.height,
+        sizeBytes: image.buffer.length,
+        sha256,
+        originalName: file.originalname ? sanitizeFilename(file.originalname) : null
+      }
+    });
+    return toPhoto(photo);
+  } catch (error) {
+    await removeFiles({ storageDriver: storage.id, storageKey, thumbnailKey });
+    throw error;
+  }
+}
+
+/**
+ * The owner's photos in display order, any status
+ */
+export async function listPhotos(userId) {
+  const photos = await prisma.datingPhoto.findMany({
+    where: { userId },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }]
+  });
+  return photos.map(toPhoto);
+}
+
+/**
+ * Set the display order; the first approved photo becomes the primary one.
+ * Photos left out keep their relative order after the listed ones.
+ */
+export async function reorderPhotos(userId, photoIds) {
+  if (!Array.isArray(photoIds) || !photoIds.length) {
+    throw Object.assign(new Error('photoIds must be a non-empty array'), { status: 400 });
+  }
+
+  const photos = await prisma.datingPhoto.findMany({
+    where: { userId },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+    select: { id: true }
+  });
+  const owned = new Set(photos.map(photo => photo.id));
+  const unknown = photoIds.filter(id => !owned.has(id));
+  if (unknown.length) {
+    throw Object.assign(new Error(`Unknown photo: ${unknown.join(', ')}`), { status: 400 });
+  }
+
+  const order = [...new Set(photoIds), ...photos.map(photo => photo.id).filter(id => !photoIds.includes(id))];
+  await prisma.$transaction(order.map((id, position) =>
+    prisma.datingPhoto.update({ where: { id }, data: { position } })
+  ));
+
+  await syncProfilePhotos(userId);
+  return listPhotos(userId);
+}
+
+/**
+ * Delete a photo and its files
+ */
+export async function deletePhoto(userId, photoId) {
+  const photo = await prisma.datingPhoto.findFirst({ where: { id: photoId, userId } });
+  if (!photo) throw notFound();
+
+  await prisma.datingPhoto.delete({ where: { id: photo.id } });
+  await removeFiles(photo);
+  if (photo.status === 'APPROVED') {
+    await syncProfilePhotos(userId);
+  }
+}
+
+/**
+ * Photo bytes. Approved photos are returned to any viewer; pending and
+ * rejected ones only to their owner or a moderator.
+ * @param {Object} viewer - { userId?, moderator? }
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, status: string }>}
+ */
+export async function readPhoto(photoId, { size = 'full', userId, moderator = false } = {}) {
+  const photo = await prisma.datingPhoto.findUnique({ where: { id: photoId } });
+  if (!photo || (photo.status !== 'APPROVED' && !moderator && photo.userId !== userId)) {
+    throw notFound();
+  }
+
+  const buffer = await getStorage(photo.storageDriver).get(size === 'thumb' ? photo.thumbnailKey : photo.storageKey);
+  return { buffer, mimeType: photo.mimeType, status: photo.status };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Photos awaiting review, oldest first
+ */
+export async function listPhotosForReview({ status = 'PENDING', userId, limit = 50 } = {}) {
+  const photos = await prisma.datingPhoto.findMany({
+    where: { status, ...(userId && { userId }) },
+    include: { user: { select: { id: true, displayName: true, humanVerificationStatus: true } } },
+    orderBy: { createdAt: 'asc' },
+    take: Math.min(parseInt(limit) || 50, 200)
+  });
+
+  return photos.map(photo => ({
+    ...toPhoto(photo),
+    user: photo.user,
+    faceMatchSimilarity: photo.faceMatchSimilarity,
+    faceMatchCheckedAt: photo.faceMatchCheckedAt,
+    moderatedBy: photo.moderatedBy,
+    moderatedAt: photo.moderatedAt
+  }));
+}
+
+/**
+ * Approve or reject a photo. An approved photo can later be rejected
+ * (taken down) and vice versa.
+ * @param {string} decision - approve | reject (reject needs a reason)
+ */
+export async function moderatePhoto(photoId, decision, { actor, reason } = {}) {
+  const status = MODERATION_DECISIONS[decision];
+  if (!status) {
+    throw Object.assign(new Error(`decision must be one of: ${Object.keys(MODERATION_DECISIONS).join(', ')}`), { status: 400 });
+  }
+  if (status === 'REJECTED' && !reason) {
+    throw Object.assign(new Error('reason is required to reject a photo'), { status: 400 });
+  }
+
+  const photo = await prisma.datingPhoto.findUnique({ where: { id: photoId } });
+  if (!photo) throw notFound();
+  if (photo.status === status) {
+    throw Object.assign(new Error(`Photo is already ${status}`), { status: 409 });
+  }
+
+  const updated = await prisma.datingPhoto.update({
+    where: { id: photoId },
+    data: {
+      status,
+      moderatedBy: actor,
+      moderatedAt: new Date(),
+      rejectionReason: status === 'REJECTED' ? reason : null
+    }
+  });
+
+  await syncProfilePhotos(photo.userId);
+  await audit(status === 'APPROVED' ? 'photo_approved' : 'photo_rejected', updated, {
+    actor,
+    from: photo.status,
+    reason: reason || null,
+    faceMatch: photo.faceMatch
+  });
+  return toPhoto(updated);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SELFIE CONFIRMATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compare a live selfie with each of the user's current photos and record
+ * whether they show the same person
+ * @returns {Promise<Object[]>} [{ photoId, matched, similarity }]
+ */
+export async function confirmPhotosWithSelfie(userId, selfie, { challengeId = null } = {}) {
+  const photos = await prisma.datingPhoto.findMany({
+    where: { userId, status: { not: 'REJECTED' } },
+    orderBy: { position: 'asc' }
+  });
+
+  const results = [];
+  for (const photo of photos) {
+    let result;
+    try {
+      const image = await getStorage(photo.storageDriver).get(photo.storageKey);
+      result = await faceMatcher.compareFaces(selfie, image);
+    } catch (error) {
+      // Rekognition rejects images it cannot find a face in
+      if (error.name !== 'InvalidParameterException') throw error;
+      result = { matched: false, similarity: null };
+    }
+
+    await prisma.datingPhoto.update({
+      where: { id: photo.id },
+      data: {
+        faceMatch: result.matched,
+        faceMatchSimilarity: result.similarity,
+        faceMatchChallengeId: challengeId,
+        faceMatchCheckedAt: new Date()
+      }
+    });
+    results.push({ photoId: photo.id, ...result });
+  }
+  return results;
+}
+
+// LIVE_SELFIE responses arrive as an uploaded file or base64 in JSON
+function toImageBuffer(response) {
+  if (Buffer.isBuffer(response)) return response;
+  return Buffer.from(String(response).replace(/^data:image\/\w+;base64,/, ''), 'base64');
+}
+
+if (faceMatcher.isConfigured()) {
+  registerChallengeGrader('LIVE_SELFIE', {
+    id: faceMatcher.id,
+    async grade(challenge, response) {
+      const selfie = toImageBuffer(response);
+      if (!sniffImageType(selfie)) {
+        return { correct: false, details: { reason: 'unsupported_image' } };
+      }
+
+      const pose = await faceMatcher.checkPose(selfie, challenge.expected.expectedPosition);
+      if (!pose.correct) return pose;
+
+      const photos = await confirmPhotosWithSelfie(challenge.userId, selfie, { challengeId: challenge.id });
+      return { ...pose, details: { ...pose.details, photos } };
+    }
+  });
+}
+
+export default {
+  PHOTO_POLICY,
+  photoUrl,
+  toPhoto,
+  uploadPhoto,
+  listPhotos,
+  reorderPhotos,
+  deletePhoto,
+  readPhoto,
+  listPhotosForReview,
+  moderatePhoto,
+  confirmPhotosWithSelfie
+};
@@ -0,0 +1,85 @@
+/**
+ * Photo storage drivers.
+ *
+ * Every driver implements:
+ *
+ *   id                          - stored on DatingPhoto.storageDriver
+ *   put(key, buffer, { contentType })
+ *   get(key)                    → Buffer
+ *   delete(key)                 - missing keys are ignored
+ *
+ * PHOTO_STORAGE_DRIVER picks the driver for new uploads (default "local");
+ * existing photos are always read through the driver that wrote them, so an
+ * S3-compatible driver can be registered and switched to without a migration.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const drivers = new Map();
+
+// Local disk under PHOTO_STORAGE_DIR (not served statically - photos go
+// through the /api/dating/photos routes so pending ones stay private)
+const localDriver = {
+  id: 'local',
+
+  root() {
+    return path.resolve(process.env.PHOTO_STORAGE_DIR || 'uploads/photos');
+  },
+
+  resolve(key) {
+    const root = this.root();
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Storage key escapes the storage root: ${key}`);
+    }
+    return file;
+  },
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer, { flag: 'wx' });
+  },
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  },
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+};
+
+/**
+ * Add a storage driver (e.g. S3 / R2)
+ */
+export function registerStorageDriver(driver) {
+  for (const method of ['put', 'get', 'delete']) {
+    if (typeof driver?.[method] !== 'function') {
+      throw new Error(`Storage driver must implement ${method}()`);
+    }
+  }
+  if (!driver.id) {
+    throw new Error('Storage driver must have an id');
+  }
+  drivers.set(driver.id, driver);
+}
+
+registerStorageDriver(localDriver);
+
+/**
+ * Driver by id, or the one configured for new uploads
+ */
+export function getStorage(id = process.env.PHOTO_STORAGE_DRIVER || 'local') {
+  const driver = drivers.get(id);
+  if (!driver) {
+    throw Object.assign(new Error(`Photo storage driver not available: ${id}`), { status: 503 });
+  }
+  return driver;
+}
+
+export default {
+  registerStorageDriver,
+  getStorage
+};
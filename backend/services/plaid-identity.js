@@ -110,6 +110,70 @@ export async function getIdentity(accessToken) {
   }
 }
 
+/**
+ * Create a Plaid Link token for Identity Verification (document + selfie)
+ * @param {string} clientUserId - Our reference for the person (AgeVerification id)
+ * @returns {Promise<Object>} Link token and expiration
+ */
+export async function createIdentityVerificationLinkToken(clientUserId) {
+  if (!process.env.PLAID_IDV_TEMPLATE_ID) {
+    throw new Error('PLAID_IDV_TEMPLATE_ID not configured');
+  }
+
+  try {
+    const response = await plaidClient.linkTokenCreate({
+      user: {
+        client_user_id: clientUserId,
+      },
+      client_name: 'YouAndINotAI',
+      products: [Products.IdentityVerification],
+      identity_verification: {
+        template_id: process.env.PLAID_IDV_TEMPLATE_ID,
+      },
+      country_codes: [CountryCode.Us],
+      language: 'en',
+    });
+
+    return {
+      linkToken: response.data.link_token,
+      expiration: response.data.expiration,
+    };
+  } catch (error) {
+    console.error('Plaid IDV link token creation error:', error.response?.data || error.message);
+    throw new Error(`Failed to create identity verification link token: ${error.message}`);
+  }
+}
+
+/**
+ * Get an Identity Verification session (the Link session ID from onSuccess)
+ * @param {string} identityVerificationId
+ * @returns {Promise<Object>} Status, date of birth and document details
+ */
+export async function getIdentityVerification(identityVerificationId) {
+  try {
+    const response = await plaidClient.identityVerificationGet({
+      identity_verification_id: identityVerificationId,
+    });
+    const idv = response.data;
+    const document = idv.documentary_verification?.documents
+      ?.find(doc => doc.status === 'success') || null;
+
+    return {
+      id: idv.id,
+      clientUserId: idv.client_user_id,
+      status: idv.status,
+      dateOfBirth: document?.extracted_data?.date_of_birth || idv.user?.date_of_birth || null,
+      documentVerified: !!document,
+      documentType: document?.extracted_data?.category || null,
+      documentCountry: document?.extracted_data?.issuing_country || null,
+      selfieVerified: idv.selfie_check?.status === 'success',
+    };
+  } catch (error) {
+    console.error('Plaid identity verification retrieval error:', error.response?.data || error.message);
+    throw new Error(`Failed to retrieve identity verification: ${error.message}`);
+  }
+}
+
 /**
  * Test Plaid API connection
  * @returns {Promise<Object>} Connection test result
@@ -146,5 +210,7 @@ export default {
   createIdentityLinkToken,
   exchangePublicToken,
   getIdentity,
+  createIdentityVerificationLinkToken,
+  getIdentityVerification,
   testConnection,
 };
@@ -0,0 +1,299 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PRINTFUL EVENT HANDLERS - Dispatched by the webhook pipeline
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Events Handled:
+ * - package_shipped → Update order status to SHIPPED
+ * - package_returned → Handle returns
+ * - order_put_hold / order_remove_hold → Hold status
+ * - stock_updated → Sync variant stock through the product catalog
+ * - product_updated → Log
+ *
+ * Printful webhooks arrive at POST /api/webhook/printful (routes/printful.js).
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+import { setStockByPrintfulVariant } from './product-catalog.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVENT HANDLERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Handle package_shipped event
+ * Updates order status to SHIPPED and records transaction
+ */
+async function handlePackageShipped(event) {
+  try {
+    const { order_id, tracking_number, carrier, package_id } = event.data;
+
+    console.log('📦 PACKAGE SHIPPED EVENT:', {
+      orderId: order_id,
+      packageId: package_id,
+      carrier: carrier,
+      trackingNumber: tracking_number
+    });
+
+    // Find order by Printful order ID
+    const order = await prisma.order.findUnique({
+      where: { printfulOrderId: order_id.toString() },
+      include: { items: true }
+    });
+
+    if (!order) {
+      console.warn('⚠️ ORDER NOT FOUND for Printful order:', order_id);
+      return;
+    }
+
+    // Update order status to SHIPPED
+    const updatedOrder = await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        status: 'SHIPPED',
+        shippingDetails: {
+          trackingNumber: tracking_number,
+          carrier: carrier,
+          packageId: package_id,
+          shippedAt: new Date().toISOString()
+        },
+        updatedAt: new Date()
+      }
+    });
+
+    console.log('✅ ORDER STATUS UPDATED TO SHIPPED:', {
+      orderId: order.visibleId,
+      printfulOrderId: order_id,
+      carrier: carrier,
+      trackingNumber: tracking_number,
+      mission: 'DAO Treasury'
+    });
+
+    return updatedOrder;
+
+  } catch (error) {
+    console.error('❌ ERROR HANDLING PACKAGE SHIPPED:', error);
+    throw error;
+  }
+}
+
+/**
+ * Handle package_returned event
+ * Logs returns and updates order status
+ */
+async function handlePackageReturned(event) {
+  try {
+    const { order_id, tracking_number, package_id } = event.data;
+
+    console.log('📬 PACKAGE RETURNED EVENT:', {
+      orderId: order_id,
+      packageId: package_id,
+      trackingNumber: tracking_number
+    });
+
+    // Find order by Printful order ID
+    const order = await prisma.order.findUnique({
+      where: { printfulOrderId: order_id.toString() },
+      include: { items: true }
+    });
+
+    if (!order) {
+      console.warn('⚠️ ORDER NOT FOUND for Printful order:', order_id);
+      return;
+    }
+
+    // Update order status to RETURNED
+    const updatedOrder = await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        status: 'RETURNED',
+        shippingDetails: {
+          ...order.shippingDetails,
+          returnedAt: new Date().toISOString(),
+          returnTrackingNumber: tracking_number,
+          returnPackageId: package_id
+        },
+        updatedAt: new Date()
+      }
+    });
+
+    console.log('⚠️ RETURN PROCESSED:', {
+      orderId: order.visibleId,
+      printfulOrderId: order_id,
+      trackingNumber: tracking_number,
+      status: 'RETURNED'
+    });
+
+    return updatedOrder;
+
+  } catch (error) {
+    console.error('❌ ERROR HANDLING PACKAGE RETURNED:', error);
+    throw error;
+  }
+}
+
+/**
+ * Handle order_put_hold event
+ * Logs alert when order is placed on hold
+ */
+async function handleOrderPutOnHold(event) {
+  try {
+    const { order_id, reason, hold_reason } = event.data;
+
+    console.log('⏸️ ORDER PUT ON HOLD:', {
+      orderId: order_id,
+      reason: reason || hold_reason,
+      timestamp: new Date().toISOString()
+    });
+
+    // Find order by Printful order ID
+    const order = await prisma.order.findUnique({
+      where: { printfulOrderId: order_id.toString() }
+    });
+
+    if (order) {
+      // Update order with hold status
+      await prisma.order.update({
+        where: { id: order.id },
+        data: {
+          status: 'ON_HOLD',
+          metadata: {
+            ...order.metadata,
+            holdReason: reason || hold_reason,
+            holdedAt: new Date().toISOString()
+          }
+        }
+      });
+
+      console.log('✅ ORDER HOLD RECORDED:', {
+        orderId: order.visibleId,
+        printfulOrderId: order_id,
+        reason: reason || hold_reason
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ ERROR HANDLING ORDER HOLD:', error);
+    // Don't throw - this is informational
+  }
+}
+
+/**
+ * Handle stock_updated event
+ * Syncs variant stock by Printful variant ID (ProductVariant.printfulVariantId)
+ */
+async function handleStockUpdated(event) {
+  const { product_id, variant_id, available, warehouse } = event.data;
+
+  console.log('📊 STOCK UPDATED:', {
+    productId: product_id,
+    variantId: variant_id,
+    available: available,
+    warehouse: warehouse,
+    timestamp: new Date().toISOString()
+  });
+
+  if (!variant_id) return null;
+
+  const variant = await setStockByPrintfulVariant(variant_id, available);
+  if (!variant) {
+    console.warn(`⚠️ Printful variant ${variant_id} is not in the catalog`);
+    return null;
+  }
+
+  console.log('✅ STOCK UPDATED IN DATABASE:', {
+    sku: variant.sku,
+    newQuantity: available
+  });
+  return variant.sku;
+}
+
+async function handleOrderHoldRemoved(event) {
+  console.log('✅ ORDER HOLD REMOVED:', event.data.order_id);
+
+  const order = await prisma.order.findUnique({
+    where: { printfulOrderId: event.data.order_id.toString() }
+  });
+  if (order) {
+    await prisma.order.update({
+      where: { id: order.id },
+      data: {
+        status: 'PROCESSING',
+        metadata: {
+          ...order.metadata,
+          holdRemoved: true,
+          holdRemovedAt: new Date().toISOString()
+        }
+      }
+    });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PIPELINE REGISTRATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ORDER_STATUS_BY_EVENT = {
+  package_shipped: 'SHIPPED',
+  package_returned: 'RETURNED',
+  order_put_hold: 'ON_HOLD',
+  order_remove_hold: 'PROCESSING'
+};
+
+const fulfillmentHandler = {
+  name: 'printful-fulfillment',
+  provider: 'printful',
+  events: [...Object.keys(ORDER_STATUS_BY_EVENT), 'stock_updated', 'product_updated'],
+  async plan(payload) {
+    const { type, data } = payload;
+    if (type === 'stock_updated') {
+      return [{ effect: 'db_update', model: 'ProductVariant', printfulVariantId: data.variant_id, stockQuantity: data.available }];
+    }
+    if (type === 'product_updated') {
+      return [];
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { printfulOrderId: String(data.order_id) },
+      select: { visibleId: true, status: true }
+    });
+    return order
+      ? [{ effect: 'db_update', model: 'Order', orderId: order.visibleId, from: order.status, to: ORDER_STATUS_BY_EVENT[type] }]
+      : [];
+  },
+  async handle(payload) {
+    const event = { type: payload.type, data: payload.data };
+
+    switch (event.type) {
+      case 'package_shipped':
+        await handlePackageShipped(event);
+        break;
+      case 'package_returned':
+        await handlePackageReturned(event);
+        break;
+      case 'order_put_hold':
+        await handleOrderPutOnHold(event);
+        break;
+      case 'order_remove_hold':
+        await handleOrderHoldRemoved(event);
+        break;
+      case 'stock_updated':
+        await handleStockUpdated(event);
+        break;
+      case 'product_updated':
+        console.log('📦 PRODUCT UPDATED:', {
+          productId: event.data.product_id,
+          syncProductId: event.data.sync_product_id,
+          timestamp: new Date().toISOString()
+        });
+        break;
+    }
+
+    return { type: event.type, printfulOrderId: event.data?.order_id ?? null };
+  }
+};
+
+export const PRINTFUL_EVENT_HANDLERS = [fulfillmentHandler];
+
+export default PRINTFUL_EVENT_HANDLERS;
@@ -0,0 +1,290 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * PRODUCT CATALOG - One source of truth for merch, AI store and DAO webhooks
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Backed by Product / ProductVariant / ProductPrice (prisma/schema.prisma).
+ *
+ * - SKUs are stable: COGS, webhooks and order lines resolve by SKU
+ * - Webhooks resolve Square line items by catalog object ID or SKU - never by
+ *   amount, so two products at the same price can't be confused
+ * - Prices are versioned: setPrice() closes the open ProductPrice row and
+ *   mirrors the new amount on Product.price / ProductVariant.price
+ * - COGS come from the catalog, falling back to PRODUCT_COGS
+ *
+ * Seed with: node prisma/seed-catalog.js
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+import { getProductCOGS, PRODUCT_COGS } from './gospel-revenue-v2.js';
+
+function notFound(sku) {
+  return Object.assign(new Error(`Unknown SKU: ${sku}`), { status: 404 });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resolve a product or variant SKU
+ * @returns {Promise<{product, variant}|null>} variant is null for product SKUs
+ */
+export async function getBySku(sku) {
+  if (!sku) return null;
+
+  const product = await prisma.product.findUnique({ where: { sku } });
+  if (product) {
+    return { product, variant: null };
+  }
+
+  const variant = await prisma.productVariant.findUnique({
+    where: { sku },
+    include: { product: true }
+  });
+  if (!variant) return null;
+
+  const { product: parent, ...rest } = variant;
+  return { product: parent, variant: rest };
+}
+
+/**
+ * Resolve a Square item variation ID (line_item.catalog_object_id)
+ */
+export async function getBySquareCatalogObjectId(catalogObjectId) {
+  if (!catalogObjectId) return null;
+
+  const variant = await prisma.productVariant.findUnique({
+    where: { squareCatalogObjectId: catalogObjectId },
+    include: { product: true }
+  });
+  if (variant) {
+    const { product, ...rest } = variant;
+    return { product, variant: rest };
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { squareCatalogObjectId: catalogObjectId }
+  });
+  return product ? { product, variant: null } : null;
+}
+
+export async function listProducts({ productType, category, active = true, inStockOnly = false } = {}) {
+  return prisma.product.findMany({
+    where: {
+      ...(active !== undefined && { active }),
+      ...(productType && { productType }),
+      ...(category && { category })
+    },
+    include: {
+      variants: inStockOnly ? { where: { stockQuantity: { gt: 0 } } } : true
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+export async function getProduct(id, { inStockOnly = false } = {}) {
+  return prisma.product.findUnique({
+    where: { id },
+    include: {
+      variants: inStockOnly ? { where: { stockQuantity: { gt: 0 } } } : true
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WEBHOOK RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resolve one Square order line item. The Square SDK returns camelCase,
+ * raw webhook payloads snake_case - both are accepted.
+ */
+export async function resolveSquareLineItem(lineItem) {
+  const catalogObjectId = lineItem.catalog_object_id || lineItem.catalogObjectId;
+  const byCatalogId = await getBySquareCatalogObjectId(catalogObjectId);
+  if (byCatalogId) return byCatalogId;
+
+  // Checkout links we create carry the SKU in line item metadata
+  return getBySku(lineItem.metadata?.sku);
+}
+
+/**
+ * Resolve every line item of a Square order
+ * @returns {Promise<Array<{lineItem, product, variant}>>} unresolved items have product null
+ */
+export async function resolveSquareOrder(order) {
+  const lineItems = order?.line_items || order?.lineItems || [];
+  const resolved = [];
+  for (const lineItem of lineItems) {
+    const match = await resolveSquareLineItem(lineItem);
+    resolved.push({ lineItem, product: match?.product || null, variant: match?.variant || null });
+  }
+  return resolved;
+}
+
+/**
+ * Shape a catalog product the way product-delivery.js email templates read it
+ */
+export function toDeliveryProduct(product, variant = null) {
+  const fulfillment = product.fulfillment || {};
+  return {
+    ...fulfillment,
+    productKey: fulfillment.key || product.sku.toLowerCase(),
+    sku: variant?.sku || product.sku,
+    name: product.name,
+    price: Number(variant?.price ?? product.price),
+    type: product.productType,
+    deliveryType: product.deliveryType
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PRICES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Set a new price for a product or variant SKU, closing the current version
+ */
+export async function setPrice(sku, amount, { currency = 'USD', reason = null, createdBy = null } = {}) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < 0) {
+    throw Object.assign(new Error('amount must be a non-negative number'), { status: 400 });
+  }
+
+  const match = await getBySku(sku);
+  if (!match) throw notFound(sku);
+  const { product, variant } = match;
+  const variantId = variant?.id || null;
+
+  return prisma.$transaction(async (tx) => {
+    const current = await tx.productPrice.findFirst({
+      where: { productId: product.id, variantId, effectiveTo: null },
+      orderBy: { version: 'desc' }
+    });
+
+    const now = new Date();
+    if (current) {
+      await tx.productPrice.update({
+        where: { id: current.id },
+        data: { effectiveTo: now }
+      });
+    }
+
+    const price = await tx.productPrice.create({
+      data: {
+        productId: product.id,
+        variantId,
+        version: (current?.version || 0) + 1,
+        amount: value,
+        currency,
+        effectiveFrom: now,
+        reason,
+        createdBy
+      }
+    });
+
+    if (variant) {
+      await tx.productVariant.update({ where: { id: variant.id }, data: { price: value } });
+    } else {
+      await tx.product.update({ where: { id: product.id }, data: { price: value } });
+    }
+
+    return price;
+  });
+}
+
+export async function getPriceHistory(sku) {
+  const match = await getBySku(sku);
+  if (!match) throw notFound(sku);
+
+  return prisma.productPrice.findMany({
+    where: { productId: match.product.id, variantId: match.variant?.id || null },
+    orderBy: { version: 'desc' }
+  });
+}
+
+/**
+ * Price a SKU was sold at on a given date. Variants without a price history
+ * of their own inherit the product's.
+ */
+export async function priceAt(sku, at = new Date()) {
+  const match = await getBySku(sku);
+  if (!match) throw notFound(sku);
+  const { product, variant } = match;
+
+  const versionAt = (variantId) => prisma.productPrice.findFirst({
+    where: {
+      productId: product.id,
+      variantId,
+      effectiveFrom: { lte: at },
+      OR: [{ effectiveTo: null }, { effectiveTo: { gt: at } }]
+    },
+    orderBy: { version: 'desc' }
+  });
+
+  const price = (variant && await versionAt(variant.id)) || await versionAt(null);
+  if (price) {
+    return { amount: Number(price.amount), currency: price.currency, version: price.version };
+  }
+
+  // No history yet (pre-catalog rows) - the current price is all we know
+  return { amount: Number(variant?.price ?? product.price), currency: 'USD', version: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COGS & STOCK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Cost of goods for a SKU: variant override → product → PRODUCT_COGS → defaults
+ */
+export async function getCOGS(sku) {
+  const match = await getBySku(sku);
+  if (match) {
+    const { product, variant } = match;
+    const production = variant?.cogsProduction ?? product.cogsProduction;
+    if (production != null) {
+      return {
+        production: Number(production),
+        avgShipping: Number(product.cogsShipping ?? 0)
+      };
+    }
+    if (!PRODUCT_COGS[sku] && PRODUCT_COGS[product.sku]) {
+      return getProductCOGS(product.sku);
+    }
+  }
+  return getProductCOGS(sku);
+}
+
+/**
+ * Apply a Printful stock_updated event
+ * @returns {Promise<object|null>} the updated variant, or null if not in the catalog
+ */
+export async function setStockByPrintfulVariant(printfulVariantId, stockQuantity) {
+  const variant = await prisma.productVariant.findUnique({
+    where: { printfulVariantId: String(printfulVariantId) }
+  });
+  if (!variant) return null;
+
+  return prisma.productVariant.update({
+    where: { id: variant.id },
+    data: { stockQuantity }
+  });
+}
+
+export default {
+  getBySku,
+  getBySquareCatalogObjectId,
+  listProducts,
+  getProduct,
+  resolveSquareLineItem,
+  resolveSquareOrder,
+  toDeliveryProduct,
+  setPrice,
+  getPriceHistory,
+  priceAt,
+  getCOGS,
+  setStockByPrintfulVariant
+};
@@ -0,0 +1,380 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * REAL-TIME GATEWAY - WebSocket push for dating messages
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Mounted on the main HTTP server at GATEWAY_PATH. Clients connect with their
+ * services/auth.js access token (Authorization header or ?token=) and receive
+ * JSON frames of the form { event, data }:
+ *
+ *   ready         { userId, cursor }               after connecting
+ *   message:new   { message, cursor }              a message sent or received
+ *   message:read  { matchId, readerId, messageIds?, readAt, cursor }
+ *   typing        { matchId, userId, isTyping }
+ *   resumed       { cursor, hasMore }              after replaying missed events
+ *   error         { event, message, status }
+ *
+ * and may send:
+ *
+ *   typing:start / typing:stop  { matchId }
+ *   message:read                { matchId }        marks the match read
+ *   resume                      { cursor }         (or ?cursor= on connect)
+ *
+ * - Messages are still sent with POST /api/dating/message so screening and
+ *   rate limits stay in one place; the route publishes them here
+ * - Every match-scoped frame is authorized with getMatchForUser, so blocked
+ *   pairs and non-participants get nothing
+ * - Cursors are opaque; store the latest one seen and pass it when
+ *   reconnecting. Replay is at-least-once: events may repeat, message ids
+ *   and read times are stable
+ * - Pushes reach sockets on this instance only; clients on another instance
+ *   pick the events up through the resume cursor when they reconnect
+ * - The socket is closed (4001) when the access token expires; reconnect with
+ *   a refreshed token and the last cursor
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import { STATUS_CODES } from 'http';
+import { WebSocketServer } from 'ws';
+import prisma from '../prisma/client.js';
+import { verifyAccessToken } from './auth.js';
+import { getMatchForUser, markMessagesRead, listMessageEventsSince } from './dating-store.js';
+
+export const GATEWAY_PATH = '/api/dating/ws';
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MATCH_AUTH_TTL_MS = 60 * 1000;
+const MAX_FRAME_BYTES = 16 * 1024;
+const MAX_FRAMES_PER_SECOND = 20;
+const REPLAY_BATCH_SIZE = 200;
+
+const CLOSE_TOKEN_EXPIRED = 4001;
+const CLOSE_POLICY_VIOLATION = 1008;
+
+// userId → Set of open sockets (one per device/tab)
+const connections = new Map();
+
+let gateway = null;
+let heartbeatHandle = null;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CURSORS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function encodeCursor(at, id = '') {
+  return Buffer.from(JSON.stringify({ at: at.toISOString(), id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { at, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(at);
+    if (isNaN(date.getTime()) || typeof id !== 'string') throw new Error();
+    return { at: date, id };
+  } catch {
+    throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONNECTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function send(socket, event, data) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify({ event, data }));
+  }
+}
+
+function sendToUser(userId, event, data) {
+  for (const socket of connections.get(userId) || []) {
+    send(socket, event, data);
+  }
+}
+
+/**
+ * Check the access token, its session and the account behind it
+ * @returns {Promise<{ userId: string, sessionId: string|null, expiresAt: number }>}
+ * @throws {Error} with `status` 401/403
+ */
+async function authenticate(req, url) {
+  const header = req.headers.authorization;
+  const token = header?.startsWith('Bearer ') ? header.split(' ')[1] : url.searchParams.get('token');
+  if (!token) {
+    throw Object.assign(new Error('No token provided'), { status: 401 });
+  }
+
+  const result = verifyAccessToken(token);
+  if (!result.valid) {
+    throw Object.assign(new Error('Invalid token'), { status: 401 });
+  }
+
+  const { userId, sessionId, exp } = result.payload;
+  const [user, session] = await Promise.all([
+    prisma.datingUser.findUnique({ where: { id: userId }, select: { status: true } }),
+    sessionId
+      ? prisma.authSession.findFirst({ where: { id: sessionId, userId, revokedAt: null }, select: { id: true } })
+      : null
+  ]);
+
+  if (sessionId && !session) {
+    throw Object.assign(new Error('Session revoked'), { status: 401 });
+  }
+  if (!user || ['SUSPENDED', 'BANNED', 'DELETED'].includes(user.status)) {
+    throw Object.assign(new Error('Account unavailable'), { status: 403 });
+  }
+
+  return { userId, sessionId: sessionId || null, expiresAt: exp * 1000 };
+}
+
+function rejectUpgrade(socket, status) {
+  socket.write(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+function onConnection(socket, principal, cursor) {
+  const { userId } = principal;
+  socket.user = principal;
+  socket.isAlive = true;
+  socket.matches = new Map(); // matchId → { otherUserId, isActive, checkedAt }
+  socket.frames = { windowStart: Date.now(), count: 0 };
+
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+
+  const expiryTimer = setTimeout(
+    () => socket.close(CLOSE_TOKEN_EXPIRED, 'Token expired'),
+    Math.max(principal.expiresAt - Date.now(), 0)
+  );
+
+  socket.on('pong', () => { socket.isAlive = true; });
+  socket.on('message', raw => {
+    handleFrame(socket, raw).catch(error =>
+      send(socket, 'error', { event: error.event || null, message: error.message, status: error.status || 500 })
+    );
+  });
+  socket.on('close', () => {
+    clearTimeout(expiryTimer);
+    const sockets = connections.get(userId);
+    sockets?.delete(socket);
+    if (sockets?.size === 0) connections.delete(userId);
+  });
+
+  send(socket, 'ready', { userId, cursor: encodeCursor(new Date()) });
+
+  if (cursor) {
+    resume(socket, cursor).catch(error =>
+      send(socket, 'error', { event: 'resume', message: error.message, status: error.status || 500 })
+    );
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLIENT EVENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Authorize the socket's user for a match. Cached briefly so typing
+ * indicators do not hit the database on every keystroke.
+ */
+async function authorizeMatch(socket, matchId) {
+  if (!matchId) {
+    throw Object.assign(new Error('matchId required'), { status: 400 });
+  }
+
+  const cached = socket.matches.get(matchId);
+  if (cached && Date.now() - cached.checkedAt < MATCH_AUTH_TTL_MS) return cached;
+
+  const { userId } = socket.user;
+  const match = await getMatchForUser(matchId, userId);
+  const entry = {
+    otherUserId: match.userId1 === userId ? match.userId2 : match.userId1,
+    isActive: match.isActive,
+    checkedAt: Date.now()
+  };
+  socket.matches.set(matchId, entry);
+  return entry;
+}
+
+async function typing(socket, matchId, isTyping) {
+  const match = await authorizeMatch(socket, matchId);
+  if (!match.isActive) {
+    throw Object.assign(new Error('This match has ended'), { status: 403 });
+  }
+  sendToUser(match.otherUserId, 'typing', { matchId, userId: socket.user.userId, isTyping });
+}
+
+async function markRead(socket, matchId) {
+  await authorizeMatch(socket, matchId);
+  publishRead(await markMessagesRead(matchId, socket.user.userId));
+}
+
+/**
+ * Replay events after a cursor, then tell the client where it now stands
+ */
+async function resume(socket, cursor) {
+  const since = decodeCursor(cursor);
+  const { userId } = socket.user;
+  const { messages, receipts, hasMore } = await listMessageEventsSince(userId, since, { limit: REPLAY_BATCH_SIZE });
+
+  for (const message of messages) {
+    send(socket, 'message:new', { message, cursor: encodeCursor(message.createdAt, message.id) });
+  }
+  for (const receipt of receipts) {
+    send(socket, 'message:read', { ...receipt, cursor: encodeCursor(receipt.readAt) });
+  }
+
+  // With more to come, continue from the last message; otherwise from the
+  // newest event replayed (or the old cursor if nothing was missed)
+  const last = messages[messages.length - 1];
+  let next = last ? { at: last.createdAt, id: last.id } : since;
+  if (!hasMore) {
+    for (const receipt of receipts) {
+      if (receipt.readAt > next.at) next = { at: receipt.readAt, id: '' };
+    }
+  }
+
+  send(socket, 'resumed', { cursor: encodeCursor(next.at, next.id), hasMore });
+}
+
+async function handleFrame(socket, raw) {
+  const frames = socket.frames;
+  if (Date.now() - frames.windowStart >= 1000) {
+    frames.windowStart = Date.now();
+    frames.count = 0;
+  }
+  if (++frames.count > MAX_FRAMES_PER_SECOND) {
+    socket.close(CLOSE_POLICY_VIOLATION, 'Too many frames');
+    return;
+  }
+
+  let frame;
+  try {
+    frame = JSON.parse(raw.toString());
+  } catch {
+    throw Object.assign(new Error('Frames must be JSON { event, data }'), { status: 400 });
+  }
+
+  const { event, data = {} } = frame || {};
+  try {
+    switch (event) {
+      case 'typing:start':
+        return await typing(socket, data.matchId, true);
+      case 'typing:stop':
+        return await typing(socket, data.matchId, false);
+      case 'message:read':
+        return await markRead(socket, data.matchId);
+      case 'resume':
+        return await resume(socket, data.cursor);
+      default:
+        throw Object.assign(new Error(`Unknown event: ${event}`), { status: 400 });
+    }
+  } catch (error) {
+    throw Object.assign(error, { event });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLISHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Push a newly stored message to every open socket of both participants
+ */
+export function publishMessage(message) {
+  const data = { message, cursor: encodeCursor(message.createdAt, message.id) };
+  sendToUser(message.senderId, 'message:new', data);
+  sendToUser(message.receiverId, 'message:new', data);
+}
+
+/**
+ * Push a read receipt from markMessagesRead to the sender and the reader's
+ * other devices. Receipts that marked nothing are dropped.
+ */
+export function publishRead(receipt) {
+  if (!receipt.messageIds.length) return;
+
+  const data = {
+    matchId: receipt.matchId,
+    readerId: receipt.readerId,
+    messageIds: receipt.messageIds,
+    readAt: receipt.readAt,
+    cursor: encodeCursor(receipt.readAt)
+  };
+  sendToUser(receipt.senderId, 'message:read', data);
+  sendToUser(receipt.readerId, 'message:read', data);
+}
+
+/**
+ * Forget cached match authorizations for users, e.g. after a block or
+ * unmatch, so the next frame is checked against the database again
+ */
+export function invalidateMatchAccess(...userIds) {
+  for (const userId of userIds) {
+    for (const socket of connections.get(userId) || []) {
+      socket.matches.clear();
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Handle WebSocket upgrades on GATEWAY_PATH for an HTTP server
+ * @param {import('http').Server} server - e.g. the return value of app.listen()
+ */
+export function attachRealtimeGateway(server) {
+  if (gateway) return gateway;
+
+  gateway = new WebSocketServer({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== GATEWAY_PATH) {
+      return rejectUpgrade(socket, 404);
+    }
+
+    authenticate(req, url)
+      .then(principal => gateway.handleUpgrade(req, socket, head, ws =>
+        onConnection(ws, principal, url.searchParams.get('cursor'))
+      ))
+      .catch(error => rejectUpgrade(socket, error.status || 500));
+  });
+
+  // Drop sockets that stopped answering pings (sleeping phones, dead proxies)
+  heartbeatHandle = setInterval(() => {
+    for (const socket of gateway.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatHandle.unref();
+
+  return gateway;
+}
+
+export function closeRealtimeGateway() {
+  clearInterval(heartbeatHandle);
+  heartbeatHandle = null;
+  for (const socket of gateway?.clients || []) {
+    socket.close(1001, 'Server shutting down');
+  }
+  gateway?.close();
+  gateway = null;
+  connections.clear();
+}
+
+export default {
+  GATEWAY_PATH,
+  attachRealtimeGateway,
+  closeRealtimeGateway,
+  publishMessage,
+  publishRead,
+  invalidateMatchAccess
+};
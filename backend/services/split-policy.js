@@ -0,0 +1,317 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SPLIT POLICY - Versioned revenue-split policies for every payment path
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Each revenue source maps to a named policy (SOURCE_POLICIES); each policy
+ * is a list of versions with the date they take effect. allocateRevenue()
+ * uses the version in effect when the payment happened:
+ *
+ *   1. Costs come off the gross: the processor fee (the fee the processor
+ *      reported, else an estimate from PAYMENT_FEES) and, for policies with
+ *      deductCogs, production cost and shipping
+ *   2. An affiliate commission is taken off the net when one applies and the
+ *      policy is commissionable
+ *   3. What is left is split by the policy's shares (percentages of 100);
+ *      rounding cents go to the `remainder` share
+ *
+ * Every allocation names the policy version that produced it ("merch@1") and
+ * is stored with the LedgerEntry, Transaction or AffiliateCommission it
+ * belongs to. Versions are never edited - a new split is a new version with
+ * a later effectiveFrom, so past allocations can always be reproduced.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLICIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Payment processor fees (percentage of gross + fixed per transaction)
+export const PAYMENT_FEES = Object.freeze({
+  SQUARE_PERCENTAGE: 2.6,
+  SQUARE_FIXED: 0.10,
+  PAYPAL_PERCENTAGE: 2.9,
+  PAYPAL_FIXED: 0.30,
+  STRIPE_PERCENTAGE: 2.9,
+  STRIPE_FIXED: 0.30
+});
+
+// Buckets a policy can share revenue between. LedgerEntry.allocation keeps
+// one key per bucket; Transaction rows store them as charity/ops/founder.
+export const SHARE_BUCKETS = Object.freeze(['treasury', 'operations', 'founder']);
+
+/**
+ * Policy versions, oldest first:
+ *   version        - increases by one per policy
+ *   effectiveFrom  - ISO date the version applies from (inclusive)
+ *   processor      - 'square' | 'paypal' | 'stripe' | null (no fee deducted)
+ *   deductCogs     - deduct production cost and shipping
+ *   commissionable - affiliate commissions may be paid from this revenue
+ *   maxCommissionRate - cap on an affiliate's commission rate, in percent
+ *   shares         - bucket → percentage, adding up to 100
+ *   remainder      - bucket that receives rounding cents
+ */
+const POLICIES = {
+  'dating-subscription': [
+    { version: 1, effectiveFrom: '2025-01-01', processor: 'square', deductCogs: false, commissionable: true, maxCommissionRate: 50, shares: { treasury: 100 }, remainder: 'treasury' }
+  ],
+  merch: [
+    { version: 1, effectiveFrom: '2025-01-01', processor: 'square', deductCogs: true, commissionable: true, maxCommissionRate: 50, shares: { treasury: 100 }, remainder: 'treasury' }
+  ],
+  'digital-products': [
+    { version: 1, effectiveFrom: '2025-01-01', processor: 'square', deductCogs: false, commissionable: true, maxCommissionRate: 50, shares: { treasury: 100 }, remainder: 'treasury' }
+  ],
+  'self-host': [
+    { version: 1, effectiveFrom: '2025-01-01', processor: 'stripe', deductCogs: false, commissionable: true, maxCommissionRate: 50, shares: { treasury: 100 }, remainder: 'treasury' }
+  ],
+  // Printful fulfillment fees are already net revenue
+  'fulfillment-fees': [
+    { version: 1, effectiveFrom: '2025-01-01', processor: null, deductCogs: false, commissionable: false, maxCommissionRate: 0, shares: { treasury: 100 }, remainder: 'treasury' }
+  ],
+  donations: [
+    { version: 1, effectiveFrom: '2025-01-01', processor: 'square', deductCogs: false, commissionable: false, maxCommissionRate: 0, shares: { treasury: 100 }, remainder: 'treasury' }
+  ],
+  default: [
+    { version: 1, effectiveFrom: '2025-01-01', processor: 'square', deductCogs: false, commissionable: false, maxCommissionRate: 0, shares: { treasury: 100 }, remainder: 'treasury' }
+  ]
+};
+
+// LedgerEntry.source / Transaction.source → policy name (anything else: default)
+const SOURCE_POLICIES = {
+  'square:square-dating': 'dating-subscription',
+  'square:subscriptions': 'dating-subscription',
+  'square:square-merch': 'merch',
+  'square:ai-store': 'digital-products',
+  'self-host-subscription': 'self-host',
+  'self-host-renewal': 'self-host',
+  PRINTFUL_FULFILLMENT: 'fulfillment-fees',
+  DATING_APP: 'dating-subscription',
+  PRINTFUL_MERCH: 'merch',
+  SQUARE_DONATIONS: 'donations',
+  PAYPAL_DONATIONS: 'donations'
+};
+
+/**
+ * Refuse to start with a policy that cannot be applied
+ */
+function validatePolicies(policies) {
+  for (const [name, versions] of Object.entries(policies)) {
+    versions.forEach((policy, index) => {
+      const label = `${name}@${policy.version}`;
+      if (policy.version !== index + 1) {
+        throw new Error(`Split policy ${label}: versions must be numbered 1, 2, 3...`);
+      }
+      if (isNaN(Date.parse(policy.effectiveFrom))
+        || (index > 0 && Date.parse(policy.effectiveFrom) <= Date.parse(versions[index - 1].effectiveFrom))) {
+        throw new Error(`Split policy ${label}: effectiveFrom must be a date after the previous version's`);
+      }
+      const buckets = Object.keys(policy.shares);
+      const total = Object.values(policy.shares).reduce((sum, percentage) => sum + percentage, 0);
+      if (buckets.some(bucket => !SHARE_BUCKETS.includes(bucket)) || total !== 100) {
+        throw new Error(`Split policy ${label}: shares must be ${SHARE_BUCKETS.join('/')} percentages adding up to 100`);
+      }
+      if (!buckets.includes(policy.remainder)) {
+        throw new Error(`Split policy ${label}: remainder must be one of its shares`);
+      }
+      if (policy.processor && PAYMENT_FEES[`${policy.processor.toUpperCase()}_PERCENTAGE`] === undefined) {
+        throw new Error(`Split policy ${label}: unknown processor ${policy.processor}`);
+      }
+    });
+  }
+}
+
+validatePolicies(POLICIES);
+
+function deepFreeze(value) {
+  Object.values(value).forEach(child => typeof child === 'object' && child !== null && deepFreeze(child));
+  return Object.freeze(value);
+}
+
+export const SPLIT_POLICIES = deepFreeze(POLICIES);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function policyForSource(source) {
+  return SOURCE_POLICIES[source] || 'default';
+}
+
+/**
+ * Policy version in effect at a moment
+ * @throws {Error} for an unknown policy or a date before its first version
+ */
+export function getSplitPolicy(name, at = new Date()) {
+  const versions = SPLIT_POLICIES[name];
+  if (!versions) {
+    throw new Error(`Unknown split policy: ${name}`);
+  }
+
+  const time = new Date(at).getTime();
+  const policy = [...versions].reverse().find(version => Date.parse(version.effectiveFrom) <= time);
+  if (!policy) {
+    throw new Error(`Split policy ${name} has no version in effect on ${new Date(at).toISOString()}`);
+  }
+  return { name, ...policy, label: `${name}@${policy.version}` };
+}
+
+/**
+ * Every policy with the version in effect now and any scheduled ones
+ */
+export function listSplitPolicies(now = new Date()) {
+  return Object.entries(SPLIT_POLICIES).map(([name, versions]) => ({
+    name,
+    current: getSplitPolicy(name, now),
+    upcoming: versions.filter(version => Date.parse(version.effectiveFrom) > now.getTime()),
+    sources: Object.keys(SOURCE_POLICIES).filter(source => SOURCE_POLICIES[source] === name)
+  }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CALCULATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const toCents = value => Math.round((parseFloat(value) || 0) * 100);
+const toDollars = cents => cents / 100;
+
+/**
+ * Estimated processor fee for a gross amount, in cents
+ */
+function estimateProcessingFee(grossCents, processor) {
+  if (!processor) return 0;
+  const key = processor.toUpperCase();
+  const percentage = PAYMENT_FEES[`${key}_PERCENTAGE`];
+  if (percentage === undefined) return 0;
+  return Math.round(grossCents * percentage / 100 + PAYMENT_FEES[`${key}_FIXED`] * 100);
+}
+
+/**
+ * Calculate net profit after all costs
+ * @param {number} grossSale - Total amount customer paid
+ * @param {number} cogs - Cost of goods (Printful production)
+ * @param {number} shipping - Shipping cost (Printful shipping)
+ * @param {string} processor - Payment processor ('square' | 'paypal' | 'stripe')
+ * @returns {Object} Breakdown of costs and net profit
+ */
+export function calculateNetProfit(grossSale, cogs = 0, shipping = 0, processor = 'square') {
+  const gross = toCents(grossSale);
+  const costs = {
+    production: toCents(cogs),
+    shipping: toCents(shipping),
+    processing: estimateProcessingFee(gross, processor)
+  };
+  const totalCosts = costs.production + costs.shipping + costs.processing;
+  const netProfit = Math.max(0, gross - totalCosts);
+
+  return {
+    grossSale: toDollars(gross),
+    costs: {
+      production: toDollars(costs.production),
+      shipping: toDollars(costs.shipping),
+      processing: toDollars(costs.processing),
+      total: toDollars(totalCosts)
+    },
+    netProfit: toDollars(netProfit),
+    margin: gross > 0 ? Math.round((netProfit / gross) * 100) : 0
+  };
+}
+
+/**
+ * Split one payment by the policy in effect when it happened
+ * @param {Object} payment
+ * @param {number} payment.amount - Gross amount in dollars
+ * @param {string} [payment.policy] - Policy name (default: from payment.source)
+ * @param {string} [payment.source] - LedgerEntry / Transaction source
+ * @param {Date|string} [payment.occurredAt] - Picks the policy version (default: now)
+ * @param {number} [payment.processingFee] - Fee the processor reported, in dollars
+ * @param {number} [payment.cogs] - Production cost, in dollars (deductCogs policies)
+ * @param {number} [payment.shipping] - Shipping cost, in dollars (deductCogs policies)
+ * @param {number} [payment.commissionRate] - Affiliate commission, percent of net
+ * @returns {Object} { policy, total, costs, net, commission, <bucket>: { amount, percentage }, ... }
+ */
+export function allocateRevenue({
+  amount,
+  policy: name,
+  source,
+  occurredAt = new Date(),
+  processingFee,
+  cogs = 0,
+  shipping = 0,
+  commissionRate = 0
+}) {
+  const numAmount = parseFloat(amount);
+  if (isNaN(numAmount) || numAmount < 0) {
+    throw new Error('Invalid amount');
+  }
+
+  const policy = getSplitPolicy(name || policyForSource(source), occurredAt);
+  const gross = toCents(numAmount);
+
+  const costs = {
+    processing: !policy.processor ? 0
+      : processingFee != null ? toCents(processingFee)
+        : estimateProcessingFee(gross, policy.processor),
+    production: policy.deductCogs ? toCents(cogs) : 0,
+    shipping: policy.deductCogs ? toCents(shipping) : 0
+  };
+  const totalCosts = costs.processing + costs.production + costs.shipping;
+  const net = Math.max(0, gross - totalCosts);
+
+  const rate = policy.commissionable
+    ? Math.min(Math.max(parseFloat(commissionRate) || 0, 0), policy.maxCommissionRate)
+    : 0;
+  const commission = Math.floor(net * rate / 100);
+  const distributable = net - commission;
+
+  const shares = {};
+  let allocated = 0;
+  for (const [bucket, percentage] of Object.entries(policy.shares)) {
+    shares[bucket] = Math.floor(distributable * percentage / 100);
+    allocated += shares[bucket];
+  }
+  shares[policy.remainder] += distributable - allocated;
+
+  return {
+    policy: { name: policy.name, version: policy.version, effectiveFrom: policy.effectiveFrom },
+    version: policy.label,
+    total: toDollars(gross),
+    costs: {
+      processing: toDollars(costs.processing),
+      processingEstimated: !!policy.processor && processingFee == null,
+      production: toDollars(costs.production),
+      shipping: toDollars(costs.shipping),
+      total: toDollars(totalCosts)
+    },
+    net: toDollars(net),
+    commission: rate > 0 ? { rate, amount: toDollars(commission) } : null,
+    ...Object.fromEntries(Object.entries(shares).map(([bucket, cents]) => [
+      bucket,
+      { amount: toDollars(cents), percentage: policy.shares[bucket] }
+    ])),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Transaction amount columns for an allocation
+ */
+export function toTransactionAmounts(allocation) {
+  return {
+    charityAmount: allocation.treasury?.amount || 0,
+    opsAmount: allocation.operations?.amount || 0,
+    founderAmount: allocation.founder?.amount || 0,
+    splitPolicy: allocation.version
+  };
+}
+
+export default {
+  PAYMENT_FEES,
+  SHARE_BUCKETS,
+  SPLIT_POLICIES,
+  policyForSource,
+  getSplitPolicy,
+  listSplitPolicies,
+  calculateNetProfit,
+  allocateRevenue,
+  toTransactionAmounts
+};
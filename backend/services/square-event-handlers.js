@@ -0,0 +1,426 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * SQUARE EVENT HANDLERS - Side effects dispatched by the webhook pipeline
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - delivery       → product delivery email for AI Solutions Store purchases
+ * - merch          → notify the Marketplace DAO of merch sales
+ * - subscriptions  → keep the Dating DAO in step with Square subscriptions
+ * - entitlements   → grant and revoke premium features (services/entitlements.js)
+ * - ledger         → Transaction row + hash-chained DAO revenue ledger entry,
+ *                    split by the source's policy (services/split-policy.js)
+ * - affiliate      → attribute the purchase to referring affiliates by order
+ *                    or buyer email (services/affiliate-attribution.js)
+ * - clawback       → completed refunds and lost disputes reverse the
+ *                    commissions earned on the payment (affiliate-commissions.js)
+ *
+ * Handlers throw to ask for a retry. Payment handlers key on the payment ID,
+ * so they run once per payment however many payment.* events Square sends.
+ * Square may deliver one event to several of our endpoints and it is only
+ * stored for the first, so payment handlers work out the revenue source from
+ * the payment itself (paymentSource), never from the receiving endpoint.
+ * plan() lists the side effects a run would have, for dry-run replays; it
+ * may read but never writes.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+import { recordTransaction, calculateRevenueAllocation } from './dao-revenue.js';
+import { getSplitPolicy, policyForSource, toTransactionAmounts } from './split-policy.js';
+import { getCOGS } from './product-catalog.js';
+import { identifyProduct, resolveCustomerEmail, sendDeliveryEmail } from './product-delivery.js';
+import { applySquareSubscription, applySquareInvoice } from './entitlements.js';
+import { recordConversion } from './affiliate-attribution.js';
+import { reverseForRefund } from './affiliate-commissions.js';
+
+// DAO Service URLs
+const DAO_SERVICES = {
+  dating: 'http://localhost:4003',
+  marketplace: 'http://localhost:4004'
+};
+
+const PAYMENT_EVENTS = ['payment.created', 'payment.updated', 'payment.completed'];
+const REFUND_EVENTS = ['refund.created', 'refund.updated'];
+const DISPUTE_EVENTS = ['dispute.created', 'dispute.state.updated', 'dispute.state.changed'];
+
+// Dispute states in which the money is gone for good
+const LOST_DISPUTE_STATES = ['LOST', 'ACCEPTED'];
+
+// Revenue source → Transaction.source (anything else: DATING_APP)
+const TRANSACTION_SOURCES = {
+  'ai-store': 'OTHER',
+  'square-merch': 'PRINTFUL_MERCH'
+};
+
+/**
+ * Only completed payments have side effects
+ */
+function completedPaymentKey(payload) {
+  const payment = payload.data?.object?.payment;
+  return payment?.status === 'COMPLETED' ? `payment:${payment.id}` : null;
+}
+
+async function postToDaoService(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status}`);
+  }
+}
+
+/**
+ * Revenue source of a payment: what it bought, else the Square location it
+ * was taken at. Merch is always in the catalog (Printful sync), so an unlisted
+ * item on the merch account is an AI store sale left for manual delivery.
+ * @returns {Promise<{ source: string, product: Object|null }>} source is
+ *   'ai-store', 'square-merch', 'square-dating' or 'square' (unknown location)
+ */
+async function paymentSource(payment) {
+  const product = await identifyProduct(payment);
+  if (product) {
+    return { source: product.type === 'merch' ? 'square-merch' : 'ai-store', product };
+  }
+
+  const locationId = payment.location_id;
+  if (locationId && locationId === process.env.SQUARE_LOCATION_ID) {
+    return { source: 'square-dating', product };
+  }
+  if (locationId && locationId === process.env.SQUARE_MERCH_LOCATION_ID) {
+    return { source: 'ai-store', product };
+  }
+  return { source: 'square', product };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HANDLERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const deliveryHandler = {
+  name: 'delivery',
+  provider: 'square',
+  events: PAYMENT_EVENTS,
+  key: completedPaymentKey,
+  async plan(payload) {
+    const payment = payload.data.object.payment;
+    const { source, product } = await paymentSource(payment);
+    if (source !== 'ai-store') return [];
+
+    const customerEmail = await resolveCustomerEmail(payment);
+    return [{
+      effect: 'email',
+      to: customerEmail,
+      product: product?.productKey || null,
+      template: product?.deliveryType || 'unknown'
+    }];
+  },
+  async handle(payload) {
+    const payment = payload.data.object.payment;
+    const { source, product } = await paymentSource(payment);
+    if (source !== 'ai-store') {
+      return { skipped: 'not_ai_store', source };
+    }
+
+    const customerEmail = await resolveCustomerEmail(payment);
+    if (!product) {
+      console.warn('⚠️ Could not identify product for payment:', payment.id);
+    }
+
+    await sendDeliveryEmail(
+      customerEmail,
+      product || { name: 'AI Solutions Store Product', deliveryType: 'unknown' },
+      payment
+    );
+
+    console.log('💚 AI STORE ORDER PROCESSED:', {
+      product: product?.name || 'unknown',
+      amount: parseFloat(payment.amount_money.amount) / 100,
+      paymentId: payment.id
+    });
+
+    return { product: product?.productKey || null, manualDelivery: !product };
+  }
+};
+
+const merchHandler = {
+  name: 'merch',
+  provider: 'square',
+  events: PAYMENT_EVENTS,
+  key: completedPaymentKey,
+  async plan(payload) {
+    const product = await identifyProduct(payload.data.object.payment);
+    return product?.type === 'merch'
+      ? [{ effect: 'http_post', url: `${DAO_SERVICES.marketplace}/purchase`, product: product.productKey }]
+      : [];
+  },
+  async handle(payload) {
+    const payment = payload.data.object.payment;
+    const product = await identifyProduct(payment);
+    if (product?.type !== 'merch') {
+      return { skipped: 'not_merch' };
+    }
+
+    await postToDaoService(`${DAO_SERVICES.marketplace}/purchase`, {
+      userId: payment.buyer_email_address,
+      productId: product.productKey,
+      tier: 'standard',
+      paymentMethod: 'square'
+    });
+
+    console.log(`[MARKETPLACE] Merch sale forwarded: ${product.name}`);
+    return { product: product.productKey };
+  }
+};
+
+const subscriptionsHandler = {
+  name: 'subscriptions',
+  provider: 'square',
+  events: ['subscription.created', 'subscription.updated', 'invoice.payment_made'],
+  async plan(payload) {
+    if (payload.type === 'invoice.payment_made') {
+      return [{ effect: 'http_post', url: `${DAO_SERVICES.dating}/revenue/subscription` }];
+    }
+    return payload.type === 'subscription.created'
+      ? [{ effect: 'http_post', url: `${DAO_SERVICES.dating}/subscribe` }]
+      : [];
+  },
+  async handle(payload) {
+    if (payload.type === 'invoice.payment_made') {
+      const invoice = payload.data.object.invoice;
+      const amount = (invoice.total_money?.amount || 0) / 100;
+
+      await postToDaoService(`${DAO_SERVICES.dating}/revenue/subscription`, {
+        amount,
+        source: 'square',
+        userId: invoice.primary_recipient?.customer_id,
+        tier: invoice.subscription_id ? 'premium' : 'one-time'
+      });
+
+      console.log(`[DATING] Invoice paid: $${amount}`);
+      return { invoiceId: invoice.id, amount };
+    }
+
+    const subscription = payload.data.object.subscription;
+    console.log(`[DATING] Subscription ${payload.type.split('.')[1]}: ${subscription.id}`);
+
+    if (payload.type === 'subscription.created') {
+      await postToDaoService(`${DAO_SERVICES.dating}/subscribe`, {
+        email: subscription.customer_id,
+        userId: subscription.customer_id,
+        tier: subscription.plan_id?.includes('vip') ? 'vip' : 'premium'
+      });
+    }
+
+    return { subscriptionId: subscription.id, status: subscription.status };
+  }
+};
+
+const entitlementsHandler = {
+  name: 'entitlements',
+  provider: 'square',
+  events: ['subscription.created', 'subscription.updated', 'invoice.payment_made', 'invoice.scheduled_charge_failed'],
+  async plan(payload) {
+    const object = payload.data.object;
+    if (payload.type.startsWith('invoice.')) {
+      return object.invoice.subscription_id
+        ? [{ effect: 'db_update', model: 'Subscription', squareSubscriptionId: object.invoice.subscription_id, event: payload.type }]
+        : [];
+    }
+    return [{ effect: 'db_upsert', model: 'Subscription', squareSubscriptionId: object.subscription.id, status: object.subscription.status }];
+  },
+  async handle(payload) {
+    const object = payload.data.object;
+    return payload.type.startsWith('invoice.')
+      ? applySquareInvoice(payload.type, object.invoice)
+      : applySquareSubscription(object.subscription);
+  }
+};
+
+/**
+ * Allocation inputs for a Square payment: the fee Square charged and, for
+ * policies that deduct it, the merch item's COGS
+ */
+async function paymentSplit(payment, source, product) {
+  const fees = payment.processing_fee || [];
+  const split = {
+    occurredAt: payment.created_at || new Date(),
+    ...(fees.length && {
+      processingFee: fees.reduce((sum, fee) => sum + Number(fee.amount_money?.amount || 0), 0) / 100
+    })
+  };
+
+  if (getSplitPolicy(policyForSource(source), split.occurredAt).deductCogs) {
+    if (product?.type === 'merch') {
+      const cogs = await getCOGS(product.sku);
+      split.cogs = cogs.production;
+      split.shipping = cogs.avgShipping;
+    }
+  }
+  return split;
+}
+
+function findBookedPayment(paymentId) {
+  return Promise.all([
+    prisma.transaction.findFirst({ where: { metadata: { path: ['squarePaymentId'], equals: paymentId } } }),
+    prisma.ledgerEntry.findFirst({ where: { metadata: { path: ['paymentId'], equals: paymentId } } })
+  ]);
+}
+
+const ledgerHandler = {
+  name: 'ledger',
+  provider: 'square',
+  events: PAYMENT_EVENTS,
+  key: completedPaymentKey,
+  async plan(payload) {
+    const payment = payload.data.object.payment;
+    const amount = parseFloat(payment.amount_money.amount) / 100;
+    const [[transaction, entry], { source }] = await Promise.all([findBookedPayment(payment.id), paymentSource(payment)]);
+    const policy = getSplitPolicy(policyForSource(`square:${source}`), payment.created_at || new Date());
+    return [
+      transaction
+        ? { effect: 'none', reason: `Transaction ${transaction.id} exists` }
+        : { effect: 'db_create', model: 'Transaction', amount, source: TRANSACTION_SOURCES[source] || 'DATING_APP', splitPolicy: policy.label },
+      entry
+        ? { effect: 'none', reason: `already on ledger (#${entry.sequence})` }
+        : { effect: 'ledger_append', amount, paymentId: payment.id, splitPolicy: policy.label }
+    ];
+  },
+  async handle(payload, { event }) {
+    const payment = payload.data.object.payment;
+    const amount = parseFloat(payment.amount_money.amount) / 100;
+    const { source: revenueSource, product } = await paymentSource(payment);
+    const source = `square:${revenueSource}`;
+
+    // Both writes are checked first so a retry after a partial failure
+    // never books the payment twice
+    let [transaction, entry] = await findBookedPayment(payment.id);
+    const split = transaction && entry ? null : await paymentSplit(payment, source, product);
+    if (!transaction) {
+      const allocation = calculateRevenueAllocation(amount, { source, ...split });
+      transaction = await prisma.transaction.create({
+        data: {
+          amount,
+          source: TRANSACTION_SOURCES[revenueSource] || 'DATING_APP',
+          projectType: 'EXISTING',
+          description: `Square payment ${payment.id}`,
+          ...toTransactionAmounts(allocation),
+          metadata: {
+            squarePaymentId: payment.id,
+            orderId: payment.order_id,
+            receiptUrl: payment.receipt_url,
+            locationId: payment.location_id,
+            revenueSource,
+            webhookSource: event.source
+          }
+        }
+      });
+    }
+
+    if (!entry) {
+      entry = await recordTransaction({
+        amount,
+        source,
+        split,
+        paymentId: payment.id,
+        transactionId: transaction.id
+      });
+    }
+
+    return { transactionId: transaction.id, ledgerSequence: entry.sequence };
+  }
+};
+
+const affiliateHandler = {
+  name: 'affiliate',
+  provider: 'square',
+  events: PAYMENT_EVENTS,
+  key: completedPaymentKey,
+  async plan(payload) {
+    const payment = payload.data.object.payment;
+    const orderId = payment.order_id || payment.id;
+    const conversion = await prisma.affiliateConversion.findUnique({ where: { orderId } });
+    return conversion
+      ? [{ effect: 'none', reason: `order already converted (${conversion.id})` }]
+      : [{ effect: 'affiliate_conversion', orderId, customerEmail: payment.buyer_email_address || null }];
+  },
+  async handle(payload) {
+    const payment = payload.data.object.payment;
+    const [[transaction], { source: revenueSource, product }] = await Promise.all([
+      findBookedPayment(payment.id),
+      paymentSource(payment)
+    ]);
+    const source = `square:${revenueSource}`;
+
+    // Touches are matched by the checkout order (POST /api/affiliates/identify)
+    // or the buyer's email; a conversion with no touches is still recorded so
+    // the order is never attributed twice
+    const { conversion, commissions, duplicate } = await recordConversion({
+      orderId: payment.order_id || payment.id,
+      paymentId: payment.id,
+      amount: parseFloat(payment.amount_money.amount) / 100,
+      source,
+      sku: product?.sku,
+      customerEmail: payment.buyer_email_address,
+      transactionId: transaction?.id,
+      ...await paymentSplit(payment, source, product)
+    });
+
+    return { conversionId: conversion.id, commissions: commissions.length, duplicate };
+  }
+};
+
+/**
+ * The refund or lost dispute in a refund.* / dispute.* event, or null if the
+ * money hasn't actually left yet
+ */
+function reversalOf(payload) {
+  const { refund, dispute } = payload.data?.object || {};
+  if (refund) {
+    return refund.status === 'COMPLETED'
+      ? {
+        externalId: `refund:${refund.id}`,
+        paymentId: refund.payment_id,
+        orderId: refund.order_id,
+        amount: Number(refund.amount_money?.amount || 0) / 100,
+        reason: 'refund'
+      }
+      : null;
+  }
+  if (dispute && LOST_DISPUTE_STATES.includes(dispute.state)) {
+    return {
+      externalId: `dispute:${dispute.id || dispute.dispute_id}`,
+      paymentId: dispute.disputed_payment?.payment_id,
+      amount: Number(dispute.amount_money?.amount || 0) / 100,
+      reason: 'chargeback'
+    };
+  }
+  return null;
+}
+
+const clawbackHandler = {
+  name: 'clawback',
+  provider: 'square',
+  events: [...REFUND_EVENTS, ...DISPUTE_EVENTS],
+  key: payload => reversalOf(payload)?.externalId || null,
+  async plan(payload) {
+    const reversal = reversalOf(payload);
+    return [{ effect: 'commission_reversal', ...reversal }];
+  },
+  async handle(payload) {
+    return reverseForRefund(reversalOf(payload));
+  }
+};
+
+export const SQUARE_EVENT_HANDLERS = [
+  deliveryHandler,
+  merchHandler,
+  subscriptionsHandler,
+  entitlementsHandler,
+  ledgerHandler,
+  affiliateHandler,
+  clawbackHandler
+];
+
+export default SQUARE_EVENT_HANDLERS;
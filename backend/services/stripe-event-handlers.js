@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * STRIPE EVENT HANDLERS - Self-Host Marketplace, dispatched by the webhook pipeline
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Stripe webhooks arrive at POST /webhook/stripe (routes/dao-webhooks.js).
+ * Revenue goes to the DAO revenue ledger once per Stripe object, however
+ * often the event is retried or replayed, split by the "self-host" policy
+ * (services/split-policy.js) in effect when Stripe created the object.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+import { recordTransaction, calculateRevenueAllocation } from './dao-revenue.js';
+
+/**
+ * Append to the revenue ledger unless this payment is already on it
+ */
+async function recordOnce(transaction) {
+  const existing = await prisma.ledgerEntry.findFirst({
+    where: { metadata: { path: ['paymentId'], equals: transaction.paymentId } }
+  });
+  return existing || recordTransaction(transaction);
+}
+
+async function handleStripeCheckout(session) {
+  const amount = session.amount_total / 100;
+
+  console.log(`[SELF-HOST] Checkout completed: $${amount}`);
+
+  // Trigger Docker deployment for managed hosting
+  if (session.metadata?.modelId) {
+    console.log(`[SELF-HOST] Triggering deployment for model: ${session.metadata.modelId}`);
+    // Would call deployment API here
+  }
+
+  await recordOnce({
+    amount,
+    source: 'self-host-subscription',
+    split: { occurredAt: new Date(session.created * 1000) },
+    platform: 'self-host-marketplace',
+    paymentId: session.id
+  });
+}
+
+async function handleStripeSubscription(subscription, action) {
+  console.log(`[SELF-HOST] Subscription ${action}: ${subscription.id}`);
+
+  // Handle subscription lifecycle
+  if (action === 'cancelled') {
+    console.log(`[SELF-HOST] Stopping deployment for cancelled subscription`);
+    // Would trigger Docker container shutdown
+  }
+}
+
+async function handleStripeInvoice(invoice) {
+  const amount = invoice.amount_paid / 100;
+
+  console.log(`[SELF-HOST] Invoice paid: $${amount}`);
+
+  const split = { occurredAt: new Date(invoice.created * 1000) };
+  const allocation = calculateRevenueAllocation(amount, { source: 'self-host-renewal', ...split });
+  console.log(`  - DAO Treasury: ${allocation.treasury.amount} (${allocation.version})`);
+
+  await recordOnce({
+    amount,
+    source: 'self-host-renewal',
+    split,
+    platform: 'self-host-marketplace',
+    paymentId: invoice.id
+  });
+}
+
+const AMOUNT_BY_TYPE = {
+  'checkout.session.completed': (object) => object.amount_total / 100,
+  'invoice.paid': (object) => object.amount_paid / 100
+};
+
+const selfHostHandler = {
+  name: 'self-host',
+  provider: 'stripe',
+  events: [
+    'checkout.session.completed',
+    'customer.subscription.created',
+    'customer.subscription.updated',
+    'customer.subscription.deleted',
+    'invoice.paid'
+  ],
+  async plan(payload) {
+    const object = payload.data.object;
+    const amountOf = AMOUNT_BY_TYPE[payload.type];
+    if (!amountOf) return [];
+
+    const existing = await prisma.ledgerEntry.findFirst({
+      where: { metadata: { path: ['paymentId'], equals: object.id } },
+      select: { sequence: true }
+    });
+    return existing
+      ? [{ effect: 'none', reason: `already on ledger (#${existing.sequence})` }]
+      : [{ effect: 'ledger_append', amount: amountOf(object), paymentId: object.id }];
+  },
+  async handle(payload) {
+    const object = payload.data.object;
+
+    switch (payload.type) {
+      case 'checkout.session.completed':
+        await handleStripeCheckout(object);
+        break;
+      case 'customer.subscription.created':
+        await handleStripeSubscription(object, 'created');
+        break;
+      case 'customer.subscription.updated':
+        await handleStripeSubscription(object, 'updated');
+        break;
+      case 'customer.subscription.deleted':
+        await handleStripeSubscription(object, 'cancelled');
+        break;
+      case 'invoice.paid':
+        await handleStripeInvoice(object);
+        break;
+    }
+
+    return { type: payload.type, objectId: object.id };
+  }
+};
+
+export const STRIPE_EVENT_HANDLERS = [selfHostHandler];
+
+export default STRIPE_EVENT_HANDLERS;
@@ -0,0 +1,361 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * USER REPORTS - Member reports of dating profiles and messages
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * - A member can report a profile, or a message from one of their matches;
+ *   the message and the reported profile are snapshotted onto the report so
+ *   moderators see them as they were, even after edits or deletion
+ * - Reports join the moderation queue (type "user-reports") and move through
+ *   the same CASE_TRANSITIONS as MinorReport cases
+ * - "underage" reports also open a COPPA case via age-verification.reportMinor,
+ *   which suspends the reported account pending review
+ * - Confirming a report can warn, suspend or ban the reported account
+ * - Every action is written to ComplianceAudit (auditType "moderation")
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import prisma from '../prisma/client.js';
+import { logoutAllSessions } from './auth.js';
+import { reportMinor } from './age-verification.js';
+import { toProfile } from './dating-store.js';
+import { OPEN_STATUSES, CASE_TRANSITIONS } from './moderation.js';
+
+export const REPORT_REASONS = Object.freeze([
+  'harassment',
+  'spam',
+  'scam',
+  'fake_profile',
+  'ai_generated',
+  'inappropriate_content',
+  'underage',
+  'other'
+]);
+
+export const ENFORCEMENT_ACTIONS = Object.freeze(['none', 'warn', 'suspend', 'ban']);
+
+const MAX_DETAILS_LENGTH = 2000;
+
+const PARTY_SELECT = { id: true, displayName: true, status: true, warningCount: true, reportCount: true };
+
+function notFound() {
+  return Object.assign(new Error('Report not found'), { status: 404 });
+}
+
+async function audit(action, report, details = {}, { success = true, errorMessage = null } = {}) {
+  try {
+    await prisma.complianceAudit.create({
+      data: {
+        auditType: 'moderation',
+        action,
+        userId: report.reportedUserId,
+        success,
+        errorMessage,
+        details: {
+          userReportId: report.id,
+          status: report.status,
+          reason: report.reason,
+          ...details
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record user report audit:', error.message);
+  }
+}
+
+async function getReport(id) {
+  const report = await prisma.userReport.findUnique({ where: { id } });
+  if (!report) throw notFound();
+  return report;
+}
+
+/**
+ * Load a reported message and check the reporter received it
+ */
+async function loadReportedMessage(messageId, reporterId) {
+  const message = await prisma.datingMessage.findUnique({ where: { id: messageId } });
+  if (!message || message.receiverId !== reporterId) {
+    throw Object.assign(new Error('Message not found'), { status: 404 });
+  }
+  return message;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FILING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * File a report against a user, or against a message the reporter received
+ * (the sender is then the reported user).
+ * @returns {Promise<Object>} The report
+ * @throws {Error} with `status` 400/404 for invalid input, 409 if the same
+ *   report is still open
+ */
+export async function fileReport({ reporterId, reportedUserId, messageId, reason, details }) {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw Object.assign(new Error(`reason must be one of: ${REPORT_REASONS.join(', ')}`), { status: 400 });
+  }
+  if (details && details.length > MAX_DETAILS_LENGTH) {
+    throw Object.assign(new Error(`details must be at most ${MAX_DETAILS_LENGTH} characters`), { status: 400 });
+  }
+
+  const message = messageId ? await loadReportedMessage(messageId, reporterId) : null;
+  if (message && reportedUserId && reportedUserId !== message.senderId) {
+    throw Object.assign(new Error('Message was not sent by the reported user'), { status: 400 });
+  }
+
+  const targetId = message?.senderId || reportedUserId;
+  if (!targetId) {
+    throw Object.assign(new Error('targetUserId or messageId required'), { status: 400 });
+  }
+  if (targetId === reporterId) {
+    throw Object.assign(new Error('Cannot report yourself'), { status: 400 });
+  }
+
+  const reported = await prisma.datingUser.findUnique({ where: { id: targetId } });
+  if (!reported) {
+    throw Object.assign(new Error('User not found'), { status: 404 });
+  }
+
+  const duplicate = await prisma.userReport.findFirst({
+    where: { reporterId, reportedUserId: targetId, messageId: message?.id || null, status: { in: OPEN_STATUSES } },
+    select: { id: true }
+  });
+  if (duplicate) {
+    throw Object.assign(new Error('You have already reported this'), { status: 409 });
+  }
+
+  const [report] = await prisma.$transaction([
+    prisma.userReport.create({
+      data: {
+        reporterId,
+        reportedUserId: targetId,
+        reason,
+        details: details || null,
+        messageId: message?.id || null,
+        matchId: message?.matchId || null,
+        ...(message && {
+          messageSnapshot: {
+            id: message.id,
+            matchId: message.matchId,
+            senderId: message.senderId,
+            receiverId: message.receiverId,
+            content: message.content,
+            createdAt: message.createdAt.toISOString(),
+            aiScore: message.aiScore,
+            flagged: message.flagged
+          }
+        }),
+        profileSnapshot: JSON.parse(JSON.stringify(toProfile(reported)))
+      }
+    }),
+    prisma.datingUser.update({ where: { id: targetId }, data: { reportCount: { increment: 1 } } })
+  ]);
+
+  await audit('user_report_filed', report, { reporterId, messageId: report.messageId });
+
+  if (reason === 'underage') {
+    return openMinorReport(report);
+  }
+  return report;
+}
+
+/**
+ * Hand an "underage" report to the COPPA flow. The member report is already
+ * filed, so a failure here is audited rather than surfaced to the reporter.
+ */
+async function openMinorReport(report) {
+  try {
+    const { report: minorReport } = await reportMinor({
+      reportedUserId: report.reportedUserId,
+      reason: `Member report ${report.id}: underage`,
+      evidence: [report.details, report.messageSnapshot?.content].filter(Boolean).join('\n\n') || null,
+      reporterUserId: report.reporterId
+    });
+
+    const linked = await prisma.userReport.update({
+      where: { id: report.id },
+      data: { minorReportId: minorReport.id }
+    });
+    await audit('minor_report_opened', linked, { minorReportId: minorReport.id });
+    return linked;
+  } catch (error) {
+    await audit('minor_report_opened', report, {}, { success: false, errorMessage: error.message });
+    return report;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUEUE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Member reports awaiting review, oldest first. Defaults to open reports.
+ */
+export async function listReports({ status, assignedTo, reason, reportedUserId, limit = 50 } = {}) {
+  const statuses = status ? [].concat(status) : OPEN_STATUSES;
+  const invalid = statuses.filter(s => !CASE_TRANSITIONS[s]);
+  if (invalid.length) {
+    throw Object.assign(new Error(`Unknown status: ${invalid.join(', ')}`), { status: 400 });
+  }
+
+  return prisma.userReport.findMany({
+    where: {
+      status: { in: statuses },
+      ...(assignedTo === 'unassigned' ? { investigatedBy: null } : assignedTo && { investigatedBy: assignedTo }),
+      ...(reason && { reason }),
+      ...(reportedUserId && { reportedUserId })
+    },
+    include: {
+      reporter: { select: { id: true, displayName: true } },
+      reportedUser: { select: PARTY_SELECT }
+    },
+    orderBy: { createdAt: 'asc' },
+    take: Math.min(parseInt(limit) || 50, 200)
+  });
+}
+
+/**
+ * Full report: both parties, earlier reports against the same user and the
+ * audit timeline
+ */
+export async function getReportCase(id) {
+  const report = await prisma.userReport.findUnique({
+    where: { id },
+    include: {
+      reporter: { select: PARTY_SELECT },
+      reportedUser: { select: PARTY_SELECT }
+    }
+  });
+  if (!report) throw notFound();
+
+  const [history, timeline] = await Promise.all([
+    prisma.userReport.groupBy({
+      by: ['status'],
+      where: { reportedUserId: report.reportedUserId, id: { not: id } },
+      _count: { _all: true }
+    }),
+    prisma.complianceAudit.findMany({
+      where: { auditType: 'moderation', details: { path: ['userReportId'], equals: id } },
+      select: { createdAt: true, action: true, success: true, errorMessage: true, details: true },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    ...report,
+    otherReportsAgainstUser: Object.fromEntries(history.map(row => [row.status, row._count._all])),
+    timeline
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REVIEW
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Assign (or reassign) a report. A pending report moves to INVESTIGATING.
+ */
+export async function assignReport(id, assignee, { actor }) {
+  if (!assignee) {
+    throw Object.assign(new Error('assignee is required'), { status: 400 });
+  }
+
+  const report = await getReport(id);
+  if (!OPEN_STATUSES.includes(report.status)) {
+    throw Object.assign(new Error(`Cannot assign a ${report.status} report`), { status: 409 });
+  }
+
+  const updated = await prisma.userReport.update({
+    where: { id },
+    data: {
+      investigatedBy: assignee,
+      respondedAt: report.respondedAt || new Date(),
+      ...(report.status === 'PENDING' && { status: 'INVESTIGATING' })
+    }
+  });
+
+  await audit('report_assigned', updated, { actor, assignee, previousAssignee: report.investigatedBy });
+  return updated;
+}
+
+/**
+ * Apply the enforcement chosen when a report is confirmed
+ */
+async function enforce(report, enforcement) {
+  const userId = report.reportedUserId;
+
+  if (enforcement === 'warn') {
+    await prisma.datingUser.update({ where: { id: userId }, data: { warningCount: { increment: 1 } } });
+  } else if (enforcement === 'suspend' || enforcement === 'ban') {
+    // Never downgrade a ban or resurrect a deleted account
+    const { count } = await prisma.datingUser.updateMany({
+      where: { id: userId, status: { notIn: ['BANNED', 'DELETED'] } },
+      data: { status: enforcement === 'ban' ? 'BANNED' : 'SUSPENDED' }
+    });
+    if (count > 0) {
+      await logoutAllSessions(userId);
+    }
+  }
+}
+
+/**
+ * Move a report to a new status
+ * @param {object} options - { actor, notes, resolution, enforcement }; enforcement
+ *   (one of ENFORCEMENT_ACTIONS) only applies when confirming
+ */
+export async function transitionReport(id, status, { actor, notes, resolution, enforcement = 'none' } = {}) {
+  if (!CASE_TRANSITIONS[status]) {
+    throw Object.assign(new Error(`Unknown status: ${status}`), { status: 400 });
+  }
+  if (!ENFORCEMENT_ACTIONS.includes(enforcement)) {
+    throw Object.assign(new Error(`enforcement must be one of: ${ENFORCEMENT_ACTIONS.join(', ')}`), { status: 400 });
+  }
+  if (enforcement !== 'none' && status !== 'CONFIRMED') {
+    throw Object.assign(new Error('enforcement can only be applied when confirming a report'), { status: 400 });
+  }
+
+  const report = await getReport(id);
+  if (!CASE_TRANSITIONS[report.status].includes(status)) {
+    throw Object.assign(new Error(`Cannot move a ${report.status} report to ${status}`), { status: 409 });
+  }
+
+  const resolving = !OPEN_STATUSES.includes(status);
+  if (resolving && !resolution) {
+    throw Object.assign(new Error('resolution is required to close a report'), { status: 400 });
+  }
+
+  const now = new Date();
+  const updated = await prisma.userReport.update({
+    where: { id },
+    data: {
+      status,
+      respondedAt: report.respondedAt || now,
+      ...(notes && {
+        investigationNotes: [report.investigationNotes, `[${now.toISOString()}] ${actor}: ${notes}`]
+          .filter(Boolean).join('\n')
+      }),
+      ...(resolving && { resolution, resolvedAt: now, enforcement })
+    }
+  });
+
+  await audit('status_changed', updated, { actor, from: report.status, to: status });
+
+  if (enforcement !== 'none') {
+    await enforce(updated, enforcement);
+    await audit('enforcement_applied', updated, { actor, enforcement });
+  }
+
+  return updated;
+}
+
+export default {
+  REPORT_REASONS,
+  ENFORCEMENT_ACTIONS,
+  fileReport,
+  listReports,
+  getReportCase,
+  assignReport,
+  transitionReport
+};
@@ -0,0 +1,645 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════════
+ * WEBHOOK PIPELINE - Verify once, store, dispatch to registered handlers
+ * ═══════════════════════════════════════════════════════════════════════════════
+ *
+ * Every Square, Printful and Stripe webhook endpoint feeds the same pipeline
+ * (middleware/webhook-ingest.js):
+ *
+ *   1. Verify the provider's signature over the raw body
+ *   2. Store the raw body and headers under the provider's event ID - a
+ *      redelivery of the same event is acknowledged and dropped here
+ *   3. Dispatch to every registered handler for that provider + event type
+ *
+ * Each handler run is a WebhookDelivery row keyed by (handler, idempotencyKey),
+ * so a handler fires once per payment even when Square sends both
+ * payment.created and payment.updated, and a retry only re-runs the handlers
+ * that failed. Failed events are retried with backoff; after MAX_ATTEMPTS they
+ * move to the dead-letter view (GET /api/admin/webhooks/dead-letter).
+ *
+ * Every dispatch is recorded as a WebhookRun. Staff can list, filter and diff
+ * stored events and replay them against the current handlers, optionally as a
+ * dry run that only reports the side effects each handler would have.
+ * ═══════════════════════════════════════════════════════════════════════════════
+ */
+
+import crypto from 'crypto';
+import prisma from '../prisma/client.js';
+import { canonicalize } from './dao-revenue.js';
+import { SQUARE_EVENT_HANDLERS } from './square-event-handlers.js';
+import { PRINTFUL_EVENT_HANDLERS } from './printful-event-handlers.js';
+import { STRIPE_EVENT_HANDLERS } from './stripe-event-handlers.js';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const WEBHOOK_RULES = Object.freeze({
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_MS: 60 * 1000, // 1, 2, 4, 8 minutes
+  STALE_PROCESSING_MS: 10 * 60 * 1000, // Reclaim events a crashed instance left mid-run
+  RETRY_INTERVAL_MS: 60 * 1000
+});
+
+const handlers = new Map();
+
+/**
+ * Register a handler:
+ *   { name, provider, events: ['payment.updated', ...], key(payload), plan(payload), handle(payload, { event }) }
+ * key() returns the idempotency key (defaults to the event ID); return null
+ * from key() to skip an event the handler subscribes to but doesn't care about.
+ * plan() is optional and describes side effects for dry runs.
+ */
+export function registerWebhookHandler(handler) {
+  if (!handler?.name || !handler.provider || !Array.isArray(handler.events) || typeof handler.handle !== 'function') {
+    throw new Error('Webhook handler needs a name, a provider, an events list and a handle function');
+  }
+  handlers.set(handler.name, handler);
+}
+
+export function listWebhookHandlers() {
+  return [...handlers.values()].map(({ name, provider, events }) => ({ name, provider, events }));
+}
+
+function handlersFor(event) {
+  return [...handlers.values()].filter(handler =>
+    handler.provider === event.provider && handler.events.includes(event.type)
+  );
+}
+
+[...SQUARE_EVENT_HANDLERS, ...PRINTFUL_EVENT_HANDLERS, ...STRIPE_EVENT_HANDLERS].forEach(registerWebhookHandler);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INGESTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Square signs HMAC-SHA256(signatureKey, notificationUrl + rawBody), base64
+ * https://developer.squareup.com/docs/webhooks/step3validate
+ */
+export function verifySquareSignature({ rawBody, signature, signatureKey, notificationUrl }) {
+  if (!signature || !signatureKey || typeof rawBody !== 'string') {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', signatureKey)
+    .update(notificationUrl + rawBody)
+    .digest();
+  const presented = Buffer.from(signature, 'base64');
+
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+/**
+ * Stripe signs HMAC-SHA256(secret, "<t>.<rawBody>"), hex, in Stripe-Signature
+ * https://docs.stripe.com/webhooks#verify-manually
+ */
+export function verifyStripeSignature({ rawBody, header, secret, toleranceSeconds = 300 }) {
+  if (!header || !secret || typeof rawBody !== 'string') {
+    return false;
+  }
+
+  const parts = header.split(',').map(part => part.trim());
+  const timestamp = Number(parts.find(part => part.startsWith('t='))?.slice(2));
+  const signatures = parts
+    .filter(part => part.startsWith('v1='))
+    .map(part => Buffer.from(part.slice(3), 'hex'));
+
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest();
+  return signatures.some(sig => sig.length === expected.length && crypto.timingSafeEqual(sig, expected));
+}
+
+/**
+ * Printful signs HMAC-SHA256(apiToken, rawBody), base64, in X-Printful-Signature
+ */
+export function verifyPrintfulSignature({ rawBody, signature, secret }) {
+  if (!signature || !secret || typeof rawBody !== 'string') {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const presented = Buffer.from(signature, 'base64');
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+// Each provider's notion of "the same event"
+const EVENT_IDENTITY = {
+  square: (payload) => ({ eventId: payload.event_id, type: payload.type, merchantId: payload.merchant_id }),
+  stripe: (payload) => ({ eventId: payload.id, type: payload.type, merchantId: payload.account }),
+  // Printful has no event ID; its retries only bump "retries", so digest the rest
+  printful: (payload) => {
+    const { retries, ...rest } = payload;
+    return {
+      eventId: payload.type && crypto.createHash('sha256').update(canonicalize(rest)).digest('hex'),
+      type: payload.type,
+      merchantId: payload.store != null ? String(payload.store) : null
+    };
+  }
+};
+
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+
+function storableHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * Store a verified event. Returns { event, duplicate }.
+ */
+export async function ingestEvent({ provider, rawBody, headers, source }) {
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    throw Object.assign(new Error('Webhook body is not valid JSON'), { status: 400 });
+  }
+
+  const { eventId, type, merchantId } = EVENT_IDENTITY[provider](payload);
+  if (!eventId || !type) {
+    throw Object.assign(new Error('Webhook body is missing an event ID or type'), { status: 400 });
+  }
+
+  try {
+    const event = await prisma.webhookEvent.create({
+      data: {
+        provider,
+        eventId,
+        type,
+        source,
+        merchantId: merchantId || null,
+        payload,
+        rawBody,
+        headers: storableHeaders(headers)
+      }
+    });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code === 'P2002') {
+      const event = await prisma.webhookEvent.findUnique({
+        where: { provider_eventId: { provider, eventId } }
+      });
+      return { event, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISPATCH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function retryDelay(attempts) {
+  return WEBHOOK_RULES.RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0);
+}
+
+/**
+ * Claim an event so only one instance runs its handlers at a time
+ */
+async function claimEvent(eventId) {
+  const now = new Date();
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: {
+      id: eventId,
+      OR: [
+        { status: 'RECEIVED' },
+        { status: 'FAILED', nextAttemptAt: { lte: now } },
+        {
+          status: 'PROCESSING',
+          processingStartedAt: { lt: new Date(now.getTime() - WEBHOOK_RULES.STALE_PROCESSING_MS) }
+        }
+      ]
+    },
+    data: { status: 'PROCESSING', processingStartedAt: now, attempts: { increment: 1 } }
+  });
+  return count === 1;
+}
+
+function idempotencyKeyFor(handler, event) {
+  const key = handler.key ? handler.key(event.payload) : event.eventId;
+  return key === null || key === undefined ? null : String(key);
+}
+
+/**
+ * Run one handler for an event, at most once per idempotency key.
+ * force re-runs a side effect that already succeeded (replays only).
+ */
+async function runHandler(handler, event, { force = false } = {}) {
+  const idempotencyKey = idempotencyKeyFor(handler, event);
+  if (idempotencyKey === null) {
+    return { handler: handler.name, status: 'NOT_APPLICABLE' };
+  }
+
+  let delivery;
+  try {
+    delivery = await prisma.webhookDelivery.create({
+      data: { webhookEventId: event.id, handler: handler.name, idempotencyKey }
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    delivery = await prisma.webhookDelivery.findUnique({
+      where: { handler_idempotencyKey: { handler: handler.name, idempotencyKey } }
+    });
+  }
+
+  // Another event already owns this side effect (or it already ran)
+  if (!force && (delivery.webhookEventId !== event.id || delivery.status === 'SUCCEEDED')) {
+    return { handler: handler.name, status: 'ALREADY_DONE', deliveryId: delivery.id };
+  }
+
+  if (force && delivery.webhookEventId !== event.id) {
+    delivery = await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { webhookEventId: event.id }
+    });
+  }
+
+  try {
+    const result = await handler.handle(event.payload, { event });
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: 'SUCCEEDED',
+        attempts: { increment: 1 },
+        result: result ?? null,
+        lastError: null,
+        completedAt: new Date()
+      }
+    });
+    return { handler: handler.name, status: 'SUCCEEDED', deliveryId: delivery.id, result: result ?? null };
+  } catch (error) {
+    console.error(`❌ Webhook handler "${handler.name}" failed for ${event.type} ${event.eventId}:`, error.message);
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'FAILED', attempts: { increment: 1 }, lastError: error.message }
+    });
+    return { handler: handler.name, status: 'FAILED', deliveryId: delivery.id, error: error.message };
+  }
+}
+
+/**
+ * Record the outcome of a dispatch on the event and in its run history
+ */
+async function finishRun(event, results, { trigger, triggeredBy = null, startedAt, retry = true }) {
+  const failures = results.filter(result => result.status === 'FAILED');
+  const lastError = failures.map(failure => `${failure.handler}: ${failure.error}`).join('; ') || null;
+  const exhausted = failures.length > 0 && retry && event.attempts >= WEBHOOK_RULES.MAX_ATTEMPTS;
+
+  let status = 'PROCESSED';
+  let eventUpdate = { status, processedAt: new Date(), nextAttemptAt: null, lastError: null };
+
+  if (failures.length > 0) {
+    status = exhausted ? 'DEAD_LETTER' : 'FAILED';
+    eventUpdate = {
+      status,
+      lastError,
+      // Failed replays wait for a human rather than the retry scheduler
+      nextAttemptAt: status === 'FAILED' && retry ? new Date(Date.now() + retryDelay(event.attempts)) : null
+    };
+  }
+
+  await prisma.$transaction([
+    prisma.webhookEvent.update({ where: { id: event.id }, data: eventUpdate }),
+    ...(exhausted
+      ? [prisma.webhookDelivery.updateMany({
+          where: { webhookEventId: event.id, status: 'FAILED' },
+          data: { status: 'DEAD_LETTER' }
+        })]
+      : []),
+    prisma.webhookRun.create({
+      data: {
+        webhookEventId: event.id,
+        startedAt,
+        finishedAt: new Date(),
+        trigger,
+        triggeredBy,
+        status,
+        results
+      }
+    })
+  ]);
+
+  if (exhausted) {
+    console.error(`☠️ Webhook ${event.provider} ${event.type} ${event.eventId} moved to dead letter after ${event.attempts} attempts`);
+  }
+
+  return { status, results };
+}
+
+/**
+ * Dispatch a stored event to every handler subscribed to its type
+ */
+export async function processEvent(eventId, { trigger = 'live' } = {}) {
+  const startedAt = new Date();
+  if (!(await claimEvent(eventId))) {
+    return null;
+  }
+
+  const event = await prisma.webhookEvent.findUnique({ where: { id: eventId } });
+
+  const results = [];
+  for (const handler of handlersFor(event)) {
+    results.push(await runHandler(handler, event));
+  }
+
+  return finishRun(event, results, { trigger, startedAt });
+}
+
+/**
+ * Pick up failed events whose backoff has elapsed and events left mid-run
+ */
+export async function retryDueEvents({ limit = 25 } = {}) {
+  const now = new Date();
+  const due = await prisma.webhookEvent.findMany({
+    where: {
+      OR: [
+        { status: 'RECEIVED', receivedAt: { lt: new Date(now.getTime() - WEBHOOK_RULES.RETRY_INTERVAL_MS) } },
+        { status: 'FAILED', nextAttemptAt: { lte: now } },
+        {
+          status: 'PROCESSING',
+          processingStartedAt: { lt: new Date(now.getTime() - WEBHOOK_RULES.STALE_PROCESSING_MS) }
+        }
+      ]
+    },
+    orderBy: { receivedAt: 'asc' },
+    take: limit,
+    select: { id: true }
+  });
+
+  const results = [];
+  for (const { id } of due) {
+    results.push({ id, outcome: await processEvent(id, { trigger: 'retry' }) });
+  }
+  return results;
+}
+
+let retryHandle = null;
+
+/**
+ * Periodically retry failed webhook events. Safe to run on every instance.
+ */
+export function startWebhookRetryScheduler(intervalMs = WEBHOOK_RULES.RETRY_INTERVAL_MS) {
+  if (retryHandle) return retryHandle;
+
+  const tick = () => retryDueEvents().catch(error =>
+    console.error('Webhook retry scheduler error:', error.message)
+  );
+
+  retryHandle = setInterval(tick, intervalMs);
+  retryHandle.unref();
+  return retryHandle;
+}
+
+export function stopWebhookRetryScheduler() {
+  clearInterval(retryHandle);
+  retryHandle = null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DEAD LETTER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function listDeadLetters({ limit = 50 } = {}) {
+  return prisma.webhookEvent.findMany({
+    where: { status: 'DEAD_LETTER' },
+    orderBy: { receivedAt: 'desc' },
+    take: Math.min(Number(limit) || 50, 500),
+    select: {
+      id: true,
+      provider: true,
+      eventId: true,
+      type: true,
+      source: true,
+      receivedAt: true,
+      attempts: true,
+      lastError: true,
+      deliveries: {
+        select: { handler: true, status: true, attempts: true, lastError: true, completedAt: true }
+      }
+    }
+  });
+}
+
+/**
+ * Put a dead-lettered event back in the queue and run it now
+ */
+export async function requeueEvent(eventId) {
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: { id: eventId, status: 'DEAD_LETTER' },
+    data: { status: 'FAILED', attempts: 0, nextAttemptAt: new Date() }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error('Dead-letter event not found'), { status: 404 });
+  }
+
+  await prisma.webhookDelivery.updateMany({
+    where: { webhookEventId: eventId, status: 'DEAD_LETTER' },
+    data: { status: 'FAILED' }
+  });
+
+  return processEvent(eventId, { trigger: 'retry' });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INSPECTION & REPLAY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * List stored events, newest first. Filters: provider, type, status, source,
+ * eventId, since, until; page with before (an event's receivedAt).
+ */
+export async function listEvents({ provider, type, status, source, eventId, since, until, before, limit = 50 } = {}) {
+  const receivedAt = {
+    ...(since && { gte: new Date(since) }),
+    ...(until && { lte: new Date(until) }),
+    ...(before && { lt: new Date(before) })
+  };
+
+  return prisma.webhookEvent.findMany({
+    where: {
+      ...(provider && { provider }),
+      ...(type && { type }),
+      ...(status && { status }),
+      ...(source && { source }),
+      ...(eventId && { eventId }),
+      ...(Object.keys(receivedAt).length > 0 && { receivedAt })
+    },
+    orderBy: { receivedAt: 'desc' },
+    take: Math.min(Number(limit) || 50, 500),
+    select: {
+      id: true,
+      provider: true,
+      eventId: true,
+      type: true,
+      source: true,
+      status: true,
+      attempts: true,
+      receivedAt: true,
+      processedAt: true,
+      lastError: true
+    }
+  });
+}
+
+export async function getEvent(id) {
+  const event = await prisma.webhookEvent.findUnique({
+    where: { id },
+    include: {
+      deliveries: { orderBy: { createdAt: 'asc' } },
+      runs: { orderBy: { startedAt: 'desc' }, take: 50 }
+    }
+  });
+  if (!event) {
+    throw Object.assign(new Error('Webhook event not found'), { status: 404 });
+  }
+  return event;
+}
+
+/**
+ * Structural diff of two JSON values: [{ path, change, before, after }]
+ */
+function diffJson(before, after, path = '') {
+  if (canonicalize(before) === canonicalize(after)) return [];
+
+  const bothObjects = before && after && typeof before === 'object' && typeof after === 'object'
+    && Array.isArray(before) === Array.isArray(after);
+  if (!bothObjects) {
+    const change = before === undefined ? 'added' : after === undefined ? 'removed' : 'changed';
+    return [{ path: path || '$', change, before, after }];
+  }
+
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return keys.flatMap(key => diffJson(
+    before[key],
+    after[key],
+    Array.isArray(before) ? `${path}[${key}]` : `${path}${path ? '.' : ''}${key}`
+  ));
+}
+
+/**
+ * Compare two stored events' payloads and headers
+ */
+export async function diffEvents(id, otherId) {
+  const [a, b] = await Promise.all([getEvent(id), getEvent(otherId)]);
+  return {
+    events: [a, b].map(({ id, provider, eventId, type, receivedAt }) => ({ id, provider, eventId, type, receivedAt })),
+    payload: diffJson(a.payload, b.payload),
+    headers: diffJson(a.headers || {}, b.headers || {})
+  };
+}
+
+/**
+ * Re-run a stored event against the current handlers.
+ *
+ * dryRun  - report, per handler, whether it would fire and its planned side effects
+ * handlers - limit to these handler names
+ * force   - re-run handlers that already succeeded for this event's key
+ */
+export async function replayEvent(id, { dryRun = false, handlers: only, force = false, triggeredBy = null } = {}) {
+  const startedAt = new Date();
+  const event = await getEvent(id);
+
+  const selected = handlersFor(event).filter(handler => !only?.length || only.includes(handler.name));
+  if (only?.length && selected.length === 0) {
+    throw Object.assign(new Error(`No handler named ${only.join(', ')} handles ${event.provider} ${event.type}`), { status: 400 });
+  }
+
+  if (dryRun) {
+    const results = [];
+    for (const handler of selected) {
+      results.push(await planHandler(handler, event, { force }));
+    }
+
+    await prisma.webhookRun.create({
+      data: {
+        webhookEventId: event.id,
+        startedAt,
+        finishedAt: new Date(),
+        trigger: 'replay',
+        dryRun: true,
+        triggeredBy,
+        status: 'DRY_RUN',
+        results
+      }
+    });
+    return { dryRun: true, status: 'DRY_RUN', results };
+  }
+
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: { id: event.id, status: { not: 'PROCESSING' } },
+    data: { status: 'PROCESSING', processingStartedAt: startedAt }
+  });
+  if (count === 0) {
+    throw Object.assign(new Error('Event is being processed right now; try again shortly'), { status: 409 });
+  }
+
+  const results = [];
+  for (const handler of selected) {
+    results.push(await runHandler(handler, event, { force }));
+  }
+
+  return {
+    dryRun: false,
+    ...(await finishRun(event, results, { trigger: 'replay', triggeredBy, startedAt, retry: false }))
+  };
+}
+
+async function planHandler(handler, event, { force }) {
+  const idempotencyKey = idempotencyKeyFor(handler, event);
+  if (idempotencyKey === null) {
+    return { handler: handler.name, wouldRun: false, reason: 'not_applicable', effects: [] };
+  }
+
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { handler_idempotencyKey: { handler: handler.name, idempotencyKey } }
+  });
+  const done = delivery && (delivery.webhookEventId !== event.id || delivery.status === 'SUCCEEDED');
+
+  if (done && !force) {
+    return { handler: handler.name, wouldRun: false, reason: 'already_done', deliveryStatus: delivery.status, effects: [] };
+  }
+
+  try {
+    const effects = handler.plan
+      ? await handler.plan(event.payload, { event })
+      : [{ effect: 'unknown', note: `${handler.name} does not describe its side effects` }];
+    return { handler: handler.name, wouldRun: true, deliveryStatus: delivery?.status || null, effects };
+  } catch (error) {
+    return { handler: handler.name, wouldRun: true, deliveryStatus: delivery?.status || null, effects: [], planError: error.message };
+  }
+}
+
+export async function getPipelineStats() {
+  const counts = await prisma.webhookEvent.groupBy({ by: ['status'], _count: true });
+  return {
+    handlers: listWebhookHandlers(),
+    events: Object.fromEntries(counts.map(row => [row.status, row._count]))
+  };
+}
+
+export default {
+  WEBHOOK_RULES,
+  registerWebhookHandler,
+  listWebhookHandlers,
+  verifySquareSignature,
+  verifyStripeSignature,
+  verifyPrintfulSignature,
+  ingestEvent,
+  processEvent,
+  retryDueEvents,
+  startWebhookRetryScheduler,
+  stopWebhookRetryScheduler,
+  listDeadLetters,
+  requeueEvent,
+  listEvents,
+  getEvent,
+  diffEvents,
+  replayEvent,
+  getPipelineStats
+};